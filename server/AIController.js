@@ -0,0 +1,406 @@
+/**
+ * AIController — Scripted opponent occupying a player slot on the server.
+ *
+ * Attached to a Room slot (Room.attachAI). Before each tick's commands are
+ * flushed, Room calls update() with the state after the previous tick; the
+ * controller then plays like a remote player whose input arrived just
+ * before the tick:
+ *   - every order goes through Room.receiveInput (PATH_DATA, MOVE_TO,
+ *     ATTACK_TARGET), with the same ownership / validity rules as a client's
+ *   - it only reacts to enemy units its slot can see (VisibilityService,
+ *     same vision radius as the fog-filtered SERVER_SNAPSHOT)
+ *   - mines go through Room.addMine → CollisionService.addMine (physics
+ *     rooms only; recorded in the replay like admin mines)
+ *
+ * Behaviour per unit (a small state machine, re-evaluated every
+ * thinkIntervalTicks):
+ *   PATROL  closed PATH_DATA loop around the unit's home position
+ *   CHASE   MOVE_TO the nearest visible enemy (+ ATTACK_TARGET if armed)
+ *   FLEE    below fleeHpFraction: MOVE_TO away from the nearest enemy,
+ *           sometimes laying a mine between itself and the pursuer
+ *
+ * Determinism: every choice comes from a SeededRNG and units / enemies are
+ * processed sorted by ID, so a bot match replays exactly with the same seed.
+ * Room checkpoints save the config and decision state (getConfig() /
+ * getState()), so a restored AI carries on with the same RNG sequence.
+ *
+ * @module server/AIController
+ */
+
+import { SeededRNG } from '../src/SimCore/runtime/SeededRNG.js';
+import { VisibilityService } from '../src/SimCore/systems/VisibilityService.js';
+import { Vec3 } from './SphereMath.js';
+
+/**
+ * @typedef {Object} AIDifficulty
+ * @property {number} thinkIntervalTicks - Ticks between decisions (reaction time)
+ * @property {number} aggression - Chance (0-1) to chase an enemy on a decision
+ * @property {number} fleeHpFraction - Flee when hp / maxHp drops below this
+ * @property {number} mineChance - Chance (0-1) to lay a mine on a fleeing decision
+ * @property {number} maxMines - Mines this AI keeps on the map at once
+ * @property {boolean} attacks - Whether chasing units open fire (ATTACK_TARGET)
+ */
+
+/** @type {Readonly<Record<'easy'|'normal'|'hard', AIDifficulty>>} Difficulty presets */
+export const AI_DIFFICULTY = Object.freeze({
+    easy: Object.freeze({ thinkIntervalTicks: 20, aggression: 0.3, fleeHpFraction: 0.5, mineChance: 0.1, maxMines: 2, attacks: false }),
+    normal: Object.freeze({ thinkIntervalTicks: 10, aggression: 0.6, fleeHpFraction: 0.35, mineChance: 0.25, maxMines: 4, attacks: true }),
+    hard: Object.freeze({ thinkIntervalTicks: 4, aggression: 0.9, fleeHpFraction: 0.2, mineChance: 0.5, maxMines: 8, attacks: true })
+});
+
+/** @type {number} Waypoints in a patrol loop (PATH_DATA allows 32) */
+const PATROL_POINTS = 6;
+
+/** @type {number} Default patrol loop radius around home (world units) */
+const DEFAULT_PATROL_RADIUS = 8;
+
+/** @type {number} How far a fleeing unit runs per decision (world units) */
+const FLEE_DISTANCE = 15;
+
+/** @type {number} Distance behind a fleeing unit at which it lays a mine (clear of the 1.5 trigger radius) */
+const MINE_DROP_DISTANCE = 3;
+
+/** @type {number} A chased target must move this far before the MOVE_TO is re-issued */
+const CHASE_REPLAN_DISTANCE = 2;
+
+/** @type {number[]} Flee headings tried, in radians off straight away from the enemy */
+const FLEE_ANGLES = [0, Math.PI / 4, -Math.PI / 4, Math.PI / 2, -Math.PI / 2];
+
+/** @typedef {'PATROL' | 'CHASE' | 'FLEE'} AIMode */
+
+export class AIController {
+    /**
+     * @param {Object} [options]
+     * @param {'easy'|'normal'|'hard'} [options.difficulty='normal'] - Preset (AI_DIFFICULTY)
+     * @param {Partial<AIDifficulty>} [options.tuning] - Overrides on top of the preset
+     * @param {number} [options.seed=1] - SeededRNG seed
+     * @param {string} [options.name] - Player name (default "AI (<difficulty>)")
+     * @param {number} [options.patrolRadius=8] - Patrol loop radius (world units)
+     * @throws {Error} On an unknown difficulty
+     */
+    constructor(options = {}) {
+        const difficulty = options.difficulty ?? 'normal';
+        if (!Object.hasOwn(AI_DIFFICULTY, difficulty)) {
+            throw new Error(`AIController: unknown difficulty '${difficulty}'`);
+        }
+
+        /** @type {string} */
+        this.difficulty = difficulty;
+
+        /** @type {AIDifficulty} Effective tuning */
+        this.tuning = { ...AI_DIFFICULTY[difficulty], ...options.tuning };
+
+        /** @type {number} */
+        this.seed = options.seed ?? 1;
+
+        /** @type {string} */
+        this.name = options.name ?? `AI (${difficulty})`;
+
+        /** @type {number} */
+        this.patrolRadius = options.patrolRadius ?? DEFAULT_PATROL_RADIUS;
+
+        /** @type {number|null} Slot this AI plays (set by Room.attachAI) */
+        this.slot = null;
+
+        /** @type {import('./Room.js').Room|null} */
+        this.room = null;
+
+        /**
+         * Orders and events since attach.
+         * @type {{ decisions: number, commands: number, patrols: number, chases: number, flees: number, minesLaid: number }}
+         */
+        this.stats = { decisions: 0, commands: 0, patrols: 0, chases: 0, flees: 0, minesLaid: 0 };
+
+        /** @type {SeededRNG} */
+        this._rng = new SeededRNG(this.seed);
+
+        /** @type {VisibilityService|null} What this slot sees (created on attach) */
+        this._visibility = null;
+
+        /**
+         * Per-unit state: unit ID -> { mode, home, targetId, lastGoal }.
+         * @type {Map<number, { mode: AIMode, home: {x:number,y:number,z:number}, targetId: number|null, lastGoal: {x:number,y:number,z:number}|null }>}
+         */
+        this._units = new Map();
+
+        /** @type {number[]} IDs of this AI's mines still on the map */
+        this._mineIds = [];
+    }
+
+    /**
+     * Constructor options that rebuild this AI (Room.serialize saves them
+     * with getState(); GameServer re-attaches the AI when it restores the room).
+     *
+     * @returns {{ difficulty: string, tuning: AIDifficulty, seed: number, name: string, patrolRadius: number }}
+     */
+    getConfig() {
+        return {
+            difficulty: this.difficulty,
+            tuning: { ...this.tuning },
+            seed: this.seed,
+            name: this.name,
+            patrolRadius: this.patrolRadius
+        };
+    }
+
+    /**
+     * Decision state a restored AI resumes from (JSON-safe): RNG position,
+     * per-unit modes and the mines it has on the map.
+     *
+     * @returns {{ rng: Object, units: Array, mineIds: number[] }}
+     */
+    getState() {
+        return {
+            rng: this._rng.getState(),
+            units: Array.from(this._units, ([id, u]) => ({ id, ...structuredClone(u) })),
+            mineIds: [...this._mineIds]
+        };
+    }
+
+    /**
+     * Resume from getState() output (before or after attach).
+     *
+     * @param {{ rng: Object, units?: Array, mineIds?: number[] }} state
+     */
+    setState(state) {
+        this._rng.setState(state.rng);
+        this._units = new Map((state.units || []).map(({ id, ...u }) => [id, u]));
+        this._mineIds = [...(state.mineIds || [])];
+    }
+
+    /**
+     * Bind to a room slot (called by Room.attachAI).
+     *
+     * @param {import('./Room.js').Room} room
+     * @param {number} slot
+     */
+    attach(room, slot) {
+        this.room = room;
+        this.slot = slot;
+        const v = room.visibility;
+        this._visibility = new VisibilityService({
+            planetRadius: v.planetRadius,
+            minVisionRadius: v.minVisionRadius,
+            maxVisionRadius: v.maxVisionRadius,
+            leaveMargin: v.leaveMargin
+        });
+    }
+
+    /**
+     * Decide on the state after the previous tick (called by Room before
+     * the tick's commands are flushed). Acts every thinkIntervalTicks.
+     *
+     * @param {number} tickCount - Tick about to run
+     */
+    update(tickCount) {
+        if (!this.room || tickCount % this.tuning.thinkIntervalTicks !== 0) return;
+        this.stats.decisions++;
+
+        const units = [...this.room.units].sort((a, b) => a.id - b.id);
+        this._visibility.update(units, [this.slot]);
+        const enemies = units.filter(u => this._visibility.isVisible(this.slot, u.id) && !u.disabled);
+
+        if (this.room.collisions) {
+            this._mineIds = this._mineIds.filter(id => this.room.collisions.getMine(id));
+        }
+
+        const own = units.filter(u => u.ownerSlot === this.slot);
+        for (const id of this._units.keys()) {
+            if (!own.some(u => u.id === id)) this._units.delete(id);
+        }
+
+        for (const unit of own) {
+            if (unit.disabled || unit.carriedBy != null) continue;
+
+            let state = this._units.get(unit.id);
+            if (!state) {
+                state = { mode: null, home: { ...unit.position }, targetId: null, lastGoal: null };
+                this._units.set(unit.id, state);
+            }
+            this._think(unit, state, enemies);
+        }
+    }
+
+    // ========================================
+    // Decisions
+    // ========================================
+
+    /**
+     * @param {import('./HeadlessUnit.js').HeadlessUnit} unit
+     * @param {Object} state
+     * @param {import('./HeadlessUnit.js').HeadlessUnit[]} enemies - Visible, sorted by ID
+     * @private
+     */
+    _think(unit, state, enemies) {
+        const nearest = nearestUnit(unit, enemies);
+
+        if (nearest && unit.hp < unit.maxHp * this.tuning.fleeHpFraction) {
+            this._flee(unit, state, nearest);
+            return;
+        }
+
+        // Keep chasing a target while it stays visible; pick a new one by aggression
+        const target = state.mode === 'CHASE' ? enemies.find(e => e.id === state.targetId) : null;
+        if (target) {
+            this._chase(unit, state, target);
+            return;
+        }
+        if (nearest && this._rng.nextBool(this.tuning.aggression)) {
+            this._chase(unit, state, nearest);
+            return;
+        }
+
+        this._patrol(unit, state);
+    }
+
+    /** @private */
+    _patrol(unit, state) {
+        if (state.mode === 'PATROL' && unit.waypoints) return;
+        if (state.mode === 'CHASE' && this.tuning.attacks) {
+            this._order({ type: 'ATTACK_TARGET', unitId: unit.id, targetUnitId: null });
+        }
+
+        state.mode = 'PATROL';
+        state.targetId = null;
+        state.lastGoal = null;
+
+        const waypoints = this._patrolLoop(state.home);
+        if (waypoints.length < 2) return;
+        this.stats.patrols++;
+        this._order({ type: 'PATH_DATA', unitId: unit.id, waypoints, closed: true });
+    }
+
+    /** @private */
+    _chase(unit, state, target) {
+        if (state.mode !== 'CHASE' || state.targetId !== target.id) {
+            this.stats.chases++;
+            state.mode = 'CHASE';
+            state.targetId = target.id;
+            state.lastGoal = null;
+            if (this.tuning.attacks && unit.shotStats) {
+                this._order({ type: 'ATTACK_TARGET', unitId: unit.id, targetUnitId: target.id });
+            }
+        }
+
+        if (state.lastGoal && Vec3.length(Vec3.sub(target.position, state.lastGoal)) < CHASE_REPLAN_DISTANCE) return;
+        state.lastGoal = { ...target.position };
+        this._order({ type: 'MOVE_TO', unitId: unit.id, goal: { ...target.position } });
+    }
+
+    /** @private */
+    _flee(unit, state, enemy) {
+        // Run out the current escape route first: a re-plan starts at the
+        // nearest graph node, which can lie back toward the enemy
+        const running = state.mode === 'FLEE' && unit.waypoints;
+        if (state.mode !== 'FLEE') this.stats.flees++;
+        state.mode = 'FLEE';
+        state.targetId = enemy.id;
+
+        const up = Vec3.normalize(unit.position);
+        const away = Vec3.projectOnPlane(Vec3.sub(unit.position, enemy.position), up);
+        if (Vec3.lengthSq(away) < 1e-12) return;
+        const awayDir = Vec3.normalize(away);
+
+        const planner = this.room.getPathPlanner();
+        for (const angle of FLEE_ANGLES) {
+            if (running) break;
+            const dir = rotateAbout(awayDir, up, angle);
+            const goal = this._surfacePoint(unit.position, Vec3.scale(dir, FLEE_DISTANCE));
+            if (!planner.isValidDestination(goal)) continue;
+            state.lastGoal = goal;
+            this._order({ type: 'MOVE_TO', unitId: unit.id, goal });
+            break;
+        }
+
+        if (this._mineIds.length < this.tuning.maxMines && this._rng.nextBool(this.tuning.mineChance)) {
+            this._layMine(this._surfacePoint(unit.position, Vec3.scale(awayDir, -MINE_DROP_DISTANCE)));
+        }
+    }
+
+    // ========================================
+    // Orders
+    // ========================================
+
+    /**
+     * Issue a command as this slot's player (Room.receiveInput).
+     * @private
+     */
+    _order(command) {
+        this.stats.commands++;
+        this.room.receiveInput(this.slot, command);
+    }
+
+    /**
+     * Place a mine (no-op without physics or at the mine cap).
+     * @private
+     */
+    _layMine(position) {
+        if (this.room.isUnderwater(position)) return;
+        const id = this.room.addMine(position);
+        if (id === null) return;
+        this._mineIds.push(id);
+        this.stats.minesLaid++;
+    }
+
+    /**
+     * Closed loop of PATROL_POINTS surface waypoints around home, starting
+     * at a seeded angle; waypoints under water are left out.
+     *
+     * @param {{x:number,y:number,z:number}} home
+     * @returns {Array<{x:number,y:number,z:number}>}
+     * @private
+     */
+    _patrolLoop(home) {
+        const n = Vec3.normalize(home);
+        const axis = Math.abs(n.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+        const t = Vec3.normalize(Vec3.cross(axis, n));
+        const b = Vec3.cross(n, t);
+
+        const phase = this._rng.nextFloat(0, Math.PI * 2);
+        const waypoints = [];
+        for (let i = 0; i < PATROL_POINTS; i++) {
+            const a = phase + (i / PATROL_POINTS) * Math.PI * 2;
+            const offset = Vec3.add(Vec3.scale(t, Math.cos(a) * this.patrolRadius), Vec3.scale(b, Math.sin(a) * this.patrolRadius));
+            const point = this._surfacePoint(home, offset);
+            if (!this.room.isUnderwater(point)) waypoints.push(point);
+        }
+        return waypoints;
+    }
+
+    /**
+     * Terrain surface point in the direction of from + offset.
+     * @private
+     */
+    _surfacePoint(from, offset) {
+        const dir = Vec3.normalize(Vec3.add(from, offset));
+        return Vec3.scale(dir, this.room.terrain.getRadiusAt(dir));
+    }
+}
+
+/**
+ * Closest unit by straight-line distance (ties: lowest ID, units sorted by ID).
+ * @private
+ */
+function nearestUnit(unit, others) {
+    let best = null;
+    let bestDistSq = Infinity;
+    for (const other of others) {
+        const distSq = Vec3.lengthSq(Vec3.sub(other.position, unit.position));
+        if (distSq < bestDistSq) {
+            best = other;
+            bestDistSq = distSq;
+        }
+    }
+    return best;
+}
+
+/**
+ * Rotate a tangent vector about a unit axis (Rodrigues, v ⟂ axis).
+ * @private
+ */
+function rotateAbout(v, axis, angle) {
+    if (angle === 0) return v;
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return Vec3.add(Vec3.scale(v, c), Vec3.scale(Vec3.cross(axis, v), s));
+}
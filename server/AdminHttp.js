@@ -0,0 +1,334 @@
+/**
+ * AdminHttp — Admin API and Prometheus /metrics for the combined server.
+ *
+ * Mounted in server/index.js in front of the static file server. Every route
+ * needs `Authorization: Bearer <token>` (ADMIN_TOKEN); without a configured
+ * token index.js does not mount the handler at all.
+ *
+ * Routes (JSON unless noted):
+ *   GET  /metrics                      Prometheus text format
+ *   GET  /admin/rooms                  [{ roomId, state, tick, players, units, clients }]
+ *   GET  /admin/rooms/:id              { room, snapshot } (full, unfiltered Room.getSnapshot())
+ *   POST /admin/rooms/:id/kick         { slot }                       → { closed }
+ *   POST /admin/rooms/:id/stop                                        → { stopped: true }
+ *   POST /admin/rooms/:id/explosion    { unitId } | { center }, [radius], [strength] → { results }
+ *   POST /admin/rooms/:id/mine         { position } | { unitId }, [options] → { mineId }
+ *
+ * Room routes need the authoritative GameServer (PHASE2A); without it they
+ * answer 404. Explosions and mines go through the Room APIs (physics rooms
+ * only) and are recorded in the room's replay.
+ *
+ * Metrics are counters (*_total, use rate() for message rates) and gauges:
+ * relay clients / messages / bytes received and relayed / rate-limit, oversize and join-token drops, resumes, rooms by
+ * state, per-room tick, players, units and tick duration (summary), and
+ * SERVER_SNAPSHOT frames / bytes sent.
+ *
+ * @module server/AdminHttp
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import { isFinitePoint } from '../src/SimCore/multiplayer/MessageSerializer.js';
+
+/** @type {number} Max admin request body (bytes) */
+const MAX_BODY_BYTES = 16 * 1024;
+
+/** @type {string[]} Room lifecycle states (rooms gauge is always complete) */
+const ROOM_STATES = ['WAITING', 'RUNNING', 'ENDED'];
+
+/**
+ * Create the admin request handler.
+ *
+ * @param {Object} options
+ * @param {string} options.token - Bearer token required on every route
+ * @param {import('./WsRelay.js').WsRelay} options.relay
+ * @param {import('./GameServer.js').GameServer|null} [options.gameServer] - null in relay-only mode
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => boolean}
+ *   Returns false for requests that are not admin routes (serve them elsewhere)
+ */
+export function createAdminHandler({ token, relay, gameServer = null }) {
+    if (!token) {
+        throw new Error('Admin token required');
+    }
+    const expected = Buffer.from(`Bearer ${token}`);
+
+    return (req, res) => {
+        const url = new URL(req.url || '/', 'http://localhost');
+        const isMetrics = url.pathname === '/metrics';
+        if (!isMetrics && url.pathname !== '/admin' && !url.pathname.startsWith('/admin/')) {
+            return false;
+        }
+
+        const given = Buffer.from(req.headers.authorization || '');
+        if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+            sendJson(res, 401, { error: 'Unauthorized' });
+            return true;
+        }
+
+        if (isMetrics) {
+            if (req.method !== 'GET') {
+                sendJson(res, 405, { error: 'Method not allowed' });
+                return true;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4', 'Cache-Control': 'no-cache' });
+            res.end(renderMetrics({ relay, gameServer }));
+            return true;
+        }
+
+        handleAdmin(req, res, url, gameServer).catch((err) => {
+            console.error('[AdminHttp] Request failed:', err.message);
+            if (!res.headersSent) sendJson(res, 500, { error: 'Internal error' });
+        });
+        return true;
+    };
+}
+
+// ========================================
+// Admin routes
+// ========================================
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {URL} url
+ * @param {import('./GameServer.js').GameServer|null} gameServer
+ * @returns {Promise<void>}
+ */
+async function handleAdmin(req, res, url, gameServer) {
+    if (!gameServer) {
+        sendJson(res, 404, { error: 'No authoritative server (start with PHASE2A=1)' });
+        return;
+    }
+
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    // parts[0] === 'admin'
+    if (parts[1] !== 'rooms') {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (parts.length === 2) {
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        sendJson(res, 200, gameServer.getRoomSummaries());
+        return;
+    }
+
+    const roomId = parts[2];
+    const room = gameServer.getRoom(roomId);
+    if (!room || parts.length > 4) {
+        sendJson(res, 404, { error: room ? 'Not found' : `Unknown room: ${roomId}` });
+        return;
+    }
+
+    const action = parts[3] ?? null;
+    if (action === null) {
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        const summary = gameServer.getRoomSummaries().find(r => r.roomId === roomId);
+        // Player endpoints are transport objects: list slot / id / name only
+        const players = Array.from(room.players, ([slot, p]) => ({ slot, id: p.id, name: p.name }));
+        sendJson(res, 200, { room: summary, snapshot: { ...room.getSnapshot(), players } });
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJsonBody(req);
+    } catch (err) {
+        sendJson(res, 400, { error: err.message });
+        return;
+    }
+
+    switch (action) {
+        case 'kick': {
+            if (!Number.isInteger(body.slot) || body.slot < 0) {
+                sendJson(res, 400, { error: 'slot must be a non-negative integer' });
+                return;
+            }
+            sendJson(res, 200, { closed: gameServer.kickSlot(roomId, body.slot) });
+            return;
+        }
+        case 'stop': {
+            gameServer.removeRoom(roomId);
+            sendJson(res, 200, { stopped: true });
+            return;
+        }
+        case 'explosion': {
+            const center = resolvePosition(room, body.center, body.unitId);
+            if (!center) {
+                sendJson(res, 400, { error: 'center or a known unitId required' });
+                return;
+            }
+            const radius = positiveOr(body.radius, 8);
+            const strength = positiveOr(body.strength, 6);
+            if (radius === null || strength === null) {
+                sendJson(res, 400, { error: 'radius and strength must be positive numbers' });
+                return;
+            }
+            if (!room.physics) {
+                sendJson(res, 409, { error: 'Room has no physics' });
+                return;
+            }
+            sendJson(res, 200, { results: room.triggerExplosion(center, radius, strength) });
+            return;
+        }
+        case 'mine': {
+            const position = resolvePosition(room, body.position, body.unitId);
+            if (!position) {
+                sendJson(res, 400, { error: 'position or a known unitId required' });
+                return;
+            }
+            if (!room.collisions) {
+                sendJson(res, 409, { error: 'Room has no physics' });
+                return;
+            }
+            const mineId = room.addMine(position, mineOptions(body.options));
+            if (mineId === null) {
+                sendJson(res, 409, { error: 'Mine limit reached' });
+                return;
+            }
+            sendJson(res, 200, { mineId });
+            return;
+        }
+        default:
+            sendJson(res, 404, { error: 'Not found' });
+    }
+}
+
+/**
+ * A point from the body, or the position of a unit.
+ * @returns {{x:number,y:number,z:number}|null}
+ */
+function resolvePosition(room, point, unitId) {
+    if (isFinitePoint(point)) return { x: point.x, y: point.y, z: point.z };
+    const unit = unitId != null ? room.units.find(u => u.id === unitId) : null;
+    return unit ? { ...unit.position } : null;
+}
+
+/** @returns {number|null} value if a positive number, fallback if absent, else null */
+function positiveOr(value, fallback) {
+    if (value == null) return fallback;
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/** Numeric mine overrides only (triggerRadius, upwardImpulse, radialImpulse, blastRadius) */
+function mineOptions(options) {
+    const out = {};
+    for (const key of ['triggerRadius', 'upwardImpulse', 'radialImpulse', 'blastRadius']) {
+        if (Number.isFinite(options?.[key]) && options[key] > 0) out[key] = options[key];
+    }
+    return out;
+}
+
+/**
+ * Read a JSON object body (empty body = {}).
+ * @returns {Promise<Object>}
+ * @throws {Error} On oversize or invalid JSON
+ */
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new Error('Body too large');
+        chunks.push(chunk);
+    }
+    if (size === 0) return {};
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        throw new Error('Invalid JSON');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('Body must be a JSON object');
+    }
+    return body;
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(data));
+}
+
+// ========================================
+// Metrics
+// ========================================
+
+/**
+ * Render the Prometheus text exposition.
+ *
+ * @param {Object} options
+ * @param {import('./WsRelay.js').WsRelay} options.relay
+ * @param {import('./GameServer.js').GameServer|null} [options.gameServer]
+ * @returns {string}
+ */
+export function renderMetrics({ relay, gameServer = null }) {
+    const out = [];
+    const metric = (name, type, help, samples) => {
+        out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value] of samples) {
+            out.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+    };
+
+    const stats = relay.stats;
+    metric('asterobia_relay_clients', 'gauge', 'Connected WebSocket clients.', [[null, relay.clientCount]]);
+    metric('asterobia_relay_channels', 'gauge', 'Channels with at least one subscriber.', [[null, relay.channels.size]]);
+    metric('asterobia_relay_messages_received_total', 'counter', 'Client frames received (including dropped).', [[null, stats.messagesReceived]]);
+    metric('asterobia_relay_bytes_received_total', 'counter', 'Client bytes received.', [[null, stats.bytesReceived]]);
+    metric('asterobia_relay_messages_relayed_total', 'counter', 'Broadcast frames delivered to subscribers.', [[null, stats.messagesRelayed]]);
+    metric('asterobia_relay_bytes_relayed_total', 'counter', 'Broadcast bytes delivered to subscribers.', [[null, stats.bytesRelayed]]);
+    metric('asterobia_relay_rate_limit_drops_total', 'counter', 'Client frames dropped by the per-client rate limit.', [[null, stats.rateLimitDrops]]);
+    metric('asterobia_relay_oversize_drops_total', 'counter', 'Broadcasts rejected as too large.', [[null, stats.oversizeDrops]]);
+    metric('asterobia_relay_join_token_drops_total', 'counter', 'Session channel frames rejected for a missing or invalid join token.', [[null, stats.joinTokenDrops]]);
+    metric('asterobia_relay_resumes_total', 'counter', 'Dropped clients resumed within the grace window.', [[null, stats.resumes]]);
+
+    if (!gameServer) return out.join('\n') + '\n';
+
+    const rooms = [...gameServer.rooms.values()];
+    metric('asterobia_rooms', 'gauge', 'Rooms by lifecycle state.',
+        ROOM_STATES.map(state => [{ state }, rooms.filter(r => r.state === state).length]));
+    metric('asterobia_room_tick', 'gauge', 'Current simulation tick.', rooms.map(r => [{ room: r.roomId }, r.simLoop.tickCount]));
+    metric('asterobia_room_players', 'gauge', 'Players in the room.', rooms.map(r => [{ room: r.roomId }, r.players.size]));
+    metric('asterobia_room_units', 'gauge', 'Units in the room.', rooms.map(r => [{ room: r.roomId }, r.units.length]));
+    metric('asterobia_room_spectators', 'gauge', 'Spectators watching the room.', rooms.map(r => [{ room: r.roomId }, gameServer.spectatorCount(r.roomId)]));
+
+    out.push('# HELP asterobia_room_tick_duration_seconds Wall-clock time per simulation tick.',
+        '# TYPE asterobia_room_tick_duration_seconds summary');
+    for (const r of rooms) {
+        const labels = formatLabels({ room: r.roomId });
+        out.push(`asterobia_room_tick_duration_seconds_sum${labels} ${formatValue(r.tickStats.totalMs / 1000)}`,
+            `asterobia_room_tick_duration_seconds_count${labels} ${r.tickStats.count}`);
+    }
+    metric('asterobia_room_tick_duration_max_seconds', 'gauge', 'Slowest simulation tick so far.',
+        rooms.map(r => [{ room: r.roomId }, r.tickStats.maxMs / 1000]));
+
+    metric('asterobia_snapshots_sent_total', 'counter', 'SERVER_SNAPSHOT frames sent (JSON and binary delta).', [[null, gameServer.stats.snapshotsSent]]);
+    metric('asterobia_snapshot_bytes_total', 'counter', 'SERVER_SNAPSHOT bytes sent.', [[null, gameServer.stats.snapshotBytes]]);
+    metric('asterobia_kicks_total', 'counter', 'Slots kicked through the admin API.', [[null, gameServer.stats.kicks]]);
+
+    return out.join('\n') + '\n';
+}
+
+/** @returns {string} `{a="1",b="2"}` or '' */
+function formatLabels(labels) {
+    if (!labels) return '';
+    const pairs = Object.entries(labels).map(([k, v]) =>
+        `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
@@ -0,0 +1,403 @@
+/**
+ * BotClient — Headless player for load testing the relay and GameServer.
+ *
+ * Drives a WebSocketTransport (Node: globalThis.WebSocket from 'ws') through
+ * the Phase 2A handshake exactly like a browser client:
+ *
+ *   host:  HOST_ANNOUNCE → JOIN_TOKEN (slot 0) → SPAWN_MANIFEST, then answers
+ *          guests' JOIN_REQ with JOIN_ACK (next free slot)
+ *   guest: JOIN_REQ → JOIN_TOKEN + JOIN_ACK (its guestId); learns its unit
+ *          ids from the SERVER_SNAPSHOTs that follow
+ *
+ * Once started it sends MOVE_INPUT and/or closed-loop PATH_DATA for its
+ * units at inputRateHz and consumes SERVER_SNAPSHOT (or, with
+ * binarySnapshots, SERVER_SNAPSHOT_BIN + SNAPSHOT_ACK) through a
+ * SnapshotBuffer. Input choices come from a SeededRNG, so the traffic a bot
+ * generates only depends on its seed and the snapshots it sees.
+ *
+ * Used by the load-test harness (server/LoadHarness.js, server/loadtest.js).
+ *
+ * @module server/BotClient
+ */
+
+import { WebSocketTransport } from '../src/SimCore/transport/WebSocketTransport.js';
+import { SnapshotBuffer } from '../src/SimCore/net/SnapshotBuffer.js';
+import { SeededRNG } from '../src/SimCore/runtime/SeededRNG.js';
+import { Vec3 } from './SphereMath.js';
+import { MSG, SNAPSHOT_ENCODING } from '../src/SimCore/multiplayer/MessageTypes.js';
+import {
+    createHello,
+    createHostAnnounce,
+    createJoinReq,
+    createJoinAckAccepted,
+    createSpawnManifest,
+    createMoveInput,
+    createPathData,
+    createSnapshotAck,
+    decodeServerSnapshotBin,
+    MessageValidationError
+} from '../src/SimCore/multiplayer/MessageSerializer.js';
+
+/** @typedef {'keys' | 'path' | 'mixed'} BotPattern */
+
+/** @type {number} Default time allowed for the join handshake (ms) */
+const DEFAULT_JOIN_TIMEOUT_MS = 10000;
+
+/** @type {number} Waypoints in a patrol loop */
+const PATROL_POINTS = 6;
+
+/** @type {number} Patrol loop radius around the unit (world units, well under the 200 segment limit) */
+const PATROL_RADIUS = 6;
+
+/** @type {number} Input ticks a held key combination lasts */
+const KEY_HOLD_TICKS = 10;
+
+/** @type {number} Highest player slot a host bot hands out (GameServer MAX_SLOT) */
+const MAX_GUEST_SLOT = 10;
+
+export class BotClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Relay URL (ws://host:port)
+     * @param {string} options.roomId - Room to host or join
+     * @param {string} options.botId - Client id (HELLO clientId, JOIN_REQ guestId)
+     * @param {'host'|'guest'} [options.role='guest']
+     * @param {BotPattern} [options.pattern='mixed'] - MOVE_INPUT only, PATH_DATA only, or both
+     * @param {number} [options.inputRateHz=10] - Input messages per second
+     * @param {number} [options.units=1] - Units in the host's SPAWN_MANIFEST
+     * @param {number} [options.unitIdBase=1] - First manifest unit id (host)
+     * @param {boolean} [options.binarySnapshots=false] - Offer the binary delta snapshot encoding
+     * @param {number} [options.seed=1] - SeededRNG seed for input choices
+     * @param {number} [options.joinTimeoutMs=10000] - Max wait for the handshake
+     */
+    constructor(options) {
+        this.url = options.url;
+        this.roomId = options.roomId;
+        this.botId = options.botId;
+        this.role = options.role || 'guest';
+        this.pattern = options.pattern || 'mixed';
+        this.inputRateHz = options.inputRateHz ?? 10;
+        this.unitCount = options.units ?? 1;
+        this.unitIdBase = options.unitIdBase ?? 1;
+        this.binarySnapshots = !!options.binarySnapshots;
+        this.joinTimeoutMs = options.joinTimeoutMs ?? DEFAULT_JOIN_TIMEOUT_MS;
+
+        /** @type {string} Session channel of the room */
+        this.channel = `asterobia:session:${this.roomId}`;
+
+        /** @type {number|null} Assigned player slot (null until joined) */
+        this.slot = null;
+
+        /** @type {number[]} Ids of the units this bot drives */
+        this.unitIds = [];
+
+        /** @type {SnapshotBuffer} Received snapshots (resolves binary deltas) */
+        this.snapshots = new SnapshotBuffer();
+
+        /**
+         * Traffic and handshake counters.
+         * missedSnapshots counts ticks skipped between accepted snapshots
+         * (the server sends one per tick).
+         * @type {{ joinMs: number|null, moveInputsSent: number, pathsSent: number, acksSent: number, snapshotsReceived: number, missedSnapshots: number, badSnapshots: number, errors: number }}
+         */
+        this.stats = {
+            joinMs: null,
+            moveInputsSent: 0,
+            pathsSent: 0,
+            acksSent: 0,
+            snapshotsReceived: 0,
+            missedSnapshots: 0,
+            badSnapshots: 0,
+            errors: 0
+        };
+
+        /** @type {WebSocketTransport|null} */
+        this._transport = null;
+
+        /** @type {SeededRNG} */
+        this._rng = new SeededRNG(options.seed ?? 1);
+
+        /** @type {number} Next slot a host bot assigns */
+        this._nextGuestSlot = 1;
+
+        /** @type {number} MOVE_INPUT prediction sequence */
+        this._inputSeq = 0;
+
+        /** @type {number} Input ticks sent so far (drives key hold and unit rotation) */
+        this._inputTick = 0;
+
+        /** @type {{ forward: boolean, backward: boolean, left: boolean, right: boolean }} */
+        this._keys = { forward: false, backward: false, left: false, right: false };
+
+        /** @type {number} Tick of the last accepted snapshot (-1 = none) */
+        this._lastTick = -1;
+
+        /** @type {Function|null} Resolves connect() once the handshake completes */
+        this._onJoined = null;
+
+        /** @type {ReturnType<typeof setInterval>|null} */
+        this._inputTimer = null;
+    }
+
+    /**
+     * Open the socket and complete the host or guest handshake.
+     * A host bot must be connected before its guests.
+     *
+     * @returns {Promise<void>}
+     * @throws {Error} If the handshake does not complete within joinTimeoutMs
+     */
+    async connect() {
+        const startedMs = Date.now();
+        this._transport = new WebSocketTransport({ url: this.url, connectTimeoutMs: this.joinTimeoutMs });
+
+        let timer = null;
+        const joined = new Promise((resolve, reject) => {
+            this._onJoined = resolve;
+            timer = setTimeout(() => reject(new Error(`Bot ${this.botId}: join timed out in room ${this.roomId}`)), this.joinTimeoutMs);
+        });
+        joined.catch(() => {}); // Rejection is surfaced by the await below
+
+        try {
+            await this._transport.joinChannel(this.channel, (msg) => this._onMessage(msg));
+            if (this.role === 'host') {
+                await this._send(createHostAnnounce({ hostId: this.roomId, sessionName: this.roomId, hostDisplayName: this.botId }));
+            } else {
+                await this._send(createJoinReq({ guestId: this.botId, displayName: this.botId }));
+            }
+            await joined;
+        } catch (err) {
+            this.disconnect();
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        this.stats.joinMs = Date.now() - startedMs;
+    }
+
+    /**
+     * Start sending input at inputRateHz.
+     */
+    start() {
+        if (this._inputTimer !== null || this.inputRateHz <= 0) return;
+        this._inputTimer = setInterval(() => this._sendInput(), 1000 / this.inputRateHz);
+    }
+
+    /**
+     * Stop sending input (the socket stays open).
+     */
+    stop() {
+        if (this._inputTimer !== null) {
+            clearInterval(this._inputTimer);
+            this._inputTimer = null;
+        }
+    }
+
+    /**
+     * Stop input and close the socket.
+     */
+    disconnect() {
+        this.stop();
+        this._transport?.disconnect();
+        this._transport = null;
+    }
+
+    // ========================================
+    // Handshake + snapshots
+    // ========================================
+
+    /** @private */
+    _onMessage(msg) {
+        switch (msg?.type) {
+            case MSG.JOIN_TOKEN:
+                this._transport.setChannelToken(this.channel, msg.token);
+                if (this.role === 'host' && this.slot === null) {
+                    this.slot = msg.slot;
+                    this._startHosting();
+                }
+                break;
+            case MSG.JOIN_ACK:
+                if (this.role === 'guest' && this.slot === null && msg.accepted && msg.guestId === this.botId) {
+                    this.slot = msg.assignedSlot;
+                    this._joined();
+                }
+                break;
+            case MSG.JOIN_REQ:
+                if (this.role === 'host') this._acceptGuest(msg);
+                break;
+            case MSG.SERVER_SNAPSHOT:
+                this._onSnapshot(msg);
+                break;
+            case MSG.SERVER_SNAPSHOT_BIN:
+                this._onSnapshotBin(msg);
+                break;
+        }
+    }
+
+    /** @private */
+    async _startHosting() {
+        const units = [];
+        for (let i = 0; i < this.unitCount; i++) {
+            const angle = (i / this.unitCount) * Math.PI * 2;
+            units.push({ id: this.unitIdBase + i, ownerSlot: 0, modelIndex: i % 5, px: Math.sin(angle), py: 0.2, pz: Math.cos(angle) });
+        }
+        this.unitIds = units.map(u => u.id);
+
+        await this._sendHello();
+        await this._send(createSpawnManifest({ units }));
+        this._joined();
+    }
+
+    /** @private */
+    async _acceptGuest(msg) {
+        if (typeof msg.guestId !== 'string' || this._nextGuestSlot > MAX_GUEST_SLOT) return;
+        await this._send(createJoinAckAccepted({
+            assignedSlot: this._nextGuestSlot++,
+            simTick: 0,
+            fullSnapshot: null,
+            hostDisplayName: this.botId,
+            guestId: msg.guestId
+        }));
+    }
+
+    /** @private */
+    async _joined() {
+        if (this.role === 'guest') await this._sendHello();
+        this._onJoined?.();
+        this._onJoined = null;
+    }
+
+    /**
+     * HELLO offering the binary encoding (no HELLO = JSON snapshots).
+     * @private
+     */
+    async _sendHello() {
+        if (!this.binarySnapshots) return;
+        await this._send(createHello(this.botId, { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] }));
+    }
+
+    /** @private */
+    _onSnapshot(snapshot) {
+        if (!this.snapshots.push(snapshot)) return false;
+
+        this.stats.snapshotsReceived++;
+        if (this._lastTick >= 0 && snapshot.tick > this._lastTick + 1) {
+            this.stats.missedSnapshots += snapshot.tick - this._lastTick - 1;
+        }
+        this._lastTick = snapshot.tick;
+
+        // Guests learn their units from the server (created on JOIN_ACK)
+        if (this.role === 'guest' && this.slot !== null) {
+            this.unitIds = snapshot.units.filter(u => u.ownerSlot === this.slot).map(u => u.id);
+        }
+        return true;
+    }
+
+    /**
+     * Decode, buffer and acknowledge a binary snapshot; a delta without its
+     * baseline is answered with tick -1 (keyframe), like SessionManager.
+     * @private
+     */
+    _onSnapshotBin(msg) {
+        let snapshot;
+        try {
+            snapshot = decodeServerSnapshotBin(msg);
+        } catch (err) {
+            if (!(err instanceof MessageValidationError)) throw err;
+            this.stats.badSnapshots++;
+            return;
+        }
+
+        if (this._onSnapshot(snapshot)) {
+            this._sendAck(snapshot.tick);
+        } else if (snapshot.baseTick != null && snapshot.tick > this._lastTick) {
+            this._sendAck(-1);
+        }
+    }
+
+    /** @private */
+    _sendAck(tick) {
+        this.stats.acksSent++;
+        this._send(createSnapshotAck({ tick }));
+    }
+
+    // ========================================
+    // Input patterns
+    // ========================================
+
+    /**
+     * One input tick: a MOVE_INPUT or a patrol PATH_DATA for the next unit.
+     * @private
+     */
+    _sendInput() {
+        if (this.unitIds.length === 0) return;
+        const unitId = this.unitIds[this._inputTick % this.unitIds.length];
+        this._inputTick++;
+
+        const usePath = this.pattern === 'path' || (this.pattern === 'mixed' && this._rng.next() < 0.1);
+        const waypoints = usePath ? this._patrolLoop(unitId) : null;
+        if (waypoints) {
+            const msg = createPathData({ unitId, waypoints });
+            msg.closed = true;
+            this.stats.pathsSent++;
+            this._send(msg);
+            return;
+        }
+
+        if (this._inputTick % KEY_HOLD_TICKS === 1) {
+            this._keys = {
+                forward: this._rng.nextBool(0.7),
+                backward: false,
+                left: this._rng.nextBool(0.3),
+                right: this._rng.nextBool(0.3)
+            };
+            if (!this._keys.forward) this._keys.backward = this._rng.nextBool(0.5);
+        }
+        this.stats.moveInputsSent++;
+        this._send(createMoveInput({ ...this._keys, unitId, seq: this._inputSeq++ }));
+    }
+
+    /**
+     * Closed loop of PATROL_POINTS waypoints around the unit's last known
+     * position, on the sphere through it.
+     *
+     * @param {number} unitId
+     * @returns {Array<{x:number,y:number,z:number}>|null} null until a snapshot placed the unit
+     * @private
+     */
+    _patrolLoop(unitId) {
+        const unit = this.snapshots.latest?.units.find(u => u.id === unitId);
+        if (!unit) return null;
+
+        const position = { x: unit.px, y: unit.py, z: unit.pz };
+        const r = Vec3.length(position);
+        if (r === 0) return null;
+        const n = Vec3.scale(position, 1 / r);
+
+        // Tangent basis at the unit (any axis not parallel to n)
+        const axis = Math.abs(n.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+        const t = Vec3.normalize(Vec3.cross(axis, n));
+        const b = Vec3.cross(n, t);
+
+        const phase = this._rng.nextFloat(0, Math.PI * 2);
+        const waypoints = [];
+        for (let i = 0; i < PATROL_POINTS; i++) {
+            const a = phase + (i / PATROL_POINTS) * Math.PI * 2;
+            const offset = Vec3.add(Vec3.scale(t, Math.cos(a) * PATROL_RADIUS), Vec3.scale(b, Math.sin(a) * PATROL_RADIUS));
+            waypoints.push(Vec3.scale(Vec3.normalize(Vec3.add(position, offset)), r));
+        }
+        return waypoints;
+    }
+
+    /**
+     * Broadcast on the session channel (fire-and-forget for input traffic).
+     * @private
+     */
+    _send(msg) {
+        if (!this._transport) return Promise.resolve();
+        return this._transport.broadcastToChannel(this.channel, msg).catch(() => {
+            this.stats.errors++;
+        });
+    }
+}
+
@@ -0,0 +1,182 @@
+/**
+ * CarrierService — Authoritative Unit Carrier (PICKUP_UNIT / DROP_UNIT).
+ *
+ * Implements ASTEROBIA_CANONICAL_FEATURE_UNIT_CARRIER_2026-01-13 (Demo 1.0):
+ *   - One carried unit per carrier, any friendly unit (same ownerSlot)
+ *   - Pickup requires the target within pickupRadius; drop within dropRadius
+ *   - Carried units follow the carrier (attachment offset along carrier "up"),
+ *     their own movement / fire / work are disabled
+ *   - Carrying slows the carrier: effectiveSpeed = moveSpeed * carrierEff
+ *   - Drop re-projects the unit onto the terrain (never inside terrain)
+ *
+ * Physics detach/re-attach is done by Room (it owns rigid bodies); this
+ * service only decides and mutates unit carry state.
+ *
+ * Seat authority (M07): a unit driven by another slot (selectedBySlot) cannot
+ * be picked up, and the carried unit keeps its owner + seat while carried.
+ *
+ * Determinism:
+ *   - Carried units updated sorted by ID
+ *   - No Math.random
+ *
+ * @module server/CarrierService
+ */
+
+import { Vec3, Quat } from './SphereMath.js';
+
+// ============================================================
+// Calibration defaults (spec §8 console knobs)
+// ============================================================
+
+/** @type {number} Max carrier→target distance for pickup (world units) */
+const DEFAULT_PICKUP_RADIUS = 3;
+
+/** @type {number} Max carrier→drop point distance (world units) */
+const DEFAULT_DROP_RADIUS = 4;
+
+/** @type {number} Attachment height of the carried unit above the carrier */
+const DEFAULT_CARRY_OFFSET = 1.2;
+
+/** @type {number} Default drop distance ahead of the carrier (clears its collider) */
+const DEFAULT_DROP_AHEAD = 1.5;
+
+/**
+ * @typedef {'OK' | 'NO_CARRIER' | 'NOT_OWNER' | 'NOT_CARRIER' | 'BUSY' | 'BAD_TARGET' | 'NOT_FRIENDLY' | 'SEATED' | 'OUT_OF_RANGE'} CarryCheck
+ */
+
+export class CarrierService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.pickupRadius=3] - Pickup radius
+     * @param {number} [options.dropRadius=4] - Max drop distance from the carrier
+     * @param {number} [options.carryOffset=1.2] - Carried unit height above the carrier
+     * @param {number} [options.dropAhead=1.5] - Default drop distance ahead of the carrier
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.pickupRadius = options.pickupRadius ?? DEFAULT_PICKUP_RADIUS;
+
+        /** @type {number} */
+        this.dropRadius = options.dropRadius ?? DEFAULT_DROP_RADIUS;
+
+        /** @type {number} */
+        this.carryOffset = options.carryOffset ?? DEFAULT_CARRY_OFFSET;
+
+        /** @type {number} */
+        this.dropAhead = options.dropAhead ?? DEFAULT_DROP_AHEAD;
+    }
+
+    /**
+     * Check whether `carrier` may pick up `target` for the sending slot.
+     *
+     * @param {import('./HeadlessUnit.js').HeadlessUnit|undefined} carrier
+     * @param {import('./HeadlessUnit.js').HeadlessUnit|undefined} target
+     * @param {number|null} [sourceSlot] - Sender slot (null = server-internal)
+     * @param {{ x: number, y: number, z: number }} [targetPosition] - Target position for the
+     *   range check (lag compensation: where the client saw it; default: present)
+     * @returns {CarryCheck}
+     */
+    checkPickup(carrier, target, sourceSlot = null, targetPosition = undefined) {
+        if (!carrier) return 'NO_CARRIER';
+        if (sourceSlot != null && carrier.ownerSlot !== sourceSlot) return 'NOT_OWNER';
+        if (carrier.disabled || carrier.carrierEfficiency <= 0) return 'NOT_CARRIER';
+        if (carrier.carriedBy != null || carrier.carryingUnitId != null) return 'BUSY';
+        if (carrier.physicsMode === 'DYNAMIC') return 'BUSY';
+
+        if (!target || target === carrier || target.disabled) return 'BAD_TARGET';
+        if (target.carriedBy != null || target.carryingUnitId != null) return 'BAD_TARGET';
+        if (target.physicsMode === 'DYNAMIC') return 'BAD_TARGET';
+        if (target.ownerSlot !== carrier.ownerSlot) return 'NOT_FRIENDLY';
+
+        // Seat rule: someone else is driving the target
+        const seat = target.selectedBySlot;
+        if (seat != null && sourceSlot != null && seat !== sourceSlot) return 'SEATED';
+
+        const distSq = Vec3.lengthSq(Vec3.sub(targetPosition ?? target.position, carrier.position));
+        if (distSq > this.pickupRadius * this.pickupRadius) return 'OUT_OF_RANGE';
+
+        return 'OK';
+    }
+
+    /**
+     * Attach `target` to `carrier` (caller has checked and detached physics).
+     *
+     * @param {import('./HeadlessUnit.js').HeadlessUnit} carrier
+     * @param {import('./HeadlessUnit.js').HeadlessUnit} target
+     */
+    pickup(carrier, target) {
+        target.attachTo(carrier, this.carryOffset);
+        carrier.setCarrying(target.id);
+        target.followCarrier(carrier);
+    }
+
+    /**
+     * Resolve where a drop lands: the requested point if within dropRadius,
+     * else `dropAhead` in front of the carrier. Returns a direction from the
+     * planet center (caller re-projects onto the terrain).
+     *
+     * @param {import('./HeadlessUnit.js').HeadlessUnit} carrier
+     * @param {{ x: number, y: number, z: number }|null} [point] - Requested drop point
+     * @returns {{ x: number, y: number, z: number }|null} Drop direction, or null if out of range
+     */
+    resolveDropDirection(carrier, point) {
+        if (point) {
+            const distSq = Vec3.lengthSq(Vec3.sub(point, carrier.position));
+            if (distSq > this.dropRadius * this.dropRadius) return null;
+            return Vec3.normalize(point);
+        }
+
+        // Local -Z is the facing direction (HeadlessUnit orientation convention)
+        const forward = Quat.rotateVec3(carrier.orientation, { x: 0, y: 0, z: -1 });
+        const ahead = Vec3.scale(forward, this.dropAhead);
+        return Vec3.normalize(Vec3.add(carrier.position, ahead));
+    }
+
+    /**
+     * Release the carried unit at a direction (re-projected onto the terrain).
+     *
+     * @param {import('./HeadlessUnit.js').HeadlessUnit} carrier
+     * @param {import('./HeadlessUnit.js').HeadlessUnit} carried
+     * @param {{ x: number, y: number, z: number }} direction
+     * @param {import('./ServerTerrain.js').ServerTerrain} terrain
+     */
+    drop(carrier, carried, direction, terrain) {
+        carrier.setCarrying(null);
+        carried.detachAt(direction, terrain);
+    }
+
+    /**
+     * Move carried units with their carriers. Carriers that were destroyed
+     * drop their load just ahead; a load whose carrier is gone lands below it.
+     *
+     * @param {import('./HeadlessUnit.js').HeadlessUnit[]} units
+     * @returns {import('./HeadlessUnit.js').HeadlessUnit[]} Units released this tick (need physics re-attach)
+     */
+    updateCarried(units) {
+        const released = [];
+        const byId = new Map();
+        for (const u of units) {
+            if (u != null) byId.set(u.id, u);
+        }
+
+        const carried = [...byId.values()]
+            .filter(u => u.carriedBy != null)
+            .sort((a, b) => a.id - b.id);
+
+        for (const unit of carried) {
+            const carrier = byId.get(unit.carriedBy);
+            if (!carrier || carrier.disabled || carrier.carryingUnitId !== unit.id) {
+                if (carrier && carrier.carryingUnitId === unit.id) carrier.setCarrying(null);
+                const direction = carrier
+                    ? this.resolveDropDirection(carrier, null)
+                    : Vec3.normalize(unit.position);
+                unit.detachAt(direction, unit.terrain);
+                released.push(unit);
+                continue;
+            }
+            unit.followCarrier(carrier);
+        }
+
+        return released;
+    }
+}
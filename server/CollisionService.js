@@ -8,6 +8,7 @@
  * Design:
  *   - Distance-based overlap check (predictable, deterministic)
  *   - Units sorted by ID before processing (determinism guarantee)
+ *   - Carried units (carriedBy set) are skipped: they have no physics presence
  *   - NaN/Infinity defense on all inputs
  *   - Bounded: caps on mines, impulse magnitudes
  *   - No Math.random
@@ -182,7 +183,7 @@ export class CollisionService {
 
         // Sort by ID for determinism
         const sorted = [...units]
-            .filter(u => u != null && u.physicsMode === 'KINEMATIC' && u._reentryCooldown <= 0 && u.rigidBody)
+            .filter(u => u != null && u.physicsMode === 'KINEMATIC' && u._reentryCooldown <= 0 && u.rigidBody && u.carriedBy == null)
             .sort((a, b) => a.id - b.id);
 
         const results = [];
@@ -253,7 +254,7 @@ export class CollisionService {
 
         // Sort units by ID for determinism
         const sorted = [...units]
-            .filter(u => u != null && u.physicsMode === 'KINEMATIC' && u._reentryCooldown <= 0 && u.rigidBody)
+            .filter(u => u != null && u.physicsMode === 'KINEMATIC' && u._reentryCooldown <= 0 && u.rigidBody && u.carriedBy == null)
             .sort((a, b) => a.id - b.id);
 
         // Sort obstacles by handle for determinism
@@ -316,7 +317,7 @@ export class CollisionService {
 
         // Sort KINEMATIC units by ID
         const sortedUnits = [...units]
-            .filter(u => u != null && u.physicsMode === 'KINEMATIC' && u.rigidBody)
+            .filter(u => u != null && u.physicsMode === 'KINEMATIC' && u.rigidBody && u.carriedBy == null)
             .sort((a, b) => a.id - b.id);
 
         // Track mines to remove (don't modify map during iteration)
@@ -382,4 +383,41 @@ export class CollisionService {
         this._mines.clear();
         this._nextMineId = 1;
     }
+
+    // ============================================================
+    // Persistence (save/resume)
+    // ============================================================
+
+    /**
+     * Serialize active mines to a JSON-safe object.
+     *
+     * @returns {{ nextMineId: number, mines: Mine[] }}
+     */
+    serialize() {
+        return {
+            nextMineId: this._nextMineId,
+            mines: [...this._mines.values()]
+                .sort((a, b) => a.id - b.id)
+                .map(m => ({ ...m, position: { ...m.position } }))
+        };
+    }
+
+    /**
+     * Restore mines from serialize() output (replaces current mines).
+     * Entries with an invalid position are dropped.
+     *
+     * @param {{ nextMineId?: number, mines?: Mine[] }} data
+     */
+    restore(data) {
+        if (!data) return;
+
+        this._mines.clear();
+        let maxId = 0;
+        for (const m of data.mines || []) {
+            if (!isValidVec3(m.position)) continue;
+            this._mines.set(m.id, { ...m, position: { ...m.position } });
+            maxId = Math.max(maxId, m.id);
+        }
+        this._nextMineId = Math.max(data.nextMineId ?? 1, maxId + 1);
+    }
 }
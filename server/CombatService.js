@@ -0,0 +1,160 @@
+/**
+ * CombatService — Deterministic server-side weapon fire resolution (WPN_SHOOT).
+ *
+ * Separation: Room.js delegates shot resolution here instead of growing
+ * _onSimTick(). Called once per sim tick, after movement, so range checks
+ * use this tick's authoritative positions.
+ *
+ * Design:
+ *   - Persistent intent: ATTACK_TARGET sets unit.attackTargetId, the service
+ *     fires whenever the target is in range and the weapon is off cooldown
+ *   - Stats from the unit's bound blueprint (HeadlessUnit.shotStats:
+ *     range / power / interval from StatsEngine.computeShotSubStats)
+ *   - Cooldown is tick-based (interval seconds → whole ticks), no wall clock
+ *   - Shooters sorted by ID before processing (determinism guarantee)
+ *   - Damage via HeadlessUnit.takeDamage() (UnitModel.takeDamage semantics)
+ *   - No Math.random (no accuracy spread yet — every valid shot hits)
+ *   - Lag compensation: on the tick an ATTACK_TARGET order arrives, the range
+ *     check may use the target's position as the ordering client saw it
+ *     (Room supplies it from PositionHistory)
+ *
+ * @module server/CombatService
+ */
+
+import { Vec3 } from './SphereMath.js';
+
+// ============================================================
+// Constants
+// ============================================================
+
+/** @type {number} Hard cap on shots resolved per tick (bounds per-tick work) */
+const DEFAULT_MAX_SHOTS_PER_TICK = 64;
+
+/** @type {number} Hard cap on weapon range (world units), regardless of blueprint */
+const DEFAULT_MAX_RANGE = 200;
+
+/**
+ * @typedef {Object} HitEvent
+ * @property {number} shooterId - Unit that fired
+ * @property {number} targetId - Unit that was hit
+ * @property {number} damage - Damage applied (before shield absorption)
+ * @property {number} hp - Target hp after the hit
+ */
+
+/**
+ * @typedef {Object} KillEvent
+ * @property {number} shooterId - Unit that fired the killing shot
+ * @property {number} targetId - Unit that was disabled
+ */
+
+/**
+ * @typedef {Object} CombatTickResult
+ * @property {HitEvent[]} hits
+ * @property {KillEvent[]} kills
+ */
+
+export class CombatService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxShotsPerTick=64] - Hard cap on shots per tick
+     * @param {number} [options.maxRange=200] - Hard cap on effective weapon range
+     * @param {boolean} [options.friendlyFire=false] - Allow targeting units of the same owner slot
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.maxShotsPerTick = options.maxShotsPerTick ?? DEFAULT_MAX_SHOTS_PER_TICK;
+
+        /** @type {number} */
+        this.maxRange = options.maxRange ?? DEFAULT_MAX_RANGE;
+
+        /** @type {boolean} */
+        this.friendlyFire = !!options.friendlyFire;
+
+        /** @type {number} Total shots fired (diagnostic) */
+        this.totalShots = 0;
+    }
+
+    /**
+     * Check whether a shooter may be ordered to attack a target at all
+     * (ignores range and cooldown, which are re-checked every tick).
+     *
+     * @param {import('./HeadlessUnit.js').HeadlessUnit} shooter
+     * @param {import('./HeadlessUnit.js').HeadlessUnit|undefined} target
+     * @returns {boolean}
+     */
+    canTarget(shooter, target) {
+        if (!shooter || !target) return false;
+        if (shooter === target) return false;
+        if (shooter.disabled || target.disabled) return false;
+        if (!shooter.shotStats) return false;
+        // Carried units ride along without firing (UNIT_CARRIER)
+        if (shooter.carriedBy != null) return false;
+        if (!this.friendlyFire && shooter.ownerSlot === target.ownerSlot) return false;
+        return true;
+    }
+
+    /**
+     * Resolve all pending attack intents for this tick.
+     *
+     * For each shooter with an attackTargetId (sorted by ID):
+     *   - target missing or disabled → intent cleared
+     *   - out of range → hold fire (intent kept)
+     *   - on cooldown → hold fire
+     *   - otherwise → apply power as damage, start cooldown
+     *
+     * @param {import('./HeadlessUnit.js').HeadlessUnit[]} units - All units in the room
+     * @param {number} tick - Current sim tick
+     * @param {number} dtSec - Fixed timestep in seconds (converts interval to ticks)
+     * @param {Map<number, {x:number,y:number,z:number}>} [sightings] - shooterId → target
+     *   position as the ordering client saw it (lag-compensated range check, this tick only)
+     * @returns {CombatTickResult}
+     */
+    resolveTick(units, tick, dtSec, sightings = null) {
+        const hits = [];
+        const kills = [];
+        if (!units || units.length === 0) return { hits, kills };
+
+        const byId = new Map();
+        for (const u of units) {
+            if (u != null) byId.set(u.id, u);
+        }
+
+        const shooters = [...byId.values()]
+            .filter(u => u.attackTargetId != null)
+            .sort((a, b) => a.id - b.id);
+
+        let shots = 0;
+        for (const shooter of shooters) {
+            if (shots >= this.maxShotsPerTick) break;
+
+            const target = byId.get(shooter.attackTargetId);
+            if (!this.canTarget(shooter, target)) {
+                shooter.attackTargetId = null;
+                continue;
+            }
+
+            if (tick < shooter.nextFireTick) continue;
+
+            const range = Math.min(shooter.shotStats.range, this.maxRange);
+            const targetPosition = sightings?.get(shooter.id) ?? target.position;
+            const distSq = Vec3.lengthSq(Vec3.sub(targetPosition, shooter.position));
+            if (distSq > range * range) continue;
+
+            const damage = shooter.shotStats.power;
+            const killed = target.takeDamage(damage);
+
+            const cooldownTicks = Math.max(1, Math.round(shooter.shotStats.interval / dtSec));
+            shooter.nextFireTick = tick + cooldownTicks;
+
+            hits.push({ shooterId: shooter.id, targetId: target.id, damage, hp: target.hp });
+            if (killed) {
+                kills.push({ shooterId: shooter.id, targetId: target.id });
+            }
+
+            shots++;
+            this.totalShots++;
+        }
+
+        return { hits, kills };
+    }
+}
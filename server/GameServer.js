@@ -4,16 +4,102 @@
  * Manages Room instances (each Room is one active match).
  * Phase 2A: Server authority — owns entity lifecycle, routes inputs via
  * transport-authenticated identity, broadcasts SERVER_SNAPSHOT.
+ * Interest management: each slot's SERVER_SNAPSHOT holds only its own units
+ * and the enemies it sees, sent to that slot's sockets only (Room.visibility).
+ * Clients that offer 'binary-delta-v1' in HELLO get SERVER_SNAPSHOT as
+ * SERVER_SNAPSHOT_BIN, delta-encoded per socket (SnapshotStream); others keep JSON.
  *
  * Security: NEVER trusts payload.sourceSlot. Uses _clientSlots map
- * populated from relay's server-assigned client.id.
+ * populated from relay's server-assigned client.id. With joinTokenSecret set
+ * (shared with WsRelay), each socket mapped to a slot gets a JOIN_TOKEN
+ * (server/JoinToken) and is admitted to the session channel; the relay then
+ * checks the token on every broadcast there, and sockets without one cannot
+ * hear the room or send more than the join handshake. Server-only frames
+ * (SERVER_SNAPSHOT, SCAN_REVEAL, JOIN_TOKEN...) sent by clients are dropped;
+ * host-only frames (CMD_BATCH, HOST_LEAVE...) are relayed from a slot 0
+ * token only, and slot fields in a payload must match the sender's token.
+ *
+ * Reconnects: a client the relay parks for its resume grace window keeps its
+ * slot mapping; the room hears PLAYER_CONNECTION reconnecting, then active
+ * when it resumes (the relay replays the frames it missed; if that buffer
+ * overflowed the server sends a keyframe and the full scan and terrain
+ * state instead) or
+ * disconnected when it is gone for good.
+ *
+ * Save/resume: with checkpointDir set, RUNNING rooms are checkpointed to disk
+ * periodically (RoomSave envelopes via RoomCheckpointStore) and restoreRooms()
+ * resumes them on boot. A restored room waits for its host to re-announce
+ * on the room's session channel with the hostSecret whose hash was saved
+ * with it (hostSecret is stripped from HOST_ANNOUNCE before relaying) and
+ * gets the room's scan and terrain state back; guests re-map through the MOVE_INPUT fallback (with join tokens they have
+ * to rejoin: a new socket cannot send MOVE_INPUT before it is admitted).
+ *
+ * Replays: with replayDir set, rooms record replays (server/Replay), written
+ * when a room is removed and on saveReplays() (server shutdown).
+ *
+ * Lobby: on the lobby channel the server answers LOBBY_CREATE (room with
+ * settings + join code), LOBBY_LIST (public rooms) and LOBBY_JOIN (join code
+ * -> roomId) to the requesting socket only. The creator's HOST_ANNOUNCE takes
+ * the host slot of its lobby room. A client holds at most one unclaimed lobby
+ * room: creating another replaces it, and disconnecting frees it. Rooms
+ * without connected clients are removed after emptyRoomTimeoutMs.
+ *
+ * Spectators: a SPECTATE_REQ on asterobia:spectate:<roomId> registers the
+ * socket as a spectator (no slot, no seats, never in _clientSlots). The room's
+ * full, unfiltered SERVER_SNAPSHOT goes through a SpectatorFeed and reaches
+ * spectators spectatorDelayMs late, so watching along cannot be used to see
+ * through the fog live. SPECTATE_ACK carries the Terrain Shaping layer as of
+ * the delayed stream. Client frames on spectate channels are never relayed.
+ *
+ * Matera transport: every slot gets a home depot at its first unit when the
+ * manifest starts the room, the guest joins (JOIN_ACK) or the AI is added.
+ *
+ * AI opponents: addAIPlayer() puts a scripted AIController on a free slot
+ * (highest first, clear of the host's JOIN_ACK slots) with one unit; with
+ * aiOpponent set, every room gets one when its manifest starts it. Checkpoints
+ * keep each AI's config and decision state (RNG, unit modes, mines), and
+ * restoreRooms() puts the AI back on its slot where it left off.
  *
  * @module server/GameServer
  */
 
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createHash, randomInt, timingSafeEqual } from 'node:crypto';
 import { Room } from './Room.js';
+import { AIController, AI_DIFFICULTY } from './AIController.js';
+import { RoomCheckpointStore } from './RoomCheckpointStore.js';
+import { createRoomSaveEnvelope, validateRoomSaveEnvelope, migrateRoomSaveEnvelope } from './RoomSave.js';
+import { writeReplay } from './Replay.js';
+import { SnapshotStream } from './SnapshotStream.js';
+import { SpectatorFeed, DEFAULT_SPECTATOR_DELAY_MS } from './SpectatorFeed.js';
+import { SESSION_CHANNEL_PREFIX, signJoinToken } from './JoinToken.js';
+import {
+    MSG,
+    PLAYER_CONNECTION_STATUS,
+    PROTOCOL_VERSION,
+    SNAPSHOT_ENCODING,
+    JOIN_CODE_ALPHABET,
+    JOIN_CODE_LENGTH,
+    MAX_HOST_SECRET_LENGTH,
+    LOBBY_ERROR_REASON,
+    SPECTATE_REJECT_REASON
+} from '../src/SimCore/multiplayer/MessageTypes.js';
 import { Vec3 } from './SphereMath.js';
-import { nextEntityId, resetEntityIdCounter } from '../src/SimCore/runtime/IdGenerator.js';
+import { nextEntityId, resetEntityIdCounter, peekEntityId, setEntityIdCounter } from '../src/SimCore/runtime/IdGenerator.js';
+import {
+    isFinitePoint,
+    isRockSeed,
+    normalizeJoinCode,
+    createLobbyCreated,
+    createLobbyRooms,
+    createLobbyJoined,
+    createLobbyError,
+    createJoinToken,
+    createPlayerConnection,
+    createSpectateAck,
+    createPong
+} from '../src/SimCore/multiplayer/MessageSerializer.js';
 
 /** @type {number} Maximum units allowed in a single SPAWN_MANIFEST */
 const MAX_MANIFEST_UNITS = 200;
@@ -27,12 +113,107 @@ const MAX_WAYPOINTS = 32;
 /** @type {number} Maximum distance between consecutive waypoints in world units (Phase 2B) */
 const MAX_SEGMENT_LENGTH = 200;
 
+/** @type {number} Maximum features in a manifest blueprint (matches BlueprintValidator.maxFeatureCount) */
+const MAX_BLUEPRINT_FEATURES = 6;
+
+/** @type {number} Default interval between room checkpoints (ms) */
+const DEFAULT_CHECKPOINT_INTERVAL_MS = 30000;
+
+/** @type {string} Lobby channel (HOST_ANNOUNCE discovery, room directory requests) */
+const LOBBY_CHANNEL = 'asterobia:lobby';
+
+/** @type {Set<string>} Lobby requests the server answers (never relayed to other subscribers) */
+const LOBBY_REQUESTS = new Set([MSG.LOBBY_CREATE, MSG.LOBBY_LIST, MSG.LOBBY_JOIN]);
+
+/** @type {Set<string>} Types only the server sends: dropped when a client sends them */
+const SERVER_ONLY_TYPES = new Set([
+    MSG.JOIN_TOKEN, MSG.SERVER_SNAPSHOT, MSG.SERVER_SNAPSHOT_BIN,
+    MSG.SCAN_REVEAL, MSG.TERRAIN_STATE, MSG.PLAYER_CONNECTION
+]);
+
+/** @type {Set<string>} Types only the host sends: relayed from a slot 0 token only */
+const HOST_ONLY_TYPES = new Set([
+    MSG.HOST_LEAVE, MSG.CMD_BATCH, MSG.SNAPSHOT, MSG.JOIN_ACK, MSG.RESYNC_ACK,
+    MSG.SEAT_ACK, MSG.SEAT_REJECT, MSG.POSITION_SYNC, MSG.SPAWN_MANIFEST
+]);
+
+/** @type {string[]} Payload fields naming the sender's slot: must match its token */
+const SENDER_SLOT_FIELDS = ['sourceSlot', 'slot', 'requesterSlot', 'releasedBySlot'];
+
+/** @type {number} Default maxPlayers of a lobby room */
+const DEFAULT_LOBBY_MAX_PLAYERS = 4;
+
+/** @type {number} Maximum length of a lobby room name */
+const MAX_ROOM_NAME_LENGTH = 32;
+
+/** @type {number} Default room limit (LOBBY_CREATE is refused beyond it) */
+const DEFAULT_MAX_ROOMS = 100;
+
+/** @type {number} Maximum rooms in one LOBBY_ROOMS reply */
+const MAX_LISTED_ROOMS = 50;
+
+/** @type {number} Default time a room without clients is kept (ms) */
+const DEFAULT_EMPTY_ROOM_TIMEOUT_MS = 60000;
+
+/** @type {number} Interval between empty-room sweeps (ms) */
+const EMPTY_ROOM_SWEEP_MS = 5000;
+
+/** @type {string} Spectate channel prefix (asterobia:spectate:<roomId>; server frames only) */
+const SPECTATE_CHANNEL_PREFIX = 'asterobia:spectate:';
+
+/** @type {number} Default spectator limit per room */
+const DEFAULT_MAX_SPECTATORS = 32;
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether a HOST_ANNOUNCE hostSecret is usable
+ */
+function isHostSecret(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= MAX_HOST_SECRET_LENGTH;
+}
+
+/**
+ * @param {string} hostSecret
+ * @returns {string} Hex SHA-256 (what checkpoints store, never the secret)
+ */
+function hashHostSecret(hostSecret) {
+    return createHash('sha256').update(hostSecret).digest('hex');
+}
+
+/**
+ * @typedef {Object} LobbySettings
+ * @property {string} name - Display name in the room list
+ * @property {number} maxPlayers - Player slots (host included)
+ * @property {number|null} terrainSeed - Rock field + Matera seed (uint32); null = room defaults
+ * @property {boolean} physics - Rapier physics (Room enablePhysics)
+ * @property {boolean} public - Listed in LOBBY_ROOMS
+ */
+
+/**
+ * @typedef {Object} LobbyEntry
+ * @property {string} roomId
+ * @property {string} joinCode
+ * @property {LobbySettings} settings - Effective settings (terrainSeed resolved)
+ * @property {number|null} creatorClientId - WsRelay client.id whose HOST_ANNOUNCE takes the host slot (null = any)
+ * @property {string|null} hostDisplayName - Set when the host claims the room (null = not claimed yet)
+ */
+
 export class GameServer {
     /**
      * @param {Object} [options]
      * @param {number} [options.tickRate=20] - Server tick rate in Hz (default 20 = 50ms per tick)
      * @param {number} [options.maxManifestUnits=200] - Max units per manifest
      * @param {number} [options.maxSlot=10] - Max valid player slot index
+     * @param {Object} [options.roomOptions] - Extra options for rooms created from HOST_ANNOUNCE
+     *   (e.g. defaultBlueprint, statsConfig, enablePhysics)
+     * @param {string|null} [options.checkpointDir=null] - Directory for room checkpoints (null = disabled)
+     * @param {number} [options.checkpointIntervalMs=30000] - Interval between periodic checkpoints
+     * @param {string|null} [options.replayDir=null] - Directory for match replays (null = not recorded)
+     * @param {number} [options.maxRooms=100] - Room limit for LOBBY_CREATE
+     * @param {number} [options.emptyRoomTimeoutMs=60000] - Time a room without clients is kept before removal
+     * @param {number} [options.spectatorDelayMs=10000] - How far behind the live game spectators see it
+     * @param {number} [options.maxSpectators=32] - Spectators per room (0 = spectating disabled)
+     * @param {{ difficulty?: string, seed?: number }|null} [options.aiOpponent=null] - AI player added to every room its manifest starts (null = none)
      */
     constructor(options = {}) {
         /** @type {number} Target tick rate in Hz */
@@ -52,14 +233,122 @@ export class GameServer {
          */
         this._clientSlots = new Map();
 
+        /**
+         * Guests awaiting JOIN_ACK: "roomId:guestId" -> WsRelay client.id of the
+         * socket that sent JOIN_REQ. Lets JOIN_ACK map the guest's socket to its
+         * slot before its first MOVE_INPUT (filtered snapshots need the mapping).
+         * @type {Map<string, number>}
+         */
+        this._pendingJoins = new Map();
+
+        /**
+         * Binary snapshot streams of clients that negotiated binary-delta-v1.
+         * WsRelay client.id -> SnapshotStream (delta baseline per socket).
+         * @type {Map<number, SnapshotStream>}
+         */
+        this._snapshotStreams = new Map();
+
         /** @type {import('./WsRelay.js').WsRelay|null} */
         this._relay = null;
 
+        /** @type {Buffer|string|null} Join token secret, same as the relay's (null = no tokens) */
+        this._joinTokenSecret = options.joinTokenSecret || null;
+
         /** @type {number} Max units per manifest (OOM prevention) */
         this._maxManifestUnits = options.maxManifestUnits || MAX_MANIFEST_UNITS;
 
         /** @type {number} Max valid slot index */
         this._maxSlot = options.maxSlot || MAX_SLOT;
+
+        /** @type {Object} Extra options for relay-created rooms */
+        this._roomOptions = options.roomOptions || {};
+
+        /** @type {RoomCheckpointStore|null} Checkpoint storage (null = save/resume disabled) */
+        this._checkpointStore = options.checkpointDir ? new RoomCheckpointStore(options.checkpointDir) : null;
+
+        /** @type {number} Interval between periodic checkpoints (ms) */
+        this._checkpointIntervalMs = options.checkpointIntervalMs || DEFAULT_CHECKPOINT_INTERVAL_MS;
+
+        /** @type {ReturnType<typeof setInterval>|null} */
+        this._checkpointTimer = null;
+
+        /** @type {Promise<string[]>|null} In-flight checkpointRooms() (one at a time) */
+        this._checkpointInFlight = null;
+
+        /**
+         * Rooms restored from a checkpoint whose host has not re-announced yet.
+         * The next HOST_ANNOUNCE for such a room reclaims slot 0.
+         * @type {Set<string>}
+         */
+        this._unclaimedHostRooms = new Set();
+
+        /**
+         * Hex SHA-256 of each room host's HOST_ANNOUNCE hostSecret (first one
+         * seen from the slot-0 client), saved with checkpoints.
+         * @type {Map<string, string>}
+         */
+        this._hostSecretHashes = new Map();
+
+        /** @type {string|null} Replay directory (null = rooms do not record) */
+        this._replayDir = options.replayDir || null;
+
+        /**
+         * Lobby rooms: roomId -> LobbyEntry (rooms created by LOBBY_CREATE).
+         * @type {Map<string, LobbyEntry>}
+         */
+        this._lobbyRooms = new Map();
+
+        /** @type {Map<string, string>} Join code -> roomId */
+        this._joinCodes = new Map();
+
+        /** @type {number} Room limit for LOBBY_CREATE */
+        this._maxRooms = options.maxRooms || DEFAULT_MAX_ROOMS;
+
+        /** @type {number} Time a room without clients is kept (ms) */
+        this._emptyRoomTimeoutMs = options.emptyRoomTimeoutMs ?? DEFAULT_EMPTY_ROOM_TIMEOUT_MS;
+
+        /**
+         * Rooms that lost (or never had) their last client: roomId -> since (ms).
+         * Swept by _sweepEmptyRooms(); a room that has clients again is dropped
+         * from the map instead of removed.
+         * @type {Map<string, number>}
+         */
+        this._emptySince = new Map();
+
+        /** @type {ReturnType<typeof setInterval>|null} */
+        this._sweepTimer = null;
+
+        /** @type {number} Spectator snapshot delay (ms) */
+        this._spectatorDelayMs = options.spectatorDelayMs ?? DEFAULT_SPECTATOR_DELAY_MS;
+
+        /** @type {number} Spectators per room (0 = disabled) */
+        this._maxSpectators = options.maxSpectators ?? DEFAULT_MAX_SPECTATORS;
+
+        /**
+         * Spectators: WsRelay client.id -> roomId watched. Never in _clientSlots.
+         * @type {Map<number, string>}
+         */
+        this._spectators = new Map();
+
+        /**
+         * Delayed snapshot feed per room with spectators: roomId -> SpectatorFeed.
+         * Created for the first spectator, dropped with the last one.
+         * @type {Map<string, SpectatorFeed>}
+         */
+        this._spectatorFeeds = new Map();
+
+        /** @type {{ difficulty?: string, seed?: number }|null} AIController options for rooms started by a manifest */
+        this._aiOpponent = options.aiOpponent || null;
+        const aiDifficulty = this._aiOpponent?.difficulty ?? 'normal';
+        if (this._aiOpponent && !Object.hasOwn(AI_DIFFICULTY, aiDifficulty)) {
+            throw new Error(`GameServer: unknown aiOpponent difficulty '${aiDifficulty}'`);
+        }
+
+        /**
+         * Monotonic counters since start (exported on /metrics).
+         * @type {{ snapshotsSent: number, snapshotBytes: number, kicks: number }}
+         */
+        this.stats = { snapshotsSent: 0, snapshotBytes: 0, kicks: 0, forgedFrameDrops: 0 };
     }
 
     /**
@@ -76,7 +365,8 @@ export class GameServer {
         }
 
         const tickMs = Math.round(1000 / this.tickRate);
-        const room = new Room(roomId, { tickMs, ...options });
+        const recordReplay = this._replayDir !== null;
+        const room = new Room(roomId, { tickMs, recordReplay, ...options });
         this.rooms.set(roomId, room);
         return room;
     }
@@ -103,6 +393,24 @@ export class GameServer {
 
         room.stop();
         this.rooms.delete(roomId);
+        this._unclaimedHostRooms.delete(roomId);
+        this._hostSecretHashes.delete(roomId);
+        this._emptySince.delete(roomId);
+        this._spectatorFeeds.delete(roomId);
+        for (const [clientId, watched] of this._spectators) {
+            if (watched === roomId) this._spectators.delete(clientId);
+        }
+        const lobby = this._lobbyRooms.get(roomId);
+        if (lobby) {
+            this._lobbyRooms.delete(roomId);
+            this._joinCodes.delete(lobby.joinCode);
+        }
+        this._saveReplay(room).catch((err) => {
+            console.warn(`[GameServer] Failed to write replay of room ${roomId}: ${err.message}`);
+        });
+        this._checkpointStore?.remove(roomId).catch((err) => {
+            console.warn(`[GameServer] Failed to delete checkpoint of room ${roomId}: ${err.message}`);
+        });
         return true;
     }
 
@@ -112,6 +420,18 @@ export class GameServer {
      */
     start() {
         this.isRunning = true;
+
+        if (this._checkpointStore && this._checkpointTimer === null) {
+            this._checkpointTimer = setInterval(() => {
+                this.checkpointRooms().catch((err) => {
+                    console.warn(`[GameServer] Checkpoint failed: ${err.message}`);
+                });
+            }, this._checkpointIntervalMs);
+        }
+
+        if (this._sweepTimer === null) {
+            this._sweepTimer = setInterval(() => this._sweepEmptyRooms(), EMPTY_ROOM_SWEEP_MS);
+        }
     }
 
     /**
@@ -120,11 +440,649 @@ export class GameServer {
     stop() {
         this.isRunning = false;
 
+        if (this._checkpointTimer !== null) {
+            clearInterval(this._checkpointTimer);
+            this._checkpointTimer = null;
+        }
+        if (this._sweepTimer !== null) {
+            clearInterval(this._sweepTimer);
+            this._sweepTimer = null;
+        }
+
         for (const [roomId, room] of this.rooms) {
             room.stop();
         }
         this.rooms.clear();
         this._clientSlots.clear();
+        this._pendingJoins.clear();
+        this._snapshotStreams.clear();
+        this._unclaimedHostRooms.clear();
+        this._hostSecretHashes.clear();
+        this._lobbyRooms.clear();
+        this._joinCodes.clear();
+        this._emptySince.clear();
+        this._spectators.clear();
+        this._spectatorFeeds.clear();
+    }
+
+    // ========================================
+    // Admin
+    // ========================================
+
+    /**
+     * One line per room for the admin API.
+     *
+     * @returns {Array<{ roomId: string, joinCode: string|null, state: string, tick: number, players: number, units: number, clients: number, spectators: number }>}
+     */
+    getRoomSummaries() {
+        const clients = new Map();
+        for (const { roomId } of this._clientSlots.values()) {
+            clients.set(roomId, (clients.get(roomId) ?? 0) + 1);
+        }
+        const spectators = new Map();
+        for (const roomId of this._spectators.values()) {
+            spectators.set(roomId, (spectators.get(roomId) ?? 0) + 1);
+        }
+        return Array.from(this.rooms.values(), room => ({
+            roomId: room.roomId,
+            joinCode: this._lobbyRooms.get(room.roomId)?.joinCode ?? null,
+            state: room.state,
+            tick: room.simLoop.tickCount,
+            players: room.players.size,
+            units: room.units.length,
+            clients: clients.get(room.roomId) ?? 0,
+            spectators: spectators.get(room.roomId) ?? 0
+        }));
+    }
+
+    /**
+     * Kick a player slot: close every socket mapped to it and remove the
+     * player from the room. Its units stay (a kick is not a ban).
+     *
+     * @param {string} roomId
+     * @param {number} slot
+     * @returns {number} Sockets closed, or -1 if the room does not exist
+     */
+    kickSlot(roomId, slot) {
+        const room = this.rooms.get(roomId);
+        if (!room) return -1;
+
+        let closed = 0;
+        for (const [ws, client] of this._relay?.clients ?? []) {
+            const auth = this._clientSlots.get(client.id);
+            if (!auth || auth.roomId !== roomId || auth.slot !== slot) continue;
+            this._clientSlots.delete(client.id);
+            this._snapshotStreams.delete(client.id);
+            this._relay.closeClient(ws, 4001, 'Kicked by admin');
+            closed++;
+        }
+        room.removePlayer(slot);
+        this._noteIfEmpty(roomId);
+        this.stats.kicks++;
+        console.log(`[GameServer] Slot ${slot} kicked from room ${roomId} (${closed} socket(s))`);
+        return closed;
+    }
+
+    /**
+     * Add a scripted AI player (AIController) to a room: it takes a free
+     * slot and gets one unit, created like a guest's on JOIN_ACK.
+     *
+     * @param {string} roomId
+     * @param {Object} [options] - AIController options (difficulty, tuning, seed, name, patrolRadius)
+     * @param {number} [options.slot] - Slot to play (default: highest free slot)
+     * @returns {number|null} The AI's slot, or null if the room is unknown or the slot taken
+     * @throws {Error} On an unknown difficulty
+     */
+    addAIPlayer(roomId, options = {}) {
+        const room = this.rooms.get(roomId);
+        if (!room) return null;
+
+        const slot = options.slot ?? this._highestFreeSlot(roomId);
+        if (slot == null || !this._isFreeSlot(roomId, slot)) return null;
+
+        const controller = new AIController(options);
+        room.attachAI(slot, controller);
+
+        const unitId = nextEntityId();
+        room.createUnitForPlayer(slot, unitId, { modelIndex: unitId % 5 });
+        this._addHomeDepot(room, slot);
+        console.log(`[GameServer] AI (${controller.difficulty}) plays slot ${slot} in room ${roomId} (unit ${unitId})`);
+        return slot;
+    }
+
+    /**
+     * Highest guest slot with no units, clients or AI (host JOIN_ACKs count up from 1).
+     * @returns {number|null}
+     * @private
+     */
+    _highestFreeSlot(roomId) {
+        for (let slot = this._maxSlot; slot >= 1; slot--) {
+            if (this._isFreeSlot(roomId, slot)) return slot;
+        }
+        return null;
+    }
+
+    /** @private */
+    _isFreeSlot(roomId, slot) {
+        const room = this.rooms.get(roomId);
+        if (!Number.isInteger(slot) || slot < 1 || slot > this._maxSlot) return false;
+        if (room.aiControllers.has(slot) || room.units.some(u => u.ownerSlot === slot)) return false;
+        for (const auth of this._clientSlots.values()) {
+            if (auth.roomId === roomId && auth.slot === slot) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Give a slot its home Matera depot (where its transporters unload) at
+     * its first unit, unless it already has one.
+     * @private
+     */
+    _addHomeDepot(room, slot) {
+        if (room.logistics.getDepots().some(d => d.ownerSlot === slot)) return;
+        const unit = room.units.filter(u => u.ownerSlot === slot).sort((a, b) => a.id - b.id)[0];
+        if (!unit) return;
+        if (room.addDepot(slot, unit.position) == null) {
+            console.warn(`[GameServer] No home depot for slot ${slot} in room ${room.roomId}: depot cap reached`);
+        }
+    }
+
+    // ========================================
+    // Lobby
+    // ========================================
+
+    /**
+     * Create a room from lobby settings, with a fresh join code. The room
+     * waits (WAITING) for its host: the HOST_ANNOUNCE of creatorClientId
+     * (any client if null) for roomId takes slot 0.
+     *
+     * @param {Object} [settings] - Raw settings ({name, maxPlayers, terrainSeed, physics, public})
+     * @param {number|null} [creatorClientId=null] - WsRelay client.id of the future host
+     * @returns {LobbyEntry}
+     * @throws {Error} If the settings are invalid
+     */
+    createLobbyRoom(settings = {}, creatorClientId = null) {
+        const sanitized = this._sanitizeLobbySettings(settings);
+        if (!sanitized) {
+            throw new Error('Invalid lobby settings');
+        }
+
+        const joinCode = this._generateJoinCode();
+        const roomId = `room-${joinCode}`;
+        const seedOptions = sanitized.terrainSeed !== null
+            ? { rockSeed: sanitized.terrainSeed, mapSeed: sanitized.terrainSeed }
+            : {};
+        const room = this.createRoom(roomId, {
+            ...this._roomOptions,
+            ...seedOptions,
+            maxPlayers: sanitized.maxPlayers,
+            enablePhysics: sanitized.physics,
+            ...this._roomCallbacks()
+        });
+
+        /** @type {LobbyEntry} */
+        const entry = {
+            roomId,
+            joinCode,
+            settings: {
+                ...sanitized,
+                name: sanitized.name || `Room ${joinCode}`,
+                terrainSeed: room.rockSeed
+            },
+            creatorClientId,
+            hostDisplayName: null
+        };
+        this._lobbyRooms.set(roomId, entry);
+        this._joinCodes.set(joinCode, roomId);
+        this._emptySince.set(roomId, Date.now());
+
+        console.log(`[GameServer] Lobby room ${roomId} created (code ${joinCode}, ${entry.settings.maxPlayers} players, physics ${entry.settings.physics ? 'on' : 'off'})`);
+        return entry;
+    }
+
+    /**
+     * Public lobby rooms that can be joined: host connected, not ended.
+     *
+     * @returns {Array<{ joinCode: string, name: string, hostDisplayName: string, players: number, maxPlayers: number, state: string, physics: boolean }>}
+     */
+    listLobbyRooms() {
+        const rooms = [];
+        for (const entry of this._lobbyRooms.values()) {
+            const room = this.rooms.get(entry.roomId);
+            if (!room || room.state === 'ENDED') continue;
+            if (!entry.settings.public || entry.hostDisplayName === null) continue;
+            rooms.push({
+                joinCode: entry.joinCode,
+                name: entry.settings.name,
+                hostDisplayName: entry.hostDisplayName,
+                players: this._connectedSlots(entry.roomId).size,
+                maxPlayers: entry.settings.maxPlayers,
+                state: room.state,
+                physics: entry.settings.physics
+            });
+            if (rooms.length >= MAX_LISTED_ROOMS) break;
+        }
+        return rooms;
+    }
+
+    /**
+     * Answer a lobby request on the requesting socket only.
+     * @private
+     */
+    _onLobbyRequest(ws, client, payload) {
+        const requestId = typeof payload.requestId === 'string' ? payload.requestId : null;
+        let reply;
+
+        switch (payload.type) {
+            case MSG.LOBBY_CREATE: {
+                if (!this._sanitizeLobbySettings(payload.settings ?? {})) {
+                    reply = createLobbyError({ requestId, reason: LOBBY_ERROR_REASON.INVALID_REQUEST });
+                    break;
+                }
+                // One unclaimed room per creator: a new one replaces it
+                this._removeUnclaimedLobbyRooms(client.id);
+                if (this.rooms.size >= this._maxRooms) {
+                    reply = createLobbyError({ requestId, reason: LOBBY_ERROR_REASON.SERVER_FULL });
+                } else {
+                    const entry = this.createLobbyRoom(payload.settings ?? {}, client.id);
+                    reply = createLobbyCreated({ requestId, roomId: entry.roomId, joinCode: entry.joinCode, settings: entry.settings });
+                }
+                break;
+            }
+            case MSG.LOBBY_LIST:
+                reply = createLobbyRooms({ requestId, rooms: this.listLobbyRooms() });
+                break;
+            case MSG.LOBBY_JOIN:
+                reply = this._resolveJoinCode(requestId, payload.joinCode);
+                break;
+        }
+
+        if (ws.readyState === 1) {
+            ws.send(JSON.stringify({ type: 'message', channel: LOBBY_CHANNEL, payload: reply }));
+        }
+    }
+
+    /**
+     * Remove the lobby rooms a client created but has not claimed with its
+     * HOST_ANNOUNCE yet.
+     *
+     * @param {number} clientId
+     * @returns {number} Rooms removed
+     * @private
+     */
+    _removeUnclaimedLobbyRooms(clientId) {
+        let count = 0;
+        for (const entry of [...this._lobbyRooms.values()]) {
+            if (entry.creatorClientId === clientId && entry.hostDisplayName === null) {
+                this.removeRoom(entry.roomId);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * LOBBY_JOIN: the room behind a join code, if it can take another player.
+     * @returns {Object} LOBBY_JOINED or LOBBY_ERROR
+     * @private
+     */
+    _resolveJoinCode(requestId, rawCode) {
+        const joinCode = normalizeJoinCode(rawCode);
+        if (!joinCode) {
+            return createLobbyError({ requestId, reason: LOBBY_ERROR_REASON.INVALID_REQUEST });
+        }
+
+        const entry = this._lobbyRooms.get(this._joinCodes.get(joinCode));
+        const room = entry && this.rooms.get(entry.roomId);
+        if (!room || room.state === 'ENDED') {
+            return createLobbyError({ requestId, reason: LOBBY_ERROR_REASON.NOT_FOUND });
+        }
+        if (entry.hostDisplayName === null) {
+            return createLobbyError({ requestId, reason: LOBBY_ERROR_REASON.HOST_NOT_READY });
+        }
+        if (this._connectedSlots(entry.roomId).size >= entry.settings.maxPlayers) {
+            return createLobbyError({ requestId, reason: LOBBY_ERROR_REASON.ROOM_FULL });
+        }
+        return createLobbyJoined({ requestId, roomId: entry.roomId, joinCode, settings: entry.settings });
+    }
+
+    /**
+     * Validate raw lobby settings; omitted fields get defaults.
+     *
+     * @param {*} raw
+     * @returns {LobbySettings|null} null if a field has the wrong type or range
+     * @private
+     */
+    _sanitizeLobbySettings(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+        const name = raw.name ?? '';
+        if (typeof name !== 'string') return null;
+
+        const maxPlayers = raw.maxPlayers ?? DEFAULT_LOBBY_MAX_PLAYERS;
+        if (!Number.isInteger(maxPlayers) || maxPlayers < 1 || maxPlayers > this._maxSlot + 1) return null;
+
+        const terrainSeed = raw.terrainSeed ?? null;
+        if (terrainSeed !== null && !isRockSeed(terrainSeed)) return null;
+
+        const physics = raw.physics ?? !!this._roomOptions.enablePhysics;
+        const isPublic = raw.public ?? true;
+        if (typeof physics !== 'boolean' || typeof isPublic !== 'boolean') return null;
+
+        return {
+            name: name.trim().slice(0, MAX_ROOM_NAME_LENGTH),
+            maxPlayers,
+            terrainSeed,
+            physics,
+            public: isPublic
+        };
+    }
+
+    /**
+     * A join code no room uses.
+     * @returns {string}
+     * @private
+     */
+    _generateJoinCode() {
+        for (;;) {
+            let code = '';
+            for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+                code += JOIN_CODE_ALPHABET[randomInt(JOIN_CODE_ALPHABET.length)];
+            }
+            if (!this._joinCodes.has(code) && !this.rooms.has(`room-${code}`)) return code;
+        }
+    }
+
+    /**
+     * Slots of a room with at least one connected (mapped) client.
+     * @returns {Set<number>}
+     * @private
+     */
+    _connectedSlots(roomId) {
+        const slots = new Set();
+        for (const auth of this._clientSlots.values()) {
+            if (auth.roomId === roomId) slots.add(auth.slot);
+        }
+        return slots;
+    }
+
+    /**
+     * Start the empty-room timeout if no client is mapped to the room anymore.
+     * @private
+     */
+    _noteIfEmpty(roomId) {
+        if (this.rooms.has(roomId) && this._connectedSlots(roomId).size === 0) {
+            this._emptySince.set(roomId, Date.now());
+        }
+    }
+
+    /**
+     * Remove rooms that have had no clients for emptyRoomTimeoutMs.
+     * @returns {string[]} IDs of the removed rooms
+     * @private
+     */
+    _sweepEmptyRooms() {
+        const now = Date.now();
+        const removed = [];
+        for (const [roomId, since] of this._emptySince) {
+            if (this._connectedSlots(roomId).size > 0) {
+                this._emptySince.delete(roomId);
+            } else if (now - since >= this._emptyRoomTimeoutMs) {
+                this.removeRoom(roomId);
+                removed.push(roomId);
+                console.log(`[GameServer] Room ${roomId} removed (empty for ${Math.round((now - since) / 1000)} s)`);
+            }
+        }
+        return removed;
+    }
+
+    // ========================================
+    // Spectators
+    // ========================================
+
+    /**
+     * Answer SPECTATE_REQ on the requesting socket only. Accepted sockets
+     * get the room's delayed full snapshots from the next tick on.
+     * @private
+     */
+    _onSpectateReq(ws, client, channelName, payload) {
+        const roomId = channelName.slice(SPECTATE_CHANNEL_PREFIX.length);
+        const room = this.rooms.get(roomId);
+        let reason = null;
+
+        if (!room || room.state === 'ENDED' || payload.roomId !== roomId) {
+            reason = SPECTATE_REJECT_REASON.NOT_FOUND;
+        } else if (this._clientSlots.get(client.id)?.roomId === roomId) {
+            reason = SPECTATE_REJECT_REASON.PLAYER_IN_ROOM;
+        } else if (this._spectators.get(client.id) !== roomId && this.spectatorCount(roomId) >= this._maxSpectators) {
+            reason = SPECTATE_REJECT_REASON.SPECTATORS_FULL;
+        }
+
+        let reply;
+        if (reason) {
+            reply = createSpectateAck({ roomId, accepted: false, reason });
+        } else {
+            // One room per spectator socket
+            this._removeSpectator(client.id);
+            this._spectators.set(client.id, roomId);
+            let feed = this._spectatorFeeds.get(roomId);
+            if (!feed) {
+                feed = new SpectatorFeed({
+                    delayMs: this._spectatorDelayMs,
+                    tickMs: room.simLoop.fixedDtMs,
+                    terrain: room.terrain,
+                    stampsInLayer: room.pendingTerrainStampCount()
+                });
+                this._spectatorFeeds.set(roomId, feed);
+            }
+            reply = createSpectateAck({
+                roomId,
+                accepted: true,
+                delayMs: feed.delayMs,
+                rockSeed: room.rockSeed,
+                terrain: feed.terrainState()
+            });
+            console.log(`[GameServer] Client ${client.id} spectating room ${roomId} (${feed.delayMs} ms delay)`);
+        }
+
+        if (ws.readyState === 1) {
+            ws.send(JSON.stringify({ type: 'message', channel: channelName, payload: reply }));
+        }
+    }
+
+    /**
+     * Room spectate callback: queue this tick's full snapshot and send the
+     * ones that are now old enough. Rooms without spectators keep nothing.
+     * @private
+     */
+    _onSpectatorSnapshot(roomId, snapshot) {
+        const feed = this._spectatorFeeds.get(roomId);
+        if (!feed) return;
+        for (const due of feed.push(snapshot)) {
+            this._sendToSpectators(roomId, due);
+        }
+    }
+
+    /**
+     * Send a snapshot to the room's registered spectators on its spectate
+     * channel (JSON; binary delta streams are per session channel).
+     * Sockets that became players of the room get nothing here.
+     * @private
+     */
+    _sendToSpectators(roomId, payload) {
+        if (!this._relay) return;
+
+        const channelName = SPECTATE_CHANNEL_PREFIX + roomId;
+        const subs = this._relay.channels.get(channelName);
+        if (!subs) return;
+
+        const outMsg = JSON.stringify({ type: 'message', channel: channelName, payload });
+        for (const ws of subs) {
+            const client = this._relay.clients.get(ws);
+            if (!client || this._spectators.get(client.id) !== roomId) continue;
+            if (this._clientSlots.get(client.id)?.roomId === roomId) continue;
+            if (ws.readyState === 1) {
+                this._send(ws, outMsg, payload);
+            }
+        }
+    }
+
+    /**
+     * Forget a spectator; the room's feed goes with its last spectator.
+     * @private
+     */
+    _removeSpectator(clientId) {
+        const roomId = this._spectators.get(clientId);
+        if (roomId === undefined) return;
+        this._spectators.delete(clientId);
+        if (this.spectatorCount(roomId) === 0) {
+            this._spectatorFeeds.delete(roomId);
+        }
+    }
+
+    /**
+     * Spectators watching a room.
+     * @param {string} roomId
+     * @returns {number}
+     */
+    spectatorCount(roomId) {
+        let count = 0;
+        for (const watched of this._spectators.values()) {
+            if (watched === roomId) count++;
+        }
+        return count;
+    }
+
+    // ========================================
+    // Save / resume
+    // ========================================
+
+    /**
+     * Write a checkpoint of every RUNNING room. Overlapping calls share the
+     * in-flight write instead of racing it.
+     *
+     * @returns {Promise<string[]>} IDs of the rooms written
+     */
+    checkpointRooms() {
+        if (!this._checkpointStore) return Promise.resolve([]);
+        if (this._checkpointInFlight) return this._checkpointInFlight;
+
+        const envelopes = [];
+        for (const room of this.rooms.values()) {
+            if (room.state === 'RUNNING') {
+                envelopes.push(createRoomSaveEnvelope(room, {
+                    hostSecretHash: this._hostSecretHashes.get(room.roomId) ?? null
+                }));
+            }
+        }
+
+        this._checkpointInFlight = (async () => {
+            try {
+                const written = [];
+                for (const envelope of envelopes) {
+                    await this._checkpointStore.save(envelope);
+                    written.push(envelope.roomId);
+                }
+                return written;
+            } finally {
+                this._checkpointInFlight = null;
+            }
+        })();
+        return this._checkpointInFlight;
+    }
+
+    /**
+     * Write the replay of every recording room (e.g. on shutdown).
+     *
+     * @returns {Promise<string[]>} Paths of the replay files written
+     */
+    async saveReplays() {
+        const written = [];
+        for (const room of this.rooms.values()) {
+            const file = await this._saveReplay(room);
+            if (file) written.push(file);
+        }
+        return written;
+    }
+
+    /**
+     * Write one room's replay to replayDir as <roomId>-<startTick>.replay.json.gz
+     * (a room resumed from a checkpoint starts a new file).
+     *
+     * @param {Room} room
+     * @returns {Promise<string|null>} File written, or null if not recording
+     * @private
+     */
+    async _saveReplay(room) {
+        if (!this._replayDir || !room.replay?.isRecording) return null;
+        await fs.mkdir(this._replayDir, { recursive: true });
+        const file = path.join(
+            this._replayDir,
+            `${encodeURIComponent(room.roomId)}-${room.replay.startTick}.replay.json.gz`
+        );
+        await writeReplay(file, room.replay.toJSON());
+        return file;
+    }
+
+    /**
+     * Resume every checkpointed room (call once on boot, before clients connect).
+     * Invalid or conflicting checkpoints are skipped with a warning.
+     *
+     * @returns {Promise<string[]>} IDs of the restored rooms (now RUNNING)
+     */
+    async restoreRooms() {
+        if (!this._checkpointStore) return [];
+
+        const { envelopes, errors } = await this._checkpointStore.loadAll();
+        for (const { file, error } of errors) {
+            console.warn(`[GameServer] Skipping unreadable checkpoint ${file}: ${error}`);
+        }
+
+        const restored = [];
+        for (const loaded of envelopes) {
+            const validation = validateRoomSaveEnvelope(loaded);
+            if (!validation.valid) {
+                console.warn(`[GameServer] Skipping checkpoint: ${validation.error}`);
+                continue;
+            }
+            const envelope = migrateRoomSaveEnvelope(loaded);
+            const { roomId } = envelope;
+            if (this.rooms.has(roomId)) {
+                console.warn(`[GameServer] Skipping checkpoint of room ${roomId}: room already exists`);
+                continue;
+            }
+
+            const { room: state, entityIdCounter } = envelope.state;
+            const room = this.createRoom(roomId, {
+                ...this._roomOptions,
+                ...state.config,
+                ...this._roomCallbacks()
+            });
+            try {
+                room.restore(state);
+                await room.start();
+                for (const { slot, state: aiState, ...options } of state.ai ?? []) {
+                    const controller = new AIController(options);
+                    if (aiState) controller.setState(aiState);
+                    room.attachAI(slot, controller);
+                }
+            } catch (err) {
+                room.stop();
+                this.rooms.delete(roomId);
+                console.warn(`[GameServer] Failed to restore room ${roomId}: ${err.message}`);
+                continue;
+            }
+
+            // Entity IDs are global: never hand out an ID a restored unit already has
+            setEntityIdCounter(Math.max(peekEntityId(), entityIdCounter));
+            if (envelope.host.secretHash) {
+                this._hostSecretHashes.set(roomId, envelope.host.secretHash);
+            }
+            this._unclaimedHostRooms.add(roomId);
+            restored.push(roomId);
+            console.log(`[GameServer] Room ${roomId} restored at tick ${room.simLoop.tickCount} (${room.units.length} units)`);
+        }
+        return restored;
     }
 
     /**
@@ -142,8 +1100,55 @@ export class GameServer {
         // Hook into relay's broadcast path
         const originalBroadcast = relay._broadcast.bind(relay);
         relay._broadcast = (ws, client, channelName, payload) => {
-            // Let the relay do its normal broadcast first
-            originalBroadcast(ws, client, channelName, payload);
+            // Spectate channels carry server frames only: answer SPECTATE_REQ, drop the rest
+            if (typeof channelName === 'string' && channelName.startsWith(SPECTATE_CHANNEL_PREFIX)) {
+                if (payload?.type === MSG.SPECTATE_REQ && client.channels?.has(channelName)) {
+                    this._onSpectateReq(ws, client, channelName, payload);
+                }
+                return;
+            }
+
+            // Lobby requests are for the server only: answer, don't relay
+            if (channelName === LOBBY_CHANNEL && LOBBY_REQUESTS.has(payload?.type) && client.channels?.has(channelName)) {
+                this._onLobbyRequest(ws, client, payload);
+                return;
+            }
+
+            // Server frames (join tokens, snapshots, scan reveals...) come from the server only
+            if (SERVER_ONLY_TYPES.has(payload?.type)) return;
+
+            // Admitted sockets speak for their token's slot only
+            if (!this._checkSenderSlot(client, channelName, payload)) {
+                this.stats.forgedFrameDrops++;
+                return;
+            }
+
+            // Snapshot acks are for the server only: every client acks every snapshot
+            if (payload?.type === MSG.SNAPSHOT_ACK) {
+                this._snapshotStreams.get(client.id)?.ack(payload.tick);
+                return;
+            }
+
+            // PINGs are for the server only: the PONG goes back to the sender's socket
+            if (payload?.type === MSG.PING) {
+                this._onPing(ws, channelName, payload);
+                return;
+            }
+
+            // JOIN_ACK admits the guest's socket first, so the ACK reaches it
+            if (payload?.type === 'JOIN_ACK') {
+                this._onJoinAck(channelName, payload, client);
+                originalBroadcast(ws, client, channelName, payload);
+                return;
+            }
+
+            // Let the relay do its normal broadcast first (never relaying the host secret)
+            if (payload?.type === MSG.HOST_ANNOUNCE && 'hostSecret' in payload) {
+                const { hostSecret, ...announce } = payload;
+                originalBroadcast(ws, client, channelName, announce);
+            } else {
+                originalBroadcast(ws, client, channelName, payload);
+            }
 
             // Then intercept for server authority
             if (!payload || !payload.type) return;
@@ -158,12 +1163,27 @@ export class GameServer {
                 case 'MOVE_INPUT':
                     this._onMoveInput(channelName, payload, client);
                     break;
-                case 'JOIN_ACK':
-                    this._onJoinAck(channelName, payload, client);
+                case 'JOIN_REQ':
+                    this._onJoinReq(channelName, payload, client);
                     break;
                 case 'PATH_DATA':
                     this._onPathData(channelName, payload, client);
                     break;
+                case 'MOVE_TO':
+                    this._onMoveTo(channelName, payload, client);
+                    break;
+                case 'ATTACK_TARGET':
+                    this._onAttackTarget(channelName, payload, client);
+                    break;
+                case 'PICKUP_UNIT':
+                    this._onPickupUnit(channelName, payload, client);
+                    break;
+                case 'DROP_UNIT':
+                    this._onDropUnit(channelName, payload, client);
+                    break;
+                case 'HELLO':
+                    this._onHello(ws, channelName, payload, client);
+                    break;
             }
         };
 
@@ -175,11 +1195,62 @@ export class GameServer {
                 if (client) {
                     this._onClientDisconnect(client);
                 }
-                originalDisconnect(ws);
+                originalDisconnect(ws);
+            };
+        }
+
+        // Hook into resume parking: the slot is held while the client is away
+        const originalPark = relay._parkClient?.bind(relay);
+        if (originalPark) {
+            relay._parkClient = (ws) => {
+                const client = relay.clients.get(ws);
+                const parked = originalPark(ws);
+                if (client) {
+                    this._onClientPark(client);
+                }
+                return parked;
+            };
+        }
+
+        const originalResume = relay._resumeClient?.bind(relay);
+        if (originalResume) {
+            relay._resumeClient = (ws, client, token) => {
+                const parked = originalResume(ws, client, token);
+                if (parked) {
+                    this._onClientResume(relay.clients.get(ws), !parked.backlogOverflow);
+                }
+                return parked;
             };
         }
 
-        console.log('[GameServer] Wired to WsRelay (Phase 2B: MOVE_INPUT + PATH_DATA authority)');
+        console.log('[GameServer] Wired to WsRelay (Phase 2B: MOVE_INPUT + PATH_DATA + MOVE_TO + ATTACK_TARGET + carrier authority)');
+    }
+
+    /**
+     * Check a relayed frame against the join token the relay verified for
+     * this socket and channel: host-only types need a slot 0 token, and
+     * slot fields in the payload must name the token's slot. Frames without
+     * a token (join tokens off, or the join handshake) pass.
+     * @private
+     * @returns {boolean} false if the frame must be dropped
+     */
+    _checkSenderSlot(client, channelName, payload) {
+        const claims = client.tokens?.get(channelName);
+        if (!claims || !payload) return true;
+
+        if (HOST_ONLY_TYPES.has(payload.type)) {
+            if (claims.slot === 0) return true;
+            console.warn(`[GameServer] ${payload.type} dropped: client ${client.id} holds slot ${claims.slot}, not host`);
+            return false;
+        }
+
+        for (const field of SENDER_SLOT_FIELDS) {
+            if (typeof payload[field] === 'number' && payload[field] !== claims.slot) {
+                console.warn(`[GameServer] ${payload.type} dropped: ${field} ${payload[field]} from client ${client.id} holding slot ${claims.slot}`);
+                return false;
+            }
+        }
+        return true;
     }
 
     /**
@@ -189,24 +1260,111 @@ export class GameServer {
      */
     _onHostAnnounce(channelName, payload, client) {
         const roomId = payload.hostId;
-        if (!roomId || this.rooms.has(roomId)) return;
+        if (!roomId) return;
 
-        // Create room with broadcast callback (stays in WAITING state)
-        const room = this.createRoom(roomId, {
-            broadcast: (rid, snapshot) => {
-                this._injectToChannel(`asterobia:session:${rid}`, snapshot);
+        // The mapped host's announces: remember its secret (the lobby-channel copy has none)
+        const mapping = this._clientSlots.get(client.id);
+        if (mapping?.roomId === roomId && mapping.slot === 0 && this.rooms.has(roomId)) {
+            this._rememberHostSecret(roomId, payload.hostSecret);
+            return;
+        }
+
+        // Host of a restored room reconnecting: hand it slot 0 again, but only
+        // on the room's own session channel and with the secret it was saved with
+        if (this._unclaimedHostRooms.has(roomId)) {
+            if (this._extractRoomId(channelName) !== roomId || !this._checkHostSecret(roomId, payload.hostSecret)) {
+                console.warn(`[GameServer] Client ${client.id} failed to reclaim room ${roomId} (wrong channel or host secret)`);
+                return;
             }
+            this._unclaimedHostRooms.delete(roomId);
+            this._clientSlots.set(client.id, { roomId, slot: 0 });
+            this._issueJoinToken(client.id, roomId, 0);
+            this.rooms.get(roomId)?.sendScanState(0);
+            this.rooms.get(roomId)?.sendTerrainState(0);
+            console.log(`[GameServer] Room ${roomId} reclaimed by its host (client ${client.id})`);
+            return;
+        }
+
+        // Lobby room: its creator's first HOST_ANNOUNCE takes the host slot
+        const lobby = this._lobbyRooms.get(roomId);
+        if (lobby && lobby.hostDisplayName === null) {
+            if (lobby.creatorClientId !== null && lobby.creatorClientId !== client.id) return;
+            lobby.hostDisplayName = payload.hostDisplayName || 'Host';
+            this._clientSlots.set(client.id, { roomId, slot: 0 });
+            this._rememberHostSecret(roomId, payload.hostSecret);
+            this._issueJoinToken(client.id, roomId, 0);
+            this.rooms.get(roomId)?.addPlayer(roomId, lobby.hostDisplayName, null);
+            console.log(`[GameServer] Lobby room ${roomId} claimed by its host (client ${client.id})`);
+            return;
+        }
+        if (this.rooms.has(roomId)) return;
+
+        // Create room with broadcast callback (stays in WAITING state).
+        // The host's rock seed is room configuration: clients and server place the same rocks.
+        const rockOptions = isRockSeed(payload.rockSeed) ? { rockSeed: payload.rockSeed } : {};
+        const room = this.createRoom(roomId, {
+            ...this._roomOptions,
+            ...rockOptions,
+            ...this._roomCallbacks()
         });
 
         // Map host: transport-authenticated client.id -> slot 0
         const hostSlot = 0;
         this._clientSlots.set(client.id, { roomId, slot: hostSlot });
+        this._issueJoinToken(client.id, roomId, hostSlot);
+        this._rememberHostSecret(roomId, payload.hostSecret);
 
         room.addPlayer(roomId, payload.hostDisplayName || 'Host', null);
 
         console.log(`[GameServer] Room ${roomId} created (WAITING for SPAWN_MANIFEST)`);
     }
 
+    /**
+     * Keep the hash of a room host's first hostSecret.
+     * @param {string} roomId
+     * @param {*} hostSecret - From HOST_ANNOUNCE (ignored unless a valid secret)
+     * @private
+     */
+    _rememberHostSecret(roomId, hostSecret) {
+        if (this._hostSecretHashes.has(roomId) || !isHostSecret(hostSecret)) return;
+        this._hostSecretHashes.set(roomId, hashHostSecret(hostSecret));
+    }
+
+    /**
+     * Whether a HOST_ANNOUNCE hostSecret matches the one saved for a room.
+     * Rooms saved without one cannot be reclaimed.
+     * @param {string} roomId
+     * @param {*} hostSecret
+     * @returns {boolean}
+     * @private
+     */
+    _checkHostSecret(roomId, hostSecret) {
+        const saved = this._hostSecretHashes.get(roomId);
+        if (!saved || !isHostSecret(hostSecret)) return false;
+        const expected = Buffer.from(saved, 'hex');
+        const actual = Buffer.from(hashHostSecret(hostSecret), 'hex');
+        return actual.length === expected.length && timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Room callbacks that deliver snapshots and per-slot messages via the relay.
+     * @returns {{ broadcast: Function, sendToSlot: Function, spectate: Function }}
+     * @private
+     */
+    _roomCallbacks() {
+        return {
+            broadcast: (rid, snapshot) => {
+                this._injectToChannel(`asterobia:session:${rid}`, snapshot);
+            },
+            sendToSlot: (rid, slot, msg) => {
+                this._sendToSlot(rid, slot, msg);
+            },
+            spectate: (rid, snapshot) => {
+                this._onSpectatorSnapshot(rid, snapshot);
+            }
+        };
+    }
+
     /**
      * Handle SPAWN_MANIFEST: create HeadlessUnits from host's entity list.
      * Uses client-provided IDs — guarantees 1:1 mapping by construction.
@@ -258,7 +1416,8 @@ export class GameServer {
                 modelIndex: typeof mu.modelIndex === 'number' ? mu.modelIndex : 0,
                 px: typeof mu.px === 'number' ? mu.px : undefined,
                 py: typeof mu.py === 'number' ? mu.py : undefined,
-                pz: typeof mu.pz === 'number' ? mu.pz : undefined
+                pz: typeof mu.pz === 'number' ? mu.pz : undefined,
+                blueprint: this._sanitizeBlueprint(mu.blueprint)
             });
         }
 
@@ -272,12 +1431,39 @@ export class GameServer {
 
         // Start ticking
         room.start();
+        for (const slot of new Set(sanitized.map(u => u.ownerSlot))) {
+            this._addHomeDepot(room, slot);
+        }
         console.log(`[GameServer] Room ${auth.roomId} received manifest (${payload.units.length} units) — RUNNING`);
+
+        if (this._aiOpponent) {
+            this.addAIPlayer(auth.roomId, this._aiOpponent);
+        }
+    }
+
+    /**
+     * Handle JOIN_REQ (sent by a guest): remember which socket asked to join,
+     * so the host's JOIN_ACK for that guestId can map it to a slot.
+     * First request per guestId wins; mapped clients are ignored.
+     * @private
+     */
+    _onJoinReq(channelName, payload, client) {
+        if (typeof payload.guestId !== 'string' || !payload.guestId) return;
+        if (this._clientSlots.has(client.id)) return;
+
+        const roomId = this._extractRoomId(channelName);
+        if (!roomId || !this.rooms.has(roomId)) return;
+
+        const key = `${roomId}:${payload.guestId}`;
+        if (!this._pendingJoins.has(key)) {
+            this._pendingJoins.set(key, client.id);
+        }
     }
 
     /**
      * Handle JOIN_ACK (sent by host to guest): learn the guest's assigned slot.
-     * This lets us map the guest's WebSocket to their slot when they send MOVE_INPUT.
+     * If the ACK names a guestId seen in JOIN_REQ, that socket is mapped to the
+     * slot now; otherwise the guest is mapped on its first MOVE_INPUT.
      *
      * Security: Only the host (slot 0) can trigger server-side unit creation via JOIN_ACK.
      * A guest sending a fake JOIN_ACK is rejected.
@@ -311,13 +1497,28 @@ export class GameServer {
             return;
         }
 
-        // Note: we can't map the GUEST's client.id here because this broadcast
-        // comes from the HOST's WebSocket. We'll map the guest when they send
-        // their first MOVE_INPUT (see _onMoveInput fallback).
-        // For now, create a guest unit on the server so it appears in snapshots.
+        // This broadcast comes from the HOST's WebSocket: the guest's socket is
+        // known only through its JOIN_REQ (else the _onMoveInput fallback maps it).
+        const key = `${roomId}:${payload.guestId}`;
+        const guestClientId = this._pendingJoins.get(key);
+        if (guestClientId != null) {
+            this._pendingJoins.delete(key);
+            if (!this._clientSlots.has(guestClientId)) {
+                this._clientSlots.set(guestClientId, { roomId, slot: guestSlot });
+                this._issueJoinToken(guestClientId, roomId, guestSlot);
+                console.log(`[GameServer] Mapped client ${guestClientId} to slot ${guestSlot} in room ${roomId} (JOIN_ACK)`);
+            }
+        }
+
+        // Create a guest unit on the server so it appears in snapshots.
         const unitId = nextEntityId();
         const modelIndex = unitId % 5;
         room.createUnitForPlayer(guestSlot, unitId, { modelIndex });
+        this._addHomeDepot(room, guestSlot);
+
+        if (guestClientId != null) {
+            room.sendScanState(guestSlot);
+        }
 
         console.log(`[GameServer] Guest unit created for slot ${guestSlot} (id=${unitId}) in room ${roomId}`);
     }
@@ -351,6 +1552,8 @@ export class GameServer {
                     this._clientSlots.set(client.id, { roomId, slot });
                     auth = { roomId, slot };
                     console.log(`[GameServer] Auto-mapped client ${client.id} to slot ${slot} in room ${roomId}`);
+                    // Catch the guest up on its slot's scan discovery (never broadcast)
+                    room.sendScanState(slot);
                     break;
                 }
             }
@@ -371,6 +1574,11 @@ export class GameServer {
             command.unitId = payload.unitId;
         }
 
+        // Client prediction sequence number (echoed back in SERVER_SNAPSHOT.inputSeqs)
+        if (Number.isSafeInteger(payload.seq) && payload.seq >= 0) {
+            command.seq = payload.seq;
+        }
+
         room.receiveInput(auth.slot, command);
     }
 
@@ -384,6 +1592,7 @@ export class GameServer {
      *   - Each waypoint must have finite numeric x, y, z
      *   - Consecutive segment distance must be <= MAX_SEGMENT_LENGTH
      *   - If closed, last→first segment also checked
+     *   - No waypoint may be under water (Room.isUnderwater, same rule as client PathPlanner)
      *   - Ownership: unit.ownerSlot must match sender's slot
      *
      * @private
@@ -416,6 +1625,7 @@ export class GameServer {
             if (!isFinite(wp.x) || !isFinite(wp.y) || !isFinite(wp.z)) return;
 
             const point = { x: wp.x, y: wp.y, z: wp.z };
+            if (room.isUnderwater(point)) return;
 
             if (prevWp) {
                 const segDist = Vec3.length(Vec3.sub(point, prevWp));
@@ -443,14 +1653,328 @@ export class GameServer {
     }
 
     /**
-     * Clean up client slot mapping on disconnect.
+     * Handle MOVE_TO: route a goal-only move order to the room, which plans
+     * the route itself (Room.getPathPlanner, same zone rules as the client).
+     *
+     * Validation:
+     *   - unitId must be a number
+     *   - goal must have finite numeric x, y, z
+     *   - Goal zone (rock core / under water) and ownership are checked in Room
+     *
+     * @private
+     */
+    _onMoveTo(channelName, payload, client) {
+        const roomId = this._extractRoomId(channelName);
+        if (!roomId) return;
+
+        const room = this.rooms.get(roomId);
+        if (!room || room.state !== 'RUNNING') return;
+
+        const auth = this._clientSlots.get(client.id);
+        if (!auth) return;
+
+        if (typeof payload.unitId !== 'number') return;
+        if (!isFinitePoint(payload.goal)) return;
+
+        room.receiveInput(auth.slot, {
+            type: 'MOVE_TO',
+            unitId: payload.unitId,
+            goal: { x: payload.goal.x, y: payload.goal.y, z: payload.goal.z }
+        });
+    }
+
+    /**
+     * Handle ATTACK_TARGET: route a WPN_SHOOT intent to the room.
+     * Range, cooldown and damage are resolved server-side every tick (CombatService).
+     *
+     * Validation:
+     *   - unitId must be a number
+     *   - targetUnitId must be a number, or null (cease fire)
+     *   - Ownership of the shooter is checked in Room (sourceSlot)
+     *   - Optional renderTimeMs (lag compensation) must be finite, else ignored
+     *
+     * @private
+     */
+    _onAttackTarget(channelName, payload, client) {
+        const roomId = this._extractRoomId(channelName);
+        if (!roomId) return;
+
+        const room = this.rooms.get(roomId);
+        if (!room || room.state !== 'RUNNING') return;
+
+        const auth = this._clientSlots.get(client.id);
+        if (!auth) return;
+
+        if (typeof payload.unitId !== 'number') return;
+        const targetUnitId = payload.targetUnitId ?? null;
+        if (targetUnitId !== null && typeof targetUnitId !== 'number') return;
+
+        const command = {
+            type: 'ATTACK_TARGET',
+            unitId: payload.unitId,
+            targetUnitId
+        };
+        if (Number.isFinite(payload.renderTimeMs)) {
+            command.renderTimeMs = payload.renderTimeMs;
+        }
+
+        room.receiveInput(auth.slot, command);
+    }
+
+    /**
+     * Handle PICKUP_UNIT: route a UNIT_CARRIER pickup to the room.
+     *
+     * Validation:
+     *   - unitId and targetUnitId must be numbers
+     *   - Ownership, range and seat rules are checked in Room (CarrierService)
+     *   - Optional renderTimeMs (lag compensation) must be finite, else ignored
+     *
+     * @private
+     */
+    _onPickupUnit(channelName, payload, client) {
+        const roomId = this._extractRoomId(channelName);
+        if (!roomId) return;
+
+        const room = this.rooms.get(roomId);
+        if (!room || room.state !== 'RUNNING') return;
+
+        const auth = this._clientSlots.get(client.id);
+        if (!auth) return;
+
+        if (typeof payload.unitId !== 'number') return;
+        if (typeof payload.targetUnitId !== 'number') return;
+
+        const command = {
+            type: 'PICKUP_UNIT',
+            unitId: payload.unitId,
+            targetUnitId: payload.targetUnitId
+        };
+        if (Number.isFinite(payload.renderTimeMs)) {
+            command.renderTimeMs = payload.renderTimeMs;
+        }
+
+        room.receiveInput(auth.slot, command);
+    }
+
+    /**
+     * Handle DROP_UNIT: route a UNIT_CARRIER drop to the room.
+     *
+     * Validation:
+     *   - unitId must be a number
+     *   - Optional drop point must be three finite numbers (else dropped ahead)
+     *   - Ownership and drop range are checked in Room (CarrierService)
+     *
+     * @private
+     */
+    _onDropUnit(channelName, payload, client) {
+        const roomId = this._extractRoomId(channelName);
+        if (!roomId) return;
+
+        const room = this.rooms.get(roomId);
+        if (!room || room.state !== 'RUNNING') return;
+
+        const auth = this._clientSlots.get(client.id);
+        if (!auth) return;
+
+        if (typeof payload.unitId !== 'number') return;
+
+        const cmd = { type: 'DROP_UNIT', unitId: payload.unitId };
+        if ([payload.px, payload.py, payload.pz].every(v => Number.isFinite(v))) {
+            cmd.px = payload.px;
+            cmd.py = payload.py;
+            cmd.pz = payload.pz;
+        }
+        room.receiveInput(auth.slot, cmd);
+    }
+
+    /**
+     * Sanitize an optional manifest blueprint. Only allocations/subAllocations
+     * are kept; every value must be a finite number in [0, 1] and the
+     * allocations must not sum above 100%.
+     *
+     * @param {*} bp - Untrusted blueprint from SPAWN_MANIFEST
+     * @returns {{ id: string|null, allocations: Object<string, number>, subAllocations: Object<string, Object<string, number>> }|undefined}
+     * @private
+     */
+    _sanitizeBlueprint(bp) {
+        if (!bp || typeof bp !== 'object' || !bp.allocations || typeof bp.allocations !== 'object') {
+            return undefined;
+        }
+
+        const isFraction = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 1;
+
+        const allocations = {};
+        for (const [featureId, pct] of Object.entries(bp.allocations)) {
+            if (!isFraction(pct)) return undefined;
+            allocations[featureId] = pct;
+        }
+        if (Object.keys(allocations).length > MAX_BLUEPRINT_FEATURES) return undefined;
+
+        // Allocations share one budget: reject inflated blueprints (sum > 100%)
+        const total = Object.values(allocations).reduce((sum, v) => sum + v, 0);
+        if (total > 1.001) return undefined;
+
+        const subAllocations = {};
+        if (bp.subAllocations && typeof bp.subAllocations === 'object') {
+            for (const [featureId, sub] of Object.entries(bp.subAllocations)) {
+                if (!(featureId in allocations) || !sub || typeof sub !== 'object') continue;
+                const clean = {};
+                for (const [key, pct] of Object.entries(sub)) {
+                    if (isFraction(pct)) clean[key] = pct;
+                }
+                subAllocations[featureId] = clean;
+            }
+        }
+
+        return {
+            id: typeof bp.id === 'string' ? bp.id : null,
+            allocations,
+            subAllocations
+        };
+    }
+
+    /**
+     * Handle HELLO: negotiate the SERVER_SNAPSHOT encoding for this socket.
+     * A matching protocol version offering binary-delta-v1 gets a
+     * SnapshotStream and a HELLO reply (to this socket only) naming the
+     * chosen encoding. Anything else keeps JSON and gets no reply.
+     * @private
+     */
+    _onHello(ws, channelName, payload, client) {
+        if (payload.protocolVersion !== PROTOCOL_VERSION) return;
+        if (!Array.isArray(payload.snapshotEncodings)) return;
+        if (!payload.snapshotEncodings.includes(SNAPSHOT_ENCODING.BINARY_DELTA)) return;
+
+        if (!this._snapshotStreams.has(client.id)) {
+            this._snapshotStreams.set(client.id, new SnapshotStream());
+        }
+
+        if (ws.readyState === 1) {
+            ws.send(JSON.stringify({
+                type: 'message',
+                channel: channelName,
+                payload: {
+                    type: 'HELLO',
+                    clientId: 'server',
+                    protocolVersion: PROTOCOL_VERSION,
+                    snapshotEncoding: SNAPSHOT_ENCODING.BINARY_DELTA,
+                    timestamp: Date.now()
+                }
+            }));
+        }
+    }
+
+    /**
+     * Answer a client PING straight to its socket (RTT + clock sync with the server).
+     * PINGs are never relayed to the channel's other sockets.
+     * @private
+     */
+    _onPing(ws, channelName, payload) {
+        const receivedAt = Date.now();
+        if (typeof payload.seq !== 'number' || typeof payload.senderId !== 'string') return;
+        if (ws.readyState !== 1) return;
+
+        ws.send(JSON.stringify({
+            type: 'message',
+            channel: channelName,
+            payload: createPong({
+                responderId: 'server',
+                pingSeq: payload.seq,
+                originalTimestamp: payload.timestamp,
+                targetId: payload.senderId,
+                receivedTimestamp: receivedAt
+            })
+        }));
+    }
+
+    /**
+     * Clean up client slot mapping (pending joins, spectating, unclaimed
+     * lobby rooms) on disconnect. A room left without clients starts its
+     * empty-room timeout.
      * @private
      */
     _onClientDisconnect(client) {
+        this._snapshotStreams.delete(client.id);
+        this._removeSpectator(client.id);
+        this._removeUnclaimedLobbyRooms(client.id);
+        for (const [key, clientId] of this._pendingJoins) {
+            if (clientId === client.id) this._pendingJoins.delete(key);
+        }
         if (this._clientSlots.has(client.id)) {
             const auth = this._clientSlots.get(client.id);
             console.log(`[GameServer] Client ${client.id} disconnected (was slot ${auth.slot} in room ${auth.roomId})`);
             this._clientSlots.delete(client.id);
+            this._noteIfEmpty(auth.roomId);
+            if (!this._isSlotMapped(auth.roomId, auth.slot)) {
+                this._sendPlayerConnection(auth.roomId, auth.slot, PLAYER_CONNECTION_STATUS.DISCONNECTED);
+            }
+        }
+    }
+
+    /**
+     * A mapped client dropped and the relay parked it: tell the room the
+     * slot is reconnecting (its mapping, units and seats stay).
+     * @private
+     */
+    _onClientPark(client) {
+        const auth = this._clientSlots.get(client.id);
+        if (!auth) return;
+        console.log(`[GameServer] Client ${client.id} (slot ${auth.slot} in room ${auth.roomId}) dropped, awaiting resume`);
+        this._sendPlayerConnection(auth.roomId, auth.slot, PLAYER_CONNECTION_STATUS.RECONNECTING);
+    }
+
+    /**
+     * A parked client resumed. The relay replayed the frames it missed;
+     * if they were dropped (complete = false) it gets a keyframe on the
+     * next snapshot and its full scan and terrain state instead.
+     * @private
+     */
+    _onClientResume(client, complete) {
+        const auth = client ? this._clientSlots.get(client.id) : null;
+        if (!auth) return;
+        if (!complete) {
+            this._snapshotStreams.get(client.id)?.ack(-1);
+            this.rooms.get(auth.roomId)?.sendScanState(auth.slot);
+            this.rooms.get(auth.roomId)?.sendTerrainState(auth.slot);
+        }
+        console.log(`[GameServer] Client ${client.id} resumed slot ${auth.slot} in room ${auth.roomId}`);
+        this._sendPlayerConnection(auth.roomId, auth.slot, PLAYER_CONNECTION_STATUS.ACTIVE);
+    }
+
+    /** @private */
+    _isSlotMapped(roomId, slot) {
+        for (const auth of this._clientSlots.values()) {
+            if (auth.roomId === roomId && auth.slot === slot) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Tell a room about a slot's connection status (PLAYER_CONNECTION).
+     * @private
+     */
+    _sendPlayerConnection(roomId, slot, status) {
+        if (!this.rooms.has(roomId)) return;
+        this._injectToChannel(SESSION_CHANNEL_PREFIX + roomId, createPlayerConnection({ slot, status }));
+    }
+
+    /**
+     * Send a socket its JOIN_TOKEN for a room slot and admit it to the
+     * session channel if it is waiting there (no-op without join tokens).
+     * @private
+     */
+    _issueJoinToken(clientId, roomId, slot) {
+        if (!this._joinTokenSecret || !this._relay) return;
+
+        for (const [ws, client] of this._relay.clients) {
+            if (client.id !== clientId) continue;
+            const channelName = SESSION_CHANNEL_PREFIX + roomId;
+            const token = signJoinToken(this._joinTokenSecret, { clientId, roomId, slot });
+            if (ws.readyState === 1) {
+                ws.send(JSON.stringify({ type: 'message', channel: channelName, payload: createJoinToken({ roomId, slot, token }) }));
+            }
+            this._relay.admit?.(ws, channelName, token);
+            return;
         }
     }
 
@@ -465,7 +1989,7 @@ export class GameServer {
 
     /**
      * Inject a message into a relay channel (server -> all subscribers).
-     * Used for broadcasting SERVER_SNAPSHOT to clients.
+     * Used for broadcasting SERVER_SNAPSHOT when interest management is off.
      * @private
      */
     _injectToChannel(channelName, payload) {
@@ -483,8 +2007,67 @@ export class GameServer {
         // Send to ALL subscribers (server is not a subscriber, so no self-exclude needed)
         for (const ws of subs) {
             if (ws.readyState === 1) {
-                ws.send(outMsg);
+                this._send(ws, this._encodeFor(ws, channelName, payload) ?? outMsg, payload);
+            }
+        }
+    }
+
+    /**
+     * Send a message on a room's session channel to the clients mapped to one
+     * slot only (transport-authenticated _clientSlots). Used for per-player
+     * state such as SCAN_REVEAL and fog-filtered SERVER_SNAPSHOT that other
+     * players must not receive.
+     * @private
+     */
+    _sendToSlot(roomId, slot, payload) {
+        if (!this._relay) return;
+
+        const channelName = `asterobia:session:${roomId}`;
+        const subs = this._relay.channels.get(channelName);
+        if (!subs) return;
+
+        const outMsg = JSON.stringify({
+            type: 'message',
+            channel: channelName,
+            payload
+        });
+
+        for (const [ws, client] of this._relay.clients) {
+            const auth = this._clientSlots.get(client.id);
+            if (!auth || auth.roomId !== roomId || auth.slot !== slot) continue;
+            if (subs.has(ws) && ws.readyState === 1) {
+                this._send(ws, this._encodeFor(ws, channelName, payload) ?? outMsg, payload);
             }
         }
     }
+
+    /**
+     * Send one server frame, counting snapshot traffic for /metrics.
+     * @private
+     */
+    _send(ws, frame, payload) {
+        ws.send(frame);
+        if (payload.type === 'SERVER_SNAPSHOT') {
+            this.stats.snapshotsSent++;
+            this.stats.snapshotBytes += Buffer.byteLength(frame);
+        }
+    }
+
+    /**
+     * Per-socket SERVER_SNAPSHOT encoding: a SERVER_SNAPSHOT_BIN frame for
+     * sockets with a SnapshotStream, or null to send the shared JSON frame.
+     * @private
+     */
+    _encodeFor(ws, channelName, payload) {
+        if (payload.type !== 'SERVER_SNAPSHOT') return null;
+        const client = this._relay.clients.get(ws);
+        const stream = client ? this._snapshotStreams.get(client.id) : null;
+        if (!stream) return null;
+
+        return JSON.stringify({
+            type: 'message',
+            channel: channelName,
+            payload: stream.encode(payload)
+        });
+    }
 }
@@ -13,6 +13,13 @@
  *   - Orientation quaternion computed each tick, included in snapshot for client rendering
  *   - Diagonal normalization prevents √2 speed boost
  *   - MOVE_INPUT (WASD) cancels active path-follow immediately
+ *   - Rocks (SimCore RockField) push grounded units out tangentially: units
+ *     slide along a rock's footprint instead of driving through it
+ *   - Water (SimCore WaterRules): grounded units wade at half speed and never
+ *     drive deeper into SUBMERGED water (WASD stops, path-follow is cancelled);
+ *     waterState is reported in the snapshot as `water` when not DRY
+ *   - WASD / reprojection / orientation math is SimCore SurfaceMovement, shared
+ *     with client-side prediction so both sides step identically
  *
  * Hybrid physics lifecycle (Phase 3):
  *   - physicsMode: 'KINEMATIC' (default) or 'DYNAMIC'
@@ -22,6 +29,32 @@
  *   - exitDynamic(): settle back to KINEMATIC, snap to terrain, derive heading
  *   - Settle: auto-exit after linear velocity < threshold for N consecutive ticks
  *
+ * Combat (WPN_SHOOT):
+ *   - bindBlueprint(): effective stats + shot sub-stats (range/power/interval) from StatsEngine
+ *   - attackTargetId: persistent ATTACK_TARGET intent, resolved by CombatService each tick
+ *   - takeDamage(): same semantics as UnitModel.takeDamage (shield absorbs first, 0 hp = disabled)
+ *   - Disabled units (wrecks) ignore movement input and cannot fire
+ *
+ * Cargo (MATERA_TRANSPORT):
+ *   - transportStats / cargo: bound from the blueprint 'transport' allocation
+ *   - setCargo(): clamps to capacity and recomputes cargoSpeedFactor
+ *   - getMoveSpeed() = MOVE_SPEED * cargoSpeedFactor (WASD and path-follow)
+ *
+ * Unit Carrier (UNIT_CARRIER):
+ *   - carrierEfficiency: bound from the blueprint 'carrier' allocation (0 = cannot carry)
+ *   - carryingUnitId / carriedBy: carry link, managed by CarrierService
+ *   - While carrying, getMoveSpeed() is further scaled by carrierEfficiency
+ *   - Carried units follow the carrier and ignore movement input / slope triggers;
+ *     Room removes their rigid body for the duration
+ *
+ * Save/resume: serialize() captures the full sim state (not the short-key
+ * snapshot); fromSave() rebinds the blueprint and restores it. Rigid bodies
+ * are not saved: a unit saved DYNAMIC resumes KINEMATIC on the terrain.
+ *
+ * Subsurface Scan (PERCEPTION_SUBSURFACE_SCAN):
+ *   - scanRadius: scan sphere radius from the blueprint 'scan' allocation (0 = no scan)
+ *   - scanEnabled: ON/OFF toggle (spec §3.2); discovery is stamped by SubsurfaceScanService
+ *
  * Coordinate system:
  *   - "Up" = terrain surface normal at unit position
  *   - "Reference forward" = projection of world {0,1,0} onto tangent plane (→ "north")
@@ -32,13 +65,24 @@
  */
 
 import { Vec3, Quat } from './SphereMath.js';
+import {
+    BASE_MOVE_SPEED,
+    computeMoveVelocity,
+    getSurfaceUp,
+    getReferenceForward,
+    reprojectToTerrain,
+    computeOrientation
+} from '../src/SimCore/systems/SurfaceMovement.js';
+import { resolveRockContacts } from '../src/SimCore/systems/RockField.js';
+import { isBlockedByWater, waterDepthAt, waterSpeedFactor, waterStateForDepth } from '../src/SimCore/systems/WaterRules.js';
+import { computeBlueprintStats, getCargoSpeedFactor } from '../src/SimCore/runtime/UnitTypeBinder.js';
 
 /** @type {number} Gravity acceleration (world units per second²) */
 const GRAVITY = 9.81;
 
 export class HeadlessUnit {
-    /** @type {number} Fixed movement speed (world units per second) — matches client Unit.speed */
-    static MOVE_SPEED = 5.0;
+    /** @type {number} Base movement speed (world units per second) — matches client Unit.speed; see getMoveSpeed() */
+    static MOVE_SPEED = BASE_MOVE_SPEED;
 
     /** @type {number} Linear velocity threshold for settle detection (m/s) */
     static SETTLE_VELOCITY_THRESHOLD = 0.5;
@@ -61,6 +105,9 @@ export class HeadlessUnit {
     /** @type {number} Minimum ticks in KINEMATIC after exiting DYNAMIC before re-triggering */
     static REENTRY_COOLDOWN_TICKS = 20;
 
+    /** @type {number} Unit footprint radius against rocks (half of CollisionService unit↔unit distance) */
+    static ROCK_CONTACT_RADIUS = 0.5;
+
     /**
      * @param {number} id - Deterministic entity ID (from IdGenerator or manifest)
      * @param {number} ownerSlot - Player slot that owns this unit (economic identity)
@@ -92,6 +139,67 @@ export class HeadlessUnit {
         /** @type {number} Hit points */
         this.hp = 100;
 
+        /** @type {number} Maximum hit points */
+        this.maxHp = 100;
+
+        /** @type {number} Shield points (absorb damage before hp) */
+        this.shieldLevel = 0;
+
+        /** @type {boolean} True once hp reaches 0 (wreck: no movement, no fire) */
+        this.disabled = false;
+
+        // Combat (WPN_SHOOT)
+        /** @type {string|null} Bound blueprint ID (null = unbound, no weapon) */
+        this.typeId = null;
+
+        /** @type {Object|null} Bound blueprint { id, allocations, subAllocations } (kept for save/resume) */
+        this.blueprint = null;
+
+        /** @type {{ move: number, vision: number, shot: number, shield: number, mining: number }|null} Effective stats from blueprint */
+        this.effectiveStats = null;
+
+        /** @type {{ range: number, power: number, interval: number }|null} Shot sub-stats (null = no weapon) */
+        this.shotStats = null;
+
+        /** @type {number|null} Unit ID this unit is ordered to attack (ATTACK_TARGET intent) */
+        this.attackTargetId = null;
+
+        /** @type {number} Earliest sim tick at which the weapon may fire again */
+        this.nextFireTick = 0;
+
+        // Cargo (MATERA_TRANSPORT)
+        /** @type {{ capacity: number, efficiency: number }|null} Transport stats (null = cannot carry) */
+        this.transportStats = null;
+
+        /** @type {number} Matera carried (0..transportStats.capacity) */
+        this.cargo = 0;
+
+        /** @type {number} Movement multiplier from cargo fill (1.0 = empty / no transport) */
+        this.cargoSpeedFactor = 1.0;
+
+        // Unit Carrier (UNIT_CARRIER)
+        /** @type {number} Carry slowdown multiplier from the 'carrier' allocation (0 = cannot carry) */
+        this.carrierEfficiency = 0;
+
+        /** @type {number|null} Unit ID currently carried by this unit */
+        this.carryingUnitId = null;
+
+        /** @type {number|null} Carrier unit ID while this unit is being carried */
+        this.carriedBy = null;
+
+        /** @type {number} Height above the carrier while carried */
+        this.carryOffset = 0;
+
+        // Subsurface Scan (PERCEPTION_SUBSURFACE_SCAN)
+        /** @type {number} Scan sphere radius (0 = cannot scan) */
+        this.scanRadius = 0;
+
+        /** @type {boolean} Scan toggle (ON by default; OFF produces no stamps) */
+        this.scanEnabled = true;
+
+        /** @type {import('../src/SimCore/rules/StatsEngine.js').StatsEngine|null} Engine the blueprint was bound with */
+        this._statsEngine = null;
+
         /** @type {number|null} Slot currently controlling this unit (driver) */
         this.selectedBySlot = null;
 
@@ -111,6 +219,9 @@ export class HeadlessUnit {
         /** @type {number} Velocity along radial direction (m/s, negative = falling) */
         this.verticalVelocity = 0;
 
+        /** @type {import('../src/SimCore/systems/WaterRules.js').WaterState} Updated by Room each tick */
+        this.waterState = 'DRY';
+
         // Phase 2B: Path-follow state
         /** @type {Array<{x:number,y:number,z:number}>|null} Active waypoint list */
         this.waypoints = null;
@@ -178,11 +289,303 @@ export class HeadlessUnit {
             speed: this.speed,
             state: this.speed > 0 ? 'MOVING' : 'IDLE',
             hp: this.hp,
+            disabled: this.disabled,
+            mode: this.mode,
+            altitude: this.altitude,
+            // Cargo fields only for transport-capable units
+            ...(this.transportStats ? { cargo: this.cargo, cargoFactor: this.cargoSpeedFactor } : {}),
+            // Water state only while in water
+            ...(this.waterState !== 'DRY' ? { water: this.waterState } : {}),
+            // Carry link fields only while a carry is active
+            ...(this.carriedBy != null ? { carriedBy: this.carriedBy } : {}),
+            ...(this.carryingUnitId != null ? { carrying: this.carryingUnitId } : {})
+        };
+    }
+
+    // ========================================
+    // Persistence (save/resume)
+    // ========================================
+
+    /**
+     * Serialize the full unit state to a JSON-safe object (room checkpoints).
+     * Derived state (stats, orientation basis) is rebuilt by fromSave().
+     *
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            id: this.id,
+            ownerSlot: this.ownerSlot,
+            modelIndex: this.modelIndex,
+            blueprint: this.blueprint,
+            position: { ...this.position },
+            velocity: { ...this.velocity },
+            orientation: { ...this.orientation },
+            heading: this.heading,
+            speed: this.speed,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            shieldLevel: this.shieldLevel,
+            disabled: this.disabled,
+            attackTargetId: this.attackTargetId,
+            nextFireTick: this.nextFireTick,
+            cargo: this.cargo,
+            carryingUnitId: this.carryingUnitId,
+            carriedBy: this.carriedBy,
+            carryOffset: this.carryOffset,
+            scanEnabled: this.scanEnabled,
+            selectedBySlot: this.selectedBySlot,
             mode: this.mode,
-            altitude: this.altitude
+            altitude: this.altitude,
+            verticalVelocity: this.verticalVelocity,
+            waterState: this.waterState,
+            waypoints: this.waypoints ? this.waypoints.map(wp => ({ x: wp.x, y: wp.y, z: wp.z })) : null,
+            waypointIndex: this.waypointIndex,
+            pathClosed: this.pathClosed,
+            physicsMode: this.physicsMode,
+            slopeTriggerCounter: this._slopeTriggerCounter,
+            reentryCooldown: this._reentryCooldown
         };
     }
 
+    /**
+     * Recreate a unit from serialize() output.
+     *
+     * @param {Object} data - serialize() output
+     * @param {import('./ServerTerrain.js').ServerTerrain} terrain
+     * @param {import('../src/SimCore/rules/StatsEngine.js').StatsEngine} statsEngine - Rebinds data.blueprint
+     * @returns {HeadlessUnit}
+     */
+    static fromSave(data, terrain, statsEngine) {
+        const unit = new HeadlessUnit(data.id, data.ownerSlot, { modelIndex: data.modelIndex ?? 0 });
+        unit.terrain = terrain;
+        if (data.blueprint) {
+            unit.bindBlueprint(data.blueprint, statsEngine);
+        }
+        unit.setCargo(data.cargo ?? 0);
+
+        unit.position = { ...data.position };
+        unit.velocity = { ...data.velocity };
+        unit.orientation = { ...data.orientation };
+        unit.heading = data.heading;
+        unit.speed = data.speed;
+        unit.hp = data.hp;
+        unit.maxHp = data.maxHp;
+        unit.shieldLevel = data.shieldLevel ?? 0;
+        unit.disabled = !!data.disabled;
+        unit.attackTargetId = data.attackTargetId ?? null;
+        unit.nextFireTick = data.nextFireTick ?? 0;
+        unit.carryingUnitId = data.carryingUnitId ?? null;
+        unit.carriedBy = data.carriedBy ?? null;
+        unit.carryOffset = data.carryOffset ?? 0;
+        unit.scanEnabled = data.scanEnabled !== false;
+        unit.selectedBySlot = data.selectedBySlot ?? null;
+        unit.mode = data.mode ?? 'GROUNDED';
+        unit.altitude = data.altitude ?? 0;
+        unit.verticalVelocity = data.verticalVelocity ?? 0;
+        unit.waterState = data.waterState ?? 'DRY';
+        unit.waypoints = data.waypoints ? data.waypoints.map(wp => ({ x: wp.x, y: wp.y, z: wp.z })) : null;
+        unit.waypointIndex = data.waypointIndex ?? 0;
+        unit.pathClosed = !!data.pathClosed;
+        unit._slopeTriggerCounter = data.slopeTriggerCounter ?? 0;
+        unit._reentryCooldown = data.reentryCooldown ?? 0;
+
+        // No rigid body to resume: settle a tumbling unit back onto the terrain
+        if (data.physicsMode === 'DYNAMIC') {
+            unit.mode = 'GROUNDED';
+            unit.altitude = 0;
+            unit.verticalVelocity = 0;
+            unit.speed = 0;
+            unit.velocity = { x: 0, y: 0, z: 0 };
+            unit._reprojectToTerrain();
+            unit._updateOrientation();
+        }
+
+        return unit;
+    }
+
+    // ========================================
+    // Combat (WPN_SHOOT)
+    // ========================================
+
+    /**
+     * Bind this unit to a TypeBlueprint's allocations and compute its combat stats.
+     * Uses the same stat math as the client UnitTypeBinder, with a server-owned StatsEngine.
+     *
+     * @param {{ id?: string, allocations: Object<string, number>, subAllocations?: Object<string, Object<string, number>> }} blueprint
+     * @param {import('../src/SimCore/rules/StatsEngine.js').StatsEngine} statsEngine
+     */
+    bindBlueprint(blueprint, statsEngine) {
+        const stats = computeBlueprintStats(blueprint, statsEngine);
+        this.typeId = blueprint.id ?? null;
+        this.blueprint = blueprint;
+        this.effectiveStats = stats;
+        this.shotStats = stats.shot > 0
+            ? statsEngine.computeShotSubStats(stats.shot, blueprint.subAllocations?.shot || {})
+            : null;
+        this.transportStats = stats.transport > 0
+            ? statsEngine.computeTransportStats(stats.transport)
+            : null;
+        this.carrierEfficiency = stats.carrier > 0
+            ? statsEngine.computeCarrierEfficiency(stats.carrier)
+            : 0;
+        this.scanRadius = stats.scan > 0
+            ? statsEngine.computeScanRadius(stats.scan)
+            : 0;
+        this._statsEngine = statsEngine;
+        this.setCargo(this.cargo);
+    }
+
+    // ========================================
+    // Cargo (MATERA_TRANSPORT)
+    // ========================================
+
+    /**
+     * Current movement speed: base speed slowed by cargo fill and, while
+     * carrying another unit, by carrierEfficiency.
+     * @returns {number}
+     */
+    getMoveSpeed() {
+        return HeadlessUnit.MOVE_SPEED * this.cargoSpeedFactor * this._getCarryFactor();
+    }
+
+    /**
+     * Set carried cargo (clamped to capacity) and recompute the cargo slowdown.
+     * A unit already moving under WASD keeps its direction at the new speed.
+     *
+     * @param {number} amount - Cargo amount
+     * @returns {number} Cargo actually held
+     */
+    setCargo(amount) {
+        const capacity = this.transportStats?.capacity ?? 0;
+        this.cargo = Math.max(0, Math.min(capacity, amount || 0));
+
+        const oldFactor = this.cargoSpeedFactor;
+        this.cargoSpeedFactor = getCargoSpeedFactor(this, this._statsEngine);
+
+        if (this.speed > 0 && oldFactor > 0 && this.cargoSpeedFactor !== oldFactor) {
+            this.speed = this.getMoveSpeed();
+            this.velocity = Vec3.scale(this.velocity, this.cargoSpeedFactor / oldFactor);
+        }
+        return this.cargo;
+    }
+
+    // ========================================
+    // Unit Carrier (UNIT_CARRIER)
+    // ========================================
+
+    /**
+     * Set (or clear) the unit this carrier holds and re-apply the carry slowdown.
+     * A unit already moving under WASD keeps its direction at the new speed.
+     *
+     * @param {number|null} unitId - Carried unit ID, or null after a drop
+     */
+    setCarrying(unitId) {
+        const oldFactor = this._getCarryFactor();
+        this.carryingUnitId = unitId;
+        const newFactor = this._getCarryFactor();
+
+        if (this.speed > 0 && oldFactor > 0 && newFactor !== oldFactor) {
+            this.speed = this.getMoveSpeed();
+            this.velocity = Vec3.scale(this.velocity, newFactor / oldFactor);
+        }
+    }
+
+    /**
+     * Become carried: stop all own movement and combat intent.
+     *
+     * @param {HeadlessUnit} carrier
+     * @param {number} offset - Height above the carrier
+     */
+    attachTo(carrier, offset) {
+        this.carriedBy = carrier.id;
+        this.carryOffset = offset;
+        this.clearPath();
+        this.attackTargetId = null;
+        this.speed = 0;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.mode = 'GROUNDED';
+        this.altitude = 0;
+        this.verticalVelocity = 0;
+        this._slopeTriggerCounter = 0;
+    }
+
+    /**
+     * Ride on the carrier: carrier position raised along its radial up,
+     * same facing.
+     *
+     * @param {HeadlessUnit} carrier
+     */
+    followCarrier(carrier) {
+        const up = Vec3.normalize(carrier.position);
+        this.position = Vec3.add(carrier.position, Vec3.scale(up, this.carryOffset));
+        this.heading = carrier.heading;
+        this.orientation = { ...carrier.orientation };
+    }
+
+    /**
+     * Release from the carrier and re-project onto the terrain surface.
+     *
+     * @param {{ x: number, y: number, z: number }} direction - Drop direction from planet center
+     * @param {import('./ServerTerrain.js').ServerTerrain|null} terrain
+     */
+    detachAt(direction, terrain) {
+        this.carriedBy = null;
+        this.carryOffset = 0;
+        if (terrain) {
+            this.spawnOnSurface(direction, terrain);
+        } else {
+            this.position = Vec3.normalize(direction);
+            this._reprojectToTerrain();
+            this._updateOrientation();
+        }
+    }
+
+    /**
+     * Carry slowdown multiplier (1.0 when not carrying).
+     * @returns {number}
+     * @private
+     */
+    _getCarryFactor() {
+        return this.carryingUnitId != null ? this.carrierEfficiency : 1.0;
+    }
+
+    /**
+     * Set (or clear) the persistent attack target.
+     *
+     * @param {number|null} targetId - Target unit ID, or null to cease fire
+     */
+    setAttackTarget(targetId) {
+        this.attackTargetId = targetId;
+    }
+
+    /**
+     * Apply damage. Same semantics as UnitModel.takeDamage():
+     * shield absorbs first, remaining damage hits hp, 0 hp disables the unit.
+     *
+     * @param {number} amount - Damage amount
+     * @returns {boolean} True if the unit was disabled by this damage
+     */
+    takeDamage(amount) {
+        if (this.shieldLevel > 0) {
+            const shieldAbsorb = Math.min(this.shieldLevel, amount);
+            this.shieldLevel -= shieldAbsorb;
+            amount -= shieldAbsorb;
+        }
+
+        this.hp = Math.max(0, this.hp - amount);
+
+        if (this.hp <= 0) {
+            this.disabled = true;
+            this.attackTargetId = null;
+            this.clearPath();
+            this.speed = 0;
+            this.velocity = { x: 0, y: 0, z: 0 };
+            return true;
+        }
+        return false;
+    }
+
     /**
      * Set an active path for this unit to follow.
      * Replaces any existing path. Called when server validates a PATH_DATA command.
@@ -217,6 +620,12 @@ export class HeadlessUnit {
     applyInput(command) {
         if (command.type !== 'MOVE_INPUT') return;
 
+        // Wrecks don't drive
+        if (this.disabled) return;
+
+        // Carried units ride along (position owned by the carrier)
+        if (this.carriedBy != null) return;
+
         // DYNAMIC mode: ignore WASD input (Rapier drives position)
         if (this.physicsMode === 'DYNAMIC') return;
 
@@ -226,41 +635,14 @@ export class HeadlessUnit {
             this.clearPath();
         }
 
-        // Map WASD to tangent-plane input components
-        // forward/backward = along reference forward, left/right = along reference right
-        let inputFwd = 0;
-        let inputRight = 0;
-
-        if (command.forward)  inputFwd += 1;
-        if (command.backward) inputFwd -= 1;
-        if (command.left)     inputRight -= 1;
-        if (command.right)    inputRight += 1;
-
-        // Diagonal normalization: prevent √2 speed boost
-        const len = Math.sqrt(inputFwd * inputFwd + inputRight * inputRight);
-        if (len > 0) {
-            inputFwd /= len;
-            inputRight /= len;
-        }
-
-        this.speed = len > 0 ? HeadlessUnit.MOVE_SPEED : 0;
-
-        // Compute tangent basis at current position
-        const up = this._getSurfaceUp();
-        const refFwd = this._getReferenceForward(up);
-        const refRight = Vec3.normalize(Vec3.cross(refFwd, up));
-
-        // Set velocity in world space (tangential to sphere)
-        if (len > 0) {
-            const fwdComponent = Vec3.scale(refFwd, inputFwd * HeadlessUnit.MOVE_SPEED);
-            const rightComponent = Vec3.scale(refRight, inputRight * HeadlessUnit.MOVE_SPEED);
-            this.velocity = Vec3.add(fwdComponent, rightComponent);
+        // WASD → tangent-plane velocity (shared with client prediction)
+        const move = computeMoveVelocity(command, this.position, this.getMoveSpeed(), this.terrain);
+        this.speed = move.speed;
+        this.velocity = move.velocity;
 
-            // Update heading: angle from reference forward to movement direction
-            this.heading = Math.atan2(inputRight, inputFwd);
-        } else {
-            this.velocity = { x: 0, y: 0, z: 0 };
-            // Heading persists from last movement (unit keeps facing last direction)
+        // Heading persists from last movement when no key is pressed
+        if (move.heading !== null) {
+            this.heading = move.heading;
         }
     }
 
@@ -274,6 +656,9 @@ export class HeadlessUnit {
         // DYNAMIC mode: Rapier drives position — skip kinematic movement
         if (this.physicsMode === 'DYNAMIC') return;
 
+        // Carried: position follows the carrier (CarrierService)
+        if (this.carriedBy != null) return;
+
         // Phase 2B: delegate to path-follow if active
         if (this.waypoints && this.waypoints.length > 0) {
             this._followPath(dtSec);
@@ -282,8 +667,11 @@ export class HeadlessUnit {
 
         if (this.speed <= 0 && this.mode === 'GROUNDED') return;
 
-        // Horizontal: tangent-plane movement
-        const displacement = Vec3.scale(this.velocity, dtSec);
+        // Horizontal: tangent-plane movement (grounded units wade slower)
+        const from = this.position;
+        const grounded = this.mode === 'GROUNDED';
+        const waterFactor = grounded ? waterSpeedFactor(from, this.terrain) : 1;
+        const displacement = Vec3.scale(this.velocity, dtSec * waterFactor);
         this.position = Vec3.add(this.position, displacement);
 
         // Vertical: gravity for airborne units
@@ -300,10 +688,26 @@ export class HeadlessUnit {
         // Reproject to terrain surface
         this._reprojectToTerrain();
 
+        // Deep water: stay on the shore side
+        if (grounded && isBlockedByWater(from, this.position, this.terrain)) {
+            this.position = from;
+        }
+
         // Update cached orientation for snapshot
         this._updateOrientation();
     }
 
+    /**
+     * Refresh waterState from the water depth at the unit (airborne units
+     * count their altitude). Called by Room after movement.
+     *
+     * @returns {import('../src/SimCore/systems/WaterRules.js').WaterState}
+     */
+    updateWaterState() {
+        this.waterState = waterStateForDepth(waterDepthAt(this.position, this.terrain, this.altitude));
+        return this.waterState;
+    }
+
     // ========================================
     // Path-follow (Phase 2B)
     // ========================================
@@ -320,7 +724,8 @@ export class HeadlessUnit {
         const toTarget = Vec3.sub(target, this.position);
         const dist = Vec3.length(toTarget);
 
-        const stepSize = HeadlessUnit.MOVE_SPEED * dtSec;
+        const moveSpeed = this.getMoveSpeed();
+        const stepSize = moveSpeed * dtSec * waterSpeedFactor(this.position, this.terrain);
 
         // Arrival check: close enough to snap to waypoint
         if (dist <= stepSize) {
@@ -339,17 +744,29 @@ export class HeadlessUnit {
                 }
             }
             // Continue toward next waypoint next tick (keep moving)
-            this.speed = HeadlessUnit.MOVE_SPEED;
+            this.speed = moveSpeed;
             this._reprojectToTerrain();
             this._updateOrientation();
             return;
         }
 
         // Move toward target
+        const from = this.position;
         const direction = Vec3.normalize(toTarget);
         const displacement = Vec3.scale(direction, stepSize);
         this.position = Vec3.add(this.position, displacement);
 
+        // Segment crosses deep water: stop at the shore and drop the path
+        this._reprojectToTerrain();
+        if (isBlockedByWater(from, this.position, this.terrain)) {
+            this.position = from;
+            this.clearPath();
+            this.speed = 0;
+            this.velocity = { x: 0, y: 0, z: 0 };
+            this._updateOrientation();
+            return;
+        }
+
         // Update heading to face movement direction
         const up = this._getSurfaceUp();
         const refFwd = this._getReferenceForward(up);
@@ -359,8 +776,8 @@ export class HeadlessUnit {
         const rightComp = Vec3.dot(tangentDir, refRight);
         this.heading = Math.atan2(rightComp, fwdComp);
 
-        this.speed = HeadlessUnit.MOVE_SPEED;
-        this.velocity = Vec3.scale(direction, HeadlessUnit.MOVE_SPEED);
+        this.speed = moveSpeed;
+        this.velocity = Vec3.scale(direction, moveSpeed);
 
         this._reprojectToTerrain();
         this._updateOrientation();
@@ -450,6 +867,7 @@ export class HeadlessUnit {
      */
     checkSlopeTrigger() {
         if (this.physicsMode === 'DYNAMIC') return null;
+        if (this.carriedBy != null) return null;
         if (this._reentryCooldown > 0) {
             this._reentryCooldown--;
             return null;
@@ -522,6 +940,38 @@ export class HeadlessUnit {
         return this._settleCounter >= HeadlessUnit.SETTLE_TICK_COUNT;
     }
 
+    /**
+     * Keep a grounded kinematic unit out of the rock field. Called by Room
+     * after movement; airborne, DYNAMIC and carried units are left alone.
+     *
+     * @param {import('../src/SimCore/systems/RockField.js').Rock[]} rocks
+     * @returns {boolean} True if the unit was pushed out of a rock
+     */
+    resolveRockContacts(rocks) {
+        if (this.physicsMode === 'DYNAMIC') return false;
+        if (this.carriedBy != null) return false;
+        if (this.mode !== 'GROUNDED') return false;
+
+        const corrected = resolveRockContacts(this.position, rocks, HeadlessUnit.ROCK_CONTACT_RADIUS, this.terrain);
+        if (!corrected) return false;
+
+        this.position = corrected;
+        this._updateOrientation();
+        return true;
+    }
+
+    /**
+     * Re-seat on the terrain surface after a Terrain Shaping edit underneath:
+     * units descend into pits and rise on mounds with the ground (spec §7.2).
+     * DYNAMIC units are left to Rapier (rebuilt colliders carry them).
+     */
+    followTerrain() {
+        if (this.physicsMode === 'DYNAMIC') return;
+        if (this.carriedBy != null) return;
+        this._reprojectToTerrain();
+        this._updateOrientation();
+    }
+
     /**
      * Reproject position to terrain surface (GROUNDED) or terrain + altitude (AIRBORNE).
      * Extracted for reuse by both WASD and path-follow movement.
@@ -529,12 +979,7 @@ export class HeadlessUnit {
      * @private
      */
     _reprojectToTerrain() {
-        const dir = Vec3.normalize(this.position);
-        const terrainRadius = this.terrain
-            ? this.terrain.getRadiusAt(dir)
-            : 60;
-        const finalRadius = terrainRadius + this.altitude;
-        this.position = Vec3.scale(dir, finalRadius);
+        this.position = reprojectToTerrain(this.position, this.altitude, this.terrain);
     }
 
     // ========================================
@@ -549,10 +994,7 @@ export class HeadlessUnit {
      * @private
      */
     _getSurfaceUp() {
-        if (this.terrain) {
-            return Vec3.normalize(this.terrain.getNormalAt(this.position));
-        }
-        return Vec3.normalize(this.position);
+        return getSurfaceUp(this.position, this.terrain);
     }
 
     /**
@@ -565,12 +1007,7 @@ export class HeadlessUnit {
      * @private
      */
     _getReferenceForward(up) {
-        let refFwd = Vec3.projectOnPlane({ x: 0, y: 1, z: 0 }, up);
-        if (Vec3.lengthSq(refFwd) < 1e-6) {
-            // At poles: {0,1,0} is parallel to normal. Fall back to {0,0,1}.
-            refFwd = Vec3.projectOnPlane({ x: 0, y: 0, z: 1 }, up);
-        }
-        return Vec3.normalize(refFwd);
+        return getReferenceForward(up);
     }
 
     /**
@@ -581,13 +1018,6 @@ export class HeadlessUnit {
      * @private
      */
     _updateOrientation() {
-        const up = this._getSurfaceUp();
-        const refFwd = this._getReferenceForward(up);
-
-        // Rotate reference forward by heading angle around the surface normal
-        const headingQuat = Quat.fromAxisAngle(up, this.heading);
-        const forward = Quat.rotateVec3(headingQuat, refFwd);
-
-        this.orientation = Quat.lookRotation(forward, up);
+        this.orientation = computeOrientation(this.position, this.heading, this.terrain);
     }
 }
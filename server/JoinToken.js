@@ -0,0 +1,90 @@
+/**
+ * JoinToken — HMAC-signed slot credentials for session channels.
+ *
+ * The GameServer issues a join token when it maps a socket to a room slot
+ * (host claim, JOIN_ACK). The token binds the WsRelay client id, the room
+ * and the slot; WsRelay checks it when the socket subscribes to the room's
+ * session channel and on every broadcast there. A token copied to another
+ * socket does not verify (client ids are per connection).
+ *
+ * Format: base64url(JSON claims) "." base64url(HMAC-SHA256(secret, first part))
+ *
+ * @module server/JoinToken
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+/** @type {string} Channel prefix of the per-room session channels */
+export const SESSION_CHANNEL_PREFIX = 'asterobia:session:';
+
+/**
+ * @typedef {Object} JoinTokenClaims
+ * @property {number} clientId - WsRelay client id of the socket it was issued to
+ * @property {string} roomId
+ * @property {number} slot
+ * @property {number} issuedAt - ms since epoch
+ */
+
+/**
+ * Random signing secret (one per server process; relay and GameServer share it).
+ * @returns {Buffer}
+ */
+export function createJoinTokenSecret() {
+    return randomBytes(32);
+}
+
+/**
+ * Room id of a session channel, or null for any other channel.
+ * @param {string} channelName
+ * @returns {string|null}
+ */
+export function sessionRoomId(channelName) {
+    if (typeof channelName !== 'string' || !channelName.startsWith(SESSION_CHANNEL_PREFIX)) return null;
+    return channelName.slice(SESSION_CHANNEL_PREFIX.length) || null;
+}
+
+/**
+ * Sign a join token.
+ *
+ * @param {Buffer|string} secret
+ * @param {{ clientId: number, roomId: string, slot: number }} claims
+ * @returns {string}
+ */
+export function signJoinToken(secret, { clientId, roomId, slot }) {
+    const body = Buffer.from(JSON.stringify({ clientId, roomId, slot, issuedAt: Date.now() })).toString('base64url');
+    return `${body}.${sign(secret, body)}`;
+}
+
+/**
+ * Verify a join token's signature and shape.
+ *
+ * @param {Buffer|string} secret
+ * @param {*} token
+ * @returns {JoinTokenClaims|null} Claims, or null if the token is not valid
+ */
+export function verifyJoinToken(secret, token) {
+    if (typeof token !== 'string') return null;
+    const dot = token.indexOf('.');
+    if (dot <= 0) return null;
+
+    const body = token.slice(0, dot);
+    const expected = Buffer.from(sign(secret, body));
+    const actual = Buffer.from(token.slice(dot + 1));
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(body, 'base64url').toString());
+    } catch {
+        return null;
+    }
+    if (!claims || !Number.isInteger(claims.clientId) || typeof claims.roomId !== 'string' || !Number.isInteger(claims.slot)) {
+        return null;
+    }
+    return claims;
+}
+
+/** @returns {string} base64url HMAC-SHA256 of `body` */
+function sign(secret, body) {
+    return createHmac('sha256', secret).update(body).digest('base64url');
+}
@@ -0,0 +1,253 @@
+/**
+ * LoadHarness — In-process load test of WsRelay + GameServer with bot clients.
+ *
+ * Starts the same stack as server/index.js in PHASE2A mode (http server,
+ * relay with join tokens, GameServer) on a free port, connects N BotClients
+ * across M rooms (the first bot of each room hosts it), lets them play for
+ * a while and reports:
+ *   - tick time percentiles over all rooms (Room.recentTickDurations)
+ *   - SERVER_SNAPSHOT frame sizes and send cost (GameServer._send)
+ *   - relay fan-out: frames relayed per client frame, bytes, and the time
+ *     one client broadcast takes to reach its subscribers (WsRelay._broadcast,
+ *     without the GameServer's handling of the message)
+ *   - rate-limited, oversize and join-token drops, snapshots bots missed
+ *
+ * Counters cover the measurement window only (after every bot joined).
+ * Used by the load-test CLI (server/loadtest.js).
+ *
+ * @module server/LoadHarness
+ */
+
+import http from 'node:http';
+import { WebSocket } from 'ws';
+import { WsRelay } from './WsRelay.js';
+import { GameServer } from './GameServer.js';
+import { BotClient } from './BotClient.js';
+import { createJoinTokenSecret } from './JoinToken.js';
+
+/** @type {number} Players per room (host + 10 guests, GameServer MAX_SLOT) */
+const MAX_BOTS_PER_ROOM = 11;
+
+/** @type {number} First manifest unit id (clear of the server's nextEntityId() guest units) */
+const HOST_UNIT_ID_BASE = 1_000_000;
+
+/** @type {number} Interval for collecting tick durations (well inside Room's sample window) */
+const TICK_POLL_MS = 1000;
+
+/**
+ * @typedef {Object} LoadTestReport
+ * @property {Object} config - Options the run used
+ * @property {{ p50Ms: number, maxMs: number }} join - Handshake time per bot
+ * @property {{ count: number, meanMs: number, p50Ms: number, p95Ms: number, p99Ms: number, maxMs: number, overBudget: number }} ticks - Room tick durations (overBudget: ticks longer than the tick interval)
+ * @property {{ sent: number, bytes: number, bytesPerSec: number, p50Bytes: number, p95Bytes: number, maxBytes: number, sendP50Us: number, sendP95Us: number, received: number, missed: number }} snapshots - SERVER_SNAPSHOT frames sent by the server / received by bots
+ * @property {{ clientFrames: number, relayed: number, perFrame: number, bytesRelayed: number, broadcasts: number, p50Us: number, p95Us: number, maxUs: number }} fanOut - Client broadcasts through the relay
+ * @property {{ rateLimit: number, oversize: number, joinToken: number, botErrors: number, badSnapshots: number }} drops
+ */
+
+/**
+ * Run a load test against a fresh in-process server.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.bots=4] - Bot clients in total (at least one per room)
+ * @param {number} [options.rooms=1] - Rooms; bots are dealt round-robin, the first of each room hosts
+ * @param {number} [options.durationMs=10000] - Measurement window after every bot joined
+ * @param {number} [options.tickRate=20] - Server tick rate (Hz)
+ * @param {number} [options.inputRateHz=10] - Input messages per bot per second
+ * @param {import('./BotClient.js').BotPattern} [options.pattern='mixed'] - Bot input pattern
+ * @param {number} [options.unitsPerHost=1] - Units in each host's SPAWN_MANIFEST
+ * @param {boolean} [options.binarySnapshots=false] - Bots negotiate binary delta snapshots
+ * @param {number} [options.rateLimit] - Relay per-client rate limit (default: WsRelay's)
+ * @param {Object} [options.roomOptions] - Room options (GameServer roomOptions)
+ * @param {number} [options.seed=1] - Bot i uses seed + i
+ * @returns {Promise<LoadTestReport>}
+ * @throws {Error} On an invalid bot / room split, or if a bot cannot join
+ */
+export async function runLoadTest(options = {}) {
+    const config = {
+        bots: options.bots ?? 4,
+        rooms: options.rooms ?? 1,
+        durationMs: options.durationMs ?? 10000,
+        tickRate: options.tickRate ?? 20,
+        inputRateHz: options.inputRateHz ?? 10,
+        pattern: options.pattern ?? 'mixed',
+        unitsPerHost: options.unitsPerHost ?? 1,
+        binarySnapshots: !!options.binarySnapshots,
+        seed: options.seed ?? 1
+    };
+    if (!Number.isInteger(config.rooms) || config.rooms < 1) {
+        throw new Error(`runLoadTest: rooms must be a positive integer (got ${config.rooms})`);
+    }
+    if (!Number.isInteger(config.bots) || config.bots < config.rooms) {
+        throw new Error(`runLoadTest: need at least one bot per room (${config.bots} bots, ${config.rooms} rooms)`);
+    }
+    if (Math.ceil(config.bots / config.rooms) > MAX_BOTS_PER_ROOM) {
+        throw new Error(`runLoadTest: at most ${MAX_BOTS_PER_ROOM} bots per room (${config.bots} bots, ${config.rooms} rooms)`);
+    }
+
+    // WebSocketTransport expects the browser global
+    globalThis.WebSocket ??= WebSocket;
+
+    const joinTokenSecret = createJoinTokenSecret();
+    const httpServer = http.createServer();
+    const relay = new WsRelay({ joinTokenSecret, rateLimit: options.rateLimit });
+    const gameServer = new GameServer({ tickRate: config.tickRate, roomOptions: options.roomOptions, joinTokenSecret });
+
+    let measuring = false;
+    const broadcastUs = [];
+    const snapshotBytes = [];
+    const snapshotSendUs = [];
+
+    // Wrapped before wireToRelay: times the relay's own fan-out only
+    const relayBroadcast = relay._broadcast.bind(relay);
+    relay._broadcast = (ws, client, channelName, payload) => {
+        const startMs = performance.now();
+        relayBroadcast(ws, client, channelName, payload);
+        if (measuring) broadcastUs.push((performance.now() - startMs) * 1000);
+    };
+
+    const serverSend = gameServer._send.bind(gameServer);
+    gameServer._send = (ws, frame, payload) => {
+        const startMs = performance.now();
+        serverSend(ws, frame, payload);
+        if (measuring && payload.type === 'SERVER_SNAPSHOT') {
+            snapshotSendUs.push((performance.now() - startMs) * 1000);
+            snapshotBytes.push(frame.length);
+        }
+    };
+
+    gameServer.wireToRelay(relay);
+    gameServer.start();
+    relay.startOnServer(httpServer);
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    const url = `ws://localhost:${httpServer.address().port}`;
+
+    const bots = [];
+    let pollTimer = null;
+    try {
+        // Hosts first (a guest's JOIN_REQ needs its host), then all guests at once
+        const roomIds = Array.from({ length: config.rooms }, (_, r) => `load-${r}`);
+        const botFor = (i) => new BotClient({
+            url,
+            roomId: roomIds[i % config.rooms],
+            botId: `bot-${i}`,
+            role: i < config.rooms ? 'host' : 'guest',
+            pattern: config.pattern,
+            inputRateHz: config.inputRateHz,
+            units: config.unitsPerHost,
+            unitIdBase: HOST_UNIT_ID_BASE,
+            binarySnapshots: config.binarySnapshots,
+            seed: config.seed + i
+        });
+        for (let i = 0; i < config.bots; i++) bots.push(botFor(i));
+        await Promise.all(bots.slice(0, config.rooms).map(bot => bot.connect()));
+        await Promise.all(bots.slice(config.rooms).map(bot => bot.connect()));
+
+        // Measurement window
+        const relayStart = { ...relay.stats };
+        const serverStart = { ...gameServer.stats };
+        const botStart = bots.map(bot => ({ ...bot.stats }));
+        const tickMs = [];
+        const tickCounts = new Map();
+        const pollTicks = () => {
+            for (const [roomId, room] of gameServer.rooms) {
+                const count = room.tickStats.count;
+                if (tickCounts.has(roomId)) {
+                    tickMs.push(...room.recentTickDurations(count - tickCounts.get(roomId)));
+                }
+                tickCounts.set(roomId, count);
+            }
+        };
+
+        pollTicks();
+        measuring = true;
+        for (const bot of bots) bot.start();
+        pollTimer = setInterval(pollTicks, TICK_POLL_MS);
+        await new Promise(resolve => setTimeout(resolve, config.durationMs));
+        for (const bot of bots) bot.stop();
+        measuring = false;
+        pollTicks();
+
+        const delta = (stats, start, key) => stats[key] - start[key];
+        const botDelta = (key) => bots.reduce((sum, bot, i) => sum + bot.stats[key] - botStart[i][key], 0);
+        const seconds = config.durationMs / 1000;
+        const tickBudgetMs = 1000 / config.tickRate;
+
+        const sortedTicks = sorted(tickMs);
+        const sortedBytes = sorted(snapshotBytes);
+        const sortedSendUs = sorted(snapshotSendUs);
+        const sortedBroadcastUs = sorted(broadcastUs);
+        const sortedJoinMs = sorted(bots.map(bot => bot.stats.joinMs));
+
+        const snapshotsSent = delta(gameServer.stats, serverStart, 'snapshotsSent');
+        const snapshotBytesSent = delta(gameServer.stats, serverStart, 'snapshotBytes');
+        const clientFrames = delta(relay.stats, relayStart, 'messagesReceived');
+        const relayed = delta(relay.stats, relayStart, 'messagesRelayed');
+
+        return {
+            config,
+            join: { p50Ms: percentile(sortedJoinMs, 0.5), maxMs: sortedJoinMs.at(-1) ?? 0 },
+            ticks: {
+                count: tickMs.length,
+                meanMs: tickMs.length ? tickMs.reduce((a, b) => a + b, 0) / tickMs.length : 0,
+                p50Ms: percentile(sortedTicks, 0.5),
+                p95Ms: percentile(sortedTicks, 0.95),
+                p99Ms: percentile(sortedTicks, 0.99),
+                maxMs: sortedTicks.at(-1) ?? 0,
+                overBudget: tickMs.filter(ms => ms > tickBudgetMs).length
+            },
+            snapshots: {
+                sent: snapshotsSent,
+                bytes: snapshotBytesSent,
+                bytesPerSec: snapshotBytesSent / seconds,
+                p50Bytes: percentile(sortedBytes, 0.5),
+                p95Bytes: percentile(sortedBytes, 0.95),
+                maxBytes: sortedBytes.at(-1) ?? 0,
+                sendP50Us: percentile(sortedSendUs, 0.5),
+                sendP95Us: percentile(sortedSendUs, 0.95),
+                received: botDelta('snapshotsReceived'),
+                missed: botDelta('missedSnapshots')
+            },
+            fanOut: {
+                clientFrames,
+                relayed,
+                perFrame: clientFrames ? relayed / clientFrames : 0,
+                bytesRelayed: delta(relay.stats, relayStart, 'bytesRelayed'),
+                broadcasts: broadcastUs.length,
+                p50Us: percentile(sortedBroadcastUs, 0.5),
+                p95Us: percentile(sortedBroadcastUs, 0.95),
+                maxUs: sortedBroadcastUs.at(-1) ?? 0
+            },
+            drops: {
+                rateLimit: delta(relay.stats, relayStart, 'rateLimitDrops'),
+                oversize: delta(relay.stats, relayStart, 'oversizeDrops'),
+                joinToken: delta(relay.stats, relayStart, 'joinTokenDrops'),
+                botErrors: botDelta('errors'),
+                badSnapshots: botDelta('badSnapshots')
+            }
+        };
+    } finally {
+        clearInterval(pollTimer);
+        for (const bot of bots) bot.disconnect();
+        gameServer.stop();
+        await relay.stop();
+        await new Promise(resolve => httpServer.close(resolve));
+    }
+}
+
+/**
+ * Nearest-rank percentile of an ascending array.
+ *
+ * @param {number[]} values - Sorted ascending
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} 0 for an empty array
+ */
+export function percentile(values, q) {
+    if (values.length === 0) return 0;
+    const rank = Math.ceil(q * values.length) - 1;
+    return values[Math.min(values.length - 1, Math.max(0, rank))];
+}
+
+/** @private */
+function sorted(values) {
+    return [...values].sort((a, b) => a - b);
+}
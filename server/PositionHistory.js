@@ -0,0 +1,157 @@
+/**
+ * PositionHistory — Per-tick unit position history for lag compensation.
+ *
+ * A client acts on what it renders: snapshots interpolated ~interpDelayMs
+ * behind its estimate of server time (SnapshotBuffer clock offset). When it
+ * targets a moving unit, the server should judge the action against where
+ * that unit was on the client's screen, not where it is now.
+ *
+ * Room records every unit's post-tick position together with the
+ * serverTimeMs stamped on that tick's SERVER_SNAPSHOT. A client-initiated
+ * targeted action carries the client's render time; positionOf() rewinds
+ * targets to that time, interpolating between ticks exactly as the client did.
+ *
+ * Abuse bound: render times older than maxRewindMs behind the newest tick are
+ * clamped (a high-latency or lying client cannot reach further back), and
+ * render times in the future are clamped to the newest tick.
+ *
+ * Only targets are rewound: the acting unit is where the server has it.
+ *
+ * @module server/PositionHistory
+ */
+
+/** @type {number} History kept (ms) */
+const DEFAULT_HISTORY_MS = 1000;
+
+/** @type {number} Max rewind behind the newest tick (ms): interp delay + ~RTT/2 for a 400 ms RTT */
+const DEFAULT_MAX_REWIND_MS = 300;
+
+/**
+ * @typedef {Object} HistoryFrame
+ * @property {number} tick - Sim tick
+ * @property {number} timeMs - serverTimeMs of that tick's snapshot
+ * @property {Map<number, { x: number, y: number, z: number }>} positions - unitId → position
+ */
+
+export class PositionHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.tickMs=50] - Sim tick length (sizes the ring)
+     * @param {number} [options.historyMs=1000] - History kept
+     * @param {number} [options.maxRewindMs=300] - Max rewind behind the newest tick (capped by historyMs)
+     */
+    constructor(options = {}) {
+        const tickMs = options.tickMs ?? 50;
+
+        /** @type {number} */
+        this.historyMs = options.historyMs ?? DEFAULT_HISTORY_MS;
+
+        /** @type {number} */
+        this.maxRewindMs = Math.min(options.maxRewindMs ?? DEFAULT_MAX_REWIND_MS, this.historyMs);
+
+        /** @type {number} Frames retained */
+        this.capacity = Math.ceil(this.historyMs / tickMs) + 1;
+
+        /** @type {HistoryFrame[]} Oldest first */
+        this.frames = [];
+
+        /** @type {number} Rewinds requested (diagnostic) */
+        this.rewindCount = 0;
+
+        /** @type {number} Rewinds clamped by maxRewindMs (diagnostic) */
+        this.clampedCount = 0;
+    }
+
+    /**
+     * Record the positions of all units after a tick.
+     *
+     * @param {number} tick
+     * @param {number} timeMs - serverTimeMs of the tick's snapshot
+     * @param {import('./HeadlessUnit.js').HeadlessUnit[]} units
+     */
+    record(tick, timeMs, units) {
+        const positions = new Map();
+        for (const u of units) {
+            positions.set(u.id, { x: u.position.x, y: u.position.y, z: u.position.z });
+        }
+        this.frames.push({ tick, timeMs, positions });
+        while (this.frames.length > this.capacity) {
+            this.frames.shift();
+        }
+    }
+
+    /** @returns {HistoryFrame|null} */
+    get newest() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1] : null;
+    }
+
+    /**
+     * Clamp a client render time to the rewindable window.
+     *
+     * @param {number} renderTimeMs - Server time the client was rendering
+     * @returns {number|null} Time to rewind to (null = no history)
+     */
+    clampRewindTime(renderTimeMs) {
+        const newest = this.newest;
+        if (!newest) return null;
+
+        const oldestAllowed = Math.max(newest.timeMs - this.maxRewindMs, this.frames[0].timeMs);
+        if (renderTimeMs < oldestAllowed) {
+            this.clampedCount++;
+            return oldestAllowed;
+        }
+        return Math.min(renderTimeMs, newest.timeMs);
+    }
+
+    /**
+     * Unit position at a (clamped) history time, interpolated between ticks.
+     *
+     * @param {number} unitId
+     * @param {number} timeMs - Result of clampRewindTime
+     * @returns {{ x: number, y: number, z: number }|null} Null if the unit is not in the history
+     */
+    positionAt(unitId, timeMs) {
+        const frames = this.frames;
+        let i = frames.length - 1;
+        while (i > 0 && frames[i].timeMs > timeMs) i--;
+
+        const prev = frames[i];
+        const next = frames[Math.min(i + 1, frames.length - 1)];
+        const a = prev?.positions.get(unitId);
+        const b = next?.positions.get(unitId);
+        if (!a || !b) return b ?? a ?? null;
+
+        const span = next.timeMs - prev.timeMs;
+        const t = span > 0 ? Math.max(0, Math.min(1, (timeMs - prev.timeMs) / span)) : 0;
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t,
+            z: a.z + (b.z - a.z) * t
+        };
+    }
+
+    /**
+     * Position lookup for judging one client action: units rewound to the
+     * client's render time (clamped), current position when not rewindable.
+     *
+     * @param {number|null|undefined} renderTimeMs - Client render time (null = no compensation)
+     * @returns {(unit: import('./HeadlessUnit.js').HeadlessUnit) => { x: number, y: number, z: number }}
+     */
+    positionOf(renderTimeMs) {
+        const current = unit => unit.position;
+        if (renderTimeMs == null) return current;
+
+        const timeMs = this.clampRewindTime(renderTimeMs);
+        if (timeMs === null) return current;
+
+        this.rewindCount++;
+        return unit => this.positionAt(unit.id, timeMs) ?? unit.position;
+    }
+
+    /**
+     * Drop all history.
+     */
+    clear() {
+        this.frames = [];
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * Replay — Match recording for Room: replay format, recorder, state hashes.
+ *
+ * A replay is the room's state when recording began (Room.serialize()),
+ * its JSON-safe constructor options, every command the room applied
+ * ([tick, slot, payload], in flush order), the server clock of every tick
+ * (lag-compensated checks rewind by time) and a state hash every
+ * hashInterval ticks. Re-simulating feeds the same commands and clock into
+ * a fresh Room with no sockets (ReplayRunner.resimulate) and compares hashes
+ * tick by tick: the first mismatch is where determinism broke.
+ *
+ * Hashes use SimCore hashState (unit positions, Matera, depots, terrain
+ * edits, scan discovery) over the room's state, digested to 16 hex chars.
+ *
+ * Entries that are not commands (room calls outside the command queue):
+ *   - SPAWN_UNIT: a unit created mid-match (guest join, createUnitForPlayer)
+ *   - EXPLOSION:  Room.triggerExplosion (admin / dev tools)
+ *   - MINE:       Room.addMine (admin / dev tools)
+ *   - DEPOT:      Room.addDepot (GameServer home depots)
+ *   - TERRAIN_STAMP: Room.shapeTerrain
+ *
+ * File format: JSON, gzipped when the path ends in .gz.
+ *
+ * @module server/Replay
+ */
+
+import fs from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { gzipSync, gunzipSync } from 'node:zlib';
+import { hashState } from '../src/SimCore/runtime/StateSurface.js';
+
+/** @type {number} Current replay format version */
+export const REPLAY_VERSION = 1;
+
+/** @type {string} Format identifier */
+export const REPLAY_FORMAT = 'asterobia-replay';
+
+/** @type {number} Default ticks between recorded state hashes (1 s at 20 Hz) */
+const DEFAULT_HASH_INTERVAL = 20;
+
+/** @type {string[]} CommandQueue bookkeeping stripped from recorded payloads (seq is kept: it orders the flush) */
+const QUEUE_FIELDS = ['id', 'enqueuedAt', 'scheduledTick', 'processedAtTick', 'sourceSlot'];
+
+/**
+ * Hash the room's simulation state after `tick` (hashState over the room's
+ * serialized units, Matera, depots, terrain edits and scan discovery).
+ *
+ * @param {import('./Room.js').Room} room
+ * @param {number} tick - Tick just simulated
+ * @returns {string} 16 hex chars
+ */
+export function hashRoomState(room, tick) {
+    const surface = {
+        tickCount: tick,
+        units: room.units.map(u => ({ id: u.id, position: u.position })),
+        matera: room.matera.serialize(),
+        logistics: room.logistics.serialize(),
+        terrain: room.terrain.deltaLayer.serialize(),
+        scan: room.scan.serialize()
+    };
+    return createHash('sha256').update(hashState(surface)).digest('hex').slice(0, 16);
+}
+
+// ========================================
+// Recording
+// ========================================
+
+export class ReplayRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.hashInterval=20] - Ticks between state hashes
+     * @param {Object} [options.roomOptions] - Room constructor options (functions are dropped)
+     */
+    constructor(options = {}) {
+        /** @type {number} Ticks between state hashes */
+        this.hashInterval = options.hashInterval || DEFAULT_HASH_INTERVAL;
+
+        /** @type {Object} JSON-safe Room constructor options */
+        this.roomOptions = JSON.parse(JSON.stringify(options.roomOptions ?? {}));
+
+        /** @type {string|null} */
+        this.roomId = null;
+
+        /** @type {Object|null} Room.serialize() when recording began (null = not begun) */
+        this.initial = null;
+
+        /** @type {number} Tick count when recording began */
+        this.startTick = 0;
+
+        /** @type {Array<[number, number|null, Object]>} [tick, slot, payload] applied before `tick` runs */
+        this.entries = [];
+
+        /** @type {number[]} Server clock per tick: first absolute, then deltas */
+        this.times = [];
+
+        /** @type {Array<[number, string]>} [tick, hash] after `tick` ran */
+        this.hashes = [];
+
+        /** @type {number} Last recorded tick time (for deltas) */
+        this._lastTimeMs = 0;
+    }
+
+    /**
+     * Start recording from the room's current state (Room.start()).
+     * Anything recorded before is discarded.
+     *
+     * @param {import('./Room.js').Room} room
+     */
+    begin(room) {
+        this.roomId = room.roomId;
+        this.initial = JSON.parse(JSON.stringify(room.serialize()));
+        this.startTick = room.simLoop.tickCount;
+        this.entries = [];
+        this.times = [];
+        this.hashes = [];
+        this._lastTimeMs = 0;
+    }
+
+    /** @returns {boolean} Whether begin() has been called */
+    get isRecording() {
+        return this.initial !== null;
+    }
+
+    /**
+     * Record the commands flushed for a tick (in flush order).
+     *
+     * @param {number} tick
+     * @param {Object[]} commands - CommandQueue.flush() output
+     */
+    recordCommands(tick, commands) {
+        if (!this.isRecording) return;
+        for (const cmd of commands) {
+            const payload = { ...cmd };
+            for (const field of QUEUE_FIELDS) delete payload[field];
+            this.entries.push([tick, cmd.sourceSlot ?? null, payload]);
+        }
+    }
+
+    /**
+     * Record a unit created mid-match (applied before `tick` runs).
+     *
+     * @param {number} tick
+     * @param {number} slot
+     * @param {number} unitId
+     * @param {{ modelIndex?: number, blueprint?: Object }} [options]
+     */
+    recordSpawn(tick, slot, unitId, options = {}) {
+        const payload = { type: 'SPAWN_UNIT', unitId, modelIndex: options.modelIndex ?? 0 };
+        if (options.blueprint) payload.blueprint = options.blueprint;
+        this.recordEvent(tick, slot, payload);
+    }
+
+    /**
+     * Record a room call made outside the command queue (applied before `tick` runs).
+     *
+     * @param {number} tick
+     * @param {number|null} slot
+     * @param {{ type: string }} payload - JSON-safe event (copied)
+     */
+    recordEvent(tick, slot, payload) {
+        if (!this.isRecording) return;
+        this.entries.push([tick, slot, JSON.parse(JSON.stringify(payload))]);
+    }
+
+    /**
+     * Record a finished tick: its server time, and the state hash on hash ticks.
+     *
+     * @param {number} tick
+     * @param {number} timeMs - Server clock of the tick (PositionHistory time)
+     * @param {import('./Room.js').Room} room
+     */
+    recordTick(tick, timeMs, room) {
+        if (!this.isRecording) return;
+        this.times.push(this.times.length === 0 ? timeMs : timeMs - this._lastTimeMs);
+        this._lastTimeMs = timeMs;
+        if (tick % this.hashInterval === 0) {
+            this.hashes.push([tick, hashRoomState(room, tick)]);
+        }
+    }
+
+    /**
+     * The replay (JSON-safe).
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            roomId: this.roomId,
+            hashInterval: this.hashInterval,
+            roomOptions: this.roomOptions,
+            startTick: this.startTick,
+            initial: this.initial,
+            entries: this.entries,
+            times: this.times,
+            hashes: this.hashes
+        };
+    }
+}
+
+// ========================================
+// Files
+// ========================================
+
+/**
+ * Write a replay (gzipped if the path ends in .gz). Written to a temp file
+ * and renamed, so readers never see a half-written replay.
+ *
+ * @param {string} file
+ * @param {Object} replay - ReplayRecorder.toJSON() output
+ * @returns {Promise<void>}
+ */
+export async function writeReplay(file, replay) {
+    const json = JSON.stringify(replay);
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, file.endsWith('.gz') ? gzipSync(json) : json);
+    await fs.rename(tmp, file);
+}
+
+/**
+ * Read and validate a replay file.
+ *
+ * @param {string} file
+ * @returns {Promise<Object>}
+ * @throws {Error} If the file is not a supported replay
+ */
+export async function readReplay(file) {
+    const raw = await fs.readFile(file);
+    const replay = JSON.parse((file.endsWith('.gz') ? gunzipSync(raw) : raw).toString('utf8'));
+    const validation = validateReplay(replay);
+    if (!validation.valid) {
+        throw new Error(validation.error);
+    }
+    return replay;
+}
+
+/**
+ * Validate a loaded replay.
+ *
+ * @param {Object} replay
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object' || replay.format !== REPLAY_FORMAT) {
+        return { valid: false, error: 'Not an asterobia replay' };
+    }
+    if (replay.version > REPLAY_VERSION) {
+        return { valid: false, error: `Replay version ${replay.version} is newer than supported (${REPLAY_VERSION})` };
+    }
+    if (!replay.initial || !Array.isArray(replay.entries) || !Array.isArray(replay.times) || !Array.isArray(replay.hashes)) {
+        return { valid: false, error: 'Replay is missing initial state, entries, times or hashes' };
+    }
+    return { valid: true };
+}
@@ -0,0 +1,99 @@
+/**
+ * ReplayRunner — Headless re-simulation of a recorded match (server/Replay).
+ *
+ * Restores the replay's initial state into a fresh Room, feeds the recorded
+ * commands and tick clock with no sockets or timers, and compares state
+ * hashes with the recorded ones. Used by the resim CLI (server/resim.js).
+ *
+ * @module server/ReplayRunner
+ */
+
+import { Room } from './Room.js';
+import { hashRoomState } from './Replay.js';
+
+/**
+ * Re-run a replay through a fresh Room (no sockets, no timers) and compare
+ * state hashes with the recorded ones.
+ *
+ * @param {Object} replay - ReplayRecorder.toJSON() / readReplay() output
+ * @param {Object} [options]
+ * @param {number} [options.untilTick] - Stop after this tick (default: last recorded tick)
+ * @param {boolean} [options.stopAtDivergence=true] - Stop at the first mismatching hash
+ * @returns {Promise<{ ticks: number, lastTick: number, checked: number, divergence: { tick: number, expected: string, actual: string }|null }>}
+ */
+export async function resimulate(replay, options = {}) {
+    const stopAtDivergence = options.stopAtDivergence !== false;
+
+    // Absolute tick times from the recorded deltas
+    const times = [];
+    let t = 0;
+    for (let i = 0; i < replay.times.length; i++) {
+        t = i === 0 ? replay.times[0] : t + replay.times[i];
+        times.push(t);
+    }
+
+    const lastRecorded = replay.startTick + times.length;
+    const lastTick = Math.min(options.untilTick ?? lastRecorded, lastRecorded);
+
+    let clockMs = times[0] ?? 0;
+    const room = new Room(replay.roomId, {
+        ...replay.roomOptions,
+        ...replay.initial.config,
+        recordReplay: false,
+        clock: () => clockMs
+    });
+    room.restore(replay.initial);
+    // Every command the room applied is in the entries
+    room.commandQueue.reset();
+    await room.start({ autoTick: false });
+
+    const hashes = new Map(replay.hashes);
+    let entryIndex = 0;
+    let checked = 0;
+    let divergence = null;
+
+    try {
+        for (let tick = replay.startTick + 1; tick <= lastTick; tick++) {
+            while (entryIndex < replay.entries.length && replay.entries[entryIndex][0] <= tick) {
+                const [, slot, payload] = replay.entries[entryIndex++];
+                switch (payload.type) {
+                    case 'SPAWN_UNIT':
+                        room.createUnitForPlayer(slot, payload.unitId, payload);
+                        break;
+                    case 'EXPLOSION':
+                        room.triggerExplosion(payload.center, payload.radius, payload.strength);
+                        break;
+                    case 'MINE':
+                        room.addMine(payload.position, payload.options);
+                        break;
+                    case 'DEPOT':
+                        room.addDepot(slot, payload.direction);
+                        break;
+                    case 'TERRAIN_STAMP':
+                        room.shapeTerrain(payload.position, payload.targetHeight, payload.dtSec, payload.options);
+                        break;
+                    default:
+                        room.receiveInput(slot, { ...payload });
+                }
+            }
+
+            clockMs = times[tick - replay.startTick - 1];
+            room.advanceTick();
+
+            const expected = hashes.get(tick);
+            if (expected === undefined) continue;
+            checked++;
+            const actual = hashRoomState(room, tick);
+            if (actual !== expected && !divergence) {
+                divergence = { tick, expected, actual };
+                if (stopAtDivergence) {
+                    return { ticks: tick - replay.startTick, lastTick: tick, checked, divergence };
+                }
+            }
+        }
+    } finally {
+        room.stop();
+    }
+
+    return { ticks: lastTick - replay.startTick, lastTick, checked, divergence };
+}
@@ -7,8 +7,42 @@
  *   - A list of connected players (slot -> endpoint mapping)
  *   - Game state: HeadlessUnit[] (pure data, no Three.js)
  *   - A ServerTerrain instance (same procedural sphere as client)
+ *   - A CombatService (ATTACK_TARGET resolution, WPN_SHOOT)
+ *   - A MateraDepositService (deposits placed from mapSeed, mining, surface piles)
+ *   - A MateraLogisticsService (transport: pile pickup, cargo, depot unload)
+ *   - A CarrierService (PICKUP_UNIT / DROP_UNIT: units carrying other units)
+ *   - A SubsurfaceScanService (per-slot deposit discovery, sent only to the owner)
+ *   - A VisibilityService (per-slot fog: each slot's SERVER_SNAPSHOT holds only what it sees)
+ *   - A PositionHistory (~1 s of per-tick unit positions for lag compensation)
+ *   - The rock field (SimCore RockField from rockSeed, same rocks as the client
+ *     RockSystem): grounded units slide around rocks; with physics, rocks are
+ *     fixed ball colliders for tumbling units
+ *   - Water rules (SimCore WaterRules at terrain.params.waterLevel): units wade
+ *     slowly, never drive into deep water, and report their water state;
+ *     PATH_DATA waypoints under water are rejected (GameServer, isUnderwater)
+ *   - A SimCore NavGraph + NavPlanner (the client SphericalNavMesh /
+ *     PathPlanner core, built on the first MOVE_TO): MOVE_TO carries only a
+ *     goal, the server plans the route with the client's zone rules
+ *
+ * Save/resume: serialize() / restore() capture units, the command backlog,
+ * players, mines, obstacles, Matera, depots, scan discovery, terrain edits
+ * and the sim tick (GameServer checkpoints rooms with RoomSave envelopes).
+ * serialize() also lists the attached AIs' configs and decision state;
+ * GameServer re-attaches them.
+ *
+ * Replays: with recordReplay, a ReplayRecorder logs every applied command,
+ * mid-match spawn, tick time and a periodic state hash from start() on
+ * (server/Replay, re-simulated headless by server/resim.js).
  *
  * Units spawn ON the terrain surface and move tangentially.
+ * MOVE_INPUT may carry a client sequence number; the last one processed per
+ * slot is echoed in SERVER_SNAPSHOT.inputSeqs for client-side reconciliation.
+ *
+ * Lag compensation: client-initiated targeted actions (ATTACK_TARGET,
+ * PICKUP_UNIT) may carry the client's render time; range checks against the
+ * target then use where the client saw it (PositionHistory, rewind capped).
+ * Server-initiated checks (explosion impulses, mine contacts, unit
+ * collisions) have no acting client and always use the present positions.
  *
  * Lifecycle: WAITING -> RUNNING -> ENDED
  *   WAITING: Room created, no units yet. Waits for SPAWN_MANIFEST.
@@ -26,10 +60,26 @@ import { PhysicsWorld } from './PhysicsWorld.js';
 import { TerrainColliderManager } from './TerrainColliderManager.js';
 import { PhysicsEventService } from './PhysicsEventService.js';
 import { CollisionService } from './CollisionService.js';
+import { CombatService } from './CombatService.js';
+import { CarrierService } from './CarrierService.js';
+import { PositionHistory } from './PositionHistory.js';
+import { ReplayRecorder } from './Replay.js';
+import { StatsEngine } from '../src/SimCore/rules/StatsEngine.js';
+import { MateraDepositService } from '../src/SimCore/systems/MateraDepositService.js';
+import { MateraLogisticsService } from '../src/SimCore/systems/MateraLogisticsService.js';
+import { SubsurfaceScanService } from '../src/SimCore/systems/SubsurfaceScanService.js';
+import { VisibilityService } from '../src/SimCore/systems/VisibilityService.js';
+import { DEFAULT_ROCK_FIELD, generateRockField } from '../src/SimCore/systems/RockField.js';
+import { isUnderwater } from '../src/SimCore/systems/WaterRules.js';
+import { NavGraph } from '../src/SimCore/systems/NavGraph.js';
+import { NavPlanner } from '../src/SimCore/systems/NavPlanner.js';
 import { Vec3 } from './SphereMath.js';
 
 /** @typedef {'WAITING' | 'RUNNING' | 'ENDED'} RoomState */
 
+/** @type {number} Tick durations kept for recentTickDurations() (2 min at 20 Hz) */
+const TICK_SAMPLE_WINDOW = 2400;
+
 export class Room {
     /**
      * @param {string} roomId - Unique room identifier
@@ -37,9 +87,30 @@ export class Room {
      * @param {number} [options.tickMs=50] - Fixed timestep in ms (default 50ms = 20 Hz)
      * @param {number} [options.maxPlayers=10] - Maximum player slots
      * @param {Object} [options.terrainParams] - Terrain parameters (passed to ServerTerrain)
+     * @param {Object} [options.shapingOptions] - Terrain Shaping calibration (TerrainDeltaLayer: rateAt100, footprintRadius, maxDeltaPerTick, smoothing)
      * @param {Function} [options.broadcast] - Callback for broadcasting snapshots
+     * @param {Function} [options.sendToSlot] - Callback (roomId, slot, msg) for per-player messages (SCAN_REVEAL, filtered SERVER_SNAPSHOT)
+     * @param {Function} [options.spectate] - Callback (roomId, snapshot) receiving every tick's full, unfiltered SERVER_SNAPSHOT (spectator feed)
+     * @param {boolean} [options.interestManagement=true] - Send each slot a fog-filtered SERVER_SNAPSHOT via sendToSlot
+     *   (without sendToSlot, the full snapshot goes to broadcast)
      * @param {boolean} [options.enablePhysics=false] - Initialize Rapier PhysicsWorld (Phase 3)
      * @param {Object} [options.physicsOptions] - Options for PhysicsWorld (subSteps, physicsHz, gravity)
+     * @param {Object} [options.statsConfig] - StatsEngine config (defaults to DEFAULT_STATS_CONFIG)
+     * @param {Object} [options.defaultBlueprint] - Blueprint { allocations, subAllocations } bound to units without one
+     * @param {Object} [options.combatOptions] - Options for CombatService (maxShotsPerTick, maxRange, friendlyFire)
+     * @param {number} [options.mapSeed=0] - Map seed (deterministic world placement: Matera deposits)
+     * @param {Object} [options.materaOptions] - Options for MateraDepositService (depositCount, baseMiningRateAt100, ...)
+     * @param {Object} [options.logisticsOptions] - Options for MateraLogisticsService (pickupRadius, unloadRadius, maxDepots)
+     * @param {Array<{ownerSlot: number, px: number, py: number, pz: number}>} [options.depots] - Depots placed at creation
+     * @param {Object} [options.carrierOptions] - Options for CarrierService (pickupRadius, dropRadius, carryOffset)
+     * @param {Object} [options.scanOptions] - Options for SubsurfaceScanService (stampIntervalTicks, minStampSpacing, ...)
+     * @param {Object} [options.visibilityOptions] - Options for VisibilityService (minVisionRadius, maxVisionRadius, leaveMargin)
+     * @param {Object} [options.lagCompensationOptions] - Options for PositionHistory (historyMs, maxRewindMs)
+     * @param {number} [options.rockSeed=12345] - Rock field seed (must match the clients' RockSystem)
+     * @param {Object} [options.rockOptions] - RockField placement overrides (count, minScale, maxScale, radius)
+     * @param {Object} [options.navMeshOptions] - Options for the NavGraph (nodeCount)
+     * @param {boolean|{ hashInterval?: number }} [options.recordReplay=false] - Record a replay from start()
+     * @param {() => number} [options.clock=Date.now] - Server clock (ms) for tick times; re-simulation feeds the recorded ones
      */
     constructor(roomId, options = {}) {
         /** @type {string} */
@@ -69,11 +140,23 @@ export class Room {
         /** @type {Function|null} Optional broadcast callback for sending snapshots */
         this._broadcastFn = options.broadcast || null;
 
+        /** @type {Function|null} Per-slot send function (roomId, slot, msg) => void */
+        this._sendToSlotFn = options.sendToSlot || null;
+
+        /** @type {Function|null} Full snapshot sink for spectators (roomId, snapshot) => void; never sent to players */
+        this._spectateFn = options.spectate || null;
+
         /** @type {ReturnType<typeof setInterval>|null} Server tick interval handle */
         this._tickInterval = null;
 
         /** @type {ServerTerrain} Authoritative terrain (same math as client) */
-        this.terrain = new ServerTerrain(options.terrainParams);
+        this.terrain = new ServerTerrain(options.terrainParams, options.shapingOptions);
+
+        /** @type {import('../src/SimCore/systems/TerrainDeltaLayer.js').TerrainStamp[]} Shaping stamps applied since the last snapshot */
+        this._terrainStamps = [];
+
+        /** @type {Set<number>} Slots owed a TERRAIN_STATE once the pending stamps are in a snapshot */
+        this._terrainStateSlots = new Set();
 
         /** @type {boolean} Whether Rapier physics is enabled for this room */
         this._enablePhysics = !!options.enablePhysics;
@@ -95,7 +178,7 @@ export class Room {
 
         /**
          * Static obstacle registry (rocks, etc). Body handle → obstacle info.
-         * @type {Map<number, { body: import('@dimforge/rapier3d-compat').RigidBody, position: {x:number,y:number,z:number} }>}
+         * @type {Map<number, { body: import('@dimforge/rapier3d-compat').RigidBody, position: {x:number,y:number,z:number}, radius: number }>}
          */
         this._obstacles = new Map();
 
@@ -107,6 +190,122 @@ export class Room {
 
         /** @type {CollisionService|null} Kinematic collision + mine service (null until physics init) */
         this.collisions = null;
+
+        /** @type {StatsEngine} Server-owned stats engine (blueprint → effective stats) */
+        this.statsEngine = new StatsEngine(options.statsConfig || null);
+
+        /** @type {Object|null} Blueprint bound to units that spawn without one */
+        this._defaultBlueprint = options.defaultBlueprint || null;
+
+        /** @type {CombatService} Weapon fire resolution (not physics-gated) */
+        this.combat = new CombatService(options.combatOptions);
+
+        /** @type {import('./CombatService.js').CombatTickResult} Combat events from the current tick */
+        this._combatEvents = { hits: [], kills: [] };
+
+        /** @type {number} Map seed for deterministic world placement */
+        this.mapSeed = (options.mapSeed ?? 0) >>> 0;
+
+        /** @type {MateraDepositService} World-owned Matera deposits + surface piles */
+        this.matera = new MateraDepositService({
+            ...options.materaOptions,
+            seed: this.mapSeed,
+            terrain: this.terrain
+        });
+        this.matera.placeDeposits();
+
+        /** @type {import('../src/SimCore/systems/MateraDepositService.js').MiningTickResult} Mining events from the current tick */
+        this._miningEvents = { mined: [], exhausted: [] };
+
+        /** @type {MateraLogisticsService} Matera transport (depots + cargo moves) */
+        this.logistics = new MateraLogisticsService(options.logisticsOptions);
+
+        /** @type {number[]} Depots added since the last snapshot (sent with it) */
+        this._addedDepotIds = [];
+        for (const d of options.depots || []) {
+            this.addDepot(d.ownerSlot, { x: d.px, y: d.py, z: d.pz });
+        }
+
+        /** @type {import('../src/SimCore/systems/MateraLogisticsService.js').LogisticsTickResult} Transport events from the current tick */
+        this._logisticsEvents = { pickups: [], unloads: [] };
+
+        /** @type {CarrierService} Unit Carrier pickup / drop rules */
+        this.carrier = new CarrierService(options.carrierOptions);
+
+        /** @type {SubsurfaceScanService} Per-slot Subsurface Scan discovery (stamps) */
+        this.scan = new SubsurfaceScanService(options.scanOptions);
+
+        /**
+         * Per-slot visibility set: deposit IDs whose geometry each slot has been sent.
+         * Deposits stay hidden from every other slot.
+         * @type {Map<number, Set<number>>}
+         */
+        this.slotVisibility = new Map();
+
+        /** @type {import('../src/SimCore/systems/SubsurfaceScanService.js').ScanReveal[]} Scan reveals from the current tick */
+        this._scanReveals = [];
+
+        /** @type {boolean} Filter SERVER_SNAPSHOT per slot (needs sendToSlot) */
+        this.interestManagement = options.interestManagement !== false;
+
+        /** @type {VisibilityService} Per-slot enemy visibility from unit vision stats */
+        this.visibility = new VisibilityService({
+            planetRadius: this.terrain.params.radius,
+            ...options.visibilityOptions
+        });
+
+        /** @type {Map<number, import('../src/SimCore/systems/VisibilityService.js').VisibilityChange>} Enter/leave events from the current tick */
+        this._visibilityChanges = new Map();
+
+        /** @type {Map<number, number>} slot → last MOVE_INPUT seq processed (client prediction ack) */
+        this._inputSeqs = new Map();
+
+        /** @type {Map<number, import('./AIController.js').AIController>} slot → server-side AI player (saved in serialize().ai) */
+        this.aiControllers = new Map();
+
+        /** @type {PositionHistory} Per-tick unit positions (lag-compensated targeting) */
+        this.positionHistory = new PositionHistory({
+            tickMs: this.simLoop.fixedDtMs,
+            ...options.lagCompensationOptions
+        });
+
+        /** @type {Map<number, {x:number,y:number,z:number}>} shooterId → target position as its client saw it (this tick's orders) */
+        this._attackSightings = new Map();
+
+        /** @type {number} Rock field seed (room configuration, shared with clients) */
+        this.rockSeed = (options.rockSeed ?? DEFAULT_ROCK_FIELD.seed) >>> 0;
+
+        /** @type {import('../src/SimCore/systems/RockField.js').Rock[]} Static rocks (same placement as the client) */
+        this.rocks = generateRockField({ ...options.rockOptions, seed: this.rockSeed }, this.terrain);
+
+        /** @type {Object|undefined} RockField placement overrides (room configuration, saved with the room) */
+        this._rockOptions = options.rockOptions;
+
+        /** @type {import('@dimforge/rapier3d-compat').RigidBody[]} Fixed rock bodies (physics only) */
+        this._rockBodies = [];
+
+        /** @type {Object} NavGraph options (navmesh is built lazily) */
+        this._navMeshOptions = options.navMeshOptions ?? {};
+
+        /** @type {NavPlanner|null} MOVE_TO planner (null until first use) */
+        this._pathPlanner = null;
+
+        /** @type {{ mines: Object|null, obstacles: Array<{ position: Object, radius: number }> }|null} Restored physics state, applied by start() */
+        this._pendingPhysicsRestore = null;
+
+        /** @type {() => number} Server clock (ms) */
+        this._clock = options.clock || Date.now;
+
+        /** @type {{ count: number, totalMs: number, maxMs: number, lastMs: number }} Wall-clock tick durations (/metrics) */
+        this.tickStats = { count: 0, totalMs: 0, maxMs: 0, lastMs: 0 };
+
+        /** @type {Float64Array} Ring of the last TICK_SAMPLE_WINDOW tick durations (index = tick count % window) */
+        this._tickSamples = new Float64Array(TICK_SAMPLE_WINDOW);
+
+        /** @type {ReplayRecorder|null} Match recorder (null = not recording) */
+        this.replay = options.recordReplay
+            ? new ReplayRecorder({ ...(typeof options.recordReplay === 'object' ? options.recordReplay : {}), roomOptions: options })
+            : null;
     }
 
     /**
@@ -138,10 +337,12 @@ export class Room {
      * @param {number} unitId - Deterministic entity ID
      * @param {Object} [options]
      * @param {number} [options.modelIndex=0] - Client model index for rendering
+     * @param {Object} [options.blueprint] - Blueprint { allocations, subAllocations } (defaults to room default)
      * @returns {HeadlessUnit}
      */
     createUnitForPlayer(slot, unitId, options = {}) {
         const unit = new HeadlessUnit(unitId, slot, { modelIndex: options.modelIndex ?? 0 });
+        this._bindBlueprint(unit, options.blueprint);
 
         // Distribute spawn positions around the equator
         const angle = slot * (Math.PI * 2 / this.maxPlayers);
@@ -150,6 +351,7 @@ export class Room {
         unit.spawnOnSurface(direction, this.terrain);
         this.units.push(unit);
         this._attachRigidBody(unit);
+        this.replay?.recordSpawn(this.simLoop.tickCount + 1, slot, unitId, options);
         return unit;
     }
 
@@ -157,13 +359,14 @@ export class Room {
      * Create units from a SPAWN_MANIFEST sent by the host client.
      * Uses client-provided IDs and positions — this guarantees 1:1 mapping.
      *
-     * @param {Array<{id: number, ownerSlot: number, modelIndex: number, px?: number, py?: number, pz?: number}>} manifestUnits
+     * @param {Array<{id: number, ownerSlot: number, modelIndex: number, px?: number, py?: number, pz?: number, blueprint?: Object}>} manifestUnits
      * @returns {HeadlessUnit[]} Created units
      */
     createUnitsFromManifest(manifestUnits) {
         const created = [];
         for (const mu of manifestUnits) {
             const unit = new HeadlessUnit(mu.id, mu.ownerSlot, { modelIndex: mu.modelIndex ?? 0 });
+            this._bindBlueprint(unit, mu.blueprint);
 
             // If manifest includes a position, use it as spawn direction
             if (mu.px != null && mu.py != null && mu.pz != null) {
@@ -184,6 +387,23 @@ export class Room {
         return created;
     }
 
+    /**
+     * Let a server-side AI play a slot. It orders the slot's units through
+     * receiveInput before each tick (see AIController). removePlayer(slot)
+     * detaches it; the slot's units stay.
+     *
+     * @param {number} slot - Player slot the AI plays
+     * @param {import('./AIController.js').AIController} controller
+     * @throws {Error} If an AI already plays the slot
+     */
+    attachAI(slot, controller) {
+        if (this.aiControllers.has(slot)) {
+            throw new Error(`Room ${this.roomId}: slot ${slot} already has an AI`);
+        }
+        controller.attach(this, slot);
+        this.aiControllers.set(slot, controller);
+    }
+
     /**
      * Remove a player from the room.
      *
@@ -191,6 +411,9 @@ export class Room {
      */
     removePlayer(slot) {
         this.players.delete(slot);
+        this.aiControllers.delete(slot);
+        this.visibility.removeSlot(slot);
+        this._inputSeqs.delete(slot);
     }
 
     /**
@@ -198,9 +421,11 @@ export class Room {
      * Wires up the SimLoop onSimTick callback.
      * If enablePhysics was set, initializes the Rapier PhysicsWorld first.
      *
+     * @param {Object} [options]
+     * @param {boolean} [options.autoTick=true] - Tick on a timer; false leaves ticking to advanceTick() (re-simulation)
      * @returns {Promise<void>} Resolves when room is running (async for physics init)
      */
-    async start() {
+    async start({ autoTick = true } = {}) {
         if (this.state !== 'WAITING') {
             throw new Error(`Cannot start room ${this.roomId} in state ${this.state}`);
         }
@@ -213,15 +438,20 @@ export class Room {
             );
             this.physicsEvents = new PhysicsEventService(this._physicsOptions.events);
             this.collisions = new CollisionService(this._physicsOptions.collisions);
+            this._addRockColliders();
+            this._applyPhysicsRestore();
         }
 
         this.state = 'RUNNING';
+        this.replay?.begin(this);
 
         // Wire SimLoop tick callback
         this.simLoop.onSimTick = (fixedDtSec, tickCount) => {
             this._onSimTick(fixedDtSec, tickCount);
         };
 
+        if (!autoTick) return;
+
         // Server-driven tick: push time into SimLoop at fixed intervals
         const tickMs = this.simLoop.fixedDtMs;
 
@@ -231,6 +461,32 @@ export class Room {
         }, tickMs);
     }
 
+    /**
+     * Run one simulation tick now (rooms started with autoTick: false).
+     */
+    advanceTick() {
+        const tickCount = this.simLoop.tickCount + 1;
+        this._onSimTick(this.simLoop.fixedDtSec, tickCount);
+        this.simLoop.tickCount = tickCount;
+    }
+
+    /**
+     * Wall-clock durations of the most recent ticks, oldest first (load
+     * testing: tick time percentiles). At most the last TICK_SAMPLE_WINDOW.
+     *
+     * @param {number} [n] - How many of the latest ticks (default: all kept)
+     * @returns {number[]} Durations in ms
+     */
+    recentTickDurations(n = TICK_SAMPLE_WINDOW) {
+        const count = this.tickStats.count;
+        const take = Math.max(0, Math.min(n, count, TICK_SAMPLE_WINDOW));
+        const out = new Array(take);
+        for (let i = 0; i < take; i++) {
+            out[i] = this._tickSamples[(count - take + i) % TICK_SAMPLE_WINDOW];
+        }
+        return out;
+    }
+
     /**
      * Transition room to ENDED state and clean up.
      */
@@ -247,6 +503,7 @@ export class Room {
 
         // Phase 3: Free Rapier resources
         this._obstacles.clear();
+        this._rockBodies = [];
         this._bodyToUnit.clear();
         if (this.terrainColliders) {
             this.terrainColliders.destroyAll();
@@ -267,8 +524,16 @@ export class Room {
      * @private
      */
     _onSimTick(dtSec, tickCount) {
+        const tickStartMs = performance.now();
+
+        // 0. AI players order on the previous tick's state (like input arriving before this tick)
+        for (const controller of this.aiControllers.values()) {
+            controller.update(tickCount);
+        }
+
         // 1. Flush commands ready for this tick
         const commands = this.commandQueue.flush(tickCount);
+        this.replay?.recordCommands(tickCount, commands);
 
         // 2. Route commands to target units
         for (const cmd of commands) {
@@ -288,14 +553,26 @@ export class Room {
                 if (unit) {
                     unit.applyInput(cmd);
                 }
+                // Ack the seq even if rejected: the client drops it from its replay buffer
+                if (cmd.seq != null && cmd.sourceSlot != null && cmd.seq > (this._inputSeqs.get(cmd.sourceSlot) ?? -1)) {
+                    this._inputSeqs.set(cmd.sourceSlot, cmd.seq);
+                }
             } else if (cmd.type === 'PATH_DATA') {
                 // Phase 2B: Set path on target unit (ownership validated by GameServer)
                 const unit = cmd.unitId != null
                     ? this.units.find(u => u.id === cmd.unitId)
                     : null;
-                if (unit && cmd.sourceSlot != null && unit.ownerSlot === cmd.sourceSlot) {
+                if (unit && !unit.disabled && unit.carriedBy == null && cmd.sourceSlot != null && unit.ownerSlot === cmd.sourceSlot) {
                     unit.setPath(cmd.waypoints, cmd.closed);
                 }
+            } else if (cmd.type === 'MOVE_TO') {
+                this._applyMoveTo(cmd);
+            } else if (cmd.type === 'ATTACK_TARGET') {
+                this._applyAttackTarget(cmd);
+            } else if (cmd.type === 'PICKUP_UNIT') {
+                this._applyPickupUnit(cmd);
+            } else if (cmd.type === 'DROP_UNIT') {
+                this._applyDropUnit(cmd);
             }
         }
 
@@ -304,6 +581,12 @@ export class Room {
             unit.updatePosition(dtSec);
         }
 
+        // 3a. Rocks block grounded kinematic movement (slide along the footprint)
+        for (const unit of this.units) {
+            unit.resolveRockContacts(this.rocks);
+            unit.updateWaterState();
+        }
+
         // 3b. Step physics world (Phase 3)
         if (this.physics) {
             // Ensure terrain collider patches around unit positions
@@ -349,45 +632,348 @@ export class Room {
             }
         }
 
-        // 4. Broadcast SERVER_SNAPSHOT to all connected clients
-        this._broadcastSnapshot(tickCount);
+        // 3b'. Carried units ride on their carriers' final positions
+        for (const unit of this.carrier.updateCarried(this.units)) {
+            this._attachRigidBody(unit);
+        }
+
+        // 3c. Resolve weapon fire against this tick's positions
+        // (targets of this tick's ATTACK_TARGET orders: where the client saw them)
+        this._combatEvents = this.combat.resolveTick(this.units, tickCount, dtSec, this._attackSightings);
+        this._attackSightings.clear();
+
+        // 3d. Matera mining: stationary miners drain deposits into surface piles
+        this._miningEvents = this.matera.resolveTick(this.units, dtSec);
+
+        // 3e. Matera transport: pickups from piles, unloads at depots (updates cargo slowdown)
+        this._logisticsEvents = this.logistics.resolveTick(this.units, this.matera);
+
+        // 3f. Subsurface Scan: stamp intersected deposits into each owner's discovery
+        this._scanReveals = this.scan.resolveTick(this.units, this.matera.getDeposits(), tickCount).reveals;
+
+        // 3g. Interest management: what each slot sees after this tick's movement
+        if (this._isFiltering()) {
+            this._visibilityChanges = this.visibility.update(this.units, this._interestSlots());
+        }
+
+        // 3h. Lag compensation: remember this tick's positions under the snapshot's time
+        const serverTimeMs = this._clock();
+        this.positionHistory.record(tickCount, serverTimeMs, this.units);
+
+        // 4. Broadcast SERVER_SNAPSHOT (filtered per slot under interest management)
+        this._broadcastSnapshot(tickCount, serverTimeMs);
+        this._terrainStamps = [];
+        this._addedDepotIds = [];
+
+        // 4a. Terrain states held back until this snapshot carried the stamps they include
+        const terrainStateSlots = [...this._terrainStateSlots];
+        this._terrainStateSlots.clear();
+        for (const slot of terrainStateSlots) this.sendTerrainState(slot);
+
+        // 4b. Scan reveals go only to the discovering slot (never broadcast)
+        this._sendScanReveals(tickCount);
+
+        // 5. Replay: tick time and periodic state hash
+        this.replay?.recordTick(tickCount, serverTimeMs, this);
+
+        const tickMs = performance.now() - tickStartMs;
+        this._tickSamples[this.tickStats.count % TICK_SAMPLE_WINDOW] = tickMs;
+        this.tickStats.count++;
+        this.tickStats.totalMs += tickMs;
+        this.tickStats.lastMs = tickMs;
+        if (tickMs > this.tickStats.maxMs) this.tickStats.maxMs = tickMs;
     }
 
     /**
      * Broadcast a SERVER_SNAPSHOT to all connected players.
-     * Only runs if a broadcast function was provided.
+     * Under interest management each slot gets its own filtered copy via
+     * sendToSlot instead; otherwise only runs if a broadcast function was provided.
+     * The full snapshot also goes to the spectate callback (delayed there).
      *
      * @param {number} tickCount - Current tick number
+     * @param {number} [serverTimeMs] - Tick time (as recorded in positionHistory)
      * @private
      */
-    _broadcastSnapshot(tickCount) {
-        if (!this._broadcastFn) return;
+    _broadcastSnapshot(tickCount, serverTimeMs = Date.now()) {
+        if (!this._broadcastFn && !this._isFiltering() && !this._spectateFn) return;
 
         const snapshot = {
             type: 'SERVER_SNAPSHOT',
             version: 1,
             tick: tickCount,
-            serverTimeMs: Date.now(),
+            serverTimeMs,
             units: this.units.map(u => u.toSnapshot())
         };
 
-        this._broadcastFn(this.roomId, snapshot);
+        // Combat events for this tick (omitted when nothing happened)
+        if (this._combatEvents.hits.length > 0) {
+            snapshot.hits = this._combatEvents.hits;
+        }
+        if (this._combatEvents.kills.length > 0) {
+            snapshot.kills = this._combatEvents.kills;
+        }
+
+        // Surface piles changed this tick (deposits stay hidden: discovery is per player)
+        const pileIds = this._changedPileIds();
+        if (pileIds.size > 0) {
+            snapshot.piles = this.matera.getPiles()
+                .filter(p => pileIds.has(p.id))
+                .map(p => this._pileToSnapshot(p));
+            const removed = [...pileIds].filter(id => !this.matera.piles.has(id)).sort((a, b) => a - b);
+            if (removed.length > 0) {
+                snapshot.removedPiles = removed;
+            }
+        }
+
+        // Depots added or whose inventories changed by unloads this tick
+        if (this._logisticsEvents.unloads.length > 0 || this._addedDepotIds.length > 0) {
+            const depotIds = new Set([...this._addedDepotIds, ...this._logisticsEvents.unloads.map(e => e.depotId)]);
+            snapshot.depots = this.logistics.getDepots()
+                .filter(d => depotIds.has(d.id))
+                .map(d => this._depotToSnapshot(d));
+        }
+
+        // Terrain Shaping stamps since the last snapshot (clients replay them in order)
+        if (this._terrainStamps.length > 0) {
+            snapshot.terrainStamps = this._terrainStamps;
+        }
+
+        // Last MOVE_INPUT seq processed per slot (client prediction reconciles against it)
+        if (this._inputSeqs.size > 0) {
+            snapshot.inputSeqs = Object.fromEntries(this._inputSeqs);
+        }
+
+        this._spectateFn?.(this.roomId, snapshot);
+
+        if (this._isFiltering()) {
+            this._sendFilteredSnapshots(snapshot);
+            return;
+        }
+        this._broadcastFn?.(this.roomId, snapshot);
+    }
+
+    /**
+     * Send each slot the snapshot restricted to its own units plus the enemy
+     * units it currently sees. Combat events are kept only when they involve
+     * one of those units, with shooterId null if the shooter is unseen; piles,
+     * depots and terrain stamps only where the slot sees them. visEnter /
+     * visLeave let the client fade units.
+     *
+     * @param {Object} snapshot - Full SERVER_SNAPSHOT for this tick
+     * @private
+     */
+    _sendFilteredSnapshots(snapshot) {
+        // Emptied piles have no position left: their removal is seen with the hauler
+        const pickupUnitIds = new Map(this._logisticsEvents.pickups.map(e => [e.pileId, e.unitId]));
+
+        for (const [slot, change] of this._visibilityChanges) {
+            const ids = this._visibleUnitIds(slot);
+            const involves = e => ids.has(e.shooterId) || ids.has(e.targetId);
+            const hideShooter = e => (ids.has(e.shooterId) ? e : { ...e, shooterId: null });
+
+            const filtered = { ...snapshot, units: snapshot.units.filter(u => ids.has(u.id)) };
+            if (snapshot.hits) {
+                filtered.hits = snapshot.hits.filter(involves).map(hideShooter);
+                if (filtered.hits.length === 0) delete filtered.hits;
+            }
+            if (snapshot.kills) {
+                filtered.kills = snapshot.kills.filter(involves).map(hideShooter);
+                if (filtered.kills.length === 0) delete filtered.kills;
+            }
+            this._filterWorldChanges(filtered, slot, ids, pickupUnitIds);
+            if (change.entered.length > 0) filtered.visEnter = change.entered;
+            if (change.left.length > 0) filtered.visLeave = change.left;
+
+            // Only this slot's own input ack
+            delete filtered.inputSeqs;
+            if (this._inputSeqs.has(slot)) filtered.inputSeqs = { [slot]: this._inputSeqs.get(slot) };
+
+            this._sendToSlotFn(this.roomId, slot, filtered);
+        }
+    }
+
+    /**
+     * Keep only the piles, depots and terrain stamps a slot sees (its own
+     * depots always); drop the fields that end up empty.
+     *
+     * @param {Object} filtered - The slot's snapshot (copied fields are replaced)
+     * @param {number} slot
+     * @param {Set<number>} ids - Unit IDs the slot receives
+     * @param {Map<number, number>} pickupUnitIds - pileId → hauler that picked from it this tick
+     * @private
+     */
+    _filterWorldChanges(filtered, slot, ids, pickupUnitIds) {
+        const sees = (p, extent) => this.visibility.seesPoint(this.units, slot, p, extent);
+        const at = e => ({ x: e.px, y: e.py, z: e.pz });
+        const keep = (field, predicate) => {
+            if (!filtered[field]) return;
+            filtered[field] = filtered[field].filter(predicate);
+            if (filtered[field].length === 0) delete filtered[field];
+        };
+
+        keep('piles', p => sees(at(p)));
+        keep('removedPiles', id => ids.has(pickupUnitIds.get(id)));
+        keep('depots', d => d.ownerSlot === slot || sees(at(d)));
+        keep('terrainStamps', st => sees(st.center, st.radius));
+    }
+
+    /**
+     * Unit IDs a slot may receive: its own units plus visible enemies.
+     *
+     * @param {number} slot
+     * @returns {Set<number>}
+     * @private
+     */
+    _visibleUnitIds(slot) {
+        const ids = new Set(this.visibility.getVisibleUnitIds(slot));
+        for (const u of this.units) {
+            if (u.ownerSlot === slot) ids.add(u.id);
+        }
+        return ids;
+    }
+
+    /**
+     * Slots that get a filtered snapshot: every unit owner and every player.
+     *
+     * @returns {number[]} Sorted
+     * @private
+     */
+    _interestSlots() {
+        const slots = new Set(this.players.keys());
+        for (const u of this.units) {
+            if (u.ownerSlot != null) slots.add(u.ownerSlot);
+        }
+        return [...slots].sort((a, b) => a - b);
+    }
+
+    /**
+     * @returns {boolean} True if snapshots are filtered per slot
+     * @private
+     */
+    _isFiltering() {
+        return this.interestManagement && this._sendToSlotFn != null;
     }
 
     /**
      * Get a serializable state snapshot of the room.
      * Used for state sync to clients.
      *
-     * @returns {{ tick: number, units: Object[], players: [number, Object][] }}
+     * @returns {{ tick: number, rockSeed: number, units: Object[], piles: Object[], depots: Object[], terrain: Object, players: [number, Object][] }}
      */
     getSnapshot() {
         return {
             tick: this.simLoop.getTickCount(),
+            rockSeed: this.rockSeed,
             units: this.units.map(u => u.toSnapshot()),
+            piles: this.matera.getPiles().map(p => this._pileToSnapshot(p)),
+            depots: this.logistics.getDepots().map(d => this._depotToSnapshot(d)),
+            terrain: this.terrain.deltaLayer.serialize(),
             players: Array.from(this.players.entries())
         };
     }
 
+    // ========================================
+    // Save / resume
+    // ========================================
+
+    /**
+     * Serialize everything needed to resume this match after a server restart
+     * (JSON-safe). Derived state — visibility, position history, navmesh,
+     * colliders — is rebuilt, not saved.
+     *
+     * config holds the constructor options the state depends on; pass it
+     * back to the Room constructor before restore().
+     *
+     * @returns {Object}
+     */
+    serialize() {
+        const pending = this._pendingPhysicsRestore;
+        return {
+            roomId: this.roomId,
+            config: {
+                tickMs: this.simLoop.fixedDtMs,
+                maxPlayers: this.maxPlayers,
+                mapSeed: this.mapSeed,
+                rockSeed: this.rockSeed,
+                rockOptions: this._rockOptions,
+                terrainParams: { ...this.terrain.params },
+                enablePhysics: this._enablePhysics
+            },
+            simLoop: this.simLoop.getState(),
+            players: Array.from(this.players, ([slot, p]) => ({ slot, id: p.id, name: p.name })),
+            ai: Array.from(this.aiControllers, ([slot, c]) => ({ slot, ...c.getConfig(), state: c.getState() })),
+            nextSlot: this._nextSlot,
+            units: this.units.map(u => u.serialize()),
+            commands: this.commandQueue.getState(),
+            inputSeqs: Array.from(this._inputSeqs),
+            matera: this.matera.serialize(),
+            logistics: this.logistics.serialize(),
+            scan: this.scan.serialize(),
+            terrain: this.terrain.deltaLayer.serialize(),
+            mines: this.collisions ? this.collisions.serialize() : (pending?.mines ?? null),
+            obstacles: this.physics
+                ? Array.from(this._obstacles.values(), o => ({ position: { ...o.position }, radius: o.radius }))
+                : (pending?.obstacles ?? [])
+        };
+    }
+
+    /**
+     * Restore serialize() output into this (new, WAITING) room. Mines and
+     * obstacles need the physics world, so they are applied by start().
+     * Player endpoints are not saved: reconnecting clients are re-mapped by
+     * GameServer. AIs (data.ai) are not re-attached here: GameServer builds
+     * their controllers.
+     *
+     * @param {Object} data - serialize() output
+     * @throws {Error} If the room is not WAITING
+     */
+    restore(data) {
+        if (this.state !== 'WAITING') {
+            throw new Error(`Cannot restore room ${this.roomId} in state ${this.state}`);
+        }
+
+        this.simLoop.setState(data.simLoop);
+
+        this.players.clear();
+        for (const p of data.players || []) {
+            this.players.set(p.slot, { id: p.id, name: p.name, endpoint: null });
+        }
+        this._nextSlot = data.nextSlot ?? this._nextSlot;
+
+        // Terrain edits first: units are restored onto the edited surface
+        this.terrain.deltaLayer.restore(data.terrain);
+        this.units = (data.units || []).map(u => HeadlessUnit.fromSave(u, this.terrain, this.statsEngine));
+
+        this.commandQueue.setState(data.commands || {});
+        this._inputSeqs = new Map(data.inputSeqs || []);
+
+        this.matera.restore(data.matera);
+        this.logistics.restore(data.logistics);
+        this.restoreScan(data.scan);
+
+        this._pendingPhysicsRestore = {
+            mines: data.mines ?? null,
+            obstacles: data.obstacles || []
+        };
+    }
+
+    /**
+     * Apply restored mines and obstacles once physics is up (start()).
+     * Without physics they are dropped (mines and obstacles are physics-only).
+     *
+     * @private
+     */
+    _applyPhysicsRestore() {
+        const pending = this._pendingPhysicsRestore;
+        this._pendingPhysicsRestore = null;
+        if (!pending) return;
+
+        this.collisions.restore(pending.mines);
+        for (const o of pending.obstacles) {
+            this.addObstacle(o.position, o.radius);
+        }
+    }
+
     /**
      * Accept an input command from a client.
      * The command is buffered in the CommandQueue for deterministic processing.
@@ -401,6 +987,456 @@ export class Room {
         this.commandQueue.enqueue(command);
     }
 
+    // ========================================
+    // Combat (delegates to CombatService)
+    // ========================================
+
+    /**
+     * Bind a blueprint to a freshly created unit (explicit, else room default).
+     * Units with no blueprint stay unbound (no weapon).
+     *
+     * @param {HeadlessUnit} unit
+     * @param {Object} [blueprint]
+     * @private
+     */
+    _bindBlueprint(unit, blueprint) {
+        const bp = blueprint || this._defaultBlueprint;
+        if (bp) {
+            unit.bindBlueprint(bp, this.statsEngine);
+        }
+    }
+
+    /**
+     * Apply a MOVE_TO command: plan a route from the unit to the goal and set
+     * it as the unit's path (replacing any current path). Sender must own the
+     * unit; goals in a FORBIDDEN zone (rock core, under water) are rejected.
+     *
+     * @param {{ unitId: number, goal: {x:number,y:number,z:number}, sourceSlot?: number }} cmd
+     * @private
+     */
+    _applyMoveTo(cmd) {
+        const unit = cmd.unitId != null ? this.units.find(u => u.id === cmd.unitId) : null;
+        if (!unit || unit.disabled || unit.carriedBy != null) return;
+        if (cmd.sourceSlot == null || unit.ownerSlot !== cmd.sourceSlot) return;
+
+        const planner = this.getPathPlanner();
+        if (!planner.isValidDestination(cmd.goal)) return;
+
+        const path = planner.planPath(unit.position, cmd.goal);
+        // path[0] is the unit's own position
+        if (path.length > 1) {
+            unit.setPath(path.slice(1), false);
+        }
+    }
+
+    /**
+     * Apply an ATTACK_TARGET command: set or clear the shooter's target.
+     * Sender must own the shooter. Invalid targets (own units, wrecks,
+     * unknown IDs) are rejected; targetUnitId null ceases fire.
+     * With a client render time, this tick's range check uses the target's
+     * rewound position (later ticks use the present).
+     *
+     * @param {{ unitId: number, targetUnitId: number|null, renderTimeMs?: number, sourceSlot?: number }} cmd
+     * @private
+     */
+    _applyAttackTarget(cmd) {
+        const shooter = this.units.find(u => u.id === cmd.unitId);
+        if (!shooter) return;
+        if (cmd.sourceSlot != null && shooter.ownerSlot !== cmd.sourceSlot) return;
+
+        if (cmd.targetUnitId == null) {
+            shooter.setAttackTarget(null);
+            return;
+        }
+
+        const target = this.units.find(u => u.id === cmd.targetUnitId);
+        if (!this.combat.canTarget(shooter, target)) return;
+
+        shooter.setAttackTarget(target.id);
+        if (cmd.renderTimeMs != null) {
+            this._attackSightings.set(shooter.id, this.lagCompensatedPositionOf(cmd.renderTimeMs)(target));
+        }
+    }
+
+    /**
+     * Lag compensation: position lookup for judging a client-initiated
+     * targeted action. Units are rewound to the client's render time
+     * (clamped to PositionHistory.maxRewindMs); without a render time the
+     * present positions are used.
+     *
+     * @param {number|null|undefined} renderTimeMs - Client render time (server clock)
+     * @returns {(unit: HeadlessUnit) => { x: number, y: number, z: number }}
+     */
+    lagCompensatedPositionOf(renderTimeMs) {
+        return this.positionHistory.positionOf(renderTimeMs);
+    }
+
+    // ========================================
+    // Unit Carrier (delegates to CarrierService)
+    // ========================================
+
+    /**
+     * Apply a PICKUP_UNIT command: attach a friendly unit to the carrier.
+     * Sender must own the carrier; the target must pass CarrierService rules
+     * (same owner, in range, not seated by another slot). The carried unit's
+     * rigid body is removed until it is dropped. Range is judged against the
+     * target where the client saw it (lag compensation).
+     *
+     * @param {{ unitId: number, targetUnitId: number, renderTimeMs?: number, sourceSlot?: number }} cmd
+     * @private
+     */
+    _applyPickupUnit(cmd) {
+        const carrier = this.units.find(u => u.id === cmd.unitId);
+        const target = this.units.find(u => u.id === cmd.targetUnitId);
+        const seenAt = target ? this.lagCompensatedPositionOf(cmd.renderTimeMs)(target) : undefined;
+        if (this.carrier.checkPickup(carrier, target, cmd.sourceSlot ?? null, seenAt) !== 'OK') return;
+
+        this._detachRigidBody(target);
+        this.carrier.pickup(carrier, target);
+    }
+
+    /**
+     * Apply a DROP_UNIT command: release the carried unit onto the terrain,
+     * at the requested point (within dropRadius) or just ahead of the carrier.
+     *
+     * @param {{ unitId: number, px?: number, py?: number, pz?: number, sourceSlot?: number }} cmd
+     * @private
+     */
+    _applyDropUnit(cmd) {
+        const carrier = this.units.find(u => u.id === cmd.unitId);
+        if (!carrier || carrier.carryingUnitId == null) return;
+        if (cmd.sourceSlot != null && carrier.ownerSlot !== cmd.sourceSlot) return;
+
+        const carried = this.units.find(u => u.id === carrier.carryingUnitId);
+        if (!carried) {
+            carrier.setCarrying(null);
+            return;
+        }
+
+        const point = (cmd.px != null && cmd.py != null && cmd.pz != null)
+            ? { x: cmd.px, y: cmd.py, z: cmd.pz }
+            : null;
+        const direction = this.carrier.resolveDropDirection(carrier, point);
+        if (!direction) return;
+
+        this.carrier.drop(carrier, carried, direction, this.terrain);
+        this._attachRigidBody(carried);
+    }
+
+    // ========================================
+    // Matera (delegates to MateraDepositService)
+    // ========================================
+
+    /**
+     * Add a Matera depot (base inventory) for a player, projected onto the terrain.
+     * The next SERVER_SNAPSHOT carries it in depots; recorded in the replay.
+     *
+     * @param {number} ownerSlot - Slot whose transporters unload here
+     * @param {{ x: number, y: number, z: number }} direction - Direction (or position) from planet center
+     * @returns {number|null} Depot ID, or null if at cap
+     */
+    addDepot(ownerSlot, direction) {
+        const dir = Vec3.normalize(direction);
+        const position = Vec3.scale(dir, this.terrain.getRadiusAt(dir));
+        const id = this.logistics.addDepot(ownerSlot, position);
+        if (id != null) {
+            this._addedDepotIds.push(id);
+            this.replay?.recordEvent(this.simLoop.tickCount + 1, ownerSlot, {
+                type: 'DEPOT', direction: { x: direction.x, y: direction.y, z: direction.z }
+            });
+        }
+        return id;
+    }
+
+    /**
+     * IDs of piles touched this tick by mining or transport pickups.
+     *
+     * @returns {Set<number>}
+     * @private
+     */
+    _changedPileIds() {
+        const ids = new Set();
+        for (const e of this._miningEvents.mined) ids.add(e.pileId);
+        for (const e of this._logisticsEvents.pickups) ids.add(e.pileId);
+        return ids;
+    }
+
+    /**
+     * Short-key network form of a surface pile (same style as unit snapshots).
+     *
+     * @param {import('../src/SimCore/systems/MateraDepositService.js').MateraPile} pile
+     * @returns {{ id: number, px: number, py: number, pz: number, amount: number }}
+     * @private
+     */
+    _pileToSnapshot(pile) {
+        return {
+            id: pile.id,
+            px: pile.position.x,
+            py: pile.position.y,
+            pz: pile.position.z,
+            amount: pile.amount
+        };
+    }
+
+    /**
+     * Short-key network form of a depot.
+     *
+     * @param {import('../src/SimCore/systems/MateraLogisticsService.js').MateraDepot} depot
+     * @returns {{ id: number, ownerSlot: number, px: number, py: number, pz: number, inventory: number }}
+     * @private
+     */
+    _depotToSnapshot(depot) {
+        return {
+            id: depot.id,
+            ownerSlot: depot.ownerSlot,
+            px: depot.position.x,
+            py: depot.position.y,
+            pz: depot.position.z,
+            inventory: depot.inventory
+        };
+    }
+
+    // ========================================
+    // Subsurface Scan (delegates to SubsurfaceScanService)
+    // ========================================
+
+    /**
+     * Toggle a unit's Subsurface Scan (spec §3.2: OFF stops new stamps,
+     * discovery already made stays).
+     *
+     * @param {number} unitId
+     * @param {boolean} enabled
+     * @returns {boolean} True if the unit exists
+     */
+    setScanEnabled(unitId, enabled) {
+        const unit = this.units.find(u => u.id === unitId);
+        if (!unit) return false;
+        unit.scanEnabled = !!enabled;
+        return true;
+    }
+
+    /**
+     * Full SCAN_REVEAL for one slot (late join / reconnect / after restore):
+     * every deposit the slot has discovered with all of its stamps.
+     *
+     * @param {number} slot
+     * @returns {Object} SCAN_REVEAL message
+     */
+    getScanState(slot) {
+        const discovered = this.scan.getDiscovered(slot);
+        const depositIds = new Set(discovered.map(d => d.depositId));
+        const visible = this._visibilityFor(slot);
+        for (const id of depositIds) visible.add(id);
+
+        return {
+            type: 'SCAN_REVEAL',
+            tick: this.simLoop.getTickCount(),
+            full: true,
+            deposits: this.matera.getDeposits()
+                .filter(d => depositIds.has(d.id))
+                .map(d => this._depositToSnapshot(d)),
+            stamps: discovered.flatMap(d => d.stamps.map(s => ({ depositId: d.depositId, ...s }))),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Send a slot its full scan discovery. No-op without a per-slot sender.
+     *
+     * @param {number} slot
+     */
+    sendScanState(slot) {
+        if (!this._sendToSlotFn) return;
+        this._sendToSlotFn(this.roomId, slot, this.getScanState(slot));
+    }
+
+    /**
+     * Restore scan discovery (save/resume) and rebuild the per-slot visibility sets.
+     *
+     * @param {Object} data - SubsurfaceScanService.serialize() output
+     */
+    restoreScan(data) {
+        this.scan.restore(data);
+        this.slotVisibility.clear();
+        for (const slot of this.scan.discovered.keys()) {
+            this.slotVisibility.set(slot, new Set(this.scan.getRevealedDepositIds(slot)));
+        }
+    }
+
+    /**
+     * Send this tick's scan reveals, one SCAN_REVEAL per discovering slot.
+     * Deposit geometry is included the first time a slot discovers it.
+     *
+     * @param {number} tickCount
+     * @private
+     */
+    _sendScanReveals(tickCount) {
+        if (this._scanReveals.length === 0) return;
+
+        const bySlot = new Map();
+        for (const r of this._scanReveals) {
+            if (!bySlot.has(r.slot)) bySlot.set(r.slot, []);
+            bySlot.get(r.slot).push(r);
+        }
+
+        for (const slot of [...bySlot.keys()].sort((a, b) => a - b)) {
+            const visible = this._visibilityFor(slot);
+            const newIds = new Set();
+            for (const r of bySlot.get(slot)) {
+                if (!visible.has(r.depositId)) newIds.add(r.depositId);
+                visible.add(r.depositId);
+            }
+            if (!this._sendToSlotFn) continue;
+
+            this._sendToSlotFn(this.roomId, slot, {
+                type: 'SCAN_REVEAL',
+                tick: tickCount,
+                deposits: this.matera.getDeposits()
+                    .filter(d => newIds.has(d.id))
+                    .map(d => this._depositToSnapshot(d)),
+                stamps: bySlot.get(slot).map(r => ({ depositId: r.depositId, ...r.stamp })),
+                timestamp: Date.now()
+            });
+        }
+    }
+
+    /**
+     * Visibility set for a slot (created on first use).
+     *
+     * @param {number} slot
+     * @returns {Set<number>}
+     * @private
+     */
+    _visibilityFor(slot) {
+        let set = this.slotVisibility.get(slot);
+        if (!set) {
+            set = new Set();
+            this.slotVisibility.set(slot, set);
+        }
+        return set;
+    }
+
+    /**
+     * Short-key network form of a discovered deposit volume.
+     *
+     * @param {import('../src/SimCore/systems/MateraDepositService.js').MateraDeposit} deposit
+     * @returns {{ id: number, px: number, py: number, pz: number, cx: number, cy: number, cz: number, radius: number }}
+     * @private
+     */
+    _depositToSnapshot(deposit) {
+        return {
+            id: deposit.id,
+            px: deposit.position.x,
+            py: deposit.position.y,
+            pz: deposit.position.z,
+            cx: deposit.center.x,
+            cy: deposit.center.y,
+            cz: deposit.center.z,
+            radius: deposit.radius
+        };
+    }
+
+    // ========================================
+    // Terrain Shaping (delegates to ServerTerrain.deltaLayer)
+    // ========================================
+
+    /**
+     * Apply one tick of Terrain Shaping work around a position: the footprint
+     * converges toward targetHeight by the calibrated rate (never jumps).
+     *
+     * On change: collider patches in the region are rebuilt, grounded units
+     * in the footprint follow the new surface, and the stamp is queued for
+     * the next SERVER_SNAPSHOT so clients replay the identical edit. Recorded
+     * in the replay (it happens outside the command queue).
+     *
+     * Server API only: no client message or command reaches it. Callers are
+     * server-side code (scripts, tests) and ReplayRunner.
+     *
+     * @param {{ x: number, y: number, z: number }} position - Footprint center (direction or world position)
+     * @param {number} targetHeight - Desired height above base radius
+     * @param {number} dtSec - Work time (one sim tick for continuous shaping)
+     * @param {Object} [options]
+     * @param {number} [options.rateScale=1] - Effective allocation / 100
+     * @param {number} [options.radius] - Footprint radius (defaults to calibration)
+     * @returns {import('../src/SimCore/systems/TerrainDeltaLayer.js').StampResult}
+     */
+    shapeTerrain(position, targetHeight, dtSec, options = {}) {
+        this.replay?.recordEvent(this.simLoop.tickCount + 1, null, {
+            type: 'TERRAIN_STAMP', position: { x: position.x, y: position.y, z: position.z }, targetHeight, dtSec, options
+        });
+
+        const layer = this.terrain.deltaLayer;
+        const stamp = {
+            center: Vec3.normalize(position),
+            targetHeight,
+            step: layer.stepFor(dtSec, options.rateScale ?? 1),
+            radius: options.radius ?? layer.footprintRadius,
+            smoothing: layer.smoothing
+        };
+
+        const result = layer.applyStamp(stamp, this.terrain);
+        if (result.changed === 0) return result;
+
+        this._terrainStamps.push(stamp);
+
+        const center = Vec3.scale(stamp.center, this.terrain.getRadiusAt(stamp.center));
+        if (this.terrainColliders) {
+            this.terrainColliders.invalidateRegion(center, stamp.radius, { rebuild: true });
+        }
+        this._pathPlanner?.navMesh.refreshRegion(stamp.center, stamp.radius);
+
+        // Same surface measure as the layer footprint (chord on the base sphere)
+        for (const unit of this.units) {
+            const offset = Vec3.sub(Vec3.normalize(unit.position), stamp.center);
+            if (Vec3.length(offset) * layer.planetRadius <= stamp.radius) {
+                unit.followTerrain();
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Shaping stamps already in the layer but not yet sent in a snapshot
+     * (shapeTerrain called between ticks).
+     *
+     * @returns {number}
+     */
+    pendingTerrainStampCount() {
+        return this._terrainStamps.length;
+    }
+
+    /**
+     * Full Terrain Shaping state for one client (host reclaim / resume after
+     * dropped frames): every edit applied so far.
+     *
+     * @returns {Object} TERRAIN_STATE message
+     */
+    getTerrainState() {
+        return {
+            type: 'TERRAIN_STATE',
+            tick: this.simLoop.getTickCount(),
+            terrain: this.terrain.deltaLayer.serialize(),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * Send a slot the full Terrain Shaping state. No-op without a per-slot sender.
+     * With stamps pending it goes out right after the next snapshot: sent
+     * now, the client would apply those stamps a second time.
+     *
+     * @param {number} slot
+     */
+    sendTerrainState(slot) {
+        if (!this._sendToSlotFn) return;
+        if (this._terrainStamps.length > 0) {
+            this._terrainStateSlots.add(slot);
+            return;
+        }
+        this._sendToSlotFn(this.roomId, slot, this.getTerrainState());
+    }
+
     // ========================================
     // Gameplay physics API (delegates to PhysicsEventService)
     // ========================================
@@ -408,6 +1444,7 @@ export class Room {
     /**
      * Trigger a radial explosion at a world position.
      * All KINEMATIC units within radius are knocked back with linear falloff.
+     * Recorded in the replay (it happens outside the command queue).
      *
      * No-op if physics is not enabled.
      *
@@ -419,6 +1456,9 @@ export class Room {
     triggerExplosion(center, radius, strength) {
         if (!this.physicsEvents || !this.physics) return [];
 
+        this.replay?.recordEvent(this.simLoop.tickCount + 1, null, {
+            type: 'EXPLOSION', center: { x: center.x, y: center.y, z: center.z }, radius, strength
+        });
         return this.physicsEvents.applyRadialImpulse({
             center,
             radius,
@@ -446,7 +1486,7 @@ export class Room {
     }
 
     /**
-     * Place a mine at a world position.
+     * Place a mine at a world position (recorded in the replay).
      * No-op if physics is not enabled.
      *
      * @param {{ x: number, y: number, z: number }} position
@@ -455,7 +1495,11 @@ export class Room {
      */
     addMine(position, options) {
         if (!this.collisions) return null;
-        return this.collisions.addMine(position, options);
+        const id = this.collisions.addMine(position, options);
+        if (id !== null) {
+            this.replay?.recordEvent(this.simLoop.tickCount + 1, null, { type: 'MINE', position, options });
+        }
+        return id;
     }
 
     /**
@@ -485,6 +1529,21 @@ export class Room {
         this._bodyToUnit.set(body.handle, unit);
     }
 
+    /**
+     * Remove a unit's rigid body (carried units have no physics presence).
+     * No-op if the unit has no body.
+     *
+     * @param {HeadlessUnit} unit
+     * @private
+     */
+    _detachRigidBody(unit) {
+        if (!unit.rigidBody || !this.physics) return;
+
+        this._bodyToUnit.delete(unit.rigidBody.handle);
+        this.physics.removeBody(unit.rigidBody);
+        unit.rigidBody = null;
+    }
+
     /**
      * Add a static obstacle (rock) at a position on the terrain.
      * Creates a fixed body with a ball collider. Collision events enabled.
@@ -500,10 +1559,49 @@ export class Room {
 
         const body = this.physics.createFixedBody(position);
         this.physics.addBallCollider(body, radius, { activeEvents: true });
-        this._obstacles.set(body.handle, { body, position: { ...position } });
+        this._obstacles.set(body.handle, { body, position: { ...position }, radius });
         return body.handle;
     }
 
+    /**
+     * The room's path planner, generating the navmesh on first use (O(n²)
+     * neighbor graph; rooms that never see MOVE_TO skip it).
+     *
+     * @returns {NavPlanner}
+     */
+    getPathPlanner() {
+        if (!this._pathPlanner) {
+            const navMesh = new NavGraph(this.terrain, this.rocks, this._navMeshOptions).generate();
+            this._pathPlanner = new NavPlanner(navMesh, this.rocks, this.terrain);
+        }
+        return this._pathPlanner;
+    }
+
+    /**
+     * Whether a point is under water (not a valid PATH_DATA waypoint).
+     *
+     * @param {{ x: number, y: number, z: number }} position
+     * @returns {boolean}
+     */
+    isUnderwater(position) {
+        return isUnderwater(position, this.terrain);
+    }
+
+    /**
+     * Add the rock field to the physics world as fixed ball colliders, so
+     * DYNAMIC (tumbling) units hit rocks too. Not registered as obstacles:
+     * grounded units are already kept out kinematically (no knockback).
+     *
+     * @private
+     */
+    _addRockColliders() {
+        for (const rock of this.rocks) {
+            const body = this.physics.createFixedBody(rock.position);
+            this.physics.addBallCollider(body, rock.footprintRadius);
+            this._rockBodies.push(body);
+        }
+    }
+
     /**
      * Remove a static obstacle by body handle.
      * @param {number} handle
@@ -0,0 +1,85 @@
+/**
+ * RoomCheckpointStore — Room save envelopes as JSON files in a directory.
+ *
+ * One file per room (<encoded roomId>.room.json). Writes go to a temp file
+ * first and are renamed over the previous checkpoint, so a crash mid-write
+ * never leaves a truncated save behind.
+ *
+ * @module server/RoomCheckpointStore
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** @type {string} Checkpoint file suffix */
+const FILE_SUFFIX = '.room.json';
+
+export class RoomCheckpointStore {
+    /**
+     * @param {string} dir - Checkpoint directory (created on first save)
+     */
+    constructor(dir) {
+        /** @type {string} */
+        this.dir = dir;
+    }
+
+    /**
+     * Write (or replace) a room's checkpoint.
+     *
+     * @param {{ roomId: string }} envelope - RoomSave envelope
+     * @returns {Promise<void>}
+     */
+    async save(envelope) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const file = this._fileFor(envelope.roomId);
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(envelope));
+        await fs.rename(tmp, file);
+    }
+
+    /**
+     * Read every checkpoint in the directory. Unreadable files are reported,
+     * not thrown (one bad file must not block the rest).
+     *
+     * @returns {Promise<{ envelopes: Object[], errors: Array<{ file: string, error: string }> }>}
+     */
+    async loadAll() {
+        let names;
+        try {
+            names = await fs.readdir(this.dir);
+        } catch (err) {
+            if (err.code === 'ENOENT') return { envelopes: [], errors: [] };
+            throw err;
+        }
+
+        const envelopes = [];
+        const errors = [];
+        for (const name of names.filter(n => n.endsWith(FILE_SUFFIX)).sort()) {
+            try {
+                envelopes.push(JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8')));
+            } catch (err) {
+                errors.push({ file: name, error: err.message });
+            }
+        }
+        return { envelopes, errors };
+    }
+
+    /**
+     * Delete a room's checkpoint (no-op if there is none).
+     *
+     * @param {string} roomId
+     * @returns {Promise<void>}
+     */
+    async remove(roomId) {
+        await fs.rm(this._fileFor(roomId), { force: true });
+    }
+
+    /**
+     * @param {string} roomId
+     * @returns {string}
+     * @private
+     */
+    _fileFor(roomId) {
+        return path.join(this.dir, encodeURIComponent(roomId) + FILE_SUFFIX);
+    }
+}
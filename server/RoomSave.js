@@ -0,0 +1,126 @@
+/**
+ * RoomSave — Versioned save envelope for authoritative server rooms.
+ *
+ * Same envelope / versioning scheme as the client SaveSchema (format tag,
+ * schemaVersion, validate → migrate → apply), with the Room.serialize()
+ * payload as its state. Used by GameServer to checkpoint running matches
+ * to disk and resume them on boot.
+ *
+ * Schema versions:
+ * - v1: Initial release (units, command backlog, players, mines, obstacles,
+ *       Matera / depots / scan / terrain edits, sim tick, room config)
+ * - v2: host.secretHash — SHA-256 of the host's HOST_ANNOUNCE hostSecret
+ *       (null if it never sent one); only that host may reclaim the room
+ *
+ * @module server/RoomSave
+ */
+
+import { peekEntityId } from '../src/SimCore/runtime/IdGenerator.js';
+
+/** @type {number} Current room save schema version */
+export const ROOM_SAVE_SCHEMA_VERSION = 2;
+
+/** @type {string} Format identifier (distinguishes room saves from client saves) */
+export const ROOM_SAVE_FORMAT = 'asterobia-room';
+
+/**
+ * Create a room save envelope.
+ *
+ * @param {import('./Room.js').Room} room
+ * @param {Object} [options]
+ * @param {string|null} [options.hostSecretHash=null] - Hash of the host's secret (GameServer)
+ * @returns {Object} Envelope (JSON-safe)
+ */
+export function createRoomSaveEnvelope(room, { hostSecretHash = null } = {}) {
+    return {
+        schemaVersion: ROOM_SAVE_SCHEMA_VERSION,
+        format: ROOM_SAVE_FORMAT,
+        savedAt: new Date().toISOString(),
+        roomId: room.roomId,
+        host: { secretHash: hostSecretHash },
+        state: {
+            room: room.serialize(),
+            entityIdCounter: peekEntityId()
+        }
+    };
+}
+
+/**
+ * Validate a room save envelope.
+ *
+ * @param {Object} envelope - Loaded save data
+ * @returns {{ valid: boolean, version?: number, error?: string }}
+ */
+export function validateRoomSaveEnvelope(envelope) {
+    if (!envelope || typeof envelope !== 'object') {
+        return { valid: false, error: 'Invalid room save: not an object' };
+    }
+
+    if (envelope.format !== ROOM_SAVE_FORMAT) {
+        return { valid: false, error: 'Invalid room save format identifier' };
+    }
+
+    if (typeof envelope.schemaVersion !== 'number') {
+        return { valid: false, error: 'Missing schema version' };
+    }
+
+    if (envelope.schemaVersion > ROOM_SAVE_SCHEMA_VERSION) {
+        return {
+            valid: false,
+            error: `Room save version ${envelope.schemaVersion} is newer than supported (${ROOM_SAVE_SCHEMA_VERSION})`
+        };
+    }
+
+    if (typeof envelope.roomId !== 'string' || !envelope.roomId) {
+        return { valid: false, error: 'Missing room ID' };
+    }
+
+    const room = envelope.state?.room;
+    if (!room || room.roomId !== envelope.roomId) {
+        return { valid: false, error: 'Missing or mismatched room state' };
+    }
+
+    if (!room.config || typeof room.config.tickMs !== 'number') {
+        return { valid: false, error: 'Missing or invalid room config' };
+    }
+
+    if (!room.simLoop || typeof room.simLoop.tickCount !== 'number') {
+        return { valid: false, error: 'Missing or invalid simLoop state' };
+    }
+
+    if (!Array.isArray(room.units) || !Array.isArray(room.players)) {
+        return { valid: false, error: 'Missing units or players' };
+    }
+
+    if (typeof envelope.state.entityIdCounter !== 'number') {
+        return { valid: false, error: 'Missing entity ID counter' };
+    }
+
+    if (envelope.schemaVersion >= 2) {
+        const secretHash = envelope.host?.secretHash;
+        if (secretHash !== null && typeof secretHash !== 'string') {
+            return { valid: false, error: 'Missing or invalid host secret hash' };
+        }
+    }
+
+    return { valid: true, version: envelope.schemaVersion };
+}
+
+/**
+ * Migrate a room save from older schema versions.
+ * Add migration logic here as the schema evolves.
+ *
+ * @param {Object} envelope - Envelope to migrate
+ * @returns {Object} Migrated envelope (at current schema version)
+ */
+export function migrateRoomSaveEnvelope(envelope) {
+    const current = { ...envelope };
+
+    // v1 → v2: no host secret was recorded (the room cannot be reclaimed)
+    if (current.schemaVersion < 2) {
+        current.host = { secretHash: null };
+    }
+
+    current.schemaVersion = ROOM_SAVE_SCHEMA_VERSION;
+    return current;
+}
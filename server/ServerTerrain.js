@@ -8,6 +8,10 @@
  * applyDomainWarp) MUST produce bitwise-identical results to Terrain.js.
  * Any change in Terrain.js height math must be mirrored here.
  *
+ * Terrain Shaping edits live in a TerrainDeltaLayer (shared SimCore module)
+ * added on top of the noise height by both sides: getBaseHeight() is the
+ * pure noise function, getHeight() = getBaseHeight() + deltaLayer.sample().
+ *
  * getNormalAt() uses pure-JS Vec3 instead of THREE.Vector3, but the
  * finite-difference algorithm is identical to Terrain.getNormalAt().
  *
@@ -16,6 +20,7 @@
 
 import { createNoise3D } from 'simplex-noise';
 import { Vec3 } from './SphereMath.js';
+import { TerrainDeltaLayer } from '../src/SimCore/systems/TerrainDeltaLayer.js';
 
 export class ServerTerrain {
     /**
@@ -42,14 +47,16 @@ export class ServerTerrain {
 
     /**
      * @param {Object} [params] - Terrain parameters (same defaults as client Terrain.js)
+     * @param {Object} [shapingOptions] - TerrainDeltaLayer calibration (rateAt100, footprintRadius, ...)
      */
-    constructor(params = {}) {
+    constructor(params = {}, shapingOptions = {}) {
         // Same deterministic seed as client: createNoise3D(() => 0.5)
         this.noise3D = createNoise3D(() => 0.5);
 
         this.params = Object.assign({
             radius: 60,
             heightMultiplier: 6.0,
+            waterLevel: 1.5,
             noiseType: 'ridged',
             domainWarpStrength: 0.0,
             domainWarpOctaves: 4,
@@ -63,6 +70,12 @@ export class ServerTerrain {
             ridgePower: 1.5,
             erosionStrength: 0.05
         }, params);
+
+        /** @type {TerrainDeltaLayer} Terrain Shaping height edits (empty = pure noise) */
+        this.deltaLayer = new TerrainDeltaLayer({
+            ...shapingOptions,
+            planetRadius: this.params.radius
+        });
     }
 
     // ========================================
@@ -108,7 +121,14 @@ export class ServerTerrain {
         return value / maxValue;
     }
 
-    getHeight(x, y, z) {
+    /**
+     * Procedural (noise-only) height, without Terrain Shaping edits.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {number}
+     */
+    getBaseHeight(x, y, z) {
         const warped = this.applyDomainWarp(x, y, z);
 
         const continent = this.sampleNoise(warped.x, warped.y, warped.z,
@@ -126,6 +146,17 @@ export class ServerTerrain {
         return height * this.params.heightMultiplier;
     }
 
+    /**
+     * Height above base radius, including Terrain Shaping edits.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {number}
+     */
+    getHeight(x, y, z) {
+        return this.getBaseHeight(x, y, z) + this.deltaLayer.sample(x, y, z);
+    }
+
     /**
      * Get total radius (base + terrain height) at a given direction from center.
      * @param {{ x: number, y: number, z: number }} direction - Normalized direction vector
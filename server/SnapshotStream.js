@@ -0,0 +1,76 @@
+/**
+ * SnapshotStream — Per-client binary SERVER_SNAPSHOT encoder.
+ *
+ * Tracks the snapshots sent to one client that negotiated the binary
+ * encoding (HELLO snapshotEncodings) and the newest one it acknowledged
+ * (SNAPSHOT_ACK). Each snapshot is delta-encoded against that acknowledged
+ * baseline; with no usable baseline (first send, ack too old, ack -1)
+ * a keyframe goes out instead. Lost packets therefore only cost bandwidth:
+ * the server keeps delta-ing against what the client provably holds.
+ *
+ * Server-side only. The codec itself lives in MessageSerializer (isomorphic).
+ *
+ * @module server/SnapshotStream
+ */
+
+import { createServerSnapshotBin } from '../src/SimCore/multiplayer/MessageSerializer.js';
+
+/** @type {number} Sent snapshots kept as potential baselines (~1.6 s at 20 Hz) */
+const DEFAULT_HISTORY_SIZE = 32;
+
+export class SnapshotStream {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.historySize=32] - Sent snapshots retained as delta baselines
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.historySize = options.historySize ?? DEFAULT_HISTORY_SIZE;
+
+        /** @type {Map<number, Object>} tick → SERVER_SNAPSHOT sent (JSON form, insertion = tick order) */
+        this.history = new Map();
+
+        /** @type {number} Newest tick the client acknowledged (-1 = none) */
+        this.ackedTick = -1;
+
+        /** @type {number} Keyframes sent */
+        this.keyframeCount = 0;
+
+        /** @type {number} Deltas sent */
+        this.deltaCount = 0;
+    }
+
+    /**
+     * Encode the next snapshot for this client.
+     *
+     * @param {Object} snapshot - SERVER_SNAPSHOT as this client would receive it
+     * @returns {Object} SERVER_SNAPSHOT_BIN message
+     */
+    encode(snapshot) {
+        const baseline = this.history.get(this.ackedTick) ?? null;
+        const msg = createServerSnapshotBin(snapshot, baseline);
+        if (baseline) this.deltaCount++;
+        else this.keyframeCount++;
+
+        this.history.set(snapshot.tick, snapshot);
+        while (this.history.size > this.historySize) {
+            this.history.delete(this.history.keys().next().value);
+        }
+        return msg;
+    }
+
+    /**
+     * Record a SNAPSHOT_ACK. Acks only move forward; a negative tick drops the
+     * baseline so the next snapshot is a keyframe.
+     *
+     * @param {number} tick
+     */
+    ack(tick) {
+        if (typeof tick !== 'number' || !Number.isFinite(tick)) return;
+        if (tick < 0) {
+            this.ackedTick = -1;
+        } else if (tick > this.ackedTick && this.history.has(tick)) {
+            this.ackedTick = tick;
+        }
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * SpectatorFeed — Delayed full-visibility SERVER_SNAPSHOT stream of one room.
+ *
+ * Spectators see every unit (no fog filtering), so what they receive must be
+ * old enough to be useless to a player watching along on a second screen.
+ * The feed holds each tick's full snapshot for delayTicks ticks and only
+ * then releases it. A room gets a feed when its first spectator joins, so a
+ * new feed stays silent for the whole delay before its first snapshot.
+ *
+ * Terrain Shaping edits are replayed from released snapshots onto a copy of
+ * the room's delta layer taken when the feed starts, so a joining spectator
+ * gets the terrain of the delayed stream, not of the live game.
+ *
+ * Server-side only.
+ *
+ * @module server/SpectatorFeed
+ */
+
+import { TerrainDeltaLayer } from '../src/SimCore/systems/TerrainDeltaLayer.js';
+
+/** @type {number} Default spectator delay (ms) */
+export const DEFAULT_SPECTATOR_DELAY_MS = 10000;
+
+export class SpectatorFeed {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.delayMs=10000] - How far behind the live game snapshots are released
+     * @param {number} [options.tickMs=50] - Room tick length (one snapshot per tick)
+     * @param {import('./ServerTerrain.js').ServerTerrain} [options.terrain] - Room terrain (omit = no terrain state)
+     * @param {number} [options.stampsInLayer=0] - Stamps already in the layer that the next snapshot carries
+     */
+    constructor(options = {}) {
+        const delayMs = options.delayMs ?? DEFAULT_SPECTATOR_DELAY_MS;
+        const tickMs = options.tickMs || 50;
+
+        /** @type {number} Snapshots held back before the oldest one is released */
+        this.delayTicks = Math.max(0, Math.ceil(delayMs / tickMs));
+
+        /** @type {number} Effective delay (whole ticks) */
+        this.delayMs = this.delayTicks * tickMs;
+
+        /** @type {Object[]} Held SERVER_SNAPSHOTs, oldest first */
+        this._queue = [];
+
+        /** @type {Object|null} Room terrain (base heights for replaying stamps) */
+        this._terrain = options.terrain ?? null;
+
+        /** @type {TerrainDeltaLayer|null} Shaping edits up to the last released snapshot */
+        this._releasedLayer = null;
+        if (this._terrain) {
+            const live = this._terrain.deltaLayer;
+            this._releasedLayer = new TerrainDeltaLayer({
+                planetRadius: live.planetRadius,
+                cellSize: live.cellSize,
+                maxNodes: live.maxNodes
+            });
+            this._releasedLayer.restore(live.serialize());
+        }
+
+        /** @type {number} Leading stamps of the next snapshot the copied layer already holds */
+        this._stampsInLayer = this._releasedLayer ? (options.stampsInLayer ?? 0) : 0;
+    }
+
+    /**
+     * Add this tick's full snapshot.
+     *
+     * @param {Object} snapshot - Unfiltered SERVER_SNAPSHOT
+     * @returns {Object[]} Snapshots now old enough to send (oldest first)
+     */
+    push(snapshot) {
+        if (this._stampsInLayer > 0 && snapshot.terrainStamps) {
+            const rest = snapshot.terrainStamps.slice(this._stampsInLayer);
+            snapshot = { ...snapshot, terrainStamps: rest };
+            if (rest.length === 0) delete snapshot.terrainStamps;
+        }
+        this._stampsInLayer = 0;
+        this._queue.push(snapshot);
+        const due = [];
+        while (this._queue.length > this.delayTicks) {
+            const released = this._queue.shift();
+            for (const stamp of released.terrainStamps ?? []) {
+                this._releasedLayer?.applyStamp(stamp, this._terrain);
+            }
+            due.push(released);
+        }
+        return due;
+    }
+
+    /**
+     * Terrain Shaping layer as of the last released snapshot (what a
+     * spectator joining now must start from).
+     *
+     * @returns {Object|null} TerrainDeltaLayer.serialize() output, or null without a terrain
+     */
+    terrainState() {
+        return this._releasedLayer ? this._releasedLayer.serialize() : null;
+    }
+
+    /**
+     * Snapshots held back right now.
+     * @returns {number}
+     */
+    get pending() {
+        return this._queue.length;
+    }
+}
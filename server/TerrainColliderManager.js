@@ -10,7 +10,8 @@
  *   - Each patch is a grid of vertices sampled from ServerTerrain.getRadiusAt()
  *   - Patches are STATIC (Rapier fixed bodies) — never dynamic trimesh
  *   - Hard cap on max active patches prevents runaway memory
- *   - invalidateRegion() destroys overlapping patches (deformation hook)
+ *   - invalidateRegion() destroys overlapping patches (deformation hook),
+ *     optionally rebuilding them at once from the edited terrain
  *
  * Phase 3 Step 2: Foundation. Not yet wired to unit lifecycle events.
  *
@@ -55,7 +56,7 @@ export class TerrainColliderManager {
 
         /**
          * Active patches keyed by "iLat:iLon" string.
-         * @type {Map<string, { body: import('@dimforge/rapier3d-compat').RigidBody, center: {x:number,y:number,z:number}, vertexCount: number }>}
+         * @type {Map<string, { body: import('@dimforge/rapier3d-compat').RigidBody, center: {x:number,y:number,z:number}, centerDir: {x:number,y:number,z:number}, vertexCount: number }>}
          */
         this._patches = new Map();
 
@@ -163,13 +164,18 @@ export class TerrainColliderManager {
     /**
      * Invalidate (destroy) all patches overlapping a region.
      * Deformation hook: when terrain changes, call this to force re-generation.
+     * With `rebuild`, the same patches are regenerated immediately from the
+     * current terrain (Terrain Shaping edits), so colliders never lag a tick.
      *
      * @param {{ x: number, y: number, z: number }} center - Center of invalidation
      * @param {number} radius - Invalidation radius
+     * @param {Object} [options]
+     * @param {boolean} [options.rebuild=false] - Recreate invalidated patches in place
      * @returns {number} Number of patches invalidated
      */
-    invalidateRegion(center, radius) {
+    invalidateRegion(center, radius, options = {}) {
         const radiusSq = radius * radius;
+        const rebuilt = [];
         let invalidated = 0;
 
         for (const [key, patch] of this._patches) {
@@ -180,11 +186,16 @@ export class TerrainColliderManager {
             const patchDiag = this.patchSize * Math.SQRT2;
             const threshold = radius + patchDiag;
             if (dx * dx + dy * dy + dz * dz <= threshold * threshold) {
+                if (options.rebuild) rebuilt.push([key, patch.centerDir]);
                 this._destroyPatch(key);
                 invalidated++;
             }
         }
 
+        for (const [key, centerDir] of rebuilt) {
+            this._createPatch(key, centerDir);
+        }
+
         return invalidated;
     }
 
@@ -305,6 +316,7 @@ export class TerrainColliderManager {
         this._patches.set(key, {
             body,
             center,
+            centerDir,
             vertexCount: vertices.length / 3
         });
         this.totalCreated++;
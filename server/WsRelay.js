@@ -11,18 +11,46 @@
  *   { "type": "subscribe",   "channel": "asterobia:lobby" }
  *   { "type": "unsubscribe", "channel": "asterobia:lobby" }
  *   { "type": "broadcast",   "channel": "asterobia:session:xxx", "payload": { ... } }
+ *   ("subscribe" / "broadcast" on a session channel carry "token" when join tokens are on)
+ *   { "type": "resume",      "token": "<resumeToken>" }           (first frame of a new socket)
  *
  * Server -> Client:
  *   { "type": "message", "channel": "asterobia:session:xxx", "payload": { ... } }
  *   { "type": "error",   "message": "Not subscribed to channel: ..." }
+ *   { "type": "session", "clientId": 7, "resumeToken": "...", "resumeGraceMs": 15000 }
+ *   { "type": "resumed", "clientId": 7, "resumeToken": "...", "missed": 42, "complete": true }
+ *   { "type": "resume_failed", "message": "..." }
  *
  * Semantics:
  *   - Broadcast delivers to ALL subscribers EXCEPT the sender (Supabase semantics)
  *   - Sender must be subscribed to a channel before broadcasting on it
  *   - Unknown message types and invalid JSON are handled with error responses
+ *
+ * Join tokens (joinTokenSecret set, Phase 2A): session channels need a token
+ * issued by the GameServer (server/JoinToken.js) bound to this socket and the
+ * channel's room. Subscribing without one leaves the socket "pending": it
+ * receives nothing from the channel and may only broadcast the join handshake
+ * (HOST_ANNOUNCE, HELLO, JOIN_REQ). The GameServer admits it (admit()) once
+ * it maps the socket to a slot. Admitted sockets must send a valid token with
+ * every broadcast.
+ *
+ * Resume (resumeGraceMs > 0): each socket gets a resume token ("session").
+ * When it drops without a normal close, its client (id, subscriptions, join
+ * tokens) is parked on a stand-in socket that buffers the frames sent to it
+ * for resumeGraceMs. A new socket whose first frame is "resume" with that
+ * token takes the client over and receives the buffered frames
+ * ("complete": false if the buffer overflowed and was dropped). Join tokens
+ * stay valid since the client id is kept. Otherwise the client is removed
+ * when the window ends.
+ *
+ * Metrics: `stats` holds monotonic counters (messages / bytes received,
+ * messages / bytes relayed, rate-limit, oversize and join-token drops, resumes) for
+ * the /metrics endpoint.
  */
 
+import { randomBytes } from 'node:crypto';
 import { WebSocketServer } from 'ws';
+import { sessionRoomId, verifyJoinToken } from './JoinToken.js';
 
 /** @type {number} Default max WebSocket payload size (512 KB) */
 const DEFAULT_MAX_PAYLOAD = 512 * 1024;
@@ -33,18 +61,33 @@ const DEFAULT_RATE_LIMIT = 100;
 /** @type {number} Rate limit window in milliseconds */
 const RATE_WINDOW_MS = 1000;
 
+/** @type {Set<string>} Payload types a pending (tokenless) session subscriber may broadcast */
+const HANDSHAKE_TYPES = new Set(['HOST_ANNOUNCE', 'HELLO', 'JOIN_REQ']);
+
+/** @type {number} Default max frames buffered for a parked client */
+const DEFAULT_RESUME_BACKLOG = 512;
+
+/** @type {number} WebSocket close code of a deliberate close (not parked) */
+const NORMAL_CLOSURE = 1000;
+
 export class WsRelay {
     /**
      * @param {Object} [options]
      * @param {number} [options.port=3000] - Port for standalone mode
      * @param {number} [options.maxPayload=524288] - Max WebSocket frame size in bytes (default 512KB)
      * @param {number} [options.rateLimit=100] - Max messages per second per client (0 = unlimited)
+     * @param {Buffer|string|null} [options.joinTokenSecret=null] - Require join tokens on session channels (null = off)
+     * @param {number} [options.resumeGraceMs=0] - Keep dropped clients resumable this long (0 = off)
+     * @param {number} [options.resumeBacklog=512] - Max frames buffered for a parked client
      */
     constructor(options = {}) {
         this.port = options.port || 3000;
         this.wss = null;
 
-        // Track clients: ws -> { id, channels: Set<string>, msgTimestamps: number[] }
+        // Track clients: ws -> { id, channels: Set<string>, msgTimestamps: number[],
+        //   pendingChannels: Set<string>, tokens: Map<string, JoinTokenClaims>,
+        //   resumeToken: string|null }
+        // (a parked client is keyed by its stand-in socket)
         this.clients = new Map();
 
         // Track channels: channelName -> Set<ws>
@@ -57,6 +100,36 @@ export class WsRelay {
 
         /** @type {number} Max messages per second per client (0 = unlimited) */
         this._rateLimit = options.rateLimit ?? DEFAULT_RATE_LIMIT;
+
+        /** @type {Buffer|string|null} Join token secret (null = session channels are open) */
+        this._joinTokenSecret = options.joinTokenSecret || null;
+
+        /** @type {number} Resume grace window in ms (0 = dropped clients are removed at once) */
+        this._resumeGraceMs = options.resumeGraceMs ?? 0;
+
+        /** @type {number} Max frames buffered for a parked client */
+        this._resumeBacklog = options.resumeBacklog ?? DEFAULT_RESUME_BACKLOG;
+
+        /**
+         * Parked clients: resume token -> stand-in socket (see _parkClient).
+         * @type {Map<string, Object>}
+         */
+        this._parked = new Map();
+
+        /**
+         * Monotonic counters since start (exported as Prometheus *_total).
+         * @type {{ messagesReceived: number, bytesReceived: number, messagesRelayed: number, bytesRelayed: number, rateLimitDrops: number, oversizeDrops: number, joinTokenDrops: number, resumes: number }}
+         */
+        this.stats = {
+            messagesReceived: 0,
+            bytesReceived: 0,
+            messagesRelayed: 0,
+            bytesRelayed: 0,
+            rateLimitDrops: 0,
+            oversizeDrops: 0,
+            joinTokenDrops: 0,
+            resumes: 0
+        };
     }
 
     /**
@@ -90,8 +163,9 @@ export class WsRelay {
                 return;
             }
 
-            // Close all client connections
-            for (const ws of this.clients.keys()) {
+            // Close all client connections (for good: nothing is parked)
+            for (const [ws, client] of this.clients) {
+                client.resumeToken = null;
                 ws.close();
             }
 
@@ -111,15 +185,20 @@ export class WsRelay {
     _attachConnectionHandler() {
         this.wss.on('connection', (ws) => {
             const clientId = this._nextClientId++;
-            this.clients.set(ws, { id: clientId, channels: new Set(), msgTimestamps: [] });
+            const resumeToken = this._resumeGraceMs > 0 ? randomBytes(24).toString('base64url') : null;
+            this.clients.set(ws, { id: clientId, channels: new Set(), msgTimestamps: [], pendingChannels: new Set(), tokens: new Map(), resumeToken });
             console.log(`[WsRelay] Client ${clientId} connected (${this.clients.size} total)`);
 
+            if (resumeToken) {
+                ws.send(JSON.stringify({ type: 'session', clientId, resumeToken, resumeGraceMs: this._resumeGraceMs }));
+            }
+
             ws.on('message', (data) => {
                 this._handleMessage(ws, data);
             });
 
-            ws.on('close', () => {
-                this._handleDisconnect(ws);
+            ws.on('close', (code) => {
+                this._handleClose(ws, code);
             });
 
             ws.on('error', (err) => {
@@ -136,6 +215,9 @@ export class WsRelay {
         const client = this.clients.get(ws);
         if (!client) return;
 
+        this.stats.messagesReceived++;
+        this.stats.bytesReceived += rawData.length ?? 0;
+
         // Rate limiting: drop messages that exceed the per-client cap
         if (this._rateLimit > 0) {
             const now = Date.now();
@@ -146,6 +228,7 @@ export class WsRelay {
             }
             if (client.msgTimestamps.length >= this._rateLimit) {
                 // Rate limit exceeded — drop silently (don't even parse)
+                this.stats.rateLimitDrops++;
                 return;
             }
             client.msgTimestamps.push(now);
@@ -161,13 +244,18 @@ export class WsRelay {
 
         switch (msg.type) {
             case 'subscribe':
-                this._subscribe(ws, client, msg.channel);
+                this._subscribe(ws, client, msg.channel, msg.token);
                 break;
             case 'unsubscribe':
                 this._unsubscribe(ws, client, msg.channel);
                 break;
             case 'broadcast':
-                this._broadcast(ws, client, msg.channel, msg.payload);
+                if (this._checkBroadcastToken(ws, client, msg.channel, msg.payload, msg.token)) {
+                    this._broadcast(ws, client, msg.channel, msg.payload);
+                }
+                break;
+            case 'resume':
+                this._resumeClient(ws, client, msg.token);
                 break;
             default:
                 ws.send(JSON.stringify({
@@ -179,10 +267,27 @@ export class WsRelay {
 
     /**
      * Subscribe a client to a named channel.
+     * With join tokens on, a session channel needs a valid token for this
+     * socket; without one the subscription stays pending.
      */
-    _subscribe(ws, client, channelName) {
+    _subscribe(ws, client, channelName, token) {
         if (!channelName) return;
 
+        if (this._requiresToken(channelName)) {
+            if (token === undefined || token === null) {
+                client.pendingChannels.add(channelName);
+                console.log(`[WsRelay] Client ${client.id} pending on ${channelName} (no join token)`);
+                return;
+            }
+            const claims = this._verifyToken(client, channelName, token);
+            if (!claims) {
+                this._rejectToken(ws, channelName);
+                return;
+            }
+            client.pendingChannels.delete(channelName);
+            client.tokens.set(channelName, claims);
+        }
+
         client.channels.add(channelName);
 
         if (!this.channels.has(channelName)) {
@@ -200,6 +305,8 @@ export class WsRelay {
         if (!channelName) return;
 
         client.channels.delete(channelName);
+        client.pendingChannels?.delete(channelName);
+        client.tokens?.delete(channelName);
 
         const subs = this.channels.get(channelName);
         if (subs) {
@@ -218,8 +325,8 @@ export class WsRelay {
     _broadcast(ws, client, channelName, payload) {
         if (!channelName || !payload) return;
 
-        // Verify sender is subscribed
-        if (!client.channels.has(channelName)) {
+        // Verify sender is subscribed (pending senders passed _checkBroadcastToken)
+        if (!client.channels.has(channelName) && !client.pendingChannels?.has(channelName)) {
             ws.send(JSON.stringify({
                 type: 'error',
                 message: `Not subscribed to channel: ${channelName}`
@@ -239,6 +346,7 @@ export class WsRelay {
         // Security: reject oversized broadcast (prevents amplification attack).
         // A malicious client could send a large payload that gets copied to N subscribers.
         if (outMsg.length > this._maxPayload) {
+            this.stats.oversizeDrops++;
             ws.send(JSON.stringify({
                 type: 'error',
                 message: `Broadcast payload too large (${outMsg.length} bytes, max ${this._maxPayload})`
@@ -250,6 +358,204 @@ export class WsRelay {
         for (const sub of subs) {
             if (sub !== ws && sub.readyState === 1 /* WebSocket.OPEN */) {
                 sub.send(outMsg);
+                this.stats.messagesRelayed++;
+                this.stats.bytesRelayed += outMsg.length;
+            }
+        }
+    }
+
+    /**
+     * Admit a pending session subscriber with a token the GameServer just
+     * issued (same checks as a client subscribe carrying the token).
+     *
+     * @param {import('ws').WebSocket} ws
+     * @param {string} channelName
+     * @param {string} token
+     * @returns {boolean} true if the socket is now subscribed
+     */
+    admit(ws, channelName, token) {
+        const client = this.clients.get(ws);
+        if (!client || !client.pendingChannels?.has(channelName)) return false;
+        this._subscribe(ws, client, channelName, token);
+        return client.channels.has(channelName);
+    }
+
+    /**
+     * Check a broadcast's join token. Pending subscribers may only send the
+     * join handshake; admitted ones need a valid token on every broadcast.
+     * @returns {boolean} true if the broadcast may go on
+     * @private
+     */
+    _checkBroadcastToken(ws, client, channelName, payload, token) {
+        if (!this._requiresToken(channelName)) return true;
+
+        if (!client.channels.has(channelName)) {
+            if (client.pendingChannels.has(channelName) && HANDSHAKE_TYPES.has(payload?.type)) return true;
+            this._rejectToken(ws, channelName);
+            return false;
+        }
+
+        const claims = this._verifyToken(client, channelName, token);
+        if (!claims) {
+            this._rejectToken(ws, channelName);
+            return false;
+        }
+        client.tokens.set(channelName, claims);
+        return true;
+    }
+
+    /**
+     * Token claims if it is signed by us, was issued to this socket and
+     * names the channel's room.
+     * @returns {import('./JoinToken.js').JoinTokenClaims|null}
+     * @private
+     */
+    _verifyToken(client, channelName, token) {
+        const claims = verifyJoinToken(this._joinTokenSecret, token);
+        if (!claims || claims.clientId !== client.id || claims.roomId !== sessionRoomId(channelName)) return null;
+        return claims;
+    }
+
+    /** @private */
+    _requiresToken(channelName) {
+        return this._joinTokenSecret !== null && sessionRoomId(channelName) !== null;
+    }
+
+    /** @private */
+    _rejectToken(ws, channelName) {
+        this.stats.joinTokenDrops++;
+        ws.send(JSON.stringify({
+            type: 'error',
+            message: `Join token required for channel: ${channelName}`
+        }));
+    }
+
+    /**
+     * Close a client for good (no resume), e.g. an admin kick.
+     *
+     * @param {import('ws').WebSocket} ws
+     * @param {number} [code]
+     * @param {string} [reason]
+     */
+    closeClient(ws, code, reason) {
+        const client = this.clients.get(ws);
+        if (client) client.resumeToken = null;
+        ws.close(code, reason);
+    }
+
+    /**
+     * A socket closed: park its client for the resume grace window, or clean
+     * up at once (resume off, normal close, server close codes 4000+).
+     * @private
+     */
+    _handleClose(ws, code) {
+        const client = this.clients.get(ws);
+        if (!client) return;
+        if (this._resumeGraceMs > 0 && client.resumeToken && code !== NORMAL_CLOSURE && !(code >= 4000)) {
+            this._parkClient(ws);
+        } else {
+            this._handleDisconnect(ws);
+        }
+    }
+
+    /**
+     * Park a dropped client: its record moves to a stand-in socket that
+     * buffers every frame sent to it, so the relay and the GameServer keep
+     * treating the client as connected until it resumes or the grace window
+     * ends. Frames beyond the backlog limit drop the whole buffer.
+     *
+     * @param {import('ws').WebSocket} ws - The closed socket
+     * @returns {Object} The stand-in socket
+     * @private
+     */
+    _parkClient(ws) {
+        const client = this.clients.get(ws);
+        const token = client.resumeToken;
+        const parked = {
+            readyState: 1,
+            backlog: [],
+            backlogOverflow: false,
+            send: (frame) => {
+                if (parked.backlogOverflow) return;
+                if (parked.backlog.length >= this._resumeBacklog) {
+                    parked.backlog = [];
+                    parked.backlogOverflow = true;
+                    return;
+                }
+                parked.backlog.push(frame);
+            },
+            close: () => this._expireParked(token),
+            timer: setTimeout(() => this._expireParked(token), this._resumeGraceMs)
+        };
+        this._swapSocket(ws, parked);
+        this._parked.set(token, parked);
+        console.log(`[WsRelay] Client ${client.id} dropped, resumable for ${this._resumeGraceMs}ms`);
+        return parked;
+    }
+
+    /**
+     * Resume a parked client on a new socket (its first frame). The new
+     * socket takes the parked record over (client id, subscriptions, join
+     * tokens) plus its own fresh resume token, then gets the buffered frames.
+     *
+     * @returns {Object|null} The stand-in socket it replaced (null = not resumed)
+     * @private
+     */
+    _resumeClient(ws, client, token) {
+        const parked = typeof token === 'string' ? this._parked.get(token) : undefined;
+        if (!parked || client.channels.size > 0 || client.pendingChannels.size > 0) {
+            ws.send(JSON.stringify({ type: 'resume_failed', message: 'Unknown or expired resume token' }));
+            return null;
+        }
+
+        clearTimeout(parked.timer);
+        this._parked.delete(token);
+        const resumed = this.clients.get(parked);
+        resumed.resumeToken = client.resumeToken;
+        resumed.msgTimestamps = client.msgTimestamps;
+        this.clients.delete(ws);
+        this._swapSocket(parked, ws);
+        this.stats.resumes++;
+
+        ws.send(JSON.stringify({
+            type: 'resumed',
+            clientId: resumed.id,
+            resumeToken: resumed.resumeToken,
+            missed: parked.backlog.length,
+            complete: !parked.backlogOverflow
+        }));
+        for (const frame of parked.backlog) {
+            ws.send(frame);
+        }
+        console.log(`[WsRelay] Client ${resumed.id} resumed (${parked.backlog.length} buffered frames)`);
+        return parked;
+    }
+
+    /**
+     * Grace window over (or stand-in closed): remove the parked client.
+     * @private
+     */
+    _expireParked(token) {
+        const parked = this._parked.get(token);
+        if (!parked) return;
+        clearTimeout(parked.timer);
+        this._parked.delete(token);
+        this._handleDisconnect(parked);
+    }
+
+    /**
+     * Move a client record (and its channel subscriptions) to another socket.
+     * @private
+     */
+    _swapSocket(fromWs, toWs) {
+        const client = this.clients.get(fromWs);
+        this.clients.delete(fromWs);
+        this.clients.set(toWs, client);
+        for (const channelName of client.channels) {
+            const subs = this.channels.get(channelName);
+            if (subs) {
+                subs.delete(fromWs);
+                subs.add(toWs);
             }
         }
     }
@@ -277,9 +583,9 @@ export class WsRelay {
     }
 
     /**
-     * Get the number of currently connected clients.
+     * Get the number of currently connected clients (parked ones excluded).
      */
     get clientCount() {
-        return this.clients.size;
+        return this.clients.size - this._parked.size;
     }
 }
@@ -11,6 +11,34 @@
  *   node server/index.js                          # Phase 1 on :8081
  *   set PHASE2A=1 && node server/index.js         # Phase 2A on :8081
  *   set PORT=9000 && node server/index.js         # Custom port
+ *
+ * Resumable connections (relay, both phases):
+ *   RESUME_GRACE_MS=15000            # dropped clients can resume their session this long (0 = off)
+ *
+ * Phase 2A join tokens: session channels need a server-issued token per socket
+ * (signed with a random per-process secret shared by relay and GameServer).
+ *
+ * Phase 2A save/resume (rolling deploys):
+ *   CHECKPOINT_DIR=./checkpoints     # checkpoint running rooms here, resume them on boot
+ *   CHECKPOINT_INTERVAL_MS=30000     # checkpoint interval (default 30 s)
+ *
+ * Phase 2A replays:
+ *   REPLAY_DIR=./replays             # record every match; re-run with server/resim.js
+ *
+ * Phase 2A lobby (LOBBY_CREATE / LOBBY_LIST / LOBBY_JOIN on the lobby channel):
+ *   MAX_ROOMS=100                    # room limit for LOBBY_CREATE
+ *   EMPTY_ROOM_TIMEOUT_MS=60000      # remove rooms left without clients this long
+ *
+ * Phase 2A spectators (SPECTATE_REQ on asterobia:spectate:<roomId>, full visibility, delayed):
+ *   SPECTATOR_DELAY_MS=10000         # how far behind the live game spectators see it
+ *   MAX_SPECTATORS=32                # spectators per room (0 = off)
+ *
+ * Phase 2A AI opponent (server/AIController.js, for solo testing):
+ *   AI_OPPONENT=normal               # add an easy | normal | hard AI player to every room
+ *   AI_SEED=1                        # its SeededRNG seed
+ *
+ * Admin API + Prometheus /metrics (server/AdminHttp.js):
+ *   ADMIN_TOKEN=<secret>             # enables /admin/* and /metrics (Authorization: Bearer <secret>)
  */
 
 import http from 'node:http';
@@ -19,12 +47,25 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { WsRelay } from './WsRelay.js';
 import { GameServer } from './GameServer.js';
+import { createAdminHandler } from './AdminHttp.js';
+import { createJoinTokenSecret } from './JoinToken.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
 
 const PORT = parseInt(process.env.PORT || '8081', 10);
 const PHASE2A = process.env.PHASE2A === '1';
+const CHECKPOINT_DIR = process.env.CHECKPOINT_DIR || null;
+const CHECKPOINT_INTERVAL_MS = parseInt(process.env.CHECKPOINT_INTERVAL_MS || '30000', 10);
+const REPLAY_DIR = process.env.REPLAY_DIR || null;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS || '100', 10);
+const EMPTY_ROOM_TIMEOUT_MS = parseInt(process.env.EMPTY_ROOM_TIMEOUT_MS || '60000', 10);
+const RESUME_GRACE_MS = parseInt(process.env.RESUME_GRACE_MS || '15000', 10);
+const AI_OPPONENT = process.env.AI_OPPONENT || null;
+const AI_SEED = parseInt(process.env.AI_SEED || '1', 10);
+const SPECTATOR_DELAY_MS = parseInt(process.env.SPECTATOR_DELAY_MS || '10000', 10);
+const MAX_SPECTATORS = parseInt(process.env.MAX_SPECTATORS || '32', 10);
 
 // ── Minimal static file server ─────────────────────────────────
 const MIME = {
@@ -76,7 +117,12 @@ function serveStatic(req, res) {
 }
 
 // ── HTTP server + WS relay on one port ─────────────────────────
-const httpServer = http.createServer(serveStatic);
+// Admin routes are mounted below once the relay / GameServer exist
+let adminHandler = null;
+const httpServer = http.createServer((req, res) => {
+    if (adminHandler && adminHandler(req, res)) return;
+    serveStatic(req, res);
+});
 
 // Register error handler BEFORE listen() and startOnServer() —
 // EADDRINUSE fires synchronously on listen(); ws re-emits it on its
@@ -93,7 +139,9 @@ httpServer.on('error', (err) => {
     throw err;
 });
 
-const relay = new WsRelay();
+// Phase 2A: the GameServer issues join tokens, the relay checks them
+const joinTokenSecret = PHASE2A ? createJoinTokenSecret() : null;
+const relay = new WsRelay({ joinTokenSecret, resumeGraceMs: RESUME_GRACE_MS });
 relay.startOnServer(httpServer);
 
 httpServer.listen(PORT, () => {
@@ -104,16 +152,50 @@ httpServer.listen(PORT, () => {
 });
 
 // ── Phase 2A: wire authoritative GameServer ────────────────────
+let gameServer = null;
 if (PHASE2A) {
-    const gameServer = new GameServer({ tickRate: 20 });
+    gameServer = new GameServer({
+        tickRate: 20,
+        checkpointDir: CHECKPOINT_DIR,
+        checkpointIntervalMs: CHECKPOINT_INTERVAL_MS,
+        replayDir: REPLAY_DIR,
+        maxRooms: MAX_ROOMS,
+        emptyRoomTimeoutMs: EMPTY_ROOM_TIMEOUT_MS,
+        spectatorDelayMs: SPECTATOR_DELAY_MS,
+        maxSpectators: MAX_SPECTATORS,
+        aiOpponent: AI_OPPONENT ? { difficulty: AI_OPPONENT, seed: AI_SEED } : null,
+        joinTokenSecret
+    });
     gameServer.wireToRelay(relay);
     gameServer.start();
+    if (CHECKPOINT_DIR) {
+        gameServer.restoreRooms().then((ids) => {
+            console.log(`[Asterobia Server] Restored ${ids.length} room(s) from ${CHECKPOINT_DIR}`);
+        }, (err) => {
+            console.error(`[Asterobia Server] Room restore failed: ${err.message}`);
+        });
+    }
+}
+
+// ── Admin API + /metrics (only with ADMIN_TOKEN) ───────────────
+if (ADMIN_TOKEN) {
+    adminHandler = createAdminHandler({ token: ADMIN_TOKEN, relay, gameServer });
+    console.log('[Asterobia Server] Admin API enabled (/admin/rooms, /metrics)');
 }
 
 // ── Graceful shutdown ──────────────────────────────────────────
 function shutdown(signal) {
     console.log(`\n[Asterobia Server] Shutting down (${signal})...`);
-    relay.stop().then(() => {
+    // Final checkpoint so a restart resumes from the latest tick; flush replays
+    const checkpoint = gameServer ? Promise.all([
+        gameServer.checkpointRooms().catch((err) => {
+            console.error(`[Asterobia Server] Final checkpoint failed: ${err.message}`);
+        }),
+        gameServer.saveReplays().catch((err) => {
+            console.error(`[Asterobia Server] Writing replays failed: ${err.message}`);
+        })
+    ]) : Promise.resolve();
+    checkpoint.then(() => relay.stop()).then(() => {
         httpServer.close(() => process.exit(0));
     });
 }
@@ -0,0 +1,107 @@
+/**
+ * Asterobia Load Test CLI
+ *
+ * Runs relay + GameServer in this process, connects headless bot clients
+ * (server/BotClient.js) across several rooms and prints tick time
+ * percentiles, snapshot sizes, relay fan-out cost and dropped messages.
+ *
+ * Usage:
+ *   node server/loadtest.js                                  # 4 bots, 1 room, 10 s
+ *   node server/loadtest.js --bots 40 --rooms 8 --duration 30
+ *   node server/loadtest.js --bots 20 --rooms 4 --pattern path --units 10 --binary
+ *
+ * Options:
+ *   --bots N        bot clients in total (the first bot of each room hosts it)
+ *   --rooms M       rooms (at most 11 bots per room)
+ *   --duration S    measurement window in seconds, after every bot joined
+ *   --input-rate HZ input messages per bot per second (default 10)
+ *   --pattern P     keys | path | mixed (default mixed)
+ *   --units U       units per host SPAWN_MANIFEST (default 1)
+ *   --binary        bots negotiate binary delta snapshots
+ *   --seed S        bot input seed (default 1)
+ *   --json          print the report as JSON
+ *   --verbose       keep the server's log output
+ *
+ * Exit code: 0 = report printed, 2 = bad usage / a bot could not join.
+ */
+
+import { runLoadTest } from './LoadHarness.js';
+
+const PATTERNS = ['keys', 'path', 'mixed'];
+
+function usage(message) {
+    if (message) console.error(`[loadtest] ${message}`);
+    console.error('Usage: node server/loadtest.js [--bots N] [--rooms M] [--duration S] [--input-rate HZ] ' +
+        '[--pattern keys|path|mixed] [--units U] [--binary] [--seed S] [--json] [--verbose]');
+    process.exit(2);
+}
+
+const args = process.argv.slice(2);
+const options = {};
+let json = false;
+let verbose = false;
+
+const intArg = (i, name) => {
+    const value = parseInt(args[i], 10);
+    if (!Number.isFinite(value) || value < 0) usage(`${name} needs a non-negative number`);
+    return value;
+};
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--bots': options.bots = intArg(++i, '--bots'); break;
+        case '--rooms': options.rooms = intArg(++i, '--rooms'); break;
+        case '--duration': options.durationMs = intArg(++i, '--duration') * 1000; break;
+        case '--input-rate': options.inputRateHz = intArg(++i, '--input-rate'); break;
+        case '--units': options.unitsPerHost = intArg(++i, '--units'); break;
+        case '--seed': options.seed = intArg(++i, '--seed'); break;
+        case '--pattern':
+            options.pattern = args[++i];
+            if (!PATTERNS.includes(options.pattern)) usage(`--pattern must be one of ${PATTERNS.join(', ')}`);
+            break;
+        case '--binary': options.binarySnapshots = true; break;
+        case '--json': json = true; break;
+        case '--verbose': verbose = true; break;
+        default: usage(`Unexpected argument: ${args[i]}`);
+    }
+}
+
+// The server logs every join and room; keep the report readable
+const log = console.log;
+if (!verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+let report;
+try {
+    report = await runLoadTest(options);
+} catch (err) {
+    usage(err.message);
+}
+
+if (json) {
+    log(JSON.stringify(report, null, 2));
+    process.exit(0);
+}
+
+const { config, join, ticks, snapshots, fanOut, drops } = report;
+const ms = value => value.toFixed(2);
+const kb = value => (value / 1024).toFixed(1);
+
+log(`[loadtest] ${config.bots} bots in ${config.rooms} room(s), ${config.durationMs / 1000} s, ` +
+    `${config.inputRateHz} Hz ${config.pattern} input, ${config.unitsPerHost} unit(s) per host, ` +
+    `${config.binarySnapshots ? 'binary' : 'JSON'} snapshots`);
+log(`[loadtest] Join:      p50 ${join.p50Ms} ms, max ${join.maxMs} ms`);
+log(`[loadtest] Ticks:     ${ticks.count} ticks, mean ${ms(ticks.meanMs)} ms, p50 ${ms(ticks.p50Ms)} ms, ` +
+    `p95 ${ms(ticks.p95Ms)} ms, p99 ${ms(ticks.p99Ms)} ms, max ${ms(ticks.maxMs)} ms, ` +
+    `${ticks.overBudget} over the ${ms(1000 / config.tickRate)} ms budget`);
+log(`[loadtest] Snapshots: ${snapshots.sent} sent (${kb(snapshots.bytesPerSec)} KB/s), size p50 ${snapshots.p50Bytes} B, ` +
+    `p95 ${snapshots.p95Bytes} B, max ${snapshots.maxBytes} B, send p50 ${ms(snapshots.sendP50Us)} us, ` +
+    `p95 ${ms(snapshots.sendP95Us)} us; bots received ${snapshots.received}, missed ${snapshots.missed}`);
+log(`[loadtest] Fan-out:   ${fanOut.clientFrames} client frames -> ${fanOut.relayed} relayed ` +
+    `(${fanOut.perFrame.toFixed(1)}x, ${kb(fanOut.bytesRelayed)} KB), broadcast p50 ${ms(fanOut.p50Us)} us, ` +
+    `p95 ${ms(fanOut.p95Us)} us, max ${ms(fanOut.maxUs)} us`);
+log(`[loadtest] Drops:     rate limit ${drops.rateLimit}, oversize ${drops.oversize}, join token ${drops.joinToken}, ` +
+    `send errors ${drops.botErrors}, bad snapshots ${drops.badSnapshots}`);
+process.exit(0);
@@ -0,0 +1,65 @@
+/**
+ * Asterobia Re-simulation CLI
+ *
+ * Re-runs a recorded match (REPLAY_DIR replay file) through Room with no
+ * sockets and checks the recorded state hashes. Prints the first tick where
+ * the re-simulation diverges.
+ *
+ * Usage:
+ *   node server/resim.js <replay.json[.gz]>                  # until the first divergence
+ *   node server/resim.js <replay> --until 1200               # stop after tick 1200
+ *   node server/resim.js <replay> --all                      # keep going past a divergence
+ *
+ * Exit code: 0 = all hashes match, 1 = diverged, 2 = bad usage / unreadable replay.
+ */
+
+import { readReplay } from './Replay.js';
+import { resimulate } from './ReplayRunner.js';
+
+function usage(message) {
+    if (message) console.error(`[resim] ${message}`);
+    console.error('Usage: node server/resim.js <replay.json[.gz]> [--until <tick>] [--all]');
+    process.exit(2);
+}
+
+const args = process.argv.slice(2);
+let file = null;
+let untilTick;
+let stopAtDivergence = true;
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--until') {
+        untilTick = parseInt(args[++i], 10);
+        if (!Number.isFinite(untilTick)) usage('--until needs a tick number');
+    } else if (args[i] === '--all') {
+        stopAtDivergence = false;
+    } else if (!file) {
+        file = args[i];
+    } else {
+        usage(`Unexpected argument: ${args[i]}`);
+    }
+}
+if (!file) usage();
+
+let replay;
+try {
+    replay = await readReplay(file);
+} catch (err) {
+    usage(`Cannot read ${file}: ${err.message}`);
+}
+
+console.log(`[resim] Room ${replay.roomId}: ticks ${replay.startTick + 1}..${replay.startTick + replay.times.length}, ` +
+    `${replay.entries.length} entries, hash every ${replay.hashInterval} ticks`);
+
+const startedMs = Date.now();
+const result = await resimulate(replay, { untilTick, stopAtDivergence });
+const seconds = ((Date.now() - startedMs) / 1000).toFixed(1);
+
+if (result.divergence) {
+    const { tick, expected, actual } = result.divergence;
+    console.log(`[resim] DIVERGED at tick ${tick}: expected ${expected}, got ${actual}`);
+    const since = Math.max(tick - replay.hashInterval + 1, replay.startTick + 1);
+    console.log(`[resim] State still matched before tick ${since}; the cause lies in ticks ${since}..${tick}`);
+    process.exit(1);
+}
+
+console.log(`[resim] OK: ${result.ticks} ticks re-simulated in ${seconds} s, ${result.checked} hashes match`);
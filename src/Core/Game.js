@@ -6,6 +6,7 @@ import { Unit } from '../Entities/Unit.js';
 import { DebugPanel } from '../UI/DebugPanel.js';
 import { Input } from './Input.js';
 import { FogOfWar } from '../World/FogOfWar.js';
+import { SubsurfaceScanOverlay } from '../World/SubsurfaceScanOverlay.js';
 import { TextureDebugger } from '../UI/TextureDebugger.js';
 
 import { CameraDebug } from '../UI/CameraDebug.js';
@@ -27,6 +28,7 @@ import { SaveManager, MemoryStorageAdapter, LocalStorageAdapter, SupabaseStorage
 import { serializeState, hashState } from '../SimCore/runtime/StateSurface.js';
 import { SessionManager } from '../SimCore/multiplayer/SessionManager.js';
 import { SnapshotBuffer } from '../SimCore/net/SnapshotBuffer.js';
+import { MovePredictor } from '../SimCore/net/MovePredictor.js';
 
 import { WaypointDebugOverlay } from '../UI/WaypointDebugOverlay.js';
 import { globalCommandDebugOverlay } from '../UI/CommandDebugOverlay.js';
@@ -141,6 +143,18 @@ export class Game {
             this._transport = initializeTransport(wsTransport);
             this._wsTransport = wsTransport; // Store ref for status polling
 
+            // Phase 2A lobby: rooms + join codes come from the GameServer.
+            // ?lobby=0 keeps client-picked codes (Phase 1 relay without a GameServer).
+            // Room settings: ?maxPlayers=, ?seed= (terrain), ?physics=0, ?private=1
+            if (urlParams.get('lobby') !== '0') {
+                this._lobbySettings = {
+                    maxPlayers: urlParams.has('maxPlayers') ? parseInt(urlParams.get('maxPlayers'), 10) : undefined,
+                    terrainSeed: urlParams.has('seed') ? parseInt(urlParams.get('seed'), 10) : undefined,
+                    physics: urlParams.get('physics') !== '0',
+                    public: urlParams.get('private') !== '1'
+                };
+            }
+
             this._updateNetStatus('WS', { config: 'DIRECT', auth: 'N/A', rt: 'CONNECTING...' });
         } else {
             // Default: Local Transport
@@ -190,6 +204,31 @@ export class Game {
                 if (snapshot.units && Array.isArray(snapshot.units)) {
                     this._restoreUnitsFromSave(snapshot.units);
                 }
+
+                // Restore Terrain Shaping edits
+                if (snapshot.terrain) {
+                    this._restoreTerrainFromSave(snapshot.terrain);
+                }
+            },
+
+            /**
+             * Capture full determinism-critical state (SimLoop, RNG, entity IDs).
+             * Sent by the host in RESYNC_ACK.
+             * @returns {Object} SaveManager state ({ game, simLoop, rng, entityIdCounter })
+             */
+            serializeFull: () => {
+                return new SaveManager(this._createSaveGameAdapter()).captureState();
+            },
+
+            /**
+             * Rehydrate from a host RESYNC_ACK through the save/load path.
+             * The host's selection is not applied (selection stays local).
+             * @param {Object} state - State from serializeFull()
+             */
+            applyFull: (state) => {
+                if (!state || !state.game) return;
+                const game = { ...state.game, selectedUnitId: null };
+                new SaveManager(this._createSaveGameAdapter()).applyState({ ...state, game });
             }
         };
 
@@ -210,16 +249,27 @@ export class Game {
         this.multiplayerHUD = null;
         if (netMode === 'supabase' || netMode === 'ws') {
             this.multiplayerHUD = new MultiplayerHUD(this);
-            this.joinOverlay = new JoinOverlay();
+            const lobby = !!this._lobbySettings;
+            this.joinOverlay = new JoinOverlay({ lobby });
             this.joinOverlay.onHost = async (roomCode, username) => {
                 if (!this.sessionManager.transport) {
                     this.joinOverlay.showError('No network transport available. Check Supabase config.');
                     return;
                 }
                 this.playerName = username || 'Host';
-                this.clientId = 'room-' + roomCode;
                 try {
-                    await this.sessionManager.hostGame('Room ' + roomCode);
+                    let roomName = 'Room ' + roomCode;
+                    if (lobby) {
+                        // Server picks the room id + join code; we host that room
+                        const room = await this.sessionManager.createRoom(this._lobbySettings);
+                        roomCode = room.joinCode;
+                        roomName = room.settings.name;
+                        this.clientId = room.roomId;
+                        this.joinOverlay.setRoomCode(roomCode);
+                    } else {
+                        this.clientId = 'room-' + roomCode;
+                    }
+                    await this.sessionManager.hostGame(roomName);
                     // Phase 2A: Send SPAWN_MANIFEST to server (idempotent, gated by _manifestSent)
                     this._sendSpawnManifest();
                     // Don't hide overlay - host stays on screen showing room code
@@ -240,9 +290,12 @@ export class Game {
                     return;
                 }
                 this.playerName = username || 'Guest';
-                const hostId = 'room-' + roomCode;
                 try {
-                    await this.sessionManager.joinGame(hostId);
+                    if (lobby) {
+                        await this.sessionManager.joinByCode(roomCode);
+                    } else {
+                        await this.sessionManager.joinGame('room-' + roomCode);
+                    }
                     this.joinOverlay.hide();
                     // Show multiplayer HUD now that game is active
                     this._showMultiplayerHUD();
@@ -271,12 +324,40 @@ export class Game {
                     this.joinOverlay.showError('Failed to join: ' + err.message);
                 }
             };
+            this.joinOverlay.onSpectate = async (roomCode, username) => {
+                if (!this.sessionManager.transport) {
+                    this.joinOverlay.showError('No network transport available. Check Supabase config.');
+                    return;
+                }
+                this.playerName = username || 'Spectator';
+                try {
+                    // Lobby and relay rooms share the room-<code> id scheme
+                    await this.spectateRoom('room-' + roomCode);
+                    this.joinOverlay.hide();
+                    this._showMultiplayerHUD();
+                    window.showModeSelection?.();
+                } catch (err) {
+                    this.joinOverlay.showError('Failed to spectate: ' + err.message);
+                }
+            };
+            this.joinOverlay.onListRooms = async () => {
+                try {
+                    this.joinOverlay.setRoomList(await this.sessionManager.listRooms());
+                } catch (err) {
+                    this.joinOverlay.showError('Room list unavailable: ' + err.message);
+                }
+            };
             this.joinOverlay.onSinglePlayer = () => {
                 // Single player - no network, no HUD, just play
                 this.generateUnitTabs();
                 window.showModeSelection?.();
             };
             this.joinOverlay.show();
+
+            // ?spectate=<code>: watch that room right away (stream / tournament cast pages)
+            if (urlParams.has('spectate')) {
+                this.joinOverlay.onSpectate(urlParams.get('spectate').trim().toUpperCase(), 'Spectator');
+            }
         }
 
         // M07 GAP-0: Seat keypad overlay for PIN-protected units
@@ -336,6 +417,11 @@ export class Game {
                 }
             }
 
+            // Left spectating: release the follow camera
+            if (this._spectateTarget && !this.sessionManager.isSpectator()) {
+                this.followUnit(null);
+            }
+
             this.generateUnitTabs();
             // Update multiplayer HUD with latest state
             if (this.multiplayerHUD) {
@@ -348,6 +434,19 @@ export class Game {
             }
         };
 
+        // M12: Server clock offset from PING/PONG drives the snapshot render clock
+        this.sessionManager.onClockSync = (offsetMs, rttMs) => {
+            this._snapshotBuffer?.setClockSync(offsetMs, rttMs);
+        };
+
+        // Phase 2A join tokens: a SPAWN_MANIFEST sent before the host's token
+        // arrived was dropped by the relay, send it again
+        this.sessionManager.onJoinToken = () => {
+            if (!this.sessionManager.isHost()) return;
+            this._manifestSent = false;
+            this._sendSpawnManifest();
+        };
+
         /**
          * R013 M07: Command execution gate for Slice 1 transport testing.
          * Dynamic based on role:
@@ -369,9 +468,20 @@ export class Game {
         this._latchedKeys = { forward: false, backward: false, left: false, right: false };
         this._lastMoveInputSendMs = 0;
         this._MOVE_INPUT_INTERVAL_MS = 50; // 20Hz send rate
+        this._lastMoveInputHadKeys = false; // Send one all-released MOVE_INPUT so the unit stops
+        this._movePredictor = new MovePredictor(); // Client prediction of the seated unit (MOVE_INPUT seq + reconcile)
+        this._predictionTerrain = null; // Plain {x,y,z} adapter over planet.terrain for MovePredictor
+        this._lastPredictedInputMs = 0; // Render lerp through the latest predicted step
         this._manifestSent = false; // Phase 2A: SPAWN_MANIFEST sent exactly once
         this._lastMirrorDiagMs = 0; // Dev-mode: last mirror diagnostics log timestamp
+
+        // Spectator mode: the camera follows a unit picked in the tabs (never seated)
+        this._spectateTarget = null;
+        this._spectatorKeysBound = false;
         this._mirrorLerpEnabled = true; // Dev tuner: lerp ON/OFF (false = snap to latest)
+        this._visFadeTargets = new Map(); // Interest management: unitId -> fade target (1 = entering view, 0 = leaving)
+        this._VIS_FADE_MS = 300; // Fade duration for enemies entering / leaving view
+        this._lastVisFadeMs = 0;
         this._positionSyncLerpSpeed = 0.12; // Phase 1 smooth: base lerp factor (frame-rate independent)
         this._lastRenderTimeMs = 0; // For frame-rate independent lerp
         this._mirrorTunerOverlay = new MirrorTunerOverlay(this); // Always visible
@@ -523,6 +633,9 @@ export class Game {
         // Fog of War (shader-based, spherical)
         this.fogOfWar = new FogOfWar(this.renderer, this.planet.terrain.params.radius);
 
+        // Subsurface Scan discovery (per-player, fed by server SCAN_REVEAL)
+        this.scanOverlay = new SubsurfaceScanOverlay(this.scene);
+
         // Rocks on terrain (System V2)
         this.rockSystem = new RockSystem(this, this.planet); // Rocks are procedural, no external assets effectively
         this.rockSystem.generateRocks(); // Initial generation 
@@ -783,6 +896,15 @@ export class Game {
         }
     }
 
+    /**
+     * Authoritative terrain (Terrain Shaping edits live in terrain.deltaLayer).
+     * Exposed for StateSurface so saves/snapshots carry terrain edits.
+     * @returns {import('../World/Terrain.js').Terrain|null}
+     */
+    get terrain() {
+        return this.planet?.terrain ?? null;
+    }
+
     /**
      * R013 M07: Dynamic command execution gate.
      * - OFFLINE/HOST: always true (they run the simulation)
@@ -992,10 +1114,31 @@ export class Game {
         }
     }
 
+    /**
+     * PERCEPTION_SUBSURFACE_SCAN: Apply SCAN_REVEAL (this player's discovery only).
+     * @param {Object} msg - SCAN_REVEAL message { tick, deposits, stamps, full? }
+     */
+    applyScanReveal(msg) {
+        if (this.scanOverlay) {
+            this.scanOverlay.applyReveal(msg);
+        }
+    }
+
+    /**
+     * Terrain Shaping: replace local edits with the server's full layer
+     * (TERRAIN_STATE after a reclaim / lossy resume, SPECTATE_ACK).
+     * @param {Object} data - TerrainDeltaLayer.serialize() output
+     */
+    applyTerrainState(data) {
+        this._restoreTerrainFromSave(data);
+    }
+
     /**
      * Phase 2A: Apply SERVER_SNAPSHOT from authoritative server.
      * Pushes to SnapshotBuffer and activates mirror mode on first snapshot.
+     * Also accepts decoded binary delta snapshots (baseTick set).
      * @param {Object} msg - SERVER_SNAPSHOT message { type, version, tick, serverTimeMs, units }
+     * @returns {boolean} Whether the SnapshotBuffer accepted it
      */
     applyServerSnapshot(msg) {
         // Activate mirror mode on first SERVER_SNAPSHOT
@@ -1006,7 +1149,22 @@ export class Game {
             this._showScreenNotice('MIRROR MODE ACTIVE — Server Authority', '#00ff88');
         }
 
-        this._snapshotBuffer.push(msg);
+        const accepted = this._snapshotBuffer.push(msg);
+
+        // Client prediction: rewind to the server state and replay unacked inputs
+        if (accepted) {
+            this._reconcilePrediction();
+        }
+
+        // Interest management: fade enemies entering / leaving this slot's view
+        if (msg.visEnter || msg.visLeave) {
+            this._applyVisibilityEvents(msg);
+        }
+
+        // Terrain Shaping: replay server stamps on arrival (edits are not interpolated)
+        if (msg.terrainStamps) {
+            this._applyTerrainStamps(msg.terrainStamps);
+        }
 
         // Debug-only: periodic snapshot buffer stats (every 5 seconds)
         if (this._isDevMode) {
@@ -1022,6 +1180,156 @@ export class Game {
                 );
             }
         }
+
+        return accepted;
+    }
+
+    /**
+     * Client prediction: start (or continue) predicting the selected unit and
+     * apply one input to it. Only own, predictable (grounded) units are predicted.
+     * @param {Object} keys - { forward, backward, left, right }
+     * @returns {number|null} MOVE_INPUT seq, or null when not predicting
+     */
+    _predictMoveInput(keys) {
+        const predictor = this._movePredictor;
+        const unit = this.selectedUnit;
+        const mySlot = this.sessionManager?.state?.mySlot;
+        if (!unit || unit.ownerSlot !== mySlot) {
+            predictor.reset();
+            return null;
+        }
+
+        if (predictor.unitId !== unit.id) {
+            const snapUnit = this._snapshotBuffer.latest?.units.find(u => u.id === unit.id);
+            if (!MovePredictor.canPredict(snapUnit)) return null;
+            predictor.terrain = this._getPredictionTerrain();
+            predictor.rocks = this.rockSystem?.field ?? [];
+            predictor.attach(unit.id, snapUnit);
+        }
+
+        this._lastPredictedInputMs = performance.now();
+        return predictor.recordInput(keys);
+    }
+
+    /**
+     * Client prediction: reconcile against the newest SERVER_SNAPSHOT.
+     * Stops predicting when the unit is deselected, gone, or no longer
+     * predictable (airborne, carried, disabled).
+     */
+    _reconcilePrediction() {
+        const predictor = this._movePredictor;
+        if (!predictor.active) return;
+
+        const latest = this._snapshotBuffer.latest;
+        const snapUnit = latest?.units.find(u => u.id === predictor.unitId);
+        if (this.selectedUnit?.id !== predictor.unitId || !MovePredictor.canPredict(snapUnit)) {
+            predictor.reset();
+            return;
+        }
+
+        const mySlot = this.sessionManager?.state?.mySlot;
+        predictor.reconcile(snapUnit, latest.inputSeqs?.[mySlot]);
+    }
+
+    /**
+     * Terrain adapter for MovePredictor: SurfaceMovement works on plain
+     * {x,y,z}; Terrain.getNormalAt expects a THREE.Vector3.
+     * @returns {Object|null}
+     */
+    _getPredictionTerrain() {
+        const terrain = this.planet?.terrain;
+        if (!terrain) return null;
+        if (!this._predictionTerrain) {
+            const probe = new THREE.Vector3();
+            this._predictionTerrain = {
+                params: terrain.params, // radius + waterLevel (WaterRules)
+                getRadiusAt: (dir) => terrain.getRadiusAt(dir),
+                getNormalAt: (p) => {
+                    const n = terrain.getNormalAt(probe.set(p.x, p.y, p.z));
+                    return { x: n.x, y: n.y, z: n.z };
+                }
+            };
+        }
+        return this._predictionTerrain;
+    }
+
+    /**
+     * Interest management: record fade targets from SERVER_SNAPSHOT visEnter /
+     * visLeave. Units that leave view stay at their last known position and
+     * fade out; the fade itself runs per frame in _mirrorModeRender().
+     * @param {Object} msg - SERVER_SNAPSHOT with optional visEnter / visLeave
+     */
+    _applyVisibilityEvents(msg) {
+        for (const id of msg.visEnter || []) this._visFadeTargets.set(id, 1);
+        for (const id of msg.visLeave || []) this._visFadeTargets.set(id, 0);
+    }
+
+    /**
+     * Step one unit's visibility fade toward its target.
+     * New shells of entering units start fully transparent.
+     * @param {Unit} unit
+     * @param {number} step - Opacity change this frame
+     * @private
+     */
+    _updateVisibilityFade(unit, step) {
+        const target = this._visFadeTargets.get(unit.id);
+        if (target === undefined || !unit.mesh) return;
+
+        if (unit._visAlpha === undefined) unit._visAlpha = 1 - target;
+        unit._visAlpha = target > unit._visAlpha
+            ? Math.min(target, unit._visAlpha + step)
+            : Math.max(target, unit._visAlpha - step);
+
+        unit.mesh.visible = unit._visAlpha > 0;
+        unit.mesh.traverse(child => {
+            if (!child.isMesh || !child.material || Array.isArray(child.material)) return;
+            // Per-unit material copy so shared model materials don't fade together
+            if (!child.userData.visFadeMaterial) {
+                child.material = child.material.clone();
+                child.userData.visFadeMaterial = true;
+                child.userData.baseOpacity = child.material.opacity;
+                child.userData.baseTransparent = child.material.transparent;
+            }
+            child.material.transparent = unit._visAlpha < 1 || child.userData.baseTransparent;
+            child.material.opacity = child.userData.baseOpacity * unit._visAlpha;
+        });
+
+        if (unit._visAlpha === target) this._visFadeTargets.delete(unit.id);
+    }
+
+    /**
+     * Replay server Terrain Shaping stamps on the client terrain, then update
+     * the planet mesh and navmesh walkability in each edited region.
+     * Stamps are self-contained, so the replay matches the server's layer.
+     * @param {Object[]} stamps - SERVER_SNAPSHOT terrainStamps (in server order)
+     */
+    _applyTerrainStamps(stamps) {
+        const terrain = this.planet?.terrain;
+        if (!terrain) return;
+
+        for (const stamp of stamps) {
+            const result = terrain.deltaLayer.applyStamp(stamp, terrain);
+            if (result.changed === 0) continue;
+
+            const c = result.center;
+            const center = new THREE.Vector3(c.x, c.y, c.z);
+            this.planet.refreshRegion(center, result.radius);
+            if (this.navMesh) this.navMesh.refreshRegion(center, result.radius);
+        }
+    }
+
+    /**
+     * Restore Terrain Shaping edits from a save / full snapshot and rebuild
+     * the whole planet mesh + navmesh (edits may be anywhere).
+     * @param {Object} data - TerrainDeltaLayer.serialize() output
+     */
+    _restoreTerrainFromSave(data) {
+        const terrain = this.planet?.terrain;
+        if (!terrain || !data) return;
+
+        terrain.deltaLayer.restore(data);
+        this.planet.refreshRegion(null);
+        if (this.navMesh) this.navMesh.refreshRegion(null);
     }
 
     // R012: Update DB status in unified NetworkDebugPanel (called by save/load)
@@ -1484,6 +1792,12 @@ export class Game {
     // === Interaction Delegates (V3) ===
 
     selectUnit(unit, skipCamera = false) {
+        // Spectators never take a seat: picking a unit only follows it
+        if (this.sessionManager?.isSpectator?.()) {
+            this.followUnit(unit);
+            return;
+        }
+
         const isSameUnit = (this.selectedUnit === unit);
 
         // Only do visual selection changes if different unit
@@ -1780,10 +2094,13 @@ export class Game {
                 // Host: show units I own (not taken over by someone else)
                 if (unit.ownerSlot !== mySlot) return;
             }
-            // OFFLINE: show all (no filter)
+            // OFFLINE / SPECTATOR: show all (no filter)
             const tab = document.createElement('div');
             tab.className = 'unit-tab';
-            tab.textContent = `Unit ${index + 1}`;
+            // Spectators watch every player: label tabs with the owner
+            tab.textContent = role === 'SPECTATOR'
+                ? `Unit ${index + 1} · P${(unit.ownerSlot ?? 0) + 1}`
+                : `Unit ${index + 1}`;
             tab.dataset.unitIndex = index;
 
             tab.addEventListener('click', () => {
@@ -1964,6 +2281,12 @@ export class Game {
         const unit = this.units[unitIndex];
         if (!unit) return;
 
+        // Spectator: a tab click follows the unit, clicking the followed tab again stops
+        if (this.sessionManager?.isSpectator?.()) {
+            this.followUnit(this._spectateTarget === unit ? null : unit);
+            return;
+        }
+
         const now = Date.now();
         const doubleClickThreshold = 300; // ms
 
@@ -2035,10 +2358,11 @@ export class Game {
 
     updateTabActiveState() {
         const tabs = document.querySelectorAll('.unit-tab');
+        const activeUnit = this._spectateTarget ?? this.selectedUnit;
         let activeTab = null;
         tabs.forEach((tab) => {
             const unitIdx = parseInt(tab.dataset.unitIndex);
-            if (this.units[unitIdx] === this.selectedUnit) {
+            if (activeUnit && this.units[unitIdx] === activeUnit) {
                 tab.classList.add('active');
                 activeTab = tab;
             } else {
@@ -2052,6 +2376,77 @@ export class Game {
         }
     }
 
+    // === Spectator Camera ===
+
+    /**
+     * Watch a server room as a spectator: every unit, delayed server
+     * snapshots, no slot or seats. Tabs and [ / ] follow units.
+     * @param {string} roomId
+     * @returns {Promise<{roomId: string, delayMs: number}>}
+     */
+    async spectateRoom(roomId) {
+        this.deselectUnit();
+        const result = await this.sessionManager.spectateGame(roomId);
+        this._bindSpectatorKeys();
+        this._showScreenNotice(`SPECTATING — ${Math.round(result.delayMs / 1000)} s delay`, '#ffaa00');
+        this.generateUnitTabs();
+        return result;
+    }
+
+    /**
+     * Spectator camera: frame a unit (flyToUnitFullView) and keep it in view
+     * while it moves. Only the camera changes; the unit is not selected or seated.
+     * @param {Unit|null} unit - Unit to follow, null stops following
+     */
+    followUnit(unit) {
+        this._spectateTarget = unit || null;
+        if (this.cameraControls) {
+            this.cameraControls.chaseMode = 'drone';
+            this.cameraControls.chaseTarget = null;
+            this.cameraControls.keepInViewUnit = this._spectateTarget;
+        }
+        if (this._spectateTarget) {
+            this.flyToUnitFullView(this._spectateTarget);
+        }
+        this.updateTabActiveState();
+    }
+
+    /**
+     * Spectator camera: follow the next (step 1) or previous (step -1) unit in tab order.
+     * @param {number} step
+     */
+    followNextUnit(step) {
+        const units = this.units.filter(u => u);
+        if (units.length === 0) return;
+        const current = units.indexOf(this._spectateTarget);
+        const next = current < 0
+            ? (step > 0 ? 0 : units.length - 1)
+            : (current + step + units.length) % units.length;
+        this.followUnit(units[next]);
+    }
+
+    /**
+     * Spectator keys: ] / [ follow the next / previous unit, Escape stops following.
+     * @private
+     */
+    _bindSpectatorKeys() {
+        if (this._spectatorKeysBound) return;
+        this._spectatorKeysBound = true;
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.sessionManager?.isSpectator?.()) return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+            if (e.key === ']') {
+                this.followNextUnit(1);
+            } else if (e.key === '[') {
+                this.followNextUnit(-1);
+            } else if (e.key === 'Escape' && this._spectateTarget) {
+                this.followUnit(null);
+            }
+        });
+    }
+
     // DELETED: duplicate deselectUnit() was here. Canonical version is above (with SEAT_RELEASE).
 
     hideUnitMarkers(unit) {
@@ -4059,6 +4454,8 @@ export class Game {
                 // Store for debug evidence
                 this._lastStateHash = hash;
                 this._lastStateHashTick = tickCount;
+                // Guest: compare against host hashes (RESYNC_REQ on mismatch)
+                this.sessionManager?.recordStateHash?.(tickCount, hash);
             }
         }
 
@@ -4104,6 +4501,9 @@ export class Game {
             }
         }
 
+        // Spectators watch only: no MOVE_INPUT
+        if (this.sessionManager?.isSpectator?.()) return;
+
         // 2. Send MOVE_INPUT at ~20Hz with latching
         const now = performance.now();
         if (now - this._lastMoveInputSendMs >= this._MOVE_INPUT_INTERVAL_MS) {
@@ -4123,16 +4523,20 @@ export class Game {
             this._latchedKeys.left = false;
             this._latchedKeys.right = false;
 
-            // Only send if any key is pressed (save bandwidth)
-            if (keys.forward || keys.backward || keys.left || keys.right) {
+            // Only send while keys are pressed (save bandwidth), plus one
+            // all-released input so the server (and prediction) stop the unit
+            const hasKeys = keys.forward || keys.backward || keys.left || keys.right;
+            if (hasKeys || this._lastMoveInputHadKeys) {
+                const seq = this._predictMoveInput(keys);
                 if (this.sessionManager?.sendMoveInput) {
-                    this.sessionManager.sendMoveInput(keys, this.selectedUnit?.id);
+                    this.sessionManager.sendMoveInput(keys, this.selectedUnit?.id, seq);
                 }
                 // Phase 2B: WASD interrupt clears path preview (server handles path cancel)
-                if (this._pathPreviewWaypoints) {
+                if (hasKeys && this._pathPreviewWaypoints) {
                     this._clearPathPreview();
                 }
             }
+            this._lastMoveInputHadKeys = hasKeys;
         }
     }
 
@@ -4209,6 +4613,19 @@ export class Game {
 
         const alpha = pair.alpha;
 
+        const frameNow = performance.now();
+        const fadeDtMs = this._lastVisFadeMs > 0 ? Math.min(frameNow - this._lastVisFadeMs, 100) : 16.67;
+        this._lastVisFadeMs = frameNow;
+        const fadeStep = fadeDtMs / this._VIS_FADE_MS;
+
+        // Client prediction: the seated unit renders at its predicted pose
+        const predictor = this._movePredictor;
+        const predicted = predictor.active
+            ? predictor.getRenderState(
+                (frameNow - this._lastPredictedInputMs) / this._MOVE_INPUT_INTERVAL_MS,
+                fadeDtMs / 1000)
+            : null;
+
         const prevUnits = new Map();
         for (const u of pair.prev.units) prevUnits.set(u.id, u);
         const nextUnits = new Map();
@@ -4217,15 +4634,24 @@ export class Game {
         for (const unit of this.units) {
             if (!unit) continue;
 
+            // Units out of view are absent from snapshots: fade them where they were last seen
+            this._updateVisibilityFade(unit, fadeStep);
+
             const prevU = prevUnits.get(unit.id);
             const nextU = nextUnits.get(unit.id);
             if (!nextU) continue;
 
             const isTeleport = pair.teleports.has(unit.id);
+            const isPredicted = predicted !== null && unit.id === predictor.unitId;
 
             const doLerp = this._mirrorLerpEnabled && !isTeleport && prevU;
 
-            if (doLerp) {
+            if (isPredicted) {
+                const p = predicted.position;
+                if (unit.mesh) {
+                    unit.mesh.position.set(p.x, p.y, p.z);
+                }
+            } else if (doLerp) {
                 // Lerp position between prev and next using SnapshotBuffer alpha
                 const x = prevU.px + (nextU.px - prevU.px) * alpha;
                 const y = prevU.py + (nextU.py - prevU.py) * alpha;
@@ -4239,11 +4665,28 @@ export class Game {
                     unit.mesh.position.set(nextU.px, nextU.py, nextU.pz);
                 }
             }
-            unit.position.set(nextU.px, nextU.py, nextU.pz);
+            if (isPredicted) {
+                unit.position.set(predicted.position.x, predicted.position.y, predicted.position.z);
+            } else {
+                unit.position.set(nextU.px, nextU.py, nextU.pz);
+            }
+
+            // Matera Transport: server-owned cargo + slowdown
+            if (nextU.cargo !== undefined) {
+                unit.cargo = nextU.cargo;
+                unit.cargoSpeedFactor = nextU.cargoFactor ?? 1.0;
+            }
+
+            // Unit Carrier: server-owned carry link
+            unit.carriedBy = nextU.carriedBy ?? null;
+            unit.carryingUnitId = nextU.carrying ?? null;
 
             // Quaternion interpolation
             if (nextU.qw !== undefined && unit.mesh) {
-                if (doLerp && prevU.qw !== undefined) {
+                if (isPredicted) {
+                    const q = predicted.orientation;
+                    unit.mesh.quaternion.set(q.x, q.y, q.z, q.w);
+                } else if (doLerp && prevU.qw !== undefined) {
                     // Slerp between prev and next quaternions
                     unit.mesh.quaternion.set(prevU.qx, prevU.qy, prevU.qz, prevU.qw);
                     _mirrorSlerpTarget.set(nextU.qx, nextU.qy, nextU.qz, nextU.qw);
@@ -4278,27 +4721,12 @@ export class Game {
     }
 
     /**
-     * R011: Dev-only save/load with clickable HUD buttons.
-     * Primary: Click [Save] / [Load] buttons in HUD
-     * Keyboard: Ctrl+Shift+K = Save, Ctrl+Shift+J = Load
-     * Only active when ?dev=1 or #dev=1 is present.
+     * R011: Adapter exposing Game to SaveManager (maps to global RNG / ID functions).
+     * Shared by dev save/load and multiplayer resync.
+     * @returns {Object} SaveManager game adapter
      */
-    _setupDevSaveLoad() {
-        // R012: Guard - only run in dev mode (panel created by initNetworkDebugPanel)
-        if (!this._isDevMode || !this.networkDebugPanel) return;
-
-        // Use unified panel buttons (created by NetworkDebugPanel)
-        const btnSave = this.networkDebugPanel.btnSave;
-        const btnLoad = this.networkDebugPanel.btnLoad;
-        if (!btnSave || !btnLoad) return;
-
-        // Update status uses unified HUD method
-        const showStatus = (msg, isError = false) => {
-            this._updateDBStatus(msg, isError);
-        };
-
-        // Create adapter wrapper for SaveManager (maps to global functions)
-        const gameAdapter = {
+    _createSaveGameAdapter() {
+        return {
             simLoop: this.simLoop,
             get units() { return this._gameRef.units; },
             set units(v) { /* no-op: we update in-place */ },
@@ -4320,8 +4748,34 @@ export class Game {
                 peekEntityId: () => peekEntityId(),
                 setEntityIdCounter: (v) => setEntityIdCounter(v)
             },
-            restoreUnits: (unitDataArray) => this._restoreUnitsFromSave(unitDataArray)
+            get terrain() { return this._gameRef.terrain; },
+            restoreUnits: (unitDataArray) => this._restoreUnitsFromSave(unitDataArray),
+            restoreTerrain: (data) => this._restoreTerrainFromSave(data)
         };
+    }
+
+    /**
+     * R011: Dev-only save/load with clickable HUD buttons.
+     * Primary: Click [Save] / [Load] buttons in HUD
+     * Keyboard: Ctrl+Shift+K = Save, Ctrl+Shift+J = Load
+     * Only active when ?dev=1 or #dev=1 is present.
+     */
+    _setupDevSaveLoad() {
+        // R012: Guard - only run in dev mode (panel created by initNetworkDebugPanel)
+        if (!this._isDevMode || !this.networkDebugPanel) return;
+
+        // Use unified panel buttons (created by NetworkDebugPanel)
+        const btnSave = this.networkDebugPanel.btnSave;
+        const btnLoad = this.networkDebugPanel.btnLoad;
+        if (!btnSave || !btnLoad) return;
+
+        // Update status uses unified HUD method
+        const showStatus = (msg, isError = false) => {
+            this._updateDBStatus(msg, isError);
+        };
+
+        // Create adapter wrapper for SaveManager (maps to global functions)
+        const gameAdapter = this._createSaveGameAdapter();
 
         // R012: Choose storage adapter based on transport mode
         const useSupabase = !!this._supabaseClient;
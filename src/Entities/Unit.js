@@ -34,6 +34,10 @@ export class Unit {
         this.waterWadeTimer = 0; // Time spent wading in water
         this.waterEntryPosition = null; // Position where we entered water
 
+        // Matera Transport cargo (server-authoritative in multiplayer, see Game._mirrorModeRender)
+        this.cargo = 0;
+        this.cargoSpeedFactor = 1.0; // Cargo slowdown (StatsEngine.computeTransportSpeedFactor)
+
         this.mesh = this.createMesh();
         
         // EXPLICIT: Ensure glowRing is attached to mesh (fixes scene hierarchy bug)
@@ -1078,7 +1082,7 @@ export class Unit {
         this.speedFactor = THREE.MathUtils.lerp(this.speedFactor, targetFactor, dt * lerpSpeed);
 
         // Effective Speed
-        let moveSpeed = (this.speed || 10) * dt * this.speedFactor * this.waterSlowdownFactor;
+        let moveSpeed = (this.speed || 10) * dt * this.speedFactor * this.waterSlowdownFactor * this.cargoSpeedFactor;
 
         // If "effectively stopped", clamp to 0 to avoid micro-movements
         if (this.speedFactor < 0.001) {
@@ -2231,7 +2235,7 @@ export class Unit {
             // Use raw speed calculation during pushback so the unit actually moves!
             const isPushbackState = (this.waterState === 'pushing_out' || this.waterState === 'recovering');
             const effectiveMoveSpeed = isPushbackState
-                ? (this.speed || 10) * dt * this.speedFactor  // Raw speed without waterSlowdownFactor
+                ? (this.speed || 10) * dt * this.speedFactor * this.cargoSpeedFactor  // Raw speed without waterSlowdownFactor
                 : moveSpeed;
             const dist = moveInput * effectiveMoveSpeed;
 
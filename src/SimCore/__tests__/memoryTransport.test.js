@@ -3,12 +3,13 @@
  *
  * Tests the in-process transport system: MemoryTransportHub + MemoryTransportEndpoint.
  * Verifies the channel-based API that SessionManager expects works correctly
- * without a real network.
+ * without a real network, and the seeded network condition simulator
+ * (jitter, loss, duplication, reordering, bandwidth, partitions).
  *
  * Run: npx vitest run
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
     MemoryTransportHub,
     MemoryTransportEndpoint,
@@ -533,3 +534,219 @@ describe('Latency simulation', () => {
         expect(received[0].type).toBe('DELAYED');
     });
 });
+
+// ========================================
+// Network conditions
+// ========================================
+
+describe('Network conditions', () => {
+    let hub, received;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(10000);
+        received = [];
+    });
+
+    afterEach(() => {
+        hub?.reset();
+        vi.useRealTimers();
+    });
+
+    /** Hub with host + guest on 'lobby'; guest records seq and arrival time */
+    async function setup(options) {
+        hub = new MemoryTransportHub(options);
+        const host = hub.createEndpoint('host');
+        const guest = hub.createEndpoint('guest');
+        await host.joinChannel('lobby', () => {});
+        await guest.joinChannel('lobby', (msg) => received.push({ seq: msg.seq, at: hub.elapsedMs }));
+        return { host, guest };
+    }
+
+    async function sendAll(endpoint, count, gapMs = 0) {
+        for (let seq = 0; seq < count; seq++) {
+            await endpoint.broadcastToChannel('lobby', { type: 'TEST', seq });
+            if (gapMs) await vi.advanceTimersByTimeAsync(gapMs);
+        }
+    }
+
+    it('ideal links stay synchronous', async () => {
+        const { host } = await setup({ seed: 1 });
+        await sendAll(host, 3);
+        expect(received.map(r => r.seq)).toEqual([0, 1, 2]);
+    });
+
+    it('jitter delays within [latency, latency + jitter) and keeps FIFO order', async () => {
+        const { host } = await setup({ seed: 7, conditions: { latencyMs: 40, jitterMs: 30 } });
+        await sendAll(host, 20, 5);
+        await vi.advanceTimersByTimeAsync(200);
+
+        expect(received.map(r => r.seq)).toEqual([...Array(20).keys()]);
+        for (const r of received) {
+            const delay = r.at - r.seq * 5;
+            expect(delay).toBeGreaterThanOrEqual(40);
+            expect(delay).toBeLessThanOrEqual(70 + 5);
+        }
+    });
+
+    it('drops, duplicates and reorders at the configured rates', async () => {
+        const { host } = await setup({
+            seed: 3,
+            conditions: { latencyMs: 10, lossRate: 0.2, duplicateRate: 0.1, reorderRate: 0.1 }
+        });
+        await sendAll(host, 500, 1);
+        await vi.advanceTimersByTimeAsync(500);
+
+        const stats = hub.getLinkStats('host', 'guest');
+        expect(stats.sent).toBe(500);
+        expect(stats.dropped).toBeGreaterThan(70);
+        expect(stats.dropped).toBeLessThan(130);
+        expect(stats.duplicated).toBeGreaterThan(20);
+        expect(stats.reordered).toBeGreaterThan(20);
+        expect(stats.delivered).toBe(500 - stats.dropped + stats.duplicated);
+        expect(received).toHaveLength(stats.delivered);
+
+        const seqs = received.map(r => r.seq);
+        expect(seqs.some((seq, i) => i > 0 && seq < seqs[i - 1])).toBe(true);
+    });
+
+    it('replays exactly with the same seed', async () => {
+        const conditions = { latencyMs: 20, jitterMs: 40, lossRate: 0.3, duplicateRate: 0.2, reorderRate: 0.2 };
+        const run = async (seed) => {
+            received = [];
+            const { host } = await setup({ seed, conditions });
+            await sendAll(host, 50, 3);
+            await vi.advanceTimersByTimeAsync(500);
+            hub.reset();
+            return received;
+        };
+
+        const first = await run(99);
+        expect(await run(99)).toEqual(first);
+        expect(await run(100)).not.toEqual(first);
+    });
+
+    it('link RNGs are independent of traffic on other links', async () => {
+        const conditions = { latencyMs: 5, lossRate: 0.5 };
+        const { host } = await setup({ seed: 5, conditions });
+        await sendAll(host, 30);
+        await vi.advanceTimersByTimeAsync(50);
+        const alone = received.map(r => r.seq);
+        hub.reset();
+
+        received = [];
+        const { host: host2 } = await setup({ seed: 5, conditions });
+        const other = hub.createEndpoint('other');
+        await other.joinChannel('lobby', () => {});
+        await sendAll(host2, 30);
+        await vi.advanceTimersByTimeAsync(50);
+
+        expect(received.map(r => r.seq)).toEqual(alone);
+    });
+
+    it('bandwidth cap serializes messages on the link', async () => {
+        const { host } = await setup({ conditions: { bandwidthBytesPerSec: 1000 } });
+        const payload = 'x'.repeat(80);
+        for (let seq = 0; seq < 3; seq++) {
+            await host.broadcastToChannel('lobby', { type: 'TEST', seq, payload });
+        }
+        const size = JSON.stringify({ type: 'TEST', seq: 0, payload }).length;
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(received.map(r => r.at)).toEqual([1, 2, 3].map(n => Math.round(n * size)));
+    });
+
+    it('per-link overrides apply to one pair only (both directions by default)', async () => {
+        const { host, guest } = await setup({ seed: 1 });
+        const other = hub.createEndpoint('other');
+        const otherReceived = [];
+        await other.joinChannel('lobby', (msg) => otherReceived.push(msg.seq));
+        const hostReceived = [];
+        await host.leaveChannel('lobby');
+        await host.joinChannel('lobby', (msg) => hostReceived.push(msg.seq));
+
+        hub.setLinkConditions('host', 'guest', { latencyMs: 100 });
+        await host.broadcastToChannel('lobby', { seq: 1 });
+        await guest.broadcastToChannel('lobby', { seq: 2 });
+
+        expect(otherReceived).toEqual([1, 2]);
+        expect(received).toHaveLength(0);
+        expect(hostReceived).toHaveLength(0);
+
+        await vi.advanceTimersByTimeAsync(100);
+        expect(received.map(r => r.seq)).toEqual([1]);
+        expect(hostReceived).toEqual([2]);
+    });
+
+    it('oneWay overrides leave the reverse direction alone', async () => {
+        const { host, guest } = await setup();
+        const hostReceived = [];
+        await host.leaveChannel('lobby');
+        await host.joinChannel('lobby', (msg) => hostReceived.push(msg.seq));
+
+        hub.setLinkConditions('host', 'guest', { lossRate: 1 }, { oneWay: true });
+        await host.broadcastToChannel('lobby', { seq: 1 });
+        await guest.broadcastToChannel('lobby', { seq: 2 });
+
+        expect(received).toHaveLength(0);
+        expect(hostReceived).toEqual([2]);
+    });
+
+    it('scripted partitions cut both directions inside the window', async () => {
+        const { host } = await setup();
+        hub.addPartition('guest', 'host', { fromMs: 3000, toMs: 6000 });
+
+        for (const t of [1000, 2999, 3000, 5999, 6000]) {
+            vi.setSystemTime(10000 + t);
+            await host.broadcastToChannel('lobby', { seq: t });
+        }
+
+        expect(received.map(r => r.seq)).toEqual([1000, 2999, 6000]);
+        expect(hub.getLinkStats('host', 'guest').partitioned).toBe(2);
+        expect(hub.isPartitioned('guest', 'host', 4000)).toBe(true);
+    });
+
+    it('drops messages in flight when a partition starts', async () => {
+        const { host } = await setup({ conditions: { latencyMs: 100 } });
+        hub.addPartition('*', 'guest', { fromMs: 50 });
+
+        await host.broadcastToChannel('lobby', { seq: 1 });
+        await vi.advanceTimersByTimeAsync(200);
+
+        expect(received).toHaveLength(0);
+        expect(hub.getLinkStats('host', 'guest').partitioned).toBe(1);
+    });
+
+    it('removePartition heals the link', async () => {
+        const { host } = await setup();
+        const cut = hub.addPartition('host', 'guest');
+        await host.broadcastToChannel('lobby', { seq: 1 });
+        hub.removePartition(cut);
+        await host.broadcastToChannel('lobby', { seq: 2 });
+        expect(received.map(r => r.seq)).toEqual([2]);
+    });
+
+    it('does not deliver to endpoints that left the channel while in flight', async () => {
+        const { host, guest } = await setup({ latencyMs: 50 });
+        await host.broadcastToChannel('lobby', { seq: 1 });
+        await guest.leaveChannel('lobby');
+        await vi.advanceTimersByTimeAsync(100);
+        expect(received).toHaveLength(0);
+    });
+
+    it('rejects invalid conditions', () => {
+        hub = new MemoryTransportHub();
+        expect(() => hub.setLinkConditions('a', 'b', { lossRate: 1.5 })).toThrow('between 0 and 1');
+        expect(() => hub.setDefaultConditions({ jitterMs: -1 })).toThrow('non-negative');
+        expect(() => hub.setDefaultConditions({ latency: 5 })).toThrow("unknown link condition 'latency'");
+        expect(() => hub.addPartition('a', 'b', { fromMs: 5, toMs: 5 })).toThrow('after fromMs');
+    });
+
+    it('reset cancels pending deliveries', async () => {
+        const { host } = await setup({ latencyMs: 50 });
+        await host.broadcastToChannel('lobby', { seq: 1 });
+        hub.reset();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(received).toHaveLength(0);
+    });
+});
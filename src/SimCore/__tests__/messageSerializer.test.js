@@ -35,8 +35,8 @@ import {
 } from '../multiplayer/MessageSerializer.js';
 
 describe('MessageTypes', () => {
-  it('exports all 22 message types', () => {
-    expect(Object.keys(MSG)).toHaveLength(22);
+  it('exports all 41 message types', () => {
+    expect(Object.keys(MSG)).toHaveLength(41);
     expect(MSG.HELLO).toBe('HELLO');
     expect(MSG.HOST_ANNOUNCE).toBe('HOST_ANNOUNCE');
     expect(MSG.JOIN_REQ).toBe('JOIN_REQ');
@@ -58,6 +58,20 @@ describe('MessageTypes', () => {
     // Phase 2A: Server authority messages
     expect(MSG.SERVER_SNAPSHOT).toBe('SERVER_SNAPSHOT');
     expect(MSG.MOVE_INPUT).toBe('MOVE_INPUT');
+    expect(MSG.MOVE_TO).toBe('MOVE_TO');
+    // WPN_SHOOT
+    expect(MSG.ATTACK_TARGET).toBe('ATTACK_TARGET');
+    expect(MSG.PICKUP_UNIT).toBe('PICKUP_UNIT');
+    expect(MSG.DROP_UNIT).toBe('DROP_UNIT');
+    expect(MSG.SCAN_REVEAL).toBe('SCAN_REVEAL');
+    expect(MSG.JOIN_TOKEN).toBe('JOIN_TOKEN');
+    expect(MSG.PLAYER_CONNECTION).toBe('PLAYER_CONNECTION');
+    expect(MSG.SPECTATE_REQ).toBe('SPECTATE_REQ');
+    expect(MSG.SPECTATE_ACK).toBe('SPECTATE_ACK');
+    // Lobby (server room directory)
+    expect(MSG.LOBBY_CREATE).toBe('LOBBY_CREATE');
+    expect(MSG.LOBBY_JOIN).toBe('LOBBY_JOIN');
+    expect(MSG.LOBBY_ERROR).toBe('LOBBY_ERROR');
   });
 
   it('exports frozen MSG object', () => {
@@ -504,6 +504,34 @@ describe('Seat Authority System', () => {
             // Assert: Command should be buffered (no specific seat required)
             expect(sessionManager.inputBuffer.length).toBe(1);
         });
+
+        it('should reject PICKUP_UNIT when the carried unit is seated by another slot', () => {
+            const initialRejected = sessionManager._debugCounters.cmdRejectedAuth;
+
+            // Act: Guest at slot 2 (seated on carrier 3) tries to pick up unit 2 (seated by slot 1)
+            sessionManager._handleInputCmd({
+                type: 'INPUT_CMD',
+                senderId: 'guest-id',
+                slot: 2,
+                seq: 1,
+                command: { type: 'PICKUP_UNIT', unitId: 3, targetUnitId: 2 }
+            });
+
+            expect(sessionManager._debugCounters.cmdRejectedAuth).toBe(initialRejected + 1);
+            expect(sessionManager.inputBuffer.length).toBe(0);
+        });
+
+        it('should accept PICKUP_UNIT for an unseated carried unit', () => {
+            sessionManager._handleInputCmd({
+                type: 'INPUT_CMD',
+                senderId: 'guest-id',
+                slot: 2,
+                seq: 1,
+                command: { type: 'PICKUP_UNIT', unitId: 3, targetUnitId: 1 }
+            });
+
+            expect(sessionManager.inputBuffer.length).toBe(1);
+        });
     });
 
     // ========================================
@@ -9,6 +9,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { SessionManager } from '../multiplayer/SessionManager.js';
 import { NetworkRole } from '../multiplayer/NetworkRole.js';
 import { MSG } from '../multiplayer/MessageTypes.js';
+import { validateMessage } from '../multiplayer/MessageSerializer.js';
 
 /**
  * Mock Game object for testing
@@ -202,6 +203,24 @@ describe('SessionManager Host Flow (M04)', () => {
       );
     });
 
+    it('sends the host secret on the session channel only', async () => {
+      await sessionManager.hostGame('Test Session');
+      mockTransport.broadcastToChannel.mockClear();
+
+      await sessionManager.sendAnnounce();
+      await sessionManager.sendAnnounce();
+
+      const calls = mockTransport.broadcastToChannel.mock.calls;
+      const lobby = calls.filter(([channel]) => channel === 'asterobia:lobby');
+      const session = calls.filter(([channel]) => channel.startsWith('asterobia:session:'));
+      expect(lobby).toHaveLength(2);
+      expect(session).toHaveLength(2);
+      expect(lobby.every(([, msg]) => !('hostSecret' in msg))).toBe(true);
+      expect(typeof session[0][1].hostSecret).toBe('string');
+      expect(session[1][1].hostSecret).toBe(session[0][1].hostSecret);
+      expect(validateMessage(session[0][1]).valid).toBe(true);
+    });
+
     it('does nothing if not HOST', async () => {
       const consoleSpy = vi.spyOn(console, 'warn');
 
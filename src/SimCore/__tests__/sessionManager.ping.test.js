@@ -0,0 +1,194 @@
+/**
+ * sessionManager.ping.test.js - PING/PONG, clock sync and link quality
+ *
+ * Tests:
+ * - Host answers guests' PINGs, guests answer the host only
+ * - PONG gives RTT, jitter and NTP-style clock offset per responder
+ * - Server PONGs drive onClockSync (lowest-RTT sample)
+ * - Loss counts pings a peer left unanswered past the timeout
+ * - The ping loop starts once a peer can answer
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionManager } from '../multiplayer/SessionManager.js';
+import { MSG } from '../multiplayer/MessageTypes.js';
+import { createPing, createPong, validateMessage } from '../multiplayer/MessageSerializer.js';
+
+const SESSION_CHANNEL = 'asterobia:session:host-1';
+
+function createMockTransport() {
+  const broadcastLog = [];
+  return {
+    _broadcastLog: broadcastLog,
+    joinChannel: vi.fn().mockResolvedValue(true),
+    leaveChannel: vi.fn().mockResolvedValue(true),
+    broadcastToChannel: vi.fn(async (channel, msg) => {
+      broadcastLog.push({ channel, msg });
+    }),
+    onMessage: vi.fn()
+  };
+}
+
+function createSession(role) {
+  const game = { clientId: role === 'host' ? 'host-1' : 'guest-1', _isDevMode: false, simLoop: { tickCount: 0 } };
+  const transport = createMockTransport();
+  const sm = new SessionManager(game);
+  sm.setTransport(transport);
+  if (role === 'host') {
+    sm.state.setAsHost('host-1', 'Room', 'Host');
+    sm.state.addPlayer({ slot: 1, userId: 'guest-1', displayName: 'Guest' });
+  } else {
+    sm.state.setAsGuest('host-1', 1, 'guest-1', 'Guest', 'Host');
+  }
+  sm._sessionChannel = SESSION_CHANNEL;
+  return { sm, game, transport };
+}
+
+function sent(transport, type) {
+  return transport._broadcastLog.filter(e => e.msg.type === type).map(e => e.msg);
+}
+
+/** PONG from `responderId` for our ping `seq`, stamped on the responder clock */
+function pong(responderId, seq, receivedTimestamp, timestamp, targetId = 'guest-1') {
+  return { ...createPong({ responderId, pingSeq: seq, originalTimestamp: 0, targetId, receivedTimestamp }), timestamp };
+}
+
+describe('SessionManager PING/PONG (M12)', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(100000);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('answering PINGs', () => {
+    it('host answers a guest PING with a PONG addressed to it', async () => {
+      const { sm, transport } = createSession('host');
+      sm.onMessage(createPing({ senderId: 'guest-1', seq: 7 }));
+      await vi.advanceTimersByTimeAsync(0);
+
+      const [reply] = sent(transport, MSG.PONG);
+      expect(reply).toMatchObject({ responderId: 'host-1', pingSeq: 7, targetId: 'guest-1', receivedTimestamp: 100000 });
+      expect(validateMessage(reply).valid).toBe(true);
+    });
+
+    it('host ignores PINGs from clients outside the session', async () => {
+      const { sm, transport } = createSession('host');
+      sm.onMessage(createPing({ senderId: 'stranger', seq: 1 }));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(sent(transport, MSG.PONG)).toHaveLength(0);
+    });
+
+    it('guest answers the host only', async () => {
+      const { sm, transport } = createSession('guest');
+      sm.onMessage(createPing({ senderId: 'guest-2', seq: 1 }));
+      sm.onMessage(createPing({ senderId: 'host-1', seq: 2 }));
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(sent(transport, MSG.PONG).map(p => p.pingSeq)).toEqual([2]);
+    });
+  });
+
+  describe('link stats', () => {
+    it('computes RTT and clock offset, ignoring responder processing time', async () => {
+      const { sm } = createSession('guest');
+      await sm.sendPing(); // seq 0 at t0 = 100000
+
+      // Host clock +1000ms; 30ms each way; 10ms processing
+      vi.setSystemTime(100070);
+      sm.onMessage(pong('host-1', 0, 101030, 101040));
+
+      const [link] = sm.getConnectionStats();
+      expect(link).toMatchObject({ peerId: 'host-1', slot: 0, displayName: 'Host', rttMs: 60, clockOffsetMs: 1000, lossPct: 0 });
+      expect(sm.getRTT()).toBe(60);
+    });
+
+    it('ignores PONGs addressed to another client', async () => {
+      const { sm } = createSession('guest');
+      await sm.sendPing();
+      vi.setSystemTime(100050);
+      sm.onMessage(pong('host-1', 0, 100025, 100025, 'guest-2'));
+      expect(sm.getConnectionStats()).toHaveLength(0);
+    });
+
+    it('tracks jitter as smoothed RTT variation', async () => {
+      const { sm } = createSession('guest');
+      await sm.sendPing();
+      vi.setSystemTime(100040);
+      sm.onMessage(pong('host-1', 0, 100020, 100020));
+
+      vi.setSystemTime(102000);
+      await sm.sendPing();
+      vi.setSystemTime(102200);
+      sm.onMessage(pong('host-1', 1, 102100, 102100));
+
+      const [link] = sm.getConnectionStats();
+      expect(link.rttMs).toBe(200);
+      expect(link.jitterMs).toBe(10); // |200 - 40| / 16
+    });
+
+    it('counts pings unanswered past the timeout as lost', async () => {
+      const { sm } = createSession('guest');
+      for (let i = 0; i < 4; i++) {
+        vi.setSystemTime(100000 + i * 2000);
+        await sm.sendPing();
+        if (i % 2 === 0) {
+          vi.setSystemTime(100000 + i * 2000 + 50);
+          sm.onMessage(pong('host-1', i, 100000 + i * 2000 + 25, 100000 + i * 2000 + 25));
+        }
+      }
+
+      // Ping 1 timed out, ping 3 is still in flight
+      vi.setSystemTime(108000);
+      expect(sm.getConnectionStats()[0].lossPct).toBe(33);
+    });
+
+    it('server PONGs drive onClockSync with the lowest-RTT offset', async () => {
+      const { sm } = createSession('guest');
+      const onClockSync = vi.fn();
+      sm.onClockSync = onClockSync;
+
+      await sm.sendPing();
+      vi.setSystemTime(100040);
+      sm.onMessage(pong('server', 0, 100520, 100520)); // rtt 40, offset +500
+
+      vi.setSystemTime(102000);
+      await sm.sendPing();
+      vi.setSystemTime(102300);
+      sm.onMessage(pong('server', 1, 102400, 102400)); // rtt 300, offset +250
+
+      expect(onClockSync).toHaveBeenLastCalledWith(500, 40);
+      expect(sm.getRTT()).toBe(300);
+      expect(sm.getConnectionStats().find(l => l.peerId === 'server').displayName).toBe('Server');
+    });
+
+    it('drops links of players who left', async () => {
+      const { sm } = createSession('host');
+      await sm.sendPing();
+      vi.setSystemTime(100050);
+      sm.onMessage(pong('guest-1', 0, 100025, 100025, 'host-1'));
+      expect(sm.getConnectionStats()).toHaveLength(1);
+
+      sm.state.removePlayer(1);
+      expect(sm.getConnectionStats()).toHaveLength(0);
+    });
+  });
+
+  describe('ping loop', () => {
+    it('host starts pinging once the server answers HELLO', async () => {
+      const { sm, transport } = createSession('host');
+      await vi.advanceTimersByTimeAsync(4000);
+      expect(sent(transport, MSG.PING)).toHaveLength(0);
+
+      sm.onMessage({ type: MSG.HELLO, clientId: 'server', timestamp: Date.now() });
+      await vi.advanceTimersByTimeAsync(4000);
+      expect(sent(transport, MSG.PING)).toHaveLength(2);
+
+      sm.leaveGame();
+      await vi.advanceTimersByTimeAsync(4000);
+      expect(sent(transport, MSG.PING)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * sessionManager.resync.test.js - Desync detection and RESYNC_REQ/RESYNC_ACK recovery
+ *
+ * Tests:
+ * - Guest compares host stateHash (CMD_BATCH / SNAPSHOT) with its own hash for the same tick
+ * - Mismatch sends a single RESYNC_REQ
+ * - Host answers with serializeFull() state + CMD_BATCH log after the snapshot tick
+ *   (never over SNAPSHOT_MAX_SIZE)
+ * - Guest rehydrates via stateSurface.applyFull() and replays the log
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SessionManager } from '../multiplayer/SessionManager.js';
+import { MSG } from '../multiplayer/MessageTypes.js';
+import { validateMessage } from '../multiplayer/MessageSerializer.js';
+import { CommandQueue } from '../runtime/CommandQueue.js';
+import { hashState } from '../runtime/StateSurface.js';
+
+const SESSION_CHANNEL = 'asterobia:session:host-1';
+
+function createMockGame(clientId) {
+  return {
+    clientId,
+    playerName: clientId,
+    _isDevMode: false,
+    simLoop: { tickCount: 120 },
+    commandQueue: new CommandQueue(),
+    units: [],
+    stateSurface: {
+      serialize: vi.fn(() => ({ tickCount: 120, units: [] })),
+      deserialize: vi.fn(),
+      serializeFull: vi.fn(() => ({
+        game: { tickCount: 120, units: [] },
+        simLoop: { tickCount: 120, accumulatorMs: 0 },
+        rng: { seed: 1, state: 1, callCount: 0 },
+        entityIdCounter: 10
+      })),
+      applyFull: vi.fn()
+    }
+  };
+}
+
+function createMockTransport() {
+  const broadcastLog = [];
+  return {
+    _broadcastLog: broadcastLog,
+    joinChannel: vi.fn().mockResolvedValue(true),
+    leaveChannel: vi.fn().mockResolvedValue(true),
+    broadcastToChannel: vi.fn(async (channel, msg) => {
+      broadcastLog.push({ channel, msg });
+    }),
+    onMessage: vi.fn()
+  };
+}
+
+function sent(transport, type) {
+  return transport._broadcastLog.filter(e => e.msg.type === type).map(e => e.msg);
+}
+
+function createGuest() {
+  const game = createMockGame('guest-1');
+  const transport = createMockTransport();
+  const sm = new SessionManager(game);
+  sm.setTransport(transport);
+  sm.state.setAsGuest('host-1', 1, 'guest-1', 'Guest', 'Host');
+  sm._sessionChannel = SESSION_CHANNEL;
+  return { sm, game, transport };
+}
+
+function createHost() {
+  const game = createMockGame('host-1');
+  const transport = createMockTransport();
+  const sm = new SessionManager(game);
+  sm.setTransport(transport);
+  sm.state.setAsHost('host-1', 'Room', 'Host');
+  sm.state.addPlayer({ slot: 1, userId: 'guest-1', displayName: 'Guest' });
+  sm._sessionChannel = SESSION_CHANNEL;
+  return { sm, game, transport };
+}
+
+function cmdBatch(batchSeq, stateHash, stateHashTick) {
+  return {
+    type: MSG.CMD_BATCH,
+    batchSeq,
+    simTick: 120,
+    scheduledTick: 122,
+    commands: [],
+    stateHash,
+    stateHashTick,
+    timestamp: Date.now()
+  };
+}
+
+async function flushQueue() {
+  await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('SessionManager desync detection (Guest)', () => {
+  let sm, transport;
+
+  beforeEach(() => {
+    ({ sm, transport } = createGuest());
+  });
+
+  it('does not request resync when host and local hashes match', async () => {
+    sm.recordStateHash(120, '120|1:0,0,0');
+    sm._handleCmdBatch(cmdBatch(0, '120|1:0,0,0', 120));
+    await flushQueue();
+
+    expect(sm._debugCounters.desyncDetectedCount).toBe(0);
+    expect(sent(transport, MSG.RESYNC_REQ)).toHaveLength(0);
+  });
+
+  it('sends RESYNC_REQ on a hash mismatch for the same tick', async () => {
+    sm.recordStateHash(120, '120|1:0,0,0');
+    sm._handleCmdBatch(cmdBatch(0, '120|1:5,0,0', 120));
+    await flushQueue();
+
+    const reqs = sent(transport, MSG.RESYNC_REQ);
+    expect(reqs).toHaveLength(1);
+    expect(reqs[0]).toMatchObject({ guestId: 'guest-1', lastKnownTick: 120, reason: 'HASH_MISMATCH' });
+    expect(validateMessage(reqs[0]).valid).toBe(true);
+    expect(sm._debugCounters.desyncDetectedCount).toBe(1);
+  });
+
+  it('checks each host hash tick once and keeps one request in flight', async () => {
+    sm.recordStateHash(60, 'local-60');
+    sm.recordStateHash(120, 'local-120');
+    sm._handleCmdBatch(cmdBatch(0, 'host-120', 120));
+    sm._handleCmdBatch(cmdBatch(1, 'host-120', 120));
+    sm._handleCmdBatch(cmdBatch(2, 'host-60', 60));
+    await flushQueue();
+
+    expect(sm._debugCounters.desyncDetectedCount).toBe(1);
+    expect(sent(transport, MSG.RESYNC_REQ)).toHaveLength(1);
+  });
+
+  it('defers host hashes for ticks the guest has not reached yet', async () => {
+    sm._handleCmdBatch(cmdBatch(0, 'host-180', 180));
+    await flushQueue();
+    expect(sent(transport, MSG.RESYNC_REQ)).toHaveLength(0);
+
+    sm.recordStateHash(180, 'local-180');
+    await flushQueue();
+    expect(sent(transport, MSG.RESYNC_REQ)).toHaveLength(1);
+  });
+
+  it('ignores host hashes without a sample tick', async () => {
+    sm.recordStateHash(120, 'local-120');
+    sm._handleCmdBatch(cmdBatch(0, 'host-120', null));
+    await flushQueue();
+
+    expect(sent(transport, MSG.RESYNC_REQ)).toHaveLength(0);
+  });
+
+  it('compares SNAPSHOT stateHash against the current local state', async () => {
+    const localHash = hashState({ tickCount: 120, units: [] });
+
+    sm.onMessage({ type: MSG.SNAPSHOT, simTick: 120, stateHash: localHash, state: {}, timestamp: Date.now() });
+    await flushQueue();
+    expect(sent(transport, MSG.RESYNC_REQ)).toHaveLength(0);
+
+    sm._lastVerifiedHashTick = -1;
+    sm.onMessage({ type: MSG.SNAPSHOT, simTick: 120, stateHash: 'drifted', state: {}, timestamp: Date.now() });
+    await flushQueue();
+    expect(sent(transport, MSG.RESYNC_REQ)).toHaveLength(1);
+  });
+
+  it('does not track hashes outside a guest session', () => {
+    sm.leaveGame();
+    sm.recordStateHash(120, 'local-120');
+    expect(sm._localStateHashes.size).toBe(0);
+  });
+});
+
+describe('SessionManager RESYNC_REQ (Host)', () => {
+  let sm, game, transport;
+
+  beforeEach(() => {
+    ({ sm, game, transport } = createHost());
+  });
+
+  it('replies with the full state and batches scheduled after the snapshot tick', async () => {
+    sm._recordCmdBatch({ batchSeq: 4, scheduledTick: 119, commands: [{ slot: 0, seq: 1, command: { type: 'MOVE' } }] }, 117);
+    sm._recordCmdBatch({ batchSeq: 5, scheduledTick: 122, commands: [{ slot: 1, seq: 2, command: { type: 'MOVE' } }] }, 120);
+
+    await sm._handleResyncReq({ type: MSG.RESYNC_REQ, guestId: 'guest-1', lastKnownTick: 60, reason: 'HASH_MISMATCH' });
+
+    const acks = sent(transport, MSG.RESYNC_ACK);
+    expect(acks).toHaveLength(1);
+    expect(validateMessage(acks[0]).valid).toBe(true);
+    expect(acks[0].simTick).toBe(120);
+    expect(acks[0].guestId).toBe('guest-1');
+    expect(acks[0].fullSnapshot.entityIdCounter).toBe(10);
+    expect(acks[0].commandLog.map(e => e.batchSeq)).toEqual([5]);
+    expect(game.stateSurface.serializeFull).toHaveBeenCalledTimes(1);
+  });
+
+  it('ignores requests from unknown guests', async () => {
+    await sm._handleResyncReq({ type: MSG.RESYNC_REQ, guestId: 'stranger', lastKnownTick: 60, reason: 'HASH_MISMATCH' });
+    expect(sent(transport, MSG.RESYNC_ACK)).toHaveLength(0);
+  });
+
+  it('rate-limits snapshots per guest', async () => {
+    const req = { type: MSG.RESYNC_REQ, guestId: 'guest-1', lastKnownTick: 60, reason: 'HASH_MISMATCH' };
+    await sm._handleResyncReq(req);
+    await sm._handleResyncReq(req);
+    expect(sent(transport, MSG.RESYNC_ACK)).toHaveLength(1);
+  });
+
+  it('does not send a snapshot over the size limit', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    game.stateSurface.serializeFull.mockReturnValue({
+      game: { tickCount: 120, units: [], blob: 'x'.repeat(100000) },
+      simLoop: { tickCount: 120, accumulatorMs: 0 }
+    });
+
+    await sm._handleResyncReq({ type: MSG.RESYNC_REQ, guestId: 'guest-1', lastKnownTick: 60, reason: 'HASH_MISMATCH' });
+
+    expect(sent(transport, MSG.RESYNC_ACK)).toHaveLength(0);
+    expect(sm._debugCounters.resyncAckTooLargeCount).toBe(1);
+    expect(sm._debugCounters.resyncAckSentCount).toBe(0);
+    vi.restoreAllMocks();
+  });
+
+  it('logs sent CMD_BATCH contents with their stateHash tick', async () => {
+    game._lastStateHash = 'host-120';
+    game._lastStateHashTick = 120;
+    sm.bufferInputCmd({ slot: 0, seq: 1, command: { type: 'MOVE', unitId: 1 } });
+
+    await sm.sendCmdBatch();
+
+    const [batch] = sent(transport, MSG.CMD_BATCH);
+    expect(batch.stateHashTick).toBe(120);
+    expect(sm._cmdBatchLog).toHaveLength(1);
+    expect(sm._cmdBatchLog[0].scheduledTick).toBe(batch.scheduledTick);
+  });
+});
+
+describe('SessionManager RESYNC_ACK (Guest)', () => {
+  let sm, game;
+
+  beforeEach(() => {
+    ({ sm, game } = createGuest());
+  });
+
+  function resyncAck(overrides = {}) {
+    return {
+      type: MSG.RESYNC_ACK,
+      simTick: 200,
+      fullSnapshot: { game: { tickCount: 200, units: [] }, simLoop: { tickCount: 200 }, rng: {}, entityIdCounter: 5 },
+      commandLog: [{ batchSeq: 9, scheduledTick: 202, commands: [{ id: 'c9', slot: 0, seq: 3, command: { type: 'MOVE', unitId: 1 } }] }],
+      guestId: 'guest-1',
+      timestamp: Date.now(),
+      ...overrides
+    };
+  }
+
+  it('applies the snapshot and replaces stale host commands with the log', () => {
+    game.commandQueue.enqueue({ type: 'MOVE', id: 'stale', _fromHost: true }, 150);
+    game.commandQueue.enqueue({ type: 'SELECT', id: 'local' });
+    sm._resyncRequestedAt = Date.now();
+
+    sm.onMessage(resyncAck());
+
+    expect(game.stateSurface.applyFull).toHaveBeenCalledWith(resyncAck().fullSnapshot);
+    expect(game.commandQueue.getPending().map(c => c.id)).toEqual(['local', 'c9']);
+    expect(sm._lastReceivedBatchSeq).toBe(9);
+    expect(sm._resyncRequestedAt).toBeNull();
+    expect(sm._debugCounters.resyncAppliedCount).toBe(1);
+  });
+
+  it('ignores a RESYNC_ACK addressed to another guest', () => {
+    sm.onMessage(resyncAck({ guestId: 'guest-2' }));
+    expect(game.stateSurface.applyFull).not.toHaveBeenCalled();
+  });
+
+  it('does not re-flag hashes sampled before the snapshot tick', async () => {
+    sm.onMessage(resyncAck());
+    sm.recordStateHash(180, 'local-180');
+    sm._handleCmdBatch(cmdBatch(10, 'host-180', 180));
+    await flushQueue();
+
+    expect(sm._debugCounters.desyncDetectedCount).toBe(0);
+  });
+});
@@ -19,10 +19,11 @@ import {
 } from '../multiplayer/SessionState.js';
 
 describe('NetworkRole', () => {
-  it('exports enum with OFFLINE, HOST, GUEST', () => {
+  it('exports enum with OFFLINE, HOST, GUEST, SPECTATOR', () => {
     expect(NetworkRole.OFFLINE).toBe('OFFLINE');
     expect(NetworkRole.HOST).toBe('HOST');
     expect(NetworkRole.GUEST).toBe('GUEST');
+    expect(NetworkRole.SPECTATOR).toBe('SPECTATOR');
   });
 
   it('is frozen', () => {
@@ -34,6 +35,7 @@ describe('NetworkRole', () => {
       expect(isValidRole(NetworkRole.OFFLINE)).toBe(true);
       expect(isValidRole(NetworkRole.HOST)).toBe(true);
       expect(isValidRole(NetworkRole.GUEST)).toBe(true);
+      expect(isValidRole(NetworkRole.SPECTATOR)).toBe(true);
     });
 
     it('returns false for invalid roles', () => {
@@ -55,6 +57,12 @@ describe('NetworkRole', () => {
     it('GUEST cannot step', () => {
       expect(canStep(NetworkRole.GUEST)).toBe(false);
     });
+
+    it('SPECTATOR cannot step, send inputs or broadcast state', () => {
+      expect(canStep(NetworkRole.SPECTATOR)).toBe(false);
+      expect(sendsInputsToNetwork(NetworkRole.SPECTATOR)).toBe(false);
+      expect(broadcastsState(NetworkRole.SPECTATOR)).toBe(false);
+    });
   });
 
   describe('sendsInputsToNetwork', () => {
@@ -378,8 +386,20 @@ describe('SessionState', () => {
     it('isOffline returns true when OFFLINE', () => {
       expect(state.isHost()).toBe(false);
       expect(state.isGuest()).toBe(false);
+      expect(state.isSpectator()).toBe(false);
       expect(state.isOffline()).toBe(true);
     });
+
+    it('isSpectator returns true when SPECTATOR (no slot, no players)', () => {
+      state.setAsSpectator('room-ABCDE');
+      expect(state.isSpectator()).toBe(true);
+      expect(state.isGuest()).toBe(false);
+      expect(state.isOffline()).toBe(false);
+      expect(state.hostId).toBe('room-ABCDE');
+      expect(state.mySlot).toBeNull();
+      expect(state.players).toEqual([]);
+      expect(state.connected).toBe(true);
+    });
   });
 
   describe('getPlayer methods', () => {
@@ -6,6 +6,7 @@
  *   - Out-of-order and duplicate rejection
  *   - Snap-on-start clock initialization
  *   - EMA clock smoothing stability
+ *   - PING/PONG clock sync (setClockSync)
  *   - Interpolation alpha correctness
  *   - Buffer empty / single-snapshot behavior
  *   - Teleport threshold detection
@@ -677,3 +678,41 @@ describe('SnapshotBuffer: arrival diagnostics', () => {
         expect(buf.getArrivalStats().count).toBe(0);
     });
 });
+
+// ========================================
+// PING/PONG clock sync
+// ========================================
+
+describe('SnapshotBuffer: clock sync', () => {
+    it('measured offset replaces the arrival-time estimate', () => {
+        const buf = new SnapshotBuffer({ interpDelayMs: 100 });
+        // Server clock 500ms ahead, 80ms RTT: snapshots arrive 40ms after stamping
+        buf.setClockSync(500, 80);
+        expect(buf.clockSynced).toBe(true);
+        expect(buf.smoothedOffset).toBe(-460);
+
+        // A late (jittery) arrival does not move the clock
+        buf.push(makeSnapshot(1, 10500), 10100);
+        buf.push(makeSnapshot(2, 10550), 10300);
+        expect(buf.smoothedOffset).toBe(-460);
+        expect(buf.getRenderTimeMs(10100)).toBe(10460);
+    });
+
+    it('later samples are EMA-smoothed', () => {
+        const buf = new SnapshotBuffer({ clockSyncAlpha: 0.5 });
+        buf.setClockSync(500, 80);  // -460
+        buf.setClockSync(500, 120); // target -440
+        expect(buf.smoothedOffset).toBe(-450);
+    });
+
+    it('survives reset (link property, not stream)', () => {
+        const buf = new SnapshotBuffer();
+        buf.setClockSync(-200, 40);
+        buf.push(makeSnapshot(1, 1000), 1220);
+        buf.reset();
+
+        expect(buf.clockSynced).toBe(true);
+        expect(buf.smoothedOffset).toBe(220);
+        expect(buf.initialized).toBe(false);
+    });
+});
@@ -95,6 +95,38 @@ const BUILT_IN_FEATURES = [
         isPassive: true,
         subAllocKeys: null,
         version: 1
+    },
+    {
+        id: 'mining',
+        displayName: 'Matera Mining',
+        category: FEATURE_CATEGORIES.LOGISTICS,
+        isPassive: false,
+        subAllocKeys: null,
+        version: 1
+    },
+    {
+        id: 'transport',
+        displayName: 'Matera Transport',
+        category: FEATURE_CATEGORIES.LOGISTICS,
+        isPassive: false,
+        subAllocKeys: null,
+        version: 1
+    },
+    {
+        id: 'carrier',
+        displayName: 'Unit Carrier',
+        category: FEATURE_CATEGORIES.MOVEMENT,
+        isPassive: false,
+        subAllocKeys: null,
+        version: 1
+    },
+    {
+        id: 'scan',
+        displayName: 'Subsurface Scan',
+        category: FEATURE_CATEGORIES.SENSORS,
+        isPassive: false,
+        subAllocKeys: null,
+        version: 1
     }
 ];
 
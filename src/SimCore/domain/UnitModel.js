@@ -75,8 +75,20 @@ export class UnitModel {
             move: 100,
             vision: 100,
             shot: 0,
-            shield: 0
+            shield: 0,
+            mining: 0,
+            transport: 0,
+            carrier: 0,
+            scan: 0
         };
+
+        // === CARGO (Matera Transport) ===
+        this.transportStats = null;     // { capacity, efficiency } or null (no transport feature)
+        this.cargo = 0;                 // Matera carried (0..capacity)
+
+        // === CARRY LINK (Unit Carrier, server-owned) ===
+        this.carriedBy = null;          // Carrier unit ID while carried
+        this.carryingUnitId = null;     // Unit ID this carrier holds
         
         // === FLAGS ===
         this.isSelected = false;
@@ -213,7 +225,14 @@ export class UnitModel {
             amortization: this.amortization,
             
             // Stats
-            effectiveStats: { ...this.effectiveStats }
+            effectiveStats: { ...this.effectiveStats },
+
+            // Cargo
+            cargo: this.cargo,
+
+            // Carry link
+            carriedBy: this.carriedBy,
+            carryingUnitId: this.carryingUnitId
         };
         
         if (includeEphemeral) {
@@ -273,6 +292,13 @@ export class UnitModel {
         
         // Stats
         if (data.effectiveStats) this.effectiveStats = { ...data.effectiveStats };
+
+        // Cargo
+        if (data.cargo !== undefined) this.cargo = data.cargo;
+
+        // Carry link
+        if (data.carriedBy !== undefined) this.carriedBy = data.carriedBy;
+        if (data.carryingUnitId !== undefined) this.carryingUnitId = data.carryingUnitId;
     }
 
     /**
@@ -5,7 +5,7 @@
  * Reference: docs/specs/R013_MULTIPLAYER_HANDSHAKE_HOST_AUTHORITY.md Section 4
  */
 
-import { MSG, MESSAGE_SCHEMAS, VALID_MESSAGE_TYPES, PROTOCOL_VERSION } from './MessageTypes.js';
+import { MSG, MESSAGE_SCHEMAS, VALID_MESSAGE_TYPES, PROTOCOL_VERSION, JOIN_CODE_ALPHABET, JOIN_CODE_LENGTH, MAX_HOST_SECRET_LENGTH, PLAYER_CONNECTION_STATUS } from './MessageTypes.js';
 
 /**
  * Error thrown when message validation fails
@@ -67,6 +67,9 @@ export function validateMessage(msg) {
       if (typeof msg.clientId !== 'string') {
         errors.push('clientId must be a string');
       }
+      if (msg.snapshotEncodings !== undefined && !Array.isArray(msg.snapshotEncodings)) {
+        errors.push('snapshotEncodings must be an array');
+      }
       break;
 
     case MSG.HOST_ANNOUNCE:
@@ -74,6 +77,13 @@ export function validateMessage(msg) {
       if (typeof msg.simTick !== 'number') errors.push('simTick must be a number');
       if (typeof msg.currentPlayers !== 'number') errors.push('currentPlayers must be a number');
       if (typeof msg.maxPlayers !== 'number') errors.push('maxPlayers must be a number');
+      if (msg.rockSeed !== undefined && !isRockSeed(msg.rockSeed)) {
+        errors.push('rockSeed must be a uint32 integer');
+      }
+      if (msg.hostSecret !== undefined &&
+          (typeof msg.hostSecret !== 'string' || msg.hostSecret.length === 0 || msg.hostSecret.length > MAX_HOST_SECRET_LENGTH)) {
+        errors.push(`hostSecret must be a non-empty string of at most ${MAX_HOST_SECRET_LENGTH} characters`);
+      }
       break;
 
     case MSG.JOIN_REQ:
@@ -109,6 +119,9 @@ export function validateMessage(msg) {
       if (msg.stateHash !== null && typeof msg.stateHash !== 'string') {
         errors.push('stateHash must be null or a string');
       }
+      if (msg.stateHashTick != null && typeof msg.stateHashTick !== 'number') {
+        errors.push('stateHashTick must be null or a number');
+      }
       break;
 
     case MSG.SNAPSHOT:
@@ -129,6 +142,9 @@ export function validateMessage(msg) {
       if (!msg.fullSnapshot || typeof msg.fullSnapshot !== 'object') {
         errors.push('fullSnapshot must be an object');
       }
+      if (msg.commandLog != null && !Array.isArray(msg.commandLog)) {
+        errors.push('commandLog must be null or an array');
+      }
       break;
 
     case MSG.PING:
@@ -138,6 +154,9 @@ export function validateMessage(msg) {
     case MSG.PONG:
       if (typeof msg.pingSeq !== 'number') errors.push('pingSeq must be a number');
       if (typeof msg.originalTimestamp !== 'number') errors.push('originalTimestamp must be a number');
+      if (msg.receivedTimestamp != null && typeof msg.receivedTimestamp !== 'number') {
+        errors.push('receivedTimestamp must be null or a number');
+      }
       break;
 
     // M07 GAP-0: Seat acquisition message validation
@@ -201,6 +220,11 @@ export function validateMessage(msg) {
       if (typeof msg.tick !== 'number') errors.push('tick must be a number');
       if (typeof msg.serverTimeMs !== 'number') errors.push('serverTimeMs must be a number');
       if (!Array.isArray(msg.units)) errors.push('units must be an array');
+      if (msg.visEnter !== undefined && !Array.isArray(msg.visEnter)) errors.push('visEnter must be an array');
+      if (msg.visLeave !== undefined && !Array.isArray(msg.visLeave)) errors.push('visLeave must be an array');
+      if (msg.inputSeqs !== undefined && (typeof msg.inputSeqs !== 'object' || msg.inputSeqs === null)) {
+        errors.push('inputSeqs must be an object');
+      }
       break;
 
     case MSG.MOVE_INPUT:
@@ -211,6 +235,9 @@ export function validateMessage(msg) {
       if (msg.unitId !== undefined && typeof msg.unitId !== 'number') {
         errors.push('unitId must be a number');
       }
+      if (msg.seq !== undefined && !Number.isSafeInteger(msg.seq)) {
+        errors.push('seq must be an integer');
+      }
       break;
 
     case MSG.SPAWN_MANIFEST:
@@ -221,10 +248,96 @@ export function validateMessage(msg) {
       if (typeof msg.unitId !== 'number') errors.push('unitId must be a number');
       if (!Array.isArray(msg.waypoints)) errors.push('waypoints must be an array');
       break;
+
+    case MSG.MOVE_TO:
+      if (typeof msg.unitId !== 'number') errors.push('unitId must be a number');
+      if (!isFinitePoint(msg.goal)) errors.push('goal must be {x,y,z} finite numbers');
+      break;
+
+    case MSG.ATTACK_TARGET:
+      if (typeof msg.unitId !== 'number') errors.push('unitId must be a number');
+      if (msg.targetUnitId !== null && typeof msg.targetUnitId !== 'number') {
+        errors.push('targetUnitId must be a number or null');
+      }
+      if (msg.renderTimeMs !== undefined && !Number.isFinite(msg.renderTimeMs)) {
+        errors.push('renderTimeMs must be a finite number');
+      }
+      break;
+
+    case MSG.PICKUP_UNIT:
+      if (typeof msg.unitId !== 'number') errors.push('unitId must be a number');
+      if (typeof msg.targetUnitId !== 'number') errors.push('targetUnitId must be a number');
+      if (msg.renderTimeMs !== undefined && !Number.isFinite(msg.renderTimeMs)) {
+        errors.push('renderTimeMs must be a finite number');
+      }
+      break;
+
+    case MSG.SCAN_REVEAL:
+      if (typeof msg.tick !== 'number') errors.push('tick must be a number');
+      if (!Array.isArray(msg.deposits)) errors.push('deposits must be an array');
+      if (!Array.isArray(msg.stamps)) errors.push('stamps must be an array');
+      break;
+
+    case MSG.TERRAIN_STATE:
+      if (typeof msg.tick !== 'number') errors.push('tick must be a number');
+      if (!msg.terrain || !Array.isArray(msg.terrain.nodes)) errors.push('terrain.nodes must be an array');
+      break;
+
+    case MSG.SERVER_SNAPSHOT_BIN:
+      if (typeof msg.tick !== 'number') errors.push('tick must be a number');
+      if (msg.baseTick !== null && typeof msg.baseTick !== 'number') errors.push('baseTick must be a number or null');
+      if (typeof msg.data !== 'string') errors.push('data must be a base64 string');
+      break;
+
+    case MSG.SNAPSHOT_ACK:
+      if (typeof msg.tick !== 'number') errors.push('tick must be a number');
+      break;
+
+    case MSG.LOBBY_CREATE:
+    case MSG.LOBBY_CREATED:
+    case MSG.LOBBY_JOINED:
+      if (!msg.settings || typeof msg.settings !== 'object') errors.push('settings must be an object');
+      break;
+
+    case MSG.LOBBY_JOIN:
+      if (typeof msg.joinCode !== 'string') errors.push('joinCode must be a string');
+      break;
+
+    case MSG.JOIN_TOKEN:
+      if (typeof msg.token !== 'string' || !msg.token) errors.push('token must be a non-empty string');
+      if (!Number.isInteger(msg.slot)) errors.push('slot must be an integer');
+      break;
+
+    case MSG.PLAYER_CONNECTION:
+      if (!Number.isInteger(msg.slot)) errors.push('slot must be an integer');
+      if (!Object.values(PLAYER_CONNECTION_STATUS).includes(msg.status)) errors.push('status must be a PLAYER_CONNECTION_STATUS');
+      break;
+
+    case MSG.LOBBY_ROOMS:
+      if (!Array.isArray(msg.rooms)) errors.push('rooms must be an array');
+      break;
+
+    case MSG.SPECTATE_REQ:
+      if (typeof msg.roomId !== 'string' || !msg.roomId) errors.push('roomId must be a non-empty string');
+      break;
+
+    case MSG.SPECTATE_ACK:
+      if (typeof msg.accepted !== 'boolean') errors.push('accepted must be a boolean');
+      if (msg.accepted && !(Number.isFinite(msg.delayMs) && msg.delayMs >= 0)) errors.push('delayMs must be a non-negative number');
+      break;
+
+    case MSG.DROP_UNIT:
+      if (typeof msg.unitId !== 'number') errors.push('unitId must be a number');
+      if (msg.px != null || msg.py != null || msg.pz != null) {
+        if (![msg.px, msg.py, msg.pz].every(v => typeof v === 'number' && Number.isFinite(v))) {
+          errors.push('drop point px, py, pz must be finite numbers');
+        }
+      }
+      break;
   }
 
-  // Validate timestamp is a number (SERVER_SNAPSHOT uses serverTimeMs instead)
-  if (msg.type !== MSG.SERVER_SNAPSHOT && typeof msg.timestamp !== 'number') {
+  // Validate timestamp is a number (SERVER_SNAPSHOT / SERVER_SNAPSHOT_BIN use serverTimeMs instead)
+  if (msg.type !== MSG.SERVER_SNAPSHOT && msg.type !== MSG.SERVER_SNAPSHOT_BIN && typeof msg.timestamp !== 'number') {
     errors.push('timestamp must be a number');
   }
 
@@ -287,15 +400,21 @@ export function decode(str, validate = true) {
 /**
  * Creates a HELLO message
  * @param {string} clientId
+ * @param {Object} [options]
+ * @param {string[]} [options.snapshotEncodings] - SERVER_SNAPSHOT encodings this client accepts (SNAPSHOT_ENCODING)
+ * @param {string} [options.snapshotEncoding] - Server reply: the encoding it will use
  * @returns {Object}
  */
-export function createHello(clientId) {
-  return {
+export function createHello(clientId, { snapshotEncodings, snapshotEncoding } = {}) {
+  const msg = {
     type: MSG.HELLO,
     clientId,
     protocolVersion: '0.13.0',
     timestamp: Date.now()
   };
+  if (snapshotEncodings) msg.snapshotEncodings = snapshotEncodings;
+  if (snapshotEncoding) msg.snapshotEncoding = snapshotEncoding;
+  return msg;
 }
 
 /**
@@ -303,8 +422,8 @@ export function createHello(clientId) {
  * @param {Object} params
  * @returns {Object}
  */
-export function createHostAnnounce({ hostId, sessionName, hostDisplayName, mapSeed, simTick, currentPlayers, maxPlayers }) {
-  return {
+export function createHostAnnounce({ hostId, sessionName, hostDisplayName, mapSeed, rockSeed, simTick, currentPlayers, maxPlayers }) {
+  const msg = {
     type: MSG.HOST_ANNOUNCE,
     hostId,
     sessionName,
@@ -316,6 +435,42 @@ export function createHostAnnounce({ hostId, sessionName, hostDisplayName, mapSe
     protocolVersion: '0.13.0',
     timestamp: Date.now()
   };
+  if (isRockSeed(rockSeed)) msg.rockSeed = rockSeed;
+  return msg;
+}
+
+/**
+ * Whether a value is a valid rock field seed (uint32 integer)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isRockSeed(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+}
+
+/**
+ * Normalize a typed join code (trimmed, upper case).
+ * @param {*} value
+ * @returns {string|null} The code, or null if it cannot be a join code
+ */
+export function normalizeJoinCode(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toUpperCase();
+  if (code.length !== JOIN_CODE_LENGTH) return null;
+  for (const ch of code) {
+    if (!JOIN_CODE_ALPHABET.includes(ch)) return null;
+  }
+  return code;
+}
+
+/**
+ * Whether a value is a point with finite x, y, z
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isFinitePoint(value) {
+  return value != null && typeof value === 'object'
+    && Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
 }
 
 /**
@@ -338,11 +493,12 @@ export function createJoinReq({ guestId, displayName }) {
  * @param {Object} params
  * @returns {Object}
  */
-export function createJoinAckAccepted({ assignedSlot, simTick, fullSnapshot, hostDisplayName }) {
+export function createJoinAckAccepted({ assignedSlot, simTick, fullSnapshot, hostDisplayName, guestId }) {
   return {
     type: MSG.JOIN_ACK,
     accepted: true,
     rejectReason: null,
+    guestId: guestId || null,  // Lets the server map the guest's socket to assignedSlot
     assignedSlot,
     simTick,
     fullSnapshot,
@@ -392,14 +548,15 @@ export function createInputCmd({ senderId, slot, seq, command }) {
  * @param {Object} params
  * @returns {Object}
  */
-export function createCmdBatch({ batchSeq, simTick, scheduledTick, commands, stateHash = null }) {
+export function createCmdBatch({ batchSeq, simTick, scheduledTick, commands, stateHash = null, stateHashTick = null }) {
   return {
     type: MSG.CMD_BATCH,
     batchSeq,              // M07: Monotonic sequence for idempotency
     simTick,               // "Created at" tick
     scheduledTick,         // M07: "Execute at" tick (simTick + BUFFER)
     commands,
-    stateHash,             // M07: Optional checksum for debugging
+    stateHash,             // M07: Optional checksum for desync detection
+    stateHashTick,         // Tick stateHash was sampled at
     timestamp: Date.now()
   };
 }
@@ -439,12 +596,13 @@ export function createResyncReq({ guestId, lastKnownTick, reason }) {
  * @param {Object} params
  * @returns {Object}
  */
-export function createResyncAck({ simTick, fullSnapshot, commandLog = null }) {
+export function createResyncAck({ simTick, fullSnapshot, commandLog = null, guestId = null }) {
   return {
     type: MSG.RESYNC_ACK,
     simTick,
     fullSnapshot,
-    commandLog,
+    commandLog,            // CMD_BATCH entries scheduled after simTick
+    guestId,               // Requesting guest (other guests ignore the ACK)
     timestamp: Date.now()
   };
 }
@@ -468,12 +626,14 @@ export function createPing({ senderId, seq }) {
  * @param {Object} params
  * @returns {Object}
  */
-export function createPong({ responderId, pingSeq, originalTimestamp }) {
+export function createPong({ responderId, pingSeq, originalTimestamp, targetId = null, receivedTimestamp = null }) {
   return {
     type: MSG.PONG,
     responderId,
     pingSeq,
     originalTimestamp,
+    targetId,              // PING sender (other peers ignore the PONG)
+    receivedTimestamp,     // Responder clock when the PING arrived (NTP t1)
     timestamp: Date.now()
   };
 }
@@ -662,6 +822,24 @@ export function createPathData({ unitId, waypoints }) {
   };
 }
 
+/**
+ * Creates a MOVE_TO message (Client -> Server)
+ * Goal-only move order: the server plans the route with its own navmesh
+ * (thin clients and bots need no navigation of their own).
+ * @param {Object} params
+ * @param {number} params.unitId - ID of the unit to move
+ * @param {{x:number,y:number,z:number}} params.goal - Destination (world position)
+ * @returns {Object}
+ */
+export function createMoveTo({ unitId, goal }) {
+  return {
+    type: MSG.MOVE_TO,
+    unitId,
+    goal: { x: goal.x, y: goal.y, z: goal.z },
+    timestamp: Date.now()
+  };
+}
+
 /**
  * Creates a SERVER_SNAPSHOT message (Server -> Broadcast)
  * Phase 2A authoritative server snapshot with full unit state.
@@ -691,9 +869,11 @@ export function createServerSnapshot({ version, tick, serverTimeMs, units }) {
  * @param {boolean} params.backward - Backward key pressed
  * @param {boolean} params.left - Left key pressed
  * @param {boolean} params.right - Right key pressed
+ * @param {number} [params.unitId] - Target unit (multi-unit control)
+ * @param {number} [params.seq] - Prediction sequence number (acked in SERVER_SNAPSHOT.inputSeqs)
  * @returns {Object}
  */
-export function createMoveInput({ forward, backward, left, right, unitId }) {
+export function createMoveInput({ forward, backward, left, right, unitId, seq }) {
   const msg = {
     type: MSG.MOVE_INPUT,
     forward: !!forward,
@@ -705,5 +885,682 @@ export function createMoveInput({ forward, backward, left, right, unitId }) {
   if (unitId != null) {
     msg.unitId = unitId;
   }
+  if (seq != null) {
+    msg.seq = seq;
+  }
   return msg;
 }
+
+/**
+ * Creates an ATTACK_TARGET message (Client -> Server)
+ * WPN_SHOOT intent: the server fires at the target whenever it is in range
+ * and the weapon is off cooldown, until the target dies or the order changes.
+ * @param {Object} params
+ * @param {number} params.unitId - Shooter unit ID (must be owned by sender)
+ * @param {number|null} params.targetUnitId - Target unit ID, or null to cease fire
+ * @param {number} [params.renderTimeMs] - Server time the client was rendering (lag compensation)
+ * @returns {Object}
+ */
+export function createAttackTarget({ unitId, targetUnitId, renderTimeMs }) {
+  const msg = {
+    type: MSG.ATTACK_TARGET,
+    unitId,
+    targetUnitId: targetUnitId ?? null,
+    timestamp: Date.now()
+  };
+  if (renderTimeMs != null) {
+    msg.renderTimeMs = renderTimeMs;
+  }
+  return msg;
+}
+
+/**
+ * Creates a PICKUP_UNIT message (Client -> Server)
+ * UNIT_CARRIER: the carrier picks up a friendly unit within pickup range.
+ * @param {Object} params
+ * @param {number} params.unitId - Carrier unit ID (must be owned by sender)
+ * @param {number} params.targetUnitId - Unit to carry (same owner)
+ * @param {number} [params.renderTimeMs] - Server time the client was rendering (lag compensation)
+ * @returns {Object}
+ */
+export function createPickupUnit({ unitId, targetUnitId, renderTimeMs }) {
+  const msg = {
+    type: MSG.PICKUP_UNIT,
+    unitId,
+    targetUnitId,
+    timestamp: Date.now()
+  };
+  if (renderTimeMs != null) {
+    msg.renderTimeMs = renderTimeMs;
+  }
+  return msg;
+}
+
+/**
+ * Creates a DROP_UNIT message (Client -> Server)
+ * UNIT_CARRIER: the carrier drops its load at a point (or just ahead of it).
+ * @param {Object} params
+ * @param {number} params.unitId - Carrier unit ID (must be owned by sender)
+ * @param {{x:number, y:number, z:number}} [params.point] - Drop point (optional)
+ * @returns {Object}
+ */
+export function createDropUnit({ unitId, point }) {
+  const msg = {
+    type: MSG.DROP_UNIT,
+    unitId,
+    timestamp: Date.now()
+  };
+  if (point) {
+    msg.px = point.x;
+    msg.py = point.y;
+    msg.pz = point.z;
+  }
+  return msg;
+}
+
+/**
+ * Creates a SNAPSHOT_ACK message (Client -> Server)
+ * Tells the server which snapshot the client holds, so the next
+ * SERVER_SNAPSHOT_BIN can be a delta against it.
+ * @param {Object} params
+ * @param {number} params.tick - Newest snapshot tick applied (-1 = request a keyframe)
+ * @returns {Object}
+ */
+export function createSnapshotAck({ tick }) {
+  return {
+    type: MSG.SNAPSHOT_ACK,
+    tick,
+    timestamp: Date.now()
+  };
+}
+
+// ========================================
+// Lobby (room directory)
+// ========================================
+
+/**
+ * Creates a LOBBY_CREATE message (Client -> Server)
+ * @param {Object} params
+ * @param {string} params.requestId - Echoed in the reply
+ * @param {Object} [params.settings] - {name, maxPlayers, terrainSeed, physics, public}; omitted fields use server defaults
+ * @returns {Object}
+ */
+export function createLobbyCreate({ requestId, settings = {} }) {
+  return {
+    type: MSG.LOBBY_CREATE,
+    requestId,
+    settings,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a LOBBY_CREATED message (Server -> requester)
+ * @param {Object} params
+ * @returns {Object}
+ */
+export function createLobbyCreated({ requestId, roomId, joinCode, settings }) {
+  return {
+    type: MSG.LOBBY_CREATED,
+    requestId,
+    roomId,
+    joinCode,
+    settings,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a LOBBY_LIST message (Client -> Server)
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @returns {Object}
+ */
+export function createLobbyList({ requestId }) {
+  return {
+    type: MSG.LOBBY_LIST,
+    requestId,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a LOBBY_ROOMS message (Server -> requester)
+ * @param {Object} params
+ * @returns {Object}
+ */
+export function createLobbyRooms({ requestId, rooms }) {
+  return {
+    type: MSG.LOBBY_ROOMS,
+    requestId,
+    rooms,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a LOBBY_JOIN message (Client -> Server)
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @param {string} params.joinCode - Code as typed (the server normalizes it)
+ * @returns {Object}
+ */
+export function createLobbyJoin({ requestId, joinCode }) {
+  return {
+    type: MSG.LOBBY_JOIN,
+    requestId,
+    joinCode,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a LOBBY_JOINED message (Server -> requester)
+ * @param {Object} params
+ * @returns {Object}
+ */
+export function createLobbyJoined({ requestId, roomId, joinCode, settings }) {
+  return {
+    type: MSG.LOBBY_JOINED,
+    requestId,
+    roomId,
+    joinCode,
+    settings,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a LOBBY_ERROR message (Server -> requester)
+ * @param {Object} params
+ * @param {string|null} params.requestId
+ * @param {string} params.reason - LOBBY_ERROR_REASON
+ * @returns {Object}
+ */
+export function createLobbyError({ requestId, reason }) {
+  return {
+    type: MSG.LOBBY_ERROR,
+    requestId,
+    reason,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a JOIN_TOKEN message (Server -> one socket)
+ * @param {Object} params
+ * @param {string} params.roomId
+ * @param {number} params.slot - Slot the token is bound to
+ * @param {string} params.token - Signed token (server/JoinToken.js)
+ * @returns {Object}
+ */
+export function createJoinToken({ roomId, slot, token }) {
+  return {
+    type: MSG.JOIN_TOKEN,
+    roomId,
+    slot,
+    token,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a PLAYER_CONNECTION message (Server -> Room)
+ * @param {Object} params
+ * @param {number} params.slot
+ * @param {string} params.status - PLAYER_CONNECTION_STATUS
+ * @returns {Object}
+ */
+export function createPlayerConnection({ slot, status }) {
+  return {
+    type: MSG.PLAYER_CONNECTION,
+    slot,
+    status,
+    timestamp: Date.now()
+  };
+}
+
+// ========================================
+// Spectators
+// ========================================
+
+/**
+ * Creates a SPECTATE_REQ message (Client -> Server, on the room's spectate channel)
+ * @param {Object} params
+ * @param {string} params.roomId - Room to watch
+ * @param {string} [params.displayName]
+ * @returns {Object}
+ */
+export function createSpectateReq({ roomId, displayName = 'Spectator' }) {
+  return {
+    type: MSG.SPECTATE_REQ,
+    roomId,
+    displayName,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Creates a SPECTATE_ACK message (Server -> requester)
+ * @param {Object} params
+ * @param {string} params.roomId
+ * @param {boolean} params.accepted
+ * @param {number|null} [params.delayMs] - How far behind the live game the snapshots are
+ * @param {number|null} [params.rockSeed] - Room rock field seed
+ * @param {string|null} [params.reason] - SPECTATE_REJECT_REASON when refused
+ * @param {Object|null} [params.terrain] - Terrain Shaping layer as of the delayed stream (accepted only)
+ * @returns {Object}
+ */
+export function createSpectateAck({ roomId, accepted, delayMs = null, rockSeed = null, reason = null, terrain = null }) {
+  const msg = {
+    type: MSG.SPECTATE_ACK,
+    roomId,
+    accepted,
+    delayMs,
+    rockSeed,
+    reason,
+    timestamp: Date.now()
+  };
+  if (terrain) msg.terrain = terrain;
+  return msg;
+}
+
+// ========================================
+// Binary SERVER_SNAPSHOT (delta-compressed)
+// ========================================
+//
+// Layout (little-endian), format 1:
+//   u8  format   u8 flags (bit0: delta)   u16 version   u32 tick   f64 serverTimeMs
+//   [u32 baseTick]                        (delta only)
+//   u16 unitCount, then per unit in snapshot order:
+//     u32 id   u16 mask   groups in mask-bit order (UNIT_BIN below)
+//   u32 tailLength + UTF-8 JSON of the other top-level fields (hits, piles, visEnter, ...)
+//
+// Positions are quantized to 1/POS_QUANT m (i32 absolute, or i16 delta against the
+// baseline's quantized position). Quaternions use smallest-three (u8 index + 3 × i16).
+// In a delta every unit still appears (mask 0 = unchanged); units missing from the
+// delta are gone. Deltas decode to a delta snapshot (baseTick set) that
+// applySnapshotDelta() resolves against the baseline.
+
+/** Binary snapshot format version */
+const BIN_SNAPSHOT_FORMAT = 1;
+
+/** Position quantization steps per meter (power of two: q / POS_QUANT is exact) */
+const POS_QUANT = 1024;
+
+/** Smallest-three quaternion component scale: |c| ≤ 1/√2 maps to ±32767 */
+const QUAT_QUANT = 32767 * Math.SQRT2;
+
+/** Unit field groups (mask bits) */
+const UNIT_BIN = Object.freeze({
+  IDENT: 0x001,     // u8 ownerSlot (255 = none), u8 modelIndex
+  POS_DELTA: 0x002, // 3 × i16 quantized delta vs baseline
+  POS: 0x004,       // 3 × i32 quantized
+  QUAT: 0x008,      // u8 dropped index, 3 × i16
+  HEADING: 0x010,   // f32
+  SPEED: 0x020,     // f32
+  HP: 0x040,        // f32
+  FLAGS: 0x080,     // u8: bit0 disabled, bit1 MOVING, bit2 AIRBORNE
+  ALTITUDE: 0x100,  // f32
+  EXTRAS: 0x200,    // u16 length + UTF-8 JSON of all non-core fields (replaces the baseline's)
+  FULL: 0x8000      // record replaces the baseline unit (new unit / core field removed)
+});
+
+/** Unit fields carried by the fixed groups; everything else rides in EXTRAS */
+const CORE_UNIT_FIELDS = new Set([
+  'id', 'ownerSlot', 'modelIndex', 'px', 'py', 'pz', 'qx', 'qy', 'qz', 'qw',
+  'heading', 'speed', 'state', 'hp', 'disabled', 'mode', 'altitude'
+]);
+
+/** Snapshot fields carried by the header / unit table (not the JSON tail) */
+const HEADER_FIELDS = new Set(['type', 'version', 'tick', 'serverTimeMs', 'units', 'baseTick']);
+
+const _textEncoder = new TextEncoder();
+const _textDecoder = new TextDecoder();
+
+/**
+ * Split a snapshot unit into its binary groups (quantized) and extras.
+ * state / mode outside the flag enums stay in extras so they round-trip.
+ * @private
+ */
+function _quantizeUnit(u) {
+  const q = { extras: {} };
+  if (typeof u.ownerSlot === 'number' || u.ownerSlot === null) q.ident = [u.ownerSlot ?? 255, u.modelIndex ?? 0];
+  if (typeof u.px === 'number') {
+    q.pos = [Math.round(u.px * POS_QUANT), Math.round(u.py * POS_QUANT), Math.round(u.pz * POS_QUANT)];
+  }
+  if (typeof u.qw === 'number') q.quat = _encodeQuat(u.qx, u.qy, u.qz, u.qw);
+  if (typeof u.heading === 'number') q.heading = Math.fround(u.heading);
+  if (typeof u.speed === 'number') q.speed = Math.fround(u.speed);
+  if (typeof u.hp === 'number') q.hp = Math.fround(u.hp);
+  if (typeof u.altitude === 'number') q.altitude = Math.fround(u.altitude);
+
+  const stateFlag = u.state === 'MOVING' || u.state === 'IDLE';
+  const modeFlag = u.mode === 'AIRBORNE' || u.mode === 'GROUNDED';
+  if (typeof u.disabled === 'boolean' && stateFlag && modeFlag) {
+    q.flags = (u.disabled ? 1 : 0) | (u.state === 'MOVING' ? 2 : 0) | (u.mode === 'AIRBORNE' ? 4 : 0);
+  } else {
+    for (const key of ['disabled', 'state', 'mode']) {
+      if (u[key] !== undefined) q.extras[key] = u[key];
+    }
+  }
+
+  for (const key of Object.keys(u)) {
+    if (!CORE_UNIT_FIELDS.has(key)) q.extras[key] = u[key];
+  }
+  q.extrasJson = Object.keys(q.extras).length > 0 ? JSON.stringify(q.extras) : null;
+  return q;
+}
+
+/** Smallest-three quaternion: [droppedIndex, a, b, c] @private */
+function _encodeQuat(x, y, z, w) {
+  const c = [x, y, z, w];
+  let largest = 0;
+  for (let i = 1; i < 4; i++) {
+    if (Math.abs(c[i]) > Math.abs(c[largest])) largest = i;
+  }
+  const sign = c[largest] < 0 ? -1 : 1;
+  const out = [largest];
+  for (let i = 0; i < 4; i++) {
+    if (i !== largest) out.push(Math.round(c[i] * sign * QUAT_QUANT));
+  }
+  return out;
+}
+
+/** @private */
+function _decodeQuat(q) {
+  const parts = [q[1] / QUAT_QUANT, q[2] / QUAT_QUANT, q[3] / QUAT_QUANT];
+  const largest = Math.sqrt(Math.max(0, 1 - parts[0] ** 2 - parts[1] ** 2 - parts[2] ** 2));
+  const c = [];
+  let j = 0;
+  for (let i = 0; i < 4; i++) c.push(i === q[0] ? largest : parts[j++]);
+  return { qx: c[0], qy: c[1], qz: c[2], qw: c[3] };
+}
+
+/** @private */
+function _sameArray(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+/** Groups whose presence must match the baseline for a field-level delta @private */
+function _sameShape(q, b) {
+  return ['ident', 'pos', 'quat', 'heading', 'speed', 'hp', 'altitude', 'flags']
+    .every(k => (q[k] === undefined) === (b[k] === undefined));
+}
+
+/**
+ * Minimal growable little-endian byte writer.
+ * @private
+ */
+class _ByteWriter {
+  constructor(size = 256) {
+    this.buf = new Uint8Array(size);
+    this.view = new DataView(this.buf.buffer);
+    this.len = 0;
+  }
+  _need(n) {
+    if (this.len + n <= this.buf.length) return;
+    const next = new Uint8Array(Math.max(this.buf.length * 2, this.len + n));
+    next.set(this.buf);
+    this.buf = next;
+    this.view = new DataView(next.buffer);
+  }
+  u8(v) { this._need(1); this.view.setUint8(this.len, v); this.len += 1; }
+  u16(v) { this._need(2); this.view.setUint16(this.len, v, true); this.len += 2; }
+  i16(v) { this._need(2); this.view.setInt16(this.len, v, true); this.len += 2; }
+  u32(v) { this._need(4); this.view.setUint32(this.len, v, true); this.len += 4; }
+  i32(v) { this._need(4); this.view.setInt32(this.len, v, true); this.len += 4; }
+  f32(v) { this._need(4); this.view.setFloat32(this.len, v, true); this.len += 4; }
+  f64(v) { this._need(8); this.view.setFloat64(this.len, v, true); this.len += 8; }
+  bytes(b) { this._need(b.length); this.buf.set(b, this.len); this.len += b.length; }
+  result() { return this.buf.slice(0, this.len); }
+}
+
+/**
+ * Encode a SERVER_SNAPSHOT to bytes, as a delta against `baseline` when given.
+ *
+ * @param {Object} snapshot - SERVER_SNAPSHOT (JSON form)
+ * @param {Object|null} [baseline] - Snapshot the client has acknowledged (JSON form)
+ * @returns {Uint8Array}
+ */
+export function encodeServerSnapshotBinary(snapshot, baseline = null) {
+  const w = new _ByteWriter();
+  const baseUnits = new Map();
+  if (baseline) {
+    for (const u of baseline.units) baseUnits.set(u.id, _quantizeUnit(u));
+  }
+
+  w.u8(BIN_SNAPSHOT_FORMAT);
+  w.u8(baseline ? 1 : 0);
+  w.u16(snapshot.version ?? 1);
+  w.u32(snapshot.tick);
+  w.f64(snapshot.serverTimeMs);
+  if (baseline) w.u32(baseline.tick);
+
+  w.u16(snapshot.units.length);
+  for (const u of snapshot.units) {
+    const q = _quantizeUnit(u);
+    const b = baseUnits.get(u.id);
+    const full = !b || !_sameShape(q, b);
+    const changed = (key, eq = (x, y) => x === y) => q[key] !== undefined && (full || !eq(q[key], b[key]));
+
+    let mask = full && baseline ? UNIT_BIN.FULL : 0;
+    if (changed('ident', _sameArray)) mask |= UNIT_BIN.IDENT;
+    let delta = null;
+    if (changed('pos', _sameArray)) {
+      if (!full) {
+        const d = [q.pos[0] - b.pos[0], q.pos[1] - b.pos[1], q.pos[2] - b.pos[2]];
+        if (d.every(v => v >= -32768 && v <= 32767)) delta = d;
+      }
+      mask |= delta ? UNIT_BIN.POS_DELTA : UNIT_BIN.POS;
+    }
+    if (changed('quat', _sameArray)) mask |= UNIT_BIN.QUAT;
+    if (changed('heading')) mask |= UNIT_BIN.HEADING;
+    if (changed('speed')) mask |= UNIT_BIN.SPEED;
+    if (changed('hp')) mask |= UNIT_BIN.HP;
+    if (changed('flags')) mask |= UNIT_BIN.FLAGS;
+    if (changed('altitude')) mask |= UNIT_BIN.ALTITUDE;
+    if (full ? q.extrasJson !== null : q.extrasJson !== b.extrasJson) mask |= UNIT_BIN.EXTRAS;
+
+    w.u32(u.id);
+    w.u16(mask);
+    if (mask & UNIT_BIN.IDENT) { w.u8(q.ident[0]); w.u8(q.ident[1]); }
+    if (mask & UNIT_BIN.POS_DELTA) { w.i16(delta[0]); w.i16(delta[1]); w.i16(delta[2]); }
+    if (mask & UNIT_BIN.POS) { w.i32(q.pos[0]); w.i32(q.pos[1]); w.i32(q.pos[2]); }
+    if (mask & UNIT_BIN.QUAT) { w.u8(q.quat[0]); w.i16(q.quat[1]); w.i16(q.quat[2]); w.i16(q.quat[3]); }
+    if (mask & UNIT_BIN.HEADING) w.f32(q.heading);
+    if (mask & UNIT_BIN.SPEED) w.f32(q.speed);
+    if (mask & UNIT_BIN.HP) w.f32(q.hp);
+    if (mask & UNIT_BIN.FLAGS) w.u8(q.flags);
+    if (mask & UNIT_BIN.ALTITUDE) w.f32(q.altitude);
+    if (mask & UNIT_BIN.EXTRAS) {
+      const bytes = _textEncoder.encode(q.extrasJson ?? '{}');
+      w.u16(bytes.length);
+      w.bytes(bytes);
+    }
+  }
+
+  const tail = {};
+  for (const key of Object.keys(snapshot)) {
+    if (!HEADER_FIELDS.has(key)) tail[key] = snapshot[key];
+  }
+  const tailBytes = Object.keys(tail).length > 0 ? _textEncoder.encode(JSON.stringify(tail)) : new Uint8Array(0);
+  w.u32(tailBytes.length);
+  w.bytes(tailBytes);
+
+  return w.result();
+}
+
+/**
+ * Decode bytes from encodeServerSnapshotBinary().
+ * Keyframes decode to a full SERVER_SNAPSHOT. Deltas decode to a delta
+ * snapshot (baseTick set; unit records hold only changed fields) that
+ * applySnapshotDelta() — or SnapshotBuffer.push() — resolves.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Object} SERVER_SNAPSHOT (full or delta form)
+ * @throws {MessageValidationError} On unknown format or truncated data
+ */
+export function decodeServerSnapshotBinary(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let o = 0;
+  const u8 = () => view.getUint8(o++);
+  const u16 = () => { const v = view.getUint16(o, true); o += 2; return v; };
+  const i16 = () => { const v = view.getInt16(o, true); o += 2; return v; };
+  const u32 = () => { const v = view.getUint32(o, true); o += 4; return v; };
+  const i32 = () => { const v = view.getInt32(o, true); o += 4; return v; };
+  const f32 = () => { const v = view.getFloat32(o, true); o += 4; return v; };
+  const f64 = () => { const v = view.getFloat64(o, true); o += 8; return v; };
+  const utf8 = (n) => { const s = _textDecoder.decode(bytes.subarray(o, o + n)); o += n; return s; };
+
+  try {
+    const format = u8();
+    if (format !== BIN_SNAPSHOT_FORMAT) {
+      throw new MessageValidationError(`Unknown binary snapshot format ${format}`);
+    }
+    const isDelta = (u8() & 1) === 1;
+    const snapshot = {
+      type: MSG.SERVER_SNAPSHOT,
+      version: u16(),
+      tick: u32(),
+      serverTimeMs: f64()
+    };
+    if (isDelta) snapshot.baseTick = u32();
+
+    const count = u16();
+    snapshot.units = [];
+    for (let i = 0; i < count; i++) {
+      const unit = { id: u32() };
+      const mask = u16();
+      if (mask & UNIT_BIN.FULL) unit.$full = true;
+      if (mask & UNIT_BIN.IDENT) {
+        const slot = u8();
+        unit.ownerSlot = slot === 255 ? null : slot;
+        unit.modelIndex = u8();
+      }
+      if (mask & UNIT_BIN.POS_DELTA) unit.$dpos = [i16(), i16(), i16()];
+      if (mask & UNIT_BIN.POS) {
+        unit.px = i32() / POS_QUANT;
+        unit.py = i32() / POS_QUANT;
+        unit.pz = i32() / POS_QUANT;
+      }
+      if (mask & UNIT_BIN.QUAT) Object.assign(unit, _decodeQuat([u8(), i16(), i16(), i16()]));
+      if (mask & UNIT_BIN.HEADING) unit.heading = f32();
+      if (mask & UNIT_BIN.SPEED) unit.speed = f32();
+      if (mask & UNIT_BIN.HP) unit.hp = f32();
+      if (mask & UNIT_BIN.FLAGS) {
+        const flags = u8();
+        unit.disabled = (flags & 1) !== 0;
+        unit.state = (flags & 2) !== 0 ? 'MOVING' : 'IDLE';
+        unit.mode = (flags & 4) !== 0 ? 'AIRBORNE' : 'GROUNDED';
+      }
+      if (mask & UNIT_BIN.ALTITUDE) unit.altitude = f32();
+      if (mask & UNIT_BIN.EXTRAS) {
+        const extras = JSON.parse(utf8(u16()));
+        if (isDelta) unit.$extras = extras;
+        else Object.assign(unit, extras);
+      }
+      if (isDelta && unit.$full) {
+        Object.assign(unit, unit.$extras);
+        delete unit.$extras;
+      }
+      snapshot.units.push(unit);
+    }
+
+    const tailLength = u32();
+    if (tailLength > 0) Object.assign(snapshot, JSON.parse(utf8(tailLength)));
+    return snapshot;
+  } catch (e) {
+    if (e instanceof MessageValidationError) throw e;
+    throw new MessageValidationError(`Failed to decode binary snapshot: ${e.message}`);
+  }
+}
+
+/**
+ * Resolve a delta snapshot (decodeServerSnapshotBinary) against its baseline.
+ *
+ * @param {Object} base - Full snapshot at delta.baseTick
+ * @param {Object} delta - Delta snapshot
+ * @returns {Object|null} Full snapshot, or null if a record needs a unit the baseline lacks
+ */
+export function applySnapshotDelta(base, delta) {
+  const baseUnits = new Map();
+  for (const u of base.units) baseUnits.set(u.id, u);
+
+  const units = [];
+  for (const record of delta.units) {
+    const { $full, $dpos, $extras, ...fields } = record;
+    if ($full) {
+      units.push(fields);
+      continue;
+    }
+
+    const prev = baseUnits.get(record.id);
+    if (!prev) return null;
+
+    const unit = { ...prev };
+    if ($extras) {
+      for (const key of Object.keys(unit)) {
+        if (!CORE_UNIT_FIELDS.has(key)) delete unit[key];
+      }
+      Object.assign(unit, $extras);
+    }
+    Object.assign(unit, fields);
+    if ($dpos) {
+      unit.px = (Math.round(prev.px * POS_QUANT) + $dpos[0]) / POS_QUANT;
+      unit.py = (Math.round(prev.py * POS_QUANT) + $dpos[1]) / POS_QUANT;
+      unit.pz = (Math.round(prev.pz * POS_QUANT) + $dpos[2]) / POS_QUANT;
+    }
+    units.push(unit);
+  }
+
+  const full = { ...delta, units };
+  delete full.baseTick;
+  return full;
+}
+
+/** @private */
+function _bytesToBase64(bytes) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+/** @private */
+function _base64ToBytes(str) {
+  if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(str, 'base64'));
+  const bin = atob(str);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Creates a SERVER_SNAPSHOT_BIN message (Server -> one client)
+ * Binary snapshot carried as base64 so every transport (relay JSON frames,
+ * MemoryTransport, Supabase) delivers it unchanged.
+ * @param {Object} snapshot - SERVER_SNAPSHOT (JSON form)
+ * @param {Object|null} [baseline] - Acknowledged snapshot to delta against (null = keyframe)
+ * @returns {Object}
+ */
+export function createServerSnapshotBin(snapshot, baseline = null) {
+  return {
+    type: MSG.SERVER_SNAPSHOT_BIN,
+    tick: snapshot.tick,
+    baseTick: baseline ? baseline.tick : null,
+    data: _bytesToBase64(encodeServerSnapshotBinary(snapshot, baseline))
+  };
+}
+
+/**
+ * Decode a SERVER_SNAPSHOT_BIN message to a SERVER_SNAPSHOT (full or delta form).
+ * @param {Object} msg - SERVER_SNAPSHOT_BIN message
+ * @returns {Object}
+ * @throws {MessageValidationError} On malformed data
+ */
+export function decodeServerSnapshotBin(msg) {
+  return decodeServerSnapshotBinary(_base64ToBytes(msg.data));
+}
@@ -34,7 +34,28 @@ export const MSG = Object.freeze({
   SERVER_SNAPSHOT: 'SERVER_SNAPSHOT',  // Authoritative server snapshot (separate from Phase 1 SNAPSHOT)
   MOVE_INPUT: 'MOVE_INPUT',           // Client intent-based input (WASD / debug)
   SPAWN_MANIFEST: 'SPAWN_MANIFEST',    // Host -> Server: Request to spawn units
-  PATH_DATA: 'PATH_DATA'              // Client -> Server: Waypoint list for navigation
+  PATH_DATA: 'PATH_DATA',             // Client -> Server: Waypoint list for navigation
+  MOVE_TO: 'MOVE_TO',                 // Client -> Server: Goal position only; the server plans the route
+  ATTACK_TARGET: 'ATTACK_TARGET',      // Client -> Server: Fire at a target unit until it dies (WPN_SHOOT)
+  PICKUP_UNIT: 'PICKUP_UNIT',          // Client -> Server: Carrier picks up a friendly unit (UNIT_CARRIER)
+  DROP_UNIT: 'DROP_UNIT',              // Client -> Server: Carrier drops the unit it carries (UNIT_CARRIER)
+  SCAN_REVEAL: 'SCAN_REVEAL',          // Server -> owning client only: Subsurface Scan discovery
+  TERRAIN_STATE: 'TERRAIN_STATE',      // Server -> one slot: full Terrain Shaping layer (host reclaim / resume after dropped frames)
+  SERVER_SNAPSHOT_BIN: 'SERVER_SNAPSHOT_BIN', // Server -> client: binary delta-compressed SERVER_SNAPSHOT (negotiated via HELLO)
+  SNAPSHOT_ACK: 'SNAPSHOT_ACK',        // Client -> Server: last SERVER_SNAPSHOT_BIN tick applied (delta baseline)
+  JOIN_TOKEN: 'JOIN_TOKEN',            // Server -> one socket: signed slot credential for the session channel
+  PLAYER_CONNECTION: 'PLAYER_CONNECTION', // Server -> Room: a slot's connection dropped / resumed / ended
+  // Spectators: spectate channel of a room (server-only; client frames are never relayed)
+  SPECTATE_REQ: 'SPECTATE_REQ',        // Client -> Server: watch a room without taking a slot
+  SPECTATE_ACK: 'SPECTATE_ACK',        // Server -> requester: accepted (delayed SERVER_SNAPSHOTs follow) or refused
+  // Lobby: room directory on the authoritative server (lobby channel; replies go to the requester only)
+  LOBBY_CREATE: 'LOBBY_CREATE',        // Client -> Server: create a room with settings, get a join code
+  LOBBY_CREATED: 'LOBBY_CREATED',      // Server -> requester: roomId + join code of the new room
+  LOBBY_LIST: 'LOBBY_LIST',            // Client -> Server: list public rooms
+  LOBBY_ROOMS: 'LOBBY_ROOMS',          // Server -> requester: public rooms
+  LOBBY_JOIN: 'LOBBY_JOIN',            // Client -> Server: resolve a join code
+  LOBBY_JOINED: 'LOBBY_JOINED',        // Server -> requester: roomId (join its session channel next)
+  LOBBY_ERROR: 'LOBBY_ERROR'           // Server -> requester: lobby request refused
 });
 
 /**
@@ -42,40 +63,56 @@ export const MSG = Object.freeze({
  */
 export const PROTOCOL_VERSION = '0.13.0';
 
+/**
+ * SERVER_SNAPSHOT encodings a client can offer in HELLO.snapshotEncodings.
+ * The server answers with HELLO.snapshotEncoding (its pick); clients that
+ * never send HELLO keep receiving JSON.
+ */
+export const SNAPSHOT_ENCODING = Object.freeze({
+  JSON: 'json',
+  BINARY_DELTA: 'binary-delta-v1'
+});
+
 /**
  * Required fields per message type (for validation)
  */
 export const MESSAGE_SCHEMAS = Object.freeze({
   [MSG.HELLO]: ['type', 'clientId', 'protocolVersion', 'timestamp'],
+  // snapshotEncodings: [SNAPSHOT_ENCODING] is optional (client offer);
+  // snapshotEncoding: SNAPSHOT_ENCODING is optional (server reply, the chosen encoding)
 
   [MSG.HOST_ANNOUNCE]: [
     'type', 'hostId', 'sessionName', 'mapSeed', 'simTick',
     'currentPlayers', 'maxPlayers', 'protocolVersion', 'timestamp'
   ],
+  // rockSeed: uint32 is optional (room rock field seed; server Room + guest RockSystem adopt it)
+  // hostSecret: string is optional (session channel only; proves the host when it reclaims a
+  //   restored server room — the server stores its hash and strips it before relaying)
 
   [MSG.JOIN_REQ]: ['type', 'guestId', 'displayName', 'protocolVersion', 'timestamp'],
 
   [MSG.JOIN_ACK]: [
     'type', 'accepted', 'timestamp'
-    // rejectReason, assignedSlot, simTick, fullSnapshot are conditional
+    // rejectReason, guestId, assignedSlot, simTick, fullSnapshot are conditional
   ],
 
   [MSG.INPUT_CMD]: ['type', 'senderId', 'slot', 'seq', 'command', 'timestamp'],
 
   // M07: Extended CMD_BATCH schema with batchSeq, scheduledTick
   [MSG.CMD_BATCH]: ['type', 'batchSeq', 'simTick', 'scheduledTick', 'commands', 'timestamp'],
-  // stateHash is optional
+  // stateHash and stateHashTick are optional
 
   [MSG.SNAPSHOT]: ['type', 'simTick', 'stateHash', 'state', 'timestamp'],
 
   [MSG.RESYNC_REQ]: ['type', 'guestId', 'lastKnownTick', 'reason', 'timestamp'],
 
   [MSG.RESYNC_ACK]: ['type', 'simTick', 'fullSnapshot', 'timestamp'],
-  // commandLog is optional
+  // commandLog: [{batchSeq, scheduledTick, commands}] and guestId are optional
 
   [MSG.PING]: ['type', 'senderId', 'seq', 'timestamp'],
 
   [MSG.PONG]: ['type', 'responderId', 'pingSeq', 'originalTimestamp', 'timestamp'],
+  // targetId and receivedTimestamp are optional (timestamp = responder send time)
 
   // M07 Unit Authority v0: Seat acquisition schemas
   [MSG.SEAT_REQ]: ['type', 'targetUnitId', 'requesterSlot', 'timestamp'],
@@ -103,16 +140,127 @@ export const MESSAGE_SCHEMAS = Object.freeze({
 
   // Phase 2A: Server-authority message schemas
   [MSG.SERVER_SNAPSHOT]: ['type', 'version', 'tick', 'serverTimeMs', 'units'],
-  // units: [{id, ownerSlot, modelIndex, px,py,pz, qx,qy,qz,qw, heading, speed, state, hp, mode, altitude}]
+  // units: [{id, ownerSlot, modelIndex, px,py,pz, qx,qy,qz,qw, heading, speed, state, hp, disabled, mode, altitude}]
+  // hits: [{shooterId, targetId, damage, hp}] and kills: [{shooterId, targetId}] are optional (present only on ticks with combat)
+  // piles: [{id, px, py, pz, amount}] and removedPiles: [id] are optional (piles changed by mining/pickup this tick)
+  // depots: [{id, ownerSlot, px, py, pz, inventory}] is optional (depots that received cargo this tick)
+  // transport-capable units also carry cargo and cargoFactor (movement slowdown multiplier)
+  // terrainStamps: [{center, targetHeight, step, radius, smoothing}] is optional (Terrain Shaping edits, replay in order)
+  // carried units also carry carriedBy (carrier ID); carriers with a load carry carrying (carried unit ID)
+  // Interest management: units holds only the receiving slot's units + enemies it sees;
+  // hits / kills only involving those units (shooterId null if the shooter is unseen); piles, removedPiles,
+  // depots and terrainStamps only where the slot sees them (own depots always)
+  // visEnter: [unitId] and visLeave: [unitId] are optional (enemies entering / leaving view this tick)
+  // inputSeqs: {slot: seq} is optional (last MOVE_INPUT seq processed per slot; filtered: own slot only)
 
   [MSG.MOVE_INPUT]: ['type', 'forward', 'backward', 'left', 'right', 'timestamp'],
   // unitId is optional (multi-unit control); omitted = first unit owned by sender
+  // seq is optional (client prediction: increasing input sequence number, acked via SERVER_SNAPSHOT.inputSeqs)
 
   [MSG.SPAWN_MANIFEST]: ['type', 'units', 'timestamp'],
-  // units: [{id, ownerSlot, modelIndex, px, py, pz}]
+  // units: [{id, ownerSlot, modelIndex, px, py, pz, blueprint?: {id, allocations, subAllocations}}]
 
-  [MSG.PATH_DATA]: ['type', 'unitId', 'waypoints', 'timestamp']
+  [MSG.PATH_DATA]: ['type', 'unitId', 'waypoints', 'timestamp'],
   // waypoints: [{x,y,z}...]
+
+  [MSG.MOVE_TO]: ['type', 'unitId', 'goal', 'timestamp'],
+  // goal: {x,y,z} world position; rejected if inside a rock or under water
+
+  [MSG.ATTACK_TARGET]: ['type', 'unitId', 'targetUnitId', 'timestamp'],
+  // targetUnitId: number, or null to cease fire
+  // renderTimeMs is optional (lag compensation: server time the client was rendering)
+
+  [MSG.PICKUP_UNIT]: ['type', 'unitId', 'targetUnitId', 'timestamp'],
+  // unitId: carrier, targetUnitId: friendly unit to carry
+  // renderTimeMs is optional (lag compensation: server time the client was rendering)
+
+  [MSG.DROP_UNIT]: ['type', 'unitId', 'timestamp'],
+  // px, py, pz are optional (drop point); omitted = just ahead of the carrier
+
+  [MSG.SCAN_REVEAL]: ['type', 'tick', 'deposits', 'stamps', 'timestamp'],
+  // deposits: [{id, px, py, pz, cx, cy, cz, radius}] first time the slot discovers each deposit
+  // stamps: [{depositId, x, y, z, r}] new scan spheres; render deposit ∩ union(stamps)
+  // full: true replaces the client's discovery (late join / reconnect)
+
+  [MSG.TERRAIN_STATE]: ['type', 'tick', 'terrain', 'timestamp'],
+  // terrain: TerrainDeltaLayer.serialize() after tick; replaces the client's edits (later terrainStamps apply on top)
+
+  [MSG.SERVER_SNAPSHOT_BIN]: ['type', 'tick', 'baseTick', 'data'],
+  // data: base64 of encodeServerSnapshotBinary(); baseTick: delta baseline tick, or null for a keyframe
+
+  [MSG.SNAPSHOT_ACK]: ['type', 'tick', 'timestamp'],
+  // tick: newest snapshot applied; -1 requests a keyframe (baseline lost)
+
+  [MSG.JOIN_TOKEN]: ['type', 'roomId', 'slot', 'token', 'timestamp'],
+  // token: opaque; sent with every subscribe / broadcast on asterobia:session:<roomId> (WsRelay checks it)
+
+  [MSG.PLAYER_CONNECTION]: ['type', 'slot', 'status', 'timestamp'],
+  // status: PLAYER_CONNECTION_STATUS (reconnecting = inside the relay's resume grace window)
+
+  // Sent on asterobia:spectate:<roomId>; SERVER_SNAPSHOTs there are full (unfiltered) and delayMs old
+  [MSG.SPECTATE_REQ]: ['type', 'roomId', 'displayName', 'timestamp'],
+
+  [MSG.SPECTATE_ACK]: ['type', 'roomId', 'accepted', 'delayMs', 'rockSeed', 'reason', 'timestamp'],
+  // accepted: boolean; delayMs / rockSeed: null when refused; reason: SPECTATE_REJECT_REASON (null when accepted)
+  // terrain is optional (accepted only): TerrainDeltaLayer.serialize() as of the delayed stream, before its next snapshot
+
+  // Lobby: requestId is chosen by the client and echoed in the reply
+  [MSG.LOBBY_CREATE]: ['type', 'requestId', 'settings', 'timestamp'],
+  // settings: {name?, maxPlayers?, terrainSeed?: uint32, physics?: boolean, public?: boolean}; omitted = server default
+
+  [MSG.LOBBY_CREATED]: ['type', 'requestId', 'roomId', 'joinCode', 'settings', 'timestamp'],
+  // settings: the room's effective {name, maxPlayers, terrainSeed, physics, public}
+
+  [MSG.LOBBY_LIST]: ['type', 'requestId', 'timestamp'],
+
+  [MSG.LOBBY_ROOMS]: ['type', 'requestId', 'rooms', 'timestamp'],
+  // rooms: [{joinCode, name, hostDisplayName, players, maxPlayers, state, physics}] (public rooms whose host is connected)
+
+  [MSG.LOBBY_JOIN]: ['type', 'requestId', 'joinCode', 'timestamp'],
+
+  [MSG.LOBBY_JOINED]: ['type', 'requestId', 'roomId', 'joinCode', 'settings', 'timestamp'],
+
+  [MSG.LOBBY_ERROR]: ['type', 'requestId', 'reason', 'timestamp']
+  // reason: LOBBY_ERROR_REASON
+});
+
+/**
+ * Join codes: JOIN_CODE_LENGTH characters from JOIN_CODE_ALPHABET (no 0/O, 1/I/L),
+ * issued by the server in LOBBY_CREATED. Typed codes are matched case-insensitively.
+ */
+export const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 5;
+
+/** Longest HOST_ANNOUNCE hostSecret the server accepts */
+export const MAX_HOST_SECRET_LENGTH = 128;
+
+/**
+ * LOBBY_ERROR reasons
+ */
+export const LOBBY_ERROR_REASON = Object.freeze({
+  INVALID_REQUEST: 'INVALID_REQUEST',  // Malformed settings or join code
+  NOT_FOUND: 'NOT_FOUND',              // No room with this join code
+  ROOM_FULL: 'ROOM_FULL',              // Room has maxPlayers players
+  HOST_NOT_READY: 'HOST_NOT_READY',    // Host has not connected to the room yet
+  SERVER_FULL: 'SERVER_FULL'           // Server room limit reached
+});
+
+/**
+ * PLAYER_CONNECTION statuses (same values as SessionState PlayerStatus)
+ */
+export const PLAYER_CONNECTION_STATUS = Object.freeze({
+  ACTIVE: 'active',                    // Resumed: same slot, subscriptions and seats
+  RECONNECTING: 'reconnecting',        // Socket dropped, slot held for the resume grace window
+  DISCONNECTED: 'disconnected'         // Gone (window over or no resume): seats are released
+});
+
+/**
+ * SPECTATE_ACK refusal reasons
+ */
+export const SPECTATE_REJECT_REASON = Object.freeze({
+  NOT_FOUND: 'NOT_FOUND',              // No running room with this id
+  SPECTATORS_FULL: 'SPECTATORS_FULL',  // Room has maxSpectators spectators (0 = spectating disabled)
+  PLAYER_IN_ROOM: 'PLAYER_IN_ROOM'     // Players cannot watch their own room with full visibility
 });
 
 /**
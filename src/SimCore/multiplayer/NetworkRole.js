@@ -1,7 +1,7 @@
 /**
  * NetworkRole.js - R013 Multiplayer Network Role Enum
  *
- * Defines the three possible roles for a client in multiplayer.
+ * Defines the possible roles for a client in multiplayer.
  * Reference: docs/specs/R013_MULTIPLAYER_HANDSHAKE_HOST_AUTHORITY.md Section 2.3
  */
 
@@ -11,11 +11,14 @@
  * OFFLINE - Not connected to any multiplayer session
  * HOST - Running authoritative simulation, broadcasting state
  * GUEST - Receiving state from host, sending inputs only
+ * SPECTATOR - Watching a server room: no slot, no seats, no inputs;
+ *   receives delayed full-visibility snapshots on the room's spectate channel
  */
 export const NetworkRole = Object.freeze({
   OFFLINE: 'OFFLINE',
   HOST: 'HOST',
-  GUEST: 'GUEST'
+  GUEST: 'GUEST',
+  SPECTATOR: 'SPECTATOR'
 });
 
 /**
@@ -26,7 +29,8 @@ export const NetworkRole = Object.freeze({
 export function isValidRole(role) {
   return role === NetworkRole.OFFLINE ||
          role === NetworkRole.HOST ||
-         role === NetworkRole.GUEST;
+         role === NetworkRole.GUEST ||
+         role === NetworkRole.SPECTATOR;
 }
 
 /**
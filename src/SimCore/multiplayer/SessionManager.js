@@ -9,9 +9,10 @@
 
 import { SessionState, PlayerStatus } from './SessionState.js';
 import { NetworkRole, canStep, sendsInputsToNetwork, broadcastsState } from './NetworkRole.js';
-import { MSG, PROTOCOL_VERSION } from './MessageTypes.js';
-import { createHostAnnounce, createJoinReq, createJoinAckAccepted, createJoinAckRejected, createCmdBatch, createSeatReq, createSeatAck, createSeatReject, createSeatRelease, createHostLeave, createGuestLeave } from './MessageSerializer.js';
+import { MSG, PROTOCOL_VERSION, SNAPSHOT_ENCODING, PLAYER_CONNECTION_STATUS } from './MessageTypes.js';
+import { createHello, createMoveTo, createSnapshotAck, createResyncReq, createResyncAck, createPing, createPong, decodeServerSnapshotBin, MessageValidationError, createHostAnnounce, createJoinReq, createJoinAckAccepted, createJoinAckRejected, createCmdBatch, createSeatReq, createSeatAck, createSeatReject, createSeatRelease, createHostLeave, createGuestLeave, createLobbyCreate, createLobbyList, createLobbyJoin, createSpectateReq } from './MessageSerializer.js';
 import { globalCommandQueue, CommandType } from '../runtime/CommandQueue.js';
+import { hashState } from '../runtime/StateSurface.js';
 // NOTE: Do NOT import 'three' here - SessionManager runs in Node tests.
 // Vector3 reconstruction happens in Game.js via onPositionSync callback.
 
@@ -21,6 +22,13 @@ import { globalCommandQueue, CommandType } from '../runtime/CommandQueue.js';
 const LOBBY_CHANNEL = 'asterobia:lobby';
 const ANNOUNCE_INTERVAL_MS = 5000;
 
+// Lobby requests are answered by the authoritative server (GameServer)
+const LOBBY_REQUEST_TIMEOUT_MS = 5000;
+
+// Spectators: server-only channel per room, SPECTATE_ACK from the GameServer
+const SPECTATE_CHANNEL_PREFIX = 'asterobia:spectate:';
+const SPECTATE_REQUEST_TIMEOUT_MS = 5000;
+
 // M05: Discovery constants
 const STALE_HOST_TIMEOUT_MS = 15000;  // 3 missed announces = stale
 const MAX_AVAILABLE_HOSTS = 50;
@@ -33,6 +41,19 @@ const SNAPSHOT_MAX_SIZE = 100000;   // 100KB hard limit
 const CMD_BATCH_TICK_BUFFER = 2;    // scheduledTick = simTick + BUFFER
 const CMD_BATCH_STALE_THRESHOLD = 10; // Drop batches older than 10 ticks
 
+// Desync recovery: RESYNC_REQ on stateHash mismatch, host answers with RESYNC_ACK
+const STATE_HASH_HISTORY = 8;        // Local hashes kept for late host hashes (sampled every 60 ticks)
+const RESYNC_TIMEOUT_MS = 5000;      // Guest: re-request if no RESYNC_ACK arrives
+const RESYNC_COOLDOWN_MS = 2000;     // Host: min gap between snapshots for one guest
+const RESYNC_CMD_LOG_TICKS = 200;    // Host: CMD_BATCH history kept for RESYNC_ACK
+
+// M12: Connection quality (PING/PONG between host, guests and the server)
+const PING_INTERVAL_MS = 2000;
+const PING_TIMEOUT_MS = 5000;        // Unanswered after this = lost
+const PING_LOSS_WINDOW = 30;         // Recent pings used for loss stats
+const CLOCK_SYNC_SAMPLES = 8;        // Offset of the lowest-RTT sample wins (NTP-style)
+const SERVER_PEER_ID = 'server';     // responderId of the authoritative GameServer
+
 // M07 GAP-3: Limits
 const MAX_COMMANDS_PER_BATCH = 50;
 const MAX_QUEUE_SIZE = 200;
@@ -148,11 +169,30 @@ export class SessionManager {
     this.pingSeq = 0;
 
     /**
-     * Pending pings awaiting PONG response
+     * Pending pings awaiting PONG response (seq -> local send time)
      * @type {Map<number, number>}
      */
     this.pendingPings = new Map();
 
+    /**
+     * Recent pings for loss stats (newest PING_LOSS_WINDOW)
+     * @type {Array<{seq: number, sentAt: number}>}
+     */
+    this._pingHistory = [];
+
+    /**
+     * Link quality per PONG responder (host/guest userId, or 'server')
+     * @type {Map<string, Object>}
+     */
+    this._peerLinks = new Map();
+
+    /**
+     * Callback with the server clock offset (server - local, ms) and the RTT
+     * of the sample it came from, after each server PONG
+     * @type {Function|null}
+     */
+    this.onClockSync = null;
+
     /**
      * Callback when host list updates (for UI)
      * @type {Function|null}
@@ -165,6 +205,13 @@ export class SessionManager {
      */
     this.onConnectionStateChanged = null;
 
+    /**
+     * Callback when the server sent our session channel join token
+     * (frames sent before it were dropped by the relay)
+     * @type {Function|null}
+     */
+    this.onJoinToken = null;
+
     /**
      * Snapshot broadcast interval in ticks
      * @type {number}
@@ -177,6 +224,42 @@ export class SessionManager {
      */
     this._sessionChannel = null;
 
+    /**
+     * Secret sent with session-channel HOST_ANNOUNCEs (generated on first use)
+     * @type {string|null}
+     */
+    this._hostSecret = null;
+
+    /**
+     * Spectate channel (asterobia:spectate:{roomId}) while spectating, else null
+     * @type {string|null}
+     */
+    this._spectateChannel = null;
+
+    /**
+     * Spectator snapshot delay announced in SPECTATE_ACK (ms)
+     * @type {number}
+     */
+    this.spectatorDelayMs = 0;
+
+    /**
+     * SPECTATE_REQ awaiting its SPECTATE_ACK
+     * @type {{roomId: string, resolve: Function, reject: Function, timeoutId: number}|null}
+     */
+    this._pendingSpectate = null;
+
+    /**
+     * SERVER_SNAPSHOT encoding the server picked for this client (HELLO reply)
+     * @type {string}
+     */
+    this._snapshotEncoding = SNAPSHOT_ENCODING.JSON;
+
+    /**
+     * Newest SERVER_SNAPSHOT_BIN tick acknowledged (-1 = none / keyframe requested)
+     * @type {number}
+     */
+    this._lastSnapshotAckTick = -1;
+
     /**
      * M06: Join request queue for sequential processing (M06-R01 mitigation)
      * @type {Array}
@@ -189,6 +272,18 @@ export class SessionManager {
      */
     this._processingJoin = false;
 
+    /**
+     * Pending lobby requests awaiting the server reply, by requestId
+     * @type {Map<string, {resolve: Function, reject: Function, timeoutId: number}>}
+     */
+    this._lobbyRequests = new Map();
+
+    /**
+     * Lobby request sequence counter
+     * @type {number}
+     */
+    this._lobbyRequestSeq = 0;
+
     // M04 Debug: announce tick evidence (dev-only, no sim mutation)
     this._debugAnnounceTickCount = 0;
     this._debugLastAnnounceAt = null;
@@ -212,9 +307,31 @@ export class SessionManager {
       seatReqCount: 0,        // Total SEAT_REQ received
       seatAckCount: 0,        // Total SEAT_ACK sent/received
       seatRejectCount: 0,     // Total SEAT_REJECT sent
-      seatCooldownHitCount: 0 // Cooldowns triggered
+      seatCooldownHitCount: 0, // Cooldowns triggered
+      // Desync recovery counters
+      desyncDetectedCount: 0, // Guest: stateHash mismatches
+      resyncReqSentCount: 0,  // Guest: RESYNC_REQ sent
+      resyncAckSentCount: 0,  // Host: RESYNC_ACK sent
+      resyncAckTooLargeCount: 0, // Host: RESYNC_ACK over SNAPSHOT_MAX_SIZE, not sent
+      resyncAppliedCount: 0   // Guest: RESYNC_ACK snapshots applied
     };
 
+    // Desync detection (Guest-side)
+    /** @type {Map<number, string>} Local stateHash by tick (newest STATE_HASH_HISTORY) */
+    this._localStateHashes = new Map();
+    /** @type {Map<number, string>} Host stateHash for ticks we have not reached yet */
+    this._pendingHostHashes = new Map();
+    /** @type {number} Newest tick whose hash was compared against the host */
+    this._lastVerifiedHashTick = -1;
+    /** @type {number|null} Timestamp of the RESYNC_REQ awaiting its RESYNC_ACK */
+    this._resyncRequestedAt = null;
+
+    // Desync recovery (Host-side)
+    /** @type {Array<{batchSeq: number, scheduledTick: number, commands: Array}>} Recent CMD_BATCH contents */
+    this._cmdBatchLog = [];
+    /** @type {Map<string, number>} Last RESYNC_ACK time per guestId */
+    this._resyncCooldowns = new Map();
+
     // M07 GAP-0: Seat cooldown tracking (Host-side)
     // Key: `${requesterSlot}_${targetUnitId}`, Value: { until: timestamp, level: 0-3 }
     this._seatCooldowns = new Map();
@@ -231,6 +348,7 @@ export class SessionManager {
 
     // Bind methods for callbacks
     this._onTransportMessage = this._onTransportMessage.bind(this);
+    this._onTransportStatus = this._onTransportStatus.bind(this);
   }
 
   /**
@@ -245,6 +363,11 @@ export class SessionManager {
       transport.onMessage(this._onTransportMessage);
     }
 
+    // Resumable transports (WebSocketTransport) report drops and resumes
+    if (transport && typeof transport.onConnectionStatus === 'function') {
+      transport.onConnectionStatus(this._onTransportStatus);
+    }
+
     console.log('[SessionManager] Transport set:', transport ? transport.constructor.name : 'null');
   }
 
@@ -300,6 +423,9 @@ export class SessionManager {
 
         // Send immediate first announce
         await this.sendAnnounce();
+
+        // Offer binary snapshots to the authoritative server (if any)
+        await this._sendHello();
         // M04 debug evidence (dev-only)
         if (this.game._isDevMode) {
           this._debugAnnounceTickCount = 1;
@@ -361,6 +487,7 @@ export class SessionManager {
       sessionName: this.sessionName,
       hostDisplayName: hostPlayer?.displayName || this.game.playerName || 'Host',
       mapSeed: this.game.mapSeed || 'default-seed',
+      rockSeed: this.game.rockSystem?.params.seed,
       simTick: this.game.simLoop?.tickCount || 0,
       currentPlayers: this.state.players.length,
       maxPlayers: this.state.maxPlayers
@@ -373,8 +500,12 @@ export class SessionManager {
       // Guests can track host presence for host-leave resilience.
       // Without this, Guests that are NOT on the lobby channel would never
       // receive HOST_ANNOUNCE and would falsely trigger host migration.
+      // Only this copy carries the host secret: an authoritative server keeps
+      // its hash (stripping it before relaying) and lets only this host
+      // reclaim the room after a restart.
       if (this._sessionChannel) {
-        await this.transport.broadcastToChannel(this._sessionChannel, msg);
+        if (!this._hostSecret) this._hostSecret = this._generateClientId();
+        await this.transport.broadcastToChannel(this._sessionChannel, { ...msg, hostSecret: this._hostSecret });
       }
 
       console.log(`[SessionManager] HOST_ANNOUNCE sent (tick: ${msg.simTick}, players: ${msg.currentPlayers}/${msg.maxPlayers})`);
@@ -445,7 +576,8 @@ export class SessionManager {
         seq: entry.seq,
         command: entry.command
       })),
-      stateHash: this.game._lastStateHash || null  // Slice 2: determinism verification
+      stateHash: this.game._lastStateHash || null,  // Slice 2: determinism verification
+      stateHashTick: this.game._lastStateHashTick ?? null
     });
 
     try {
@@ -454,6 +586,9 @@ export class SessionManager {
       // Update debug counters
       this._debugCounters.batchSentCount++;
 
+      // Keep the batch for RESYNC_ACK command logs
+      this._recordCmdBatch(batch, currentTick);
+
       // Log for HU-TEST evidence
       console.log(`[SM] CMD_BATCH sent: seq=${batch.batchSeq}, tick=${currentTick}->${scheduledTick}, cmds=${cmdsToSend.length}`);
 
@@ -553,9 +688,10 @@ export class SessionManager {
    * Called at ~20Hz by Game.js when in mirror mode.
    * @param {Object} keys - { forward, backward, left, right } booleans
    * @param {number} [unitId] - Optional target unit ID (seated/selected unit)
+   * @param {number} [seq] - Prediction sequence number (MovePredictor), acked in SERVER_SNAPSHOT.inputSeqs
    * @returns {Promise<void>}
    */
-  async sendMoveInput(keys, unitId) {
+  async sendMoveInput(keys, unitId, seq) {
     if (this.state.isOffline()) return;
     if (!this.transport || !this._sessionChannel) return;
 
@@ -571,6 +707,9 @@ export class SessionManager {
     if (unitId != null) {
       msg.unitId = unitId;
     }
+    if (seq != null) {
+      msg.seq = seq;
+    }
 
     try {
       await this.transport.broadcastToChannel(this._sessionChannel, msg);
@@ -613,6 +752,140 @@ export class SessionManager {
     }
   }
 
+  /**
+   * Send MOVE_TO to server: goal only, the server plans the route with its
+   * own navmesh (same zone rules as PathPlanner) and runs path-follow.
+   *
+   * @param {number} unitId - Target unit ID (must be owned by sender)
+   * @param {{x:number,y:number,z:number}} goal - Destination (world position)
+   * @returns {Promise<void>}
+   */
+  async sendMoveTo(unitId, goal) {
+    if (this.state.isOffline()) return;
+    if (!this.transport || !this._sessionChannel) return;
+
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, createMoveTo({ unitId, goal }));
+      this._debugCounters.moveToSentCount = (this._debugCounters.moveToSentCount || 0) + 1;
+    } catch (err) {
+      if (this.game._isDevMode) {
+        console.warn('[SessionManager] sendMoveTo failed:', err.message);
+      }
+    }
+  }
+
+  /**
+   * WPN_SHOOT: Send ATTACK_TARGET to server.
+   * The server keeps firing at the target (range + cooldown checked per tick)
+   * until the target dies or a new order arrives. Hits and kills come back
+   * in SERVER_SNAPSHOT. Carries the client's render time so the server can
+   * judge range against what this client saw (lag compensation).
+   *
+   * @param {number} unitId - Shooter unit ID (must be owned by sender)
+   * @param {number|null} targetUnitId - Target unit ID, or null to cease fire
+   * @returns {Promise<void>}
+   */
+  async sendAttackTarget(unitId, targetUnitId) {
+    if (this.state.isOffline()) return;
+    if (!this.transport || !this._sessionChannel) return;
+
+    const msg = {
+      type: 'ATTACK_TARGET',
+      unitId,
+      targetUnitId: targetUnitId ?? null,
+      timestamp: Date.now()
+    };
+    const renderTimeMs = this._clientRenderTimeMs();
+    if (renderTimeMs !== null) msg.renderTimeMs = renderTimeMs;
+
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, msg);
+      this._debugCounters.attackTargetSentCount = (this._debugCounters.attackTargetSentCount || 0) + 1;
+    } catch (err) {
+      if (this.game._isDevMode) {
+        console.warn('[SessionManager] sendAttackTarget failed:', err.message);
+      }
+    }
+  }
+
+  /**
+   * UNIT_CARRIER: Send PICKUP_UNIT to server.
+   * The carried unit shows up in SERVER_SNAPSHOT with carriedBy set.
+   * Pickup range is judged against the target as rendered here (lag compensation).
+   *
+   * @param {number} unitId - Carrier unit ID (must be owned by sender)
+   * @param {number} targetUnitId - Friendly unit to carry
+   * @returns {Promise<void>}
+   */
+  async sendPickupUnit(unitId, targetUnitId) {
+    if (this.state.isOffline()) return;
+    if (!this.transport || !this._sessionChannel) return;
+
+    const msg = {
+      type: 'PICKUP_UNIT',
+      unitId,
+      targetUnitId,
+      timestamp: Date.now()
+    };
+    const renderTimeMs = this._clientRenderTimeMs();
+    if (renderTimeMs !== null) msg.renderTimeMs = renderTimeMs;
+
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, msg);
+      this._debugCounters.carrierSentCount = (this._debugCounters.carrierSentCount || 0) + 1;
+    } catch (err) {
+      if (this.game._isDevMode) {
+        console.warn('[SessionManager] sendPickupUnit failed:', err.message);
+      }
+    }
+  }
+
+  /**
+   * Lag compensation: the server time this client is rendering
+   * (SnapshotBuffer clock offset minus interpolation delay), or null before
+   * the first SERVER_SNAPSHOT.
+   *
+   * @returns {number|null}
+   * @private
+   */
+  _clientRenderTimeMs() {
+    const buffer = this.game?._snapshotBuffer;
+    if (!buffer || buffer.size === 0) return null;
+    return Math.round(buffer.getRenderTimeMs());
+  }
+
+  /**
+   * UNIT_CARRIER: Send DROP_UNIT to server.
+   *
+   * @param {number} unitId - Carrier unit ID (must be owned by sender)
+   * @param {{x:number, y:number, z:number}} [point] - Drop point (default: just ahead of the carrier)
+   * @returns {Promise<void>}
+   */
+  async sendDropUnit(unitId, point) {
+    if (this.state.isOffline()) return;
+    if (!this.transport || !this._sessionChannel) return;
+
+    const msg = {
+      type: 'DROP_UNIT',
+      unitId,
+      timestamp: Date.now()
+    };
+    if (point) {
+      msg.px = point.x;
+      msg.py = point.y;
+      msg.pz = point.z;
+    }
+
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, msg);
+      this._debugCounters.carrierSentCount = (this._debugCounters.carrierSentCount || 0) + 1;
+    } catch (err) {
+      if (this.game._isDevMode) {
+        console.warn('[SessionManager] sendDropUnit failed:', err.message);
+      }
+    }
+  }
+
   /**
    * M07: Add input command to buffer (Host-side)
    * Called when Host receives INPUT_CMD from guests or local input.
@@ -713,6 +986,197 @@ export class SessionManager {
     return this._discoveryActive;
   }
 
+  // ========================================
+  // LOBBY (SERVER ROOM DIRECTORY)
+  // ========================================
+
+  /**
+   * Ask the game server for a new room (replaces client-picked room codes).
+   * The caller hosts it afterwards: set game.clientId = roomId, then hostGame().
+   * @param {Object} [settings] - { name, maxPlayers, terrainSeed, physics, public }
+   * @returns {Promise<{roomId: string, joinCode: string, settings: Object}>}
+   */
+  async createRoom(settings = {}) {
+    const reply = await this._lobbyRequest(requestId => createLobbyCreate({ requestId, settings }));
+    this._adoptLobbySettings(reply.settings);
+    return { roomId: reply.roomId, joinCode: reply.joinCode, settings: reply.settings };
+  }
+
+  /**
+   * List the server's public rooms.
+   * @returns {Promise<Array<Object>>} { joinCode, name, hostDisplayName, players, maxPlayers, state, physics }
+   */
+  async listRooms() {
+    const reply = await this._lobbyRequest(requestId => createLobbyList({ requestId }));
+    return reply.rooms;
+  }
+
+  /**
+   * Resolve a join code and join the room it names.
+   * @param {string} joinCode - Code shown to the room's host
+   * @returns {Promise<boolean>} joinGame() result
+   */
+  async joinByCode(joinCode) {
+    const reply = await this._lobbyRequest(requestId => createLobbyJoin({ requestId, joinCode }));
+    this._adoptLobbySettings(reply.settings);
+    // The lobby was only needed for the lookup
+    if (!this._discoveryActive && typeof this.transport.leaveChannel === 'function') {
+      this.transport.leaveChannel(LOBBY_CHANNEL).catch(() => {});
+    }
+    return this.joinGame(reply.roomId);
+  }
+
+  /**
+   * Send a lobby request and wait for the server reply with the same requestId.
+   * @param {Function} build - requestId => message
+   * @returns {Promise<Object>} LOBBY_CREATED / LOBBY_ROOMS / LOBBY_JOINED message
+   * @private
+   */
+  async _lobbyRequest(build) {
+    if (!this.transport || typeof this.transport.joinChannel !== 'function') {
+      throw new Error('No transport available for lobby');
+    }
+    if (!this.transport.isJoinedToChannel?.(LOBBY_CHANNEL)) {
+      await this.transport.joinChannel(LOBBY_CHANNEL, (msg) => this.onMessage(msg));
+    }
+
+    const requestId = `${this.game.clientId || 'lobby'}-${++this._lobbyRequestSeq}`;
+    const msg = build(requestId);
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        this._lobbyRequests.delete(requestId);
+        reject(new Error('Lobby request timed out (no game server?)'));
+      }, LOBBY_REQUEST_TIMEOUT_MS);
+      this._lobbyRequests.set(requestId, { resolve, reject, timeoutId });
+
+      this.transport.broadcastToChannel(LOBBY_CHANNEL, msg).catch(err => {
+        clearTimeout(timeoutId);
+        this._lobbyRequests.delete(requestId);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Settle the pending lobby request a server reply belongs to.
+   * Replies to other clients' requests are ignored.
+   * @param {Object} msg - LOBBY_CREATED / LOBBY_ROOMS / LOBBY_JOINED / LOBBY_ERROR
+   * @private
+   */
+  _handleLobbyReply(msg) {
+    const pending = this._lobbyRequests.get(msg.requestId);
+    if (!pending) return;
+    this._lobbyRequests.delete(msg.requestId);
+    clearTimeout(pending.timeoutId);
+
+    if (msg.type === MSG.LOBBY_ERROR) {
+      const err = new Error(`Lobby request failed: ${msg.reason}`);
+      err.reason = msg.reason;
+      pending.reject(err);
+      return;
+    }
+    pending.resolve(msg);
+  }
+
+  /**
+   * Apply room settings chosen on the server (terrain seed, player count).
+   * @param {Object} settings - LobbySettings from LOBBY_CREATED / LOBBY_JOINED
+   * @private
+   */
+  _adoptLobbySettings(settings) {
+    if (!settings) return;
+    if (settings.terrainSeed !== null && settings.terrainSeed !== undefined) {
+      this.game.rockSystem?.setSeed(settings.terrainSeed);
+    }
+    if (Number.isInteger(settings.maxPlayers)) {
+      this.state.maxPlayers = settings.maxPlayers;
+    }
+  }
+
+  // ========================================
+  // SPECTATOR OPERATIONS
+  // ========================================
+
+  /**
+   * Watch a server room without taking a slot or seats. The server sends
+   * full-visibility SERVER_SNAPSHOTs on the room's spectate channel,
+   * spectatorDelayMs behind the live game.
+   * @param {string} roomId - Room to watch (the host's session id)
+   * @returns {Promise<{roomId: string, delayMs: number}>} Resolves on an accepting SPECTATE_ACK
+   */
+  async spectateGame(roomId) {
+    if (!roomId) {
+      throw new Error('Room ID is required');
+    }
+
+    if (!this.state.isOffline()) {
+      throw new Error('Already in a session. Call leaveGame() first.');
+    }
+
+    if (!this.transport || typeof this.transport.joinChannel !== 'function') {
+      throw new Error('No transport available for spectating');
+    }
+
+    const channel = `${SPECTATE_CHANNEL_PREFIX}${roomId}`;
+    await this.transport.joinChannel(channel, (msg) => this.onMessage(msg));
+
+    let ack;
+    try {
+      ack = await new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+          this._pendingSpectate = null;
+          reject(new Error('Spectate request timed out (no game server?)'));
+        }, SPECTATE_REQUEST_TIMEOUT_MS);
+        this._pendingSpectate = { roomId, resolve, reject, timeoutId };
+
+        const req = createSpectateReq({ roomId, displayName: this.game.playerName || 'Spectator' });
+        this.transport.broadcastToChannel(channel, req).catch(err => {
+          clearTimeout(timeoutId);
+          this._pendingSpectate = null;
+          reject(err);
+        });
+      });
+    } catch (err) {
+      this.transport.leaveChannel?.(channel).catch(() => {});
+      throw err;
+    }
+
+    this._spectateChannel = channel;
+    this.spectatorDelayMs = ack.delayMs;
+    this.state.setAsSpectator(roomId);
+    if (ack.rockSeed !== null && ack.rockSeed !== undefined) {
+      this.game.rockSystem?.setSeed(ack.rockSeed);
+    }
+    if (ack.terrain) {
+      this.game.applyTerrainState?.(ack.terrain);
+    }
+
+    this._notifyConnectionStateChanged('SPECTATING');
+    console.log(`[SessionManager] Spectating room ${roomId} (${ack.delayMs} ms delay)`);
+    return { roomId, delayMs: ack.delayMs };
+  }
+
+  /**
+   * Settle the pending spectateGame() with the server's SPECTATE_ACK.
+   * @param {Object} msg - SPECTATE_ACK message
+   * @private
+   */
+  _handleSpectateAck(msg) {
+    const pending = this._pendingSpectate;
+    if (!pending || msg.roomId !== pending.roomId) return;
+    this._pendingSpectate = null;
+    clearTimeout(pending.timeoutId);
+
+    if (!msg.accepted) {
+      const err = new Error(`Spectate request refused: ${msg.reason}`);
+      err.reason = msg.reason;
+      pending.reject(err);
+      return;
+    }
+    pending.resolve(msg);
+  }
+
   // ========================================
   // GUEST OPERATIONS
   // ========================================
@@ -756,6 +1220,9 @@ export class SessionManager {
       throw err;
     }
 
+    // Offer binary snapshots to the authoritative server (if any)
+    await this._sendHello();
+
     // R013: Stabilization delay - Supabase Realtime needs a brief moment after
     // SUBSCRIBED status before broadcast messages reliably propagate to all members.
     // Without this, JOIN_REQ may be sent before the Host's channel sees the Guest.
@@ -893,16 +1360,43 @@ export class SessionManager {
       });
     }
 
+    // Leave spectate channel
+    if (this._spectateChannel && this.transport && typeof this.transport.leaveChannel === 'function') {
+      this.transport.leaveChannel(this._spectateChannel).catch(err => {
+        console.warn('[SessionManager] Failed to leave spectate channel:', err);
+      });
+    }
+    this._spectateChannel = null;
+    this.spectatorDelayMs = 0;
+    if (this._pendingSpectate) {
+      clearTimeout(this._pendingSpectate.timeoutId);
+      this._pendingSpectate.reject(new Error('Session left'));
+      this._pendingSpectate = null;
+    }
+
     // M06: Clear session channel and join queue
     this._sessionChannel = null;
     this._joinQueue = [];
     this._processingJoin = false;
 
+    // Snapshot encoding is renegotiated per session
+    this._snapshotEncoding = SNAPSHOT_ENCODING.JSON;
+    this._lastSnapshotAckTick = -1;
+
     // Clear buffers
     this.inputBuffer = [];
     this.pendingPings.clear();
+    this._pingHistory = [];
+    this._peerLinks.clear();
     this.availableHosts.clear();
 
+    // Drop pending lobby requests
+    for (const pending of this._lobbyRequests.values()) {
+      clearTimeout(pending.timeoutId);
+      pending.reject(new Error('Session left'));
+    }
+    this._lobbyRequests.clear();
+
     // Reset pending join
     if (this.pendingJoin) {
       this.pendingJoin.reject?.(new Error('Session left'));
@@ -914,6 +1408,12 @@ export class SessionManager {
     this._migrationGraceActive = false;
     this._migrationGraceStartedAt = null;
 
+    // Reset desync detection / recovery state
+    this._resetStateHashTracking();
+    this._resyncRequestedAt = null;
+    this._cmdBatchLog = [];
+    this._resyncCooldowns.clear();
+
     // Reset state
     this.state.reset();
     this.sessionName = null;
@@ -1043,6 +1543,47 @@ export class SessionManager {
         this._handleServerSnapshot(msg);
         break;
 
+      case MSG.SERVER_SNAPSHOT_BIN:
+        this._handleServerSnapshotBin(msg);
+        break;
+
+      case MSG.SCAN_REVEAL:
+        this._handleScanReveal(msg);
+        break;
+
+      case MSG.TERRAIN_STATE:
+        this._handleTerrainState(msg);
+        break;
+
+      case MSG.JOIN_TOKEN:
+        this._handleJoinToken(msg);
+        break;
+
+      case MSG.PLAYER_CONNECTION:
+        this._handlePlayerConnection(msg);
+        break;
+
+      case MSG.LOBBY_CREATED:
+      case MSG.LOBBY_ROOMS:
+      case MSG.LOBBY_JOINED:
+      case MSG.LOBBY_ERROR:
+        this._handleLobbyReply(msg);
+        break;
+
+      case MSG.LOBBY_CREATE:
+      case MSG.LOBBY_LIST:
+      case MSG.LOBBY_JOIN:
+        // Requests are answered by the game server, never relayed
+        break;
+
+      case MSG.SPECTATE_ACK:
+        this._handleSpectateAck(msg);
+        break;
+
+      case MSG.SPECTATE_REQ:
+        // Answered by the game server, never relayed
+        break;
+
       default:
         console.warn(`[SessionManager] Unknown message type: ${msg.type}`);
     }
@@ -1051,11 +1592,41 @@ export class SessionManager {
   // ========================================
   // MESSAGE HANDLERS
   // M05/M06: HOST_ANNOUNCE, JOIN_REQ, JOIN_ACK fully implemented
-  // M07+: INPUT_CMD, CMD_BATCH, SNAPSHOT, RESYNC, PING/PONG are minimal stubs
+  // M07+: INPUT_CMD, CMD_BATCH, SNAPSHOT, RESYNC, PING/PONG
   // ========================================
 
   _handleHello(msg) {
     console.log('[SessionManager] HELLO from:', msg.clientId);
+
+    // Authoritative server reply: the SERVER_SNAPSHOT encoding it will use
+    if (msg.clientId === 'server' && msg.snapshotEncoding) {
+      this._snapshotEncoding = msg.snapshotEncoding;
+    }
+
+    // The server answers PINGs: measure RTT and clock offset against it
+    if (msg.clientId === 'server' && (this.state.isHost() || this.state.isGuest())) {
+      this._startPingLoop();
+    }
+  }
+
+  /**
+   * Send HELLO on the session channel, offering binary delta snapshots.
+   * Only the authoritative server answers; without one we stay on JSON.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendHello() {
+    if (!this.transport || !this._sessionChannel) return;
+
+    const msg = createHello(this.game.clientId, {
+      snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA, SNAPSHOT_ENCODING.JSON]
+    });
+
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, msg);
+    } catch (err) {
+      console.warn('[SessionManager] HELLO failed:', err.message);
+    }
   }
 
   /**
@@ -1064,6 +1635,11 @@ export class SessionManager {
    * @param {Object} msg - HOST_ANNOUNCE message
    */
   _handleHostAnnounce(msg) {
+    // Our own host's room configuration: rocks must match the server's
+    if (this.state.isGuest() && msg.hostId === this.state.hostId && msg.rockSeed !== undefined) {
+      this.game.rockSystem?.setSeed(msg.rockSeed);
+    }
+
     // Only process discovery logic if discovery is active
     if (!this._discoveryActive) {
       return;
@@ -1278,6 +1854,9 @@ export class SessionManager {
     const hostDisplayName = hostPlayer?.displayName || this.game.playerName || 'Host';
     await this._sendJoinAck(msg.guestId, true, slot, null, simTick, fullSnapshot, hostDisplayName);
 
+    // Guests answer the host's PINGs
+    this._startPingLoop();
+
     console.log(`[SessionManager] Guest ${msg.displayName} joined as slot ${slot}`);
 
     // Notify Host-side UI that a guest connected (triggers overlay hide, tab refresh)
@@ -1311,7 +1890,8 @@ export class SessionManager {
         assignedSlot: slot,
         simTick,
         fullSnapshot,
-        hostDisplayName
+        hostDisplayName,
+        guestId
       });
     } else {
       msg = createJoinAckRejected(reason);
@@ -1370,6 +1950,8 @@ export class SessionManager {
       this._hostLastSeenAt = Date.now();
       this._startHostAbsenceCheck();
 
+      this._startPingLoop();
+
       this._notifyConnectionStateChanged('CONNECTED');
       console.log(`[SessionManager] Joined as Guest (slot ${msg.assignedSlot})`);
 
@@ -1406,180 +1988,631 @@ export class SessionManager {
       return;
     }
 
-    if (player.userId !== msg.senderId) {
-      console.warn(`[SM] Reject InputCmd: Auth mismatch. Slot ${msg.slot} owned by ${player.userId}, got ${msg.senderId}`);
-      this._debugCounters.cmdRejectedAuth++;
+    if (player.userId !== msg.senderId) {
+      console.warn(`[SM] Reject InputCmd: Auth mismatch. Slot ${msg.slot} owned by ${player.userId}, got ${msg.senderId}`);
+      this._debugCounters.cmdRejectedAuth++;
+      return;
+    }
+
+    // 2. Validate Command Type (Whitelist)
+    if (!msg.command || !Object.values(CommandType).includes(msg.command.type)) {
+      console.warn(`[SM] Reject InputCmd: Invalid type ${msg.command?.type} from Slot ${msg.slot}`);
+      this._debugCounters.cmdRejectedType++;
+      return;
+    }
+
+    // M07 Unit Authority v0: Validate seat authority
+    // If command targets a unit, verify sender has seat on that unit
+    const targetUnitId = msg.command?.unitId;
+    if (targetUnitId !== undefined && targetUnitId !== null) {
+      const unit = this.game.units?.find(u => u && u.id === targetUnitId);
+      if (unit && unit.selectedBySlot !== null && unit.selectedBySlot !== undefined && unit.selectedBySlot !== msg.slot) {
+        console.warn(`[SM] Reject InputCmd: Slot ${msg.slot} not seated on unit ${targetUnitId} (selectedBySlot: ${unit.selectedBySlot})`);
+        this._debugCounters.cmdRejectedAuth++;
+        return;
+      }
+    }
+
+    // UNIT_CARRIER: the carried unit is subject to the same seat rule
+    if (msg.command.type === CommandType.PICKUP_UNIT) {
+      const carriedId = msg.command.targetUnitId;
+      const carried = this.game.units?.find(u => u && u.id === carriedId);
+      if (carried && carried.selectedBySlot !== null && carried.selectedBySlot !== undefined && carried.selectedBySlot !== msg.slot) {
+        console.warn(`[SM] Reject InputCmd: Slot ${msg.slot} cannot pick up unit ${carriedId} seated by slot ${carried.selectedBySlot}`);
+        this._debugCounters.cmdRejectedAuth++;
+        return;
+      }
+    }
+
+    // 3. Validate Sequence (Gap/Dedup)
+    // M07 Policy: Loose (Log warning, but process). Stricter rules in Slice 2.
+    if (this.state.isDuplicateSeq(msg.slot, msg.seq)) {
+      // Just warn for now, but we accept duplicates in loose mode if they are re-transmits
+      // Actually, duplications should probably be ignored to prevent double-execution
+      // But for robust transport testing, let's just log it.
+      // console.warn(`[SM] InputCmd Dup: Slot ${msg.slot} Seq ${msg.seq}`);
+    }
+    
+    // Update last seen
+    if (msg.seq > (this.state.lastSeenSeq[msg.slot] || -1)) {
+        this.state.updateLastSeenSeq(msg.slot, msg.seq);
+    }
+
+    // 4. Batch (Buffer for next tick)
+    // We pass the Host-side ID/Seq preservation requirement implicitly via bufferInputCmd
+    // But actually, msg.id might not exist from Guest (Guest sends InputCmd, Host creates Batch Key).
+    // Guest does NOT send 'id' usually. Host assigns it.
+    this.bufferInputCmd({
+      slot: msg.slot,
+      seq: msg.seq,
+      command: msg.command
+    });
+    
+    // Debug trace (verbose)
+    // console.log(`[SM] Buffered: Slot ${msg.slot} Seq ${msg.seq} Type ${msg.command.type}`);
+  }
+
+  /**
+   * M07: Handle CMD_BATCH message (Guest-side)
+   * Validates batch, checks ordering/staleness, enqueues commands.
+   * @param {Object} msg - CMD_BATCH message
+   */
+  _handleCmdBatch(msg) {
+    // Only Guest processes CMD_BATCH
+    if (!this.state.isGuest()) {
+      return;
+    }
+
+    const currentTick = this.game.simLoop?.tickCount || 0;
+
+    // 1. Validate required fields
+    if (typeof msg.batchSeq !== 'number' || typeof msg.scheduledTick !== 'number') {
+      console.warn('[SM] CMD_BATCH missing required fields (batchSeq/scheduledTick)');
+      return;
+    }
+
+    // 2. Idempotency check: Drop duplicate batches (ORD-01)
+    if (msg.batchSeq <= this._lastReceivedBatchSeq) {
+      this._debugCounters.batchDropDupCount++;
+      console.warn(`[SM] CMD_BATCH dropped (duplicate): batchSeq=${msg.batchSeq} <= last=${this._lastReceivedBatchSeq}`);
+      return;
+    }
+
+    // 3. Gap detection: Warn if we skipped sequence numbers (ORD-02)
+    if (msg.batchSeq > this._lastReceivedBatchSeq + 1) {
+      const gap = msg.batchSeq - this._lastReceivedBatchSeq - 1;
+      console.warn(`[SM] CMD_BATCH gap detected: missed ${gap} batch(es) (expected ${this._lastReceivedBatchSeq + 1}, got ${msg.batchSeq})`);
+      // Slice 1: Log warning and continue (M07 spec: "process anyway")
+    }
+
+    // 4. If batch is for current or past tick, execute immediately (don't drop)
+    if (msg.scheduledTick <= currentTick) {
+      // Late batch - reschedule to next tick instead of dropping
+      msg.scheduledTick = currentTick + 1;
+      if (this.game._isDevMode) {
+        console.warn(`[SM] CMD_BATCH late: rescheduled to tick ${msg.scheduledTick}`);
+      }
+    }
+
+    // 5. Very old batch check: Drop if way behind (ORD-05)
+    if (msg.scheduledTick < currentTick - CMD_BATCH_STALE_THRESHOLD) {
+      this._debugCounters.batchDropStaleCount++;
+      console.warn(`[SM] CMD_BATCH dropped (very stale): scheduledTick=${msg.scheduledTick} < threshold`);
+      return;
+    }
+
+    // 6. Update tracking
+    this._lastReceivedBatchSeq = msg.batchSeq;
+    this._debugCounters.batchRecvCount++;
+
+    // 7. Enqueue commands to CommandQueue with scheduledTick
+    const commands = msg.commands || [];
+
+    // GAP-3: Enforce Queue Limit
+    const cmdQueue = this.game?.commandQueue || globalCommandQueue;
+    if (cmdQueue.pendingCount + commands.length > MAX_QUEUE_SIZE) {
+        console.warn(`[SM] Queue Full! Dropping Batch ${msg.batchSeq} (${commands.length} cmds). Pending: ${cmdQueue.pendingCount}`);
+        this._debugCounters.batchDroppedQueueFull++;
+        return;
+    }
+
+    this._enqueueBatchCommands(cmdQueue, msg.batchSeq, msg.scheduledTick, commands);
+
+    // 8. Slice 2: State hash comparison (RESYNC_REQ on mismatch)
+    if (msg.stateHash && typeof msg.stateHashTick === 'number') {
+      this._compareHostStateHash(msg.stateHashTick, msg.stateHash);
+    }
+
+    // 9. Log for HU-TEST evidence
+    console.log(`[SM] CMD_BATCH recv: seq=${msg.batchSeq}, tick=${msg.simTick}->${msg.scheduledTick}, cmds=${commands.length}, queueSize=${cmdQueue.pendingCount}`);
+  }
+
+  /**
+   * Enqueue Host CMD_BATCH commands (live batch or RESYNC_ACK command log)
+   * @private
+   * @param {Object} cmdQueue - CommandQueue
+   * @param {number} batchSeq - Source batch sequence
+   * @param {number} scheduledTick - Execute-at tick
+   * @param {Array} commands - Batch entries ({ slot, seq, command, id? })
+   */
+  _enqueueBatchCommands(cmdQueue, batchSeq, scheduledTick, commands) {
+    for (const cmdEntry of commands) {
+      // cmdEntry format: { slot, seq, command, id? }
+      const cmd = cmdEntry.command || cmdEntry;
+
+      // Preserve Host-assigned ID if present
+      const enrichedCmd = {
+        ...cmd,
+        id: cmdEntry.id || cmd.id,
+        seq: cmdEntry.seq,
+        slot: cmdEntry.slot,
+        _batchSeq: batchSeq,  // Track source batch
+        _fromHost: true       // Mark as Host-authoritative
+      };
+
+      cmdQueue.enqueue(enrichedCmd, scheduledTick);
+      this._debugCounters.cmdEnqueuedCount++;
+    }
+  }
+
+  _handleSnapshot(msg) {
+    // M11: Guest verifies its state against the host snapshot
+    if (!this.state.isGuest()) {
+      return;
+    }
+    if (typeof msg.simTick !== 'number' || typeof msg.stateHash !== 'string') {
+      return;
+    }
+    this._compareHostStateHash(msg.simTick, msg.stateHash);
+  }
+
+  // ========================================
+  // DESYNC DETECTION & RESYNC (N01)
+  // ========================================
+
+  /**
+   * Record a local stateHash sample (Guest-side, called by Game every 60 ticks).
+   * Compares against a host hash for this tick if one arrived early.
+   * @param {number} tick - Tick the hash was sampled at
+   * @param {string} hash - hashState() of the local state
+   */
+  recordStateHash(tick, hash) {
+    if (!this.state.isGuest()) {
+      return;
+    }
+
+    this._localStateHashes.set(tick, hash);
+    for (const oldTick of this._localStateHashes.keys()) {
+      if (this._localStateHashes.size <= STATE_HASH_HISTORY) break;
+      this._localStateHashes.delete(oldTick);
+    }
+
+    const hostHash = this._pendingHostHashes.get(tick);
+    if (hostHash !== undefined) {
+      this._pendingHostHashes.delete(tick);
+      this._compareHostStateHash(tick, hostHash);
+    }
+    // Host hashes for ticks we passed without sampling can never be compared
+    for (const pendingTick of this._pendingHostHashes.keys()) {
+      if (pendingTick < tick) this._pendingHostHashes.delete(pendingTick);
+    }
+  }
+
+  /**
+   * Compare a host stateHash with the local hash for the same tick (Guest-side).
+   * Host hashes ahead of us wait for recordStateHash(); a mismatch sends RESYNC_REQ.
+   * @private
+   * @param {number} tick - Tick the host sampled the hash at
+   * @param {string} hostHash - Host hashState() result
+   */
+  _compareHostStateHash(tick, hostHash) {
+    if (tick <= this._lastVerifiedHashTick) {
+      return;
+    }
+
+    let localHash = this._localStateHashes.get(tick);
+    const currentTick = this.game.simLoop?.tickCount || 0;
+    if (localHash === undefined && tick === currentTick && typeof this.game.stateSurface?.serialize === 'function') {
+      try {
+        localHash = hashState(this.game.stateSurface.serialize());
+      } catch (err) {
+        console.error('[SessionManager] Failed to hash local state:', err);
+        return;
+      }
+    }
+
+    if (localHash === undefined) {
+      if (tick > currentTick) {
+        this._pendingHostHashes.set(tick, hostHash);
+      }
+      return;
+    }
+
+    this._lastVerifiedHashTick = tick;
+    if (localHash === hostHash) {
+      return;
+    }
+
+    this._debugCounters.desyncDetectedCount++;
+    console.warn(`[SessionManager] StateHash MISMATCH at tick ${tick}! Host: ${hostHash.substring(0, 30)} vs Local: ${localHash.substring(0, 30)}`);
+    this._sendResyncReq(tick, 'HASH_MISMATCH');
+  }
+
+  /**
+   * Send RESYNC_REQ to the host (Guest-side). One request in flight at a time.
+   * @private
+   * @param {number} lastKnownTick - Tick of the detected desync
+   * @param {string} reason - Reason code (e.g. 'HASH_MISMATCH')
+   * @returns {Promise<void>}
+   */
+  async _sendResyncReq(lastKnownTick, reason) {
+    if (!this.transport || !this._sessionChannel) {
+      return;
+    }
+    if (this._resyncRequestedAt !== null && Date.now() - this._resyncRequestedAt < RESYNC_TIMEOUT_MS) {
+      return;
+    }
+
+    const req = createResyncReq({
+      guestId: this._myPeerId(),
+      lastKnownTick,
+      reason
+    });
+
+    this._resyncRequestedAt = Date.now();
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, req);
+      this._debugCounters.resyncReqSentCount++;
+      console.log(`[SessionManager] RESYNC_REQ sent: tick=${lastKnownTick}, reason=${reason}`);
+    } catch (err) {
+      this._resyncRequestedAt = null;
+      console.error('[SessionManager] Failed to send RESYNC_REQ:', err);
+    }
+  }
+
+  /**
+   * Keep a sent CMD_BATCH for RESYNC_ACK command logs (Host-side)
+   * @private
+   * @param {Object} batch - CMD_BATCH message
+   * @param {number} currentTick - Host tick at send time
+   */
+  _recordCmdBatch(batch, currentTick) {
+    this._cmdBatchLog.push({
+      batchSeq: batch.batchSeq,
+      scheduledTick: batch.scheduledTick,
+      commands: batch.commands
+    });
+    const oldestTick = currentTick - RESYNC_CMD_LOG_TICKS;
+    while (this._cmdBatchLog.length > 0 && this._cmdBatchLog[0].scheduledTick < oldestTick) {
+      this._cmdBatchLog.shift();
+    }
+  }
+
+  /**
+   * N01: Host answers RESYNC_REQ with a full snapshot and the command log since it
+   * @param {Object} msg - RESYNC_REQ message
+   * @returns {Promise<void>}
+   */
+  async _handleResyncReq(msg) {
+    if (!this.state.isHost()) {
+      return;
+    }
+
+    const player = this.state.getPlayerByUserId(msg.guestId);
+    if (!player) {
+      console.warn(`[SessionManager] RESYNC_REQ ignored: unknown guest ${msg.guestId}`);
+      return;
+    }
+
+    const lastSentAt = this._resyncCooldowns.get(msg.guestId);
+    if (lastSentAt !== undefined && Date.now() - lastSentAt < RESYNC_COOLDOWN_MS) {
+      console.warn(`[SessionManager] RESYNC_REQ from ${msg.guestId} ignored: cooldown`);
       return;
     }
 
-    // 2. Validate Command Type (Whitelist)
-    if (!msg.command || !Object.values(CommandType).includes(msg.command.type)) {
-      console.warn(`[SM] Reject InputCmd: Invalid type ${msg.command?.type} from Slot ${msg.slot}`);
-      this._debugCounters.cmdRejectedType++;
+    if (typeof this.game.stateSurface?.serializeFull !== 'function') {
+      console.warn('[SessionManager] RESYNC_REQ ignored: no full state serializer');
       return;
     }
 
-    // M07 Unit Authority v0: Validate seat authority
-    // If command targets a unit, verify sender has seat on that unit
-    const targetUnitId = msg.command?.unitId;
-    if (targetUnitId !== undefined && targetUnitId !== null) {
-      const unit = this.game.units?.find(u => u && u.id === targetUnitId);
-      if (unit && unit.selectedBySlot !== null && unit.selectedBySlot !== undefined && unit.selectedBySlot !== msg.slot) {
-        console.warn(`[SM] Reject InputCmd: Slot ${msg.slot} not seated on unit ${targetUnitId} (selectedBySlot: ${unit.selectedBySlot})`);
-        this._debugCounters.cmdRejectedAuth++;
-        return;
-      }
+    let fullSnapshot;
+    try {
+      fullSnapshot = this.game.stateSurface.serializeFull();
+    } catch (err) {
+      console.error('[SessionManager] Resync snapshot failed:', err.name, err.message);
+      return;
     }
 
-    // 3. Validate Sequence (Gap/Dedup)
-    // M07 Policy: Loose (Log warning, but process). Stricter rules in Slice 2.
-    if (this.state.isDuplicateSeq(msg.slot, msg.seq)) {
-      // Just warn for now, but we accept duplicates in loose mode if they are re-transmits
-      // Actually, duplications should probably be ignored to prevent double-execution
-      // But for robust transport testing, let's just log it.
-      // console.warn(`[SM] InputCmd Dup: Slot ${msg.slot} Seq ${msg.seq}`);
+    const simTick = fullSnapshot.simLoop?.tickCount ?? (this.game.simLoop?.tickCount || 0);
+    const commandLog = this._cmdBatchLog.filter(entry => entry.scheduledTick > simTick);
+    const ack = createResyncAck({ simTick, fullSnapshot, commandLog, guestId: msg.guestId });
+
+    const snapshotSize = JSON.stringify(ack).length;
+    if (snapshotSize > SNAPSHOT_WARN_SIZE) {
+      console.warn(`[SessionManager] Resync snapshot large: ${snapshotSize} bytes`);
     }
-    
-    // Update last seen
-    if (msg.seq > (this.state.lastSeenSeq[msg.slot] || -1)) {
-        this.state.updateLastSeenSeq(msg.slot, msg.seq);
+    if (snapshotSize > SNAPSHOT_MAX_SIZE) {
+      console.error(`[SessionManager] Resync snapshot too large: ${snapshotSize} bytes (max: ${SNAPSHOT_MAX_SIZE})`);
+      this._debugCounters.resyncAckTooLargeCount++;
+      return;
     }
 
-    // 4. Batch (Buffer for next tick)
-    // We pass the Host-side ID/Seq preservation requirement implicitly via bufferInputCmd
-    // But actually, msg.id might not exist from Guest (Guest sends InputCmd, Host creates Batch Key).
-    // Guest does NOT send 'id' usually. Host assigns it.
-    this.bufferInputCmd({
-      slot: msg.slot,
-      seq: msg.seq,
-      command: msg.command
-    });
-    
-    // Debug trace (verbose)
-    // console.log(`[SM] Buffered: Slot ${msg.slot} Seq ${msg.seq} Type ${msg.command.type}`);
+    if (!this.transport || !this._sessionChannel) {
+      return;
+    }
+
+    this._resyncCooldowns.set(msg.guestId, Date.now());
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, ack);
+      this._debugCounters.resyncAckSentCount++;
+      console.log(`[SessionManager] RESYNC_ACK sent to ${msg.guestId}: tick=${simTick}, reason=${msg.reason}, batches=${commandLog.length}`);
+    } catch (err) {
+      console.error('[SessionManager] Failed to send RESYNC_ACK:', err);
+    }
   }
 
   /**
-   * M07: Handle CMD_BATCH message (Guest-side)
-   * Validates batch, checks ordering/staleness, enqueues commands.
-   * @param {Object} msg - CMD_BATCH message
+   * N01: Guest rehydrates from RESYNC_ACK and replays the pending command log
+   * @param {Object} msg - RESYNC_ACK message
    */
-  _handleCmdBatch(msg) {
-    // Only Guest processes CMD_BATCH
+  _handleResyncAck(msg) {
     if (!this.state.isGuest()) {
       return;
     }
 
-    const currentTick = this.game.simLoop?.tickCount || 0;
+    if (msg.guestId && msg.guestId !== this._myPeerId()) {
+      return; // Another guest's resync
+    }
 
-    // 1. Validate required fields
-    if (typeof msg.batchSeq !== 'number' || typeof msg.scheduledTick !== 'number') {
-      console.warn('[SM] CMD_BATCH missing required fields (batchSeq/scheduledTick)');
+    if (typeof this.game.stateSurface?.applyFull !== 'function') {
+      console.warn('[SessionManager] RESYNC_ACK ignored: no full state loader');
       return;
     }
 
-    // 2. Idempotency check: Drop duplicate batches (ORD-01)
-    if (msg.batchSeq <= this._lastReceivedBatchSeq) {
-      this._debugCounters.batchDropDupCount++;
-      console.warn(`[SM] CMD_BATCH dropped (duplicate): batchSeq=${msg.batchSeq} <= last=${this._lastReceivedBatchSeq}`);
+    try {
+      this.game.stateSurface.applyFull(msg.fullSnapshot);
+    } catch (err) {
+      console.error('[SessionManager] Failed to apply resync snapshot:', err);
+      this._resyncRequestedAt = null;
       return;
     }
 
-    // 3. Gap detection: Warn if we skipped sequence numbers (ORD-02)
-    if (msg.batchSeq > this._lastReceivedBatchSeq + 1) {
-      const gap = msg.batchSeq - this._lastReceivedBatchSeq - 1;
-      console.warn(`[SM] CMD_BATCH gap detected: missed ${gap} batch(es) (expected ${this._lastReceivedBatchSeq + 1}, got ${msg.batchSeq})`);
-      // Slice 1: Log warning and continue (M07 spec: "process anyway")
+    // Host batches queued before the snapshot are stale: replace them with the log
+    const cmdQueue = this.game?.commandQueue || globalCommandQueue;
+    const queueState = cmdQueue.getState();
+    cmdQueue.setState({
+      ...queueState,
+      pending: queueState.pending.filter(cmd => !cmd._fromHost)
+    });
+    for (const entry of msg.commandLog || []) {
+      this._enqueueBatchCommands(cmdQueue, entry.batchSeq, entry.scheduledTick, entry.commands || []);
+      this._lastReceivedBatchSeq = Math.max(this._lastReceivedBatchSeq, entry.batchSeq);
     }
 
-    // 4. If batch is for current or past tick, execute immediately (don't drop)
-    if (msg.scheduledTick <= currentTick) {
-      // Late batch - reschedule to next tick instead of dropping
-      msg.scheduledTick = currentTick + 1;
-      if (this.game._isDevMode) {
-        console.warn(`[SM] CMD_BATCH late: rescheduled to tick ${msg.scheduledTick}`);
-      }
-    }
+    this._resetStateHashTracking();
+    this._lastVerifiedHashTick = msg.simTick;
+    this._resyncRequestedAt = null;
+    this._debugCounters.resyncAppliedCount++;
+    console.log(`[SessionManager] RESYNC_ACK applied: tick=${msg.simTick}, batches=${msg.commandLog?.length || 0}`);
+  }
 
-    // 5. Very old batch check: Drop if way behind (ORD-05)
-    if (msg.scheduledTick < currentTick - CMD_BATCH_STALE_THRESHOLD) {
-      this._debugCounters.batchDropStaleCount++;
-      console.warn(`[SM] CMD_BATCH dropped (very stale): scheduledTick=${msg.scheduledTick} < threshold`);
+  /**
+   * Forget local/host stateHash samples (after leave or resync)
+   * @private
+   */
+  _resetStateHashTracking() {
+    this._localStateHashes.clear();
+    this._pendingHostHashes.clear();
+    this._lastVerifiedHashTick = -1;
+  }
+
+  // ========================================
+  // M12: PING/PONG, CLOCK SYNC, LINK QUALITY
+  // ========================================
+
+  /**
+   * This client's peer id (session userId, else clientId)
+   * @private
+   * @returns {string|null}
+   */
+  _myPeerId() {
+    return this.state.getPlayer(this.state.mySlot)?.userId || this.game.clientId || null;
+  }
+
+  /**
+   * Start the periodic PING once a peer can answer (guest joined, host or server reachable).
+   * Idempotent.
+   * @private
+   */
+  _startPingLoop() {
+    if (this.pingInterval) {
       return;
     }
+    this.pingInterval = setInterval(() => {
+      this.sendPing().catch(err => {
+        console.error('[SessionManager] PING failed:', err);
+      });
+    }, PING_INTERVAL_MS);
+  }
 
-    // 6. Update tracking
-    this._lastReceivedBatchSeq = msg.batchSeq;
-    this._debugCounters.batchRecvCount++;
+  /**
+   * M12: Broadcast a PING on the session channel.
+   * Answered by the host (to guests), guests (to the host) and the GameServer.
+   * @returns {Promise<void>}
+   */
+  async sendPing() {
+    if (!this.state.isHost() && !this.state.isGuest()) return;
+    if (!this.transport || typeof this.transport.broadcastToChannel !== 'function') return;
+    if (!this._sessionChannel) return;
 
-    // 7. Enqueue commands to CommandQueue with scheduledTick
-    const commands = msg.commands || [];
+    const now = Date.now();
+    const seq = this.pingSeq++;
 
-    // GAP-3: Enforce Queue Limit
-    const cmdQueue = this.game?.commandQueue || globalCommandQueue;
-    if (cmdQueue.pendingCount + commands.length > MAX_QUEUE_SIZE) {
-        console.warn(`[SM] Queue Full! Dropping Batch ${msg.batchSeq} (${commands.length} cmds). Pending: ${cmdQueue.pendingCount}`);
-        this._debugCounters.batchDroppedQueueFull++;
-        return;
+    // Unanswered pings past the timeout are lost
+    for (const [pendingSeq, sentAt] of this.pendingPings) {
+      if (now - sentAt > PING_TIMEOUT_MS) this.pendingPings.delete(pendingSeq);
+    }
+    this.pendingPings.set(seq, now);
+    this._pingHistory.push({ seq, sentAt: now });
+    if (this._pingHistory.length > PING_LOSS_WINDOW) {
+      this._pingHistory.shift();
     }
 
-    for (const cmdEntry of commands) {
-      // cmdEntry format: { slot, seq, command, id? }
-      const cmd = cmdEntry.command || cmdEntry;
+    await this.transport.broadcastToChannel(this._sessionChannel, createPing({
+      senderId: this._myPeerId(),
+      seq
+    }));
+  }
 
-      // Preserve Host-assigned ID if present
-      const enrichedCmd = {
-        ...cmd,
-        id: cmdEntry.id || cmd.id,
-        seq: cmdEntry.seq,
-        slot: cmdEntry.slot,
-        _batchSeq: msg.batchSeq,  // Track source batch
-        _fromHost: true           // Mark as Host-authoritative
-      };
+  /**
+   * M12: Answer a PING from our peer: the host answers its guests, guests answer the host
+   * @param {Object} msg - PING message
+   */
+  _handlePing(msg) {
+    const receivedAt = Date.now();
+    const myId = this._myPeerId();
+    if (!msg.senderId || msg.senderId === myId) return;
 
-      cmdQueue.enqueue(enrichedCmd, msg.scheduledTick);
-      this._debugCounters.cmdEnqueuedCount++;
+    let isPeer = false;
+    if (this.state.isHost()) {
+      isPeer = !!this.state.getPlayerByUserId(msg.senderId);
+    } else if (this.state.isGuest()) {
+      isPeer = msg.senderId === this.state.hostId;
+    }
+    if (!isPeer || !this.transport || !this._sessionChannel) return;
+
+    const pong = createPong({
+      responderId: myId,
+      pingSeq: msg.seq,
+      originalTimestamp: msg.timestamp,
+      targetId: msg.senderId,
+      receivedTimestamp: receivedAt
+    });
+    this.transport.broadcastToChannel(this._sessionChannel, pong).catch(err => {
+      console.error('[SessionManager] Failed to send PONG:', err);
+    });
+  }
+
+  /**
+   * M12: RTT, jitter and NTP-style clock offset from a PONG.
+   * t0 = our send, t1/t2 = responder receive/send, t3 = our receive:
+   * rtt = (t3 - t0) - (t2 - t1), offset = ((t1 - t0) + (t2 - t3)) / 2
+   * @param {Object} msg - PONG message
+   */
+  _handlePong(msg) {
+    if (msg.targetId && msg.targetId !== this._myPeerId()) return;
+
+    // Several peers answer each PING: the history keeps its send time for all of them
+    const t3 = Date.now();
+    const t0 = this.pendingPings.get(msg.pingSeq) ??
+      this._pingHistory.find(p => p.seq === msg.pingSeq)?.sentAt;
+    if (t0 === undefined || t3 - t0 > PING_TIMEOUT_MS) return; // Not ours, or already lost
+    this.pendingPings.delete(msg.pingSeq);
+
+    const t2 = msg.timestamp;
+    const t1 = msg.receivedTimestamp ?? t2;
+    const rttMs = Math.max(0, (t3 - t0) - Math.max(0, t2 - t1));
+    const offsetMs = ((t1 - t0) + (t2 - t3)) / 2;
+
+    // Anonymous PONG: overall RTT only
+    if (!msg.responderId) {
+      this.rtt = rttMs;
+      return;
     }
 
-    // 8. Slice 2: State hash comparison for determinism verification
-    if (msg.stateHash && this.game._lastStateHash) {
-      const match = msg.stateHash === this.game._lastStateHash;
-      if (!match && this.game._isDevMode) {
-        console.warn(`[SessionManager] StateHash MISMATCH at tick ${msg.simTick}! Host: ${msg.stateHash.substring(0, 30)} vs Local: ${this.game._lastStateHash.substring(0, 30)}`);
-      }
+    let link = this._peerLinks.get(msg.responderId);
+    if (!link) {
+      link = {
+        peerId: msg.responderId,
+        firstSeq: msg.pingSeq,
+        answered: new Set(),
+        rttMs: null,
+        jitterMs: 0,
+        clockOffsetMs: 0,
+        samples: [],
+        lastPongAt: 0
+      };
+      this._peerLinks.set(msg.responderId, link);
     }
+    if (link.answered.has(msg.pingSeq)) return; // Duplicate PONG
 
-    // 9. Log for HU-TEST evidence
-    console.log(`[SM] CMD_BATCH recv: seq=${msg.batchSeq}, tick=${msg.simTick}->${msg.scheduledTick}, cmds=${commands.length}, queueSize=${cmdQueue.pendingCount}`);
-  }
+    // RFC 3550-style jitter: smoothed RTT variation
+    if (link.rttMs !== null) {
+      link.jitterMs += (Math.abs(rttMs - link.rttMs) - link.jitterMs) / 16;
+    }
+    link.rttMs = rttMs;
+    link.lastPongAt = t3;
 
-  _handleSnapshot(msg) {
-    // M11: Guest applies snapshot
-    console.log('[SessionManager] SNAPSHOT for tick:', msg.simTick);
-  }
+    link.answered.add(msg.pingSeq);
+    const oldestSeq = this._pingHistory[0]?.seq ?? msg.pingSeq;
+    for (const seq of link.answered) {
+      if (seq < oldestSeq) link.answered.delete(seq);
+    }
 
-  _handleResyncReq(msg) {
-    // N01: Host handles resync request
-    console.log('[SessionManager] RESYNC_REQ from:', msg.guestId);
-  }
+    link.samples.push({ rttMs, offsetMs });
+    if (link.samples.length > CLOCK_SYNC_SAMPLES) {
+      link.samples.shift();
+    }
+    const best = link.samples.reduce((a, b) => (b.rttMs < a.rttMs ? b : a));
+    link.clockOffsetMs = best.offsetMs;
 
-  _handleResyncAck(msg) {
-    // N01: Guest applies resync
-    console.log('[SessionManager] RESYNC_ACK for tick:', msg.simTick);
+    // getRTT(): the authority link (server in Phase 2A, else the host)
+    if (msg.responderId === SERVER_PEER_ID ||
+        (!this._peerLinks.has(SERVER_PEER_ID) && msg.responderId === this.state.hostId)) {
+      this.rtt = rttMs;
+    }
+
+    if (msg.responderId === SERVER_PEER_ID && this.onClockSync) {
+      this.onClockSync(best.offsetMs, best.rttMs);
+    }
   }
 
-  _handlePing(msg) {
-    // M12: Respond to ping
-    console.log('[SessionManager] PING from:', msg.senderId);
+  /**
+   * Fraction of recent pings a peer did not answer (only pings sent since its
+   * first PONG, and only once they are answered or timed out)
+   * @private
+   * @param {Object} link - Peer link
+   * @param {number} now - Local time (ms)
+   * @returns {number} Loss in [0, 1]
+   */
+  _linkLoss(link, now) {
+    let settled = 0;
+    let lost = 0;
+    for (const { seq, sentAt } of this._pingHistory) {
+      if (seq < link.firstSeq) continue;
+      if (link.answered.has(seq)) {
+        settled++;
+      } else if (now - sentAt > PING_TIMEOUT_MS) {
+        settled++;
+        lost++;
+      }
+    }
+    return settled > 0 ? lost / settled : 0;
   }
 
-  _handlePong(msg) {
-    // M12: Calculate RTT
-    const sent = this.pendingPings.get(msg.pingSeq);
-    if (sent) {
-      this.rtt = Date.now() - sent;
-      this.pendingPings.delete(msg.pingSeq);
+  /**
+   * M12: Connection quality per peer (session players and the server)
+   * @returns {Array<{peerId: string, slot: number|null, displayName: string, rttMs: number, jitterMs: number, clockOffsetMs: number, lossPct: number, lastPongAt: number}>}
+   */
+  getConnectionStats() {
+    const now = Date.now();
+    const stats = [];
+    for (const link of this._peerLinks.values()) {
+      const player = link.peerId === SERVER_PEER_ID ? null : this.state.getPlayerByUserId(link.peerId);
+      if (link.peerId !== SERVER_PEER_ID && !player) continue; // Peer left the session
+
+      stats.push({
+        peerId: link.peerId,
+        slot: player ? player.slot : null,
+        displayName: player ? player.displayName : 'Server',
+        rttMs: link.rttMs,
+        jitterMs: Math.round(link.jitterMs * 10) / 10,
+        clockOffsetMs: Math.round(link.clockOffsetMs),
+        lossPct: Math.round(this._linkLoss(link, now) * 100),
+        lastPongAt: link.lastPongAt
+      });
     }
+    return stats;
   }
 
   // ========================================
@@ -2111,6 +3144,100 @@ export class SessionManager {
     this._debugCounters.serverSnapshotRecvCount = (this._debugCounters.serverSnapshotRecvCount || 0) + 1;
   }
 
+  /**
+   * Handle SERVER_SNAPSHOT_BIN (binary encoding negotiated via HELLO).
+   * Decodes to a SERVER_SNAPSHOT (delta snapshots resolve in SnapshotBuffer)
+   * and acknowledges it so the server deltas against it. A delta whose
+   * baseline we no longer hold is answered with tick -1 (send a keyframe).
+   * @param {Object} msg - SERVER_SNAPSHOT_BIN message
+   */
+  _handleServerSnapshotBin(msg) {
+    if (this.state.isOffline()) return;
+
+    let snapshot;
+    try {
+      snapshot = decodeServerSnapshotBin(msg);
+    } catch (err) {
+      if (!(err instanceof MessageValidationError)) throw err;
+      console.warn('[SessionManager] Bad SERVER_SNAPSHOT_BIN:', err.message);
+      return;
+    }
+
+    const accepted = this.game?.applyServerSnapshot ? this.game.applyServerSnapshot(snapshot) : false;
+    this._debugCounters.serverSnapshotRecvCount = (this._debugCounters.serverSnapshotRecvCount || 0) + 1;
+
+    if (accepted) {
+      this._sendSnapshotAck(snapshot.tick);
+    } else if (snapshot.baseTick != null && snapshot.tick > this._lastSnapshotAckTick) {
+      this._debugCounters.snapshotBaselineMissCount = (this._debugCounters.snapshotBaselineMissCount || 0) + 1;
+      this._sendSnapshotAck(-1);
+    }
+  }
+
+  /**
+   * Send SNAPSHOT_ACK (not awaited; a lost ack only means a larger delta).
+   * @param {number} tick - Tick applied, or -1 to request a keyframe
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendSnapshotAck(tick) {
+    if (!this.transport || !this._sessionChannel) return;
+    if (tick >= 0) this._lastSnapshotAckTick = tick;
+
+    try {
+      await this.transport.broadcastToChannel(this._sessionChannel, createSnapshotAck({ tick }));
+    } catch (err) {
+      if (this.game._isDevMode) {
+        console.warn('[SessionManager] SNAPSHOT_ACK failed:', err.message);
+      }
+    }
+  }
+
+  /**
+   * JOIN_TOKEN: the server mapped us to a slot; the relay wants this token
+   * with every frame on the session channel.
+   * @param {Object} msg - JOIN_TOKEN message
+   * @private
+   */
+  _handleJoinToken(msg) {
+    const channel = `asterobia:session:${msg.roomId}`;
+    if (channel !== this._sessionChannel) return;
+    if (typeof this.transport?.setChannelToken !== 'function') return;
+
+    this.transport.setChannelToken(channel, msg.token);
+    console.log(`[SessionManager] Join token received (room ${msg.roomId}, slot ${msg.slot})`);
+    this.onJoinToken?.(msg);
+  }
+
+  /**
+   * PERCEPTION_SUBSURFACE_SCAN: Handle SCAN_REVEAL (sent by the server to this
+   * client's slot only). Delegates to Game.applyScanReveal() for the overlay.
+   * @param {Object} msg - SCAN_REVEAL message
+   */
+  _handleScanReveal(msg) {
+    if (this.state.isOffline()) return;
+
+    if (this.game?.applyScanReveal) {
+      this.game.applyScanReveal(msg);
+    }
+
+    this._debugCounters.scanRevealRecvCount = (this._debugCounters.scanRevealRecvCount || 0) + 1;
+  }
+
+  /**
+   * Terrain Shaping: Handle TERRAIN_STATE (the server's full edit layer after
+   * a host reclaim or a resume whose missed frames were dropped).
+   * Delegates to Game.applyTerrainState().
+   * @param {Object} msg - TERRAIN_STATE message
+   */
+  _handleTerrainState(msg) {
+    if (this.state.isOffline()) return;
+
+    if (this.game?.applyTerrainState) {
+      this.game.applyTerrainState(msg.terrain);
+    }
+  }
+
   /**
    * M07 Unit Authority v0: Check if local client has seat on a unit
    * @param {Object} unit - Unit to check
@@ -2120,6 +3247,8 @@ export class SessionManager {
     if (!unit) return false;
     // Offline: always has authority (single player)
     if (this.state.isOffline()) return true;
+    // Spectators never sit in a unit
+    if (this.state.isSpectator()) return false;
     const mySlot = this.state.mySlot;
     // OCCUPIED by someone else -> no authority (applies to Host too)
     if (unit.selectedBySlot !== null && unit.selectedBySlot !== mySlot) return false;
@@ -2200,6 +3329,37 @@ export class SessionManager {
     }
   }
 
+  /**
+   * Handle PLAYER_CONNECTION (sent by the server): another slot's socket
+   * dropped (held for the relay's resume grace window), resumed, or is gone.
+   * Seats are kept while reconnecting and released once disconnected.
+   * Our own slot follows the transport instead (_onTransportStatus).
+   * @param {Object} msg - PLAYER_CONNECTION message
+   */
+  _handlePlayerConnection(msg) {
+    if (this.state.isOffline() || msg.slot === this.state.mySlot) {
+      return;
+    }
+
+    switch (msg.status) {
+      case PLAYER_CONNECTION_STATUS.RECONNECTING:
+        this.state.markReconnecting(msg.slot);
+        break;
+      case PLAYER_CONNECTION_STATUS.ACTIVE:
+        this.state.markActive(msg.slot);
+        break;
+      case PLAYER_CONNECTION_STATUS.DISCONNECTED:
+        this.state.markDisconnected(msg.slot);
+        this._releaseSeatsForSlot(msg.slot);
+        break;
+      default:
+        return;
+    }
+
+    console.log(`[SM] PLAYER_CONNECTION: slot ${msg.slot} ${msg.status}`);
+    this._notifyConnectionStateChanged(this.state.isHost() ? 'HOSTING' : 'CONNECTED');
+  }
+
   /**
    * Release all unit seats held by a departing player slot.
    * Clears selectedBySlot on units controlled by the given slot.
@@ -2405,6 +3565,37 @@ export class SessionManager {
     this.onMessage(msg);
   }
 
+  /**
+   * Transport connection status: our socket dropped ('reconnecting'), the
+   * relay gave us back the same client ('resumed': slot, subscriptions and
+   * seats are intact) or the resume window ended ('resume_failed').
+   * @private
+   * @param {string} status
+   */
+  _onTransportStatus(status) {
+    if (this.state.isOffline()) return;
+
+    const slot = this.state.mySlot;
+    switch (status) {
+      case 'reconnecting':
+        this.state.markReconnecting(slot);
+        this.state.connected = false;
+        this._notifyConnectionStateChanged('RECONNECTING');
+        break;
+      case 'resumed':
+        this.state.markActive(slot);
+        this.state.connected = true;
+        this._notifyConnectionStateChanged(this.state.isHost() ? 'HOSTING' : this.state.isSpectator() ? 'SPECTATING' : 'CONNECTED');
+        break;
+      case 'resume_failed':
+        this.state.markDisconnected(slot);
+        this.state.connected = false;
+        this._notifyConnectionStateChanged('DISCONNECTED');
+        break;
+    }
+    console.log(`[SessionManager] Transport ${status} (slot ${slot})`);
+  }
+
   // ========================================
   // UTILITY METHODS
   // ========================================
@@ -2461,6 +3652,14 @@ export class SessionManager {
     return this.state.isGuest();
   }
 
+  /**
+   * Check if this client is spectating
+   * @returns {boolean}
+   */
+  isSpectator() {
+    return this.state.isSpectator();
+  }
+
   /**
    * Check if this client is offline
    * @returns {boolean}
@@ -2479,7 +3678,7 @@ export class SessionManager {
   }
 
   /**
-   * Get current RTT measurement
+   * Get current RTT measurement (ms) to the server, else the host
    * @returns {number}
    */
   getRTT() {
@@ -2564,6 +3763,9 @@ export class SessionManager {
       lastReceivedBatchSeq: this._lastReceivedBatchSeq,
       inputBufferSize: this.inputBuffer?.length || 0,
       queuePendingCount: (this.game?.commandQueue || globalCommandQueue)?.pendingCount ?? 0,
+      // M12: Connection quality
+      rtt: this.rtt,
+      links: this.getConnectionStats(),
       // M07: Debug counters (spread)
       ...this._debugCounters
     };
@@ -29,7 +29,7 @@ export const PlayerStatus = Object.freeze({
  * SessionState - Holds current multiplayer session state
  *
  * Used by SessionManager to track:
- * - Current role (HOST/GUEST/OFFLINE)
+ * - Current role (HOST/GUEST/SPECTATOR/OFFLINE)
  * - Session identification (hostId, sessionId)
  * - Player slot assignment
  * - Sequence counters for message ordering
@@ -46,14 +46,14 @@ export class SessionState {
    * Call this when leaving a session or starting fresh.
    */
   reset() {
-    // Role: OFFLINE, HOST, or GUEST
+    // Role: OFFLINE, HOST, GUEST, or SPECTATOR
     this.role = NetworkRole.OFFLINE;
 
     // Session identification
     this.hostId = null;      // The host's client ID
     this.sessionId = null;   // Session identifier (same as hostId for now)
 
-    // Player's own slot (0-3), assigned by Host on join
+    // Player's own slot (0-3), assigned by Host on join (null while spectating)
     this.mySlot = 0;
 
     // Sequence counter for outgoing INPUT_CMD messages
@@ -124,6 +124,22 @@ export class SessionState {
     this.lastMessageTime = Date.now();
   }
 
+  /**
+   * Transition to SPECTATOR role (watching a server room without a slot)
+   * @param {string} hostId - Room being watched
+   */
+  setAsSpectator(hostId) {
+    this.role = NetworkRole.SPECTATOR;
+    this.hostId = hostId;
+    this.sessionId = hostId;
+    this.mySlot = null; // Spectators never take a slot
+    this.seqCounter = 0;
+    this.players = [];
+    this.lastSeenSeq = {};
+    this.connected = true;
+    this.lastMessageTime = Date.now();
+  }
+
   /**
    * Add a player to the session (Host-side)
    * @param {PlayerInfo} player
@@ -283,6 +299,14 @@ export class SessionState {
     return this.role === NetworkRole.GUEST;
   }
 
+  /**
+   * Check if this client is a spectator
+   * @returns {boolean}
+   */
+  isSpectator() {
+    return this.role === NetworkRole.SPECTATOR;
+  }
+
   /**
    * Check if this client is offline (not in a session)
    * @returns {boolean}
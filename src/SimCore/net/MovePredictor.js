@@ -0,0 +1,280 @@
+/**
+ * MovePredictor — Client-side prediction + server reconciliation for MOVE_INPUT.
+ *
+ * In mirror mode the server owns every unit, so without prediction the seated
+ * unit only moves once a SERVER_SNAPSHOT comes back (one RTT + interp delay).
+ * MovePredictor moves it immediately with the same SurfaceMovement math as
+ * HeadlessUnit and corrects it when the server answers:
+ *
+ *   recordInput(keys)  → seq; apply locally (one server tick of movement),
+ *                        keep {seq, keys} until the server acknowledges it
+ *   reconcile(unit, ackedSeq)
+ *                      → drop inputs ≤ ackedSeq, restart from the server's
+ *                        state and replay the rest
+ *   getRenderState()   → predicted pose; small reconciliation errors are
+ *                        blended out over smoothingMs, large ones snap
+ *
+ * Only GROUNDED, enabled, uncarried units are predicted (canPredict); airborne,
+ * physics-driven or carried units fall back to snapshot interpolation.
+ *
+ * Sequence numbers increase for the predictor's lifetime (not per unit): the
+ * server keeps the highest seq per slot.
+ *
+ * Pure logic — no Three.js, no DOM. Terrain is duck-typed (see SurfaceMovement).
+ *
+ * @module SimCore/net/MovePredictor
+ */
+
+import { Vec3 } from '../runtime/SphereMath.js';
+import {
+    BASE_MOVE_SPEED,
+    computeMoveVelocity,
+    computeOrientation,
+    stepGrounded
+} from '../systems/SurfaceMovement.js';
+import { resolveRockContacts } from '../systems/RockField.js';
+import { isBlockedByWater, waterSpeedFactor } from '../systems/WaterRules.js';
+
+/** @type {number} Unit footprint against rocks (HeadlessUnit.ROCK_CONTACT_RADIUS) */
+const ROCK_CONTACT_RADIUS = 0.5;
+
+/**
+ * @typedef {Object} PendingInput
+ * @property {number} seq
+ * @property {{ forward: boolean, backward: boolean, left: boolean, right: boolean }} keys
+ */
+
+export class MovePredictor {
+    /**
+     * @param {Object} [options]
+     * @param {Object|null} [options.terrain=null]    - getRadiusAt / getNormalAt on plain {x,y,z}, params (water)
+     * @param {Object[]} [options.rocks=[]]            - RockField rocks (the room's field; blocks like the server)
+     * @param {number} [options.tickDtSec=0.05]       - Server tick length (movement per input)
+     * @param {number} [options.snapThreshold=2]      - Reconciliation error (m) above which we snap
+     * @param {number} [options.smoothingMs=100]      - Time constant for blending out small errors
+     * @param {number} [options.maxPending=64]        - Unacknowledged inputs kept for replay
+     */
+    constructor(options = {}) {
+        /** @type {Object|null} */
+        this.terrain = options.terrain ?? null;
+
+        /** @type {import('../systems/RockField.js').Rock[]} */
+        this.rocks = options.rocks ?? [];
+
+        /** @type {number} */
+        this.tickDtSec = options.tickDtSec ?? 0.05;
+
+        /** @type {number} */
+        this.snapThreshold = options.snapThreshold ?? 2;
+
+        /** @type {number} */
+        this.smoothingMs = options.smoothingMs ?? 100;
+
+        /** @type {number} */
+        this.maxPending = options.maxPending ?? 64;
+
+        /** @type {number|null} Unit being predicted (null = inactive) */
+        this.unitId = null;
+
+        /** @type {{ x: number, y: number, z: number }|null} Predicted position */
+        this.position = null;
+
+        /** @type {{ x: number, y: number, z: number }|null} Position before the latest predicted step (render lerp) */
+        this._prevPosition = null;
+
+        /** @type {number} Predicted heading (radians) */
+        this.heading = 0;
+
+        /** @type {number} Movement speed (server-reported; cargo / carry slowdown included) */
+        this.moveSpeed = BASE_MOVE_SPEED;
+
+        /** @type {PendingInput[]} Inputs sent but not yet acknowledged, oldest first */
+        this.pending = [];
+
+        /** @type {number} Highest seq the server acknowledged */
+        this.lastAckedSeq = -1;
+
+        /** @type {{ x: number, y: number, z: number }} Visual offset still being blended out */
+        this.errorOffset = { x: 0, y: 0, z: 0 };
+
+        /** @type {number} Next input sequence number */
+        this._nextSeq = 1;
+
+        /** @type {number} Reconciliations that snapped (error > snapThreshold) */
+        this.snapCount = 0;
+
+        /** @type {number} Reconciliations that needed smoothing */
+        this.correctionCount = 0;
+    }
+
+    /**
+     * Whether a snapshot unit can be predicted (kinematic WASD movement only).
+     *
+     * @param {Object} unit - SERVER_SNAPSHOT unit
+     * @returns {boolean}
+     */
+    static canPredict(unit) {
+        return !!unit
+            && !unit.disabled
+            && unit.carriedBy == null
+            && (unit.mode ?? 'GROUNDED') === 'GROUNDED';
+    }
+
+    /** @returns {boolean} True while a unit is being predicted */
+    get active() {
+        return this.unitId !== null;
+    }
+
+    /**
+     * Start predicting a unit from its latest snapshot state.
+     *
+     * @param {number} unitId
+     * @param {Object} unit - SERVER_SNAPSHOT unit
+     */
+    attach(unitId, unit) {
+        this.reset();
+        this.unitId = unitId;
+        this._setFromServer(unit);
+        this._prevPosition = this.position;
+    }
+
+    /**
+     * Stop predicting (unit deselected, lost or no longer predictable).
+     * Sequence numbers keep increasing.
+     */
+    reset() {
+        this.unitId = null;
+        this.position = null;
+        this._prevPosition = null;
+        this.pending = [];
+        this.errorOffset = { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Apply an input locally and buffer it until the server acknowledges it.
+     *
+     * @param {{ forward?: boolean, backward?: boolean, left?: boolean, right?: boolean }} keys
+     * @returns {number|null} Sequence number to send with MOVE_INPUT (null if inactive)
+     */
+    recordInput(keys) {
+        if (!this.active) return null;
+
+        const input = {
+            seq: this._nextSeq++,
+            keys: {
+                forward: !!keys.forward,
+                backward: !!keys.backward,
+                left: !!keys.left,
+                right: !!keys.right
+            }
+        };
+        this.pending.push(input);
+        if (this.pending.length > this.maxPending) {
+            this.pending.shift();
+        }
+
+        this._prevPosition = this.position;
+        this._step(input.keys);
+        return input.seq;
+    }
+
+    /**
+     * Correct the prediction from an authoritative snapshot.
+     *
+     * @param {Object} unit - SERVER_SNAPSHOT unit for unitId
+     * @param {number|null|undefined} ackedSeq - Last seq the server processed for our slot
+     * @returns {number} Reconciliation error in meters (0 if nothing changed)
+     */
+    reconcile(unit, ackedSeq) {
+        if (!this.active) return 0;
+
+        if (ackedSeq != null && ackedSeq > this.lastAckedSeq) {
+            this.lastAckedSeq = ackedSeq;
+            // Server already saw higher seqs (reconnect): keep ours above them
+            if (ackedSeq >= this._nextSeq) this._nextSeq = ackedSeq + 1;
+        }
+        this.pending = this.pending.filter(p => p.seq > this.lastAckedSeq);
+
+        const shown = Vec3.add(this.position, this.errorOffset);
+        const oldPosition = this.position;
+
+        // Rewind to the server state and replay what it has not processed yet
+        this._setFromServer(unit);
+        for (const input of this.pending) {
+            this._step(input.keys);
+        }
+
+        // Keep the render lerp segment attached to the corrected position
+        const shift = Vec3.sub(this.position, oldPosition);
+        this._prevPosition = Vec3.add(this._prevPosition ?? oldPosition, shift);
+
+        const error = Vec3.sub(shown, this.position);
+        const errorLength = Vec3.length(error);
+        if (errorLength > this.snapThreshold) {
+            this.errorOffset = { x: 0, y: 0, z: 0 };
+            this.snapCount++;
+        } else {
+            this.errorOffset = error;
+            if (errorLength > 1e-4) this.correctionCount++;
+        }
+        return errorLength;
+    }
+
+    /**
+     * Predicted pose for rendering. Decays the reconciliation offset.
+     *
+     * @param {number} [alpha=1] - Progress (0..1) through the latest predicted step
+     * @param {number} [dtSec=0] - Frame time, for error blending
+     * @returns {{ position: {x:number,y:number,z:number}, orientation: {x:number,y:number,z:number,w:number} }|null}
+     */
+    getRenderState(alpha = 1, dtSec = 0) {
+        if (!this.active) return null;
+
+        if (dtSec > 0) {
+            const decay = Math.exp(-(dtSec * 1000) / this.smoothingMs);
+            this.errorOffset = Vec3.scale(this.errorOffset, decay);
+        }
+
+        const t = Math.max(0, Math.min(1, alpha));
+        const from = this._prevPosition ?? this.position;
+        const base = Vec3.add(from, Vec3.scale(Vec3.sub(this.position, from), t));
+        const position = Vec3.add(base, this.errorOffset);
+        return {
+            position,
+            orientation: computeOrientation(position, this.heading, this.terrain)
+        };
+    }
+
+    /** @returns {number} Inputs awaiting acknowledgement */
+    get pendingCount() {
+        return this.pending.length;
+    }
+
+    /**
+     * @param {Object} unit - SERVER_SNAPSHOT unit
+     * @private
+     */
+    _setFromServer(unit) {
+        this.position = { x: unit.px, y: unit.py, z: unit.pz };
+        this.heading = unit.heading ?? 0;
+        if (unit.speed > 0) this.moveSpeed = unit.speed;
+    }
+
+    /**
+     * One server tick of HeadlessUnit WASD movement.
+     * @param {PendingInput['keys']} keys
+     * @private
+     */
+    _step(keys) {
+        const move = computeMoveVelocity(keys, this.position, this.moveSpeed, this.terrain);
+        if (move.heading !== null) this.heading = move.heading;
+        if (move.speed > 0) {
+            const from = this.position;
+            const dtSec = this.tickDtSec * waterSpeedFactor(from, this.terrain);
+            this.position = stepGrounded(from, move.velocity, dtSec, this.terrain);
+            if (isBlockedByWater(from, this.position, this.terrain)) this.position = from;
+            this.position = resolveRockContacts(this.position, this.rocks, ROCK_CONTACT_RADIUS, this.terrain)
+                ?? this.position;
+        }
+    }
+}
@@ -8,17 +8,23 @@
  *   - Fixed-capacity ring buffer (default 60 = ~3 sec at 20Hz)
  *   - Smooth clock via EMA on local↔server time offset
  *   - Snap-on-start: first snapshot sets clock instantly (no EMA warmup)
+ *   - PING/PONG clock sync (setClockSync) replaces the arrival-time estimate
+ *     once available: arrival jitter no longer moves the render clock
  *   - Out-of-order and duplicate rejection (monotonic tick enforcement)
  *   - Per-unit teleport detection (configurable threshold)
  *   - Bounded extrapolation on underflow (configurable maxExtrapolateMs)
  *   - Arrival interval tracking for jitter diagnostics
  *   - getInterpolationPair() returns { prev, next, alpha, teleports }
+ *   - Delta snapshots (binary SERVER_SNAPSHOT_BIN, baseTick set) are resolved
+ *     against the buffered baseline on push; missing baseline → rejected
  *
  * Pure logic — no Three.js, no DOM, no side effects. Fully testable.
  *
  * @module SimCore/net/SnapshotBuffer
  */
 
+import { applySnapshotDelta } from '../multiplayer/MessageSerializer.js';
+
 /** @typedef {{ type: string, version: number, tick: number, serverTimeMs: number, units: Array<Object> }} ServerSnapshot */
 
 /**
@@ -37,6 +43,7 @@ export class SnapshotBuffer {
      * @param {number} [options.teleportThreshold=10] - Distance for snap-instead-of-lerp
      * @param {number} [options.emaAlpha=0.1]         - EMA smoothing factor for clock offset
      * @param {number} [options.maxExtrapolateMs=100] - Max ms to extrapolate past latest snapshot
+     * @param {number} [options.clockSyncAlpha=0.3]  - EMA smoothing factor for PING/PONG clock sync samples
      */
     constructor(options = {}) {
         /** @type {number} Maximum snapshots to retain */
@@ -54,6 +61,12 @@ export class SnapshotBuffer {
         /** @type {number} Max extrapolation beyond latest snapshot (ms). 0 = hold at latest. */
         this._maxExtrapolateMs = options.maxExtrapolateMs ?? 0;
 
+        /** @type {number} EMA smoothing factor for clock sync samples (0 < α ≤ 1) */
+        this._clockSyncAlpha = options.clockSyncAlpha ?? 0.3;
+
+        /** @type {boolean} True once setClockSync() provided a measured offset */
+        this._clockSynced = false;
+
         /** @type {ServerSnapshot[]} Ring buffer storage */
         this._buffer = [];
 
@@ -75,6 +88,9 @@ export class SnapshotBuffer {
         /** @type {number} Count of getInterpolationPair() calls that hit underflow */
         this._underflowCount = 0;
 
+        /** @type {number} Delta snapshots rejected because their baseline is not buffered */
+        this._missingBaseCount = 0;
+
         /** @type {number[]} Recent arrival intervals (ms) for jitter diagnostics */
         this._arrivalIntervals = [];
 
@@ -86,7 +102,10 @@ export class SnapshotBuffer {
      * Push a SERVER_SNAPSHOT into the buffer.
      *
      * Rejects snapshots with tick ≤ highestTick (out-of-order or duplicate).
-     * Updates the smooth clock offset via EMA (or snap on first push).
+     * A delta snapshot (baseTick set) is merged with the buffered snapshot at
+     * baseTick and stored in full form; it is rejected if that baseline is gone.
+     * Updates the smooth clock offset via EMA (or snap on first push),
+     * unless the clock is driven by setClockSync().
      *
      * @param {ServerSnapshot} snapshot - Must have .tick (number) and .serverTimeMs (number)
      * @param {number} [localNowMs] - Local timestamp override (for deterministic testing)
@@ -102,12 +121,27 @@ export class SnapshotBuffer {
             return false;
         }
 
+        // Delta snapshot: resolve against the acknowledged baseline
+        if (snapshot.baseTick != null) {
+            const base = this._buffer.find(s => s.tick === snapshot.baseTick);
+            const full = base ? applySnapshotDelta(base, snapshot) : null;
+            if (!full) {
+                this._rejectedCount++;
+                this._missingBaseCount++;
+                return false;
+            }
+            snapshot = full;
+        }
+
         this._highestTick = snapshot.tick;
 
         // Clock synchronization: compute local-to-server offset
         const rawOffset = now - snapshot.serverTimeMs;
 
-        if (this._firstSnapshot) {
+        if (this._clockSynced) {
+            // Measured by PING/PONG: arrival times only feed jitter diagnostics
+            this._firstSnapshot = false;
+        } else if (this._firstSnapshot) {
             // Snap-on-start: set offset immediately, no EMA warmup
             this._smoothedOffset = rawOffset;
             this._firstSnapshot = false;
@@ -136,6 +170,27 @@ export class SnapshotBuffer {
         return true;
     }
 
+    /**
+     * Drive the clock from a PING/PONG measurement instead of snapshot arrival times.
+     *
+     * A snapshot stamped at server time T arrives at local time T - offset + rtt/2,
+     * so the local-to-server offset becomes rtt/2 - serverOffsetMs. The first
+     * sample snaps; later samples are EMA-smoothed. Survives reset(): it
+     * describes the link, not the snapshot stream.
+     *
+     * @param {number} serverOffsetMs - Server clock minus local clock (ms)
+     * @param {number} rttMs - Round-trip time of the sample (ms)
+     */
+    setClockSync(serverOffsetMs, rttMs) {
+        const target = rttMs / 2 - serverOffsetMs;
+        if (!this._clockSynced) {
+            this._smoothedOffset = target;
+            this._clockSynced = true;
+        } else {
+            this._smoothedOffset += this._clockSyncAlpha * (target - this._smoothedOffset);
+        }
+    }
+
     /**
      * Compute the render time: where the client should be rendering relative to server time.
      *
@@ -286,6 +341,11 @@ export class SnapshotBuffer {
         return this._smoothedOffset;
     }
 
+    /** @returns {boolean} Whether the clock is driven by PING/PONG clock sync */
+    get clockSynced() {
+        return this._clockSynced;
+    }
+
     /** @returns {boolean} Whether the buffer has received at least one snapshot */
     get initialized() {
         return !this._firstSnapshot;
@@ -311,6 +371,11 @@ export class SnapshotBuffer {
         return this._underflowCount;
     }
 
+    /** @returns {number} Delta snapshots rejected for a missing baseline */
+    get missingBaseCount() {
+        return this._missingBaseCount;
+    }
+
     /**
      * Get arrival interval statistics for jitter diagnostics.
      * @returns {{ count: number, mean: number, min: number, max: number }}
@@ -336,15 +401,19 @@ export class SnapshotBuffer {
 
     /**
      * Reset the buffer to initial state. Used for reconnect or mode change.
+     * A PING/PONG clock sync (and its offset) is kept.
      */
     reset() {
         this._buffer = [];
         this._highestTick = -1;
-        this._smoothedOffset = 0;
+        if (!this._clockSynced) {
+            this._smoothedOffset = 0;
+        }
         this._firstSnapshot = true;
         this._pushCount = 0;
         this._rejectedCount = 0;
         this._underflowCount = 0;
+        this._missingBaseCount = 0;
         this._arrivalIntervals = [];
         this._lastPushLocalMs = 0;
     }
@@ -4,7 +4,7 @@
  * R011: Coordinates serialization and persistence of full SimCore state.
  *
  * Responsibilities:
- * - Serialize all determinism-critical state (game, simLoop, RNG, entityId)
+ * - Serialize all determinism-critical state (game, simLoop, RNG, entityId, Matera world, terrain edits, scan discovery)
  * - Package into versioned save envelope
  * - Persist via StorageAdapter (localStorage by default)
  * - Restore/hydrate SimCore from saved state
@@ -41,27 +41,8 @@ export class SaveManager {
      */
     save(slotKey, metadata = {}) {
         try {
-            const game = this.game;
-
-            // 1. Serialize game state (units, commands, etc.)
-            const gameState = serializeState(game);
-
-            // 2. Get SimLoop state
-            const simLoopState = game.simLoop?.getState?.() ?? {
-                tickCount: game.simLoop?.tickCount ?? 0,
-                accumulatorMs: game.simLoop?.accumulatorMs ?? 0
-            };
-
-            // 3. Get RNG state
-            const rngState = game.rng?.getState?.() ?? {
-                seed: 0,
-                state: 0,
-                callCount: 0
-            };
-
-            // 4. Get entity ID counter
-            const entityIdCounter = game.idGenerator?.peekEntityId?.() ??
-                                   game.entityIdCounter ?? 1;
+            // 1-4. Capture game, SimLoop, RNG and entity ID state
+            const { game: gameState, simLoop: simLoopState, rng: rngState, entityIdCounter } = this.captureState();
 
             // 5. Create save envelope with versioning
             const envelope = createSaveEnvelope(
@@ -89,6 +70,44 @@ export class SaveManager {
         }
     }
 
+    /**
+     * Capture the current determinism-critical state without persisting it.
+     * Same shape as a save envelope's `state`, so applyState() accepts it
+     * (also used for multiplayer RESYNC_ACK snapshots).
+     *
+     * @returns {{ game: Object, simLoop: Object, rng: Object, entityIdCounter: number }}
+     */
+    captureState() {
+        const game = this.game;
+
+        // 1. Serialize game state (units, commands, etc.)
+        const gameState = serializeState(game);
+
+        // 2. Get SimLoop state
+        const simLoopState = game.simLoop?.getState?.() ?? {
+            tickCount: game.simLoop?.tickCount ?? 0,
+            accumulatorMs: game.simLoop?.accumulatorMs ?? 0
+        };
+
+        // 3. Get RNG state
+        const rngState = game.rng?.getState?.() ?? {
+            seed: 0,
+            state: 0,
+            callCount: 0
+        };
+
+        // 4. Get entity ID counter
+        const entityIdCounter = game.idGenerator?.peekEntityId?.() ??
+                               game.entityIdCounter ?? 1;
+
+        return {
+            game: gameState,
+            simLoop: simLoopState,
+            rng: rngState,
+            entityIdCounter
+        };
+    }
+
     /**
      * Load and validate save data (does not apply to game).
      *
@@ -183,6 +202,32 @@ export class SaveManager {
         // 4. Restore units
         this._restoreUnits(state.game.units, options);
 
+        // 4b. Restore Matera deposits + piles (spec: remainingAmount and piles persist)
+        if (state.game.matera && game.matera && game.matera.restore) {
+            game.matera.restore(state.game.matera);
+        }
+        if (state.game.logistics && game.logistics && game.logistics.restore) {
+            game.logistics.restore(state.game.logistics);
+        }
+
+        // 4c. Restore Terrain Shaping edits (spec §8: reload reproduces the same terrain)
+        if (state.game.terrain) {
+            if (game.restoreTerrain) {
+                game.restoreTerrain(state.game.terrain);
+            } else if (game.terrain && game.terrain.deltaLayer) {
+                game.terrain.deltaLayer.restore(state.game.terrain);
+            }
+        }
+
+        // 4d. Restore Subsurface Scan discovery (spec §9: per-player, persisted)
+        if (state.game.scan) {
+            if (game.restoreScan) {
+                game.restoreScan(state.game.scan);
+            } else if (game.scan && game.scan.restore) {
+                game.scan.restore(state.game.scan);
+            }
+        }
+
         // 5. Restore selected unit
         if (state.game.selectedUnitId !== null && state.game.selectedUnitId !== undefined) {
             const selected = game.units?.find(u => u.id === state.game.selectedUnitId);
@@ -349,27 +394,8 @@ export class SaveManager {
      */
     async saveAsync(slotKey, metadata = {}) {
         try {
-            const game = this.game;
-
-            // 1. Serialize game state
-            const gameState = serializeState(game);
-
-            // 2. Get SimLoop state
-            const simLoopState = game.simLoop?.getState?.() ?? {
-                tickCount: game.simLoop?.tickCount ?? 0,
-                accumulatorMs: game.simLoop?.accumulatorMs ?? 0
-            };
-
-            // 3. Get RNG state
-            const rngState = game.rng?.getState?.() ?? {
-                seed: 0,
-                state: 0,
-                callCount: 0
-            };
-
-            // 4. Get entity ID counter
-            const entityIdCounter = game.idGenerator?.peekEntityId?.() ??
-                                   game.entityIdCounter ?? 1;
+            // 1-4. Capture game, SimLoop, RNG and entity ID state
+            const { game: gameState, simLoop: simLoopState, rng: rngState, entityIdCounter } = this.captureState();
 
             // 5. Create save envelope
             const envelope = createSaveEnvelope(
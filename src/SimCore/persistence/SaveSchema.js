@@ -5,7 +5,7 @@
  * Enables future migrations when save format changes.
  *
  * Schema versions:
- * - v1: Initial R011 release
+ * - v1: Initial R011 release (game.matera / game.logistics / game.terrain / game.scan added later as optional fields)
  */
 
 /** Current schema version */
@@ -93,6 +93,24 @@ export function validateSaveEnvelope(envelope) {
         return { valid: false, error: 'Missing entity ID counter' };
     }
 
+    // Optional: Matera deposits + piles (older v1 saves have none)
+    const matera = state.game.matera;
+    if (matera !== undefined && (!Array.isArray(matera.deposits) || !Array.isArray(matera.piles))) {
+        return { valid: false, error: 'Invalid Matera state' };
+    }
+    const logistics = state.game.logistics;
+    if (logistics !== undefined && !Array.isArray(logistics.depots)) {
+        return { valid: false, error: 'Invalid Matera logistics state' };
+    }
+    const terrain = state.game.terrain;
+    if (terrain !== undefined && !Array.isArray(terrain.nodes)) {
+        return { valid: false, error: 'Invalid terrain edit state' };
+    }
+    const scan = state.game.scan;
+    if (scan !== undefined && !Array.isArray(scan.slots)) {
+        return { valid: false, error: 'Invalid subsurface scan state' };
+    }
+
     return { valid: true, version: envelope.schemaVersion };
 }
 
@@ -124,7 +142,7 @@ export function migrateSaveEnvelope(envelope) {
  * Extract save metadata for display (without loading full state).
  *
  * @param {Object} envelope - Save envelope
- * @returns {{ name: string, savedAt: string, tickCount: number, unitCount: number }}
+ * @returns {{ name: string, savedAt: string, tickCount: number, unitCount: number, pileCount: number }}
  */
 export function extractSaveMetadata(envelope) {
     return {
@@ -132,6 +150,7 @@ export function extractSaveMetadata(envelope) {
         savedAt: envelope.savedAt || 'Unknown',
         gameVersion: envelope.gameVersion || 'Unknown',
         tickCount: envelope.state?.simLoop?.tickCount ?? 0,
-        unitCount: envelope.state?.game?.units?.length ?? 0
+        unitCount: envelope.state?.game?.units?.length ?? 0,
+        pileCount: envelope.state?.game?.matera?.piles?.length ?? 0
     };
 }
@@ -19,7 +19,11 @@ export const DEFAULT_STATS_CONFIG = {
         move: 10,       // 10 m/s at 100%
         vision: 100,    // 100m range at 100%
         shot: 100,      // 100 shot rating at 100%
-        shield: 100     // 100 shield capacity at 100%
+        shield: 100,    // 100 shield capacity at 100%
+        mining: 100,    // 100 mining rating at 100% (scales baseMiningRateAt100)
+        transport: 100, // 100 transport rating at 100% (TransportScalar = rating / 100)
+        carrier: 100,   // 100 carrier rating at 100% (CarrierScalar = rating / 100)
+        scan: 100       // 100 scan rating at 100% (ScanScalar = rating / 100)
     },
 
     // Minimum allocation per included feature (20% = 0.20)
@@ -63,6 +67,17 @@ export const DEFAULT_STATS_CONFIG = {
         range: 10,      // Base 10m range
         power: 10,      // Base 10 damage
         interval: 1.0   // Base 1 second between shots
+    },
+
+    // Matera Transport base values (TransportScalar = 1.0)
+    transportBaseValues: {
+        capacity: 100   // baseCapacityAt100: Matera carried at full scalar
+    },
+
+    // Subsurface Scan radius curve (reference point = 50% effective allocation)
+    scanBaseValues: {
+        radiusAt50: 8,      // baseScanRadiusAt50: scan sphere radius (m) at ScanScalar 0.5
+        maxMultiplier: 2.0  // maxScanRadiusMultiplier: cap = radiusAt50 * maxMultiplier
     }
 };
 
@@ -110,7 +125,7 @@ export class StatsEngine {
     /**
      * Compute the effective stat for a single feature on a unit
      * 
-     * @param {string} feature - Feature name ('move', 'vision', 'shot', 'shield')
+     * @param {string} feature - Feature name ('move', 'vision', 'shot', 'shield', 'mining', 'transport', 'carrier', 'scan')
      * @param {Object} unitData - Unit data containing:
      *   - typeAllocation: { [feature]: percentage } - Type designer allocation (sums to 1.0)
      *   - featureCount: number - Total features in the type
@@ -173,14 +188,18 @@ export class StatsEngine {
     /**
      * Compute all effective stats for a unit
      * @param {Object} unitData - Unit data (see computeEffectiveStat)
-     * @returns {Object} { move, vision, shot, shield }
+     * @returns {Object} { move, vision, shot, shield, mining, transport, carrier, scan }
      */
     computeAllStats(unitData) {
         return {
             move: this.computeEffectiveStat('move', unitData),
             vision: this.computeEffectiveStat('vision', unitData),
             shot: this.computeEffectiveStat('shot', unitData),
-            shield: this.computeEffectiveStat('shield', unitData)
+            shield: this.computeEffectiveStat('shield', unitData),
+            mining: this.computeEffectiveStat('mining', unitData),
+            transport: this.computeEffectiveStat('transport', unitData),
+            carrier: this.computeEffectiveStat('carrier', unitData),
+            scan: this.computeEffectiveStat('scan', unitData)
         };
     }
 
@@ -244,6 +263,79 @@ export class StatsEngine {
         };
     }
 
+    /**
+     * Compute Matera Transport cargo stats from the effective transport rating
+     *
+     * Formula from MATERA_TRANSPORT spec:
+     *   TransportScalar = transportRating / 100
+     *   maxCargo        = baseCapacityAt100 * TransportScalar
+     *   transportEff    = clamp(TransportScalar, 0, 1)
+     *
+     * @param {number} transportRating - Effective transport rating from main formula
+     * @returns {Object} { capacity, efficiency }
+     */
+    computeTransportStats(transportRating) {
+        const base = this.config.transportBaseValues || DEFAULT_STATS_CONFIG.transportBaseValues;
+        const scalar = Math.max(0, transportRating / 100);
+
+        return {
+            capacity: base.capacity * scalar,
+            efficiency: Math.min(1, scalar)
+        };
+    }
+
+    /**
+     * Movement slowdown while carrying cargo, weighted by cargo fill
+     *
+     * Formula from MATERA_TRANSPORT spec:
+     *   factor = lerp(1.0, transportEff, cargoFill)
+     *          = 1.0 - cargoFill * (1.0 - transportEff)
+     *
+     * Empty → 1.0 (no slowdown), full → transportEff, half → 0.5 * (1 + transportEff)
+     *
+     * @param {number} efficiency - transportEff (0-1)
+     * @param {number} cargoFill - currentCargo / maxCargo (clamped to 0-1)
+     * @returns {number} Multiplier applied to movement speed
+     */
+    computeTransportSpeedFactor(efficiency, cargoFill) {
+        const fill = Math.max(0, Math.min(1, cargoFill || 0));
+        const eff = Math.max(0, Math.min(1, efficiency));
+        return 1.0 - fill * (1.0 - eff);
+    }
+
+    /**
+     * Unit Carrier efficiency from the effective carrier rating
+     *
+     * Formula from UNIT_CARRIER spec (Demo 1.0 carrierEffCurve):
+     *   CarrierScalar = carrierRating / 100
+     *   carrierEff    = clamp(CarrierScalar, 0, 1)
+     *
+     * While carrying: effectiveSpeed = moveSpeed * carrierEff
+     *
+     * @param {number} carrierRating - Effective carrier rating from main formula
+     * @returns {number} carrierEff (0 = cannot carry)
+     */
+    computeCarrierEfficiency(carrierRating) {
+        return Math.max(0, Math.min(1, carrierRating / 100));
+    }
+
+    /**
+     * Subsurface Scan sphere radius from the effective scan rating
+     *
+     * Formula from PERCEPTION_SUBSURFACE_SCAN spec §5:
+     *   ScanScalar        = scanRating / 100
+     *   ScanRadiusMeters  = radiusAt50 * (ScanScalar / 0.5)
+     *   clamped at radiusAt50 * maxMultiplier (2× the 50% reference)
+     *
+     * @param {number} scanRating - Effective scan rating from main formula
+     * @returns {number} Scan radius in meters (0 = no scan)
+     */
+    computeScanRadius(scanRating) {
+        const base = this.config.scanBaseValues || DEFAULT_STATS_CONFIG.scanBaseValues;
+        const scalar = Math.max(0, scanRating / 100);
+        return Math.min(base.radiusAt50 * (scalar / 0.5), base.radiusAt50 * base.maxMultiplier);
+    }
+
     /**
      * Calculate type slots available based on Design%
      * slots = Design% / 20, capped at maxTypeSlots
@@ -21,7 +21,10 @@ export const CommandType = {
     MOVE: 'MOVE',
     SET_PATH: 'SET_PATH',
     CLOSE_PATH: 'CLOSE_PATH',
-    MOVE_INPUT: 'MOVE_INPUT'
+    MOVE_INPUT: 'MOVE_INPUT',
+    ATTACK_TARGET: 'ATTACK_TARGET',
+    PICKUP_UNIT: 'PICKUP_UNIT',
+    DROP_UNIT: 'DROP_UNIT'
 };
 
 /**
@@ -121,6 +124,28 @@ export class CommandQueue {
         return [...this._pending];
     }
 
+    /**
+     * Get queue state for save/load: the pending backlog and sequence counter.
+     * History is debug-only and not saved.
+     * @returns {{ pending: Object[], seqCounter: number }}
+     */
+    getState() {
+        return {
+            pending: this._pending.map(cmd => ({ ...cmd })),
+            seqCounter: this._seqCounter
+        };
+    }
+
+    /**
+     * Set queue state from save data (replaces pending commands, clears history).
+     * @param {{ pending?: Object[], seqCounter?: number }} state
+     */
+    setState(state) {
+        this._pending = (state.pending || []).map(cmd => ({ ...cmd }));
+        this._history = [];
+        this._seqCounter = state.seqCounter ?? 0;
+    }
+
     /**
      * Reset the queue (for testing/replay).
      */
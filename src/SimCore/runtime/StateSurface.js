@@ -7,6 +7,8 @@
  * INCLUDED (authoritative):
  * - Unit: id, position, velocity, health, commands, waypoints, pathIndex
  * - Sim: tickCount, seed
+ * - World: Matera deposits (remainingAmount) + surface piles, depot inventories
+ * - World: Terrain Shaping height edits (TerrainDeltaLayer nodes)
  *
  * EXCLUDED (render-only):
  * - Three.js objects (mesh, material, geometry)
@@ -150,6 +152,13 @@ export function serializeUnit(unit) {
         shieldLevel: unit.shieldLevel ?? 0,
         disabled: unit.disabled ?? false,
 
+        // Cargo (Matera Transport)
+        cargo: unit.cargo ?? 0,
+
+        // Carry link (Unit Carrier)
+        carriedBy: unit.carriedBy ?? null,
+        carryingUnitId: unit.carryingUnitId ?? null,
+
         // State flags (gameplay-relevant only)
         pausedByCommand: unit.pausedByCommand ?? false,
         waterState: unit.waterState ?? 'normal',
@@ -186,12 +195,46 @@ export function serializeState(game, options = {}) {
         } : undefined,
 
         // Selected unit ID (gameplay-relevant for commands)
-        selectedUnitId: game.selectedUnit?.id ?? null
+        selectedUnitId: game.selectedUnit?.id ?? null,
+
+        // World-owned Matera deposits + piles (absent if the game has no deposit service)
+        matera: serializeMatera(game.matera),
+        logistics: serializeMatera(game.logistics),
+
+        // Terrain Shaping edits (absent if the game exposes no terrain)
+        terrain: serializeTerrainEdits(game.terrain),
+
+        // Subsurface Scan discovery per player slot (absent if the game has no scan service)
+        scan: serializeMatera(game.scan)
     };
 
     return state;
 }
 
+/**
+ * Serialize a Matera world service (deposits + piles, or depots).
+ *
+ * Also used for the Subsurface Scan discovery service (same serialize() contract).
+ *
+ * @param {Object} [materaService] - MateraDepositService / MateraLogisticsService / SubsurfaceScanService (duck-typed: serialize())
+ * @returns {Object|undefined} Plain service state, or undefined if no service
+ */
+export function serializeMatera(materaService) {
+    if (!materaService || typeof materaService.serialize !== 'function') return undefined;
+    return materaService.serialize();
+}
+
+/**
+ * Serialize Terrain Shaping edits (the delta layer on top of procedural terrain).
+ *
+ * @param {Object} [terrain] - ServerTerrain / Terrain (duck-typed: deltaLayer.serialize())
+ * @returns {Object|undefined} Plain layer state, or undefined if no terrain
+ */
+export function serializeTerrainEdits(terrain) {
+    if (!terrain || !terrain.deltaLayer || typeof terrain.deltaLayer.serialize !== 'function') return undefined;
+    return terrain.deltaLayer.serialize();
+}
+
 /**
  * Deserialize a unit state back to plain object.
  * Note: Does NOT create Three.js objects - use UnitFactory for that.
@@ -231,6 +274,33 @@ export function hashState(state) {
         hash += `|${unit.id}:${px},${py},${pz}`;
     }
 
+    // Matera depletion and pile growth must match across peers too
+    if (state.matera) {
+        for (const d of state.matera.deposits) {
+            hash += `|d${d.id}:${d.remainingAmount.toFixed(6)}`;
+        }
+        for (const p of state.matera.piles) {
+            hash += `|p${p.id}:${p.amount.toFixed(6)}`;
+        }
+    }
+    if (state.logistics) {
+        for (const d of state.logistics.depots) {
+            hash += `|b${d.id}:${d.inventory.toFixed(6)}`;
+        }
+    }
+    if (state.terrain) {
+        for (const [key, delta] of state.terrain.nodes) {
+            hash += `|t${key}:${delta.toFixed(6)}`;
+        }
+    }
+    if (state.scan) {
+        for (const { slot, deposits } of state.scan.slots) {
+            for (const d of deposits) {
+                hash += `|s${slot}:${d.depositId}:${d.stamps.length}`;
+            }
+        }
+    }
+
     return hash;
 }
 
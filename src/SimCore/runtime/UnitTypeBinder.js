@@ -33,6 +33,30 @@ function getStatsEngine() {
  * @property {Object} computedStats - snapshot of stats at bind time
  */
 
+/**
+ * Compute the effective stats for an untrained, undamaged unit of a blueprint.
+ * Pure: does not touch bindings or storage. Used by the server (HeadlessUnit)
+ * with its own StatsEngine instance, since localStorage config is client-only.
+ *
+ * @param {{ allocations: Object<string, number> }} blueprint - Blueprint (or plain data with allocations)
+ * @param {StatsEngine} [engine] - Stats engine to use (defaults to the lazily-loaded client engine)
+ * @returns {{ move: number, vision: number, shot: number, shield: number, mining: number, transport: number, carrier: number, scan: number }}
+ */
+export function computeBlueprintStats(blueprint, engine = getStatsEngine()) {
+    const allocations = blueprint.allocations || {};
+    const featureCount = Object.keys(allocations).filter(k => allocations[k] > 0).length;
+    const unitData = {
+        typeAllocation: allocations,
+        featureCount: featureCount,
+        featureTraining: {},
+        unitTraining: 1.0,
+        tunedFeature: null,
+        amortization: 1.0,
+        damage: {}
+    };
+    return engine.computeAllStats(unitData);
+}
+
 /**
  * Bind a UnitModel to a TypeBlueprint.
  * Computes stats and applies movement speed immediately.
@@ -50,27 +74,24 @@ export function bindUnitToBlueprint(unitModel, blueprintId, tick = 0) {
     }
 
     // Compute stats using StatsEngine
-    const featureCount = Object.keys(blueprint.allocations).filter(k => blueprint.allocations[k] > 0).length;
-    const unitData = {
-        typeAllocation: blueprint.allocations,
-        featureCount: featureCount,
-        featureTraining: {},
-        unitTraining: 1.0,
-        tunedFeature: null,
-        amortization: 1.0,
-        damage: {}
-    };
-    const computedStats = getStatsEngine().computeAllStats(unitData);
+    const computedStats = computeBlueprintStats(blueprint);
 
     // Apply to UnitModel
     unitModel.typeId = blueprintId;
-    unitModel.speed = computedStats.move;
     unitModel.effectiveStats = {
         move: computedStats.move,
         vision: computedStats.vision,
         shot: computedStats.shot,
-        shield: computedStats.shield
+        shield: computedStats.shield,
+        mining: computedStats.mining,
+        transport: computedStats.transport,
+        carrier: computedStats.carrier,
+        scan: computedStats.scan
     };
+    unitModel.transportStats = computedStats.transport > 0
+        ? getStatsEngine().computeTransportStats(computedStats.transport)
+        : null;
+    setCargo(unitModel, unitModel.cargo ?? 0);
 
     // Create binding record
     const binding = {
@@ -118,17 +139,52 @@ export function getBinding(unitId) {
 
 /**
  * Apply movement speed to a UnitModel (low-level).
+ * The blueprint speed is kept in effectiveStats.move; unitModel.speed is that
+ * speed after the cargo slowdown (MATERA_TRANSPORT).
  * 
  * @param {UnitModel} unitModel - The unit model
  * @param {number} moveSpeed - The movement speed to apply
+ * @param {StatsEngine} [engine] - Stats engine to use (defaults to the lazily-loaded client engine)
  */
-export function applyMoveSpeed(unitModel, moveSpeed) {
-    unitModel.speed = moveSpeed;
+export function applyMoveSpeed(unitModel, moveSpeed, engine) {
+    unitModel.speed = moveSpeed * getCargoSpeedFactor(unitModel, engine);
     if (unitModel.effectiveStats) {
         unitModel.effectiveStats.move = moveSpeed;
     }
 }
 
+/**
+ * Cargo slowdown multiplier for a unit (MATERA_TRANSPORT spec §4).
+ * Units without a transport allocation are never slowed.
+ * Shared by the client (UnitModel) and the server (HeadlessUnit).
+ *
+ * @param {{ cargo?: number, transportStats?: { capacity: number, efficiency: number }|null }} unit
+ * @param {StatsEngine} [engine] - Stats engine to use (defaults to the lazily-loaded client engine)
+ * @returns {number} Speed multiplier (1.0 = no slowdown)
+ */
+export function getCargoSpeedFactor(unit, engine) {
+    const transport = unit.transportStats;
+    if (!transport || !(transport.capacity > 0)) return 1.0;
+
+    const fill = (unit.cargo || 0) / transport.capacity;
+    return (engine || getStatsEngine()).computeTransportSpeedFactor(transport.efficiency, fill);
+}
+
+/**
+ * Set a UnitModel's cargo (clamped to capacity) and re-apply its movement speed.
+ *
+ * @param {UnitModel} unitModel - The unit model
+ * @param {number} amount - Cargo amount
+ * @param {StatsEngine} [engine] - Stats engine to use (defaults to the lazily-loaded client engine)
+ * @returns {number} Cargo actually held
+ */
+export function setCargo(unitModel, amount, engine) {
+    const capacity = unitModel.transportStats?.capacity ?? 0;
+    unitModel.cargo = Math.max(0, Math.min(capacity, amount || 0));
+    applyMoveSpeed(unitModel, unitModel.effectiveStats?.move ?? unitModel.speed, engine);
+    return unitModel.cargo;
+}
+
 /**
  * Check if a unit is bound to a blueprint.
  * 
@@ -11,14 +11,23 @@
  *   - No Three.js import (uses duck-typed position objects).
  *
  * Part of Prompt 06: Per-Unit Vision System
+ *
+ * The vision stat → radius mapping lives in VisibilityService so the server's
+ * per-slot snapshot filtering sees exactly what this system stamps.
  */
 
+import {
+    getVisionPercent,
+    visionRadiusFromPercent,
+    DEFAULT_MIN_VISION_RADIUS,
+    MAX_VISION_RADIUS_FRACTION
+} from '../systems/VisibilityService.js';
+
 /** Isomorphic high-resolution timer (mirrors TimeSource._perfNow) */
 const _perfNow = (typeof performance !== 'undefined' && typeof performance.now === 'function')
     ? () => performance.now()
     : () => Date.now();
 
-const DEFAULT_VISION_PERCENT = 50; // Default vision percentage if not set
 const PI = Math.PI;
 const TWO_PI = Math.PI * 2;
 
@@ -52,8 +61,8 @@ export class VisionSystem {
             updateHz: config.updateHz ?? 30,  // Updates per second
             softEdge: config.softEdge ?? 0.3,
             debugSources: config.debugSources ?? false,
-            maxVisionRadius: config.maxVisionRadius ?? (this.planetRadius * 0.4), // Max vision in meters at 100% stat
-            minVisionRadius: config.minVisionRadius ?? 5, // Minimum vision radius in meters
+            maxVisionRadius: config.maxVisionRadius ?? (this.planetRadius * MAX_VISION_RADIUS_FRACTION), // Max vision in meters at 100% stat
+            minVisionRadius: config.minVisionRadius ?? DEFAULT_MIN_VISION_RADIUS, // Minimum vision radius in meters
             ...config
         };
         
@@ -131,14 +140,13 @@ export class VisionSystem {
             if (!unit || !unit.position) continue;
             
             // Get vision PERCENTAGE from effectiveStats (0-100)
-            const visionPercent = unit.model?.effectiveStats?.vision ?? DEFAULT_VISION_PERCENT;
+            const visionPercent = getVisionPercent(unit);
             
             // Skip units with 0 vision
             if (visionPercent <= 0) continue;
             
             // Convert percentage to meters: lerp(minRadius, maxRadius, percent/100)
-            const t = Math.min(visionPercent, 100) / 100;
-            const visionRadius = this.config.minVisionRadius + t * (this.config.maxVisionRadius - this.config.minVisionRadius);
+            const visionRadius = visionRadiusFromPercent(visionPercent, this.config.minVisionRadius, this.config.maxVisionRadius);
             
             // Calculate UV coordinates from world position
             const uv = this.worldToUV(unit.position);
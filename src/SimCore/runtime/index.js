@@ -30,9 +30,12 @@ export {
 } from './BlueprintStorage.js';
 export {
     bindUnitToBlueprint,
+    computeBlueprintStats,
     rebindUnit,
     getBinding,
     applyMoveSpeed,
+    getCargoSpeedFactor,
+    setCargo,
     isBound,
     unbindUnit,
     getAllBindings
@@ -61,6 +64,8 @@ export {
 export {
     serializeState,
     serializeUnit,
+    serializeMatera,
+    serializeTerrainEdits,
     deserializeUnit,
     hashState,
     compareStates
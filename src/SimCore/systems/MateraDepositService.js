@@ -0,0 +1,497 @@
+/**
+ * MateraDepositService — World-owned Matera deposits, mining and surface piles.
+ * @environment isomorphic
+ *
+ * Implements ASTEROBIA_CANONICAL_FEATURE_MATERA_MINING_2026-01-13:
+ *   - Deposits are world entities (not unit-owned): stable depositId,
+ *     world transform, totalAmount, remainingAmount
+ *   - Mining is continuous: output = baseMiningRateAt100 * (mining stat / 100) * dt
+ *   - Each output unit is subtracted from the deposit (never created from nothing)
+ *   - Extracted Matera accumulates in a surface pile near the miner
+ *
+ * Determinism:
+ *   - Deposit placement uses its own SeededRNG stream (map seed), never the
+ *     global RNG or Math.random — every peer derives the same deposit set
+ *   - Terrain is duck-typed (getRadiusAt), so ServerTerrain and the client
+ *     Terrain produce identical placements
+ *   - Miners are resolved sorted by unit ID; deposit/pile IDs are sequential
+ *
+ * Engagement ("unit sits on a deposit"):
+ *   - Unit has a mining stat > 0 (blueprint allocation 'mining')
+ *   - Unit is stationary, grounded and not disabled
+ *   - A vertical ray from the unit down toward the planet center hits the
+ *     deposit volume (sphere) within miningRayMaxDepth
+ *
+ * NO Three.js dependency. Positions are plain {x, y, z}.
+ *
+ * @module SimCore/systems/MateraDepositService
+ */
+
+import { SeededRNG } from '../runtime/SeededRNG.js';
+
+// ============================================================
+// Calibration defaults (spec §8 console knobs)
+// ============================================================
+
+/** @type {number} Matera per second at a mining stat of 100 */
+const DEFAULT_BASE_MINING_RATE_AT_100 = 1.0;
+
+/** @type {number} Maximum ray depth below the miner (world units) */
+const DEFAULT_MINING_RAY_MAX_DEPTH = 8;
+
+/** @type {number} Tangential distance of a new pile from the miner (world units) */
+const DEFAULT_PILE_SPAWN_OFFSET = 1.5;
+
+/** @type {number} Output lands in an existing pile if one is within this distance */
+const DEFAULT_PILE_MERGE_RADIUS = 3;
+
+/** @type {number} Number of deposits placed per map */
+const DEFAULT_DEPOSIT_COUNT = 8;
+
+/** @type {number} Hard cap on surface piles (bounds state size) */
+const DEFAULT_MAX_PILES = 128;
+
+/** @type {number} Units moving slower than this count as stationary */
+const STATIONARY_SPEED_EPS = 1e-3;
+
+/** @type {{ depth: [number, number], radius: [number, number], amount: [number, number] }} Placement ranges */
+const DEFAULT_PLACEMENT = {
+    depth: [2, 5],
+    radius: [2, 4],
+    amount: [200, 600]
+};
+
+/**
+ * @typedef {Object} MateraDeposit
+ * @property {number} id - Stable deposit ID
+ * @property {{x:number, y:number, z:number}} position - Outcrop point on the terrain surface
+ * @property {{x:number, y:number, z:number}} center - Center of the (spherical) deposit volume
+ * @property {number} radius - Deposit volume radius
+ * @property {number} depth - Depth of the center below the surface
+ * @property {number} totalAmount - Initial Matera amount
+ * @property {number} remainingAmount - Matera left (0 = exhausted)
+ */
+
+/**
+ * @typedef {Object} MateraPile
+ * @property {number} id - Stable pile ID
+ * @property {number} depositId - Deposit the Matera came from
+ * @property {{x:number, y:number, z:number}} position - World position on the terrain surface
+ * @property {number} amount - Matera in the pile
+ */
+
+/**
+ * @typedef {Object} MiningEvent
+ * @property {number} unitId - Miner
+ * @property {number} depositId - Deposit drained
+ * @property {number} pileId - Pile the output went to
+ * @property {number} amount - Matera moved this tick
+ */
+
+/**
+ * @typedef {Object} MiningTickResult
+ * @property {MiningEvent[]} mined
+ * @property {number[]} exhausted - Deposit IDs that reached 0 this tick
+ */
+
+// ============================================================
+// Vector helpers (plain objects, no allocation-heavy library)
+// ============================================================
+
+function length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+function normalize(v) {
+    const len = length(v);
+    if (len < 1e-12) return { x: 0, y: 1, z: 0 };
+    return { x: v.x / len, y: v.y / len, z: v.z / len };
+}
+
+function scale(v, s) {
+    return { x: v.x * s, y: v.y * s, z: v.z * s };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function distance(a, b) {
+    const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+function copyVec(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+export class MateraDepositService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.seed=0] - Map seed (deposit placement stream)
+     * @param {{ getRadiusAt: Function }} [options.terrain] - Terrain for surface height (ServerTerrain or Terrain)
+     * @param {number} [options.depositCount=8] - Deposits placed by placeDeposits()
+     * @param {number} [options.baseMiningRateAt100=1.0] - Matera/sec at mining stat 100
+     * @param {number} [options.miningRayMaxDepth=8] - Max ray depth below the miner
+     * @param {number} [options.pileSpawnOffset=1.5] - New pile distance from the miner
+     * @param {number} [options.pileMergeRadius=3] - Reuse piles within this distance
+     * @param {number} [options.maxPiles=128] - Hard cap on piles
+     * @param {Object} [options.placement] - Ranges { depth, radius, amount } as [min, max]
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.seed = (options.seed ?? 0) >>> 0;
+
+        /** @type {{ getRadiusAt: Function }|null} */
+        this.terrain = options.terrain || null;
+
+        /** @type {number} */
+        this.depositCount = options.depositCount ?? DEFAULT_DEPOSIT_COUNT;
+
+        /** @type {number} */
+        this.baseMiningRateAt100 = options.baseMiningRateAt100 ?? DEFAULT_BASE_MINING_RATE_AT_100;
+
+        /** @type {number} */
+        this.miningRayMaxDepth = options.miningRayMaxDepth ?? DEFAULT_MINING_RAY_MAX_DEPTH;
+
+        /** @type {number} */
+        this.pileSpawnOffset = options.pileSpawnOffset ?? DEFAULT_PILE_SPAWN_OFFSET;
+
+        /** @type {number} */
+        this.pileMergeRadius = options.pileMergeRadius ?? DEFAULT_PILE_MERGE_RADIUS;
+
+        /** @type {number} */
+        this.maxPiles = options.maxPiles ?? DEFAULT_MAX_PILES;
+
+        /** @type {{ depth: number[], radius: number[], amount: number[] }} */
+        this.placement = { ...DEFAULT_PLACEMENT, ...(options.placement || {}) };
+
+        /** @type {Map<number, MateraDeposit>} depositId → deposit */
+        this.deposits = new Map();
+
+        /** @type {Map<number, MateraPile>} pileId → pile */
+        this.piles = new Map();
+
+        /** @type {number} Next pile ID (sequential, serialized) */
+        this._nextPileId = 1;
+
+        /** @type {number} Total Matera extracted (diagnostic) */
+        this.totalMined = 0;
+    }
+
+    // ========================================
+    // Placement
+    // ========================================
+
+    /**
+     * Place deposits deterministically from the map seed.
+     * Replaces any existing deposits and piles.
+     *
+     * @returns {MateraDeposit[]} Placed deposits (sorted by ID)
+     */
+    placeDeposits() {
+        if (!this.terrain) {
+            throw new Error('MateraDepositService: terrain required to place deposits');
+        }
+
+        const rng = new SeededRNG(this.seed);
+        const { depth, radius, amount } = this.placement;
+
+        this.deposits.clear();
+        this.piles.clear();
+        this._nextPileId = 1;
+
+        for (let i = 0; i < this.depositCount; i++) {
+            // Uniform direction on the sphere
+            const z = rng.nextFloat(-1, 1);
+            const phi = rng.nextFloat(0, Math.PI * 2);
+            const ring = Math.sqrt(1 - z * z);
+            const dir = { x: ring * Math.cos(phi), y: z, z: ring * Math.sin(phi) };
+
+            const d = rng.nextFloat(depth[0], depth[1]);
+            const r = rng.nextFloat(radius[0], radius[1]);
+            const total = Math.round(rng.nextFloat(amount[0], amount[1]));
+
+            const surfaceR = this.terrain.getRadiusAt(dir);
+            const id = i + 1;
+            this.deposits.set(id, {
+                id,
+                position: scale(dir, surfaceR),
+                center: scale(dir, surfaceR - d),
+                radius: r,
+                depth: d,
+                totalAmount: total,
+                remainingAmount: total
+            });
+        }
+
+        return this.getDeposits();
+    }
+
+    /**
+     * Get all deposits, sorted by ID.
+     * @returns {MateraDeposit[]}
+     */
+    getDeposits() {
+        return [...this.deposits.values()].sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Get all surface piles, sorted by ID.
+     * @returns {MateraPile[]}
+     */
+    getPiles() {
+        return [...this.piles.values()].sort((a, b) => a.id - b.id);
+    }
+
+    // ========================================
+    // Mining
+    // ========================================
+
+    /**
+     * Find the deposit hit by a vertical ray cast down from a world position.
+     * Exhausted deposits are ignored. Ties resolve to the lowest deposit ID.
+     *
+     * @param {{x:number, y:number, z:number}} position - Miner world position
+     * @returns {MateraDeposit|null}
+     */
+    findDepositBelow(position) {
+        const surfaceDist = length(position);
+        if (surfaceDist < 1e-9) return null;
+        const down = scale(position, -1 / surfaceDist);
+
+        for (const deposit of this.getDeposits()) {
+            if (deposit.remainingAmount <= 0) continue;
+
+            // Ray: position + down * t, t >= 0. Sphere: |p - center| <= radius.
+            const toCenter = {
+                x: deposit.center.x - position.x,
+                y: deposit.center.y - position.y,
+                z: deposit.center.z - position.z
+            };
+            const along = dot(toCenter, down);
+            const perpSq = dot(toCenter, toCenter) - along * along;
+            const rSq = deposit.radius * deposit.radius;
+            if (perpSq > rSq) continue;
+
+            const entry = along - Math.sqrt(rSq - perpSq);
+            const exit = along + Math.sqrt(rSq - perpSq);
+            if (exit < 0) continue;
+            if (entry > this.miningRayMaxDepth) continue;
+
+            return deposit;
+        }
+        return null;
+    }
+
+    /**
+     * Whether a unit is currently able to mine (ignores deposit presence).
+     *
+     * @param {Object} unit - HeadlessUnit or UnitModel (duck-typed)
+     * @returns {boolean}
+     */
+    canMine(unit) {
+        if (!unit || unit.disabled) return false;
+        if (!(unit.effectiveStats?.mining > 0)) return false;
+        if (unit.mode === 'AIRBORNE') return false;
+        if (unit.physicsMode === 'DYNAMIC') return false;
+        if (unit.carriedBy != null) return false;
+        return !((unit.speed ?? 0) > STATIONARY_SPEED_EPS);
+    }
+
+    /**
+     * Advance mining for one sim tick.
+     *
+     * For each unit (sorted by ID) that can mine and sits above a deposit:
+     *   output = min(baseMiningRateAt100 * mining / 100 * dtSec, remainingAmount)
+     * The output is subtracted from the deposit and added to a nearby pile.
+     *
+     * @param {Object[]} units - All units in the world
+     * @param {number} dtSec - Fixed timestep in seconds
+     * @returns {MiningTickResult}
+     */
+    resolveTick(units, dtSec) {
+        const mined = [];
+        const exhausted = [];
+        if (!units || units.length === 0 || this.deposits.size === 0) {
+            return { mined, exhausted };
+        }
+
+        const miners = units
+            .filter(u => u != null && this.canMine(u))
+            .sort((a, b) => a.id - b.id);
+
+        for (const unit of miners) {
+            const deposit = this.findDepositBelow(unit.position);
+            if (!deposit) continue;
+
+            const rate = this.baseMiningRateAt100 * (unit.effectiveStats.mining / 100);
+            const amount = Math.min(rate * dtSec, deposit.remainingAmount);
+            if (!(amount > 0)) continue;
+
+            const pile = this._pileFor(unit, deposit);
+            if (!pile) continue;
+
+            deposit.remainingAmount -= amount;
+            if (deposit.remainingAmount <= 1e-9) {
+                deposit.remainingAmount = 0;
+                exhausted.push(deposit.id);
+            }
+            pile.amount += amount;
+            this.totalMined += amount;
+
+            mined.push({ unitId: unit.id, depositId: deposit.id, pileId: pile.id, amount });
+        }
+
+        return { mined, exhausted };
+    }
+
+    /**
+     * Take Matera out of a pile (transport pickup). Empty piles are removed.
+     *
+     * @param {number} pileId
+     * @param {number} amount - Requested amount
+     * @returns {number} Amount actually taken (never more than the pile holds)
+     */
+    takeFromPile(pileId, amount) {
+        const pile = this.piles.get(pileId);
+        if (!pile || !(amount > 0)) return 0;
+
+        const taken = Math.min(amount, pile.amount);
+        pile.amount -= taken;
+        if (pile.amount <= 1e-9) {
+            this.piles.delete(pileId);
+        }
+        return taken;
+    }
+
+    /**
+     * Find (or create) the pile that receives a miner's output.
+     * Reuses the closest pile within pileMergeRadius of the miner; otherwise
+     * creates one pileSpawnOffset away (toward world north on the tangent plane).
+     *
+     * @param {Object} unit
+     * @param {MateraDeposit} deposit
+     * @returns {MateraPile|null} Null if the pile cap is reached
+     * @private
+     */
+    _pileFor(unit, deposit) {
+        let best = null;
+        let bestDist = Infinity;
+        for (const pile of this.getPiles()) {
+            const d = distance(pile.position, unit.position);
+            if (d <= this.pileMergeRadius && d < bestDist) {
+                best = pile;
+                bestDist = d;
+            }
+        }
+        if (best) return best;
+
+        if (this.piles.size >= this.maxPiles) return null;
+
+        const pile = {
+            id: this._nextPileId++,
+            depositId: deposit.id,
+            position: this._pileSpawnPosition(unit.position),
+            amount: 0
+        };
+        this.piles.set(pile.id, pile);
+        return pile;
+    }
+
+    /**
+     * Surface point pileSpawnOffset away from a miner, re-projected onto the terrain.
+     *
+     * @param {{x:number, y:number, z:number}} position
+     * @returns {{x:number, y:number, z:number}}
+     * @private
+     */
+    _pileSpawnPosition(position) {
+        const up = normalize(position);
+
+        // Tangent "north": world Y projected onto the tangent plane (X at the poles)
+        let ref = { x: 0, y: 1, z: 0 };
+        if (Math.abs(dot(up, ref)) > 0.99) ref = { x: 1, y: 0, z: 0 };
+        const d = dot(ref, up);
+        const north = normalize({ x: ref.x - up.x * d, y: ref.y - up.y * d, z: ref.z - up.z * d });
+
+        const r = length(position);
+        const dir = normalize({
+            x: up.x * r + north.x * this.pileSpawnOffset,
+            y: up.y * r + north.y * this.pileSpawnOffset,
+            z: up.z * r + north.z * this.pileSpawnOffset
+        });
+        const surfaceR = this.terrain ? this.terrain.getRadiusAt(dir) : r;
+        return scale(dir, surfaceR);
+    }
+
+    // ========================================
+    // Persistence (spec §7)
+    // ========================================
+
+    /**
+     * Serialize deposits and piles to a JSON-safe object.
+     *
+     * @returns {{ seed: number, nextPileId: number, deposits: MateraDeposit[], piles: MateraPile[] }}
+     */
+    serialize() {
+        return {
+            seed: this.seed,
+            nextPileId: this._nextPileId,
+            deposits: this.getDeposits().map(d => ({
+                id: d.id,
+                position: copyVec(d.position),
+                center: copyVec(d.center),
+                radius: d.radius,
+                depth: d.depth,
+                totalAmount: d.totalAmount,
+                remainingAmount: d.remainingAmount
+            })),
+            piles: this.getPiles().map(p => ({
+                id: p.id,
+                depositId: p.depositId,
+                position: copyVec(p.position),
+                amount: p.amount
+            }))
+        };
+    }
+
+    /**
+     * Restore deposits and piles from serialize() output.
+     * Replaces all current world state (does not re-run placement).
+     *
+     * @param {{ seed?: number, nextPileId?: number, deposits?: MateraDeposit[], piles?: MateraPile[] }} data
+     */
+    restore(data) {
+        if (!data) return;
+
+        if (typeof data.seed === 'number') this.seed = data.seed >>> 0;
+
+        this.deposits.clear();
+        for (const d of data.deposits || []) {
+            this.deposits.set(d.id, {
+                id: d.id,
+                position: copyVec(d.position),
+                center: copyVec(d.center),
+                radius: d.radius,
+                depth: d.depth,
+                totalAmount: d.totalAmount,
+                remainingAmount: d.remainingAmount
+            });
+        }
+
+        this.piles.clear();
+        let maxPileId = 0;
+        for (const p of data.piles || []) {
+            this.piles.set(p.id, {
+                id: p.id,
+                depositId: p.depositId,
+                position: copyVec(p.position),
+                amount: p.amount
+            });
+            maxPileId = Math.max(maxPileId, p.id);
+        }
+
+        this._nextPileId = Math.max(data.nextPileId ?? 1, maxPileId + 1);
+    }
+}
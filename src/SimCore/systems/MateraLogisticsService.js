@@ -0,0 +1,255 @@
+/**
+ * MateraLogisticsService — Matera Transport: pile pickup, cargo, depot unload.
+ * @environment isomorphic
+ *
+ * Implements ASTEROBIA_CANONICAL_FEATURE_MATERA_TRANSPORT_2026-01-13:
+ *   - Depots (base inventory) are world-owned, one inventory per depot
+ *   - Transporters pick up from surface piles (MateraDepositService) within
+ *     pickupRadius and unload at their owner's depot within unloadRadius
+ *   - Pickup/unload are instant on arrival, still bounded by capacity
+ *     (spec §3.3 Demo 1.0 simplification) — works with looping paths
+ *     (closed PATH_DATA) without stopping at each stop
+ *   - Transport never creates Matera: it only moves it pile → cargo → depot
+ *
+ * Cargo slowdown is not applied here: units own it (setCargo recomputes
+ * their speed factor via StatsEngine.computeTransportSpeedFactor).
+ *
+ * Determinism:
+ *   - Transporters resolved sorted by unit ID
+ *   - Nearest pile / depot wins, ties resolve to the lowest ID
+ *
+ * Unit contract (duck-typed): id, ownerSlot, position, disabled, carriedBy,
+ * transportStats { capacity, efficiency } | null, cargo, setCargo(amount).
+ *
+ * @module SimCore/systems/MateraLogisticsService
+ */
+
+// ============================================================
+// Calibration defaults (spec §8 console knobs)
+// ============================================================
+
+/** @type {number} Max distance from a pile to pick up (world units) */
+const DEFAULT_PICKUP_RADIUS = 3;
+
+/** @type {number} Max distance from a depot to unload (world units) */
+const DEFAULT_UNLOAD_RADIUS = 4;
+
+/** @type {number} Hard cap on depots */
+const DEFAULT_MAX_DEPOTS = 16;
+
+/**
+ * @typedef {Object} MateraDepot
+ * @property {number} id - Stable depot ID
+ * @property {number} ownerSlot - Player slot whose transporters unload here
+ * @property {{x:number, y:number, z:number}} position - World position
+ * @property {number} inventory - Matera stored
+ */
+
+/**
+ * @typedef {Object} PickupEvent
+ * @property {number} unitId
+ * @property {number} pileId
+ * @property {number} amount
+ */
+
+/**
+ * @typedef {Object} UnloadEvent
+ * @property {number} unitId
+ * @property {number} depotId
+ * @property {number} amount
+ */
+
+/**
+ * @typedef {Object} LogisticsTickResult
+ * @property {PickupEvent[]} pickups
+ * @property {UnloadEvent[]} unloads
+ */
+
+function distance(a, b) {
+    const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+export class MateraLogisticsService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.pickupRadius=3] - Pile pickup radius
+     * @param {number} [options.unloadRadius=4] - Depot unload radius
+     * @param {number} [options.maxDepots=16] - Hard cap on depots
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.pickupRadius = options.pickupRadius ?? DEFAULT_PICKUP_RADIUS;
+
+        /** @type {number} */
+        this.unloadRadius = options.unloadRadius ?? DEFAULT_UNLOAD_RADIUS;
+
+        /** @type {number} */
+        this.maxDepots = options.maxDepots ?? DEFAULT_MAX_DEPOTS;
+
+        /** @type {Map<number, MateraDepot>} depotId → depot */
+        this.depots = new Map();
+
+        /** @type {number} Next depot ID (sequential, serialized) */
+        this._nextDepotId = 1;
+    }
+
+    /**
+     * Register a depot (base inventory) for a player slot.
+     *
+     * @param {number} ownerSlot
+     * @param {{x:number, y:number, z:number}} position - World position (caller projects to terrain)
+     * @returns {number|null} Depot ID, or null if at cap
+     */
+    addDepot(ownerSlot, position) {
+        if (this.depots.size >= this.maxDepots) return null;
+
+        const id = this._nextDepotId++;
+        this.depots.set(id, {
+            id,
+            ownerSlot,
+            position: { x: position.x, y: position.y, z: position.z },
+            inventory: 0
+        });
+        return id;
+    }
+
+    /**
+     * Get all depots, sorted by ID.
+     * @returns {MateraDepot[]}
+     */
+    getDepots() {
+        return [...this.depots.values()].sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Total Matera stored in a slot's depots.
+     *
+     * @param {number} ownerSlot
+     * @returns {number}
+     */
+    getInventory(ownerSlot) {
+        let total = 0;
+        for (const depot of this.depots.values()) {
+            if (depot.ownerSlot === ownerSlot) total += depot.inventory;
+        }
+        return total;
+    }
+
+    /**
+     * Advance transport for one sim tick.
+     *
+     * For each transporter (sorted by ID):
+     *   1. Within unloadRadius of an own depot with cargo → unload everything
+     *   2. Within pickupRadius of a pile with spare capacity → take up to capacity
+     *
+     * @param {Object[]} units - All units in the world
+     * @param {import('./MateraDepositService.js').MateraDepositService} matera - Pile owner
+     * @returns {LogisticsTickResult}
+     */
+    resolveTick(units, matera) {
+        const pickups = [];
+        const unloads = [];
+        if (!units || units.length === 0) return { pickups, unloads };
+
+        const transporters = units
+            .filter(u => u != null && !u.disabled && u.carriedBy == null && u.transportStats && u.transportStats.capacity > 0)
+            .sort((a, b) => a.id - b.id);
+
+        for (const unit of transporters) {
+            // 1. Unload at own depot
+            if (unit.cargo > 0) {
+                const depot = this._nearest(
+                    this.getDepots().filter(d => d.ownerSlot === unit.ownerSlot),
+                    unit.position, this.unloadRadius
+                );
+                if (depot) {
+                    const amount = unit.cargo;
+                    depot.inventory += amount;
+                    unit.setCargo(0);
+                    unloads.push({ unitId: unit.id, depotId: depot.id, amount });
+                }
+            }
+
+            // 2. Pick up from a pile
+            const space = unit.transportStats.capacity - unit.cargo;
+            if (space <= 1e-9 || !matera) continue;
+
+            const pile = this._nearest(matera.getPiles(), unit.position, this.pickupRadius);
+            if (!pile) continue;
+
+            const amount = matera.takeFromPile(pile.id, space);
+            if (amount > 0) {
+                unit.setCargo(unit.cargo + amount);
+                pickups.push({ unitId: unit.id, pileId: pile.id, amount });
+            }
+        }
+
+        return { pickups, unloads };
+    }
+
+    /**
+     * Closest entry within radius (ties → lowest ID, entries pre-sorted by ID).
+     *
+     * @param {Array<{ id: number, position: {x:number, y:number, z:number} }>} entries
+     * @param {{x:number, y:number, z:number}} position
+     * @param {number} radius
+     * @returns {Object|null}
+     * @private
+     */
+    _nearest(entries, position, radius) {
+        let best = null;
+        let bestDist = Infinity;
+        for (const entry of entries) {
+            const d = distance(entry.position, position);
+            if (d <= radius && d < bestDist) {
+                best = entry;
+                bestDist = d;
+            }
+        }
+        return best;
+    }
+
+    // ========================================
+    // Persistence (spec §7)
+    // ========================================
+
+    /**
+     * Serialize depots and inventories to a JSON-safe object.
+     *
+     * @returns {{ nextDepotId: number, depots: MateraDepot[] }}
+     */
+    serialize() {
+        return {
+            nextDepotId: this._nextDepotId,
+            depots: this.getDepots().map(d => ({
+                id: d.id,
+                ownerSlot: d.ownerSlot,
+                position: { x: d.position.x, y: d.position.y, z: d.position.z },
+                inventory: d.inventory
+            }))
+        };
+    }
+
+    /**
+     * Restore depots from serialize() output (replaces current depots).
+     *
+     * @param {{ nextDepotId?: number, depots?: MateraDepot[] }} data
+     */
+    restore(data) {
+        if (!data) return;
+
+        this.depots.clear();
+        let maxId = 0;
+        for (const d of data.depots || []) {
+            this.depots.set(d.id, {
+                id: d.id,
+                ownerSlot: d.ownerSlot,
+                position: { x: d.position.x, y: d.position.y, z: d.position.z },
+                inventory: d.inventory
+            });
+            maxId = Math.max(maxId, d.id);
+        }
+        this._nextDepotId = Math.max(data.nextDepotId ?? 1, maxId + 1);
+    }
+}
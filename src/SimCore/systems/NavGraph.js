@@ -0,0 +1,584 @@
+/**
+ * NavGraph — Navigation node network on the spherical planet surface.
+ * @environment isomorphic
+ *
+ * The graph half of navigation, shared by the client SphericalNavMesh (which
+ * adds the THREE.Points debug mesh and path smoothing) and the server Room
+ * (MOVE_TO planning), so both sides route by the same rules:
+ *   - Fibonacci sphere node directions, projected onto the terrain
+ *   - Walkability: water (WaterRules), slope, rock footprints (+ margin)
+ *   - Distance-based neighbor graph (O(n²))
+ *   - A* between the nearest walkable nodes, great-circle heuristic
+ *
+ * Paths are never smoothed here (findPath ignores options.smoothPath).
+ *
+ * Terrain contract (duck-typed): getRadiusAt(direction), getNormalAt(position)
+ * and params.{ radius, waterLevel }. Rocks are RockField descriptors.
+ *
+ * @module SimCore/systems/NavGraph
+ */
+
+import { Vec3 } from '../runtime/SphereMath.js';
+import { getWaterRadius } from './WaterRules.js';
+
+/** @type {number} Default node count */
+const DEFAULT_NODE_COUNT = 2000;
+
+/**
+ * @param {{x:number,y:number,z:number}} a
+ * @param {{x:number,y:number,z:number}} b
+ * @returns {number}
+ */
+function distanceSq(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+export class NavGraph {
+    /**
+     * @param {Object} terrain
+     * @param {import('./RockField.js').Rock[]} [rocks=[]]
+     * @param {Object} [options]
+     * @param {number} [options.nodeCount=2000]
+     */
+    constructor(terrain, rocks = [], options = {}) {
+        /** @type {Object} */
+        this.terrain = terrain;
+
+        /** @type {import('./RockField.js').Rock[]} */
+        this.rocks = rocks;
+
+        /** @type {Object} */
+        this.config = {
+            nodeCount: options.nodeCount ?? DEFAULT_NODE_COUNT,
+            maxSlopeAngle: 45,         // Degrees - steeper = unwalkable
+            waterMargin: 0.5,          // How far below water level is still walkable
+            rockCheckRadius: 2.0,      // Radius to check for rock collisions
+            neighborDistance: null     // Auto-calculated based on node density
+        };
+
+        /** @type {{ positions: Object[], directions: Object[], walkable: boolean[], neighbors: number[][], slopeAngle: number[], terrainHeight: number[] }} */
+        this.nodes = {
+            positions: [],
+            directions: [],
+            walkable: [],
+            neighbors: [],
+            slopeAngle: [],
+            terrainHeight: []
+        };
+
+        /** @type {number} */
+        this.nodeCount = 0;
+
+        /** @type {{ generationTimeMs: number, walkableCount: number, unwalkableCount: number, avgNeighborCount: number }} */
+        this.metrics = {
+            generationTimeMs: 0,
+            walkableCount: 0,
+            unwalkableCount: 0,
+            avgNeighborCount: 0
+        };
+    }
+
+    /**
+     * Generate the navigation mesh.
+     * @returns {this}
+     */
+    generate() {
+        const startTime = performance.now();
+
+        this._generateFibonacciNodes();
+        this._projectToTerrain();
+        this._calculateWalkability();
+        this._buildNeighborGraph();
+
+        this.metrics.generationTimeMs = performance.now() - startTime;
+        this._countWalkable();
+        return this;
+    }
+
+    /**
+     * Fibonacci sphere: evenly distributed node directions.
+     * @private
+     */
+    _generateFibonacciNodes() {
+        const n = this.config.nodeCount;
+        const goldenRatio = (1 + Math.sqrt(5)) / 2;
+        const angleIncrement = Math.PI * 2 * goldenRatio;
+
+        this.nodes.positions = [];
+        this.nodes.directions = [];
+
+        for (let i = 0; i < n; i++) {
+            const y = 1 - (i / (n - 1)) * 2;
+            const radiusAtY = Math.sqrt(1 - y * y);
+            const theta = angleIncrement * i;
+
+            this.nodes.directions.push(Vec3.normalize({
+                x: Math.cos(theta) * radiusAtY,
+                y,
+                z: Math.sin(theta) * radiusAtY
+            }));
+            this.nodes.positions.push({ x: 0, y: 0, z: 0 });
+        }
+
+        this.nodeCount = n;
+
+        const avgNodeSpacing = this.terrain.params.radius * 2 / Math.sqrt(n);
+        this.config.neighborDistance = avgNodeSpacing * 3.0;
+    }
+
+    /** @private */
+    _projectToTerrain() {
+        for (let i = 0; i < this.nodeCount; i++) {
+            const dir = this.nodes.directions[i];
+            const terrainRadius = this.terrain.getRadiusAt(dir);
+            this.nodes.terrainHeight[i] = terrainRadius - this.terrain.params.radius;
+            this.nodes.positions[i] = Vec3.scale(dir, terrainRadius);
+        }
+    }
+
+    /** @private */
+    _calculateWalkability() {
+        this.nodes.walkable = [];
+        this.nodes.slopeAngle = [];
+        for (let i = 0; i < this.nodeCount; i++) {
+            this._evaluateNode(i);
+        }
+    }
+
+    /**
+     * Walkable flag + slope angle for one node (water, slope, rocks).
+     * @param {number} i
+     * @private
+     */
+    _evaluateNode(i) {
+        const waterRadius = getWaterRadius(this.terrain) ?? -Infinity;
+        const pos = this.nodes.positions[i];
+        const dir = this.nodes.directions[i];
+
+        let walkable = true;
+        let slopeAngle = 0;
+
+        // 1. Water
+        if (Vec3.length(pos) < waterRadius - this.config.waterMargin) {
+            walkable = false;
+        }
+
+        // 2. Slope: angle between surface normal and radial direction
+        if (walkable) {
+            const cosAngle = Vec3.dot(this._surfaceNormal(pos), dir);
+            slopeAngle = Math.acos(Math.min(1, Math.abs(cosAngle))) * 180 / Math.PI;
+            if (slopeAngle > this.config.maxSlopeAngle) {
+                walkable = false;
+            }
+        }
+
+        // 3. Rocks
+        if (walkable) {
+            for (const rock of this._rockObstacles()) {
+                const reach = rock.footprintRadius + this.config.rockCheckRadius;
+                if (distanceSq(pos, rock.position) < reach * reach) {
+                    walkable = false;
+                    break;
+                }
+            }
+        }
+
+        this.nodes.walkable[i] = walkable;
+        this.nodes.slopeAngle[i] = slopeAngle;
+    }
+
+    /**
+     * Rocks that block nodes. Overridden by wrappers whose rock field can be
+     * regenerated after construction.
+     * @returns {import('./RockField.js').Rock[]}
+     * @protected
+     */
+    _rockObstacles() {
+        return this.rocks;
+    }
+
+    /**
+     * Terrain normal at a node position.
+     * @param {{x:number,y:number,z:number}} position
+     * @returns {{x:number,y:number,z:number}}
+     * @protected
+     */
+    _surfaceNormal(position) {
+        return this.terrain.getNormalAt(position);
+    }
+
+    /**
+     * Neighbor connections by distance (O(n²)).
+     * @private
+     */
+    _buildNeighborGraph() {
+        const maxDistSq = this.config.neighborDistance * this.config.neighborDistance;
+        const positions = this.nodes.positions;
+
+        this.nodes.neighbors = [];
+        let totalNeighbors = 0;
+
+        for (let i = 0; i < this.nodeCount; i++) {
+            const neighbors = [];
+            for (let j = 0; j < this.nodeCount; j++) {
+                if (i !== j && distanceSq(positions[i], positions[j]) < maxDistSq) {
+                    neighbors.push(j);
+                }
+            }
+            this.nodes.neighbors[i] = neighbors;
+            totalNeighbors += neighbors.length;
+        }
+
+        this.metrics.avgNeighborCount = totalNeighbors / this.nodeCount;
+    }
+
+    /** @private */
+    _countWalkable() {
+        this.metrics.walkableCount = this.nodes.walkable.filter(w => w).length;
+        this.metrics.unwalkableCount = this.nodeCount - this.metrics.walkableCount;
+    }
+
+    /**
+     * Nearest node to a world position (O(n) brute force).
+     *
+     * @param {{x:number,y:number,z:number}} worldPosition
+     * @param {boolean} [walkableOnly=false]
+     * @returns {{ index: number, position: Object|null, distance: number, walkable: boolean }}
+     */
+    findNearestNode(worldPosition, walkableOnly = false) {
+        let bestIndex = -1;
+        let bestDistSq = Infinity;
+
+        for (let i = 0; i < this.nodeCount; i++) {
+            if (walkableOnly && !this.nodes.walkable[i]) continue;
+            const d = distanceSq(worldPosition, this.nodes.positions[i]);
+            if (d < bestDistSq) {
+                bestDistSq = d;
+                bestIndex = i;
+            }
+        }
+
+        return {
+            index: bestIndex,
+            position: bestIndex >= 0 ? { ...this.nodes.positions[bestIndex] } : null,
+            distance: Math.sqrt(bestDistSq),
+            walkable: bestIndex >= 0 ? this.nodes.walkable[bestIndex] : false
+        };
+    }
+
+    /**
+     * All nodes within a radius, nearest first.
+     *
+     * @param {{x:number,y:number,z:number}} worldPosition
+     * @param {number} radius
+     * @param {boolean} [walkableOnly=false]
+     * @returns {Array<{ index: number, position: Object, distance: number, walkable: boolean }>}
+     */
+    findNodesInRadius(worldPosition, radius, walkableOnly = false) {
+        const radiusSq = radius * radius;
+        const results = [];
+
+        for (let i = 0; i < this.nodeCount; i++) {
+            if (walkableOnly && !this.nodes.walkable[i]) continue;
+            const d = distanceSq(worldPosition, this.nodes.positions[i]);
+            if (d < radiusSq) {
+                results.push({
+                    index: i,
+                    position: this.nodes.positions[i],
+                    distance: Math.sqrt(d),
+                    walkable: this.nodes.walkable[i]
+                });
+            }
+        }
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Great-circle distance (A* heuristic), at the mean radius of both points.
+     *
+     * @param {{x:number,y:number,z:number}} posA
+     * @param {{x:number,y:number,z:number}} posB
+     * @returns {number}
+     */
+    greatCircleDistance(posA, posB) {
+        const dot = Math.max(-1, Math.min(1, Vec3.dot(Vec3.normalize(posA), Vec3.normalize(posB))));
+        const radius = (Vec3.length(posA) + Vec3.length(posB)) / 2;
+        return Math.acos(dot) * radius;
+    }
+
+    /**
+     * A* between the nearest walkable nodes to start and goal.
+     *
+     * @param {{x:number,y:number,z:number}} startPos
+     * @param {{x:number,y:number,z:number}} goalPos
+     * @param {Object} [options]
+     * @param {number} [options.maxIterations=nodeCount]
+     * @returns {{ success: boolean, path: Object[], nodeIndices: number[], reason: string, metrics: Object }}
+     */
+    findPath(startPos, goalPos, options = {}) {
+        const startTime = performance.now();
+        const { maxIterations = this.nodeCount } = options;
+
+        const startNode = this.findNearestNode(startPos, true);
+        const goalNode = this.findNearestNode(goalPos, true);
+
+        if (startNode.index < 0 || goalNode.index < 0) {
+            return {
+                success: false,
+                path: [],
+                nodeIndices: [],
+                reason: startNode.index < 0 ? 'No walkable start node' : 'No walkable goal node',
+                metrics: { timeMs: performance.now() - startTime, nodesExplored: 0 }
+            };
+        }
+
+        if (startNode.index === goalNode.index) {
+            return {
+                success: true,
+                path: [{ ...startPos }, { ...goalPos }],
+                nodeIndices: [startNode.index],
+                reason: 'Already at goal',
+                metrics: { timeMs: performance.now() - startTime, nodesExplored: 1 }
+            };
+        }
+
+        const positions = this.nodes.positions;
+        const openSet = new MinHeap();
+        const cameFrom = new Map();
+        const gScore = new Map();
+        const closedSet = new Set();
+
+        gScore.set(startNode.index, 0);
+        openSet.push(startNode.index, this.greatCircleDistance(positions[startNode.index], positions[goalNode.index]));
+
+        let iterations = 0;
+        let nodesExplored = 0;
+
+        while (!openSet.isEmpty() && iterations < maxIterations) {
+            iterations++;
+            const current = openSet.pop();
+            nodesExplored++;
+
+            if (current === goalNode.index) {
+                const nodePath = this._reconstructPath(cameFrom, current);
+                const worldPath = [{ ...startPos }, ...nodePath.map(idx => ({ ...positions[idx] })), { ...goalPos }];
+                return {
+                    success: true,
+                    path: worldPath,
+                    nodeIndices: nodePath,
+                    reason: 'Path found',
+                    metrics: {
+                        timeMs: performance.now() - startTime,
+                        nodesExplored,
+                        pathLength: nodePath.length
+                    }
+                };
+            }
+
+            closedSet.add(current);
+
+            for (const neighbor of this.nodes.neighbors[current]) {
+                if (closedSet.has(neighbor) || !this.nodes.walkable[neighbor]) continue;
+
+                const tentativeG = gScore.get(current) + Math.sqrt(distanceSq(positions[current], positions[neighbor]));
+                if (gScore.has(neighbor) && tentativeG >= gScore.get(neighbor)) continue;
+
+                cameFrom.set(neighbor, current);
+                gScore.set(neighbor, tentativeG);
+                const f = tentativeG + this.greatCircleDistance(positions[neighbor], positions[goalNode.index]);
+
+                if (!openSet.contains(neighbor)) {
+                    openSet.push(neighbor, f);
+                } else {
+                    openSet.updatePriority(neighbor, f);
+                }
+            }
+        }
+
+        return {
+            success: false,
+            path: [],
+            nodeIndices: [],
+            reason: iterations >= maxIterations ? 'Max iterations reached' : 'No path exists',
+            metrics: { timeMs: performance.now() - startTime, nodesExplored }
+        };
+    }
+
+    /** @private */
+    _reconstructPath(cameFrom, current) {
+        const path = [current];
+        while (cameFrom.has(current)) {
+            current = cameFrom.get(current);
+            path.unshift(current);
+        }
+        return path;
+    }
+
+    /**
+     * Re-project and re-check walkability of nodes in an edited terrain region
+     * (Terrain Shaping). Neighbor links are kept: edits move nodes radially,
+     * which barely changes their spacing.
+     *
+     * @param {{x:number,y:number,z:number}|null} center - Edit center (direction or world position); null = all nodes
+     * @param {number} [radius] - Edit radius in meters on the surface
+     * @returns {number} Number of nodes refreshed
+     */
+    refreshRegion(center, radius = 0) {
+        const centerDir = center ? Vec3.normalize(center) : null;
+        const maxChord = (radius + 1) / this.terrain.params.radius;
+        let count = 0;
+
+        for (let i = 0; i < this.nodeCount; i++) {
+            const dir = this.nodes.directions[i];
+            if (centerDir && Math.sqrt(distanceSq(dir, centerDir)) > maxChord) continue;
+
+            const terrainRadius = this.terrain.getRadiusAt(dir);
+            this.nodes.terrainHeight[i] = terrainRadius - this.terrain.params.radius;
+            this.nodes.positions[i] = Vec3.scale(dir, terrainRadius);
+            this._evaluateNode(i);
+            count++;
+        }
+
+        if (count > 0) this._countWalkable();
+        return count;
+    }
+
+    /**
+     * Mark walkable nodes within a radius as unwalkable (e.g. a new obstacle).
+     *
+     * @param {{x:number,y:number,z:number}} center
+     * @param {number} radius
+     * @returns {number} Number of nodes marked
+     */
+    markUnwalkableInRadius(center, radius) {
+        const radiusSq = radius * radius;
+        let count = 0;
+
+        for (let i = 0; i < this.nodeCount; i++) {
+            if (this.nodes.walkable[i] && distanceSq(this.nodes.positions[i], center) < radiusSq) {
+                this.nodes.walkable[i] = false;
+                count++;
+            }
+        }
+
+        this.metrics.walkableCount -= count;
+        this.metrics.unwalkableCount += count;
+        return count;
+    }
+
+    /**
+     * Regenerate with a new node count or after terrain changes.
+     * @param {number|null} [newNodeCount=null]
+     * @returns {this}
+     */
+    regenerate(newNodeCount = null) {
+        if (newNodeCount !== null) {
+            this.config.nodeCount = newNodeCount;
+        }
+        return this.generate();
+    }
+
+    /**
+     * @returns {Object} Performance and debug info
+     */
+    getMetrics() {
+        return {
+            ...this.metrics,
+            nodeCount: this.nodeCount,
+            configuredNodes: this.config.nodeCount,
+            neighborDistance: this.config.neighborDistance
+        };
+    }
+}
+
+/**
+ * Binary min-heap for A* (priority queue by f-score).
+ */
+class MinHeap {
+    constructor() {
+        this.heap = [];
+        this.nodeIndex = new Map();
+    }
+
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    contains(node) {
+        return this.nodeIndex.has(node);
+    }
+
+    push(node, priority) {
+        this.heap.push({ node, priority });
+        this.nodeIndex.set(node, this.heap.length - 1);
+        this._bubbleUp(this.heap.length - 1);
+    }
+
+    pop() {
+        if (this.isEmpty()) return null;
+
+        const min = this.heap[0];
+        const last = this.heap.pop();
+        this.nodeIndex.delete(min.node);
+
+        if (!this.isEmpty()) {
+            this.heap[0] = last;
+            this.nodeIndex.set(last.node, 0);
+            this._bubbleDown(0);
+        }
+        return min.node;
+    }
+
+    updatePriority(node, newPriority) {
+        if (!this.nodeIndex.has(node)) return;
+
+        const idx = this.nodeIndex.get(node);
+        const oldPriority = this.heap[idx].priority;
+        this.heap[idx].priority = newPriority;
+
+        if (newPriority < oldPriority) {
+            this._bubbleUp(idx);
+        } else {
+            this._bubbleDown(idx);
+        }
+    }
+
+    _bubbleUp(idx) {
+        while (idx > 0) {
+            const parentIdx = Math.floor((idx - 1) / 2);
+            if (this.heap[parentIdx].priority <= this.heap[idx].priority) break;
+            this._swap(idx, parentIdx);
+            idx = parentIdx;
+        }
+    }
+
+    _bubbleDown(idx) {
+        const length = this.heap.length;
+        while (true) {
+            const leftIdx = 2 * idx + 1;
+            const rightIdx = 2 * idx + 2;
+            let smallest = idx;
+
+            if (leftIdx < length && this.heap[leftIdx].priority < this.heap[smallest].priority) {
+                smallest = leftIdx;
+            }
+            if (rightIdx < length && this.heap[rightIdx].priority < this.heap[smallest].priority) {
+                smallest = rightIdx;
+            }
+            if (smallest === idx) break;
+
+            this._swap(idx, smallest);
+            idx = smallest;
+        }
+    }
+
+    _swap(i, j) {
+        [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+        this.nodeIndex.set(this.heap[i].node, i);
+        this.nodeIndex.set(this.heap[j].node, j);
+    }
+}
@@ -0,0 +1,485 @@
+/**
+ * NavPlanner — Hierarchical path planning on a NavGraph.
+ * @environment isomorphic
+ *
+ * Shared by the client PathPlanner (PATH_DATA routes, debug grid points) and
+ * the server Room (MOVE_TO routes), so a unit commanded either way takes the
+ * same route:
+ *   1. Global A* on the NavGraph (coarse)
+ *   2. Local grid A* per segment that touches an obstacle, in a channel
+ *      around it (retried once with a 3× wider channel)
+ *   3. Projection onto the terrain
+ *
+ * Zones, for a unit with the given capabilities:
+ *   - FORBIDDEN: inside a rock footprint, or underwater (non-swimmers)
+ *   - AVOIDANCE: within avoidanceMargin of a rock or the shoreline (10× cost)
+ *   - FREE:      everything else
+ *
+ * Terrain contract (duck-typed): getRadiusAt(direction) and
+ * params.{ radius, waterLevel }. Rocks are RockField descriptors.
+ *
+ * @module SimCore/systems/NavPlanner
+ */
+
+import { Vec3 } from '../runtime/SphereMath.js';
+import { getWaterRadius } from './WaterRules.js';
+
+/** @type {number} Local A* expansion limit */
+const LOCAL_ASTAR_MAX_STEPS = 2000;
+
+/**
+ * @param {{x:number,y:number,z:number}} a
+ * @param {{x:number,y:number,z:number}} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    return Vec3.length(Vec3.sub(a, b));
+}
+
+/**
+ * @param {{x:number,y:number,z:number}} a
+ * @param {{x:number,y:number,z:number}} b
+ * @param {number} t
+ * @returns {{x:number,y:number,z:number}}
+ */
+function lerp(a, b, t) {
+    return {
+        x: a.x + (b.x - a.x) * t,
+        y: a.y + (b.y - a.y) * t,
+        z: a.z + (b.z - a.z) * t
+    };
+}
+
+export class NavPlanner {
+    /**
+     * @param {import('./NavGraph.js').NavGraph} navMesh
+     * @param {import('./RockField.js').Rock[]} rocks
+     * @param {Object} terrain
+     */
+    constructor(navMesh, rocks, terrain) {
+        /** @type {import('./NavGraph.js').NavGraph} */
+        this.navMesh = navMesh;
+
+        /** @type {import('./RockField.js').Rock[]} */
+        this.rocks = rocks ?? [];
+
+        /** @type {Object} */
+        this.terrain = terrain;
+
+        /** @type {Object} */
+        this.config = {
+            avoidanceMargin: 1.0,         // Buffer around obstacles
+            avoidanceCostMultiplier: 10,  // Cost penalty for avoidance zones
+            unitCollisionRadius: 1.5,
+            channelMargin: 3.0,
+            localNodeSpacing: 0.5,
+            segmentSampleCount: 25
+        };
+
+        /** @type {{ canSwim: boolean, canClimb: boolean, canFly: boolean }} */
+        this.defaultCapabilities = {
+            canSwim: false,
+            canClimb: false,
+            canFly: false
+        };
+    }
+
+    // ========================================
+    // Zones
+    // ========================================
+
+    /**
+     * Zone type of a position for a unit with the given capabilities.
+     *
+     * @param {{x:number,y:number,z:number}} pos
+     * @param {{ canSwim?: boolean, canClimb?: boolean, canFly?: boolean }|null} [capabilities]
+     * @returns {'FORBIDDEN'|'AVOIDANCE'|'FREE'}
+     */
+    getZoneType(pos, capabilities = null) {
+        const caps = capabilities || this.defaultCapabilities;
+        const surfacePos = this.projectToTerrain(pos);
+
+        if (this.isInsideRockCore(surfacePos)) {
+            return 'FORBIDDEN';
+        }
+        if (this.isInRockAvoidanceZone(surfacePos) && !caps.canClimb && !caps.canFly) {
+            return 'AVOIDANCE';
+        }
+
+        if (this.isActuallyUnderwater(surfacePos)) {
+            if (!caps.canSwim) return 'FORBIDDEN';
+        } else if (this.isNearWaterEdge(surfacePos) && !caps.canSwim) {
+            return 'AVOIDANCE';
+        }
+
+        return 'FREE';
+    }
+
+    /**
+     * Rocks the zones are built from. Overridden by wrappers whose rock field
+     * can be regenerated after construction.
+     * @returns {import('./RockField.js').Rock[]}
+     * @protected
+     */
+    _rockObstacles() {
+        return this.rocks;
+    }
+
+    /**
+     * @param {{x:number,y:number,z:number}} pos - Surface position
+     * @returns {boolean} Inside a rock footprint (no margin)
+     */
+    isInsideRockCore(pos) {
+        for (const rock of this._rockObstacles()) {
+            if (distance(pos, rock.position) < rock.footprintRadius) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {{x:number,y:number,z:number}} pos - Surface position
+     * @returns {boolean} Outside every rock footprint but within avoidanceMargin of one
+     */
+    isInRockAvoidanceZone(pos) {
+        const buffer = this.config.avoidanceMargin;
+        for (const rock of this._rockObstacles()) {
+            const dist = distance(pos, rock.position);
+            if (dist >= rock.footprintRadius && dist < rock.footprintRadius + buffer) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {{x:number,y:number,z:number}} pos
+     * @returns {boolean} Terrain below the water surface
+     */
+    isActuallyUnderwater(pos) {
+        const waterRadius = getWaterRadius(this.terrain);
+        if (waterRadius === null) return false;
+        return this.terrain.getRadiusAt(Vec3.normalize(pos)) < waterRadius;
+    }
+
+    /**
+     * Dry position within avoidanceMargin of the shoreline (searched in 8
+     * tangent directions, 10 steps each).
+     *
+     * @param {{x:number,y:number,z:number}} pos
+     * @returns {boolean}
+     */
+    isNearWaterEdge(pos) {
+        const waterRadius = getWaterRadius(this.terrain);
+        if (waterRadius === null) return false;
+        const buffer = this.config.avoidanceMargin;
+
+        const up = Vec3.normalize(pos);
+        if (this.terrain.getRadiusAt(up) < waterRadius) return false;
+
+        const searchSteps = 10;
+        const stepSize = buffer / searchSteps;
+
+        const perp = Math.abs(up.x) > 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+        const tangent1 = Vec3.normalize(Vec3.cross(up, perp));
+        const tangent2 = Vec3.normalize(Vec3.cross(up, tangent1));
+
+        for (let angle = 0; angle < Math.PI * 2; angle += Math.PI / 4) {
+            const searchDir = Vec3.normalize(Vec3.add(
+                Vec3.scale(tangent1, Math.cos(angle)),
+                Vec3.scale(tangent2, Math.sin(angle))
+            ));
+
+            for (let step = 1; step <= searchSteps; step++) {
+                const testDir = Vec3.normalize(Vec3.add(pos, Vec3.scale(searchDir, step * stepSize)));
+                if (this.terrain.getRadiusAt(testDir) < waterRadius) {
+                    if (step * stepSize < buffer) return true;
+                    break;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * FORBIDDEN zones cannot be targeted.
+     *
+     * @param {{x:number,y:number,z:number}} pos
+     * @param {Object|null} [capabilities]
+     * @returns {boolean}
+     */
+    isValidDestination(pos, capabilities = null) {
+        return this.getZoneType(pos, capabilities) !== 'FORBIDDEN';
+    }
+
+    // ========================================
+    // Planning
+    // ========================================
+
+    /**
+     * Plan a path from start to goal (global A* + local refinement).
+     * Falls back to the direct [start, goal] if the global search fails, and
+     * stops the path before a segment that cannot be refined.
+     *
+     * @param {{x:number,y:number,z:number}} startPos
+     * @param {{x:number,y:number,z:number}} goalPos
+     * @returns {Array<{x:number,y:number,z:number}>} Surface waypoints, starting at startPos
+     */
+    planPath(startPos, goalPos) {
+        const globalResult = this.navMesh.findPath(startPos, goalPos, { smoothPath: false });
+        if (!globalResult.success) {
+            return [{ ...startPos }, { ...goalPos }];
+        }
+
+        const path = globalResult.path;
+        const refinedPath = [{ ...path[0] }];
+
+        for (let i = 0; i < path.length - 1; i++) {
+            const segStart = path[i];
+            const segEnd = path[i + 1];
+
+            if (!this.hasObstacle(segStart, segEnd)) {
+                refinedPath.push({ ...segEnd });
+                continue;
+            }
+
+            const localPath = this._attemptRefineSegment(segStart, segEnd, this.config.channelMargin)
+                ?? this._attemptRefineSegment(segStart, segEnd, this.config.channelMargin * 3.0);
+            if (!localPath) break; // Blocked: stop rather than clip through
+
+            for (let j = 1; j < localPath.length; j++) {
+                refinedPath.push(localPath[j]);
+            }
+        }
+
+        return refinedPath.map(p => this.projectToTerrain(p));
+    }
+
+    /**
+     * Whether a segment touches a rock, water or either avoidance buffer.
+     *
+     * @param {{x:number,y:number,z:number}} from
+     * @param {{x:number,y:number,z:number}} to
+     * @returns {boolean}
+     */
+    hasObstacle(from, to) {
+        const samples = this.config.segmentSampleCount;
+
+        for (let i = 0; i <= samples; i++) {
+            const surfacePos = this.projectToTerrain(lerp(from, to, i / samples));
+            if (this.isInsideRockCore(surfacePos) || this.isActuallyUnderwater(surfacePos)) return true;
+            if (this.isInRockAvoidanceZone(surfacePos) || this.isNearWaterEdge(surfacePos)) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Local grid A* along one segment, in a channel around it.
+     *
+     * @param {{x:number,y:number,z:number}} from
+     * @param {{x:number,y:number,z:number}} to
+     * @param {number|null} [marginOverride=null]
+     * @returns {Array<{x:number,y:number,z:number}>|null} null on failure
+     * @private
+     */
+    _attemptRefineSegment(from, to, marginOverride = null) {
+        const { unitCollisionRadius, channelMargin, localNodeSpacing } = this.config;
+
+        const obsRadius = this.getMaxIntersectingRadius(from, to, 15);
+        const dynamicMargin = marginOverride !== null ? marginOverride : Math.max(channelMargin, obsRadius * 1.5);
+        const channelWidth = (unitCollisionRadius + dynamicMargin) * 2;
+
+        const length = distance(from, to);
+        if (length < 0.01) return [{ ...from }];
+
+        const dir = Vec3.normalize(Vec3.sub(to, from));
+        const up = Vec3.normalize(this.projectToTerrain(lerp(from, to, 0.5)));
+        const side = Vec3.normalize(Vec3.cross(dir, up));
+
+        const lengthSteps = Math.min(Math.ceil(length / localNodeSpacing), 160);
+        const widthSteps = Math.min(Math.ceil(channelWidth / localNodeSpacing), 100);
+        const halfWidth = widthSteps / 2;
+
+        const nodes = [];
+        const nodeMap = new Map();
+
+        for (let row = 0; row <= lengthSteps; row++) {
+            for (let col = 0; col <= widthSteps; col++) {
+                const pos = Vec3.add(
+                    Vec3.add(from, Vec3.scale(dir, (row / lengthSteps) * length)),
+                    Vec3.scale(side, (col - halfWidth) * localNodeSpacing)
+                );
+                const surfacePos = this.projectToTerrain(pos);
+                const zoneType = this.getZoneType(surfacePos);
+
+                const index = nodes.length;
+                nodes.push({
+                    index,
+                    position: surfacePos,
+                    walkable: zoneType !== 'FORBIDDEN',
+                    isAvoidance: zoneType === 'AVOIDANCE',
+                    row,
+                    col,
+                    neighbors: []
+                });
+                nodeMap.set(`${row},${col}`, index);
+                this._recordGridNode(surfacePos, zoneType);
+            }
+        }
+
+        const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+        for (const node of nodes) {
+            for (const [dr, dc] of directions) {
+                const key = `${node.row + dr},${node.col + dc}`;
+                if (nodeMap.has(key)) node.neighbors.push(nodeMap.get(key));
+            }
+        }
+
+        const startNode = this.findBestNodeInRow(nodes, from, 0);
+        const goalNode = this.findBestNodeInRow(nodes, to, lengthSteps);
+        if (!startNode || !goalNode) return null;
+
+        const localPath = this.localAStar(nodes, startNode.index, goalNode.index);
+        if (localPath.length === 0) return null;
+
+        return localPath.map(idx => ({ ...nodes[idx].position }));
+    }
+
+    /**
+     * Called for every local grid node (debug visualization hook).
+     * @param {{x:number,y:number,z:number}} position - Surface position
+     * @param {'FORBIDDEN'|'AVOIDANCE'|'FREE'} zoneType
+     * @protected
+     */
+    _recordGridNode(position, zoneType) {}
+
+    /**
+     * Walkable node of a grid row closest to a target position.
+     *
+     * @param {Object[]} nodes
+     * @param {{x:number,y:number,z:number}} targetPos
+     * @param {number} rowIdx
+     * @returns {Object|null}
+     */
+    findBestNodeInRow(nodes, targetPos, rowIdx) {
+        let bestNode = null;
+        let minDist = Infinity;
+
+        for (const node of nodes) {
+            if (node.row !== rowIdx || !node.walkable) continue;
+            const dist = Vec3.lengthSq(Vec3.sub(node.position, targetPos));
+            if (dist < minDist) {
+                minDist = dist;
+                bestNode = node;
+            }
+        }
+        return bestNode;
+    }
+
+    /**
+     * A* on the local grid. Ties on f break toward the lower node index
+     * (deterministic routes).
+     *
+     * @param {Object[]} nodes
+     * @param {number} startIdx
+     * @param {number} goalIdx
+     * @returns {number[]} Node indices, empty if no path
+     */
+    localAStar(nodes, startIdx, goalIdx) {
+        const openSet = new Set([startIdx]);
+        const cameFrom = new Map();
+        const gScore = new Map();
+        const fScore = new Map();
+        const goalPos = nodes[goalIdx].position;
+
+        gScore.set(startIdx, 0);
+        fScore.set(startIdx, distance(nodes[startIdx].position, goalPos));
+
+        let steps = 0;
+        while (openSet.size > 0) {
+            if (++steps > LOCAL_ASTAR_MAX_STEPS) break;
+
+            let current = null;
+            let lowestF = Infinity;
+            for (const idx of openSet) {
+                const f = fScore.get(idx) ?? Infinity;
+                if (f < lowestF || (f === lowestF && idx < current)) {
+                    lowestF = f;
+                    current = idx;
+                }
+            }
+
+            if (current === goalIdx) {
+                const path = [current];
+                let safety = 0;
+                while (cameFrom.has(current)) {
+                    current = cameFrom.get(current);
+                    path.unshift(current);
+                    if (++safety > 1000) break;
+                }
+                return path;
+            }
+
+            openSet.delete(current);
+
+            for (const neighborIdx of nodes[current].neighbors) {
+                const neighbor = nodes[neighborIdx];
+                if (!neighbor.walkable) continue;
+
+                let moveCost = distance(nodes[current].position, neighbor.position);
+                if (neighbor.isAvoidance) {
+                    moveCost *= this.config.avoidanceCostMultiplier;
+                }
+
+                const tentativeG = gScore.get(current) + moveCost;
+                // ?? not ||: the start node's g of 0 is not "unvisited" (it would get
+                // a parent, and the reconstructed path would loop back and forth)
+                if (tentativeG < (gScore.get(neighborIdx) ?? Infinity)) {
+                    cameFrom.set(neighborIdx, current);
+                    gScore.set(neighborIdx, tentativeG);
+                    fScore.set(neighborIdx, tentativeG + distance(neighbor.position, goalPos));
+                    openSet.add(neighborIdx);
+                }
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * @param {{x:number,y:number,z:number}} pos
+     * @returns {{x:number,y:number,z:number}} Point on the terrain along pos
+     */
+    projectToTerrain(pos) {
+        const dir = Vec3.normalize(pos);
+        return Vec3.scale(dir, this.terrain.getRadiusAt(dir));
+    }
+
+    /**
+     * Largest footprint among rocks the segment passes through (sampled
+     * every 2 m, at least `samples` times).
+     *
+     * @param {{x:number,y:number,z:number}} from
+     * @param {{x:number,y:number,z:number}} to
+     * @param {number} [samples=10]
+     * @returns {number}
+     */
+    getMaxIntersectingRadius(from, to, samples = 10) {
+        let maxRadius = 0;
+        const numSamples = Math.max(samples, Math.ceil(distance(from, to) / 2.0));
+
+        for (let i = 0; i <= numSamples; i++) {
+            const surfacePos = this.projectToTerrain(lerp(from, to, i / numSamples));
+
+            for (const rock of this._rockObstacles()) {
+                const rockPos = rock.position;
+                if (Math.abs(rockPos.x - surfacePos.x) > 30 || Math.abs(rockPos.z - surfacePos.z) > 30) continue;
+
+                const r = rock.footprintRadius;
+                if (Vec3.lengthSq(Vec3.sub(rockPos, surfacePos)) < r * r && r > maxRadius) {
+                    maxRadius = r;
+                }
+            }
+        }
+        return maxRadius;
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * RockField — Deterministic rock placement + footprints on the sphere.
+ * @environment isomorphic
+ *
+ * The gameplay half of the client RockSystem, extracted so the authoritative
+ * server places the very same rocks: RockSystem builds meshes from these
+ * descriptors, Room blocks server-driven units with them. Both sides derive
+ * the field from the room's rock seed alone.
+ *
+ * Placement (unchanged from the original RockSystem.generateRocks):
+ *   - Own multiply-with-carry stream seeded by the rock seed (never Math.random)
+ *   - Per rock, in order: u, v (uniform direction), scale, material roll, yaw
+ *   - Sunk 15% of its scale into the terrain (flush contact shadow)
+ *
+ * Footprint: the rock mesh is a radius-`radius` sphere, scraped inward and
+ * noise-displaced by up to 10% along its normals, then scaled. The footprint
+ * (collision / pathing radius) is therefore scale × radius × 1.1 — independent
+ * of the per-client mesh noise.
+ *
+ * Terrain contract (duck-typed): getRadiusAt(direction) on plain {x,y,z}.
+ *
+ * @module SimCore/systems/RockField
+ */
+
+import { Vec3 } from '../runtime/SphereMath.js';
+import { reprojectToTerrain } from './SurfaceMovement.js';
+
+/** @type {Readonly<{ seed: number, count: number, minScale: number, maxScale: number, radius: number }>} */
+export const DEFAULT_ROCK_FIELD = Object.freeze({
+    seed: 12345,
+    count: 300,
+    minScale: 0.5,
+    maxScale: 3.0,
+    radius: 1.2
+});
+
+/** @type {number} Mesh noise displacement bound (RockMeshGenerator noiseStrength) */
+const FOOTPRINT_NOISE_MARGIN = 1.1;
+
+/** @type {number} Fraction of the rock scale sunk below the terrain */
+const SINK_FRACTION = 0.15;
+
+/** @type {number} Sphere radius used when no terrain is given */
+const FALLBACK_RADIUS = 60;
+
+/** @type {number} Below this tangential distance the push-out direction is undefined */
+const EPSILON = 1e-6;
+
+/**
+ * @typedef {Object} Rock
+ * @property {number} id - 1-based placement index
+ * @property {{ x: number, y: number, z: number }} direction - Unit vector from the planet center
+ * @property {{ x: number, y: number, z: number }} position - Rock center (sunk into the terrain)
+ * @property {number} scale - Uniform mesh scale
+ * @property {number} footprintRadius - Collision / pathing radius
+ * @property {number} sinkDepth - Depth below the terrain surface
+ * @property {number} yaw - Rotation around the surface normal (radians)
+ * @property {number} variantRoll - [0, 1) roll for the visual variant (material)
+ */
+
+/**
+ * The RockSystem seeded generator (multiply-with-carry, 32-bit).
+ *
+ * @param {number} seed
+ * @returns {() => number} Uniform [0, 1)
+ */
+export function createRockRng(seed) {
+    const mask = 0xffffffff;
+    let mW = (123456789 + seed) & mask;
+    let mZ = (987654321 - seed) & mask;
+    return () => {
+        mZ = (36969 * (mZ & 65535) + (mZ >> 16)) & mask;
+        mW = (18000 * (mW & 65535) + (mW >> 16)) & mask;
+        const result = ((mZ << 16) + (mW & 65535)) >>> 0;
+        return result / 4294967296;
+    };
+}
+
+/**
+ * Footprint radius of a rock of the given scale.
+ *
+ * @param {number} scale
+ * @param {number} [baseRadius=DEFAULT_ROCK_FIELD.radius]
+ * @returns {number}
+ */
+export function rockFootprintRadius(scale, baseRadius = DEFAULT_ROCK_FIELD.radius) {
+    return scale * baseRadius * FOOTPRINT_NOISE_MARGIN;
+}
+
+/**
+ * Place the rock field.
+ *
+ * @param {Object} [params] - Overrides for DEFAULT_ROCK_FIELD (seed, count, minScale, maxScale, radius)
+ * @param {Object|null} [terrain=null]
+ * @returns {Rock[]} Sorted by id
+ */
+export function generateRockField(params = {}, terrain = null) {
+    const { seed, count, minScale, maxScale, radius } = { ...DEFAULT_ROCK_FIELD, ...params };
+    const rng = createRockRng(seed);
+    const rocks = [];
+
+    for (let i = 0; i < count; i++) {
+        // Uniform direction on the sphere
+        const u = rng();
+        const v = rng();
+        const theta = 2 * Math.PI * u;
+        const phi = Math.acos(2 * v - 1);
+        const direction = {
+            x: Math.sin(phi) * Math.cos(theta),
+            y: Math.sin(phi) * Math.sin(theta),
+            z: Math.cos(phi)
+        };
+
+        const scale = minScale + rng() * (maxScale - minScale);
+        const variantRoll = rng();
+        const yaw = rng() * Math.PI * 2;
+
+        const terrainRadius = terrain ? terrain.getRadiusAt(direction) : FALLBACK_RADIUS;
+        const sinkDepth = scale * SINK_FRACTION;
+
+        rocks.push({
+            id: i + 1,
+            direction,
+            position: Vec3.scale(direction, terrainRadius - sinkDepth),
+            scale,
+            footprintRadius: rockFootprintRadius(scale, radius),
+            sinkDepth,
+            yaw,
+            variantRoll
+        });
+    }
+
+    return rocks;
+}
+
+/**
+ * Push a grounded position out of every rock footprint it overlaps
+ * (tangentially, so units slide along rocks instead of climbing them), then
+ * reproject onto the terrain. Rocks are resolved in id order.
+ *
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {Rock[]} rocks
+ * @param {number} unitRadius
+ * @param {Object|null} [terrain=null]
+ * @returns {{ x: number, y: number, z: number }|null} Corrected position, or null if clear
+ */
+export function resolveRockContacts(position, rocks, unitRadius, terrain = null) {
+    let pos = position;
+    let hit = false;
+
+    for (const rock of rocks) {
+        const reach = rock.footprintRadius + unitRadius;
+        const sep = Vec3.sub(pos, rock.position);
+        if (Vec3.lengthSq(sep) >= 4 * reach * reach) continue;
+
+        // Footprint is a disc on the surface: compare in the tangent plane
+        const up = Vec3.normalize(pos);
+        const vertical = Vec3.dot(sep, up);
+        if (Math.abs(vertical) >= reach) continue;
+        const tangential = Vec3.sub(sep, Vec3.scale(up, vertical));
+        const tangentialLen = Vec3.length(tangential);
+        if (tangentialLen >= reach || tangentialLen < EPSILON) continue;
+
+        pos = Vec3.add(pos, Vec3.scale(tangential, (reach - tangentialLen) / tangentialLen));
+        hit = true;
+    }
+
+    return hit ? reprojectToTerrain(pos, 0, terrain) : null;
+}
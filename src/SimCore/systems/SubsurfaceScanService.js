@@ -0,0 +1,264 @@
+/**
+ * SubsurfaceScanService — Per-player Subsurface Scan discovery of Matera deposits.
+ * @environment isomorphic
+ *
+ * Implements ASTEROBIA_CANONICAL_FEATURE_PERCEPTION_SUBSURFACE_SCAN_2026-01-13:
+ *   - Each scanning unit is a ScanSource: a sphere (scanRadius) around the unit
+ *   - Only the intersection of scan sphere and deposit volume is revealed:
+ *     discovery is stored as scan stamps (sphere center + radius) per deposit,
+ *     and renderers show deposit ∩ union(stamps) (spec §9.3)
+ *   - Discovery is persistent and scoped to the owning player slot, never to
+ *     the unit: it survives unit death, leaving range and save/load (spec §12)
+ *   - Enemy units never paint discovery for another slot (spec §2)
+ *
+ * Caps (spec §8) only throttle new stamps; they never delete discovered data.
+ *
+ * Determinism:
+ *   - Sources resolved sorted by unit ID, deposits sorted by deposit ID
+ *   - Stamps throttled on tick count (stampIntervalTicks), not wall time
+ *
+ * Unit contract (duck-typed): id, ownerSlot, position, disabled,
+ * scanRadius (0 = no scan), scanEnabled (default ON).
+ *
+ * @module SimCore/systems/SubsurfaceScanService
+ */
+
+// ============================================================
+// Calibration defaults (spec §11 console knobs)
+// ============================================================
+
+/** @type {number} Ticks between scan stamps (scanStampHz = tickRate / interval) */
+const DEFAULT_STAMP_INTERVAL_TICKS = 4;
+
+/** @type {number} New stamp is skipped if an existing one of at least its radius lies this close */
+const DEFAULT_MIN_STAMP_SPACING = 1.0;
+
+/** @type {number} Stored stamps per (slot, deposit) before new stamps are throttled */
+const DEFAULT_MAX_STAMPS_PER_DEPOSIT = 256;
+
+/** @type {number} Scan sources per slot per stamp pass (lowest unit IDs win) */
+const DEFAULT_MAX_ACTIVE_SOURCES = 64;
+
+/** @type {string} Scan channel (future-proof for more subsurface content) */
+export const SCAN_CHANNEL_MATERA = 'SUBSURFACE_SCAN_MATERA';
+
+/**
+ * @typedef {Object} ScanSource
+ * @property {number} sourceId - Scanning unit ID
+ * @property {number} ownerSlot - Player slot the discovery belongs to
+ * @property {{x:number, y:number, z:number}} worldPos - Scan center
+ * @property {number} radiusMeters - Scan sphere radius
+ * @property {string} channel - SCAN_CHANNEL_MATERA
+ */
+
+/**
+ * @typedef {Object} ScanStamp
+ * @property {number} x
+ * @property {number} y
+ * @property {number} z
+ * @property {number} r - Stamp radius
+ */
+
+/**
+ * @typedef {Object} ScanReveal
+ * @property {number} slot - Slot that discovered it
+ * @property {number} depositId
+ * @property {ScanStamp} stamp
+ */
+
+function distance(a, b) {
+    const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+export class SubsurfaceScanService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.stampIntervalTicks=4] - Ticks between stamp passes
+     * @param {number} [options.minStampSpacing=1] - Dedup distance for stamps
+     * @param {number} [options.maxStampsPerDeposit=256] - Stamp cap per (slot, deposit)
+     * @param {number} [options.maxActiveSources=64] - Source cap per slot per pass
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.stampIntervalTicks = Math.max(1, options.stampIntervalTicks ?? DEFAULT_STAMP_INTERVAL_TICKS);
+
+        /** @type {number} */
+        this.minStampSpacing = options.minStampSpacing ?? DEFAULT_MIN_STAMP_SPACING;
+
+        /** @type {number} */
+        this.maxStampsPerDeposit = options.maxStampsPerDeposit ?? DEFAULT_MAX_STAMPS_PER_DEPOSIT;
+
+        /** @type {number} */
+        this.maxActiveSources = options.maxActiveSources ?? DEFAULT_MAX_ACTIVE_SOURCES;
+
+        /** @type {Map<number, Map<number, ScanStamp[]>>} slot → depositId → stamps */
+        this.discovered = new Map();
+    }
+
+    /**
+     * Collect this tick's scan sources: scanning, enabled, live units only.
+     * The per-slot cap applies after ownership grouping (spec §8.3).
+     *
+     * @param {Object[]} units - All units in the world
+     * @returns {ScanSource[]} Sorted by unit ID
+     */
+    collectSources(units) {
+        const perSlot = new Map();
+        const sources = [];
+
+        const scanners = (units || [])
+            .filter(u => u != null && !u.disabled && u.scanEnabled !== false && u.scanRadius > 0 && u.ownerSlot != null)
+            .sort((a, b) => a.id - b.id);
+
+        for (const unit of scanners) {
+            const count = perSlot.get(unit.ownerSlot) ?? 0;
+            if (count >= this.maxActiveSources) continue;
+            perSlot.set(unit.ownerSlot, count + 1);
+
+            sources.push({
+                sourceId: unit.id,
+                ownerSlot: unit.ownerSlot,
+                worldPos: { x: unit.position.x, y: unit.position.y, z: unit.position.z },
+                radiusMeters: unit.scanRadius,
+                channel: SCAN_CHANNEL_MATERA
+            });
+        }
+        return sources;
+    }
+
+    /**
+     * Advance scanning for one sim tick: every stampIntervalTicks, each source
+     * stamps the deposits its sphere intersects into its owner's discovery.
+     *
+     * @param {Object[]} units - All units in the world
+     * @param {import('./MateraDepositService.js').MateraDeposit[]} deposits - Hidden deposits (sorted by ID)
+     * @param {number} tickCount - Current sim tick
+     * @returns {{ reveals: ScanReveal[] }}
+     */
+    resolveTick(units, deposits, tickCount) {
+        const reveals = [];
+        if (tickCount % this.stampIntervalTicks !== 0) return { reveals };
+        if (!deposits || deposits.length === 0) return { reveals };
+
+        for (const source of this.collectSources(units)) {
+            for (const deposit of deposits) {
+                const d = distance(source.worldPos, deposit.center);
+                if (d >= source.radiusMeters + deposit.radius) continue;
+
+                const stamp = {
+                    x: source.worldPos.x,
+                    y: source.worldPos.y,
+                    z: source.worldPos.z,
+                    r: source.radiusMeters
+                };
+                if (this._addStamp(source.ownerSlot, deposit.id, stamp)) {
+                    reveals.push({ slot: source.ownerSlot, depositId: deposit.id, stamp });
+                }
+            }
+        }
+        return { reveals };
+    }
+
+    /**
+     * Whether a slot has discovered any part of a deposit.
+     *
+     * @param {number} slot
+     * @param {number} depositId
+     * @returns {boolean}
+     */
+    isRevealed(slot, depositId) {
+        return this.discovered.get(slot)?.has(depositId) ?? false;
+    }
+
+    /**
+     * Deposit IDs a slot has discovered, sorted.
+     *
+     * @param {number} slot
+     * @returns {number[]}
+     */
+    getRevealedDepositIds(slot) {
+        const bySlot = this.discovered.get(slot);
+        return bySlot ? [...bySlot.keys()].sort((a, b) => a - b) : [];
+    }
+
+    /**
+     * A slot's discovery: stamps per deposit, sorted by deposit ID.
+     *
+     * @param {number} slot
+     * @returns {Array<{ depositId: number, stamps: ScanStamp[] }>}
+     */
+    getDiscovered(slot) {
+        const bySlot = this.discovered.get(slot);
+        if (!bySlot) return [];
+        return this.getRevealedDepositIds(slot).map(depositId => ({
+            depositId,
+            stamps: bySlot.get(depositId).map(s => ({ ...s }))
+        }));
+    }
+
+    /**
+     * Store a stamp unless an existing one already covers it or the cap is hit.
+     *
+     * @param {number} slot
+     * @param {number} depositId
+     * @param {ScanStamp} stamp
+     * @returns {boolean} True if stored
+     * @private
+     */
+    _addStamp(slot, depositId, stamp) {
+        let bySlot = this.discovered.get(slot);
+        if (!bySlot) {
+            bySlot = new Map();
+            this.discovered.set(slot, bySlot);
+        }
+        let stamps = bySlot.get(depositId);
+        if (!stamps) {
+            stamps = [];
+            bySlot.set(depositId, stamps);
+        }
+
+        if (stamps.length >= this.maxStampsPerDeposit) return false;
+        for (const s of stamps) {
+            if (s.r >= stamp.r && distance(s, stamp) <= this.minStampSpacing) return false;
+        }
+
+        stamps.push(stamp);
+        return true;
+    }
+
+    // ========================================
+    // Persistence (spec §9)
+    // ========================================
+
+    /**
+     * Serialize per-slot discovery to a JSON-safe object.
+     *
+     * @returns {{ slots: Array<{ slot: number, deposits: Array<{ depositId: number, stamps: ScanStamp[] }> }> }}
+     */
+    serialize() {
+        return {
+            slots: [...this.discovered.keys()]
+                .sort((a, b) => a - b)
+                .map(slot => ({ slot, deposits: this.getDiscovered(slot) }))
+        };
+    }
+
+    /**
+     * Restore discovery from serialize() output (replaces current discovery).
+     *
+     * @param {{ slots?: Array<{ slot: number, deposits: Array<{ depositId: number, stamps: ScanStamp[] }> }> }} data
+     */
+    restore(data) {
+        if (!data) return;
+
+        this.discovered.clear();
+        for (const entry of data.slots || []) {
+            const bySlot = new Map();
+            for (const d of entry.deposits || []) {
+                bySlot.set(d.depositId, (d.stamps || []).map(s => ({ x: s.x, y: s.y, z: s.z, r: s.r })));
+            }
+            this.discovered.set(entry.slot, bySlot);
+        }
+    }
+}
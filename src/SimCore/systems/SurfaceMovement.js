@@ -0,0 +1,149 @@
+/**
+ * SurfaceMovement — WASD movement on the spherical terrain.
+ * @environment isomorphic
+ *
+ * The kinematic movement math of the authoritative HeadlessUnit, extracted so
+ * the client can predict its seated unit with exactly the same steps:
+ *   - WASD maps to the tangent-plane reference frame (W = north, D = east)
+ *   - Diagonal input is normalized (no √2 speed boost)
+ *   - Position advances by velocity × dt, then reprojects onto the terrain
+ *   - Orientation: local -Z along heading, local +Y along the terrain normal
+ *
+ * Terrain contract (duck-typed, ServerTerrain or an adapter over the client
+ * Terrain): getRadiusAt(direction) and getNormalAt(position) on plain {x,y,z}.
+ * Without a terrain the planet is a smooth sphere of radius 60.
+ *
+ * @module SimCore/systems/SurfaceMovement
+ */
+
+import { Vec3, Quat } from '../runtime/SphereMath.js';
+
+/** @type {number} Base movement speed (world units per second) — matches client Unit.speed */
+export const BASE_MOVE_SPEED = 5.0;
+
+/** @type {number} Sphere radius used when no terrain is attached */
+const FALLBACK_RADIUS = 60;
+
+/**
+ * Surface "up" at a position: terrain normal, or the radial direction without terrain.
+ *
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {Object|null} terrain
+ * @returns {{ x: number, y: number, z: number }} Normalized up vector
+ */
+export function getSurfaceUp(position, terrain) {
+    if (terrain) {
+        return Vec3.normalize(terrain.getNormalAt(position));
+    }
+    return Vec3.normalize(position);
+}
+
+/**
+ * Reference "forward" in the tangent plane: world {0,1,0} ("north") projected
+ * onto the plane, falling back to {0,0,1} at the poles.
+ *
+ * @param {{ x: number, y: number, z: number }} up - Surface normal (normalized)
+ * @returns {{ x: number, y: number, z: number }} Normalized reference forward
+ */
+export function getReferenceForward(up) {
+    let refFwd = Vec3.projectOnPlane({ x: 0, y: 1, z: 0 }, up);
+    if (Vec3.lengthSq(refFwd) < 1e-6) {
+        // At poles: {0,1,0} is parallel to normal. Fall back to {0,0,1}.
+        refFwd = Vec3.projectOnPlane({ x: 0, y: 0, z: 1 }, up);
+    }
+    return Vec3.normalize(refFwd);
+}
+
+/**
+ * Convert WASD keys to a tangential velocity at a position.
+ *
+ * @param {{ forward?: boolean, backward?: boolean, left?: boolean, right?: boolean }} keys
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {number} moveSpeed - Current movement speed (cargo / carry slowdown applied)
+ * @param {Object|null} terrain
+ * @returns {{ velocity: {x:number,y:number,z:number}, speed: number, heading: number|null }}
+ *   heading is null when no key is pressed (the unit keeps its last heading)
+ */
+export function computeMoveVelocity(keys, position, moveSpeed, terrain) {
+    // forward/backward = along reference forward, left/right = along reference right
+    let inputFwd = 0;
+    let inputRight = 0;
+
+    if (keys.forward)  inputFwd += 1;
+    if (keys.backward) inputFwd -= 1;
+    if (keys.left)     inputRight -= 1;
+    if (keys.right)    inputRight += 1;
+
+    // Diagonal normalization: prevent √2 speed boost
+    const len = Math.sqrt(inputFwd * inputFwd + inputRight * inputRight);
+    if (len === 0) {
+        return { velocity: { x: 0, y: 0, z: 0 }, speed: 0, heading: null };
+    }
+    inputFwd /= len;
+    inputRight /= len;
+
+    // Compute tangent basis at current position
+    const up = getSurfaceUp(position, terrain);
+    const refFwd = getReferenceForward(up);
+    const refRight = Vec3.normalize(Vec3.cross(refFwd, up));
+
+    // Velocity in world space (tangential to sphere)
+    const fwdComponent = Vec3.scale(refFwd, inputFwd * moveSpeed);
+    const rightComponent = Vec3.scale(refRight, inputRight * moveSpeed);
+    return {
+        velocity: Vec3.add(fwdComponent, rightComponent),
+        speed: moveSpeed,
+        // Angle from reference forward to movement direction
+        heading: Math.atan2(inputRight, inputFwd)
+    };
+}
+
+/**
+ * Project a position onto the terrain surface, lifted by altitude.
+ *
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {number} altitude - Height above the surface (0 = grounded)
+ * @param {Object|null} terrain
+ * @returns {{ x: number, y: number, z: number }}
+ */
+export function reprojectToTerrain(position, altitude, terrain) {
+    const dir = Vec3.normalize(position);
+    const terrainRadius = terrain
+        ? terrain.getRadiusAt(dir)
+        : FALLBACK_RADIUS;
+    return Vec3.scale(dir, terrainRadius + altitude);
+}
+
+/**
+ * Orientation quaternion from position + heading (Three.js mesh convention:
+ * local -Z faces the heading, local +Y along the surface normal).
+ *
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {number} heading - Radians from reference forward
+ * @param {Object|null} terrain
+ * @returns {{ x: number, y: number, z: number, w: number }}
+ */
+export function computeOrientation(position, heading, terrain) {
+    const up = getSurfaceUp(position, terrain);
+    const refFwd = getReferenceForward(up);
+
+    // Rotate reference forward by heading angle around the surface normal
+    const headingQuat = Quat.fromAxisAngle(up, heading);
+    const forward = Quat.rotateVec3(headingQuat, refFwd);
+
+    return Quat.lookRotation(forward, up);
+}
+
+/**
+ * One grounded kinematic step: advance by velocity × dt and reproject.
+ *
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {{ x: number, y: number, z: number }} velocity
+ * @param {number} dtSec
+ * @param {Object|null} terrain
+ * @returns {{ x: number, y: number, z: number }} New position on the surface
+ */
+export function stepGrounded(position, velocity, dtSec, terrain) {
+    const displacement = Vec3.scale(velocity, dtSec);
+    return reprojectToTerrain(Vec3.add(position, displacement), 0, terrain);
+}
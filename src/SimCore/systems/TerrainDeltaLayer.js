@@ -0,0 +1,361 @@
+/**
+ * TerrainDeltaLayer — Terrain Shaping height edits on top of procedural terrain.
+ * @environment isomorphic
+ *
+ * Implements the persistence layer of ASTEROBIA_CANONICAL_FEATURE_TERRAIN_SHAPING_2026-01-13:
+ *   - A sparse delta heightfield on a latitude/longitude grid (node spacing
+ *     cellSize meters at the equator), added to the noise height by both
+ *     src/World/Terrain.js and server/ServerTerrain.js
+ *   - Sampling is bilinear between grid nodes (continuous surface, no seams
+ *     at the ±π longitude wrap)
+ *   - Edits are stamps: nudge every node in a circular footprint toward a
+ *     target height by at most `step` meters (spec §3.2 convergence, §10
+ *     "never teleports terrain")
+ *
+ * Determinism:
+ *   - Stamps touch nodes in fixed (row, column) order with identical float math,
+ *     so server and client replaying the same stamps end up with equal deltas
+ *   - serialize() lists nodes sorted by key
+ *
+ * Terrain contract (duck-typed, for stamps): getBaseHeight(x, y, z) — the
+ * height WITHOUT this layer (shaping converges the total height to target).
+ *
+ * @module SimCore/systems/TerrainDeltaLayer
+ */
+
+// ============================================================
+// Calibration defaults (spec §9 console knobs)
+// ============================================================
+
+/** @type {number} Grid node spacing at the equator (meters) */
+const DEFAULT_CELL_SIZE = 1.0;
+
+/** @type {number} Planet base radius the grid is laid out on */
+const DEFAULT_PLANET_RADIUS = 60;
+
+/** @type {number} terrainShapingRateAt100: meters of height change per second at 100% allocation */
+const DEFAULT_RATE_AT_100 = 0.5;
+
+/** @type {number} terrainShapingFootprintRadius: stamp radius (meters) */
+const DEFAULT_FOOTPRINT_RADIUS = 3;
+
+/** @type {number} terrainShapingMaxDeltaPerTick: hard cap on one stamp's step (meters) */
+const DEFAULT_MAX_DELTA_PER_TICK = 0.05;
+
+/** @type {number} terrainShapingSmoothing: 0 = flat footprint, 1 = full smoothstep falloff */
+const DEFAULT_SMOOTHING = 0.5;
+
+/** @type {number} Hard cap on edited nodes (memory bound) */
+const DEFAULT_MAX_NODES = 65536;
+
+/**
+ * @typedef {Object} TerrainStamp
+ * @property {{x:number, y:number, z:number}} center - Direction (or position) from planet center
+ * @property {number} targetHeight - Desired height above base radius (same units as getHeight)
+ * @property {number} step - Max height change at the footprint center (meters, see stepFor)
+ * @property {number} [radius] - Footprint radius (defaults to footprintRadius)
+ * @property {number} [smoothing] - Edge falloff fraction (defaults to smoothing)
+ */
+
+/**
+ * @typedef {Object} StampResult
+ * @property {number} changed - Nodes whose delta changed
+ * @property {number} maxChange - Largest absolute change applied to a node
+ * @property {{x:number, y:number, z:number}} center - Normalized stamp direction
+ * @property {number} radius - Footprint radius (meters)
+ */
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+export class TerrainDeltaLayer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.planetRadius=60] - Base sphere radius (grid layout)
+     * @param {number} [options.cellSize=1.0] - Node spacing at the equator (meters)
+     * @param {number} [options.rateAt100=0.5] - Shaping rate at 100% allocation (m/s)
+     * @param {number} [options.footprintRadius=3] - Default stamp radius (meters)
+     * @param {number} [options.maxDeltaPerTick=0.05] - Cap on a single stamp step (meters)
+     * @param {number} [options.smoothing=0.5] - Footprint edge falloff fraction [0..1]
+     * @param {number} [options.maxNodes=65536] - Hard cap on edited nodes
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.planetRadius = options.planetRadius ?? DEFAULT_PLANET_RADIUS;
+
+        /** @type {number} */
+        this.cellSize = options.cellSize ?? DEFAULT_CELL_SIZE;
+
+        /** @type {number} */
+        this.rateAt100 = options.rateAt100 ?? DEFAULT_RATE_AT_100;
+
+        /** @type {number} */
+        this.footprintRadius = options.footprintRadius ?? DEFAULT_FOOTPRINT_RADIUS;
+
+        /** @type {number} */
+        this.maxDeltaPerTick = options.maxDeltaPerTick ?? DEFAULT_MAX_DELTA_PER_TICK;
+
+        /** @type {number} */
+        this.smoothing = Math.max(0, Math.min(1, options.smoothing ?? DEFAULT_SMOOTHING));
+
+        /** @type {number} */
+        this.maxNodes = options.maxNodes ?? DEFAULT_MAX_NODES;
+
+        /** @type {number} Longitude columns (wraps at ±π) */
+        this.lonCount = Math.max(4, Math.ceil(2 * Math.PI * this.planetRadius / this.cellSize));
+
+        /** @type {number} Latitude rows, poles included */
+        this.latCount = Math.max(2, Math.round(this.lonCount / 2)) + 1;
+
+        /** @type {number} Radians between longitude columns */
+        this.lonStep = 2 * Math.PI / this.lonCount;
+
+        /** @type {number} Radians between latitude rows */
+        this.latStep = Math.PI / (this.latCount - 1);
+
+        /** @type {Map<number, number>} node key (row * lonCount + col) → height delta */
+        this.nodes = new Map();
+
+        /** @type {number} Bumped on every change (cheap "terrain dirty" check for consumers) */
+        this.revision = 0;
+    }
+
+    /**
+     * Number of edited nodes.
+     * @returns {number}
+     */
+    get nodeCount() {
+        return this.nodes.size;
+    }
+
+    /**
+     * Height delta at a direction (bilinear between grid nodes).
+     * Returns exactly 0 while the layer is empty.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {number}
+     */
+    sample(x, y, z) {
+        if (this.nodes.size === 0) return 0;
+
+        const len = Math.sqrt(x * x + y * y + z * z);
+        if (len < 1e-12) return 0;
+
+        const lat = Math.asin(Math.max(-1, Math.min(1, y / len)));
+        const lon = Math.atan2(x, z);
+
+        const fr = (lat + Math.PI / 2) / this.latStep;
+        const fc = (lon + Math.PI) / this.lonStep;
+        const r0 = Math.min(this.latCount - 2, Math.max(0, Math.floor(fr)));
+        const c0 = Math.floor(fc);
+        const tr = Math.max(0, Math.min(1, fr - r0));
+        const tc = fc - c0;
+
+        const d00 = this._get(r0, c0);
+        const d01 = this._get(r0, c0 + 1);
+        const d10 = this._get(r0 + 1, c0);
+        const d11 = this._get(r0 + 1, c0 + 1);
+
+        const a = d00 + (d01 - d00) * tc;
+        const b = d10 + (d11 - d10) * tc;
+        return a + (b - a) * tr;
+    }
+
+    /**
+     * Per-tick stamp step for a work rate (spec §7.3: output proportional to
+     * elapsed time), capped by maxDeltaPerTick.
+     *
+     * @param {number} dtSec - Tick duration
+     * @param {number} [rateScale=1] - Effective allocation / 100 (0 does nothing, spec §10)
+     * @returns {number} Step in meters
+     */
+    stepFor(dtSec, rateScale = 1) {
+        return Math.max(0, Math.min(this.rateAt100 * rateScale * dtSec, this.maxDeltaPerTick));
+    }
+
+    /**
+     * Apply one shaping stamp: move every node in the footprint toward
+     * targetHeight (total height, base + delta) by at most step × falloff.
+     * Stamps are self-contained (radius, smoothing, step) so a replica with
+     * different calibration still replays them identically.
+     *
+     * @param {TerrainStamp} stamp
+     * @param {{ getBaseHeight: function(number, number, number): number }} terrain
+     * @returns {StampResult}
+     */
+    applyStamp(stamp, terrain) {
+        const radius = stamp.radius ?? this.footprintRadius;
+        const smoothing = Math.max(0, Math.min(1, stamp.smoothing ?? this.smoothing));
+        const step = Math.max(0, stamp.step);
+        const center = this._normalize(stamp.center);
+        const result = { changed: 0, maxChange: 0, center, radius };
+        if (!terrain || step <= 0 || radius <= 0) return result;
+
+        const R = this.planetRadius;
+        const angular = radius / R;
+        const lat = Math.asin(Math.max(-1, Math.min(1, center.y)));
+        const lon = Math.atan2(center.x, center.z);
+
+        const rMin = Math.max(0, Math.floor((lat - angular + Math.PI / 2) / this.latStep));
+        const rMax = Math.min(this.latCount - 1, Math.ceil((lat + angular + Math.PI / 2) / this.latStep));
+
+        // Column span widens toward the poles; past them every column is in reach
+        const cosLat = Math.cos(Math.min(Math.PI / 2, Math.abs(lat) + angular));
+        const lonSpan = cosLat > 1e-6 ? angular / cosLat : Math.PI;
+        const cCenter = (lon + Math.PI) / this.lonStep;
+        const cHalf = Math.min(Math.ceil(this.lonCount / 2), Math.ceil(lonSpan / this.lonStep));
+
+        const plateau = 1 - smoothing;
+        const visited = new Set();
+
+        for (let r = rMin; r <= rMax; r++) {
+            for (let c = Math.floor(cCenter - cHalf); c <= Math.ceil(cCenter + cHalf); c++) {
+                const key = this._key(r, c);
+                if (visited.has(key)) continue;
+                visited.add(key);
+
+                const dir = this._nodeDir(r, key - r * this.lonCount);
+                const dx = dir.x - center.x, dy = dir.y - center.y, dz = dir.z - center.z;
+                const dist = Math.sqrt(dx * dx + dy * dy + dz * dz) * R;
+                if (dist > radius) continue;
+
+                const t = dist / radius;
+                const weight = t <= plateau ? 1 : 1 - smoothstep((t - plateau) / (1 - plateau));
+                if (weight <= 0) continue;
+
+                const current = this.nodes.get(key) ?? 0;
+                const base = terrain.getBaseHeight(dir.x, dir.y, dir.z);
+                const wanted = stamp.targetHeight - base;
+                const maxMove = step * weight;
+                const move = Math.max(-maxMove, Math.min(maxMove, wanted - current));
+                if (move === 0) continue;
+                if (!this.nodes.has(key) && this.nodes.size >= this.maxNodes) continue;
+
+                this._set(key, current + move);
+                result.changed++;
+                result.maxChange = Math.max(result.maxChange, Math.abs(move));
+            }
+        }
+
+        if (result.changed > 0) this.revision++;
+        return result;
+    }
+
+    /**
+     * Remove all edits (terrain back to pure noise).
+     */
+    clear() {
+        if (this.nodes.size === 0) return;
+        this.nodes.clear();
+        this.revision++;
+    }
+
+    // ========================================
+    // Persistence (spec §8)
+    // ========================================
+
+    /**
+     * Serialize the grid layout and edited nodes to a JSON-safe object.
+     *
+     * @returns {{ planetRadius: number, cellSize: number, nodes: Array<[number, number]> }}
+     */
+    serialize() {
+        return {
+            planetRadius: this.planetRadius,
+            cellSize: this.cellSize,
+            nodes: [...this.nodes.entries()].sort((a, b) => a[0] - b[0])
+        };
+    }
+
+    /**
+     * Restore edits from serialize() output (replaces current edits).
+     * Keys are only meaningful for the same grid, so a layout mismatch throws.
+     *
+     * @param {{ planetRadius?: number, cellSize?: number, nodes?: Array<[number, number]> }} data
+     */
+    restore(data) {
+        if (!data) return;
+        if ((data.planetRadius != null && data.planetRadius !== this.planetRadius) ||
+            (data.cellSize != null && data.cellSize !== this.cellSize)) {
+            throw new Error(
+                `TerrainDeltaLayer: grid mismatch (saved r=${data.planetRadius} cell=${data.cellSize}, ` +
+                `current r=${this.planetRadius} cell=${this.cellSize})`
+            );
+        }
+
+        this.nodes.clear();
+        for (const [key, delta] of data.nodes || []) {
+            if (delta !== 0) this.nodes.set(key, delta);
+        }
+        this.revision++;
+    }
+
+    // ========================================
+    // Private
+    // ========================================
+
+    /**
+     * Node key with longitude wrap (rows are clamped by callers).
+     * @param {number} r
+     * @param {number} c
+     * @returns {number}
+     * @private
+     */
+    _key(r, c) {
+        const n = this.lonCount;
+        return r * n + (((c % n) + n) % n);
+    }
+
+    /**
+     * @param {number} r
+     * @param {number} c
+     * @returns {number}
+     * @private
+     */
+    _get(r, c) {
+        return this.nodes.get(this._key(r, c)) ?? 0;
+    }
+
+    /**
+     * Store a delta, dropping nodes that return exactly to zero.
+     * @param {number} key
+     * @param {number} delta
+     * @private
+     */
+    _set(key, delta) {
+        if (delta === 0) this.nodes.delete(key);
+        else this.nodes.set(key, delta);
+    }
+
+    /**
+     * Unit direction of a grid node (same lat/lon convention as sample()).
+     * @param {number} r
+     * @param {number} c
+     * @returns {{ x: number, y: number, z: number }}
+     * @private
+     */
+    _nodeDir(r, c) {
+        const lat = r * this.latStep - Math.PI / 2;
+        const lon = c * this.lonStep - Math.PI;
+        const cosLat = Math.cos(lat);
+        return {
+            x: cosLat * Math.sin(lon),
+            y: Math.sin(lat),
+            z: cosLat * Math.cos(lon)
+        };
+    }
+
+    /**
+     * @param {{x:number, y:number, z:number}} v
+     * @returns {{x:number, y:number, z:number}}
+     * @private
+     */
+    _normalize(v) {
+        const len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+        if (len < 1e-12) return { x: 0, y: 1, z: 0 };
+        return { x: v.x / len, y: v.y / len, z: v.z / len };
+    }
+}
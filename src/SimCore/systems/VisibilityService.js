@@ -0,0 +1,223 @@
+/**
+ * VisibilityService — Per-slot unit visibility (server-side interest management).
+ * @environment isomorphic
+ *
+ * Computes which enemy units each player slot can currently see, from the
+ * same vision stat VisionSystem stamps into the client FogOfWar:
+ *   visionPercent = effectiveStats.vision (default 50)
+ *   radius        = lerp(minVisionRadius, maxVisionRadius, min(percent, 100) / 100)
+ * measured as arc length along the planet surface (VisionSystem's angular radius).
+ *
+ * The authoritative server uses it to filter SERVER_SNAPSHOT per slot, so fog
+ * of war is enforced rather than cosmetic. Own units are always visible and
+ * never produce enter/leave events.
+ *
+ * Determinism:
+ *   - Observers and targets resolved sorted by unit ID
+ *   - Enter/leave lists sorted by unit ID
+ *
+ * Unit contract (duck-typed): id, ownerSlot, position, and either
+ * effectiveStats.vision (HeadlessUnit) or model.effectiveStats.vision (client Unit).
+ *
+ * @module SimCore/systems/VisibilityService
+ */
+
+// ============================================================
+// Vision calibration (shared with VisionSystem)
+// ============================================================
+
+/** @type {number} Vision percentage for units without a vision stat */
+export const DEFAULT_VISION_PERCENT = 50;
+
+/** @type {number} Vision radius (m) at 0% vision */
+export const DEFAULT_MIN_VISION_RADIUS = 5;
+
+/** @type {number} Vision radius at 100% vision, as a fraction of planet radius */
+export const MAX_VISION_RADIUS_FRACTION = 0.4;
+
+/** @type {number} Planet radius when none is given (ServerTerrain default) */
+const DEFAULT_PLANET_RADIUS = 60;
+
+/** @type {number} Extra distance a seen unit must move past the radius before it leaves view */
+const DEFAULT_LEAVE_MARGIN = 1.0;
+
+/**
+ * Vision percentage of a unit (0-100+), read from its effective stats.
+ *
+ * @param {Object} unit
+ * @returns {number}
+ */
+export function getVisionPercent(unit) {
+    return unit.model?.effectiveStats?.vision ?? unit.effectiveStats?.vision ?? DEFAULT_VISION_PERCENT;
+}
+
+/**
+ * Convert a vision percentage to a radius in meters.
+ *
+ * @param {number} visionPercent - 0-100 (values above 100 are capped)
+ * @param {number} minRadius - Radius at 0%
+ * @param {number} maxRadius - Radius at 100%
+ * @returns {number} 0 if the unit has no vision
+ */
+export function visionRadiusFromPercent(visionPercent, minRadius, maxRadius) {
+    if (!(visionPercent > 0)) return 0;
+    const t = Math.min(visionPercent, 100) / 100;
+    return minRadius + t * (maxRadius - minRadius);
+}
+
+/**
+ * @typedef {Object} VisibilityChange
+ * @property {number[]} entered - Enemy unit IDs that came into view this update
+ * @property {number[]} left - Enemy unit IDs that went out of view this update
+ */
+
+export class VisibilityService {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.planetRadius=60] - Planet radius (arc distance scale)
+     * @param {number} [options.minVisionRadius=5] - Vision radius at 0%
+     * @param {number} [options.maxVisionRadius] - Vision radius at 100% (default 0.4 × planetRadius)
+     * @param {number} [options.leaveMargin=1] - Hysteresis so units on the edge don't flicker
+     */
+    constructor(options = {}) {
+        /** @type {number} */
+        this.planetRadius = options.planetRadius ?? DEFAULT_PLANET_RADIUS;
+
+        /** @type {number} */
+        this.minVisionRadius = options.minVisionRadius ?? DEFAULT_MIN_VISION_RADIUS;
+
+        /** @type {number} */
+        this.maxVisionRadius = options.maxVisionRadius ?? this.planetRadius * MAX_VISION_RADIUS_FRACTION;
+
+        /** @type {number} */
+        this.leaveMargin = options.leaveMargin ?? DEFAULT_LEAVE_MARGIN;
+
+        /** @type {Map<number, Set<number>>} slot → enemy unit IDs currently visible */
+        this.visible = new Map();
+    }
+
+    /**
+     * Vision radius of a unit in meters.
+     *
+     * @param {Object} unit
+     * @returns {number}
+     */
+    getVisionRadius(unit) {
+        return visionRadiusFromPercent(getVisionPercent(unit), this.minVisionRadius, this.maxVisionRadius);
+    }
+
+    /**
+     * Recompute visibility for the given slots and report what changed.
+     * Units that no longer exist leave view.
+     *
+     * @param {Object[]} units - All units in the world
+     * @param {number[]} slots - Player slots to compute visibility for
+     * @returns {Map<number, VisibilityChange>} slot → changes (every requested slot present)
+     */
+    update(units, slots) {
+        const sorted = (units || [])
+            .filter(u => u != null && u.position)
+            .sort((a, b) => a.id - b.id);
+        const observers = sorted.map(u => ({
+            unit: u,
+            dir: this._direction(u.position),
+            radius: this.getVisionRadius(u)
+        }));
+
+        const changes = new Map();
+        for (const slot of slots) {
+            const previous = this.visible.get(slot) ?? new Set();
+            const own = observers.filter(o => o.unit.ownerSlot === slot && o.radius > 0);
+            const next = new Set();
+
+            for (const target of sorted) {
+                if (target.ownerSlot === slot) continue;
+                const margin = previous.has(target.id) ? this.leaveMargin : 0;
+                if (this._seenBy(own, target, margin)) next.add(target.id);
+            }
+
+            const entered = [...next].filter(id => !previous.has(id));
+            const left = [...previous].filter(id => !next.has(id)).sort((a, b) => a - b);
+            this.visible.set(slot, next);
+            changes.set(slot, { entered, left });
+        }
+        return changes;
+    }
+
+    /**
+     * Whether a slot currently sees an enemy unit (own units are not tracked).
+     *
+     * @param {number} slot
+     * @param {number} unitId
+     * @returns {boolean}
+     */
+    isVisible(slot, unitId) {
+        return this.visible.get(slot)?.has(unitId) ?? false;
+    }
+
+    /**
+     * Enemy unit IDs a slot currently sees, sorted.
+     *
+     * @param {number} slot
+     * @returns {number[]}
+     */
+    getVisibleUnitIds(slot) {
+        const set = this.visible.get(slot);
+        return set ? [...set].sort((a, b) => a - b) : [];
+    }
+
+    /**
+     * Whether a slot's units see a point on the surface (piles, depots,
+     * terrain edits). No hysteresis: the check is per call.
+     *
+     * @param {Object[]} units - All units in the world
+     * @param {number} slot
+     * @param {{x:number, y:number, z:number}} position - World position or direction
+     * @param {number} [extent=0] - Radius of the area around the point (meters)
+     * @returns {boolean}
+     */
+    seesPoint(units, slot, position, extent = 0) {
+        const observers = [];
+        for (const u of units || []) {
+            if (u == null || u.ownerSlot !== slot || !u.position) continue;
+            const radius = this.getVisionRadius(u);
+            if (radius > 0) observers.push({ dir: this._direction(u.position), radius });
+        }
+        return this._seenBy(observers, { position }, extent);
+    }
+
+    /**
+     * Forget a slot's visibility (player left). Its next update starts empty.
+     *
+     * @param {number} slot
+     */
+    removeSlot(slot) {
+        this.visible.delete(slot);
+    }
+
+    /**
+     * @param {{ dir: Object, radius: number }[]} observers
+     * @param {Object} target
+     * @param {number} margin
+     * @returns {boolean}
+     * @private
+     */
+    _seenBy(observers, target, margin) {
+        const dir = this._direction(target.position);
+        for (const o of observers) {
+            const dot = Math.max(-1, Math.min(1, o.dir.x * dir.x + o.dir.y * dir.y + o.dir.z * dir.z));
+            if (Math.acos(dot) * this.planetRadius <= o.radius + margin) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {{x:number, y:number, z:number}} p
+     * @returns {{x:number, y:number, z:number}}
+     * @private
+     */
+    _direction(p) {
+        const len = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z) || 1;
+        return { x: p.x / len, y: p.y / len, z: p.z / len };
+    }
+}
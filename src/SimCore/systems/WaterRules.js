@@ -0,0 +1,113 @@
+/**
+ * WaterRules — Where grounded units may drive relative to the water level.
+ * @environment isomorphic
+ *
+ * The authoritative counterpart of the client's Unit.updateWaterBehavior and
+ * PathPlanner.isUnderwater, shared by HeadlessUnit, Room / GameServer
+ * (PATH_DATA validation) and MovePredictor so both sides agree on where
+ * units can go:
+ *   - Water depth at a point = water radius − terrain radius (− altitude)
+ *   - DRY:       depth ≤ WET_DEPTH (the client's 0.05 shoreline tolerance)
+ *   - WET:       shallow water — grounded units wade at WADE_SPEED_FACTOR
+ *   - SUBMERGED: depth > SUBMERGED_DEPTH — grounded units may not drive
+ *                deeper into it (a unit already submerged may drive out)
+ *   - Path waypoints must be DRY (PathPlanner treats any underwater node
+ *     as forbidden)
+ *
+ * Terrain contract (duck-typed): getRadiusAt(direction) and
+ * params.{ radius, waterLevel }. Without a terrain there is no water.
+ *
+ * @module SimCore/systems/WaterRules
+ */
+
+import { Vec3 } from '../runtime/SphereMath.js';
+
+/** @type {number} Default water level above the base radius (client Terrain.params.waterLevel) */
+export const DEFAULT_WATER_LEVEL = 1.5;
+
+/** @type {number} Depth above which a point counts as underwater (client tolerance) */
+export const WET_DEPTH = 0.05;
+
+/** @type {number} Depth above which grounded units are submerged (no driving deeper) */
+export const SUBMERGED_DEPTH = 0.5;
+
+/** @type {number} Speed multiplier while wading (WET or SUBMERGED) */
+export const WADE_SPEED_FACTOR = 0.5;
+
+/** @typedef {'DRY'|'WET'|'SUBMERGED'} WaterState */
+
+/**
+ * Radius of the water surface, or null if the terrain has no water.
+ *
+ * @param {Object|null} terrain
+ * @returns {number|null}
+ */
+export function getWaterRadius(terrain) {
+    if (!terrain?.params) return null;
+    return terrain.params.radius + (terrain.params.waterLevel ?? DEFAULT_WATER_LEVEL);
+}
+
+/**
+ * Water depth above the terrain at a position (0 on dry land).
+ *
+ * @param {{ x: number, y: number, z: number }} position - Any point along the direction
+ * @param {Object|null} terrain
+ * @param {number} [altitude=0] - Height above the terrain (airborne units)
+ * @returns {number}
+ */
+export function waterDepthAt(position, terrain, altitude = 0) {
+    const waterRadius = getWaterRadius(terrain);
+    if (waterRadius === null) return 0;
+    const terrainRadius = terrain.getRadiusAt(Vec3.normalize(position));
+    return Math.max(0, waterRadius - terrainRadius - altitude);
+}
+
+/**
+ * Classify a water depth.
+ *
+ * @param {number} depth
+ * @returns {WaterState}
+ */
+export function waterStateForDepth(depth) {
+    if (depth > SUBMERGED_DEPTH) return 'SUBMERGED';
+    if (depth > WET_DEPTH) return 'WET';
+    return 'DRY';
+}
+
+/**
+ * Whether a point is underwater (not a valid path waypoint).
+ *
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {Object|null} terrain
+ * @returns {boolean}
+ */
+export function isUnderwater(position, terrain) {
+    return waterDepthAt(position, terrain) > WET_DEPTH;
+}
+
+/**
+ * Speed multiplier for a grounded unit at a position.
+ *
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {Object|null} terrain
+ * @returns {number} 1 on dry land, WADE_SPEED_FACTOR in water
+ */
+export function waterSpeedFactor(position, terrain) {
+    return isUnderwater(position, terrain) ? WADE_SPEED_FACTOR : 1;
+}
+
+/**
+ * Whether a grounded step from → to is blocked: it ends submerged and
+ * deeper than it started (units never drive further into deep water, but
+ * can always drive back out).
+ *
+ * @param {{ x: number, y: number, z: number }} from
+ * @param {{ x: number, y: number, z: number }} to
+ * @param {Object|null} terrain
+ * @returns {boolean}
+ */
+export function isBlockedByWater(from, to, terrain) {
+    const toDepth = waterDepthAt(to, terrain);
+    if (toDepth <= SUBMERGED_DEPTH) return false;
+    return toDepth > waterDepthAt(from, terrain);
+}
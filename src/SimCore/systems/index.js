@@ -12,11 +12,32 @@
  * - EconomySystem: Energy pool, Materia conversion
  * - TimelineSystem: Command → Action execution
  * - MovementSystem: Position updates (engine-agnostic)
+ *
+ * Implemented:
+ * - MateraDepositService: Matera deposits, mining, surface piles (world-owned)
+ * - MateraLogisticsService: Matera transport, cargo, depot inventories
+ * - TerrainDeltaLayer: Terrain Shaping height edits (shared by client + server terrain)
+ * - SubsurfaceScanService: per-player Subsurface Scan discovery of deposits
+ * - VisibilityService: per-player unit visibility (server-side fog / interest management)
+ * - SurfaceMovement: WASD movement math on the sphere (HeadlessUnit + client prediction)
+ * - RockField: seeded rock placement + footprints (client RockSystem + server Room)
+ * - WaterRules: water depth, wading / deep-water blocking, underwater waypoints
+ * - NavGraph / NavPlanner: navmesh graph, zones and A* (client PathPlanner + server MOVE_TO)
  */
 
-// Placeholder - systems will be added in future prompts
 export const SYSTEMS_VERSION = '0.1.0';
 
+export { MateraDepositService } from './MateraDepositService.js';
+export { MateraLogisticsService } from './MateraLogisticsService.js';
+export { TerrainDeltaLayer } from './TerrainDeltaLayer.js';
+export { SubsurfaceScanService, SCAN_CHANNEL_MATERA } from './SubsurfaceScanService.js';
+export { VisibilityService } from './VisibilityService.js';
+export { BASE_MOVE_SPEED, computeMoveVelocity, computeOrientation, stepGrounded } from './SurfaceMovement.js';
+export { DEFAULT_ROCK_FIELD, generateRockField, resolveRockContacts, rockFootprintRadius } from './RockField.js';
+export { isBlockedByWater, isUnderwater, waterDepthAt, waterSpeedFactor, waterStateForDepth } from './WaterRules.js';
+export { NavGraph } from './NavGraph.js';
+export { NavPlanner } from './NavPlanner.js';
+
 /**
  * Base class for all systems (optional pattern)
  * Systems process entities each tick without owning state.
@@ -22,10 +22,20 @@
  *   - Optional latencyMs parameter for simulating network delay (default 0)
  *   - Thread-safe for single-threaded JS (synchronous delivery is fine)
  *
+ * Network condition simulation (bad-network integration tests):
+ *   - Per-link conditions (sender -> receiver): latency, jitter, loss,
+ *     duplication, reordering and a bandwidth cap (see LinkConditions)
+ *   - Scripted partitions: addPartition('guest-2', 'host', { fromMs: 3000, toMs: 6000 })
+ *     cuts both directions between t=3s and t=6s of the hub clock
+ *   - All randomness comes from one SeededRNG per link, derived from the hub
+ *     seed, so a failing run replays exactly with the same seed
+ *   - Links without impairments keep the synchronous delivery above
+ *
  * INVARIANT: Does NOT modify SupabaseTransport or LocalTransport behavior.
  */
 
 import { TransportBase, TransportState } from './ITransport.js';
+import { SeededRNG } from '../runtime/SeededRNG.js';
 
 /**
  * Default channel name used by send() for base transport API.
@@ -33,6 +43,84 @@ import { TransportBase, TransportState } from './ITransport.js';
  */
 const DEFAULT_COMMAND_CHANNEL = '__commands__';
 
+/**
+ * Matches every endpoint in addPartition().
+ * @type {string}
+ */
+const ANY_ENDPOINT = '*';
+
+/**
+ * Network conditions of one directional link.
+ * @typedef {Object} LinkConditions
+ * @property {number} [latencyMs=0] - Base one-way delay
+ * @property {number} [jitterMs=0] - Extra delay, uniform in [0, jitterMs). Delivery stays FIFO.
+ * @property {number} [lossRate=0] - Probability [0..1] a message is dropped
+ * @property {number} [duplicateRate=0] - Probability [0..1] a message is delivered twice
+ * @property {number} [reorderRate=0] - Probability [0..1] a message is held back so later ones overtake it
+ * @property {number} [reorderDelayMs=50] - Hold-back applied to reordered messages
+ * @property {number} [bandwidthBytesPerSec=0] - Link capacity (JSON bytes), 0 = unlimited
+ */
+
+/** @type {Required<LinkConditions>} */
+const DEFAULT_CONDITIONS = Object.freeze({
+    latencyMs: 0,
+    jitterMs: 0,
+    lossRate: 0,
+    duplicateRate: 0,
+    reorderRate: 0,
+    reorderDelayMs: 50,
+    bandwidthBytesPerSec: 0
+});
+
+/**
+ * Merge conditions over a base and validate them.
+ * @param {Required<LinkConditions>} base
+ * @param {LinkConditions} [conditions]
+ * @returns {Required<LinkConditions>}
+ */
+function resolveConditions(base, conditions = {}) {
+    const resolved = { ...base };
+    for (const [key, value] of Object.entries(conditions)) {
+        if (!(key in DEFAULT_CONDITIONS)) {
+            throw new Error(`MemoryTransportHub: unknown link condition '${key}'`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`MemoryTransportHub: ${key} must be a non-negative number`);
+        }
+        if (key.endsWith('Rate') && value > 1) {
+            throw new Error(`MemoryTransportHub: ${key} must be between 0 and 1`);
+        }
+        resolved[key] = value;
+    }
+    return resolved;
+}
+
+/**
+ * Whether a link delivers every message instantly and exactly once.
+ * @param {Required<LinkConditions>} c
+ * @returns {boolean}
+ */
+function isIdealLink(c) {
+    return c.latencyMs === 0 && c.jitterMs === 0 && c.lossRate === 0 &&
+        c.duplicateRate === 0 && c.reorderRate === 0 && c.bandwidthBytesPerSec === 0;
+}
+
+/**
+ * Per-link RNG seed: hub seed mixed with an FNV-1a hash of the link key,
+ * so traffic on one link never shifts the random sequence of another.
+ * @param {number} seed
+ * @param {string} linkKey
+ * @returns {number}
+ */
+function linkSeed(seed, linkKey) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < linkKey.length; i++) {
+        hash ^= linkKey.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash ^ seed) >>> 0;
+}
+
 // ========================================
 // MemoryTransportHub - Central Message Router
 // ========================================
@@ -45,6 +133,9 @@ export class MemoryTransportHub {
     /**
      * @param {Object} [options]
      * @param {number} [options.latencyMs=0] - Simulated network latency (ms). 0 = synchronous.
+     * @param {LinkConditions} [options.conditions] - Default conditions for every link
+     * @param {number} [options.seed=0] - Seed for loss/jitter/duplication/reorder decisions
+     * @param {boolean} [options.enableLog=false] - Keep a message log
      */
     constructor(options = {}) {
         /**
@@ -60,11 +151,55 @@ export class MemoryTransportHub {
         this.channels = new Map();
 
         /**
-         * Simulated network latency in milliseconds.
-         * 0 = synchronous delivery (default for deterministic tests).
+         * Conditions for links without an override.
+         * latencyMs 0 and no impairments = synchronous delivery (default for deterministic tests).
+         * @type {Required<LinkConditions>}
+         */
+        this.defaultConditions = resolveConditions(DEFAULT_CONDITIONS, {
+            latencyMs: options.latencyMs || 0,
+            ...options.conditions
+        });
+
+        /**
+         * Seed for all per-link RNGs. Log it from failing tests to replay them.
          * @type {number}
          */
-        this.latencyMs = options.latencyMs || 0;
+        this.seed = (options.seed ?? 0) >>> 0;
+
+        /**
+         * Directional link state: 'from->to' -> { fromName, toName, conditions, rng, busyUntil, lastArrivalAt, stats }
+         * @type {Map<string, Object>}
+         * @private
+         */
+        this._links = new Map();
+
+        /**
+         * Per-link condition overrides: 'from->to' -> LinkConditions
+         * @type {Map<string, LinkConditions>}
+         * @private
+         */
+        this._linkOverrides = new Map();
+
+        /**
+         * Scripted partitions: { a: Set<string>, b: Set<string>, fromMs, toMs }
+         * @type {Array<Object>}
+         * @private
+         */
+        this._partitions = [];
+
+        /**
+         * Pending delayed deliveries (cleared by reset()).
+         * @type {Set<ReturnType<typeof setTimeout>>}
+         * @private
+         */
+        this._timers = new Set();
+
+        /**
+         * Hub clock origin (Date.now()); partition windows are relative to it.
+         * @type {number}
+         * @private
+         */
+        this._epochMs = Date.now();
 
         /**
          * Message log for debugging/assertions.
@@ -80,6 +215,163 @@ export class MemoryTransportHub {
         this._enableLog = options.enableLog ?? false;
     }
 
+    /**
+     * Simulated base latency of links without an override (ms).
+     * @type {number}
+     */
+    get latencyMs() {
+        return this.defaultConditions.latencyMs;
+    }
+
+    set latencyMs(value) {
+        this.setDefaultConditions({ latencyMs: value || 0 });
+    }
+
+    /**
+     * Milliseconds since the hub clock started (construction or resetClock()).
+     * @type {number}
+     */
+    get elapsedMs() {
+        return Date.now() - this._epochMs;
+    }
+
+    /**
+     * Restart the hub clock, e.g. after a handshake so partition windows
+     * count from the start of the scenario.
+     */
+    resetClock() {
+        this._epochMs = Date.now();
+    }
+
+    // ========================================
+    // NETWORK CONDITIONS
+    // ========================================
+
+    /**
+     * Update the conditions of every link without an override.
+     *
+     * @param {LinkConditions} conditions - Fields to change
+     */
+    setDefaultConditions(conditions) {
+        this.defaultConditions = resolveConditions(this.defaultConditions, conditions);
+        for (const [key, link] of this._links) {
+            link.conditions = this._resolveLinkConditions(key);
+        }
+    }
+
+    /**
+     * Override the conditions between two endpoints. Fields not given fall
+     * back to the default conditions.
+     *
+     * @param {string} fromName - Sending endpoint
+     * @param {string} toName - Receiving endpoint
+     * @param {LinkConditions} conditions - Link conditions
+     * @param {Object} [options]
+     * @param {boolean} [options.oneWay=false] - Only the fromName -> toName direction
+     */
+    setLinkConditions(fromName, toName, conditions, options = {}) {
+        resolveConditions(DEFAULT_CONDITIONS, conditions);
+
+        const keys = [`${fromName}->${toName}`];
+        if (!options.oneWay) {
+            keys.push(`${toName}->${fromName}`);
+        }
+        for (const key of keys) {
+            this._linkOverrides.set(key, { ...conditions });
+            const link = this._links.get(key);
+            if (link) {
+                link.conditions = this._resolveLinkConditions(key);
+            }
+        }
+    }
+
+    /**
+     * Remove all per-link overrides (links use the default conditions again).
+     */
+    clearLinkConditions() {
+        this._linkOverrides.clear();
+        for (const [key, link] of this._links) {
+            link.conditions = this._resolveLinkConditions(key);
+        }
+    }
+
+    /**
+     * Cut both directions between two groups of endpoints for a window of
+     * the hub clock. Messages sent or arriving inside the window are dropped.
+     *
+     * @example
+     *   // Cut guest-2 from the host between t=3s and t=6s
+     *   hub.addPartition('guest-2', 'host', { fromMs: 3000, toMs: 6000 });
+     *   // Isolate guest-2 from everyone, from now on
+     *   hub.addPartition('guest-2', '*', { fromMs: hub.elapsedMs });
+     *
+     * @param {string|string[]} sideA - Endpoint name(s), '*' = any endpoint
+     * @param {string|string[]} sideB - Endpoint name(s), '*' = any endpoint
+     * @param {Object} [window]
+     * @param {number} [window.fromMs=0] - Start (hub clock, inclusive)
+     * @param {number} [window.toMs=Infinity] - End (hub clock, exclusive)
+     * @returns {Object} Partition handle for removePartition()
+     */
+    addPartition(sideA, sideB, window = {}) {
+        const partition = {
+            a: new Set([].concat(sideA)),
+            b: new Set([].concat(sideB)),
+            fromMs: window.fromMs ?? 0,
+            toMs: window.toMs ?? Infinity
+        };
+        if (!(partition.toMs > partition.fromMs)) {
+            throw new Error('MemoryTransportHub: partition toMs must be after fromMs');
+        }
+        this._partitions.push(partition);
+        return partition;
+    }
+
+    /**
+     * Heal a partition created by addPartition().
+     *
+     * @param {Object} partition - Handle returned by addPartition()
+     */
+    removePartition(partition) {
+        this._partitions = this._partitions.filter(p => p !== partition);
+    }
+
+    /**
+     * Heal all partitions.
+     */
+    clearPartitions() {
+        this._partitions = [];
+    }
+
+    /**
+     * Whether the link between two endpoints is cut at the given hub time.
+     *
+     * @param {string} fromName - Sending endpoint
+     * @param {string} toName - Receiving endpoint
+     * @param {number} [atMs] - Hub clock time (default: now)
+     * @returns {boolean}
+     */
+    isPartitioned(fromName, toName, atMs = this.elapsedMs) {
+        const has = (side, name) => side.has(name) || side.has(ANY_ENDPOINT);
+        return this._partitions.some(p =>
+            atMs >= p.fromMs && atMs < p.toMs &&
+            ((has(p.a, fromName) && has(p.b, toName)) || (has(p.a, toName) && has(p.b, fromName)))
+        );
+    }
+
+    /**
+     * Delivery counters of one directional link.
+     *
+     * @param {string} fromName - Sending endpoint
+     * @param {string} toName - Receiving endpoint
+     * @returns {{ sent: number, delivered: number, dropped: number, partitioned: number, duplicated: number, reordered: number }}
+     */
+    getLinkStats(fromName, toName) {
+        const link = this._links.get(`${fromName}->${toName}`);
+        return link
+            ? { ...link.stats }
+            : { sent: 0, delivered: 0, dropped: 0, partitioned: 0, duplicated: 0, reordered: 0 };
+    }
+
     /**
      * Create a named endpoint and register it with this hub.
      *
@@ -175,16 +467,143 @@ export class MemoryTransportHub {
         for (const [endpointName, callback] of subscribers) {
             if (endpointName === senderName) continue;
 
-            if (this.latencyMs > 0) {
-                // Asynchronous delivery with simulated latency
-                setTimeout(() => {
-                    callback(msg);
-                }, this.latencyMs);
-            } else {
+            const link = this._getLink(senderName, endpointName);
+            link.stats.sent++;
+
+            if (this.isPartitioned(senderName, endpointName)) {
+                link.stats.partitioned++;
+                continue;
+            }
+
+            const c = link.conditions;
+            if (isIdealLink(c)) {
                 // Synchronous delivery (default for deterministic tests)
+                link.stats.delivered++;
                 callback(msg);
+                continue;
+            }
+
+            if (c.lossRate > 0 && link.rng.next() < c.lossRate) {
+                link.stats.dropped++;
+                continue;
             }
+
+            const copies = c.duplicateRate > 0 && link.rng.next() < c.duplicateRate ? 2 : 1;
+            if (copies === 2) {
+                link.stats.duplicated++;
+            }
+
+            const sizeBytes = c.bandwidthBytesPerSec > 0 ? JSON.stringify(msg).length : 0;
+            for (let i = 0; i < copies; i++) {
+                this._scheduleDelivery(link, channelName, endpointName, msg, sizeBytes);
+            }
+        }
+    }
+
+    /**
+     * Get (or create) the state of a directional link.
+     *
+     * @param {string} fromName - Sending endpoint
+     * @param {string} toName - Receiving endpoint
+     * @returns {Object}
+     * @private
+     */
+    _getLink(fromName, toName) {
+        const key = `${fromName}->${toName}`;
+        let link = this._links.get(key);
+        if (!link) {
+            link = {
+                fromName,
+                toName,
+                conditions: this._resolveLinkConditions(key),
+                rng: new SeededRNG(linkSeed(this.seed, key)),
+                busyUntil: 0,
+                lastArrivalAt: 0,
+                stats: { sent: 0, delivered: 0, dropped: 0, partitioned: 0, duplicated: 0, reordered: 0 }
+            };
+            this._links.set(key, link);
+        }
+        return link;
+    }
+
+    /**
+     * Effective conditions of a link: default conditions + its override.
+     *
+     * @param {string} key - 'from->to'
+     * @returns {Required<LinkConditions>}
+     * @private
+     */
+    _resolveLinkConditions(key) {
+        return resolveConditions(this.defaultConditions, this._linkOverrides.get(key));
+    }
+
+    /**
+     * Schedule one delayed delivery on a link.
+     * Bandwidth serializes messages on the link; jitter keeps FIFO order
+     * unless the message is picked for reordering (then it is held back).
+     *
+     * @param {Object} link - Link state
+     * @param {string} channelName - Channel the message was sent on
+     * @param {string} endpointName - Receiving endpoint
+     * @param {Object} msg - Message payload
+     * @param {number} sizeBytes - Serialized size (0 when bandwidth is unlimited)
+     * @private
+     */
+    _scheduleDelivery(link, channelName, endpointName, msg, sizeBytes) {
+        const c = link.conditions;
+        const now = Date.now();
+
+        let departAt = now;
+        if (c.bandwidthBytesPerSec > 0) {
+            departAt = Math.max(now, link.busyUntil) + (sizeBytes * 1000) / c.bandwidthBytesPerSec;
+            link.busyUntil = departAt;
+        }
+
+        let arriveAt = departAt + c.latencyMs;
+        if (c.jitterMs > 0) {
+            arriveAt += link.rng.next() * c.jitterMs;
+        }
+        arriveAt = Math.round(arriveAt);
+
+        if (c.reorderRate > 0 && link.rng.next() < c.reorderRate) {
+            arriveAt += c.reorderDelayMs;
+            link.stats.reordered++;
+        } else {
+            arriveAt = Math.max(arriveAt, link.lastArrivalAt);
+            link.lastArrivalAt = arriveAt;
+        }
+
+        const timer = setTimeout(() => {
+            this._timers.delete(timer);
+            this._deliverDelayed(link, channelName, endpointName, msg);
+        }, arriveAt - now);
+        this._timers.add(timer);
+    }
+
+    /**
+     * Deliver a delayed message, unless the link was cut or the receiver
+     * left the channel while it was in flight.
+     *
+     * @param {Object} link - Link state
+     * @param {string} channelName - Channel the message was sent on
+     * @param {string} endpointName - Receiving endpoint
+     * @param {Object} msg - Message payload
+     * @private
+     */
+    _deliverDelayed(link, channelName, endpointName, msg) {
+        if (this.isPartitioned(link.fromName, endpointName)) {
+            link.stats.partitioned++;
+            return;
         }
+
+        const callback = this.channels.get(channelName)?.get(endpointName);
+        if (!callback) {
+            link.stats.dropped++;
+            return;
+        }
+
+        link.stats.delivered++;
+        callback(msg);
     }
 
     /**
@@ -201,8 +620,15 @@ export class MemoryTransportHub {
      * Clear all state. Useful between test cases.
      */
     reset() {
+        for (const timer of this._timers) {
+            clearTimeout(timer);
+        }
+        this._timers.clear();
         this.endpoints.clear();
         this.channels.clear();
+        this._links.clear();
+        this._linkOverrides.clear();
+        this._partitions = [];
         this._messageLog = [];
     }
 }
@@ -14,10 +14,14 @@
  *     { type: "subscribe",   channel: "asterobia:lobby" }
  *     { type: "unsubscribe", channel: "asterobia:lobby" }
  *     { type: "broadcast",   channel: "asterobia:session:xxx", payload: { ... } }
+ *     (+ token: "..." once the server sent a JOIN_TOKEN for that channel)
+ *     { type: "resume",      token: "<resumeToken>" }
  *
  *   Server -> Client:
  *     { type: "message", channel: "asterobia:session:xxx", payload: { ... } }
  *     { type: "error",   message: "..." }
+ *     { type: "session" | "resumed", clientId, resumeToken, ... }
+ *     { type: "resume_failed", message: "..." }
  *
  * Key behaviors:
  *   - Uses native browser WebSocket (no npm imports)
@@ -25,6 +29,13 @@
  *   - joinChannel/broadcastToChannel auto-reconnect if WS is dead (_ensureConnected)
  *   - Channel subscriptions are tracked for re-subscribe on reconnect
  *   - onopen: re-subscribes all channels, then flushes pending messages
+ *   - Join tokens (setChannelToken) are bound to one relay client and
+ *     dropped when a new one is opened
+ *   - Resume: with a resume token from the relay ("session"), an unexpected
+ *     close reconnects at once and the new socket resumes the same relay
+ *     client (id, subscriptions, join tokens, missed frames) within the
+ *     relay's grace window. onConnectionStatus reports 'reconnecting',
+ *     'resumed' and 'resume_failed' (window over: subscribe afresh, rejoin)
  *   - CLIENT-ONLY: The server uses the `ws` npm library instead
  *
  * INVARIANT: Does NOT import DOM, Three.js, or Node.js-only APIs.
@@ -44,6 +55,7 @@ export class WebSocketTransport extends TransportBase {
      * @param {Object} [options]
      * @param {string} [options.url='ws://localhost:8081'] - WebSocket server URL
      * @param {number} [options.connectTimeoutMs=5000] - Max wait for WS connection
+     * @param {number} [options.reconnectDelayMs=250] - Delay between resume attempts
      */
     constructor(options = {}) {
         super();
@@ -54,6 +66,9 @@ export class WebSocketTransport extends TransportBase {
         /** @type {number} Connection timeout in ms */
         this._connectTimeoutMs = options.connectTimeoutMs || 5000;
 
+        /** @type {number} Delay between resume attempts in ms */
+        this._reconnectDelayMs = options.reconnectDelayMs || 250;
+
         /** @type {WebSocket|null} Native browser WebSocket instance */
         this._ws = null;
 
@@ -73,6 +88,13 @@ export class WebSocketTransport extends TransportBase {
          */
         this._subscribedChannels = [];
 
+        /**
+         * Join tokens per channel (JOIN_TOKEN from the server), sent with
+         * subscribe / broadcast frames on that channel.
+         * @type {Map<string, string>}
+         */
+        this._channelTokens = new Map();
+
         /**
          * Messages queued before WebSocket connection is open.
          * Flushed in onopen handler after channel re-subscriptions.
@@ -91,6 +113,27 @@ export class WebSocketTransport extends TransportBase {
          * @type {boolean}
          */
         this._intentionalDisconnect = false;
+
+        /** @type {Function|null} Connection status handler (onConnectionStatus()) */
+        this._statusHandler = null;
+
+        /** @type {number|null} Relay client id (kept across resumes) */
+        this._relayClientId = null;
+
+        /** @type {string|null} Token that resumes our relay client after a drop */
+        this._resumeToken = null;
+
+        /** @type {number} Relay's resume grace window in ms */
+        this._resumeGraceMs = 0;
+
+        /** @type {boolean} Resume frame sent, waiting for the relay's answer */
+        this._resuming = false;
+
+        /** @type {number|null} End of the current resume window (ms since epoch, null = not reconnecting) */
+        this._reconnectDeadline = null;
+
+        /** @type {ReturnType<typeof setTimeout>|null} */
+        this._reconnectTimer = null;
     }
 
     // ========================================
@@ -125,7 +168,7 @@ export class WebSocketTransport extends TransportBase {
         await this._ensureConnected();
 
         // Send subscribe frame to relay server
-        this._sendWsMessage({ type: 'subscribe', channel: channelName });
+        this._sendWsMessage(this._subscribeFrame(channelName));
     }
 
     /**
@@ -144,13 +187,26 @@ export class WebSocketTransport extends TransportBase {
         // Ensure WS is open (reconnects if needed)
         await this._ensureConnected();
 
+        const token = this._channelTokens.get(channelName);
         this._sendWsMessage({
             type: 'broadcast',
             channel: channelName,
-            payload: msg
+            payload: msg,
+            ...(token ? { token } : {})
         });
     }
 
+    /**
+     * Set the join token the relay requires on a session channel.
+     * Sent with every later subscribe / broadcast frame on that channel.
+     *
+     * @param {string} channelName - Channel name
+     * @param {string} token - Token from the server's JOIN_TOKEN
+     */
+    setChannelToken(channelName, token) {
+        this._channelTokens.set(channelName, token);
+    }
+
     /**
      * Register a global message handler.
      * Called by SessionManager.setTransport() to wire up message routing.
@@ -162,6 +218,17 @@ export class WebSocketTransport extends TransportBase {
         this._globalMessageHandler = callback;
     }
 
+    /**
+     * Register a connection status handler: called with 'reconnecting'
+     * (unexpected close, resuming), 'resumed' (same relay client again) or
+     * 'resume_failed' (the relay forgot us: join tokens are gone).
+     *
+     * @param {Function} callback - (status: string) => void
+     */
+    onConnectionStatus(callback) {
+        this._statusHandler = callback;
+    }
+
     /**
      * Leave a named channel.
      * Sends an "unsubscribe" frame to the relay server.
@@ -171,6 +238,7 @@ export class WebSocketTransport extends TransportBase {
      */
     async leaveChannel(channelName) {
         this._channelCallbacks.delete(channelName);
+        this._channelTokens.delete(channelName);
 
         const idx = this._subscribedChannels.indexOf(channelName);
         if (idx !== -1) {
@@ -237,25 +305,18 @@ export class WebSocketTransport extends TransportBase {
 
         this._ws.onopen = () => {
             console.log('[WebSocketTransport] Connected to', this._url);
-            this._state = TransportState.CONNECTED;
 
-            // Re-subscribe to all tracked channels (critical for reconnection)
-            for (const ch of this._subscribedChannels) {
-                this._ws.send(JSON.stringify({ type: 'subscribe', channel: ch }));
+            // Dropped relay client: resume it first, open the session on the answer
+            if (this._resumeToken) {
+                this._resuming = true;
+                this._ws.send(JSON.stringify({ type: 'resume', token: this._resumeToken }));
                 this._wireSendCount++;
+                return;
             }
 
-            // Flush pending messages (subscribe + broadcast frames queued while disconnected)
-            const flushed = this._pendingMessages.length;
-            for (const msg of this._pendingMessages) {
-                this._ws.send(msg);
-                this._wireSendCount++;
-            }
-            this._pendingMessages = [];
-
-            if (flushed > 0) {
-                console.log(`[WebSocketTransport] Flushed ${flushed} pending messages`);
-            }
+            // Join tokens name the old relay client: subscribe without them
+            this._channelTokens.clear();
+            this._openSession();
         };
 
         this._ws.onmessage = (event) => {
@@ -265,6 +326,8 @@ export class WebSocketTransport extends TransportBase {
         this._ws.onclose = (event) => {
             console.log(`[WebSocketTransport] Disconnected: code=${event.code} reason="${event.reason || ''}"`);
             this._state = TransportState.DISCONNECTED;
+            this._resuming = false;
+            this._onUnexpectedClose(event.code);
         };
 
         this._ws.onerror = () => {
@@ -279,10 +342,16 @@ export class WebSocketTransport extends TransportBase {
      */
     disconnect() {
         this._intentionalDisconnect = true;
-        this._cleanupSocket();
+        this._stopReconnecting();
+        this._resumeToken = null;
+        this._relayClientId = null;
+        this._resuming = false;
+        // Normal closure: the relay removes us at once instead of parking us
+        this._cleanupSocket(1000);
         this._state = TransportState.DISCONNECTED;
         this._channelCallbacks.clear();
         this._subscribedChannels = [];
+        this._channelTokens.clear();
         this._pendingMessages = [];
         this._globalMessageHandler = null;
     }
@@ -310,6 +379,10 @@ export class WebSocketTransport extends TransportBase {
             wsReadyStateLabel: this._ws ? ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'][this._ws.readyState] || 'UNKNOWN' : 'NO_SOCKET',
             subscribedChannels: [...this._subscribedChannels],
             channelCallbackCount: this._channelCallbacks.size,
+            channelTokenCount: this._channelTokens.size,
+            relayClientId: this._relayClientId,
+            resumable: this._resumeToken !== null,
+            reconnecting: this._reconnectDeadline !== null,
             pendingMessageCount: this._pendingMessages.length,
             hasGlobalHandler: !!this._globalMessageHandler,
             messagesSent: this._messagesSent,
@@ -323,6 +396,119 @@ export class WebSocketTransport extends TransportBase {
     // INTERNAL
     // ========================================
 
+    /**
+     * Subscribe frame for a channel (with its join token, if any).
+     * @param {string} channelName
+     * @returns {Object}
+     */
+    _subscribeFrame(channelName) {
+        const token = this._channelTokens.get(channelName);
+        return { type: 'subscribe', channel: channelName, ...(token ? { token } : {}) };
+    }
+
+    /**
+     * Socket is usable: re-subscribe all tracked channels (critical for
+     * reconnection), then flush the frames queued while disconnected.
+     * @private
+     */
+    _openSession() {
+        this._state = TransportState.CONNECTED;
+
+        for (const ch of this._subscribedChannels) {
+            this._ws.send(JSON.stringify(this._subscribeFrame(ch)));
+            this._wireSendCount++;
+        }
+
+        const flushed = this._pendingMessages.length;
+        for (const msg of this._pendingMessages) {
+            this._ws.send(msg);
+            this._wireSendCount++;
+        }
+        this._pendingMessages = [];
+
+        if (flushed > 0) {
+            console.log(`[WebSocketTransport] Flushed ${flushed} pending messages`);
+        }
+    }
+
+    /**
+     * Socket closed without disconnect(): if the relay keeps our client
+     * resumable, reconnect until its grace window ends. The relay does not
+     * park clients it closed itself (codes 1000 and 4000+, e.g. a kick).
+     * @param {number} code - Close code
+     * @private
+     */
+    _onUnexpectedClose(code) {
+        if (code === 1000 || code >= 4000) {
+            this._resumeToken = null;
+        }
+        if (this._intentionalDisconnect || !this._resumeToken || this._subscribedChannels.length === 0) return;
+
+        if (this._reconnectDeadline === null) {
+            this._reconnectDeadline = Date.now() + this._resumeGraceMs;
+            this._emitStatus('reconnecting');
+        }
+
+        if (Date.now() >= this._reconnectDeadline) {
+            console.warn('[WebSocketTransport] Resume window over');
+            this._resumeToken = null;
+            this._channelTokens.clear();
+            this._stopReconnecting();
+            this._emitStatus('resume_failed');
+            return;
+        }
+
+        if (this._reconnectTimer === null) {
+            this._reconnectTimer = setTimeout(() => {
+                this._reconnectTimer = null;
+                this.connect();
+            }, this._reconnectDelayMs);
+        }
+    }
+
+    /** @private */
+    _stopReconnecting() {
+        if (this._reconnectTimer !== null) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+        this._reconnectDeadline = null;
+    }
+
+    /**
+     * Relay session frames: our resume token, and the answer to a resume.
+     * @param {Object} msg
+     * @private
+     */
+    _onSessionFrame(msg) {
+        if (msg.type === 'session' || msg.type === 'resumed') {
+            this._relayClientId = msg.clientId;
+            this._resumeToken = msg.resumeToken || null;
+            if (msg.resumeGraceMs != null) this._resumeGraceMs = msg.resumeGraceMs;
+        }
+        if (!this._resuming || msg.type === 'session') return;
+
+        this._resuming = false;
+        this._stopReconnecting();
+        if (msg.type === 'resumed') {
+            console.log(`[WebSocketTransport] Resumed relay client ${msg.clientId} (${msg.missed} missed frames)`);
+            this._openSession();
+            this._emitStatus('resumed');
+        } else {
+            console.warn('[WebSocketTransport] Resume failed:', msg.message);
+            this._channelTokens.clear();
+            this._openSession();
+            this._emitStatus('resume_failed');
+        }
+    }
+
+    /** @private */
+    _emitStatus(status) {
+        if (this._statusHandler) {
+            this._statusHandler(status);
+        }
+    }
+
     /**
      * Ensure the WebSocket is connected and ready to send.
      * If disconnected/errored, attempts to reconnect and waits for OPEN.
@@ -383,16 +569,17 @@ export class WebSocketTransport extends TransportBase {
      * Clean up the current WebSocket instance.
      * Removes event handlers and closes the socket if still open.
      *
+     * @param {number} [code] - Close code (1000 = deliberate, not resumable)
      * @private
      */
-    _cleanupSocket() {
+    _cleanupSocket(code) {
         if (this._ws) {
             this._ws.onopen = null;
             this._ws.onmessage = null;
             this._ws.onclose = null;
             this._ws.onerror = null;
             if (this._ws.readyState === 0 || this._ws.readyState === 1) {
-                this._ws.close();
+                this._ws.close(code);
             }
             this._ws = null;
         }
@@ -450,6 +637,8 @@ export class WebSocketTransport extends TransportBase {
             } else if (this._globalMessageHandler) {
                 this._globalMessageHandler(msg.payload);
             }
+        } else if (msg.type === 'session' || msg.type === 'resumed' || msg.type === 'resume_failed') {
+            this._onSessionFrame(msg);
         } else if (msg.type === 'error') {
             console.warn('[WebSocketTransport] Server error:', msg.message);
         }
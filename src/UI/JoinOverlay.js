@@ -5,21 +5,39 @@
  * Single-screen design with in-place transformations:
  *   State 'initial'  -> username + HOST GAME / JOIN GAME buttons
  *   State 'hosting'  -> username (editable) + Room code display / START GAME
- *   State 'joining'  -> username (editable) + Room code input / JOIN
+ *   State 'joining'  -> username (editable) + Room code input / JOIN (WATCH = spectate)
+ *
+ * Lobby mode (net=ws with the authoritative server): the server issues a
+ * 5-character join code for hosted rooms and the joining state lists the
+ * server's public rooms (click one to fill in its code).
  *
  * Pattern: Self-contained DOM overlay (same pattern as SeatKeypadOverlay.js)
  */
 
+import { normalizeJoinCode } from '../SimCore/multiplayer/MessageSerializer.js';
+import { JOIN_CODE_LENGTH } from '../SimCore/multiplayer/MessageTypes.js';
+
 export class JoinOverlay {
-    constructor() {
-        /** @type {Function|null} callback(roomCode, username) */
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.lobby=false] - Server lobby: server-issued join codes + room list
+     */
+    constructor({ lobby = false } = {}) {
+        /** @type {boolean} */
+        this._lobby = lobby;
+
+        /** @type {Function|null} callback(roomCode, username) - roomCode is null in lobby mode (see setRoomCode) */
         this.onHost = null;
         /** @type {Function|null} callback(roomCode, username) */
         this.onGuest = null;
+        /** @type {Function|null} callback(roomCode, username) - WATCH: join the room as a spectator */
+        this.onSpectate = null;
         /** @type {Function|null} callback() - fired when host clicks START GAME */
         this.onStart = null;
         /** @type {Function|null} callback() - fired when user clicks SINGLE PLAYER */
         this.onSinglePlayer = null;
+        /** @type {Function|null} callback() - lobby mode: fired on the join screen to fetch public rooms */
+        this.onListRooms = null;
 
         this._overlay = null;
         this._card = null;
@@ -40,6 +58,7 @@ export class JoinOverlay {
         this._errorEl = null;
         this._codeInput = null;
         this._spSlot = null;
+        this._roomListEl = null;
 
         // State rebuild guard
         this._lastAppliedState = null;
@@ -130,6 +149,64 @@ export class JoinOverlay {
         }
     }
 
+    /**
+     * Show the server-issued join code on the host screen (lobby mode)
+     * @param {string} code
+     */
+    setRoomCode(code) {
+        this._roomCode = code;
+        if (this._state === 'hosting') {
+            this._lastAppliedState = null; // Force rebuild with the code
+            this._applyState();
+        }
+    }
+
+    /**
+     * Render the server's public rooms on the join screen (lobby mode)
+     * @param {Array<{joinCode: string, name: string, players: number, maxPlayers: number}>} rooms
+     */
+    setRoomList(rooms) {
+        if (!this._roomListEl || this._state !== 'joining') return;
+        this._roomListEl.innerHTML = '';
+
+        if (!rooms || rooms.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No open rooms';
+            empty.style.cssText = `color: rgba(255, 255, 255, 0.35); padding: 6px 0;`;
+            this._roomListEl.appendChild(empty);
+            return;
+        }
+
+        for (const room of rooms) {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                gap: 12px;
+                padding: 6px 10px;
+                border-radius: 8px;
+                cursor: pointer;
+                transition: background 0.2s;
+            `;
+            row.innerHTML = `
+                <span>${this._escapeHtml(room.name)}</span>
+                <span style="color: #4488ff; letter-spacing: 3px;">${this._escapeHtml(room.joinCode)}</span>
+                <span style="color: rgba(255, 255, 255, 0.35);">${room.players}/${room.maxPlayers}</span>
+            `;
+            row.addEventListener('mouseenter', () => { row.style.background = 'rgba(68, 136, 255, 0.10)'; });
+            row.addEventListener('mouseleave', () => { row.style.background = 'none'; });
+            row.addEventListener('mousedown', (e) => e.stopPropagation());
+            row.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this._codeInput) {
+                    this._codeInput.value = room.joinCode;
+                    this._codeInput.focus();
+                }
+            });
+            this._roomListEl.appendChild(row);
+        }
+    }
+
     /**
      * Update the wait text on host screen (e.g., when guest connects)
      * @param {string} text - New status text
@@ -415,6 +492,21 @@ export class JoinOverlay {
         this._spSlot = spRow;
         card.appendChild(spRow);
 
+        // ---- Public room list (lobby mode, joining state) ----
+        const roomListEl = document.createElement('div');
+        roomListEl.style.cssText = `
+            display: none;
+            flex-direction: column;
+            margin-top: 12px;
+            max-height: 160px;
+            overflow-y: auto;
+            color: rgba(255, 255, 255, 0.6);
+            font-size: 12px;
+            font-weight: 300;
+        `;
+        card.appendChild(roomListEl);
+        this._roomListEl = roomListEl;
+
         // ---- Error area (hidden by default) ----
         const errorEl = document.createElement('div');
         errorEl.style.cssText = `
@@ -466,6 +558,12 @@ export class JoinOverlay {
             this._spSlot.innerHTML = '';
         }
 
+        // Clear room list
+        if (this._roomListEl) {
+            this._roomListEl.innerHTML = '';
+            this._roomListEl.style.display = 'none';
+        }
+
         switch (this._state) {
             case 'initial':
                 this._applyInitialState();
@@ -502,8 +600,8 @@ export class JoinOverlay {
 
         // Left: HOST GAME button
         const hostBtn = this._createButton('HOST GAME', '#00ff88', () => {
-            // Generate room code (10-99)
-            this._roomCode = Math.floor(Math.random() * 90) + 10;
+            // Generate room code (10-99); the server issues it in lobby mode
+            this._roomCode = this._lobby ? null : Math.floor(Math.random() * 90) + 10;
             this._state = 'hosting';
             this._applyState();
 
@@ -542,7 +640,7 @@ export class JoinOverlay {
     _applyHostingState() {
         // Show room display with code
         this._roomDisplay.style.display = 'flex';
-        this._roomCodeLabel.textContent = String(this._roomCode);
+        this._roomCodeLabel.textContent = String(this._roomCode ?? '\u2026');
 
         // Hide single player row
         if (this._spSlot) {
@@ -575,7 +673,7 @@ export class JoinOverlay {
             letter-spacing: 1px;
         `;
         const roomBadgeCode = document.createElement('span');
-        roomBadgeCode.textContent = String(this._roomCode);
+        roomBadgeCode.textContent = String(this._roomCode ?? '\u2026');
         roomBadgeCode.style.cssText = `
             color: #00ff88;
             font-size: 22px;
@@ -640,12 +738,12 @@ export class JoinOverlay {
 
         const codeInput = document.createElement('input');
         codeInput.type = 'text';
-        codeInput.maxLength = 2;
-        codeInput.placeholder = '__';
-        codeInput.inputMode = 'numeric';
-        codeInput.pattern = '[0-9]*';
+        codeInput.maxLength = this._lobby ? JOIN_CODE_LENGTH : 2;
+        codeInput.placeholder = '_'.repeat(codeInput.maxLength);
+        codeInput.inputMode = this._lobby ? 'text' : 'numeric';
+        if (!this._lobby) codeInput.pattern = '[0-9]*';
         codeInput.style.cssText = `
-            width: 60px;
+            width: ${this._lobby ? 130 : 60}px;
             background: transparent;
             border: none;
             color: #4488ff;
@@ -671,9 +769,11 @@ export class JoinOverlay {
         codeInput.addEventListener('keyup', (e) => {
             e.stopPropagation();
         });
-        // Only allow digits
+        // Only allow digits (lobby codes: upper-case letters and digits)
         codeInput.addEventListener('input', () => {
-            codeInput.value = codeInput.value.replace(/[^0-9]/g, '');
+            codeInput.value = this._lobby
+                ? codeInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '')
+                : codeInput.value.replace(/[^0-9]/g, '');
         });
         // Enter key submits
         codeInput.addEventListener('keydown', (e) => {
@@ -713,6 +813,21 @@ export class JoinOverlay {
                 this._applyState();
             });
             this._spSlot.appendChild(backBtn);
+
+            // WATCH: spectate the room (delayed, all units visible, no slot taken)
+            const watchBtn = this._createButton('WATCH', '#ffaa00', () => {
+                this._doJoin(true);
+            });
+            this._spSlot.appendChild(watchBtn);
+        }
+
+        // Lobby: public rooms from the server
+        if (this._lobby && this._roomListEl) {
+            this._roomListEl.style.display = 'flex';
+            this._roomListEl.textContent = 'Searching for rooms...';
+            if (this.onListRooms) {
+                this.onListRooms();
+            }
         }
 
         // Focus code input
@@ -720,17 +835,28 @@ export class JoinOverlay {
     }
 
     /**
-     * Validate and fire join callback
+     * Validate and fire join callback (or the spectate callback)
      * @private
+     * @param {boolean} [spectate=false]
      */
-    _doJoin() {
+    _doJoin(spectate = false) {
         const code = this._codeInput ? this._codeInput.value.trim() : '';
 
-        // Validate: must be 2 digits, 10-99
-        const codeNum = parseInt(code, 10);
-        if (isNaN(codeNum) || codeNum < 10 || codeNum > 99) {
-            this.showError('Enter a valid 2-digit code (10-99)');
-            return;
+        // Lobby: server-issued join code (validated again by the server)
+        let roomCode = null;
+        if (this._lobby) {
+            roomCode = normalizeJoinCode(code);
+            if (!roomCode) {
+                this.showError(`Enter a valid ${JOIN_CODE_LENGTH}-character code`);
+                return;
+            }
+        } else {
+            // Validate: must be 2 digits, 10-99
+            roomCode = parseInt(code, 10);
+            if (isNaN(roomCode) || roomCode < 10 || roomCode > 99) {
+                this.showError('Enter a valid 2-digit code (10-99)');
+                return;
+            }
         }
 
         // Clear error
@@ -741,9 +867,10 @@ export class JoinOverlay {
         // Show connecting state
         this._showConnectingState();
 
-        const username = this._usernameInput.value.trim() || 'Guest';
-        if (this.onGuest) {
-            this.onGuest(codeNum, username);
+        const username = this._usernameInput.value.trim() || (spectate ? 'Spectator' : 'Guest');
+        const callback = spectate ? this.onSpectate : this.onGuest;
+        if (callback) {
+            callback(roomCode, username);
         }
     }
 
@@ -3,8 +3,10 @@
  *
  * R013: Compact always-visible HUD showing multiplayer session info:
  *   - Host name with crown icon
- *   - Host online/offline status
+ *   - Host online/offline status (reconnecting while the transport resumes)
+ *   - Spectators: "Spectating" with the snapshot delay instead of the host
  *   - Player count
+ *   - Per-peer ping and packet loss (PING/PONG link stats)
  *   - Room code (for sharing mid-game)
  *
  * Pattern: Self-contained DOM overlay (same pattern as JoinOverlay.js)
@@ -13,6 +15,18 @@
  */
 
 import { makeDraggable } from './makeDraggable.js';
+import { PlayerStatus } from '../SimCore/multiplayer/SessionState.js';
+
+/**
+ * Link quality color: green / amber / red by RTT and loss.
+ * @param {{rttMs: number, lossPct: number}} link
+ * @returns {string}
+ */
+function linkColor(link) {
+    if (link.rttMs < 100 && link.lossPct < 2) return '#00ff88';
+    if (link.rttMs < 250 && link.lossPct < 10) return '#ffaa00';
+    return '#ff4444';
+}
 
 export class MultiplayerHUD {
     /**
@@ -47,6 +61,8 @@ export class MultiplayerHUD {
         this._statusTextEl = null;
         /** @type {HTMLElement|null} */
         this._playerCountEl = null;
+        /** @type {HTMLElement|null} Per-peer ping / loss rows */
+        this._linksEl = null;
         /** @type {HTMLElement|null} */
         this._roomCodeEl = null;
         /** @type {HTMLElement|null} */
@@ -104,11 +120,13 @@ export class MultiplayerHUD {
         if (!sm) return;
 
         // Determine my role
-        const myRole = sm.state.role; // 'HOST', 'GUEST', 'OFFLINE'
+        const myRole = sm.state.role; // 'HOST', 'GUEST', 'SPECTATOR', 'OFFLINE'
 
-        // Host name: find slot 0 player (the host)
+        // Host name: find slot 0 player (the host); spectators see the delay instead
         const hostPlayer = sm.state.getPlayer(0);
-        const hostName = hostPlayer?.displayName || 'Host';
+        const hostName = myRole === 'SPECTATOR'
+            ? `${Math.round(sm.spectatorDelayMs / 1000)} s delay`
+            : hostPlayer?.displayName || 'Host';
         if (this._hostNameEl) {
             this._hostNameEl.textContent = hostName;
         }
@@ -119,6 +137,8 @@ export class MultiplayerHUD {
                 this._roleLabelEl.textContent = 'You (Host):';
             } else if (myRole === 'GUEST') {
                 this._roleLabelEl.textContent = 'Host:';
+            } else if (myRole === 'SPECTATOR') {
+                this._roleLabelEl.textContent = 'Spectating:';
             } else {
                 this._roleLabelEl.textContent = 'Offline';
             }
@@ -140,18 +160,25 @@ export class MultiplayerHUD {
         }
 
         // Connection status: for Guest, check if we're connected (have session channel)
-        const isConnected = myRole !== 'OFFLINE' && sm._sessionChannel !== null;
+        const isConnected = myRole !== 'OFFLINE' && (sm._sessionChannel !== null || sm._spectateChannel !== null);
+        // Socket dropped, transport resuming within the relay's grace window
+        const isReconnecting = isConnected &&
+            sm.state.getPlayer(sm.state.mySlot)?.status === PlayerStatus.RECONNECTING;
         if (this._statusDotEl) {
-            this._statusDotEl.style.background = isConnected ? '#00ff88' : '#ff4444';
-            this._statusDotEl.style.boxShadow = isConnected
-                ? '0 0 6px rgba(0, 255, 136, 0.6)'
-                : '0 0 6px rgba(255, 68, 68, 0.6)';
+            this._statusDotEl.style.background = isReconnecting ? '#ffaa00' : isConnected ? '#00ff88' : '#ff4444';
+            this._statusDotEl.style.boxShadow = isReconnecting
+                ? '0 0 6px rgba(255, 170, 0, 0.6)'
+                : isConnected
+                    ? '0 0 6px rgba(0, 255, 136, 0.6)'
+                    : '0 0 6px rgba(255, 68, 68, 0.6)';
         }
         if (this._statusTextEl) {
-            this._statusTextEl.textContent = isConnected ? 'Online' : 'Offline';
-            this._statusTextEl.style.color = isConnected
-                ? 'rgba(0, 255, 136, 0.8)'
-                : 'rgba(255, 68, 68, 0.8)';
+            this._statusTextEl.textContent = isReconnecting ? 'Reconnecting' : isConnected ? 'Online' : 'Offline';
+            this._statusTextEl.style.color = isReconnecting
+                ? 'rgba(255, 170, 0, 0.8)'
+                : isConnected
+                    ? 'rgba(0, 255, 136, 0.8)'
+                    : 'rgba(255, 68, 68, 0.8)';
         }
 
         // Player count - hide when 0
@@ -166,6 +193,31 @@ export class MultiplayerHUD {
             }
         }
 
+        // Per-peer ping and loss
+        if (this._linksEl) {
+            const links = sm.getConnectionStats ? sm.getConnectionStats() : [];
+            this._linksEl.replaceChildren();
+            for (const link of links) {
+                if (link.rttMs === null) continue;
+                const row = document.createElement('div');
+                row.style.cssText = `
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 8px;
+                `;
+                const name = document.createElement('span');
+                name.style.color = 'rgba(255, 255, 255, 0.5)';
+                name.textContent = link.displayName;
+                const quality = document.createElement('span');
+                quality.style.color = linkColor(link);
+                quality.textContent = `${link.rttMs} ms \u00B7 ${link.lossPct}% loss`;
+                row.appendChild(name);
+                row.appendChild(quality);
+                this._linksEl.appendChild(row);
+            }
+            this._linksEl.style.display = this._linksEl.childElementCount > 0 ? '' : 'none';
+        }
+
         // Room code: extract from game.clientId or hostId (format: 'room-XX')
         const clientId = this.game.clientId || '';
         let roomCode = '--';
@@ -206,6 +258,7 @@ export class MultiplayerHUD {
         this._statusDotEl = null;
         this._statusTextEl = null;
         this._playerCountEl = null;
+        this._linksEl = null;
         this._roomCodeEl = null;
         this._roleLabelEl = null;
         this._myRoleEl = null;
@@ -413,6 +466,17 @@ export class MultiplayerHUD {
         statusRow.appendChild(playerCount);
         panel.appendChild(statusRow);
 
+        // --- Row 2b: Ping / loss per peer (filled by update) ---
+        const linksRow = document.createElement('div');
+        linksRow.style.cssText = `
+            display: none;
+            font-size: 11px;
+            font-weight: 400;
+            margin-bottom: 6px;
+        `;
+        this._linksEl = linksRow;
+        panel.appendChild(linksRow);
+
         // --- Row 3: Room code ---
         const roomRow = document.createElement('div');
         roomRow.style.cssText = `
@@ -4,12 +4,24 @@
  * Merged panel combining:
  * - R012 Dev HUD (NET MODE, AUTH, REALTIME, DB status, Save/Load)
  * - M07 Network Status (Role, SimTick, batch counters, queue, drops)
+ * - M12 Link quality (RTT, jitter, clock offset, loss per peer)
  *
  * Reference: docs/specs/R013_M07_GAME_LOOP.md Section 5
  */
 
 import { makeDraggable } from './makeDraggable.js';
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+/**
+ * Escape player-provided text for innerHTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, c => HTML_ESCAPES[c]);
+}
+
 export class NetworkDebugPanel {
   /**
    * @param {Object} game - Game instance with sessionManager
@@ -282,6 +294,22 @@ export class NetworkDebugPanel {
         <div>Dropped (dup): ${status.batchDropDupCount}</div>
         <div>Dropped (stale): ${status.batchDropStaleCount}</div>
       </div>`;
+
+      // M12: Link quality per peer
+      const links = (status.links || []).filter(link => link.rttMs !== null);
+      if (links.length > 0) {
+        html += `<div style="margin-top: 4px; border-top: 1px dashed #333; padding-top: 4px; font-size: 11px;">`;
+        for (const link of links) {
+          const lossColor = link.lossPct > 0 ? '#f55' : '#0a0';
+          html += `<div>
+            <span style="color: #888;">${escapeHtml(link.displayName)}:</span>
+            RTT ${link.rttMs}ms \u00B1${link.jitterMs}
+            <span style="color: #888; margin-left: 8px;">off</span> ${link.clockOffsetMs}ms
+            <span style="color: ${lossColor}; margin-left: 8px;">loss ${link.lossPct}%</span>
+          </div>`;
+        }
+        html += `</div>`;
+      }
     }
 
     this.contentDiv.innerHTML = html;
@@ -341,6 +341,50 @@ export class Planet {
         }
     }
 
+    /**
+     * Re-displace terrain vertices after Terrain Shaping edits.
+     * Only vertices within `radius` (surface meters) of `center` move;
+     * pass center = null to refresh the whole planet (e.g. after a load).
+     *
+     * @param {THREE.Vector3|null} center - Edit center (direction or world position)
+     * @param {number} [radius] - Edit radius in meters on the surface
+     * @returns {number} Number of vertices updated
+     */
+    refreshRegion(center, radius = 0) {
+        const geometry = this.mesh.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color;
+        const baseRadius = this.terrain.params.radius;
+        const centerDir = center ? center.clone().normalize() : null;
+        // Chord on the unit sphere, same footprint measure as TerrainDeltaLayer
+        const maxChord = (radius + 1) / baseRadius;
+        const v3 = new THREE.Vector3();
+        let updated = 0;
+
+        for (let i = 0; i < positions.count; i++) {
+            v3.set(positions.getX(i), positions.getY(i), positions.getZ(i)).normalize();
+            if (centerDir && v3.distanceTo(centerDir) > maxChord) continue;
+
+            const heightOffset = this.terrain.getHeight(v3.x, v3.y, v3.z);
+            const r = baseRadius + heightOffset;
+            positions.setXYZ(i, v3.x * r, v3.y * r, v3.z * r);
+
+            const moisture = this.terrain.getMoisture(v3.x, v3.y, v3.z);
+            const temperature = this.terrain.getTemperature(v3.x, v3.y, v3.z, heightOffset);
+            const biomeColor = this.terrain.getBiomeColor(heightOffset, moisture, temperature);
+            colors.setXYZ(i, biomeColor.r, biomeColor.g, biomeColor.b);
+            updated++;
+        }
+
+        if (updated > 0) {
+            positions.needsUpdate = true;
+            colors.needsUpdate = true;
+            geometry.computeVertexNormals();
+            geometry.computeBoundingSphere();
+        }
+        return updated;
+    }
+
     createStarField(count) {
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(count * 3);
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { RockMeshGenerator } from './RockMeshGenerator.js';
+import { DEFAULT_ROCK_FIELD, generateRockField } from '../SimCore/systems/RockField.js';
 
 export class RockSystem {
     constructor(game, planet) {
@@ -7,18 +8,15 @@ export class RockSystem {
         this.planet = planet;
         this.generator = new RockMeshGenerator();
         this.rocks = [];
+        this.field = []; // RockField descriptors (plain data, same as the server's)
         this.rockGroup = new THREE.Group();
         this.scene = game.scene;
 
         this.scene.add(this.rockGroup);
 
-        // Default params
+        // Default params (placement defaults shared with the server: DEFAULT_ROCK_FIELD)
         this.params = {
-            count: 300,        // Increased to 300 for better density
-            seed: 12345,
-            minScale: 0.5,
-            maxScale: 3.0,
-            radius: 1.2,
+            ...DEFAULT_ROCK_FIELD,
             detail: 2
         };
 
@@ -170,93 +168,41 @@ export class RockSystem {
 
         console.log(`Generating ${this.params.count} rocks...`);
 
-        // Pseudo-random generator
-        const seedRandom = (s) => {
-            let mask = 0xffffffff;
-            let m_w = (123456789 + s) & mask;
-            let m_z = (987654321 - s) & mask;
-            return () => {
-                m_z = (36969 * (m_z & 65535) + (m_z >> 16)) & mask;
-                m_w = (18000 * (m_w & 65535) + (m_w >> 16)) & mask;
-                var result = ((m_z << 16) + (m_w & 65535)) >>> 0;
-                result /= 4294967296;
-                return result;
-            };
-        };
-
-        const rng = seedRandom(this.params.seed);
-
-        for (let i = 0; i < this.params.count; i++) {
-            // 1. Random Position on Sphere
-            const u = rng();
-            const v = rng();
-            const theta = 2 * Math.PI * u;
-            const phi = Math.acos(2 * v - 1);
-
-            const dir = new THREE.Vector3(
-                Math.sin(phi) * Math.cos(theta),
-                Math.sin(phi) * Math.sin(theta),
-                Math.cos(phi)
-            );
+        // Placement + footprints are shared with the authoritative server (RockField)
+        this.field = generateRockField(this.params, this.planet.terrain);
 
-            // 2. Get Terrain Height
-            const terrainRadius = this.planet.terrain.getRadiusAt(dir);
-
-            // Avoid water?
-            // If terrain radius is close to default radius (water level), maybe skip?
-            // User didn't specify, but usually rocks are on land.
-            // Let's blindly place them for now.
-
-            // 3. Generate Unique Rock Mesh (Time consuming?)
-            // For 60 rocks, generating 60 unique meshes is fine.
-            const scaleVal = this.params.minScale + rng() * (this.params.maxScale - this.params.minScale);
+        for (const rock of this.field) {
+            const scaleVal = rock.scale;
 
             const rockParams = {
                 radius: this.params.radius,
                 detail: this.params.detail,
-                scale: new THREE.Vector3(scaleVal, scaleVal, scaleVal),
-                // Vary seed for each rock
-                // Actually RockGen uses noise internally, does it accept a seed?
-                // RockMeshGenerator uses `createNoise3D`. It doesn't seem to take a seed param in generate().
-                // But it instantiates `noise3D` in constructor.
-                // To vary rocks, we might need new generator instances OR update generator to offset noise.
-                // Looking at RockMeshGenerator inside: `this._applyNoise` uses `vertex.x`. 
-                // To vary, we can offset the input coordinates to noise!
+                scale: new THREE.Vector3(scaleVal, scaleVal, scaleVal)
             };
 
             // Generate
             const { geometry } = this.generator.generate(rockParams);
 
-            // Fix position - SINK INTO GROUND for flush shadow at contact
-            // This ensures shadow appears at terrain-rock junction, not floating
-            const sinkDepth = scaleVal * 0.15; // 15% of rock size sinks below surface
-            const pos = dir.clone().multiplyScalar(terrainRadius - sinkDepth);
+            // SINK INTO GROUND for flush shadow at contact (RockField sinkDepth)
+            const pos = new THREE.Vector3(rock.position.x, rock.position.y, rock.position.z);
 
             // Random material from 4 variants
-            const matIndex = Math.floor(rng() * this.materials.length);
+            const matIndex = Math.floor(rock.variantRoll * this.materials.length);
             const selectedMaterial = this.materials[matIndex];
 
             const mesh = new THREE.Mesh(geometry, selectedMaterial);
             mesh.position.copy(pos);
-            mesh.lookAt(new THREE.Vector3(0, 0, 0)); // Point down?
             // Align Up to Normal
             const up = pos.clone().normalize();
             const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), up);
             mesh.quaternion.copy(quaternion);
 
             // Random rotation around Up
-            const randRot = rng() * Math.PI * 2;
-            mesh.rotateY(randRot);
-
-            // Store collision radius from ACTUAL deformed geometry (not original sphere)
-            // geometry.boundingSphere was computed in RockMeshGenerator after all deformations
-            if (geometry.boundingSphere) {
-                mesh.userData.collisionRadius = geometry.boundingSphere.radius;
-            } else {
-                // Fallback to computed estimate
-                geometry.computeBoundingSphere();
-                mesh.userData.collisionRadius = geometry.boundingSphere?.radius || scaleVal * this.params.radius;
-            }
+            mesh.rotateY(rock.yaw);
+
+            // Collision radius from the shared footprint (server blocks units with the same value)
+            mesh.userData.collisionRadius = rock.footprintRadius;
+            mesh.userData.rockId = rock.id;
 
             // Cast Shadow
             mesh.castShadow = true;
@@ -317,4 +263,18 @@ export class RockSystem {
             this.rocks.push(mesh);
         }
     }
+
+    /**
+     * Adopt the room's rock seed (HOST_ANNOUNCE) so rocks match the server.
+     * Regenerates rocks and the nav mesh only if the seed changed.
+     * @param {number} seed
+     * @returns {boolean} True if the rocks were regenerated
+     */
+    setSeed(seed) {
+        if (seed === this.params.seed) return false;
+        this.params.seed = seed;
+        this.generateRocks();
+        this.game.navMesh?.regenerate();
+        return true;
+    }
 }
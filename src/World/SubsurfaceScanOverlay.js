@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+
+// Render cap per deposit (uniform array size). Discovery data is never trimmed:
+// only the most recent stamps beyond this cap are drawn.
+const MAX_RENDER_STAMPS = 64;
+
+/**
+ * Subsurface Scan overlay: X-ray view of discovered Matera deposits.
+ *
+ * Sits next to FogOfWar but is a separate layer (spec: scan discovery is not
+ * the optical FoW mask). Fed only by the server's per-player SCAN_REVEAL:
+ * each deposit volume is drawn where it intersects the union of this
+ * player's scan stamps, with bright edges and a mostly transparent interior.
+ */
+export class SubsurfaceScanOverlay {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.color = new THREE.Color(options.color ?? 0x33ffcc);
+
+        this.group = new THREE.Group();
+        this.group.name = 'SubsurfaceScanOverlay';
+        this.group.renderOrder = 10;
+        this.scene.add(this.group);
+
+        // depositId -> { deposit, stamps: [{x,y,z,r}], mesh }
+        this.deposits = new Map();
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uStamps: { value: Array.from({ length: MAX_RENDER_STAMPS }, () => new THREE.Vector4()) },
+                uStampCount: { value: 0 },
+                uColor: { value: this.color }
+            },
+            vertexShader: `
+                varying vec3 vWorldPos;
+                varying vec3 vNormal;
+                varying vec3 vViewDir;
+                void main() {
+                    vec4 worldPos = modelMatrix * vec4(position, 1.0);
+                    vWorldPos = worldPos.xyz;
+                    vNormal = normalize(mat3(modelMatrix) * normal);
+                    vViewDir = normalize(cameraPosition - worldPos.xyz);
+                    gl_Position = projectionMatrix * viewMatrix * worldPos;
+                }
+            `,
+            fragmentShader: `
+                #define MAX_STAMPS ${MAX_RENDER_STAMPS}
+                uniform vec4 uStamps[MAX_STAMPS];
+                uniform int uStampCount;
+                uniform vec3 uColor;
+                varying vec3 vWorldPos;
+                varying vec3 vNormal;
+                varying vec3 vViewDir;
+
+                void main() {
+                    // Only the part inside the union of scan spheres is revealed
+                    bool inside = false;
+                    for (int i = 0; i < MAX_STAMPS; i++) {
+                        if (i >= uStampCount) break;
+                        if (distance(vWorldPos, uStamps[i].xyz) < uStamps[i].w) {
+                            inside = true;
+                            break;
+                        }
+                    }
+                    if (!inside) discard;
+
+                    // X-ray look: bright rim, faint interior
+                    float rim = 1.0 - abs(dot(normalize(vNormal), normalize(vViewDir)));
+                    float alpha = 0.08 + pow(rim, 2.5) * 0.8;
+                    gl_FragColor = vec4(uColor * (0.6 + rim), alpha);
+                }
+            `,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            side: THREE.DoubleSide,
+            depthTest: false,
+            depthWrite: false
+        });
+    }
+
+    // Apply a SCAN_REVEAL message: { deposits, stamps, full? }
+    applyReveal(msg) {
+        if (msg.full) this.clear();
+
+        for (const d of msg.deposits || []) {
+            if (this.deposits.has(d.id)) continue;
+            this.deposits.set(d.id, {
+                deposit: d,
+                stamps: [],
+                mesh: this._createMesh(d)
+            });
+        }
+
+        const touched = new Set();
+        for (const s of msg.stamps || []) {
+            const entry = this.deposits.get(s.depositId);
+            if (!entry) continue;
+            entry.stamps.push({ x: s.x, y: s.y, z: s.z, r: s.r });
+            touched.add(s.depositId);
+        }
+
+        for (const id of touched) {
+            this._updateStamps(this.deposits.get(id));
+        }
+    }
+
+    clear() {
+        for (const entry of this.deposits.values()) {
+            this.group.remove(entry.mesh);
+            entry.mesh.geometry.dispose();
+            entry.mesh.material.dispose();
+        }
+        this.deposits.clear();
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+
+    _createMesh(d) {
+        const geometry = new THREE.SphereGeometry(d.radius, 32, 24);
+        const mesh = new THREE.Mesh(geometry, this.material.clone());
+        mesh.position.set(d.cx, d.cy, d.cz);
+        mesh.renderOrder = 10;
+        mesh.visible = false; // shown once the first stamp arrives
+        this.group.add(mesh);
+        return mesh;
+    }
+
+    _updateStamps(entry) {
+        const uniforms = entry.mesh.material.uniforms;
+        const stamps = entry.stamps.slice(-MAX_RENDER_STAMPS);
+        stamps.forEach((s, i) => uniforms.uStamps.value[i].set(s.x, s.y, s.z, s.r));
+        uniforms.uStampCount.value = stamps.length;
+        entry.mesh.visible = stamps.length > 0;
+    }
+}
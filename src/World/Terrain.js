@@ -1,8 +1,9 @@
 import { createNoise3D } from 'simplex-noise';
 import * as THREE from 'three';
+import { TerrainDeltaLayer } from '../SimCore/systems/TerrainDeltaLayer.js';
 
 export class Terrain {
-    constructor(params = {}) {
+    constructor(params = {}, shapingOptions = {}) {
         this.noise3D = createNoise3D(() => 0.5);
         this.moistureNoise = createNoise3D(() => 0.3);
         this.temperatureNoise = createNoise3D(() => 0.7);
@@ -57,6 +58,12 @@ export class Terrain {
             // Erosion
             erosionStrength: 0.05
         }, params);
+
+        // Terrain Shaping edits (same layer as ServerTerrain; empty = pure noise)
+        this.deltaLayer = new TerrainDeltaLayer({
+            ...shapingOptions,
+            planetRadius: this.params.radius
+        });
     }
 
     applyDomainWarp(x, y, z) {
@@ -98,7 +105,8 @@ export class Terrain {
         return value / maxValue;
     }
 
-    getHeight(x, y, z) {
+    // Noise-only height (no Terrain Shaping edits)
+    getBaseHeight(x, y, z) {
         const warped = this.applyDomainWarp(x, y, z);
         
         const continent = this.sampleNoise(warped.x, warped.y, warped.z, this.params.continentScale, 3, 0.5) * this.params.continentStrength;
@@ -112,6 +120,10 @@ export class Terrain {
         return height * this.params.heightMultiplier;
     }
 
+    getHeight(x, y, z) {
+        return this.getBaseHeight(x, y, z) + this.deltaLayer.sample(x, y, z);
+    }
+
     getRadiusAt(direction) {
         return this.params.radius + this.getHeight(direction.x, direction.y, direction.z);
     }
@@ -0,0 +1,293 @@
+/**
+ * Netcode Integration: Bad Network
+ *
+ * Host-leave, seat and snapshot-buffer flows run over a MemoryTransportHub
+ * with jitter, loss, duplication, reordering and scripted partitions.
+ * Every hub is seeded: a failing case replays exactly with the same SEED.
+ *
+ * All tests run in-process with fake timers (no real network).
+ *
+ * Run: npx vitest run tests/integration/netcode/bad-network.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MemoryTransportHub } from '../../../src/SimCore/transport/MemoryTransport.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { CommandQueue } from '../../../src/SimCore/runtime/CommandQueue.js';
+import { SnapshotBuffer } from '../../../src/SimCore/net/SnapshotBuffer.js';
+
+const SEED = 20240611;
+
+/** Typical broadband: 60-100ms one way, some duplicates and reordering, no loss */
+const JITTERY = { latencyMs: 60, jitterMs: 40, duplicateRate: 0.1, reorderRate: 0.1, reorderDelayMs: 80 };
+
+// ========================================
+// Helpers
+// ========================================
+
+function createUnits() {
+    return [{ id: 1, ownerSlot: 0, selectedBySlot: null, controllerSlot: null, seatPolicy: 'OPEN' }];
+}
+
+/**
+ * SessionManager on its own hub endpoint.
+ * Channel callbacks already route to onMessage(), so the endpoint's global
+ * handler is unset (it would deliver every message twice).
+ */
+function createPeer(hub, name) {
+    const game = {
+        clientId: name,
+        playerName: name,
+        _isDevMode: false,
+        simLoop: { tickCount: 100 },
+        commandQueue: new CommandQueue(),
+        units: createUnits(),
+        stateSurface: { serialize: () => ({ tickCount: 100, units: [] }), deserialize: () => {} }
+    };
+    const endpoint = hub.createEndpoint(name);
+    const sm = new SessionManager(game);
+    sm.setTransport(endpoint);
+    endpoint.onMessage(null);
+    return { name, sm, game, endpoint };
+}
+
+async function join(guest, hostId) {
+    const joined = guest.sm.joinGame(hostId);
+    await vi.advanceTimersByTimeAsync(1500);
+    await joined;
+}
+
+/** Host heartbeat: one CMD_BATCH every 500ms (keeps guests' host-absence timers fed) */
+function startCmdBatches(host) {
+    let seq = 0;
+    return setInterval(() => {
+        host.sm.bufferInputCmd({ slot: 0, seq: seq++, command: { type: 'NOOP' } });
+        host.sm.sendCmdBatch();
+    }, 500);
+}
+
+// ========================================
+// Host leave
+// ========================================
+
+describe('Bad network: host leave', () => {
+    let hub, peers;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(1_000_000);
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        hub = new MemoryTransportHub({ seed: SEED, conditions: JITTERY });
+        peers = [];
+    });
+
+    afterEach(() => {
+        for (const peer of peers) {
+            peer.sm.leaveGame();
+        }
+        hub.reset();
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    async function setupSession(guestNames) {
+        const host = createPeer(hub, 'host');
+        peers.push(host);
+        await host.sm.hostGame('Bad Network Room');
+
+        const guests = [];
+        for (const name of guestNames) {
+            const guest = createPeer(hub, name);
+            peers.push(guest);
+            await join(guest, 'host');
+            guests.push(guest);
+        }
+        hub.resetClock();
+        return { host, guests };
+    }
+
+    it('HOST_LEAVE over a jittery, duplicating link promotes the guest', async () => {
+        const { host, guests: [guest] } = await setupSession(['guest-1']);
+        expect(guest.sm.isGuest()).toBe(true);
+
+        await host.sm.gracefulLeaveGame();
+        expect(guest.sm.isGuest()).toBe(true); // Still in flight
+
+        await vi.advanceTimersByTimeAsync(300);
+        expect(guest.sm.isHost()).toBe(true);
+        expect(guest.sm.state.players.map(p => p.slot)).toEqual([1]);
+    });
+
+    it('HOST_LEAVE lost to a partition: guest promotes after absence timeout + grace', async () => {
+        const { host, guests: [guest] } = await setupSession(['guest-1']);
+        const heartbeat = startCmdBatches(host);
+        await vi.advanceTimersByTimeAsync(2000);
+
+        hub.addPartition('guest-1', 'host', { fromMs: hub.elapsedMs });
+        clearInterval(heartbeat);
+        await host.sm.gracefulLeaveGame();
+
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(guest.sm.isGuest()).toBe(true);
+
+        await vi.advanceTimersByTimeAsync(12000);
+        expect(guest.sm.isHost()).toBe(true);
+        expect(hub.getLinkStats('host', 'guest-1').partitioned).toBeGreaterThan(0);
+    });
+
+    it('cutting guest-2 from the host for t=3s..6s does not trigger migration', async () => {
+        const { host, guests: [guest1, guest2] } = await setupSession(['guest-1', 'guest-2']);
+        hub.addPartition('guest-2', 'host', { fromMs: 3000, toMs: 6000 });
+        const heartbeat = startCmdBatches(host);
+
+        await vi.advanceTimersByTimeAsync(5000);
+        const missedDuringCut = guest2.sm._debugCounters.batchRecvCount;
+        await vi.advanceTimersByTimeAsync(20000);
+        clearInterval(heartbeat);
+
+        expect(guest1.sm.isGuest()).toBe(true);
+        expect(guest2.sm.isGuest()).toBe(true);
+        expect(guest2.sm._migrationGraceActive).toBe(false);
+
+        // guest-2 lost the batches sent during the cut and resumed after the heal
+        expect(guest2.sm._debugCounters.batchRecvCount).toBeLessThan(guest1.sm._debugCounters.batchRecvCount);
+        expect(guest2.sm._debugCounters.batchRecvCount).toBeGreaterThan(missedDuringCut);
+        expect(guest2.sm._lastReceivedBatchSeq).toBe(guest1.sm._lastReceivedBatchSeq);
+    });
+});
+
+// ========================================
+// Seats
+// ========================================
+
+describe('Bad network: seat race', () => {
+    let hub, peers;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(1_000_000);
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        peers = [];
+    });
+
+    afterEach(() => {
+        for (const peer of peers) {
+            peer.sm.leaveGame();
+        }
+        hub?.reset();
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it.each([1, 2, 3, 4, 5, 6])('all peers agree on one driver (seed %i)', async (seed) => {
+        hub = new MemoryTransportHub({ seed, conditions: JITTERY });
+        const host = createPeer(hub, 'host');
+        const guest1 = createPeer(hub, 'guest-1');
+        const guest2 = createPeer(hub, 'guest-2');
+        peers.push(host, guest1, guest2);
+
+        await host.sm.hostGame('Seat Race');
+        await join(guest1, 'host');
+        await join(guest2, 'host');
+
+        await Promise.all([
+            guest1.sm.sendSeatReq({ targetUnitId: 1 }),
+            guest2.sm.sendSeatReq({ targetUnitId: 1 })
+        ]);
+        await vi.advanceTimersByTimeAsync(1000);
+
+        const driver = host.game.units[0].selectedBySlot;
+        expect([1, 2]).toContain(driver);
+        expect(guest1.game.units[0].selectedBySlot).toBe(driver);
+        expect(guest2.game.units[0].selectedBySlot).toBe(driver);
+        expect(host.sm._debugCounters.seatReqCount).toBeGreaterThanOrEqual(2);
+    });
+});
+
+// ========================================
+// Snapshot buffer
+// ========================================
+
+describe('Bad network: snapshot buffer', () => {
+    const SNAPSHOT_INTERVAL_MS = 50;
+    const CHANNEL = 'asterobia:session:room';
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(1_000_000);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    /**
+     * Server streams 20Hz SERVER_SNAPSHOTs of one unit moving +1/tick on x
+     * for 5s; the client renders every 16ms. Returns what the client saw.
+     */
+    async function runStream(seed, conditions) {
+        const hub = new MemoryTransportHub({ seed, conditions });
+        const server = hub.createEndpoint('server');
+        const client = hub.createEndpoint('client');
+        const buffer = new SnapshotBuffer({ interpDelayMs: 150 });
+        const accepted = [];
+
+        await server.joinChannel(CHANNEL);
+        await client.joinChannel(CHANNEL, (msg) => {
+            if (buffer.push(msg)) accepted.push(msg.tick);
+        });
+
+        const renders = [];
+        for (let t = 0; t <= 5000; t += 2) {
+            if (t % SNAPSHOT_INTERVAL_MS === 0) {
+                const tick = t / SNAPSHOT_INTERVAL_MS + 1;
+                await server.broadcastToChannel(CHANNEL, {
+                    type: 'SERVER_SNAPSHOT',
+                    tick,
+                    serverTimeMs: Date.now(),
+                    units: [{ id: 1, ownerSlot: 1, px: tick, py: 0, pz: 0, heading: 0, speed: 1, hp: 100 }]
+                });
+            }
+            if (t % 16 === 0 && buffer.size >= 2) {
+                const { prev, next, alpha } = buffer.getInterpolationPair();
+                renders.push({ alpha, x: prev.units[0].px + (next.units[0].px - prev.units[0].px) * alpha });
+            }
+            await vi.advanceTimersByTimeAsync(2);
+        }
+
+        await vi.advanceTimersByTimeAsync(1000);
+        const stats = hub.getLinkStats('server', 'client');
+        hub.reset();
+        return { buffer, accepted, renders, stats };
+    }
+
+    it('rejects duplicates and late snapshots, keeps ticks strictly increasing', async () => {
+        const { buffer, accepted, stats } = await runStream(SEED, { ...JITTERY, lossRate: 0.1 });
+
+        expect(stats.dropped).toBeGreaterThan(0);
+        expect(stats.duplicated).toBeGreaterThan(0);
+        expect(stats.reordered).toBeGreaterThan(0);
+        expect(buffer.rejectedCount).toBeGreaterThanOrEqual(stats.duplicated);
+        expect(accepted.every((tick, i) => i === 0 || tick > accepted[i - 1])).toBe(true);
+    });
+
+    it('interpolated position never runs backwards', async () => {
+        const { renders } = await runStream(SEED, { ...JITTERY, lossRate: 0.1 });
+
+        expect(renders.length).toBeGreaterThan(200);
+        for (let i = 1; i < renders.length; i++) {
+            expect(renders[i].x).toBeGreaterThanOrEqual(renders[i - 1].x - 1e-9);
+        }
+        expect(renders.every(r => r.alpha >= 0 && r.alpha <= 1)).toBe(true);
+    });
+
+    it('replays the same arrivals with the same seed', async () => {
+        const bad = { ...JITTERY, lossRate: 0.2 };
+        const first = await runStream(SEED, bad);
+        const second = await runStream(SEED, bad);
+        expect(second.accepted).toEqual(first.accepted);
+        expect(second.renders).toEqual(first.renders);
+    });
+});
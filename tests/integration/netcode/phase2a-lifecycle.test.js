@@ -103,7 +103,8 @@ describe('Phase 2A Lifecycle: Full Pipeline', () => {
     beforeEach(() => {
         resetEntityIdCounter();
 
-        server = new GameServer({ tickRate: 20 });
+        // Full-broadcast pipeline (per-slot filtering: server-interest-management.test.js)
+        server = new GameServer({ tickRate: 20, roomOptions: { interestManagement: false } });
         relay = createMockRelay();
         server.wireToRelay(relay);
         server.start();
@@ -368,7 +369,8 @@ describe('Phase 2A Lifecycle: Guest Join', () => {
     beforeEach(() => {
         resetEntityIdCounter();
 
-        server = new GameServer({ tickRate: 20 });
+        // Full-broadcast pipeline (per-slot filtering: server-interest-management.test.js)
+        server = new GameServer({ tickRate: 20, roomOptions: { interestManagement: false } });
         relay = createMockRelay();
         server.wireToRelay(relay);
         server.start();
@@ -484,7 +486,8 @@ describe('Phase 2A Lifecycle: MOVE_INPUT authority', () => {
     beforeEach(() => {
         resetEntityIdCounter();
 
-        server = new GameServer({ tickRate: 20 });
+        // Full-broadcast pipeline (per-slot filtering: server-interest-management.test.js)
+        server = new GameServer({ tickRate: 20, roomOptions: { interestManagement: false } });
         relay = createMockRelay();
         server.wireToRelay(relay);
         server.start();
@@ -23,6 +23,12 @@ import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.j
 // Mock Infrastructure
 // ========================================
 
+/**
+ * Rooms on a dry planet: the waypoints below lie just off the north pole, in a
+ * shallow pond under the default water level (see server-water.test.js).
+ */
+const DRY_ROOM_OPTIONS = { terrainParams: { waterLevel: -Infinity } };
+
 function createMockRelay() {
     return {
         channels: new Map(),
@@ -65,7 +71,7 @@ function tickRoom(room, count, dtSec) {
 function bootstrapRoom(roomId = 'path-room-1') {
     resetEntityIdCounter();
 
-    const server = new GameServer({ tickRate: 20 });
+    const server = new GameServer({ tickRate: 20, roomOptions: DRY_ROOM_OPTIONS });
     const relay = createMockRelay();
     server.wireToRelay(relay);
     server.start();
@@ -102,7 +108,7 @@ function bootstrapRoom(roomId = 'path-room-1') {
 function bootstrapRoomWithGuest(roomId = 'path-room-2') {
     resetEntityIdCounter();
 
-    const server = new GameServer({ tickRate: 20 });
+    const server = new GameServer({ tickRate: 20, roomOptions: DRY_ROOM_OPTIONS });
     const relay = createMockRelay();
     server.wireToRelay(relay);
     server.start();
@@ -533,7 +533,8 @@ describe('Security: Phase 2A lifecycle unbroken', () => {
     let env;
 
     beforeEach(() => {
-        env = bootstrapRoom();
+        // Full-broadcast pipeline (per-slot filtering: server-interest-management.test.js)
+        env = bootstrapRoom(undefined, { roomOptions: { interestManagement: false } });
     });
 
     afterEach(() => {
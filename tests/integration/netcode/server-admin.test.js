@@ -0,0 +1,240 @@
+/**
+ * Server Admin API + /metrics Integration Tests
+ *
+ * Tests server/AdminHttp on a real HTTP server with a WsRelay and a wired
+ * GameServer: bearer-token protection, room listing and inspection, kicking
+ * a slot (its socket is closed), stopping a room, explosions and mines via
+ * the Room APIs (recorded in replays), and the Prometheus exposition with
+ * relay counters (incl. rate-limit drops), tick durations and snapshot bytes.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-admin.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'node:http';
+import { WebSocket } from 'ws';
+import { WsRelay } from '../../../server/WsRelay.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { createAdminHandler, renderMetrics } from '../../../server/AdminHttp.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+const TOKEN = 'test-admin-token';
+const ROOM_ID = 'admin-room';
+const CHANNEL = `asterobia:session:${ROOM_ID}`;
+
+const ROOM_OPTIONS = {
+    interestManagement: false,
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+function waitFor(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+// ========================================
+// HTTP routes
+// ========================================
+
+describe('Admin API', () => {
+    let httpServer;
+    let relay;
+    let gameServer;
+    let base;
+    const sockets = [];
+
+    beforeEach(async () => {
+        resetEntityIdCounter();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        relay = new WsRelay();
+        gameServer = new GameServer({ roomOptions: ROOM_OPTIONS });
+        gameServer.wireToRelay(relay);
+        gameServer.start();
+        const admin = createAdminHandler({ token: TOKEN, relay, gameServer });
+        httpServer = http.createServer((req, res) => {
+            if (admin(req, res)) return;
+            res.writeHead(418);
+            res.end();
+        });
+        relay.startOnServer(httpServer);
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        base = `http://localhost:${httpServer.address().port}`;
+    });
+
+    afterEach(async () => {
+        for (const ws of sockets.splice(0)) ws.close();
+        gameServer.stop();
+        await relay.stop();
+        await new Promise(resolve => httpServer.close(resolve));
+        vi.restoreAllMocks();
+    });
+
+    function api(pathname, { method = 'GET', body, token = TOKEN } = {}) {
+        return fetch(base + pathname, {
+            method,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+    }
+
+    /** Host socket announces the room; manifest starts it (ticks driven by hand) */
+    async function hostRoom({ enablePhysics = false } = {}) {
+        const ws = new WebSocket(base.replace('http', 'ws'));
+        sockets.push(ws);
+        await waitFor(ws, 'open');
+        const send = msg => ws.send(JSON.stringify(msg));
+        send({ type: 'subscribe', channel: CHANNEL });
+        send({ type: 'broadcast', channel: CHANNEL, payload: { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' } });
+        await vi.waitFor(() => expect(gameServer.getRoom(ROOM_ID)).toBeDefined());
+
+        const room = gameServer.getRoom(ROOM_ID);
+        room._enablePhysics = enablePhysics;
+        room.createUnitsFromManifest([
+            { id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 },
+            { id: 2, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0.02 }
+        ]);
+        await room.start({ autoTick: false });
+        return { ws, room };
+    }
+
+    it('rejects requests without the token and leaves other paths alone', async () => {
+        expect((await api('/admin/rooms', { token: null })).status).toBe(401);
+        expect((await api('/metrics', { token: 'wrong' })).status).toBe(401);
+        expect((await api('/metrics', { token: `${TOKEN}x` })).status).toBe(401);
+        expect((await api('/game.html')).status).toBe(418);
+        expect(() => createAdminHandler({ token: '', relay })).toThrow(/token required/);
+    });
+
+    it('lists rooms and inspects a room snapshot', async () => {
+        const { room } = await hostRoom();
+        room.advanceTick();
+        room.advanceTick();
+
+        const list = await (await api('/admin/rooms')).json();
+        expect(list).toEqual([{ roomId: ROOM_ID, joinCode: null, state: 'RUNNING', tick: 2, players: 1, units: 2, clients: 1, spectators: 0 }]);
+
+        const res = await api(`/admin/rooms/${ROOM_ID}`);
+        expect(res.status).toBe(200);
+        const { room: summary, snapshot } = await res.json();
+        expect(summary.tick).toBe(2);
+        expect(snapshot.units.map(u => u.id)).toEqual([1, 2]);
+        expect(snapshot.players).toEqual([{ slot: 1, id: ROOM_ID, name: 'Host' }]);
+
+        expect((await api('/admin/rooms/nope')).status).toBe(404);
+        expect((await api('/admin/rooms', { method: 'POST', body: {} })).status).toBe(405);
+    });
+
+    it('kicks a slot by closing its sockets', async () => {
+        const { ws } = await hostRoom();
+        const closed = waitFor(ws, 'close');
+
+        const res = await api(`/admin/rooms/${ROOM_ID}/kick`, { method: 'POST', body: { slot: 0 } });
+        expect(await res.json()).toEqual({ closed: 1 });
+        const [code] = await closed;
+        expect(code).toBe(4001);
+        expect(gameServer.getRoomSummaries()[0].clients).toBe(0);
+
+        expect((await api(`/admin/rooms/${ROOM_ID}/kick`, { method: 'POST', body: { slot: -1 } })).status).toBe(400);
+        expect((await api(`/admin/rooms/${ROOM_ID}/kick`, { method: 'POST', body: '{oops' })).status).toBe(400);
+    });
+
+    it('stops a room', async () => {
+        const { room } = await hostRoom();
+        const res = await api(`/admin/rooms/${ROOM_ID}/stop`, { method: 'POST' });
+        expect(await res.json()).toEqual({ stopped: true });
+        expect(room.state).toBe('ENDED');
+        expect(gameServer.getRoom(ROOM_ID)).toBeUndefined();
+    });
+
+    it('triggers explosions and places mines through the Room APIs', async () => {
+        const { room } = await hostRoom({ enablePhysics: true });
+        // Units spawned mid-match get rigid bodies; put 11 next to 10
+        const u1 = room.createUnitForPlayer(0, 10);
+        const u2 = room.createUnitForPlayer(0, 11);
+        u2.position = Vec3.add(u1.position, Vec3.scale(Vec3.normalize(u1.position), 3));
+        u2.rigidBody.setTranslation(u2.position, true);
+
+        const boom = await (await api(`/admin/rooms/${ROOM_ID}/explosion`, { method: 'POST', body: { unitId: 10, radius: 10 } })).json();
+        expect(boom.results.map(r => r.unitId)).toContain(11);
+        expect(u2.physicsMode).toBe('DYNAMIC');
+
+        const far = { x: 0, y: 0, z: room.terrain.getRadiusAt({ x: 0, y: 0, z: 1 }) };
+        const mine = await (await api(`/admin/rooms/${ROOM_ID}/mine`, {
+            method: 'POST', body: { position: far, options: { triggerRadius: 3, bogus: 'x' } }
+        })).json();
+        expect(room.collisions.getMine(mine.mineId)).toMatchObject({ position: far, triggerRadius: 3 });
+
+        expect((await api(`/admin/rooms/${ROOM_ID}/explosion`, { method: 'POST', body: { unitId: 99 } })).status).toBe(400);
+        expect((await api(`/admin/rooms/${ROOM_ID}/explosion`, { method: 'POST', body: { unitId: 1, radius: -1 } })).status).toBe(400);
+    });
+
+    it('refuses explosions in rooms without physics', async () => {
+        await hostRoom();
+        const res = await api(`/admin/rooms/${ROOM_ID}/mine`, { method: 'POST', body: { unitId: 1 } });
+        expect(res.status).toBe(409);
+    });
+
+    it('serves Prometheus metrics', async () => {
+        const { room } = await hostRoom();
+        for (let i = 0; i < 3; i++) room.advanceTick();
+
+        const res = await api('/metrics');
+        expect(res.headers.get('content-type')).toMatch(/^text\/plain/);
+        const text = await res.text();
+        expect(text).toContain('# TYPE asterobia_relay_messages_received_total counter');
+        expect(text).toMatch(/^asterobia_relay_clients 1$/m);
+        expect(text).toMatch(/^asterobia_relay_messages_received_total 2$/m);
+        expect(text).toContain('asterobia_rooms{state="RUNNING"} 1');
+        expect(text).toContain(`asterobia_room_tick{room="${ROOM_ID}"} 3`);
+        expect(text).toContain(`asterobia_room_tick_duration_seconds_count{room="${ROOM_ID}"} 3`);
+        expect(text).toMatch(/^asterobia_snapshots_sent_total 3$/m);
+        expect(Number(text.match(/^asterobia_snapshot_bytes_total (\d+)$/m)[1])).toBeGreaterThan(100);
+    });
+});
+
+// ========================================
+// Metrics rendering
+// ========================================
+
+describe('Admin metrics', () => {
+    function fakeClient(relay, id) {
+        const ws = { readyState: 1, sent: [], send(d) { this.sent.push(d); } };
+        relay.clients.set(ws, { id, channels: new Set(), msgTimestamps: [] });
+        return ws;
+    }
+
+    it('counts relayed messages, rate-limit and oversize drops', () => {
+        const relay = new WsRelay({ rateLimit: 3, maxPayload: 200 });
+        const a = fakeClient(relay, 1);
+        const b = fakeClient(relay, 2);
+        const frame = msg => Buffer.from(JSON.stringify(msg));
+        relay._handleMessage(a, frame({ type: 'subscribe', channel: 'c' }));
+        relay._handleMessage(b, frame({ type: 'subscribe', channel: 'c' }));
+        relay._handleMessage(a, frame({ type: 'broadcast', channel: 'c', payload: { n: 1 } }));
+        relay._handleMessage(a, frame({ type: 'broadcast', channel: 'c', payload: { big: 'x'.repeat(300) } }));
+        relay._handleMessage(a, frame({ type: 'broadcast', channel: 'c', payload: { n: 2 } }));
+
+        expect(relay.stats).toMatchObject({ messagesReceived: 5, messagesRelayed: 1, rateLimitDrops: 1, oversizeDrops: 1 });
+        const text = renderMetrics({ relay });
+        expect(text).toMatch(/^asterobia_relay_rate_limit_drops_total 1$/m);
+        expect(text).toMatch(/^asterobia_relay_oversize_drops_total 1$/m);
+        expect(text).not.toContain('asterobia_rooms');
+    });
+
+    it('escapes room ids in labels', () => {
+        const gameServer = new GameServer();
+        gameServer.createRoom('we"ird\\room', ROOM_OPTIONS);
+        const text = renderMetrics({ relay: new WsRelay(), gameServer });
+        expect(text).toContain('asterobia_room_units{room="we\\"ird\\\\room"} 0');
+        expect(text).toContain('asterobia_rooms{state="WAITING"} 1');
+        expect(text).toContain('asterobia_rooms{state="ENDED"} 0');
+    });
+});
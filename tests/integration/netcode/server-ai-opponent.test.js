@@ -0,0 +1,237 @@
+/**
+ * Server AI Opponent Integration Tests
+ *
+ * Tests the scripted AIController playing a Room slot: difficulty presets
+ * and tuning, closed PATH_DATA patrols, chasing / fleeing visible enemies
+ * through Room.receiveInput, mines via CollisionService.addMine (physics
+ * rooms), seeded reproducibility, Room.attachAI / removePlayer, and
+ * GameServer.addAIPlayer / the aiOpponent option.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-ai-opponent.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AIController, AI_DIFFICULTY } from '../../../server/AIController.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { Room } from '../../../server/Room.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { MSG } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+const ROOM_ID = 'room-AI';
+const SESSION = `asterobia:session:${ROOM_ID}`;
+const PLANET_RADIUS = 60;
+
+const ROOM_OPTIONS = {
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+/** Surface direction at an arc distance (m) from +Z along the equator, as manifest px/py/pz */
+function atArc(meters) {
+    const a = meters / PLANET_RADIUS;
+    return { px: Math.sin(a), py: 0, pz: Math.cos(a) };
+}
+
+/** Room ticked by hand: slot 0 owns unit 1, the AI's slot 1 owns unit 2 `distance` m away */
+async function duel(distance, { enablePhysics = false, ...aiOptions } = {}) {
+    const room = new Room('duel', { ...ROOM_OPTIONS, enablePhysics });
+    await room.start({ autoTick: false });
+    const [enemy, unit] = room.createUnitsFromManifest([
+        { id: 1, ownerSlot: 0, modelIndex: 0, ...atArc(0) },
+        { id: 2, ownerSlot: 1, modelIndex: 0, ...atArc(distance) }
+    ]);
+    const ai = new AIController({ seed: 3, ...aiOptions });
+    room.attachAI(1, ai);
+    return { room, ai, enemy, unit };
+}
+
+function distance(a, b) {
+    return Vec3.length(Vec3.sub(a.position, b.position));
+}
+
+function ordersOf(room) {
+    const orders = [];
+    const receiveInput = room.receiveInput.bind(room);
+    room.receiveInput = (slot, cmd) => {
+        orders.push({ slot, ...cmd });
+        receiveInput(slot, cmd);
+    };
+    return orders;
+}
+
+// ========================================
+// AIController
+// ========================================
+
+describe('AIController', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('applies difficulty presets and tuning overrides', () => {
+        expect(new AIController().tuning).toEqual(AI_DIFFICULTY.normal);
+        const hard = new AIController({ difficulty: 'hard', tuning: { maxMines: 1 } });
+        expect(hard.tuning).toEqual({ ...AI_DIFFICULTY.hard, maxMines: 1 });
+        expect(hard.name).toBe('AI (hard)');
+        expect(AI_DIFFICULTY.easy.thinkIntervalTicks).toBeGreaterThan(AI_DIFFICULTY.hard.thinkIntervalTicks);
+        expect(() => new AIController({ difficulty: 'brutal' })).toThrow(/unknown difficulty 'brutal'/);
+    });
+
+    it('patrols a closed loop around its home with nothing in sight', async () => {
+        const { room, ai, unit } = await duel(200);
+        const home = { ...unit.position };
+        const orders = ordersOf(room);
+        for (let i = 0; i < 40; i++) room.advanceTick();
+
+        expect(orders).toHaveLength(1);
+        expect(orders[0]).toMatchObject({ slot: 1, type: 'PATH_DATA', unitId: 2, closed: true });
+        expect(orders[0].waypoints.length).toBeGreaterThanOrEqual(2);
+        for (const wp of orders[0].waypoints) {
+            expect(Vec3.length(Vec3.sub(wp, home))).toBeLessThan(ai.patrolRadius * 1.5);
+        }
+        expect(unit.waypoints).not.toBeNull();
+        expect(Vec3.length(Vec3.sub(unit.position, home))).toBeGreaterThan(1);
+        expect(ai.stats).toMatchObject({ patrols: 1, chases: 0, flees: 0 });
+        room.stop();
+    });
+
+    it('chases and closes in on a visible enemy', async () => {
+        const { room, ai, enemy, unit } = await duel(12, { tuning: { aggression: 1 } });
+        const start = distance(unit, enemy);
+        const orders = ordersOf(room);
+        for (let i = 0; i < 60; i++) room.advanceTick();
+
+        expect(orders[0]).toMatchObject({ slot: 1, type: 'MOVE_TO', unitId: 2 });
+        expect(ai.stats.chases).toBe(1);
+        expect(ai._units.get(2).mode).toBe('CHASE');
+        expect(distance(unit, enemy)).toBeLessThan(start - 5);
+        room.stop();
+    });
+
+    it('flees from a visible enemy when damaged (no mines without physics)', async () => {
+        const { room, ai, enemy, unit } = await duel(8, { tuning: { mineChance: 1 } });
+        unit.hp = 10;
+        const start = distance(unit, enemy);
+        for (let i = 0; i < 70; i++) room.advanceTick();
+
+        expect(ai.stats.flees).toBe(1);
+        expect(ai.stats.chases).toBe(0);
+        expect(ai.stats.minesLaid).toBe(0);
+        expect(distance(unit, enemy)).toBeGreaterThan(start + 5);
+        room.stop();
+    });
+
+    it('lays mines behind it while fleeing, up to maxMines', async () => {
+        const { room, ai, unit } = await duel(8, { enablePhysics: true, tuning: { thinkIntervalTicks: 1, mineChance: 1, maxMines: 2 } });
+        unit.hp = 10;
+        const addMine = vi.spyOn(room.collisions, 'addMine');
+        room.advanceTick();
+        expect(ai.stats.minesLaid).toBe(1);
+        for (let i = 0; i < 5; i++) room.advanceTick();
+
+        expect(ai.stats.minesLaid).toBe(2);
+        expect(addMine).toHaveBeenCalledTimes(2);
+        expect(ai._mineIds.every(id => room.collisions.getMine(id))).toBe(true);
+        room.stop();
+    });
+
+    it('replays the same match from the same seed', async () => {
+        const play = async (seed) => {
+            const { room, ai, enemy, unit } = await duel(20, { difficulty: 'hard', seed });
+            const orders = ordersOf(room);
+            for (let i = 0; i < 80; i++) room.advanceTick();
+            room.stop();
+            return { orders, stats: ai.stats, unit: unit.position, enemy: enemy.position };
+        };
+
+        const a = await play(11);
+        expect(a.orders.length).toBeGreaterThan(0);
+        expect(await play(11)).toEqual(a);
+        expect((await play(12)).orders).not.toEqual(a.orders);
+    });
+
+    it('Room.attachAI takes one AI per slot; removePlayer detaches it', async () => {
+        const { room, ai } = await duel(200);
+        expect(ai.slot).toBe(1);
+        expect(ai.room).toBe(room);
+        expect(() => room.attachAI(1, new AIController())).toThrow(/slot 1 already has an AI/);
+
+        room.removePlayer(1);
+        expect(room.aiControllers.size).toBe(0);
+        const decisions = ai.stats.decisions;
+        for (let i = 0; i < 20; i++) room.advanceTick();
+        expect(ai.stats.decisions).toBe(decisions);
+        room.stop();
+    });
+});
+
+// ========================================
+// GameServer
+// ========================================
+
+describe('GameServer AI players', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        resetEntityIdCounter();
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    /** Server + fake relay; the host (client 1) announces and starts the room */
+    function hostRoom(options = {}) {
+        const server = new GameServer({ roomOptions: ROOM_OPTIONS, ...options });
+        const relay = { channels: new Map([[SESSION, new Set()]]), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+
+        const ws = { readyState: 1, send() {} };
+        const client = { id: 1, channels: new Set([SESSION]) };
+        relay.clients.set(ws, client);
+        relay.channels.get(SESSION).add(ws);
+        const send = payload => relay._broadcast(ws, client, SESSION, payload);
+        send({ type: MSG.HOST_ANNOUNCE, hostId: ROOM_ID, hostDisplayName: 'Host' });
+        send({ type: MSG.SPAWN_MANIFEST, units: [{ id: 1, ownerSlot: 0, modelIndex: 0, ...atArc(0) }], timestamp: Date.now() });
+        return { server, room: server.getRoom(ROOM_ID) };
+    }
+
+    it('addAIPlayer takes the highest free slot and spawns its unit', () => {
+        const { server, room } = hostRoom();
+        expect(room.state).toBe('RUNNING');
+
+        expect(server.addAIPlayer(ROOM_ID, { difficulty: 'easy' })).toBe(10);
+        expect(server.addAIPlayer(ROOM_ID)).toBe(9);
+        expect([...room.aiControllers.keys()]).toEqual([10, 9]);
+        expect(room.aiControllers.get(10).difficulty).toBe('easy');
+        expect(room.units.filter(u => u.ownerSlot === 10)).toHaveLength(1);
+
+        // Taken or out-of-range slots and unknown rooms are refused
+        expect(server.addAIPlayer(ROOM_ID, { slot: 9 })).toBeNull();
+        expect(server.addAIPlayer(ROOM_ID, { slot: 0 })).toBeNull();
+        expect(server.addAIPlayer(ROOM_ID, { slot: 11 })).toBeNull();
+        expect(server.addAIPlayer('nope')).toBeNull();
+        expect(server.addAIPlayer(ROOM_ID, { slot: 3 })).toBe(3);
+        server.stop();
+    });
+
+    it('aiOpponent adds an AI to every room its manifest starts', () => {
+        const { server, room } = hostRoom({ aiOpponent: { difficulty: 'hard', seed: 5 } });
+        expect([...room.aiControllers.keys()]).toEqual([10]);
+        expect(room.aiControllers.get(10)).toMatchObject({ difficulty: 'hard', seed: 5 });
+        server.stop();
+
+        expect(() => new GameServer({ aiOpponent: { difficulty: 'brutal' } })).toThrow(/unknown aiOpponent difficulty 'brutal'/);
+    });
+});
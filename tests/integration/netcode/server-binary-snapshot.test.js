@@ -0,0 +1,410 @@
+/**
+ * Binary Delta SERVER_SNAPSHOT Integration Tests
+ *
+ * Tests the binary snapshot codec in MessageSerializer (quantized positions,
+ * smallest-three quaternions, deltas against an acknowledged baseline, unit
+ * add/remove, extras), SnapshotBuffer's transparent delta resolution,
+ * the server's per-client SnapshotStream (keyframe until acked, delta after),
+ * GameServer HELLO negotiation (JSON clients unaffected) and the client
+ * SessionManager's SERVER_SNAPSHOT_BIN handling + SNAPSHOT_ACK.
+ *
+ * All tests run in-process using direct Room calls and a mock relay.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-binary-snapshot.test.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { SnapshotStream } from '../../../server/SnapshotStream.js';
+import { SnapshotBuffer } from '../../../src/SimCore/net/SnapshotBuffer.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { MSG, PROTOCOL_VERSION, SNAPSHOT_ENCODING } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import {
+    encodeServerSnapshotBinary,
+    decodeServerSnapshotBinary,
+    applySnapshotDelta,
+    createServerSnapshotBin,
+    decodeServerSnapshotBin,
+    createSnapshotAck,
+    createHello,
+    validateMessage,
+    MessageValidationError
+} from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+/** Position quantization step (1/1024 m): round-trip error ≤ half a step */
+const POS_EPS = 1 / 2048;
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Room broadcasting full snapshots into `snaps` */
+function snapshotRoom(id) {
+    const snaps = [];
+    const room = new Room(id, {
+        interestManagement: false,
+        broadcast: (_rid, snapshot) => snaps.push(snapshot)
+    });
+    room.createUnitsFromManifest([
+        { id: 1, ownerSlot: 0, modelIndex: 0, px: 60, py: 0, pz: 0 },
+        { id: 2, ownerSlot: 1, modelIndex: 1, px: 0, py: 60, pz: 0 },
+        { id: 3, ownerSlot: 1, modelIndex: 2, px: 0, py: 0, pz: 60 }
+    ]);
+    return { room, snaps };
+}
+
+function unitById(snapshot, id) {
+    return snapshot.units.find(u => u.id === id);
+}
+
+/** Decoded unit matches the source within quantization (quaternion up to sign) */
+function expectUnitClose(decoded, source) {
+    expect(Math.abs(decoded.px - source.px)).toBeLessThanOrEqual(POS_EPS);
+    expect(Math.abs(decoded.py - source.py)).toBeLessThanOrEqual(POS_EPS);
+    expect(Math.abs(decoded.pz - source.pz)).toBeLessThanOrEqual(POS_EPS);
+    const dot = decoded.qx * source.qx + decoded.qy * source.qy + decoded.qz * source.qz + decoded.qw * source.qw;
+    expect(Math.abs(dot)).toBeGreaterThan(0.9999);
+    expect(decoded.heading).toBeCloseTo(source.heading, 5);
+    expect(decoded.hp).toBe(source.hp);
+    expect(decoded.state).toBe(source.state);
+    expect(decoded.mode).toBe(source.mode);
+    expect(decoded.disabled).toBe(source.disabled);
+    expect(decoded.ownerSlot).toBe(source.ownerSlot);
+    expect(decoded.modelIndex).toBe(source.modelIndex);
+}
+
+// ========================================
+// Codec
+// ========================================
+
+describe('Binary snapshot codec', () => {
+    it('keyframe round-trips units within quantization and keeps world fields', () => {
+        const { room, snaps } = snapshotRoom('bin-key');
+        room.units[0].applyInput({ type: 'MOVE_INPUT', forward: true });
+        tickRoom(room, 5);
+        const snap = { ...snaps[snaps.length - 1], hits: [{ shooterId: 1, targetId: 2, damage: 5 }] };
+
+        const decoded = decodeServerSnapshotBinary(encodeServerSnapshotBinary(snap));
+
+        expect(decoded.type).toBe(MSG.SERVER_SNAPSHOT);
+        expect(decoded.tick).toBe(snap.tick);
+        expect(decoded.serverTimeMs).toBe(snap.serverTimeMs);
+        expect(decoded.baseTick).toBeUndefined();
+        expect(decoded.hits).toEqual(snap.hits);
+        expect(decoded.units.map(u => u.id)).toEqual([1, 2, 3]);
+        for (const u of snap.units) expectUnitClose(unitById(decoded, u.id), u);
+        expect(unitById(decoded, 1).state).toBe('MOVING');
+    });
+
+    it('a delta against the baseline is small and resolves to the keyframe decode', () => {
+        const { room, snaps } = snapshotRoom('bin-delta');
+        room.units[0].applyInput({ type: 'MOVE_INPUT', forward: true });
+        tickRoom(room, 5);
+        const base = snaps[snaps.length - 2];
+        const next = snaps[snaps.length - 1];
+
+        const keyBytes = encodeServerSnapshotBinary(next);
+        const deltaBytes = encodeServerSnapshotBinary(next, base);
+        expect(deltaBytes.length).toBeLessThan(keyBytes.length / 2);
+        expect(keyBytes.length).toBeLessThan(JSON.stringify(next).length / 2);
+
+        const delta = decodeServerSnapshotBinary(deltaBytes);
+        expect(delta.baseTick).toBe(base.tick);
+        // Idle units carry no fields
+        expect(Object.keys(unitById(delta, 2))).toEqual(['id']);
+
+        const clientBase = decodeServerSnapshotBinary(encodeServerSnapshotBinary(base));
+        expect(applySnapshotDelta(clientBase, delta)).toEqual(decodeServerSnapshotBinary(keyBytes));
+    });
+
+    it('units missing from a delta are removed; new units arrive in full', () => {
+        const { snaps, room } = snapshotRoom('bin-addrm');
+        tickRoom(room, 1);
+        const base = snaps[0];
+        const newcomer = { ...unitById(base, 3), id: 9, hp: 42 };
+        const next = { ...base, tick: base.tick + 1, units: [unitById(base, 1), newcomer] };
+
+        const resolved = applySnapshotDelta(
+            decodeServerSnapshotBinary(encodeServerSnapshotBinary(base)),
+            decodeServerSnapshotBinary(encodeServerSnapshotBinary(next, base))
+        );
+
+        expect(resolved.units.map(u => u.id)).toEqual([1, 9]);
+        expectUnitClose(unitById(resolved, 9), newcomer);
+        expect(resolved.baseTick).toBeUndefined();
+    });
+
+    it('extras (cargo, carry links) replace the baseline set, so dropped fields disappear', () => {
+        const { snaps, room } = snapshotRoom('bin-extras');
+        tickRoom(room, 1);
+        const base = { ...snaps[0], units: snaps[0].units.map(u => (u.id === 2 ? { ...u, carriedBy: 1 } : u)) };
+        const carried = decodeServerSnapshotBinary(encodeServerSnapshotBinary(base));
+        expect(unitById(carried, 2).carriedBy).toBe(1);
+
+        const next = { ...snaps[0], tick: base.tick + 1 };
+        const resolved = applySnapshotDelta(carried, decodeServerSnapshotBinary(encodeServerSnapshotBinary(next, base)));
+        expect(unitById(resolved, 2)).not.toHaveProperty('carriedBy');
+    });
+
+    it('state / mode values outside the flag enums still round-trip', () => {
+        const { snaps, room } = snapshotRoom('bin-odd');
+        tickRoom(room, 1);
+        const snap = { ...snaps[0], units: [{ ...snaps[0].units[0], state: 'CARRIED', mode: 'DOCKED' }] };
+
+        const decoded = decodeServerSnapshotBinary(encodeServerSnapshotBinary(snap));
+        expect(decoded.units[0].state).toBe('CARRIED');
+        expect(decoded.units[0].mode).toBe('DOCKED');
+    });
+
+    it('messages validate; malformed data throws MessageValidationError', () => {
+        const { snaps, room } = snapshotRoom('bin-msg');
+        tickRoom(room, 2);
+        const key = createServerSnapshotBin(snaps[0]);
+        const delta = createServerSnapshotBin(snaps[1], snaps[0]);
+
+        expect(validateMessage(key).valid).toBe(true);
+        expect(validateMessage(delta).valid).toBe(true);
+        expect(key.baseTick).toBeNull();
+        expect(delta.baseTick).toBe(snaps[0].tick);
+        expect(validateMessage(createSnapshotAck({ tick: 4 })).valid).toBe(true);
+        expect(validateMessage(createHello('c1', { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] })).valid).toBe(true);
+
+        expect(() => decodeServerSnapshotBin({ ...key, data: key.data.slice(0, 12) })).toThrow(MessageValidationError);
+        expect(() => decodeServerSnapshotBin({ ...key, data: 'AAAA' })).toThrow(/format/);
+    });
+});
+
+// ========================================
+// SnapshotBuffer + SnapshotStream
+// ========================================
+
+describe('Binary snapshot: SnapshotBuffer and SnapshotStream', () => {
+    it('SnapshotBuffer resolves deltas transparently and rejects a missing baseline', () => {
+        const { snaps, room } = snapshotRoom('bin-buffer');
+        room.units[0].applyInput({ type: 'MOVE_INPUT', forward: true });
+        tickRoom(room, 3);
+        const buffer = new SnapshotBuffer();
+
+        expect(buffer.push(decodeServerSnapshotBin(createServerSnapshotBin(snaps[0])), 1000)).toBe(true);
+        expect(buffer.push(decodeServerSnapshotBin(createServerSnapshotBin(snaps[1], snaps[0])), 1050)).toBe(true);
+        expectUnitClose(unitById(buffer.latest, 1), unitById(snaps[1], 1));
+        expect(buffer.latest.baseTick).toBeUndefined();
+
+        const orphan = { ...snaps[2], tick: snaps[2].tick + 10 };
+        const unknownBase = { ...snaps[1], tick: snaps[1].tick + 5 };
+        expect(buffer.push(decodeServerSnapshotBin(createServerSnapshotBin(orphan, unknownBase)), 1100)).toBe(false);
+        expect(buffer.missingBaseCount).toBe(1);
+        expect(buffer.highestTick).toBe(snaps[1].tick);
+    });
+
+    it('SnapshotStream sends keyframes until acked, then deltas against the ack', () => {
+        const { snaps, room } = snapshotRoom('bin-stream');
+        tickRoom(room, 6);
+        const stream = new SnapshotStream({ historySize: 3 });
+
+        expect(stream.encode(snaps[0]).baseTick).toBeNull();
+        expect(stream.encode(snaps[1]).baseTick).toBeNull();
+
+        stream.ack(snaps[1].tick);
+        expect(stream.encode(snaps[2]).baseTick).toBe(snaps[1].tick);
+
+        // Stale acks never move the baseline backwards
+        stream.ack(snaps[0].tick);
+        expect(stream.ackedTick).toBe(snaps[1].tick);
+
+        stream.ack(-1);
+        expect(stream.encode(snaps[3]).baseTick).toBeNull();
+
+        // Acks for snapshots pruned from history are ignored
+        stream.encode(snaps[4]);
+        stream.encode(snaps[5]);
+        stream.ack(snaps[2].tick);
+        expect(stream.ackedTick).toBe(-1);
+        expect(stream.keyframeCount).toBe(5);
+        expect(stream.deltaCount).toBe(1);
+    });
+});
+
+// ========================================
+// GameServer negotiation
+// ========================================
+
+describe('Binary snapshot: GameServer HELLO negotiation', () => {
+    const ROOM_ID = 'bin-server';
+    const CHANNEL = `asterobia:session:${ROOM_ID}`;
+    let server;
+
+    afterEach(() => {
+        server?.stop();
+    });
+
+    function mockWs() {
+        return {
+            readyState: 1,
+            _sent: [],
+            send(data) {
+                this._sent.push(JSON.parse(data));
+            }
+        };
+    }
+
+    function setup(roomOptions = {}) {
+        resetEntityIdCounter();
+        server = new GameServer({ roomOptions });
+        const relay = { channels: new Map(), clients: new Map(), relayed: [], _broadcast(ws, client, channel, payload) { this.relayed.push(payload); }, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+
+        const hostWs = mockWs();
+        const jsonWs = mockWs();
+        relay.clients.set(hostWs, { id: 1 });
+        relay.clients.set(jsonWs, { id: 2 });
+        relay.channels.set(CHANNEL, new Set([hostWs, jsonWs]));
+
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, {
+            type: 'SPAWN_MANIFEST',
+            units: [{ id: 1, ownerSlot: 0, modelIndex: 0, px: 60, py: 0, pz: 0 }],
+            timestamp: Date.now()
+        });
+        const room = server.getRoom(ROOM_ID);
+        room.stop();
+        return { relay, room, hostWs, jsonWs };
+    }
+
+    const payloads = (ws, type) => ws._sent.filter(m => m.payload?.type === type).map(m => m.payload);
+
+    it('binary clients get SERVER_SNAPSHOT_BIN; JSON clients keep SERVER_SNAPSHOT', () => {
+        const { relay, room, hostWs, jsonWs } = setup({ interestManagement: false });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createHello('host', { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] }));
+
+        const [reply] = payloads(hostWs, 'HELLO');
+        expect(reply).toMatchObject({ clientId: 'server', protocolVersion: PROTOCOL_VERSION, snapshotEncoding: SNAPSHOT_ENCODING.BINARY_DELTA });
+        expect(payloads(jsonWs, 'HELLO')).toHaveLength(0);
+
+        tickRoom(room, 2);
+        expect(payloads(hostWs, 'SERVER_SNAPSHOT')).toHaveLength(0);
+        expect(payloads(hostWs, 'SERVER_SNAPSHOT_BIN')).toHaveLength(2);
+        expect(payloads(jsonWs, 'SERVER_SNAPSHOT')).toHaveLength(2);
+        expect(payloads(jsonWs, 'SERVER_SNAPSHOT_BIN')).toHaveLength(0);
+    });
+
+    it('SNAPSHOT_ACK switches the socket to deltas that rebuild the JSON view', () => {
+        const { relay, room, hostWs, jsonWs } = setup({ interestManagement: false });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createHello('host', { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] }));
+        room.units[0].applyInput({ type: 'MOVE_INPUT', forward: true });
+
+        const buffer = new SnapshotBuffer();
+        for (let i = 0; i < 4; i++) {
+            tickRoom(room, 1);
+            const bin = payloads(hostWs, 'SERVER_SNAPSHOT_BIN').pop();
+            expect(buffer.push(decodeServerSnapshotBin(bin), 1000 + i * 50)).toBe(true);
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, createSnapshotAck({ tick: bin.tick }));
+        }
+
+        const bins = payloads(hostWs, 'SERVER_SNAPSHOT_BIN');
+        expect(bins.map(b => b.baseTick)).toEqual([null, bins[0].tick, bins[1].tick, bins[2].tick]);
+
+        const json = payloads(jsonWs, 'SERVER_SNAPSHOT').pop();
+        expect(buffer.latest.tick).toBe(json.tick);
+        expectUnitClose(unitById(buffer.latest, 1), unitById(json, 1));
+
+        // Acks are consumed by the server, never relayed to the other clients
+        expect(relay.relayed.filter(p => p.type === MSG.SNAPSHOT_ACK)).toHaveLength(0);
+    });
+
+    it('fog-filtered per-slot snapshots are encoded too', () => {
+        const { relay, room, hostWs, jsonWs } = setup();
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createHello('host', { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] }));
+
+        tickRoom(room, 1);
+        const [bin] = payloads(hostWs, 'SERVER_SNAPSHOT_BIN');
+        expect(decodeServerSnapshotBin(bin).units.map(u => u.id)).toEqual([1]);
+        // Unmapped socket: no snapshot in any encoding
+        expect(jsonWs._sent).toHaveLength(0);
+    });
+
+    it('version mismatch or no binary offer keeps JSON; disconnect drops the stream', () => {
+        const { relay, room, hostWs } = setup({ interestManagement: false });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, { ...createHello('host', { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] }), protocolVersion: '0.0.1' });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createHello('host', { snapshotEncodings: [SNAPSHOT_ENCODING.JSON] }));
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createHello('host'));
+
+        tickRoom(room, 1);
+        expect(payloads(hostWs, 'HELLO')).toHaveLength(0);
+        expect(payloads(hostWs, 'SERVER_SNAPSHOT')).toHaveLength(1);
+
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createHello('host', { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] }));
+        expect(server._snapshotStreams.has(1)).toBe(true);
+        relay._handleDisconnect(hostWs);
+        expect(server._snapshotStreams.has(1)).toBe(false);
+    });
+});
+
+// ========================================
+// SessionManager (client)
+// ========================================
+
+describe('Binary snapshot: SessionManager', () => {
+    function guestSession() {
+        const game = {
+            clientId: 'guest-1',
+            _isDevMode: false,
+            buffer: new SnapshotBuffer(),
+            applyServerSnapshot(msg) {
+                return this.buffer.push(msg);
+            }
+        };
+        const transport = {
+            joinChannel: vi.fn(async () => {}),
+            broadcastToChannel: vi.fn(async () => {}),
+            leaveChannel: vi.fn(async () => {}),
+            onMessage: vi.fn()
+        };
+        const sm = new SessionManager(game);
+        sm.setTransport(transport);
+        sm.state.setAsHost('guest-1', 'S', 'P');
+        sm._sessionChannel = 'asterobia:session:h';
+        return { sm, game, transport };
+    }
+
+    const acks = transport => transport.broadcastToChannel.mock.calls
+        .map(c => c[1])
+        .filter(m => m.type === MSG.SNAPSHOT_ACK)
+        .map(m => m.tick);
+
+    it('records the server\'s encoding choice from its HELLO reply only', () => {
+        const { sm } = guestSession();
+        sm.onMessage(createHello('other-client', { snapshotEncodings: [SNAPSHOT_ENCODING.BINARY_DELTA] }));
+        expect(sm._snapshotEncoding).toBe(SNAPSHOT_ENCODING.JSON);
+        sm.onMessage(createHello('server', { snapshotEncoding: SNAPSHOT_ENCODING.BINARY_DELTA }));
+        expect(sm._snapshotEncoding).toBe(SNAPSHOT_ENCODING.BINARY_DELTA);
+    });
+
+    it('applies SERVER_SNAPSHOT_BIN, acks each tick, and requests a keyframe on a lost baseline', () => {
+        const { snaps, room } = snapshotRoom('bin-sm');
+        tickRoom(room, 4);
+        const { sm, game, transport } = guestSession();
+
+        sm.onMessage(createServerSnapshotBin(snaps[0]));
+        sm.onMessage(createServerSnapshotBin(snaps[1], snaps[0]));
+        expect(game.buffer.size).toBe(2);
+
+        // Baseline snaps[2] never arrived
+        sm.onMessage(createServerSnapshotBin(snaps[3], snaps[2]));
+        expect(game.buffer.size).toBe(2);
+        expect(acks(transport)).toEqual([snaps[0].tick, snaps[1].tick, -1]);
+        expect(sm._debugCounters.snapshotBaselineMissCount).toBe(1);
+    });
+});
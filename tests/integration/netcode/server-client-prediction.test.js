@@ -0,0 +1,368 @@
+/**
+ * Client-Side Prediction Integration Tests
+ *
+ * Tests the shared SurfaceMovement math (bit-identical to HeadlessUnit),
+ * MOVE_INPUT sequence numbers (GameServer validation, Room ack per slot in
+ * SERVER_SNAPSHOT.inputSeqs, own slot only when filtered) and the client
+ * MovePredictor: immediate local movement, replay of unacknowledged inputs,
+ * smoothing of small errors and snapping of large ones.
+ *
+ * All tests run in-process using direct Room calls and a mock relay.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-client-prediction.test.js
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { HeadlessUnit } from '../../../server/HeadlessUnit.js';
+import { MovePredictor } from '../../../src/SimCore/net/MovePredictor.js';
+import {
+    BASE_MOVE_SPEED,
+    computeMoveVelocity,
+    stepGrounded
+} from '../../../src/SimCore/systems/SurfaceMovement.js';
+import { createMoveInput, validateMessage } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Room broadcasting full snapshots into `snaps` */
+function snapshotRoom(id, extra = {}) {
+    const snaps = [];
+    const room = new Room(id, {
+        interestManagement: false,
+        broadcast: (_rid, snapshot) => snaps.push(snapshot),
+        ...extra
+    });
+    room.createUnitsFromManifest([
+        { id: 1, ownerSlot: 0, modelIndex: 0, px: 60, py: 0, pz: 0 },
+        { id: 2, ownerSlot: 1, modelIndex: 1, px: 0, py: 0, pz: 60 }
+    ]);
+    return { room, snaps };
+}
+
+function unitById(snapshot, id) {
+    return snapshot.units.find(u => u.id === id);
+}
+
+function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+const FORWARD = { forward: true, backward: false, left: false, right: false };
+const RIGHT = { forward: false, backward: false, left: false, right: true };
+const STOP = { forward: false, backward: false, left: false, right: false };
+
+/** Snapshot-shaped unit at a position */
+function snapUnit(position, extra = {}) {
+    return {
+        id: 1, px: position.x, py: position.y, pz: position.z,
+        heading: 0, speed: 0, mode: 'GROUNDED', disabled: false, carriedBy: null,
+        ...extra
+    };
+}
+
+// ========================================
+// Shared movement math
+// ========================================
+
+describe('SurfaceMovement', () => {
+    it('matches HeadlessUnit WASD movement bit-for-bit on the server terrain', () => {
+        const { room } = snapshotRoom('pred-math');
+        const unit = room.units[0];
+        const dt = room.simLoop.fixedDtSec;
+
+        let position = { ...unit.position };
+        for (const keys of [FORWARD, FORWARD, { ...FORWARD, right: true }, RIGHT]) {
+            unit.applyInput({ type: 'MOVE_INPUT', ...keys });
+            unit.updatePosition(dt);
+
+            const move = computeMoveVelocity(keys, position, BASE_MOVE_SPEED, room.terrain);
+            position = stepGrounded(position, move.velocity, dt, room.terrain);
+
+            expect(position).toEqual(unit.position);
+            expect(move.heading).toBe(unit.heading);
+        }
+    });
+
+    it('normalizes diagonals and reports no heading without keys', () => {
+        const diag = computeMoveVelocity({ forward: true, right: true }, { x: 60, y: 0, z: 0 }, 5, null);
+        expect(Math.hypot(diag.velocity.x, diag.velocity.y, diag.velocity.z)).toBeCloseTo(5, 10);
+        expect(diag.heading).toBeCloseTo(Math.PI / 4, 10);
+
+        const idle = computeMoveVelocity(STOP, { x: 60, y: 0, z: 0 }, 5, null);
+        expect(idle.speed).toBe(0);
+        expect(idle.heading).toBeNull();
+    });
+
+    it('HeadlessUnit.MOVE_SPEED is the shared base speed', () => {
+        expect(HeadlessUnit.MOVE_SPEED).toBe(BASE_MOVE_SPEED);
+    });
+});
+
+// ========================================
+// Sequence numbers (server side)
+// ========================================
+
+describe('MOVE_INPUT seq ack', () => {
+    it('Room echoes the last processed seq per slot in SERVER_SNAPSHOT.inputSeqs', () => {
+        const { room, snaps } = snapshotRoom('pred-ack');
+        tickRoom(room, 1);
+        expect(snaps[0].inputSeqs).toBeUndefined();
+
+        room.receiveInput(0, { type: 'MOVE_INPUT', ...FORWARD, unitId: 1, seq: 7 });
+        room.receiveInput(1, { type: 'MOVE_INPUT', ...FORWARD, unitId: 2, seq: 3 });
+        tickRoom(room, 1);
+        expect(snaps[1].inputSeqs).toEqual({ 0: 7, 1: 3 });
+
+        // Stale (reordered) seqs never move the ack backwards
+        room.receiveInput(0, { type: 'MOVE_INPUT', ...FORWARD, unitId: 1, seq: 5 });
+        tickRoom(room, 1);
+        expect(snaps[2].inputSeqs[0]).toBe(7);
+    });
+
+    it('rejected inputs (not your unit) are still acknowledged', () => {
+        const { room, snaps } = snapshotRoom('pred-reject');
+        const before = { ...room.units[1].position };
+        room.receiveInput(0, { type: 'MOVE_INPUT', ...FORWARD, unitId: 2, seq: 4 });
+        tickRoom(room, 2);
+        expect(room.units[1].position).toEqual(before);
+        expect(snaps[snaps.length - 1].inputSeqs).toEqual({ 0: 4 });
+    });
+
+    it('filtered snapshots carry only the receiving slot\'s seq', () => {
+        const sent = [];
+        const room = new Room('pred-filtered', {
+            sendToSlot: (_rid, slot, msg) => sent.push({ slot, msg })
+        });
+        room.createUnitsFromManifest([
+            { id: 1, ownerSlot: 0, modelIndex: 0, px: 60, py: 0, pz: 0 },
+            { id: 2, ownerSlot: 1, modelIndex: 1, px: 0, py: 0, pz: 60 }
+        ]);
+        room.addPlayer(0, 'host');
+        room.addPlayer(1, 'guest');
+        room.receiveInput(0, { type: 'MOVE_INPUT', ...FORWARD, unitId: 1, seq: 2 });
+        room.receiveInput(1, { type: 'MOVE_INPUT', ...FORWARD, unitId: 2, seq: 9 });
+        tickRoom(room, 1);
+
+        const bySlot = slot => sent.filter(s => s.slot === slot && s.msg.type === 'SERVER_SNAPSHOT').pop().msg;
+        expect(bySlot(0).inputSeqs).toEqual({ 0: 2 });
+        expect(bySlot(1).inputSeqs).toEqual({ 1: 9 });
+    });
+
+    it('removePlayer forgets the slot\'s seq', () => {
+        const { room, snaps } = snapshotRoom('pred-leave');
+        room.addPlayer(1, 'guest');
+        room.receiveInput(1, { type: 'MOVE_INPUT', ...FORWARD, unitId: 2, seq: 3 });
+        tickRoom(room, 1);
+        room.removePlayer(1);
+        tickRoom(room, 1);
+        expect(snaps[snaps.length - 1].inputSeqs).toBeUndefined();
+    });
+
+    it('createMoveInput includes seq and validates', () => {
+        const msg = createMoveInput({ ...FORWARD, unitId: 1, seq: 12 });
+        expect(msg.seq).toBe(12);
+        expect(validateMessage(msg).valid).toBe(true);
+        expect(validateMessage({ ...msg, seq: 1.5 }).valid).toBe(false);
+        expect(validateMessage({ ...msg, seq: 'x' }).valid).toBe(false);
+    });
+});
+
+describe('GameServer MOVE_INPUT seq', () => {
+    const ROOM_ID = 'pred-server';
+    const CHANNEL = `asterobia:session:${ROOM_ID}`;
+    let server;
+
+    afterEach(() => {
+        server?.stop();
+        server = null;
+    });
+
+    function setup() {
+        resetEntityIdCounter();
+        server = new GameServer({ roomOptions: { interestManagement: false } });
+        const relay = { channels: new Map(), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+
+        const hostWs = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+        relay.clients.set(hostWs, { id: 1 });
+        relay.channels.set(CHANNEL, new Set([hostWs]));
+
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, {
+            type: 'SPAWN_MANIFEST',
+            units: [{ id: 1, ownerSlot: 0, modelIndex: 0, px: 60, py: 0, pz: 0 }],
+            timestamp: Date.now()
+        });
+        const room = server.getRoom(ROOM_ID);
+        room.stop();
+        return { relay, room, hostWs };
+    }
+
+    it('forwards a valid seq and drops malformed ones', () => {
+        const { relay, room, hostWs } = setup();
+        const lastSnapshot = () => hostWs._sent.filter(m => m.payload?.type === 'SERVER_SNAPSHOT').pop().payload;
+
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'MOVE_INPUT', ...FORWARD, unitId: 1, seq: 5 });
+        tickRoom(room, 1);
+        expect(lastSnapshot().inputSeqs).toEqual({ 0: 5 });
+
+        for (const seq of [-1, 6.5, 'oops', Number.MAX_VALUE]) {
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'MOVE_INPUT', ...FORWARD, unitId: 1, seq });
+        }
+        tickRoom(room, 1);
+        expect(lastSnapshot().inputSeqs).toEqual({ 0: 5 });
+    });
+});
+
+// ========================================
+// MovePredictor
+// ========================================
+
+describe('MovePredictor', () => {
+    const START = { x: 60, y: 0, z: 0 };
+
+    it('canPredict only grounded, enabled, uncarried units', () => {
+        expect(MovePredictor.canPredict(snapUnit(START))).toBe(true);
+        expect(MovePredictor.canPredict(null)).toBe(false);
+        expect(MovePredictor.canPredict(snapUnit(START, { disabled: true }))).toBe(false);
+        expect(MovePredictor.canPredict(snapUnit(START, { carriedBy: 4 }))).toBe(false);
+        expect(MovePredictor.canPredict(snapUnit(START, { mode: 'AIRBORNE' }))).toBe(false);
+    });
+
+    it('inactive predictor records nothing', () => {
+        const predictor = new MovePredictor();
+        expect(predictor.active).toBe(false);
+        expect(predictor.recordInput(FORWARD)).toBeNull();
+        expect(predictor.getRenderState()).toBeNull();
+        expect(predictor.reconcile(snapUnit(START), 1)).toBe(0);
+    });
+
+    it('moves the unit immediately and buffers inputs with increasing seqs', () => {
+        const predictor = new MovePredictor();
+        predictor.attach(1, snapUnit(START));
+
+        expect(predictor.recordInput(FORWARD)).toBe(1);
+        expect(predictor.recordInput(FORWARD)).toBe(2);
+        expect(predictor.pendingCount).toBe(2);
+        expect(dist(predictor.position, START)).toBeCloseTo(BASE_MOVE_SPEED * 0.05 * 2, 3);
+
+        // Alpha 0 renders the start of the latest step, alpha 1 its end
+        const mid = predictor.getRenderState(0).position;
+        expect(dist(mid, START)).toBeCloseTo(BASE_MOVE_SPEED * 0.05, 3);
+        expect(predictor.getRenderState(1).position).toEqual(predictor.position);
+    });
+
+    it('reconcile with matching server state replays pending inputs with no error', () => {
+        const predictor = new MovePredictor();
+        predictor.attach(1, snapUnit(START));
+        predictor.recordInput(FORWARD);
+        const afterFirst = { ...predictor.position };
+        predictor.recordInput(FORWARD);
+        predictor.recordInput(RIGHT);
+        const predicted = { ...predictor.position };
+
+        const error = predictor.reconcile(snapUnit(afterFirst, { speed: BASE_MOVE_SPEED }), 1);
+
+        expect(error).toBeLessThan(1e-9);
+        expect(predictor.pendingCount).toBe(2);
+        expect(predictor.lastAckedSeq).toBe(1);
+        expect(dist(predictor.position, predicted)).toBeLessThan(1e-9);
+        expect(predictor.correctionCount).toBe(0);
+    });
+
+    it('small errors are smoothed out over time', () => {
+        const predictor = new MovePredictor({ snapThreshold: 2, smoothingMs: 100 });
+        predictor.attach(1, snapUnit(START));
+        predictor.recordInput(FORWARD);
+
+        // Server says the unit did not move (e.g. blocked): 0.25 m off
+        const error = predictor.reconcile(snapUnit(START), 1);
+        expect(error).toBeCloseTo(0.25, 3);
+        expect(predictor.correctionCount).toBe(1);
+        expect(predictor.snapCount).toBe(0);
+
+        // The rendered pose starts at the old prediction and converges
+        const shown0 = predictor.getRenderState(1, 0).position;
+        expect(dist(shown0, START)).toBeCloseTo(0.25, 3);
+        const shown1 = predictor.getRenderState(1, 0.1).position;
+        expect(dist(shown1, START)).toBeCloseTo(0.25 * Math.exp(-1), 3);
+        for (let i = 0; i < 20; i++) predictor.getRenderState(1, 0.05);
+        expect(dist(predictor.getRenderState(1, 0).position, START)).toBeLessThan(1e-3);
+    });
+
+    it('large errors snap', () => {
+        const predictor = new MovePredictor({ snapThreshold: 2 });
+        predictor.attach(1, snapUnit(START));
+        predictor.recordInput(FORWARD);
+
+        const teleported = { x: 0, y: 60, z: 0 };
+        const error = predictor.reconcile(snapUnit(teleported), 1);
+        expect(error).toBeGreaterThan(2);
+        expect(predictor.snapCount).toBe(1);
+        expect(predictor.getRenderState(1, 0).position).toEqual(teleported);
+    });
+
+    it('a higher server ack keeps new seqs above it; reset keeps seqs monotonic', () => {
+        const predictor = new MovePredictor();
+        predictor.attach(1, snapUnit(START));
+        predictor.recordInput(FORWARD);
+        predictor.reconcile(snapUnit(START), 40);
+        expect(predictor.recordInput(FORWARD)).toBe(41);
+
+        predictor.reset();
+        expect(predictor.active).toBe(false);
+        predictor.attach(2, snapUnit(START, { id: 2 }));
+        expect(predictor.recordInput(FORWARD)).toBe(42);
+    });
+
+    it('caps the pending buffer', () => {
+        const predictor = new MovePredictor({ maxPending: 4 });
+        predictor.attach(1, snapUnit(START));
+        for (let i = 0; i < 10; i++) predictor.recordInput(FORWARD);
+        expect(predictor.pending.map(p => p.seq)).toEqual([7, 8, 9, 10]);
+    });
+
+    it('end-to-end: predicting against the Room with one tick of latency stays in sync', () => {
+        const { room, snaps } = snapshotRoom('pred-e2e');
+        tickRoom(room, 1);
+        const predictor = new MovePredictor({ terrain: room.terrain, tickDtSec: room.simLoop.fixedDtSec });
+        predictor.attach(1, unitById(snaps[0], 1));
+
+        const script = [FORWARD, FORWARD, FORWARD, RIGHT, RIGHT, { forward: true, left: true }, STOP, STOP];
+        let inFlight = null;
+        let maxError = 0;
+        for (const keys of script) {
+            const seq = predictor.recordInput(keys);
+            // Deliver the previous input this tick (one tick of latency)
+            if (inFlight) room.receiveInput(0, inFlight);
+            inFlight = { type: 'MOVE_INPUT', ...keys, unitId: 1, seq };
+            tickRoom(room, 1);
+
+            const snap = snaps[snaps.length - 1];
+            maxError = Math.max(maxError, predictor.reconcile(unitById(snap, 1), snap.inputSeqs?.[0]));
+        }
+        room.receiveInput(0, inFlight);
+        tickRoom(room, 1);
+        const last = snaps[snaps.length - 1];
+        predictor.reconcile(unitById(last, 1), last.inputSeqs[0]);
+
+        expect(maxError).toBeLessThan(1e-6);
+        expect(predictor.pendingCount).toBe(0);
+        expect(dist(predictor.position, room.units[0].position)).toBeLessThan(1e-9);
+    });
+});
@@ -0,0 +1,410 @@
+/**
+ * WPN_SHOOT Server Combat Integration Tests
+ *
+ * Tests server-authoritative weapon fire: blueprint-bound shot stats,
+ * ATTACK_TARGET routing + ownership, range and cooldown checks,
+ * UnitModel.takeDamage semantics, and hits/kills in SERVER_SNAPSHOT.
+ *
+ * All tests run in-process using direct Room/HeadlessUnit/GameServer calls.
+ * No real WebSocket connections.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-combat.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { GameServer } from '../../../server/GameServer.js';
+import { Room } from '../../../server/Room.js';
+import { HeadlessUnit } from '../../../server/HeadlessUnit.js';
+import { CombatService } from '../../../server/CombatService.js';
+import { ServerTerrain } from '../../../server/ServerTerrain.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { StatsEngine } from '../../../src/SimCore/rules/StatsEngine.js';
+import { UnitModel } from '../../../src/SimCore/domain/UnitModel.js';
+import { computeBlueprintStats } from '../../../src/SimCore/runtime/UnitTypeBinder.js';
+import { MSG } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import { validateMessage, createAttackTarget } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Gunship: shot-heavy blueprint, range-heavy weapon so units can hit each other */
+const GUNSHIP = {
+    id: 'bp-gunship',
+    allocations: { shot: 0.8, move: 0.2 },
+    subAllocations: { shot: { range: 0.6, power: 0.3, rate: 0.1 } }
+};
+
+/** Place two units a given surface distance apart near the equator */
+function spawnPair(room, distance, { shooterSlot = 0, targetSlot = 1 } = {}) {
+    const created = room.createUnitsFromManifest([
+        { id: 1, ownerSlot: shooterSlot, modelIndex: 0, px: 1, py: 0, pz: 0, blueprint: GUNSHIP },
+        { id: 2, ownerSlot: targetSlot, modelIndex: 1, px: 1, py: 0, pz: distance / 60, blueprint: GUNSHIP }
+    ]);
+    return { shooter: created[0], target: created[1] };
+}
+
+// ========================================
+// 1. Protocol
+// ========================================
+
+describe('WPN_SHOOT: ATTACK_TARGET message', () => {
+    it('ATTACK_TARGET is a valid message type', () => {
+        expect(MSG.ATTACK_TARGET).toBe('ATTACK_TARGET');
+    });
+
+    it('createAttackTarget produces a valid message', () => {
+        const msg = createAttackTarget({ unitId: 1, targetUnitId: 2 });
+        expect(msg.type).toBe('ATTACK_TARGET');
+        expect(validateMessage(msg).valid).toBe(true);
+    });
+
+    it('null targetUnitId (cease fire) is valid', () => {
+        const msg = createAttackTarget({ unitId: 1, targetUnitId: undefined });
+        expect(msg.targetUnitId).toBeNull();
+        expect(validateMessage(msg).valid).toBe(true);
+    });
+
+    it('non-numeric targetUnitId is rejected', () => {
+        const msg = { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 'x', timestamp: Date.now() };
+        expect(validateMessage(msg).valid).toBe(false);
+    });
+});
+
+// ========================================
+// 2. HeadlessUnit stats + damage
+// ========================================
+
+describe('WPN_SHOOT: HeadlessUnit blueprint binding', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new StatsEngine();
+    });
+
+    it('bindBlueprint computes the same stats as UnitTypeBinder', () => {
+        const unit = new HeadlessUnit(1, 0);
+        unit.bindBlueprint(GUNSHIP, engine);
+
+        const expected = computeBlueprintStats(GUNSHIP, engine);
+        expect(unit.effectiveStats).toEqual(expected);
+        expect(unit.typeId).toBe('bp-gunship');
+    });
+
+    it('shot sub-stats come from StatsEngine.computeShotSubStats', () => {
+        const unit = new HeadlessUnit(1, 0);
+        unit.bindBlueprint(GUNSHIP, engine);
+
+        const shot = computeBlueprintStats(GUNSHIP, engine).shot;
+        expect(unit.shotStats).toEqual(engine.computeShotSubStats(shot, GUNSHIP.subAllocations.shot));
+    });
+
+    it('blueprint without shot allocation has no weapon', () => {
+        const unit = new HeadlessUnit(1, 0);
+        unit.bindBlueprint({ allocations: { move: 0.5, vision: 0.5 } }, engine);
+        expect(unit.shotStats).toBeNull();
+    });
+
+    it('unbound unit has no weapon', () => {
+        const unit = new HeadlessUnit(1, 0);
+        expect(unit.shotStats).toBeNull();
+        expect(unit.disabled).toBe(false);
+    });
+});
+
+describe('WPN_SHOOT: HeadlessUnit.takeDamage matches UnitModel', () => {
+    it('shield absorbs before hp, same as UnitModel', () => {
+        const unit = new HeadlessUnit(1, 0);
+        const model = new UnitModel({ id: 'unit-1' });
+        unit.shieldLevel = 10;
+        model.shieldLevel = 10;
+
+        expect(unit.takeDamage(25)).toBe(model.takeDamage(25));
+        expect(unit.shieldLevel).toBe(model.shieldLevel);
+        expect(unit.hp).toBe(model.health);
+    });
+
+    it('lethal damage disables the unit and stops it', () => {
+        const unit = new HeadlessUnit(1, 0);
+        unit.spawnOnSurface({ x: 1, y: 0, z: 0 }, new ServerTerrain());
+        unit.applyInput({ type: 'MOVE_INPUT', forward: true, backward: false, left: false, right: false });
+        unit.setAttackTarget(5);
+
+        expect(unit.takeDamage(150)).toBe(true);
+        expect(unit.hp).toBe(0);
+        expect(unit.disabled).toBe(true);
+        expect(unit.speed).toBe(0);
+        expect(unit.attackTargetId).toBeNull();
+    });
+
+    it('disabled units ignore MOVE_INPUT', () => {
+        const unit = new HeadlessUnit(1, 0);
+        unit.spawnOnSurface({ x: 1, y: 0, z: 0 }, new ServerTerrain());
+        unit.takeDamage(100);
+
+        unit.applyInput({ type: 'MOVE_INPUT', forward: true, backward: false, left: false, right: false });
+        expect(unit.speed).toBe(0);
+    });
+
+    it('snapshot includes disabled flag', () => {
+        const unit = new HeadlessUnit(1, 0);
+        expect(unit.toSnapshot().disabled).toBe(false);
+        unit.takeDamage(100);
+        expect(unit.toSnapshot().disabled).toBe(true);
+    });
+});
+
+// ========================================
+// 3. Room fire resolution
+// ========================================
+
+describe('WPN_SHOOT: Room fire resolution', () => {
+    let room;
+
+    beforeEach(() => {
+        room = new Room('combat-room', { maxPlayers: 4 });
+        room.state = 'RUNNING';
+    });
+
+    afterEach(() => {
+        room.stop();
+    });
+
+    it('in-range target takes blueprint power as damage', () => {
+        const { shooter, target } = spawnPair(room, 1.0);
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 1);
+
+        expect(target.hp).toBeCloseTo(100 - shooter.shotStats.power, 10);
+    });
+
+    it('out-of-range target is not hit but the order is kept', () => {
+        const { shooter, target } = spawnPair(room, 30);
+        expect(Vec3.length(Vec3.sub(target.position, shooter.position))).toBeGreaterThan(shooter.shotStats.range);
+
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 5);
+
+        expect(target.hp).toBe(100);
+        expect(shooter.attackTargetId).toBe(2);
+    });
+
+    it('cooldown limits fire to one shot per interval', () => {
+        const { shooter, target } = spawnPair(room, 1.0);
+        const dt = room.simLoop.fixedDtSec;
+        const cooldownTicks = Math.max(1, Math.round(shooter.shotStats.interval / dt));
+
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, cooldownTicks);
+
+        // Exactly one shot within the first cooldown window
+        expect(target.hp).toBeCloseTo(100 - shooter.shotStats.power, 10);
+
+        tickRoom(room, 1);
+        expect(target.hp).toBeCloseTo(100 - 2 * shooter.shotStats.power, 10);
+    });
+
+    it('rejects ATTACK_TARGET for a shooter the sender does not own', () => {
+        spawnPair(room, 1.0);
+        room.receiveInput(1, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 1);
+
+        expect(room.units[0].attackTargetId).toBeNull();
+        expect(room.units[1].hp).toBe(100);
+    });
+
+    it('rejects targeting a unit of the same owner', () => {
+        const { shooter } = spawnPair(room, 1.0, { shooterSlot: 0, targetSlot: 0 });
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 1);
+
+        expect(shooter.attackTargetId).toBeNull();
+    });
+
+    it('null targetUnitId ceases fire', () => {
+        const { shooter, target } = spawnPair(room, 1.0);
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 1);
+        const hpAfterFirst = target.hp;
+
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: null });
+        tickRoom(room, 200);
+
+        expect(shooter.attackTargetId).toBeNull();
+        expect(target.hp).toBe(hpAfterFirst);
+    });
+
+    it('unit without a weapon cannot be given an attack order', () => {
+        const [unarmed] = room.createUnitsFromManifest([
+            { id: 10, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 }
+        ]);
+        room.createUnitsFromManifest([{ id: 11, ownerSlot: 1, modelIndex: 0, px: 1, py: 0, pz: 0.01 }]);
+
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 10, targetUnitId: 11 });
+        tickRoom(room, 1);
+        expect(unarmed.attackTargetId).toBeNull();
+    });
+
+    it('defaultBlueprint arms units spawned without one', () => {
+        const armedRoom = new Room('armed-room', { defaultBlueprint: GUNSHIP });
+        const unit = armedRoom.createUnitForPlayer(1, 50);
+        expect(unit.shotStats).not.toBeNull();
+        armedRoom.stop();
+    });
+
+    it('fire resolution is deterministic across identical rooms', () => {
+        const runMatch = () => {
+            const r = new Room('det-room', { maxPlayers: 4 });
+            r.state = 'RUNNING';
+            spawnPair(r, 1.0);
+            r.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+            r.receiveInput(1, { type: 'ATTACK_TARGET', unitId: 2, targetUnitId: 1 });
+            tickRoom(r, 300);
+            const result = r.units.map(u => ({ id: u.id, hp: u.hp, disabled: u.disabled }));
+            r.stop();
+            return result;
+        };
+        expect(runMatch()).toEqual(runMatch());
+    });
+});
+
+// ========================================
+// 4. SERVER_SNAPSHOT hits / kills
+// ========================================
+
+describe('WPN_SHOOT: hits and kills in SERVER_SNAPSHOT', () => {
+    let room;
+    let snapshots;
+
+    beforeEach(() => {
+        snapshots = [];
+        room = new Room('snap-room', {
+            maxPlayers: 4,
+            broadcast: (_rid, snap) => snapshots.push(snap)
+        });
+        room.state = 'RUNNING';
+    });
+
+    afterEach(() => {
+        room.stop();
+    });
+
+    it('snapshot without combat has no hits/kills fields', () => {
+        spawnPair(room, 1.0);
+        tickRoom(room, 1);
+        expect(snapshots[0].hits).toBeUndefined();
+        expect(snapshots[0].kills).toBeUndefined();
+    });
+
+    it('hit is reported in the snapshot of the tick it happened', () => {
+        const { shooter } = spawnPair(room, 1.0);
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 1);
+
+        expect(snapshots[0].hits).toEqual([{
+            shooterId: 1,
+            targetId: 2,
+            damage: shooter.shotStats.power,
+            hp: snapshots[0].units.find(u => u.id === 2).hp
+        }]);
+    });
+
+    it('kill is reported once and the order is cleared afterwards', () => {
+        const { shooter, target } = spawnPair(room, 1.0);
+        target.hp = shooter.shotStats.power; // One shot from death
+
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 3);
+
+        const withKills = snapshots.filter(s => s.kills);
+        expect(withKills).toHaveLength(1);
+        expect(withKills[0].kills).toEqual([{ shooterId: 1, targetId: 2 }]);
+        expect(withKills[0].units.find(u => u.id === 2).disabled).toBe(true);
+        expect(shooter.attackTargetId).toBeNull();
+    });
+});
+
+// ========================================
+// 5. GameServer routing
+// ========================================
+
+describe('WPN_SHOOT: GameServer ATTACK_TARGET routing', () => {
+    let server;
+
+    beforeEach(() => {
+        server = new GameServer();
+    });
+
+    afterEach(() => {
+        server.stop();
+    });
+
+    function setupRunningRoom() {
+        const room = server.createRoom('room-a');
+        room.state = 'RUNNING';
+        server._clientSlots.set(7, { roomId: 'room-a', slot: 0 });
+        return room;
+    }
+
+    it('routes a valid ATTACK_TARGET with the transport-authenticated slot', () => {
+        const room = setupRunningRoom();
+        server._onAttackTarget('asterobia:session:room-a', { unitId: 1, targetUnitId: 2, sourceSlot: 5 }, { id: 7 });
+
+        const pending = room.commandQueue.getPending();
+        expect(pending).toHaveLength(1);
+        expect(pending[0].type).toBe('ATTACK_TARGET');
+        expect(pending[0].sourceSlot).toBe(0);
+    });
+
+    it('drops ATTACK_TARGET from unknown clients', () => {
+        const room = setupRunningRoom();
+        server._onAttackTarget('asterobia:session:room-a', { unitId: 1, targetUnitId: 2 }, { id: 99 });
+        expect(room.commandQueue.pendingCount).toBe(0);
+    });
+
+    it('drops malformed ATTACK_TARGET payloads', () => {
+        const room = setupRunningRoom();
+        server._onAttackTarget('asterobia:session:room-a', { unitId: '1', targetUnitId: 2 }, { id: 7 });
+        server._onAttackTarget('asterobia:session:room-a', { unitId: 1, targetUnitId: 'x' }, { id: 7 });
+        expect(room.commandQueue.pendingCount).toBe(0);
+    });
+
+    it('sanitizes manifest blueprints', () => {
+        expect(server._sanitizeBlueprint(GUNSHIP).allocations).toEqual(GUNSHIP.allocations);
+        expect(server._sanitizeBlueprint({ allocations: { shot: 5 } })).toBeUndefined();
+        expect(server._sanitizeBlueprint({ allocations: { shot: 0.9, move: 0.9 } })).toBeUndefined();
+        expect(server._sanitizeBlueprint(null)).toBeUndefined();
+    });
+});
+
+// ========================================
+// 6. CombatService caps
+// ========================================
+
+describe('WPN_SHOOT: CombatService', () => {
+    it('maxRange caps blueprint range', () => {
+        const combat = new CombatService({ maxRange: 0.5 });
+        const terrain = new ServerTerrain();
+        const engine = new StatsEngine();
+
+        const a = new HeadlessUnit(1, 0);
+        const b = new HeadlessUnit(2, 1);
+        a.bindBlueprint(GUNSHIP, engine);
+        a.spawnOnSurface({ x: 1, y: 0, z: 0 }, terrain);
+        b.spawnOnSurface({ x: 1, y: 0, z: 1 / 60 }, terrain);
+        a.setAttackTarget(2);
+
+        const { hits } = combat.resolveTick([a, b], 1, 0.05);
+        expect(hits).toHaveLength(0);
+        expect(b.hp).toBe(100);
+    });
+});
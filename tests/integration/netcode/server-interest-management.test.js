@@ -0,0 +1,426 @@
+/**
+ * Server-side Interest Management Integration Tests
+ *
+ * Tests VisibilityService (vision radius from the same stat mapping as the
+ * client VisionSystem, per-slot enemy visibility, enter/leave events,
+ * hysteresis), the Room's per-slot filtered SERVER_SNAPSHOT (own units +
+ * visible enemies, filtered combat events with unseen shooters hidden,
+ * piles / depots / terrain stamps filtered by vision, visEnter / visLeave), and
+ * GameServer delivery: each socket gets only its own slot's snapshot,
+ * guests are mapped from JOIN_REQ + JOIN_ACK, unmapped sockets get nothing.
+ *
+ * All tests run in-process using direct Room calls and a mock relay.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-interest-management.test.js
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import {
+    VisibilityService,
+    getVisionPercent,
+    visionRadiusFromPercent
+} from '../../../src/SimCore/systems/VisibilityService.js';
+import { VisionSystem } from '../../../src/SimCore/runtime/VisionSystem.js';
+import { validateMessage, createJoinAckAccepted } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+const PLANET_RADIUS = 60;
+
+/** Unbound units: 50% vision → 5 + 0.5 × (24 − 5) = 14.5 m */
+const DEFAULT_RADIUS = 14.5;
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Surface direction at an arc distance (m) from +X along the equator */
+function atArc(meters) {
+    const a = meters / PLANET_RADIUS;
+    return { x: Math.cos(a) * PLANET_RADIUS, y: 0, z: Math.sin(a) * PLANET_RADIUS };
+}
+
+function fakeUnit(id, ownerSlot, arc, effectiveStats = null) {
+    return { id, ownerSlot, position: atArc(arc), effectiveStats };
+}
+
+/**
+ * Room with:
+ *   slot 0: unit 1 at arc 0
+ *   slot 1: unit 2 at arc 10 (near, seen by slot 0), unit 3 at arc 90 (far)
+ */
+function interestRoom(id, extra = {}) {
+    const sent = [];
+    const room = new Room(id, {
+        sendToSlot: (_rid, slot, msg) => sent.push({ slot, msg }),
+        ...extra
+    });
+    const spawn = (uid, slot, arc) => {
+        const p = atArc(arc);
+        return { id: uid, ownerSlot: slot, modelIndex: 0, px: p.x, py: p.y, pz: p.z };
+    };
+    room.createUnitsFromManifest([spawn(1, 0, 0), spawn(2, 1, 10), spawn(3, 1, 90)]);
+    return { room, sent };
+}
+
+function snapshotsFor(sent, slot) {
+    return sent.filter(s => s.slot === slot && s.msg.type === 'SERVER_SNAPSHOT').map(s => s.msg);
+}
+
+function unit(room, id) {
+    return room.units.find(u => u.id === id);
+}
+
+// ========================================
+// VisibilityService
+// ========================================
+
+describe('Interest management: VisibilityService', () => {
+    it('vision radius uses the VisionSystem stat mapping', () => {
+        const service = new VisibilityService({ planetRadius: PLANET_RADIUS });
+        const vision = new VisionSystem({ planetRadius: PLANET_RADIUS });
+        expect(service.minVisionRadius).toBe(vision.config.minVisionRadius);
+        expect(service.maxVisionRadius).toBe(vision.config.maxVisionRadius);
+
+        expect(getVisionPercent({ model: { effectiveStats: { vision: 80 } } })).toBe(80);
+        expect(getVisionPercent({ effectiveStats: { vision: 30 } })).toBe(30);
+        expect(getVisionPercent({ effectiveStats: null })).toBe(50);
+
+        expect(service.getVisionRadius({ effectiveStats: null })).toBeCloseTo(DEFAULT_RADIUS, 10);
+        expect(service.getVisionRadius({ effectiveStats: { vision: 100 } })).toBeCloseTo(24, 10);
+        expect(service.getVisionRadius({ effectiveStats: { vision: 150 } })).toBeCloseTo(24, 10);
+        expect(service.getVisionRadius({ effectiveStats: { vision: 0 } })).toBe(0);
+        expect(visionRadiusFromPercent(25, 5, 25)).toBe(10);
+    });
+
+    it('slots see enemies within arc range; own units are never tracked', () => {
+        const service = new VisibilityService({ planetRadius: PLANET_RADIUS });
+        const units = [fakeUnit(1, 0, 0), fakeUnit(2, 1, 10), fakeUnit(3, 1, 90), fakeUnit(4, 0, 2)];
+        const changes = service.update(units, [0, 1]);
+
+        expect(service.getVisibleUnitIds(0)).toEqual([2]);
+        expect(service.getVisibleUnitIds(1)).toEqual([1, 4]);
+        expect(changes.get(0)).toEqual({ entered: [2], left: [] });
+        expect(changes.get(1)).toEqual({ entered: [1, 4], left: [] });
+        expect(service.isVisible(0, 4)).toBe(false);
+    });
+
+    it('reports leave when an enemy moves out of range or disappears', () => {
+        const service = new VisibilityService({ planetRadius: PLANET_RADIUS });
+        const enemy = fakeUnit(2, 1, 10);
+        const other = fakeUnit(3, 1, 12);
+        service.update([fakeUnit(1, 0, 0), enemy, other], [0]);
+
+        enemy.position = atArc(40);
+        const changes = service.update([fakeUnit(1, 0, 0), enemy], [0]);
+        expect(changes.get(0)).toEqual({ entered: [], left: [2, 3] });
+        expect(service.getVisibleUnitIds(0)).toEqual([]);
+    });
+
+    it('leave margin keeps an enemy on the edge from flickering', () => {
+        const service = new VisibilityService({ planetRadius: PLANET_RADIUS, leaveMargin: 1 });
+        const enemy = fakeUnit(2, 1, DEFAULT_RADIUS - 0.1);
+        service.update([fakeUnit(1, 0, 0), enemy], [0]);
+        expect(service.isVisible(0, 2)).toBe(true);
+
+        enemy.position = atArc(DEFAULT_RADIUS + 0.5);
+        expect(service.update([fakeUnit(1, 0, 0), enemy], [0]).get(0).left).toEqual([]);
+
+        enemy.position = atArc(DEFAULT_RADIUS + 1.5);
+        expect(service.update([fakeUnit(1, 0, 0), enemy], [0]).get(0).left).toEqual([2]);
+
+        // Re-entering needs the plain radius again
+        enemy.position = atArc(DEFAULT_RADIUS + 0.5);
+        expect(service.update([fakeUnit(1, 0, 0), enemy], [0]).get(0).entered).toEqual([]);
+    });
+
+    it('zero-vision observers see nothing; removeSlot forgets a slot', () => {
+        const service = new VisibilityService({ planetRadius: PLANET_RADIUS });
+        const blind = fakeUnit(1, 0, 0, { vision: 0 });
+        service.update([blind, fakeUnit(2, 1, 1)], [0, 1]);
+        expect(service.getVisibleUnitIds(0)).toEqual([]);
+        expect(service.getVisibleUnitIds(1)).toEqual([1]);
+
+        service.removeSlot(1);
+        expect(service.getVisibleUnitIds(1)).toEqual([]);
+    });
+});
+
+// ========================================
+// Room: per-slot filtered SERVER_SNAPSHOT
+// ========================================
+
+describe('Interest management: Room snapshots', () => {
+    it('each slot receives its own units plus the enemies it sees', () => {
+        const broadcast = [];
+        const { room, sent } = interestRoom('im-filter', { broadcast: (_rid, s) => broadcast.push(s) });
+        tickRoom(room, 1);
+
+        const snap0 = snapshotsFor(sent, 0)[0];
+        expect(validateMessage(snap0).valid).toBe(true);
+        expect(snap0.units.map(u => u.id)).toEqual([1, 2]);
+        expect(snap0.visEnter).toEqual([2]);
+
+        const snap1 = snapshotsFor(sent, 1)[0];
+        expect(snap1.units.map(u => u.id)).toEqual([1, 2, 3]);
+        expect(snap1.visEnter).toEqual([1]);
+
+        // Filtered snapshots replace the full broadcast
+        expect(broadcast).toHaveLength(0);
+    });
+
+    it('visEnter / visLeave are sent only on the tick visibility changes', () => {
+        const { room, sent } = interestRoom('im-events');
+        tickRoom(room, 2);
+        expect(snapshotsFor(sent, 0)[1].visEnter).toBeUndefined();
+        expect(snapshotsFor(sent, 0)[1].visLeave).toBeUndefined();
+
+        unit(room, 2).spawnOnSurface(atArc(60), room.terrain);
+        tickRoom(room, 1);
+        const snap = snapshotsFor(sent, 0)[2];
+        expect(snap.visLeave).toEqual([2]);
+        expect(snap.units.map(u => u.id)).toEqual([1]);
+
+        unit(room, 3).spawnOnSurface(atArc(5), room.terrain);
+        tickRoom(room, 1);
+        expect(snapshotsFor(sent, 0)[3].visEnter).toEqual([3]);
+    });
+
+    it('combat events are kept only when they involve a unit the slot receives', () => {
+        const { room, sent } = interestRoom('im-combat');
+        room.visibility.update(room.units, [0, 1]);
+        room._combatEvents = {
+            hits: [
+                { shooterId: 3, targetId: 1, damage: 5, hp: 95 },
+                { shooterId: 1, targetId: 3, damage: 5, hp: 95 },
+                { shooterId: 3, targetId: 3, damage: 5, hp: 90 }
+            ],
+            kills: [{ shooterId: 2, targetId: 3 }]
+        };
+        room._visibilityChanges = new Map([[0, { entered: [], left: [] }], [1, { entered: [], left: [] }]]);
+        room._broadcastSnapshot(1);
+
+        const snap0 = snapshotsFor(sent, 0)[0];
+        expect(snap0.hits).toHaveLength(2);
+        expect(snap0.hits.every(h => h.shooterId === 1 || h.targetId === 1)).toBe(true);
+        expect(snap0.kills).toEqual([{ shooterId: 2, targetId: 3 }]);
+        expect(snapshotsFor(sent, 1)[0].hits).toHaveLength(3);
+    });
+
+    it('hides the shooter of a hit when the slot does not see it', () => {
+        const { room, sent } = interestRoom('im-shooter');
+        room.visibility.update(room.units, [0, 1]);
+        room._combatEvents = {
+            hits: [{ shooterId: 3, targetId: 1, damage: 5, hp: 95 }],
+            kills: [{ shooterId: 3, targetId: 1 }]
+        };
+        room._visibilityChanges = new Map([[0, { entered: [], left: [] }], [1, { entered: [], left: [] }]]);
+        room._broadcastSnapshot(1);
+
+        const snap0 = snapshotsFor(sent, 0)[0];
+        expect(snap0.hits).toEqual([{ shooterId: null, targetId: 1, damage: 5, hp: 95 }]);
+        expect(snap0.kills).toEqual([{ shooterId: null, targetId: 1 }]);
+        expect(snapshotsFor(sent, 1)[0].kills).toEqual([{ shooterId: 3, targetId: 1 }]);
+    });
+
+    it('piles, depots and terrain stamps are kept only where the slot sees them', () => {
+        const { room, sent } = interestRoom('im-world');
+        room.visibility.update(room.units, [0, 1]);
+        const at = (arc) => {
+            const p = atArc(arc);
+            return { px: p.x, py: p.y, pz: p.z };
+        };
+        room._logisticsEvents = {
+            pickups: [{ unitId: 2, pileId: 20, amount: 1 }, { unitId: 3, pileId: 21, amount: 1 }],
+            unloads: []
+        };
+        room._visibilityChanges = new Map([[0, { entered: [], left: [] }], [1, { entered: [], left: [] }]]);
+        room._sendFilteredSnapshots({
+            type: 'SERVER_SNAPSHOT',
+            tick: 1,
+            units: [],
+            piles: [{ id: 10, amount: 1, ...at(5) }, { id: 11, amount: 1, ...at(90) }],
+            removedPiles: [20, 21],
+            depots: [
+                { id: 30, ownerSlot: 1, amount: 0, ...at(8) },
+                { id: 31, ownerSlot: 1, amount: 0, ...at(90) },
+                { id: 32, ownerSlot: 0, amount: 0, ...at(120) }
+            ],
+            terrainStamps: [
+                { center: atArc(90), targetHeight: 1, step: 0.1, radius: 3, smoothing: 0.5 },
+                { center: atArc(17), targetHeight: 1, step: 0.1, radius: 3, smoothing: 0.5 }
+            ]
+        });
+
+        const snap0 = snapshotsFor(sent, 0)[0];
+        expect(snap0.piles.map(p => p.id)).toEqual([10]);
+        expect(snap0.removedPiles).toEqual([20]);
+        expect(snap0.depots.map(d => d.id)).toEqual([30, 32]);
+        expect(snap0.terrainStamps).toHaveLength(1);
+        expect(snap0.terrainStamps[0].center).toEqual(atArc(17));
+
+        const snap1 = snapshotsFor(sent, 1)[0];
+        expect(snap1.piles.map(p => p.id)).toEqual([10, 11]);
+        expect(snap1.removedPiles).toEqual([20, 21]);
+        expect(snap1.depots.map(d => d.id)).toEqual([30, 31]);
+        expect(snap1.terrainStamps).toHaveLength(2);
+    });
+
+    it('drops world-change fields that end up empty for a slot', () => {
+        const { room, sent } = interestRoom('im-world-empty');
+        room.visibility.update(room.units, [0, 1]);
+        const far = atArc(90);
+        room._visibilityChanges = new Map([[0, { entered: [], left: [] }]]);
+        room._sendFilteredSnapshots({
+            type: 'SERVER_SNAPSHOT',
+            tick: 1,
+            units: [],
+            piles: [{ id: 11, amount: 1, px: far.x, py: far.y, pz: far.z }],
+            removedPiles: [21],
+            terrainStamps: [{ center: far, targetHeight: 1, step: 0.1, radius: 3, smoothing: 0.5 }]
+        });
+
+        const snap0 = snapshotsFor(sent, 0)[0];
+        expect(snap0).not.toHaveProperty('piles');
+        expect(snap0).not.toHaveProperty('removedPiles');
+        expect(snap0).not.toHaveProperty('terrainStamps');
+    });
+
+    it('slots without units still get world state, but no units', () => {
+        const { room, sent } = interestRoom('im-empty');
+        room.addPlayer('spectator', 'Watcher', null);
+        room.addPlayer('late', 'Late', null);
+        tickRoom(room, 1);
+
+        const snap2 = snapshotsFor(sent, 2)[0];
+        expect(snap2.units).toEqual([]);
+        expect(snap2.tick).toBe(1);
+    });
+
+    it('interestManagement: false broadcasts the full snapshot', () => {
+        const broadcast = [];
+        const { room, sent } = interestRoom('im-off', {
+            interestManagement: false,
+            broadcast: (_rid, s) => broadcast.push(s)
+        });
+        tickRoom(room, 1);
+
+        expect(broadcast).toHaveLength(1);
+        expect(broadcast[0].units.map(u => u.id)).toEqual([1, 2, 3]);
+        expect(snapshotsFor(sent, 0)).toHaveLength(0);
+    });
+});
+
+// ========================================
+// GameServer: per-socket delivery
+// ========================================
+
+describe('Interest management: GameServer delivery', () => {
+    const ROOM_ID = 'im-server';
+    const CHANNEL = `asterobia:session:${ROOM_ID}`;
+    let server;
+
+    afterEach(() => {
+        server?.stop();
+    });
+
+    function mockWs() {
+        return {
+            readyState: 1,
+            _sent: [],
+            send(data) {
+                this._sent.push(JSON.parse(data));
+            }
+        };
+    }
+
+    function setup() {
+        resetEntityIdCounter();
+        server = new GameServer();
+        const relay = { channels: new Map(), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+
+        const hostWs = mockWs();
+        const guestWs = mockWs();
+        const lurkerWs = mockWs();
+        relay.clients.set(hostWs, { id: 1 });
+        relay.clients.set(guestWs, { id: 2 });
+        relay.clients.set(lurkerWs, { id: 3 });
+        relay.channels.set(CHANNEL, new Set([hostWs, guestWs, lurkerWs]));
+
+        const p = (arc) => atArc(arc);
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, {
+            type: 'SPAWN_MANIFEST',
+            units: [
+                { id: 1, ownerSlot: 0, modelIndex: 0, px: p(0).x, py: p(0).y, pz: p(0).z },
+                { id: 2, ownerSlot: 0, modelIndex: 0, px: p(180).x, py: p(180).y, pz: p(180).z }
+            ],
+            timestamp: Date.now()
+        });
+        const room = server.getRoom(ROOM_ID);
+        room.stop();
+        return { relay, room, hostWs, guestWs, lurkerWs };
+    }
+
+    const snaps = ws => ws._sent.filter(m => m.payload?.type === 'SERVER_SNAPSHOT').map(m => m.payload);
+
+    it('JOIN_REQ + JOIN_ACK map the guest; each socket gets only its slot\'s view', () => {
+        const { relay, room, hostWs, guestWs, lurkerWs } = setup();
+
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, { type: 'JOIN_REQ', guestId: 'guest-abc', displayName: 'G', timestamp: Date.now() });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createJoinAckAccepted({ assignedSlot: 1, simTick: 0, fullSnapshot: null, guestId: 'guest-abc' }));
+        expect(server._clientSlots.get(2)).toEqual({ roomId: ROOM_ID, slot: 1 });
+
+        // Put the guest's server-created unit next to host unit 1, far from unit 2
+        const guestUnit = room.units.find(u => u.ownerSlot === 1);
+        guestUnit.spawnOnSurface(atArc(8), room.terrain);
+        tickRoom(room, 1);
+
+        const hostIds = snaps(hostWs)[0].units.map(u => u.id);
+        expect(hostIds).toEqual([1, 2, guestUnit.id]);
+        const guestIds = snaps(guestWs)[0].units.map(u => u.id);
+        expect(guestIds).toEqual([1, guestUnit.id]);
+        expect(snaps(guestWs)[0].visEnter).toEqual([1]);
+
+        // A subscriber with no slot never receives unit state
+        expect(snaps(lurkerWs)).toHaveLength(0);
+    });
+
+    it('JOIN_ACK without a matching JOIN_REQ leaves the guest unmapped', () => {
+        const { relay, room, hostWs, guestWs } = setup();
+
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, { type: 'JOIN_REQ', guestId: 'guest-abc', displayName: 'G', timestamp: Date.now() });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createJoinAckAccepted({ assignedSlot: 1, simTick: 0, fullSnapshot: null, guestId: 'someone-else' }));
+        expect(server._clientSlots.has(2)).toBe(false);
+
+        tickRoom(room, 1);
+        expect(snaps(guestWs)).toHaveLength(0);
+        expect(snaps(hostWs)).toHaveLength(1);
+    });
+
+    it('first JOIN_REQ per guestId wins; disconnect drops pending joins', () => {
+        const { relay, hostWs, guestWs, lurkerWs } = setup();
+
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, { type: 'JOIN_REQ', guestId: 'guest-abc', displayName: 'G', timestamp: Date.now() });
+        relay._broadcast(lurkerWs, { id: 3 }, CHANNEL, { type: 'JOIN_REQ', guestId: 'guest-abc', displayName: 'X', timestamp: Date.now() });
+        expect(server._pendingJoins.get(`${ROOM_ID}:guest-abc`)).toBe(2);
+
+        relay._handleDisconnect(guestWs);
+        expect(server._pendingJoins.size).toBe(0);
+
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, createJoinAckAccepted({ assignedSlot: 1, simTick: 0, fullSnapshot: null, guestId: 'guest-abc' }));
+        expect(server._clientSlots.has(3)).toBe(false);
+    });
+});
@@ -0,0 +1,318 @@
+/**
+ * Join Token Integration Tests
+ *
+ * Tests HMAC-signed join tokens (server/JoinToken): signing / verification,
+ * and WsRelay + GameServer sharing a secret — the host and guests get a
+ * JOIN_TOKEN when they are mapped to a slot, tokenless session subscribers
+ * hear nothing and may only send the join handshake, and tokens of another
+ * socket, another room or another secret are rejected on subscribe and on
+ * every broadcast, and admitted guests cannot forge server or host frames
+ * or another slot's. Also covers WebSocketTransport / SessionManager applying
+ * the token.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-join-tokens.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'node:http';
+import { WebSocket } from 'ws';
+import { WsRelay } from '../../../server/WsRelay.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { createJoinTokenSecret, signJoinToken, verifyJoinToken, sessionRoomId } from '../../../server/JoinToken.js';
+import { WebSocketTransport } from '../../../src/SimCore/transport/WebSocketTransport.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { MSG } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import { createJoinToken } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// WebSocketTransport expects the browser global
+globalThis.WebSocket = WebSocket;
+
+const ROOM_ID = 'token-room';
+const SESSION = `asterobia:session:${ROOM_ID}`;
+
+const ROOM_OPTIONS = {
+    interestManagement: false,
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+const MANIFEST = {
+    type: 'SPAWN_MANIFEST',
+    units: [{ id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 }]
+};
+
+// ========================================
+// Tokens
+// ========================================
+
+describe('JoinToken', () => {
+    const secret = createJoinTokenSecret();
+
+    it('verifies its own tokens only', () => {
+        const token = signJoinToken(secret, { clientId: 3, roomId: 'r', slot: 1 });
+        expect(verifyJoinToken(secret, token)).toMatchObject({ clientId: 3, roomId: 'r', slot: 1 });
+
+        expect(verifyJoinToken(createJoinTokenSecret(), token)).toBeNull();
+        const [body, mac] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ clientId: 3, roomId: 'r', slot: 0, issuedAt: 0 })).toString('base64url');
+        expect(verifyJoinToken(secret, `${forged}.${mac}`)).toBeNull();
+        expect(verifyJoinToken(secret, `${body}.${mac.slice(1)}`)).toBeNull();
+        for (const junk of [undefined, 42, '', 'abc', '.x']) {
+            expect(verifyJoinToken(secret, junk)).toBeNull();
+        }
+    });
+
+    it('maps session channels to room ids', () => {
+        expect(sessionRoomId('asterobia:session:abc')).toBe('abc');
+        expect(sessionRoomId('asterobia:lobby')).toBeNull();
+        expect(sessionRoomId('asterobia:session:')).toBeNull();
+    });
+});
+
+// ========================================
+// Relay + GameServer
+// ========================================
+
+describe('Join tokens on WsRelay', () => {
+    let httpServer;
+    let relay;
+    let gameServer;
+    let url;
+    const transports = [];
+    const sockets = [];
+
+    beforeEach(async () => {
+        resetEntityIdCounter();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const joinTokenSecret = createJoinTokenSecret();
+        httpServer = http.createServer();
+        relay = new WsRelay({ joinTokenSecret });
+        gameServer = new GameServer({ roomOptions: ROOM_OPTIONS, joinTokenSecret });
+        gameServer.wireToRelay(relay);
+        gameServer.start();
+        relay.startOnServer(httpServer);
+        await new Promise(resolve => httpServer.listen(0, resolve));
+        url = `ws://localhost:${httpServer.address().port}`;
+    });
+
+    afterEach(async () => {
+        for (const t of transports.splice(0)) t.disconnect();
+        for (const ws of sockets.splice(0)) ws.close();
+        gameServer.stop();
+        await relay.stop();
+        await new Promise(resolve => httpServer.close(resolve));
+        vi.restoreAllMocks();
+    });
+
+    /** Transport on the session channel that applies its JOIN_TOKEN like SessionManager */
+    async function join() {
+        const transport = new WebSocketTransport({ url, connectTimeoutMs: 3000 });
+        transports.push(transport);
+        const received = [];
+        await transport.joinChannel(SESSION, (msg) => {
+            received.push(msg);
+            if (msg.type === MSG.JOIN_TOKEN) transport.setChannelToken(SESSION, msg.token);
+        });
+        return { transport, received, types: () => received.map(m => m.type) };
+    }
+
+    /** Raw socket (frames exactly as given) */
+    async function rawSocket() {
+        const ws = new WebSocket(url);
+        sockets.push(ws);
+        ws.frames = [];
+        ws.on('message', d => ws.frames.push(JSON.parse(d.toString())));
+        await new Promise(resolve => ws.once('open', resolve));
+        return ws;
+    }
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    async function hostRoom() {
+        const host = await join();
+        await host.transport.broadcastToChannel(SESSION, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        await vi.waitFor(() => expect(host.types()).toContain(MSG.JOIN_TOKEN));
+        return host;
+    }
+
+    it('admits the host with a slot 0 token', async () => {
+        const host = await hostRoom();
+        const tokenMsg = host.received.find(m => m.type === MSG.JOIN_TOKEN);
+        expect(tokenMsg).toMatchObject({ roomId: ROOM_ID, slot: 0 });
+        const [, hostClient] = [...relay.clients].find(([, c]) => c.channels.has(SESSION));
+        expect(verifyJoinToken(relay._joinTokenSecret, tokenMsg.token)).toMatchObject({ clientId: hostClient.id, roomId: ROOM_ID, slot: 0 });
+
+        await host.transport.broadcastToChannel(SESSION, MANIFEST);
+        await vi.waitFor(() => expect(gameServer.getRoom(ROOM_ID).state).toBe('RUNNING'));
+    });
+
+    it('keeps a guest deaf and mute until JOIN_ACK admits it', async () => {
+        const host = await hostRoom();
+        await host.transport.broadcastToChannel(SESSION, MANIFEST);
+        await vi.waitFor(() => expect(host.types()).toContain('SERVER_SNAPSHOT'));
+
+        const guest = await join();
+        await guest.transport.broadcastToChannel(SESSION, { type: 'MOVE_INPUT', forward: true });
+        await guest.transport.broadcastToChannel(SESSION, { type: 'CMD_BATCH', commands: [] });
+        await settle();
+        expect(guest.received).toEqual([]);
+        expect(relay.stats.joinTokenDrops).toBe(2);
+
+        // The handshake still reaches the host
+        await guest.transport.broadcastToChannel(SESSION, { type: 'JOIN_REQ', guestId: 'g1', displayName: 'Guest' });
+        await vi.waitFor(() => expect(host.types()).toContain('JOIN_REQ'));
+
+        await host.transport.broadcastToChannel(SESSION, { type: 'JOIN_ACK', accepted: true, assignedSlot: 1, guestId: 'g1' });
+        await vi.waitFor(() => expect(guest.types()).toContain('JOIN_ACK'));
+        expect(guest.types().indexOf(MSG.JOIN_TOKEN)).toBeLessThan(guest.types().indexOf('JOIN_ACK'));
+        expect(guest.received.find(m => m.type === MSG.JOIN_TOKEN).slot).toBe(1);
+        await vi.waitFor(() => expect(guest.types()).toContain('SERVER_SNAPSHOT'));
+
+        // Admitted: its own token works
+        const drops = relay.stats.joinTokenDrops;
+        await guest.transport.broadcastToChannel(SESSION, { type: 'INPUT_CMD', slot: 1, seq: 0, command: {} });
+        await vi.waitFor(() => expect(host.types()).toContain('INPUT_CMD'));
+        expect(relay.stats.joinTokenDrops).toBe(drops);
+    });
+
+    it('drops server and host frames forged by an admitted guest', async () => {
+        const host = await hostRoom();
+        await host.transport.broadcastToChannel(SESSION, MANIFEST);
+        const guest = await join();
+        await guest.transport.broadcastToChannel(SESSION, { type: 'JOIN_REQ', guestId: 'g1', displayName: 'Guest' });
+        await host.transport.broadcastToChannel(SESSION, { type: 'JOIN_ACK', accepted: true, assignedSlot: 1, guestId: 'g1' });
+        await vi.waitFor(() => expect(guest.types()).toContain(MSG.JOIN_TOKEN));
+
+        const forged = [
+            { type: 'SERVER_SNAPSHOT', tick: 1e6, units: [] },
+            { type: 'SCAN_REVEAL', tick: 1e6, cells: [] },
+            { type: 'PLAYER_CONNECTION', slot: 0, status: 'DISCONNECTED' },
+            { type: 'RESYNC_ACK', simTick: 1e6, fullSnapshot: {} },
+            { type: 'HOST_LEAVE', hostId: ROOM_ID },
+            { type: 'CMD_BATCH', commands: [] },
+            { type: 'INPUT_CMD', slot: 0, seq: 0, command: {} },
+            { type: 'GUEST_LEAVE', slot: 2 }
+        ];
+        for (const frame of forged) {
+            await guest.transport.broadcastToChannel(SESSION, frame);
+        }
+        await guest.transport.broadcastToChannel(SESSION, { type: 'GUEST_LEAVE', slot: 1 });
+        await vi.waitFor(() => expect(host.types()).toContain('GUEST_LEAVE'));
+
+        expect(host.received.some(m => m.type === 'SERVER_SNAPSHOT' && m.tick === 1e6)).toBe(false);
+        for (const type of ['SCAN_REVEAL', 'PLAYER_CONNECTION', 'RESYNC_ACK', 'HOST_LEAVE', 'CMD_BATCH', 'INPUT_CMD']) {
+            expect(host.types()).not.toContain(type);
+        }
+        expect(host.received.filter(m => m.type === 'GUEST_LEAVE')).toEqual([expect.objectContaining({ slot: 1 })]);
+        expect(gameServer.stats.forgedFrameDrops).toBe(5);
+        expect(relay.stats.joinTokenDrops).toBe(0);
+    });
+
+    it('relays a guest RESYNC_REQ and the host RESYNC_ACK', async () => {
+        const host = await hostRoom();
+        await host.transport.broadcastToChannel(SESSION, MANIFEST);
+        const guest = await join();
+        await guest.transport.broadcastToChannel(SESSION, { type: 'JOIN_REQ', guestId: 'g1', displayName: 'Guest' });
+        await host.transport.broadcastToChannel(SESSION, { type: 'JOIN_ACK', accepted: true, assignedSlot: 1, guestId: 'g1' });
+        await vi.waitFor(() => expect(guest.types()).toContain(MSG.JOIN_TOKEN));
+
+        await guest.transport.broadcastToChannel(SESSION, { type: 'RESYNC_REQ', guestId: 'g1', lastKnownTick: 5, reason: 'HASH_MISMATCH' });
+        await vi.waitFor(() => expect(host.types()).toContain('RESYNC_REQ'));
+        await host.transport.broadcastToChannel(SESSION, { type: 'RESYNC_ACK', simTick: 9, fullSnapshot: { simLoop: { tickCount: 9 } }, commandLog: [], guestId: 'g1' });
+        await vi.waitFor(() => expect(guest.types()).toContain('RESYNC_ACK'));
+        expect(guest.received.find(m => m.type === 'RESYNC_ACK')).toMatchObject({ simTick: 9, guestId: 'g1' });
+        expect(gameServer.stats.forgedFrameDrops).toBe(0);
+    });
+
+    it('rejects tokens of other sockets, rooms and secrets', async () => {
+        const host = await hostRoom();
+        const hostToken = host.received.find(m => m.type === MSG.JOIN_TOKEN).token;
+        const intruder = await rawSocket();
+        const intruderClient = [...relay.clients.values()].at(-1);
+        const send = frame => intruder.send(JSON.stringify(frame));
+
+        const attempts = [
+            hostToken,
+            signJoinToken(createJoinTokenSecret(), { clientId: intruderClient.id, roomId: ROOM_ID, slot: 0 }),
+            signJoinToken(relay._joinTokenSecret, { clientId: intruderClient.id, roomId: 'other-room', slot: 0 })
+        ];
+        for (const token of attempts) {
+            send({ type: 'subscribe', channel: SESSION, token });
+        }
+        await settle();
+        expect(intruderClient.channels.has(SESSION)).toBe(false);
+        expect(relay.channels.get(SESSION).size).toBe(1);
+
+        // Stolen token on a broadcast: dropped, never reaches the room
+        send({ type: 'subscribe', channel: SESSION });
+        send({ type: 'broadcast', channel: SESSION, token: hostToken, payload: MANIFEST });
+        await settle();
+        expect(intruder.frames.filter(f => f.type === 'error')).toHaveLength(4);
+        expect(intruder.frames.every(f => f.type === 'error' && /Join token required/.test(f.message))).toBe(true);
+        expect(gameServer.getRoom(ROOM_ID).state).toBe('WAITING');
+    });
+
+    it('requires the token on every broadcast of an admitted socket', async () => {
+        const host = await hostRoom();
+        const hostToken = host.received.find(m => m.type === MSG.JOIN_TOKEN).token;
+        host.transport._channelTokens.delete(SESSION);
+
+        await host.transport.broadcastToChannel(SESSION, MANIFEST);
+        await settle();
+        expect(relay.stats.joinTokenDrops).toBe(1);
+        expect(gameServer.getRoom(ROOM_ID).state).toBe('WAITING');
+
+        host.transport.setChannelToken(SESSION, hostToken);
+        await host.transport.broadcastToChannel(SESSION, MANIFEST);
+        await vi.waitFor(() => expect(gameServer.getRoom(ROOM_ID).state).toBe('RUNNING'));
+    });
+
+    it('drops JOIN_TOKEN payloads sent by clients', async () => {
+        const host = await hostRoom();
+        const guest = await join();
+        await guest.transport.broadcastToChannel(SESSION, { type: 'JOIN_REQ', guestId: 'g1', displayName: 'Guest' });
+        await host.transport.broadcastToChannel(SESSION, { type: 'JOIN_ACK', accepted: true, assignedSlot: 1, guestId: 'g1' });
+        await vi.waitFor(() => expect(guest.types()).toContain('JOIN_ACK'));
+
+        await host.transport.broadcastToChannel(SESSION, createJoinToken({ roomId: ROOM_ID, slot: 1, token: 'bogus' }));
+        await settle();
+        expect(guest.types().filter(t => t === MSG.JOIN_TOKEN)).toHaveLength(1);
+    });
+
+    it('leaves other channels open', async () => {
+        const a = await rawSocket();
+        const b = await rawSocket();
+        a.send(JSON.stringify({ type: 'subscribe', channel: 'asterobia:lobby' }));
+        b.send(JSON.stringify({ type: 'subscribe', channel: 'asterobia:lobby' }));
+        await settle();
+        a.send(JSON.stringify({ type: 'broadcast', channel: 'asterobia:lobby', payload: { type: 'HOST_ANNOUNCE', hostId: 'x' } }));
+        await vi.waitFor(() => expect(b.frames.map(f => f.payload?.type)).toContain('HOST_ANNOUNCE'));
+        expect(relay.stats.joinTokenDrops).toBe(0);
+    });
+});
+
+// ========================================
+// Client
+// ========================================
+
+describe('SessionManager JOIN_TOKEN', () => {
+    it('hands the token for its session channel to the transport', () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const sm = new SessionManager({ clientId: 'c', _isDevMode: false });
+        const transport = { onMessage: vi.fn(), setChannelToken: vi.fn() };
+        sm.setTransport(transport);
+        sm._sessionChannel = SESSION;
+        sm.onJoinToken = vi.fn();
+
+        sm.onMessage(createJoinToken({ roomId: 'elsewhere', slot: 0, token: 't0' }));
+        expect(transport.setChannelToken).not.toHaveBeenCalled();
+
+        const msg = createJoinToken({ roomId: ROOM_ID, slot: 2, token: 't1' });
+        sm.onMessage(msg);
+        expect(transport.setChannelToken).toHaveBeenCalledWith(SESSION, 't1');
+        expect(sm.onJoinToken).toHaveBeenCalledWith(msg);
+        vi.restoreAllMocks();
+    });
+});
@@ -0,0 +1,366 @@
+/**
+ * Lag Compensation Integration Tests
+ *
+ * Tests the server's PositionHistory (per-tick positions, ~1 s, interpolated
+ * rewind, maxRewindMs cap), Room recording it under each snapshot's
+ * serverTimeMs, lag-compensated ATTACK_TARGET and PICKUP_UNIT range checks,
+ * GameServer renderTimeMs validation and the client SessionManager attaching
+ * its SnapshotBuffer render time.
+ *
+ * All tests run in-process using direct Room calls and a mock relay.
+ * Date.now is mocked so tick times are exact.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-lag-compensation.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { PositionHistory } from '../../../server/PositionHistory.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { SnapshotBuffer } from '../../../src/SimCore/net/SnapshotBuffer.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import {
+    createAttackTarget,
+    createPickupUnit,
+    validateMessage
+} from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+const T0 = 1_000_000;
+let clock = T0;
+
+/** Tick the room, advancing the mocked clock one tick per tick */
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        clock += room.simLoop.fixedDtMs;
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Gunship: shot-heavy blueprint, range-heavy weapon */
+const GUNSHIP = {
+    id: 'bp-gunship',
+    allocations: { shot: 0.8, move: 0.2 },
+    subAllocations: { shot: { range: 0.6, power: 0.3, rate: 0.1 } }
+};
+
+/** Lifter: carrier 0.5 + move 0.5 */
+const LIFTER = { id: 'bp-lifter', allocations: { carrier: 0.5, move: 0.5 } };
+
+const SITE = Vec3.normalize({ x: 0.6, y: 0.3, z: 0.7 });
+
+/** Direction `dist` world units from `dir` along a fixed tangent */
+function offsetDir(dir, dist, planetRadius = 60) {
+    const up = Vec3.normalize(dir);
+    const tangent = Vec3.normalize(Vec3.cross(up, { x: 0, y: 1, z: 0 }));
+    return Vec3.normalize(Vec3.add(up, Vec3.scale(tangent, dist / planetRadius)));
+}
+
+function at(id, ownerSlot, dir, blueprint) {
+    return { id, ownerSlot, modelIndex: 0, px: dir.x, py: dir.y, pz: dir.z, blueprint };
+}
+
+function unit(room, id) {
+    return room.units.find(u => u.id === id);
+}
+
+/** Fake unit for PositionHistory (no Room) */
+function fakeUnit(id, position) {
+    return { id, position };
+}
+
+beforeEach(() => {
+    clock = T0;
+    vi.spyOn(Date, 'now').mockImplementation(() => clock);
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+// ========================================
+// PositionHistory
+// ========================================
+
+describe('PositionHistory', () => {
+    it('keeps about one second of ticks', () => {
+        const history = new PositionHistory({ tickMs: 50 });
+        const u = fakeUnit(1, { x: 0, y: 0, z: 0 });
+        for (let t = 1; t <= 40; t++) {
+            u.position = { x: t, y: 0, z: 0 };
+            history.record(t, t * 50, [u]);
+        }
+        expect(history.capacity).toBe(21);
+        expect(history.frames.length).toBe(21);
+        expect(history.frames[0].tick).toBe(20);
+        expect(history.newest.tick).toBe(40);
+    });
+
+    it('interpolates between ticks like the client renders', () => {
+        const history = new PositionHistory({ tickMs: 50 });
+        history.record(1, 1000, [fakeUnit(1, { x: 0, y: 0, z: 0 })]);
+        history.record(2, 1050, [fakeUnit(1, { x: 10, y: 0, z: 0 })]);
+
+        expect(history.positionAt(1, 1000)).toEqual({ x: 0, y: 0, z: 0 });
+        expect(history.positionAt(1, 1025)).toEqual({ x: 5, y: 0, z: 0 });
+        expect(history.positionAt(1, 1050)).toEqual({ x: 10, y: 0, z: 0 });
+        expect(history.positionAt(99, 1025)).toBeNull();
+    });
+
+    it('clamps rewinds to maxRewindMs and never into the future', () => {
+        const history = new PositionHistory({ tickMs: 50, maxRewindMs: 200 });
+        for (let t = 0; t <= 20; t++) {
+            history.record(t, 1000 + t * 50, [fakeUnit(1, { x: t, y: 0, z: 0 })]);
+        }
+        const newest = 1000 + 20 * 50;
+
+        expect(history.clampRewindTime(newest - 150)).toBe(newest - 150);
+        expect(history.clampedCount).toBe(0);
+        expect(history.clampRewindTime(newest - 900)).toBe(newest - 200);
+        expect(history.clampedCount).toBe(1);
+        expect(history.clampRewindTime(newest + 500)).toBe(newest);
+    });
+
+    it('maxRewindMs cannot exceed the history kept', () => {
+        expect(new PositionHistory({ historyMs: 500, maxRewindMs: 5000 }).maxRewindMs).toBe(500);
+    });
+
+    it('positionOf falls back to present positions', () => {
+        const history = new PositionHistory();
+        const u = fakeUnit(1, { x: 3, y: 0, z: 0 });
+        // No render time, or no history yet
+        expect(history.positionOf(null)(u)).toBe(u.position);
+        expect(history.positionOf(500)(u)).toBe(u.position);
+
+        history.record(1, 1000, [fakeUnit(2, { x: 0, y: 0, z: 0 })]);
+        // Unit not in the history (spawned later)
+        expect(history.positionOf(1000)(u)).toBe(u.position);
+        expect(history.rewindCount).toBe(1);
+    });
+});
+
+// ========================================
+// Room
+// ========================================
+
+describe('Lag compensation: Room', () => {
+    let room;
+
+    afterEach(() => {
+        room?.stop();
+        room = null;
+    });
+
+    it('records each tick under its snapshot serverTimeMs', () => {
+        const snaps = [];
+        room = new Room('lag-record', {
+            interestManagement: false,
+            materaOptions: { depositCount: 0 },
+            broadcast: (_rid, snapshot) => snaps.push(snapshot)
+        });
+        room.createUnitsFromManifest([at(1, 0, SITE)]);
+        tickRoom(room, 3);
+
+        expect(room.positionHistory.frames.map(f => f.timeMs)).toEqual(snaps.map(s => s.serverTimeMs));
+        expect(room.positionHistory.newest.positions.get(1)).toEqual(unit(room, 1).position);
+    });
+
+    describe('ATTACK_TARGET', () => {
+        /** Shooter 1 and target 2 in range; then target 2 jumps out of range */
+        function setup() {
+            room = new Room('lag-combat', { materaOptions: { depositCount: 0 } });
+            room.createUnitsFromManifest([
+                at(1, 0, SITE, GUNSHIP),
+                at(2, 1, offsetDir(SITE, 2), GUNSHIP)
+            ]);
+            const shooter = unit(room, 1);
+            const target = unit(room, 2);
+            tickRoom(room, 2);
+            const seenAtMs = clock;
+
+            target.spawnOnSurface(offsetDir(SITE, shooter.shotStats.range * 3), room.terrain);
+            return { shooter, target, seenAtMs };
+        }
+
+        it('hits a target that was in range where the client saw it', () => {
+            const { shooter, target, seenAtMs } = setup();
+            tickRoom(room, 2);
+
+            room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2, renderTimeMs: seenAtMs });
+            tickRoom(room, 1);
+
+            expect(target.hp).toBeCloseTo(100 - shooter.shotStats.power, 10);
+        });
+
+        it('without a render time the present position decides', () => {
+            const { target } = setup();
+            tickRoom(room, 2);
+
+            room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2 });
+            tickRoom(room, 1);
+
+            expect(target.hp).toBe(100);
+        });
+
+        it('only the order\'s tick is rewound; later shots use the present', () => {
+            const { shooter, target, seenAtMs } = setup();
+            tickRoom(room, 2);
+
+            room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2, renderTimeMs: seenAtMs });
+            tickRoom(room, 1);
+            const cooldownTicks = Math.max(1, Math.round(shooter.shotStats.interval / room.simLoop.fixedDtSec));
+            tickRoom(room, cooldownTicks * 3);
+
+            expect(target.hp).toBeCloseTo(100 - shooter.shotStats.power, 10);
+            expect(shooter.attackTargetId).toBe(2);
+        });
+
+        it('a render time older than maxRewindMs is clamped (no hit)', () => {
+            const { target, seenAtMs } = setup();
+            tickRoom(room, Math.ceil(room.positionHistory.maxRewindMs / room.simLoop.fixedDtMs) + 2);
+
+            room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2, renderTimeMs: seenAtMs });
+            tickRoom(room, 1);
+
+            expect(target.hp).toBe(100);
+            expect(room.positionHistory.clampedCount).toBe(1);
+        });
+    });
+
+    describe('PICKUP_UNIT', () => {
+        /** Lifter 1 with friendly 2 in pickup range; then 2 moves out of range */
+        function setup() {
+            room = new Room('lag-carry', { materaOptions: { depositCount: 0 } });
+            room.createUnitsFromManifest([
+                at(1, 0, SITE, LIFTER),
+                at(2, 0, offsetDir(SITE, 2))
+            ]);
+            tickRoom(room, 2);
+            const seenAtMs = clock;
+            unit(room, 2).spawnOnSurface(offsetDir(SITE, 6), room.terrain);
+            tickRoom(room, 2);
+            return { seenAtMs };
+        }
+
+        it('range is judged where the client saw the target', () => {
+            const { seenAtMs } = setup();
+            room.receiveInput(0, { type: 'PICKUP_UNIT', unitId: 1, targetUnitId: 2, renderTimeMs: seenAtMs });
+            tickRoom(room, 1);
+            expect(unit(room, 2).carriedBy).toBe(1);
+        });
+
+        it('without a render time the target is out of range', () => {
+            setup();
+            room.receiveInput(0, { type: 'PICKUP_UNIT', unitId: 1, targetUnitId: 2 });
+            tickRoom(room, 1);
+            expect(unit(room, 2).carriedBy).toBeNull();
+        });
+    });
+});
+
+// ========================================
+// Protocol + GameServer + SessionManager
+// ========================================
+
+describe('Lag compensation: renderTimeMs on the wire', () => {
+    it('ATTACK_TARGET / PICKUP_UNIT carry an optional finite renderTimeMs', () => {
+        const attack = createAttackTarget({ unitId: 1, targetUnitId: 2, renderTimeMs: 12345 });
+        const pickup = createPickupUnit({ unitId: 1, targetUnitId: 2, renderTimeMs: 12345 });
+        expect(attack.renderTimeMs).toBe(12345);
+        expect(validateMessage(attack).valid).toBe(true);
+        expect(validateMessage(pickup).valid).toBe(true);
+        expect('renderTimeMs' in createAttackTarget({ unitId: 1, targetUnitId: 2 })).toBe(false);
+        expect(validateMessage({ ...attack, renderTimeMs: 'x' }).valid).toBe(false);
+        expect(validateMessage({ ...pickup, renderTimeMs: Infinity }).valid).toBe(false);
+    });
+
+    describe('GameServer', () => {
+        const ROOM_ID = 'lag-server';
+        const CHANNEL = `asterobia:session:${ROOM_ID}`;
+        let server;
+
+        afterEach(() => {
+            server?.stop();
+            server = null;
+        });
+
+        it('forwards a finite renderTimeMs and drops invalid ones', () => {
+            resetEntityIdCounter();
+            server = new GameServer({ roomOptions: { interestManagement: false } });
+            const relay = { channels: new Map(), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+            server.wireToRelay(relay);
+            server.start();
+
+            const hostWs = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+            relay.clients.set(hostWs, { id: 1 });
+            relay.channels.set(CHANNEL, new Set([hostWs]));
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, {
+                type: 'SPAWN_MANIFEST',
+                units: [{ id: 1, ownerSlot: 0, modelIndex: 0, px: 60, py: 0, pz: 0 }],
+                timestamp: Date.now()
+            });
+            const room = server.getRoom(ROOM_ID);
+            room.stop();
+            room.state = 'RUNNING'; // Ticks driven by hand
+
+            const received = [];
+            room.receiveInput = (_slot, command) => received.push(command);
+
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2, renderTimeMs: 500 });
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'PICKUP_UNIT', unitId: 1, targetUnitId: 2, renderTimeMs: 600 });
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'ATTACK_TARGET', unitId: 1, targetUnitId: 2, renderTimeMs: 'soon' });
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'PICKUP_UNIT', unitId: 1, targetUnitId: 2, renderTimeMs: null });
+
+            expect(received.map(c => c.renderTimeMs)).toEqual([500, 600, undefined, undefined]);
+        });
+    });
+
+    describe('SessionManager', () => {
+        function session(buffer) {
+            const game = { clientId: 'guest-1', _isDevMode: false, _snapshotBuffer: buffer };
+            const transport = {
+                joinChannel: vi.fn(async () => {}),
+                broadcastToChannel: vi.fn(async () => {}),
+                leaveChannel: vi.fn(async () => {}),
+                onMessage: vi.fn()
+            };
+            const sm = new SessionManager(game);
+            sm.setTransport(transport);
+            sm.state.setAsHost('guest-1', 'S', 'P');
+            sm._sessionChannel = 'asterobia:session:h';
+            return { sm, transport };
+        }
+
+        const sent = (transport, type) => transport.broadcastToChannel.mock.calls
+            .map(c => c[1])
+            .filter(m => m.type === type);
+
+        it('attaches the SnapshotBuffer render time to targeted actions', async () => {
+            const buffer = new SnapshotBuffer({ interpDelayMs: 100 });
+            // Local clock 400 ms ahead of the server
+            buffer.push({ type: 'SERVER_SNAPSHOT', version: 1, tick: 1, serverTimeMs: clock - 400, units: [] });
+            const { sm, transport } = session(buffer);
+
+            await sm.sendAttackTarget(1, 2);
+            await sm.sendPickupUnit(1, 3);
+
+            expect(sent(transport, 'ATTACK_TARGET')[0].renderTimeMs).toBe(clock - 400 - 100);
+            expect(sent(transport, 'PICKUP_UNIT')[0].renderTimeMs).toBe(clock - 400 - 100);
+        });
+
+        it('omits renderTimeMs before the first snapshot', async () => {
+            const { sm, transport } = session(new SnapshotBuffer());
+            await sm.sendAttackTarget(1, 2);
+            expect('renderTimeMs' in sent(transport, 'ATTACK_TARGET')[0]).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Load Harness Integration Tests
+ *
+ * Tests the headless bot clients (server/BotClient) and the load-test
+ * harness (server/LoadHarness): bots host and join rooms over a real
+ * WsRelay + GameServer, drive MOVE_INPUT / PATH_DATA and consume JSON or
+ * binary SERVER_SNAPSHOTs, and the report covers tick times, snapshot
+ * sizes, relay fan-out and drops. Also covers Room.recentTickDurations.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-load-harness.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { runLoadTest, percentile } from '../../../server/LoadHarness.js';
+import { Room } from '../../../server/Room.js';
+
+const ROOM_OPTIONS = {
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+describe('LoadHarness', () => {
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('runs bots across rooms and reports ticks, snapshots and fan-out', async () => {
+        const report = await runLoadTest({ bots: 4, rooms: 2, durationMs: 1000, roomOptions: ROOM_OPTIONS });
+
+        expect(report.config).toMatchObject({ bots: 4, rooms: 2, pattern: 'mixed' });
+        expect(report.ticks.count).toBeGreaterThan(20);
+        expect(report.ticks.p50Ms).toBeLessThanOrEqual(report.ticks.p95Ms);
+        expect(report.ticks.p95Ms).toBeLessThanOrEqual(report.ticks.p99Ms);
+        expect(report.ticks.p99Ms).toBeLessThanOrEqual(report.ticks.maxMs);
+
+        // Every bot (hosts and guests) gets one snapshot per tick
+        expect(report.snapshots.sent).toBeGreaterThan(40);
+        expect(report.snapshots.received).toBeGreaterThan(0);
+        expect(report.snapshots.p50Bytes).toBeGreaterThan(0);
+        expect(report.snapshots.bytes).toBeGreaterThanOrEqual(report.snapshots.p50Bytes * report.snapshots.sent / 2);
+
+        // Two players per room: every client frame reaches the other one
+        expect(report.fanOut.clientFrames).toBeGreaterThan(0);
+        expect(report.fanOut.perFrame).toBeCloseTo(1, 1);
+        expect(report.fanOut.bytesRelayed).toBeGreaterThan(0);
+        expect(report.fanOut.broadcasts).toBe(report.fanOut.clientFrames);
+
+        expect(report.drops).toEqual({ rateLimit: 0, oversize: 0, joinToken: 0, botErrors: 0, badSnapshots: 0 });
+    });
+
+    it('bots negotiate binary snapshots and acknowledge them', async () => {
+        const report = await runLoadTest({ bots: 3, rooms: 1, durationMs: 800, pattern: 'path', binarySnapshots: true, roomOptions: ROOM_OPTIONS });
+
+        expect(report.snapshots.received).toBeGreaterThan(0);
+        expect(report.drops.badSnapshots).toBe(0);
+        // Snapshot acks are client frames too, but the server consumes them unrelayed
+        expect(report.fanOut.clientFrames).toBeGreaterThan(report.snapshots.received / 2);
+        expect(report.fanOut.broadcasts).toBeLessThan(report.fanOut.clientFrames / 2);
+        expect(report.fanOut.relayed / report.fanOut.broadcasts).toBeCloseTo(2, 1);
+    });
+
+    it('counts relay rate-limit drops', async () => {
+        const report = await runLoadTest({ bots: 2, rooms: 1, durationMs: 1000, inputRateHz: 40, rateLimit: 10, pattern: 'keys', roomOptions: ROOM_OPTIONS });
+        expect(report.drops.rateLimit).toBeGreaterThan(0);
+    });
+
+    it('rejects bot / room splits it cannot run', async () => {
+        await expect(runLoadTest({ bots: 1, rooms: 2 })).rejects.toThrow(/at least one bot per room/);
+        await expect(runLoadTest({ bots: 12, rooms: 1 })).rejects.toThrow(/at most 11 bots per room/);
+        await expect(runLoadTest({ rooms: 0 })).rejects.toThrow(/positive integer/);
+    });
+
+    it('percentile uses the nearest rank', () => {
+        const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+        expect(percentile(values, 0.5)).toBe(5);
+        expect(percentile(values, 0.95)).toBe(10);
+        expect(percentile(values, 0)).toBe(1);
+        expect(percentile([], 0.5)).toBe(0);
+    });
+});
+
+describe('Room.recentTickDurations', () => {
+    it('returns the latest tick durations, oldest first', async () => {
+        const room = new Room('ticks', ROOM_OPTIONS);
+        await room.start({ autoTick: false });
+        expect(room.recentTickDurations()).toEqual([]);
+
+        for (let i = 0; i < 5; i++) room.advanceTick();
+
+        const all = room.recentTickDurations();
+        expect(all).toHaveLength(5);
+        expect(all.every(ms => ms >= 0)).toBe(true);
+        expect(all.at(-1)).toBe(room.tickStats.lastMs);
+        expect(room.recentTickDurations(2)).toEqual(all.slice(3));
+        expect(room.recentTickDurations(50)).toHaveLength(5);
+        room.stop();
+    });
+});
@@ -0,0 +1,392 @@
+/**
+ * Server Lobby Integration Tests
+ *
+ * Tests the GameServer room directory on the lobby channel: LOBBY_CREATE
+ * (settings → room config, join code, room limit, one unclaimed room per
+ * creator, freed on disconnect), LOBBY_LIST (public rooms
+ * whose host has claimed them), LOBBY_JOIN by code (NOT_FOUND, HOST_NOT_READY,
+ * ROOM_FULL), requests answered only to the sender, removal of empty rooms,
+ * and the SessionManager createRoom / listRooms / joinByCode client API.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-lobby.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GameServer } from '../../../server/GameServer.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { MSG, JOIN_CODE_ALPHABET, JOIN_CODE_LENGTH, LOBBY_ERROR_REASON } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import {
+    validateMessage,
+    normalizeJoinCode,
+    createLobbyCreate,
+    createLobbyList,
+    createLobbyJoin,
+    createLobbyRooms
+} from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+
+const LOBBY = 'asterobia:lobby';
+
+const ROOM_OPTIONS = {
+    interestManagement: false,
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+function setup(options = {}) {
+    const server = new GameServer({ roomOptions: ROOM_OPTIONS, ...options });
+    const relay = { channels: new Map(), clients: new Map(), relayed: [], _broadcast(ws, client, channel, payload) { this.relayed.push(payload); }, _handleDisconnect() {} };
+    server.wireToRelay(relay);
+    server.start();
+
+    const connect = (id) => {
+        const ws = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+        const client = { id, channels: new Set([LOBBY]) };
+        relay.clients.set(ws, client);
+        if (!relay.channels.has(LOBBY)) relay.channels.set(LOBBY, new Set());
+        relay.channels.get(LOBBY).add(ws);
+        return {
+            ws,
+            client,
+            send: (payload, channel = LOBBY) => relay._broadcast(ws, client, channel, payload),
+            lastReply: () => ws._sent[ws._sent.length - 1]?.payload,
+            disconnect: () => relay._handleDisconnect(ws)
+        };
+    };
+    return { server, relay, connect };
+}
+
+/** Create a room through the lobby and claim it with the creator's HOST_ANNOUNCE */
+function hostLobbyRoom(host, settings = {}) {
+    host.send(createLobbyCreate({ requestId: 'c', settings }));
+    const created = host.lastReply();
+    host.send({ type: MSG.HOST_ANNOUNCE, hostId: created.roomId, hostDisplayName: 'Alice' });
+    return created;
+}
+
+// ========================================
+// Server
+// ========================================
+
+describe('GameServer lobby', () => {
+    let server, relay, connect;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        ({ server, relay, connect } = setup());
+    });
+
+    afterEach(() => {
+        server.stop();
+        vi.restoreAllMocks();
+    });
+
+    it('creates a room from the settings and replies with a join code', () => {
+        const host = connect(1);
+        host.send(createLobbyCreate({ requestId: 'r1', settings: { name: '  Duel  ', maxPlayers: 2, terrainSeed: 777, physics: true } }));
+
+        const reply = host.lastReply();
+        expect(reply).toMatchObject({ type: MSG.LOBBY_CREATED, requestId: 'r1' });
+        expect(reply.joinCode).toHaveLength(JOIN_CODE_LENGTH);
+        expect([...reply.joinCode].every(c => JOIN_CODE_ALPHABET.includes(c))).toBe(true);
+        expect(reply.roomId).toBe(`room-${reply.joinCode}`);
+        expect(reply.settings).toEqual({ name: 'Duel', maxPlayers: 2, terrainSeed: 777, physics: true, public: true });
+
+        const room = server.getRoom(reply.roomId);
+        expect(room.maxPlayers).toBe(2);
+        expect(room.rockSeed).toBe(777);
+        expect(room._enablePhysics).toBe(true);
+        expect(room.state).toBe('WAITING');
+        expect(server.getRoomSummaries()[0].joinCode).toBe(reply.joinCode);
+    });
+
+    it('fills in defaults and answers only the requester', () => {
+        const host = connect(1);
+        const other = connect(2);
+        host.send(createLobbyCreate({ requestId: 'r1' }));
+
+        const { settings, joinCode } = host.lastReply();
+        expect(settings).toEqual({ name: `Room ${joinCode}`, maxPlayers: 4, terrainSeed: 12345, physics: false, public: true });
+        expect(other.ws._sent).toEqual([]);
+        expect(relay.relayed).toEqual([]);
+    });
+
+    it('rejects invalid settings and creation beyond the room limit', () => {
+        server.stop();
+        ({ server, connect } = setup({ maxRooms: 1 }));
+        const host = connect(1);
+        for (const settings of [{ maxPlayers: 0 }, { maxPlayers: 99 }, { terrainSeed: -1 }, { physics: 'yes' }, { name: 7 }, [1]]) {
+            host.send(createLobbyCreate({ requestId: 'bad', settings }));
+            expect(host.lastReply()).toMatchObject({ type: MSG.LOBBY_ERROR, requestId: 'bad', reason: LOBBY_ERROR_REASON.INVALID_REQUEST });
+        }
+        expect(server.rooms.size).toBe(0);
+
+        host.send(createLobbyCreate({ requestId: 'ok' }));
+        const other = connect(2);
+        other.send(createLobbyCreate({ requestId: 'full' }));
+        expect(other.lastReply()).toMatchObject({ requestId: 'full', reason: LOBBY_ERROR_REASON.SERVER_FULL });
+        expect(server.rooms.size).toBe(1);
+    });
+
+    it('keeps one unclaimed room per creator and frees it on disconnect', () => {
+        const host = connect(1);
+        host.send(createLobbyCreate({ requestId: 'a' }));
+        const first = host.lastReply();
+        host.send(createLobbyCreate({ requestId: 'b' }));
+        const second = host.lastReply();
+
+        // Re-creating replaces the unclaimed room (and frees its code)
+        expect(second.type).toBe(MSG.LOBBY_CREATED);
+        expect(server.getRoom(first.roomId)).toBeUndefined();
+        expect(server.rooms.size).toBe(1);
+        host.send(createLobbyJoin({ requestId: 'j', joinCode: first.joinCode }));
+        expect(host.lastReply().reason).toBe(LOBBY_ERROR_REASON.NOT_FOUND);
+
+        // A claimed room stays when its host creates another
+        host.send({ type: MSG.HOST_ANNOUNCE, hostId: second.roomId, hostDisplayName: 'Alice' });
+        host.send(createLobbyCreate({ requestId: 'c' }));
+        const third = host.lastReply();
+        expect(server.getRoom(second.roomId)).toBeDefined();
+        expect(server.rooms.size).toBe(2);
+
+        // Other creators' rooms are untouched; the creator's unclaimed one goes on disconnect
+        const other = connect(2);
+        other.send(createLobbyCreate({ requestId: 'o' }));
+        const others = other.lastReply();
+        host.disconnect();
+        expect(server.getRoom(third.roomId)).toBeUndefined();
+        expect(server.getRoom(second.roomId)).toBeDefined();
+        expect(server.getRoom(others.roomId)).toBeDefined();
+    });
+
+    it('ignores lobby requests from clients not subscribed to the lobby', () => {
+        const host = connect(1);
+        host.client.channels.clear();
+        host.send(createLobbyCreate({ requestId: 'r1' }));
+        expect(server.rooms.size).toBe(0);
+        expect(host.ws._sent).toEqual([]);
+    });
+
+    it('lets only the creator claim the host slot', () => {
+        const host = connect(1);
+        const intruder = connect(2);
+        host.send(createLobbyCreate({ requestId: 'r1' }));
+        const { roomId } = host.lastReply();
+
+        intruder.send({ type: MSG.HOST_ANNOUNCE, hostId: roomId, hostDisplayName: 'Mallory' });
+        expect(server._clientSlots.has(2)).toBe(false);
+        expect(server.getRoom(roomId).players.size).toBe(0);
+
+        host.send({ type: MSG.HOST_ANNOUNCE, hostId: roomId, hostDisplayName: 'Alice' });
+        expect(server._clientSlots.get(1)).toEqual({ roomId, slot: 0 });
+        expect([...server.getRoom(roomId).players.values()].map(p => p.name)).toEqual(['Alice']);
+
+        // Repeated announces keep the single host player
+        host.send({ type: MSG.HOST_ANNOUNCE, hostId: roomId, hostDisplayName: 'Alice' });
+        expect(server.getRoom(roomId).players.size).toBe(1);
+    });
+
+    it('lists public rooms once their host has claimed them', () => {
+        const a = connect(1);
+        const b = connect(2);
+        const c = connect(3);
+        const listed = hostLobbyRoom(a, { name: 'Open', maxPlayers: 3 });
+        hostLobbyRoom(b, { name: 'Secret', public: false });
+        c.send(createLobbyCreate({ requestId: 'unclaimed' }));
+
+        c.send(createLobbyList({ requestId: 'l1' }));
+        const reply = c.lastReply();
+        expect(reply.type).toBe(MSG.LOBBY_ROOMS);
+        expect(reply.rooms).toEqual([{
+            joinCode: listed.joinCode,
+            name: 'Open',
+            hostDisplayName: 'Alice',
+            players: 1,
+            maxPlayers: 3,
+            state: 'WAITING',
+            physics: false
+        }]);
+    });
+
+    it('resolves join codes, case-insensitively', () => {
+        const host = connect(1);
+        const guest = connect(2);
+        const created = hostLobbyRoom(host, { maxPlayers: 2, terrainSeed: 5 });
+
+        guest.send(createLobbyJoin({ requestId: 'j1', joinCode: ` ${created.joinCode.toLowerCase()} ` }));
+        expect(guest.lastReply()).toEqual(expect.objectContaining({
+            type: MSG.LOBBY_JOINED,
+            requestId: 'j1',
+            roomId: created.roomId,
+            joinCode: created.joinCode,
+            settings: created.settings
+        }));
+    });
+
+    it('refuses unknown codes, rooms without a host and full rooms', () => {
+        const host = connect(1);
+        const guest = connect(2);
+        const reasonFor = (joinCode) => {
+            guest.send(createLobbyJoin({ requestId: 'j', joinCode }));
+            return guest.lastReply().reason;
+        };
+
+        expect(reasonFor('AB')).toBe(LOBBY_ERROR_REASON.INVALID_REQUEST);
+        expect(reasonFor('I0O1L')).toBe(LOBBY_ERROR_REASON.INVALID_REQUEST);
+        expect(reasonFor('ZZZZZ')).toBe(LOBBY_ERROR_REASON.NOT_FOUND);
+
+        host.send(createLobbyCreate({ requestId: 'c', settings: { maxPlayers: 1 } }));
+        const { roomId, joinCode } = host.lastReply();
+        expect(reasonFor(joinCode)).toBe(LOBBY_ERROR_REASON.HOST_NOT_READY);
+
+        host.send({ type: MSG.HOST_ANNOUNCE, hostId: roomId, hostDisplayName: 'Alice' });
+        expect(reasonFor(joinCode)).toBe(LOBBY_ERROR_REASON.ROOM_FULL);
+
+        server.removeRoom(roomId);
+        expect(reasonFor(joinCode)).toBe(LOBBY_ERROR_REASON.NOT_FOUND);
+    });
+
+    it('removes rooms that stay empty past the timeout', () => {
+        server.stop();
+        vi.useFakeTimers();
+        try {
+            ({ server, connect } = setup({ emptyRoomTimeoutMs: 10000 }));
+            const host = connect(1);
+            const occupied = hostLobbyRoom(host);
+            const other = connect(2);
+            other.send(createLobbyCreate({ requestId: 'never-hosted' }));
+            const abandoned = other.lastReply();
+
+            vi.advanceTimersByTime(15000);
+            expect(server.getRoom(abandoned.roomId)).toBeUndefined();
+            expect(server.getRoom(occupied.roomId)).toBeDefined();
+
+            host.disconnect();
+            vi.advanceTimersByTime(5000);
+            expect(server.getRoom(occupied.roomId)).toBeDefined();
+            vi.advanceTimersByTime(10000);
+            expect(server.getRoom(occupied.roomId)).toBeUndefined();
+
+            // The code is free again
+            other.send(createLobbyJoin({ requestId: 'j', joinCode: occupied.joinCode }));
+            expect(other.lastReply().reason).toBe(LOBBY_ERROR_REASON.NOT_FOUND);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
+
+// ========================================
+// Client API
+// ========================================
+
+describe('SessionManager lobby API', () => {
+    let server, relay;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        ({ server, relay } = setup());
+    });
+
+    afterEach(() => {
+        server.stop();
+        vi.restoreAllMocks();
+    });
+
+    /** SessionManager whose transport loops through the wired relay */
+    function client(id) {
+        const game = { clientId: `client-${id}`, _isDevMode: false, rockSystem: { setSeed: vi.fn() } };
+        const sm = new SessionManager(game);
+        const relayClient = { id, channels: new Set() };
+        const ws = { readyState: 1, send: (d) => sm.onMessage(JSON.parse(d).payload) };
+        relay.clients.set(ws, relayClient);
+        sm.setTransport({
+            joinChannel: vi.fn(async (channel) => { relayClient.channels.add(channel); }),
+            leaveChannel: vi.fn(async (channel) => { relayClient.channels.delete(channel); }),
+            isJoinedToChannel: (channel) => relayClient.channels.has(channel),
+            broadcastToChannel: vi.fn(async (channel, msg) => relay._broadcast(ws, relayClient, channel, msg)),
+            onMessage: vi.fn()
+        });
+        return { sm, game, announce: (roomId) => relay._broadcast(ws, relayClient, LOBBY, { type: MSG.HOST_ANNOUNCE, hostId: roomId, hostDisplayName: 'Alice' }) };
+    }
+
+    it('creates, lists and joins rooms through the server', async () => {
+        const host = client(1);
+        const room = await host.sm.createRoom({ maxPlayers: 3, terrainSeed: 99 });
+        expect(room.joinCode).toHaveLength(JOIN_CODE_LENGTH);
+        expect(host.game.rockSystem.setSeed).toHaveBeenCalledWith(99);
+        expect(host.sm.state.maxPlayers).toBe(3);
+        host.announce(room.roomId);
+
+        const guest = client(2);
+        expect(await guest.sm.listRooms()).toEqual([expect.objectContaining({ joinCode: room.joinCode, players: 1, maxPlayers: 3 })]);
+
+        const joinGame = vi.spyOn(guest.sm, 'joinGame').mockResolvedValue(true);
+        await expect(guest.sm.joinByCode(room.joinCode.toLowerCase())).resolves.toBe(true);
+        expect(joinGame).toHaveBeenCalledWith(room.roomId);
+        expect(guest.game.rockSystem.setSeed).toHaveBeenCalledWith(99);
+        expect(guest.sm.transport.leaveChannel).toHaveBeenCalledWith(LOBBY);
+        expect(guest.sm._lobbyRequests.size).toBe(0);
+    });
+
+    it('rejects with the server reason', async () => {
+        const guest = client(2);
+        const joinGame = vi.spyOn(guest.sm, 'joinGame');
+        await expect(guest.sm.joinByCode('ZZZZZ')).rejects.toMatchObject({ reason: LOBBY_ERROR_REASON.NOT_FOUND });
+        expect(joinGame).not.toHaveBeenCalled();
+    });
+
+    it('times out without a game server and is cleared by leaveGame', async () => {
+        vi.useFakeTimers();
+        try {
+            const lonely = new SessionManager({ clientId: 'x', _isDevMode: false });
+            lonely.setTransport({ joinChannel: vi.fn(async () => {}), leaveChannel: vi.fn(async () => {}), broadcastToChannel: vi.fn(async () => {}), onMessage: vi.fn() });
+
+            const listing = lonely.listRooms();
+            const timedOut = expect(listing).rejects.toThrow(/timed out/);
+            await vi.advanceTimersByTimeAsync(5000);
+            await timedOut;
+
+            const pending = lonely.listRooms();
+            const left = expect(pending).rejects.toThrow(/Session left/);
+            await vi.advanceTimersByTimeAsync(0);
+            lonely.leaveGame();
+            await left;
+            expect(vi.getTimerCount()).toBe(0);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+
+    it('ignores replies to other clients and server-only requests', () => {
+        const { sm } = client(3);
+        expect(() => sm.onMessage(createLobbyRooms({ requestId: 'someone-else', rooms: [] }))).not.toThrow();
+        sm.onMessage(createLobbyList({ requestId: 'x' }));
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+});
+
+// ========================================
+// Messages
+// ========================================
+
+describe('Lobby messages', () => {
+    it('validate their payloads', () => {
+        expect(validateMessage(createLobbyCreate({ requestId: 'a', settings: { maxPlayers: 2 } })).valid).toBe(true);
+        expect(validateMessage(createLobbyList({ requestId: 'a' })).valid).toBe(true);
+        expect(validateMessage({ ...createLobbyCreate({ requestId: 'a' }), settings: 'x' }).valid).toBe(false);
+        expect(validateMessage({ ...createLobbyJoin({ requestId: 'a', joinCode: 'ABCDE' }), joinCode: 5 }).valid).toBe(false);
+        expect(validateMessage({ ...createLobbyRooms({ requestId: 'a', rooms: [] }), rooms: {} }).valid).toBe(false);
+    });
+
+    it('normalizes join codes', () => {
+        expect(normalizeJoinCode(' abc23 ')).toBe('ABC23');
+        expect(normalizeJoinCode('ABC2')).toBeNull();
+        expect(normalizeJoinCode('ABCD0')).toBeNull();
+        expect(normalizeJoinCode(12345)).toBeNull();
+    });
+});
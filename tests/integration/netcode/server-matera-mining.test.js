@@ -0,0 +1,344 @@
+/**
+ * MATERA_MINING Deposit World Service Integration Tests
+ *
+ * Tests the world-owned Matera deposit service: seeded placement on the
+ * terrain, continuous mining into surface piles, depletion bounds,
+ * deterministic multi-miner resolution, Room wiring (SERVER_SNAPSHOT piles),
+ * and persistence through StateSurface and the save envelope.
+ *
+ * All tests run in-process using direct Room/HeadlessUnit calls.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-matera-mining.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { ServerTerrain } from '../../../server/ServerTerrain.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { MateraDepositService } from '../../../src/SimCore/systems/MateraDepositService.js';
+import { globalRNG } from '../../../src/SimCore/runtime/SeededRNG.js';
+import { serializeState, hashState } from '../../../src/SimCore/runtime/StateSurface.js';
+import { SaveManager } from '../../../src/SimCore/persistence/SaveManager.js';
+import { validateSaveEnvelope } from '../../../src/SimCore/persistence/SaveSchema.js';
+import { MemoryStorageAdapter } from '../../../src/SimCore/persistence/StorageAdapter.js';
+import { FeatureRegistry } from '../../../src/SimCore/domain/FeatureRegistry.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Miner: mining-heavy blueprint (2 features → 125% specialization) */
+const MINER = {
+    id: 'bp-miner',
+    allocations: { mining: 0.8, move: 0.2 }
+};
+
+/** Scout: no mining allocation */
+const SCOUT = {
+    id: 'bp-scout',
+    allocations: { move: 0.5, vision: 0.5 }
+};
+
+/** Spawn a unit directly above a deposit's outcrop */
+function spawnOnDeposit(room, id, deposit, blueprint = MINER, ownerSlot = 0) {
+    const [unit] = room.createUnitsFromManifest([{
+        id, ownerSlot, modelIndex: 0,
+        px: deposit.position.x, py: deposit.position.y, pz: deposit.position.z,
+        blueprint
+    }]);
+    return unit;
+}
+
+/** Sum of remaining deposit amount + all pile amounts (conservation check) */
+function totalMatera(service) {
+    const deposits = service.getDeposits().reduce((s, d) => s + d.remainingAmount, 0);
+    const piles = service.getPiles().reduce((s, p) => s + p.amount, 0);
+    return deposits + piles;
+}
+
+// ========================================
+// 1. Placement
+// ========================================
+
+describe('MATERA_MINING: deposit placement', () => {
+    const terrain = new ServerTerrain();
+
+    it('same seed produces identical deposits', () => {
+        const a = new MateraDepositService({ seed: 42, terrain });
+        const b = new MateraDepositService({ seed: 42, terrain });
+        expect(a.placeDeposits()).toEqual(b.placeDeposits());
+    });
+
+    it('different seeds produce different deposits', () => {
+        const a = new MateraDepositService({ seed: 1, terrain }).placeDeposits();
+        const b = new MateraDepositService({ seed: 2, terrain }).placeDeposits();
+        expect(a[0].position).not.toEqual(b[0].position);
+    });
+
+    it('places depositCount deposits with sequential IDs', () => {
+        const service = new MateraDepositService({ seed: 7, terrain, depositCount: 5 });
+        const deposits = service.placeDeposits();
+        expect(deposits.map(d => d.id)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('outcrops lie on the terrain surface, centers below it', () => {
+        const service = new MateraDepositService({ seed: 7, terrain });
+        for (const d of service.placeDeposits()) {
+            const dir = Vec3.normalize(d.position);
+            expect(Vec3.length(d.position)).toBeCloseTo(terrain.getRadiusAt(dir), 6);
+            expect(Vec3.length(d.center)).toBeCloseTo(Vec3.length(d.position) - d.depth, 6);
+            expect(d.remainingAmount).toBe(d.totalAmount);
+        }
+    });
+
+    it('placement does not consume the global RNG', () => {
+        const before = globalRNG.callCount;
+        new MateraDepositService({ seed: 99, terrain }).placeDeposits();
+        expect(globalRNG.callCount).toBe(before);
+    });
+
+    it('placement without terrain throws', () => {
+        expect(() => new MateraDepositService({ seed: 1 }).placeDeposits()).toThrow();
+    });
+
+    it('mining is a registered Logistics feature', () => {
+        expect(FeatureRegistry.has('mining')).toBe(true);
+        expect(FeatureRegistry.get('mining').category).toBe('Logistics');
+    });
+});
+
+// ========================================
+// 2. Mining
+// ========================================
+
+describe('MATERA_MINING: extraction', () => {
+    it('stationary miner above a deposit drains it into a pile', () => {
+        const room = new Room('mine-basic', { mapSeed: 3 });
+        const deposit = room.matera.getDeposits()[0];
+        const miner = spawnOnDeposit(room, 1, deposit);
+
+        tickRoom(room, 20);
+
+        const piles = room.matera.getPiles();
+        expect(piles).toHaveLength(1);
+        expect(piles[0].depositId).toBe(deposit.id);
+
+        // output = baseMiningRateAt100 * mining/100 * elapsed
+        const expected = room.matera.baseMiningRateAt100 * (miner.effectiveStats.mining / 100) * 20 * room.simLoop.fixedDtSec;
+        expect(piles[0].amount).toBeCloseTo(expected, 9);
+        expect(deposit.remainingAmount).toBeCloseTo(deposit.totalAmount - expected, 9);
+    });
+
+    it('pile spawns near the miner, on the terrain surface', () => {
+        const room = new Room('mine-pile', { mapSeed: 3 });
+        const deposit = room.matera.getDeposits()[0];
+        const miner = spawnOnDeposit(room, 1, deposit);
+
+        tickRoom(room, 1);
+
+        const pile = room.matera.getPiles()[0];
+        const dist = Vec3.length(Vec3.sub(pile.position, miner.position));
+        expect(dist).toBeLessThan(room.matera.pileMergeRadius);
+        expect(Vec3.length(pile.position)).toBeCloseTo(room.terrain.getRadiusAt(Vec3.normalize(pile.position)), 6);
+    });
+
+    it('continued mining grows the same pile', () => {
+        const room = new Room('mine-grow', { mapSeed: 3 });
+        spawnOnDeposit(room, 1, room.matera.getDeposits()[0]);
+
+        tickRoom(room, 5);
+        const first = room.matera.getPiles()[0].amount;
+        tickRoom(room, 5);
+
+        expect(room.matera.getPiles()).toHaveLength(1);
+        expect(room.matera.getPiles()[0].amount).toBeGreaterThan(first);
+    });
+
+    it('unit without a mining allocation produces nothing', () => {
+        const room = new Room('mine-scout', { mapSeed: 3 });
+        spawnOnDeposit(room, 1, room.matera.getDeposits()[0], SCOUT);
+
+        tickRoom(room, 20);
+        expect(room.matera.getPiles()).toHaveLength(0);
+    });
+
+    it('no deposit under the miner produces nothing (no empty piles)', () => {
+        const room = new Room('mine-empty', { mapSeed: 3, materaOptions: { depositCount: 0 } });
+        room.createUnitsFromManifest([{ id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0, blueprint: MINER }]);
+
+        tickRoom(room, 20);
+        expect(room.matera.getPiles()).toHaveLength(0);
+    });
+
+    it('moving or disabled miners do not mine', () => {
+        const room = new Room('mine-idle', { mapSeed: 3 });
+        const deposit = room.matera.getDeposits()[0];
+        const miner = spawnOnDeposit(room, 1, deposit);
+
+        miner.speed = 2;
+        expect(room.matera.canMine(miner)).toBe(false);
+
+        miner.speed = 0;
+        miner.takeDamage(1000);
+        tickRoom(room, 10);
+        expect(room.matera.getPiles()).toHaveLength(0);
+        expect(deposit.remainingAmount).toBe(deposit.totalAmount);
+    });
+
+    it('mining is bounded by remainingAmount and reports exhaustion once', () => {
+        const room = new Room('mine-exhaust', {
+            mapSeed: 3,
+            materaOptions: { baseMiningRateAt100: 100, placement: { amount: [10, 10] } }
+        });
+        const deposit = room.matera.getDeposits()[0];
+        spawnOnDeposit(room, 1, deposit);
+
+        const exhaustedTicks = [];
+        for (let i = 0; i < 20; i++) {
+            tickRoom(room, 1);
+            if (room._miningEvents.exhausted.includes(deposit.id)) exhaustedTicks.push(i);
+        }
+
+        expect(exhaustedTicks).toHaveLength(1);
+        expect(deposit.remainingAmount).toBe(0);
+        expect(room.matera.getPiles()[0].amount).toBeCloseTo(10, 9);
+        expect(room.matera.findDepositBelow(deposit.position)).toBeNull();
+    });
+
+    it('multiple miners on one deposit conserve Matera', () => {
+        const room = new Room('mine-multi', {
+            mapSeed: 3,
+            materaOptions: { baseMiningRateAt100: 40, placement: { amount: [25, 25] } }
+        });
+        const deposit = room.matera.getDeposits()[0];
+        spawnOnDeposit(room, 2, deposit);
+        spawnOnDeposit(room, 1, deposit, MINER, 1);
+
+        const before = totalMatera(room.matera);
+        tickRoom(room, 30);
+
+        expect(deposit.remainingAmount).toBe(0);
+        expect(totalMatera(room.matera)).toBeCloseTo(before, 9);
+    });
+
+    it('miners are resolved in unit ID order', () => {
+        const room = new Room('mine-order', { mapSeed: 3 });
+        const deposit = room.matera.getDeposits()[0];
+        spawnOnDeposit(room, 9, deposit);
+        spawnOnDeposit(room, 4, deposit);
+
+        tickRoom(room, 1);
+        expect(room._miningEvents.mined.map(e => e.unitId)).toEqual([4, 9]);
+    });
+});
+
+// ========================================
+// 3. Room wiring
+// ========================================
+
+describe('MATERA_MINING: Room integration', () => {
+    it('same mapSeed gives identical deposits across rooms', () => {
+        const a = new Room('seed-a', { mapSeed: 11 });
+        const b = new Room('seed-b', { mapSeed: 11 });
+        expect(a.matera.getDeposits()).toEqual(b.matera.getDeposits());
+    });
+
+    it('SERVER_SNAPSHOT includes piles only on mining ticks', () => {
+        const sent = [];
+        const room = new Room('snap-piles', { mapSeed: 3, broadcast: (id, msg) => sent.push(msg) });
+
+        tickRoom(room, 1);
+        expect(sent[0].piles).toBeUndefined();
+
+        spawnOnDeposit(room, 1, room.matera.getDeposits()[0]);
+        tickRoom(room, 1);
+
+        const snap = sent[1];
+        expect(snap.piles).toHaveLength(1);
+        expect(snap.piles[0]).toEqual(expect.objectContaining({ id: 1, px: expect.any(Number), amount: expect.any(Number) }));
+        expect(snap.deposits).toBeUndefined();
+    });
+
+    it('getSnapshot lists all piles', () => {
+        const room = new Room('full-snap', { mapSeed: 3 });
+        spawnOnDeposit(room, 1, room.matera.getDeposits()[0]);
+        tickRoom(room, 3);
+        expect(room.getSnapshot().piles).toHaveLength(1);
+    });
+});
+
+// ========================================
+// 4. Persistence
+// ========================================
+
+describe('MATERA_MINING: persistence', () => {
+    it('serialize/restore round-trips deposits, piles and pile IDs', () => {
+        const room = new Room('persist-rt', { mapSeed: 3 });
+        spawnOnDeposit(room, 1, room.matera.getDeposits()[0]);
+        tickRoom(room, 10);
+
+        const data = JSON.parse(JSON.stringify(room.matera.serialize()));
+        const restored = new MateraDepositService();
+        restored.restore(data);
+
+        expect(restored.serialize()).toEqual(room.matera.serialize());
+        expect(restored._nextPileId).toBe(room.matera._nextPileId);
+    });
+
+    it('serializeState includes Matera state and hashState tracks depletion', () => {
+        const room = new Room('persist-hash', { mapSeed: 3 });
+        spawnOnDeposit(room, 1, room.matera.getDeposits()[0]);
+
+        const before = hashState(serializeState(room));
+        tickRoom(room, 1);
+        room.simLoop.tickCount = 0; // isolate the Matera contribution
+        const state = serializeState(room);
+
+        expect(state.matera.deposits).toHaveLength(room.matera.depositCount);
+        expect(state.matera.piles).toHaveLength(1);
+        expect(hashState(state)).not.toBe(before);
+    });
+
+    it('save envelope carries Matera state and load restores it', () => {
+        const room = new Room('persist-save', { mapSeed: 3 });
+        spawnOnDeposit(room, 1, room.matera.getDeposits()[0]);
+        tickRoom(room, 10);
+
+        const storage = new MemoryStorageAdapter();
+        expect(new SaveManager(room, storage).save('slot1').success).toBe(true);
+
+        const envelope = storage.load('slot1').data;
+        expect(validateSaveEnvelope(envelope).valid).toBe(true);
+        expect(envelope.state.game.matera.piles).toHaveLength(1);
+
+        const fresh = new Room('persist-load', { mapSeed: 3 });
+        const result = new SaveManager(fresh, storage).load('slot1', {
+            createUnit: () => null
+        });
+        expect(result.success).toBe(true);
+        expect(fresh.matera.serialize()).toEqual(room.matera.serialize());
+    });
+
+    it('envelope with malformed Matera state is rejected', () => {
+        const envelope = {
+            format: 'asterobia-save',
+            schemaVersion: 1,
+            state: {
+                game: { units: [], matera: { deposits: 'bad' } },
+                simLoop: { tickCount: 0 },
+                rng: { seed: 0 },
+                entityIdCounter: 1
+            }
+        };
+        expect(validateSaveEnvelope(envelope).valid).toBe(false);
+    });
+});
@@ -0,0 +1,470 @@
+/**
+ * MATERA_TRANSPORT Cargo + Logistics Integration Tests
+ *
+ * Tests the canonical cargo slowdown formula (StatsEngine), its use on the
+ * server (HeadlessUnit.getMoveSpeed) and client (UnitTypeBinder.applyMoveSpeed)
+ * movement paths, pile pickup / depot unload in MateraLogisticsService, and a
+ * full mining → transport loop on a closed PATH_DATA route, also through
+ * GameServer with its per-slot home depots.
+ *
+ * All tests run in-process using direct Room/HeadlessUnit calls or a mock relay.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-matera-transport.test.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { HeadlessUnit } from '../../../server/HeadlessUnit.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { StatsEngine } from '../../../src/SimCore/rules/StatsEngine.js';
+import { UnitModel } from '../../../src/SimCore/domain/UnitModel.js';
+import { applyMoveSpeed, getCargoSpeedFactor, setCargo } from '../../../src/SimCore/runtime/UnitTypeBinder.js';
+import { MateraLogisticsService } from '../../../src/SimCore/systems/MateraLogisticsService.js';
+import { serializeState } from '../../../src/SimCore/runtime/StateSurface.js';
+import { SaveManager } from '../../../src/SimCore/persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../../../src/SimCore/persistence/StorageAdapter.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Hauler: transport 0.5 + move 0.5 → rating 62.5, capacity 62.5, efficiency 0.625 */
+const HAULER = {
+    id: 'bp-hauler',
+    allocations: { transport: 0.5, move: 0.5 }
+};
+
+/** Miner: mining-heavy blueprint */
+const MINER = {
+    id: 'bp-miner',
+    allocations: { mining: 0.8, move: 0.2 }
+};
+
+/** Surface point `dist` world units from `position` along a fixed tangent */
+function offsetOnSurface(room, position, dist) {
+    const up = Vec3.normalize(position);
+    const tangent = Vec3.normalize(Vec3.cross(up, { x: 0, y: 1, z: 0 }));
+    const dir = Vec3.normalize(Vec3.add(position, Vec3.scale(tangent, dist)));
+    return Vec3.scale(dir, room.terrain.getRadiusAt(dir));
+}
+
+/** Matera in deposits + piles + cargo + depots (conservation check) */
+function totalMatera(room) {
+    const deposits = room.matera.getDeposits().reduce((s, d) => s + d.remainingAmount, 0);
+    const piles = room.matera.getPiles().reduce((s, p) => s + p.amount, 0);
+    const cargo = room.units.reduce((s, u) => s + u.cargo, 0);
+    const depots = room.logistics.getDepots().reduce((s, d) => s + d.inventory, 0);
+    return deposits + piles + cargo + depots;
+}
+
+/** Room with one miner on deposit 1 that has already produced a pile */
+function roomWithPile(id, ticks = 20) {
+    const room = new Room(id, { mapSeed: 3, materaOptions: { baseMiningRateAt100: 20 } });
+    const deposit = room.matera.getDeposits()[0];
+    room.createUnitsFromManifest([{
+        id: 1, ownerSlot: 0, modelIndex: 0,
+        px: deposit.position.x, py: deposit.position.y, pz: deposit.position.z,
+        blueprint: MINER
+    }]);
+    tickRoom(room, ticks);
+    return { room, deposit, pile: room.matera.getPiles()[0] };
+}
+
+// ========================================
+// 1. Slowdown formula
+// ========================================
+
+describe('MATERA_TRANSPORT: slowdown formula', () => {
+    const engine = new StatsEngine();
+
+    it('empty cargo → no slowdown', () => {
+        expect(engine.computeTransportSpeedFactor(0.4, 0)).toBe(1.0);
+    });
+
+    it('full cargo → factor equals transportEff', () => {
+        expect(engine.computeTransportSpeedFactor(0.4, 1)).toBeCloseTo(0.4, 12);
+    });
+
+    it('half cargo → half the slowdown', () => {
+        expect(engine.computeTransportSpeedFactor(0.4, 0.5)).toBeCloseTo(0.5 * (1 + 0.4), 12);
+    });
+
+    it('cargo fill is clamped to 0..1', () => {
+        expect(engine.computeTransportSpeedFactor(0.4, 3)).toBeCloseTo(0.4, 12);
+        expect(engine.computeTransportSpeedFactor(0.4, -1)).toBe(1.0);
+    });
+
+    it('capacity scales with TransportScalar, efficiency clamps at 1', () => {
+        expect(engine.computeTransportStats(62.5)).toEqual({ capacity: 62.5, efficiency: 0.625 });
+        expect(engine.computeTransportStats(150).efficiency).toBe(1);
+    });
+});
+
+// ========================================
+// 2. Client movement path (UnitTypeBinder)
+// ========================================
+
+describe('MATERA_TRANSPORT: client UnitModel speed', () => {
+    const engine = new StatsEngine();
+
+    function hauler() {
+        const model = new UnitModel({ id: 'unit-h' });
+        model.effectiveStats.move = 6.25;
+        model.transportStats = engine.computeTransportStats(62.5);
+        return model;
+    }
+
+    it('units without transport are never slowed', () => {
+        const model = new UnitModel({ id: 'unit-s' });
+        model.cargo = 50;
+        expect(getCargoSpeedFactor(model, engine)).toBe(1.0);
+    });
+
+    it('applyMoveSpeed applies the cargo slowdown on top of the blueprint speed', () => {
+        const model = hauler();
+        model.cargo = model.transportStats.capacity;
+        applyMoveSpeed(model, 6.25, engine);
+
+        expect(model.speed).toBeCloseTo(6.25 * 0.625, 9);
+        expect(model.effectiveStats.move).toBe(6.25);
+    });
+
+    it('setCargo clamps to capacity and re-applies speed', () => {
+        const model = hauler();
+        expect(setCargo(model, 1000, engine)).toBeCloseTo(62.5, 9);
+        expect(model.speed).toBeCloseTo(6.25 * 0.625, 9);
+
+        setCargo(model, 0, engine);
+        expect(model.speed).toBeCloseTo(6.25, 9);
+    });
+
+    it('UnitModel serializes cargo', () => {
+        const model = hauler();
+        setCargo(model, 10, engine);
+        const copy = new UnitModel({ id: 'unit-copy' });
+        copy.deserialize(model.serialize());
+        expect(copy.cargo).toBe(10);
+    });
+});
+
+// ========================================
+// 3. Server movement path (HeadlessUnit)
+// ========================================
+
+describe('MATERA_TRANSPORT: HeadlessUnit cargo', () => {
+    const engine = new StatsEngine();
+
+    function boundHauler() {
+        const room = new Room('hauler', { materaOptions: { depositCount: 0 } });
+        const [unit] = room.createUnitsFromManifest([
+            { id: 5, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0, blueprint: HAULER }
+        ]);
+        return { room, unit };
+    }
+
+    it('bindBlueprint derives transport stats', () => {
+        const { unit } = boundHauler();
+        expect(unit.transportStats.capacity).toBeCloseTo(62.5, 9);
+        expect(unit.transportStats.efficiency).toBeCloseTo(0.625, 9);
+        expect(unit.cargoSpeedFactor).toBe(1.0);
+    });
+
+    it('getMoveSpeed follows the cargo fill', () => {
+        const { unit } = boundHauler();
+        unit.setCargo(unit.transportStats.capacity / 2);
+        const expected = HeadlessUnit.MOVE_SPEED * engine.computeTransportSpeedFactor(0.625, 0.5);
+        expect(unit.getMoveSpeed()).toBeCloseTo(expected, 9);
+    });
+
+    it('units without transport cannot hold cargo', () => {
+        const unit = new HeadlessUnit(9, 0);
+        expect(unit.setCargo(10)).toBe(0);
+        expect(unit.getMoveSpeed()).toBe(HeadlessUnit.MOVE_SPEED);
+    });
+
+    it('WASD velocity is slowed by cargo', () => {
+        const { unit } = boundHauler();
+        unit.setCargo(unit.transportStats.capacity);
+        unit.applyInput({ type: 'MOVE_INPUT', forward: true });
+        expect(Vec3.length(unit.velocity)).toBeCloseTo(HeadlessUnit.MOVE_SPEED * 0.625, 9);
+    });
+
+    it('loading mid-move rescales an active WASD velocity', () => {
+        const { unit } = boundHauler();
+        unit.applyInput({ type: 'MOVE_INPUT', forward: true });
+        unit.setCargo(unit.transportStats.capacity);
+        expect(unit.speed).toBeCloseTo(HeadlessUnit.MOVE_SPEED * 0.625, 9);
+        expect(Vec3.length(unit.velocity)).toBeCloseTo(HeadlessUnit.MOVE_SPEED * 0.625, 9);
+    });
+
+    it('path-follow step shrinks when loaded', () => {
+        const { room, unit } = boundHauler();
+        const target = offsetOnSurface(room, unit.position, 20);
+
+        unit.setPath([target], false);
+        const start = { ...unit.position };
+        tickRoom(room, 1);
+        const emptyStep = Vec3.length(Vec3.sub(unit.position, start));
+
+        unit.position = start;
+        unit.setCargo(unit.transportStats.capacity);
+        unit.setPath([target], false);
+        tickRoom(room, 1);
+        const loadedStep = Vec3.length(Vec3.sub(unit.position, start));
+
+        expect(loadedStep / emptyStep).toBeCloseTo(0.625, 2);
+    });
+
+    it('snapshot carries cargo only for transport-capable units', () => {
+        const { unit } = boundHauler();
+        unit.setCargo(20);
+        expect(unit.toSnapshot().cargo).toBe(20);
+        expect(unit.toSnapshot().cargoFactor).toBeLessThan(1);
+        expect(new HeadlessUnit(9, 0).toSnapshot().cargo).toBeUndefined();
+    });
+});
+
+// ========================================
+// 4. Pickup / unload
+// ========================================
+
+describe('MATERA_TRANSPORT: pickup and unload', () => {
+    it('hauler at a pile picks up, bounded by capacity', () => {
+        const { room, pile } = roomWithPile('pickup', 100);
+        const before = pile.amount;
+        expect(before).toBeGreaterThan(62.5);
+
+        const [hauler] = room.createUnitsFromManifest([
+            { id: 2, ownerSlot: 0, modelIndex: 0, px: pile.position.x, py: pile.position.y, pz: pile.position.z, blueprint: HAULER }
+        ]);
+        room.matera.baseMiningRateAt100 = 0;
+        tickRoom(room, 1);
+
+        expect(hauler.cargo).toBeCloseTo(62.5, 9);
+        expect(room.matera.getPiles()[0].amount).toBeCloseTo(before - 62.5, 9);
+        expect(room._logisticsEvents.pickups).toEqual([{ unitId: 2, pileId: pile.id, amount: expect.any(Number) }]);
+    });
+
+    it('emptied piles are removed and reported in the snapshot', () => {
+        const sent = [];
+        const room = new Room('pile-empty', {
+            mapSeed: 3,
+            materaOptions: { baseMiningRateAt100: 20 },
+            broadcast: (id, msg) => sent.push(msg)
+        });
+        const deposit = room.matera.getDeposits()[0];
+        const [miner] = room.createUnitsFromManifest([{
+            id: 1, ownerSlot: 0, modelIndex: 0,
+            px: deposit.position.x, py: deposit.position.y, pz: deposit.position.z, blueprint: MINER
+        }]);
+        tickRoom(room, 5);
+        miner.disabled = true; // stop mining
+        const pile = room.matera.getPiles()[0];
+
+        room.createUnitsFromManifest([
+            { id: 2, ownerSlot: 0, modelIndex: 0, px: pile.position.x, py: pile.position.y, pz: pile.position.z, blueprint: HAULER }
+        ]);
+        tickRoom(room, 1);
+
+        expect(room.matera.getPiles()).toHaveLength(0);
+        expect(sent[sent.length - 1].removedPiles).toEqual([pile.id]);
+    });
+
+    it('unloads only at the owner\'s depot', () => {
+        const room = new Room('unload', { materaOptions: { depositCount: 0 } });
+        const [hauler] = room.createUnitsFromManifest([
+            { id: 2, ownerSlot: 1, modelIndex: 0, px: 1, py: 0, pz: 0, blueprint: HAULER }
+        ]);
+        hauler.setCargo(30);
+
+        const foreign = room.addDepot(0, { x: 1, y: 0, z: 0 });
+        tickRoom(room, 1);
+        expect(hauler.cargo).toBe(30);
+
+        const own = room.addDepot(1, { x: 1, y: 0, z: 0 });
+        tickRoom(room, 1);
+        expect(hauler.cargo).toBe(0);
+        expect(hauler.cargoSpeedFactor).toBe(1.0);
+        expect(room.logistics.depots.get(own).inventory).toBe(30);
+        expect(room.logistics.depots.get(foreign).inventory).toBe(0);
+        expect(room.logistics.getInventory(1)).toBe(30);
+    });
+
+    it('disabled haulers do nothing', () => {
+        const logistics = new MateraLogisticsService();
+        logistics.addDepot(0, { x: 0, y: 60, z: 0 });
+        const unit = { id: 1, ownerSlot: 0, position: { x: 0, y: 60, z: 0 }, disabled: true, cargo: 5,
+            transportStats: { capacity: 10, efficiency: 0.5 }, setCargo(v) { this.cargo = v; } };
+        expect(logistics.resolveTick([unit], null).unloads).toHaveLength(0);
+        expect(unit.cargo).toBe(5);
+    });
+
+    it('depot cap is enforced', () => {
+        const logistics = new MateraLogisticsService({ maxDepots: 1 });
+        expect(logistics.addDepot(0, { x: 0, y: 60, z: 0 })).toBe(1);
+        expect(logistics.addDepot(0, { x: 0, y: 60, z: 0 })).toBeNull();
+    });
+});
+
+// ========================================
+// 5. Logistics loop (closed PATH_DATA)
+// ========================================
+
+describe('MATERA_TRANSPORT: logistics loop', () => {
+    function runLoop(id) {
+        const { room, pile } = roomWithPile(id);
+        const depotPos = offsetOnSurface(room, pile.position, 12);
+        room.addDepot(0, depotPos);
+
+        const [hauler] = room.createUnitsFromManifest([
+            { id: 2, ownerSlot: 0, modelIndex: 0, px: depotPos.x, py: depotPos.y, pz: depotPos.z, blueprint: HAULER }
+        ]);
+        room.receiveInput(0, {
+            type: 'PATH_DATA', unitId: 2, closed: true,
+            waypoints: [{ ...pile.position }, { ...depotPos }]
+        });
+        return { room, hauler };
+    }
+
+    it('mined Matera reaches the depot and nothing is created', () => {
+        const { room } = runLoop('loop');
+        const before = totalMatera(room);
+
+        tickRoom(room, 400);
+
+        expect(room.logistics.getInventory(0)).toBeGreaterThan(0);
+        // Mining drains the deposit; transport only moves Matera around
+        expect(totalMatera(room)).toBeCloseTo(before, 6);
+    });
+
+    it('hauler moves slower on loaded legs', () => {
+        const { room, hauler } = runLoop('loop-speed');
+        const speeds = { loaded: [], empty: [] };
+
+        for (let i = 0; i < 300; i++) {
+            tickRoom(room, 1);
+            if (hauler.speed > 0) {
+                (hauler.cargo > 0 ? speeds.loaded : speeds.empty).push(hauler.speed);
+            }
+        }
+
+        expect(speeds.loaded.length).toBeGreaterThan(0);
+        expect(speeds.empty.length).toBeGreaterThan(0);
+        expect(Math.max(...speeds.loaded)).toBeLessThan(HeadlessUnit.MOVE_SPEED);
+        expect(Math.min(...speeds.empty)).toBe(HeadlessUnit.MOVE_SPEED);
+    });
+
+    it('two identical rooms produce identical logistics state', () => {
+        const a = runLoop('det-a').room;
+        const b = runLoop('det-b').room;
+        tickRoom(a, 250);
+        tickRoom(b, 250);
+        expect(a.logistics.serialize()).toEqual(b.logistics.serialize());
+        expect(a.matera.serialize()).toEqual(b.matera.serialize());
+    });
+});
+
+describe('MATERA_TRANSPORT: GameServer home depots', () => {
+    const ROOM_ID = 'haul-room';
+    const CHANNEL = `asterobia:session:${ROOM_ID}`;
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('gives every slot a home depot and runs the loop over closed PATH_DATA', () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        resetEntityIdCounter();
+        const server = new GameServer({ roomOptions: { mapSeed: 3, materaOptions: { baseMiningRateAt100: 20 }, rockOptions: { count: 0 } } });
+        const relay = { channels: new Map([[CHANNEL, new Set()]]), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+
+        const connect = (id) => {
+            const ws = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+            const client = { id, channels: new Set([CHANNEL]) };
+            relay.clients.set(ws, client);
+            relay.channels.get(CHANNEL).add(ws);
+            return { ws, send: payload => relay._broadcast(ws, client, CHANNEL, payload) };
+        };
+        const host = connect(1);
+        host.send({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        const room = server.getRoom(ROOM_ID);
+        const deposit = room.matera.getDeposits()[0];
+        const home = offsetOnSurface(room, deposit.position, 12);
+
+        // The hauler is the host's first unit: the home depot goes there
+        host.send({
+            type: 'SPAWN_MANIFEST',
+            units: [
+                { id: 1, ownerSlot: 0, modelIndex: 0, px: home.x, py: home.y, pz: home.z, blueprint: HAULER },
+                { id: 2, ownerSlot: 0, modelIndex: 0, px: deposit.position.x, py: deposit.position.y, pz: deposit.position.z, blueprint: MINER }
+            ]
+        });
+        room.stop();
+        room.state = 'RUNNING'; // Ticks driven by hand
+        const [depot] = room.logistics.getDepots();
+        expect(depot).toMatchObject({ ownerSlot: 0, inventory: 0 });
+        expect(Vec3.length(Vec3.sub(depot.position, room.units[0].position))).toBeLessThan(1e-6);
+
+        // A guest joining gets its own depot
+        host.send({ type: 'JOIN_ACK', accepted: true, assignedSlot: 1, guestId: 'g1' });
+        expect(room.logistics.getDepots().map(d => d.ownerSlot)).toEqual([0, 1]);
+
+        // New depots reach the clients with the next snapshot
+        tickRoom(room, 20);
+        const snapshots = host.ws._sent.map(m => m.payload).filter(p => p?.type === 'SERVER_SNAPSHOT');
+        expect(snapshots[0].depots.map(d => d.ownerSlot)).toContain(0);
+        expect(snapshots.slice(1).some(p => p.depots)).toBe(false);
+
+        const pile = room.matera.getPiles()[0];
+        host.send({ type: 'PATH_DATA', unitId: 1, closed: true, waypoints: [{ ...pile.position }, { ...depot.position }] });
+        tickRoom(room, 400);
+        expect(room.logistics.getInventory(0)).toBeGreaterThan(0);
+        server.stop();
+    });
+});
+
+// ========================================
+// 6. Persistence
+// ========================================
+
+describe('MATERA_TRANSPORT: persistence', () => {
+    it('serializeState carries cargo and depot inventories', () => {
+        const room = new Room('persist', { materaOptions: { depositCount: 0 } });
+        const [hauler] = room.createUnitsFromManifest([
+            { id: 2, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0, blueprint: HAULER }
+        ]);
+        hauler.setCargo(12);
+        room.addDepot(0, { x: 0, y: 1, z: 0 });
+
+        const state = serializeState(room);
+        expect(state.units[0].cargo).toBe(12);
+        expect(state.logistics.depots).toHaveLength(1);
+    });
+
+    it('save/load restores depot inventories', () => {
+        const room = new Room('persist-save', { materaOptions: { depositCount: 0 } });
+        const depotId = room.addDepot(0, { x: 0, y: 1, z: 0 });
+        room.logistics.depots.get(depotId).inventory = 42;
+
+        const storage = new MemoryStorageAdapter();
+        new SaveManager(room, storage).save('slot1');
+
+        const fresh = new Room('persist-load', { materaOptions: { depositCount: 0 } });
+        expect(new SaveManager(fresh, storage).load('slot1').success).toBe(true);
+        expect(fresh.logistics.getInventory(0)).toBe(42);
+        expect(fresh.logistics.serialize()).toEqual(room.logistics.serialize());
+    });
+});
@@ -0,0 +1,339 @@
+/**
+ * Server MOVE_TO Integration Tests
+ *
+ * Tests the shared navigation core (SimCore NavGraph + NavPlanner:
+ * node walkability, A*, zone rules, local refinement around rocks), Room
+ * planning MOVE_TO routes itself, GameServer validation, the MOVE_TO
+ * message and SessionManager.sendMoveTo.
+ *
+ * Uses the ramp terrain of the water tests (ground rises 3 m from x = 0 to
+ * x = 1 along the equator, water level 1.5 m): a dry cap around +x, deep
+ * water beyond ~70° from it. One test rock sits on the equator at +x, so
+ * the straight line from -15° to +15° runs through it.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-move-to.test.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { NavGraph } from '../../../src/SimCore/systems/NavGraph.js';
+import { NavPlanner } from '../../../src/SimCore/systems/NavPlanner.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { DEFAULT_WATER_LEVEL, isUnderwater } from '../../../src/SimCore/systems/WaterRules.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { createMoveTo, validateMessage } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { MSG } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+/** Ground rises 3 m along +x; radial normals */
+const RAMP = {
+    params: { radius: 60, waterLevel: DEFAULT_WATER_LEVEL },
+    getRadiusAt: dir => 60 + 3 * dir.x,
+    getNormalAt: p => Vec3.normalize(p)
+};
+
+/** Small navmesh: fast to build, still ~13 m between neighbors */
+const NAV_MESH_OPTIONS = { nodeCount: 800 };
+
+/** Equator direction at `deg` degrees from +x toward +z */
+function equator(deg) {
+    const a = deg * Math.PI / 180;
+    return { x: Math.cos(a), y: 0, z: Math.sin(a) };
+}
+
+/** Point on the ramp surface at `deg` degrees along the equator */
+function onRamp(deg) {
+    const dir = equator(deg);
+    return Vec3.scale(dir, RAMP.getRadiusAt(dir));
+}
+
+/** RockField-shaped rock on the equator at `deg` degrees */
+function rockAt(deg, footprintRadius = 2.5) {
+    const direction = equator(deg);
+    return {
+        id: 1,
+        direction,
+        position: Vec3.scale(direction, RAMP.getRadiusAt(direction) - 0.3),
+        scale: 2,
+        footprintRadius,
+        sinkDepth: 0.3,
+        yaw: 0,
+        variantRoll: 0
+    };
+}
+
+const ROCK = rockAt(0);
+
+function distance(a, b) {
+    return Vec3.length(Vec3.sub(a, b));
+}
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+function buildPlanner(rocks = [ROCK]) {
+    const navMesh = new NavGraph(RAMP, rocks, NAV_MESH_OPTIONS).generate();
+    return new NavPlanner(navMesh, rocks, RAMP);
+}
+
+// ========================================
+// NavGraph
+// ========================================
+
+describe('NavGraph', () => {
+    it('is deterministic', () => {
+        const a = new NavGraph(RAMP, [ROCK], NAV_MESH_OPTIONS).generate();
+        const b = new NavGraph(RAMP, [ROCK], NAV_MESH_OPTIONS).generate();
+        expect(a.nodes.positions).toEqual(b.nodes.positions);
+        expect(a.nodes.walkable).toEqual(b.nodes.walkable);
+        expect(a.nodes.neighbors).toEqual(b.nodes.neighbors);
+    });
+
+    it('marks deep water and rock nodes unwalkable', () => {
+        const navMesh = new NavGraph(RAMP, [ROCK], NAV_MESH_OPTIONS).generate();
+        const waterRadius = RAMP.params.radius + RAMP.params.waterLevel;
+
+        for (let i = 0; i < navMesh.nodeCount; i++) {
+            const pos = navMesh.nodes.positions[i];
+            if (Vec3.length(pos) < waterRadius - navMesh.config.waterMargin) {
+                expect(navMesh.nodes.walkable[i]).toBe(false);
+            }
+            if (distance(pos, ROCK.position) < ROCK.footprintRadius + navMesh.config.rockCheckRadius) {
+                expect(navMesh.nodes.walkable[i]).toBe(false);
+            }
+        }
+        expect(navMesh.metrics.walkableCount).toBeGreaterThan(0);
+        expect(navMesh.metrics.unwalkableCount).toBeGreaterThan(navMesh.metrics.walkableCount);
+
+        // Same nodes without the rock: more of them walkable
+        const open = new NavGraph(RAMP, [], NAV_MESH_OPTIONS).generate();
+        expect(open.metrics.walkableCount).toBeGreaterThan(navMesh.metrics.walkableCount);
+    });
+
+    it('finds paths over walkable nodes only', () => {
+        const navMesh = new NavGraph(RAMP, [ROCK], NAV_MESH_OPTIONS).generate();
+        const result = navMesh.findPath(onRamp(-30), onRamp(30));
+
+        expect(result.success).toBe(true);
+        expect(result.path[0]).toEqual(onRamp(-30));
+        expect(result.path[result.path.length - 1]).toEqual(onRamp(30));
+        for (const idx of result.nodeIndices) {
+            expect(navMesh.nodes.walkable[idx]).toBe(true);
+        }
+    });
+
+    it('refreshRegion re-evaluates nodes after the terrain changes', () => {
+        let raised = false;
+        const terrain = { ...RAMP, getRadiusAt: dir => RAMP.getRadiusAt(dir) + (raised && dir.z > 0.9 ? 10 : 0) };
+        const navMesh = new NavGraph(terrain, [], NAV_MESH_OPTIONS).generate();
+        const pole = navMesh.findNearestNode({ x: 0, y: 0, z: 60 });
+        expect(pole.walkable).toBe(false); // Deep water at +z
+
+        raised = true;
+        expect(navMesh.refreshRegion({ x: 0, y: 0, z: 1 }, 10)).toBeGreaterThan(0);
+        expect(navMesh.nodes.walkable[pole.index]).toBe(true);
+        const dir = navMesh.nodes.directions[pole.index];
+        expect(Vec3.length(navMesh.nodes.positions[pole.index])).toBeCloseTo(terrain.getRadiusAt(dir), 9);
+        expect(navMesh.nodes.terrainHeight[pole.index]).toBeGreaterThan(10);
+    });
+});
+
+// ========================================
+// NavPlanner
+// ========================================
+
+describe('NavPlanner', () => {
+    it('classifies zones like the client PathPlanner', () => {
+        const planner = buildPlanner();
+        expect(planner.getZoneType(onRamp(0))).toBe('FORBIDDEN');                  // Rock core
+        expect(planner.getZoneType(onRamp(2.8))).toBe('AVOIDANCE');               // Rock buffer
+        expect(planner.getZoneType(onRamp(30))).toBe('FREE');
+        expect(planner.getZoneType(onRamp(80))).toBe('FORBIDDEN');                 // Under water
+        expect(planner.getZoneType(onRamp(80), { canSwim: true })).toBe('FREE');
+        expect(planner.isValidDestination(onRamp(0))).toBe(false);
+        expect(planner.isValidDestination(onRamp(80))).toBe(false);
+        expect(planner.isValidDestination(onRamp(30))).toBe(true);
+    });
+
+    it('routes around the rock instead of through it', () => {
+        const planner = buildPlanner();
+        expect(planner.hasObstacle(onRamp(-15), onRamp(15))).toBe(true);
+
+        const path = planner.planPath(onRamp(-15), onRamp(15));
+        expect(path.length).toBeGreaterThan(2);
+        expect(distance(path[path.length - 1], onRamp(15))).toBeLessThan(1);
+        for (const p of path) {
+            expect(planner.isInsideRockCore(p)).toBe(false);
+            expect(isUnderwater(p, RAMP)).toBe(false);
+            // On the terrain surface
+            expect(Vec3.length(p)).toBeCloseTo(RAMP.getRadiusAt(Vec3.normalize(p)), 9);
+        }
+        // A detour, not a path looping back and forth near the start
+        let length = 0;
+        for (let i = 1; i < path.length; i++) {
+            length += distance(path[i], path[i - 1]);
+        }
+        expect(length).toBeLessThan(3 * distance(onRamp(-15), onRamp(15)));
+    });
+
+    it('plans the same route every time', () => {
+        expect(buildPlanner().planPath(onRamp(-15), onRamp(15)))
+            .toEqual(buildPlanner().planPath(onRamp(-15), onRamp(15)));
+    });
+});
+
+// ========================================
+// Room + GameServer
+// ========================================
+
+describe('MOVE_TO: server-planned routes', () => {
+    const ROOM_ID = 'move-to';
+    const CHANNEL = `asterobia:session:${ROOM_ID}`;
+    let server;
+
+    afterEach(() => {
+        server?.stop();
+        server = null;
+    });
+
+    function setup() {
+        resetEntityIdCounter();
+        server = new GameServer({
+            roomOptions: {
+                interestManagement: false,
+                materaOptions: { depositCount: 0 },
+                rockOptions: { count: 0 },
+                navMeshOptions: NAV_MESH_OPTIONS
+            }
+        });
+        const relay = { channels: new Map(), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+
+        const hostWs = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+        relay.clients.set(hostWs, { id: 1 });
+        relay.channels.set(CHANNEL, new Set([hostWs]));
+        const send = payload => relay._broadcast(hostWs, { id: 1 }, CHANNEL, payload);
+
+        send({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        const room = server.getRoom(ROOM_ID);
+        room.terrain = RAMP;
+        room.rocks = [ROCK];
+        const mine = equator(-15);
+        const theirs = equator(-30);
+        send({
+            type: 'SPAWN_MANIFEST',
+            units: [
+                { id: 1, ownerSlot: 0, modelIndex: 0, px: mine.x, py: mine.y, pz: mine.z },
+                { id: 2, ownerSlot: 1, modelIndex: 0, px: theirs.x, py: theirs.y, pz: theirs.z }
+            ]
+        });
+        room.stop();
+        room.state = 'RUNNING'; // Ticks driven by hand
+        return { room, send };
+    }
+
+    it('plans a route for a goal-only order and drives the unit there', () => {
+        const { room, send } = setup();
+        const unit = room.units[0];
+        send(createMoveTo({ unitId: 1, goal: onRamp(15) }));
+        tickRoom(room, 1);
+
+        expect(unit.waypoints.length).toBeGreaterThan(1);
+        expect(distance(unit.waypoints[unit.waypoints.length - 1], onRamp(15))).toBeLessThan(1);
+        expect(room.getPathPlanner().navMesh.rocks).toEqual([ROCK]);
+
+        let closest = Infinity;
+        for (let i = 0; i < 600 && unit.waypoints; i++) {
+            tickRoom(room, 1);
+            closest = Math.min(closest, distance(unit.position, ROCK.position));
+        }
+        expect(unit.waypoints).toBeNull();
+        expect(distance(unit.position, onRamp(15))).toBeLessThan(1);
+        expect(closest).toBeGreaterThan(ROCK.footprintRadius);
+    });
+
+    it('rejects goals inside a rock or under water', () => {
+        const { room, send } = setup();
+        send(createMoveTo({ unitId: 1, goal: onRamp(0) }));
+        send(createMoveTo({ unitId: 1, goal: onRamp(80) }));
+        tickRoom(room, 1);
+        expect(room.units[0].waypoints).toBeNull();
+    });
+
+    it('rejects orders for units the sender does not own', () => {
+        const { room, send } = setup();
+        send(createMoveTo({ unitId: 2, goal: onRamp(-40) }));
+        tickRoom(room, 1);
+        expect(room.units[1].waypoints).toBeNull();
+    });
+
+    it('drops malformed goals in GameServer', () => {
+        const { room, send } = setup();
+        const received = vi.spyOn(room, 'receiveInput');
+        send({ type: 'MOVE_TO', unitId: 1, goal: { x: 1, y: NaN, z: 0 } });
+        send({ type: 'MOVE_TO', unitId: 1, goal: [1, 2, 3] });
+        send({ type: 'MOVE_TO', unitId: '1', goal: onRamp(15) });
+        expect(received).not.toHaveBeenCalled();
+    });
+
+    it('rooms that never see MOVE_TO build no navmesh', () => {
+        const room = new Room('no-nav', { rockOptions: { count: 0 }, materaOptions: { depositCount: 0 } });
+        expect(room._pathPlanner).toBeNull();
+        room.stop();
+    });
+});
+
+// ========================================
+// Protocol
+// ========================================
+
+describe('MOVE_TO message', () => {
+    it('createMoveTo builds a valid message carrying only the goal', () => {
+        const msg = createMoveTo({ unitId: 3, goal: { x: 1, y: 2, z: 3, extra: true } });
+        expect(msg.type).toBe(MSG.MOVE_TO);
+        expect(msg.goal).toEqual({ x: 1, y: 2, z: 3 });
+        expect(validateMessage(msg).valid).toBe(true);
+    });
+
+    it('validation rejects a missing or non-finite goal', () => {
+        expect(validateMessage({ type: 'MOVE_TO', unitId: 1, timestamp: 0 }).valid).toBe(false);
+        expect(validateMessage({ type: 'MOVE_TO', unitId: 1, goal: { x: 0, y: Infinity, z: 0 }, timestamp: 0 }).valid).toBe(false);
+        expect(validateMessage({ type: 'MOVE_TO', unitId: null, goal: { x: 0, y: 0, z: 0 }, timestamp: 0 }).valid).toBe(false);
+    });
+
+    it('SessionManager.sendMoveTo broadcasts on the session channel', async () => {
+        const transport = {
+            joinChannel: vi.fn(async () => {}),
+            broadcastToChannel: vi.fn(async () => {}),
+            leaveChannel: vi.fn(async () => {}),
+            onMessage: vi.fn()
+        };
+        const sm = new SessionManager({ clientId: 'guest-1', _isDevMode: false });
+        sm.setTransport(transport);
+
+        // Offline: nothing sent
+        await sm.sendMoveTo(1, { x: 0, y: 0, z: 60 });
+        expect(transport.broadcastToChannel).not.toHaveBeenCalled();
+
+        sm.state.setAsHost('guest-1', 'S', 'P');
+        sm._sessionChannel = 'asterobia:session:h';
+        await sm.sendMoveTo(1, { x: 0, y: 0, z: 60 });
+
+        const [channel, msg] = transport.broadcastToChannel.mock.calls[0];
+        expect(channel).toBe('asterobia:session:h');
+        expect(msg).toMatchObject({ type: 'MOVE_TO', unitId: 1, goal: { x: 0, y: 0, z: 60 } });
+        expect(sm._debugCounters.moveToSentCount).toBe(1);
+    });
+});
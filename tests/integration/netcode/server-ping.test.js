@@ -0,0 +1,119 @@
+/**
+ * Server PING/PONG Integration Tests
+ *
+ * Tests that GameServer answers client PINGs straight to the sender's socket
+ * (responderId 'server', targetId = sender, t1/t2 stamps) without relaying
+ * the PING to the channel, and that the client SessionManager turns the
+ * reply into RTT + a clock offset that drives the SnapshotBuffer render clock.
+ *
+ * All tests run in-process using a mock relay.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-ping.test.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { GameServer } from '../../../server/GameServer.js';
+import { SnapshotBuffer } from '../../../src/SimCore/net/SnapshotBuffer.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { MSG } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import { createPing, validateMessage } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+const ROOM_ID = 'ping-room';
+const CHANNEL = `asterobia:session:${ROOM_ID}`;
+
+function mockWs() {
+    return {
+        readyState: 1,
+        _sent: [],
+        send(data) {
+            this._sent.push(JSON.parse(data));
+        }
+    };
+}
+
+const payloads = (ws, type) => ws._sent.filter(m => m.payload?.type === type).map(m => m.payload);
+
+describe('GameServer PING/PONG', () => {
+    let server;
+
+    afterEach(() => {
+        server?.stop();
+        vi.useRealTimers();
+    });
+
+    function setup() {
+        resetEntityIdCounter();
+        server = new GameServer();
+        const relay = { channels: new Map(), clients: new Map(), relayed: [], _broadcast(ws, c, ch, p) { this.relayed.push(p); }, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+
+        const hostWs = mockWs();
+        const guestWs = mockWs();
+        relay.clients.set(hostWs, { id: 1 });
+        relay.clients.set(guestWs, { id: 2 });
+        relay.channels.set(CHANNEL, new Set([hostWs, guestWs]));
+        return { relay, hostWs, guestWs };
+    }
+
+    it('answers the sender only, with server receive/send stamps', () => {
+        const { relay, hostWs, guestWs } = setup();
+        const ping = createPing({ senderId: 'guest-1', seq: 3 });
+
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, ping);
+
+        const [reply] = payloads(guestWs, MSG.PONG);
+        expect(reply).toMatchObject({ responderId: 'server', pingSeq: 3, targetId: 'guest-1', originalTimestamp: ping.timestamp });
+        expect(reply.receivedTimestamp).toBeLessThanOrEqual(reply.timestamp);
+        expect(validateMessage(reply).valid).toBe(true);
+        expect(payloads(hostWs, MSG.PONG)).toHaveLength(0);
+    });
+
+    it('never relays PINGs to the other sockets', () => {
+        const { relay, guestWs } = setup();
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, createPing({ senderId: 'guest-1', seq: 1 }));
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, { type: 'PING', seq: 'x', senderId: 'guest-1' });
+        expect(relay.relayed).toEqual([]);
+        expect(payloads(guestWs, MSG.PONG)).toHaveLength(1);
+    });
+
+    it('ignores malformed PINGs', () => {
+        const { relay, guestWs } = setup();
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, { type: 'PING', seq: 'x', senderId: 'guest-1' });
+        relay._broadcast(guestWs, { id: 2 }, CHANNEL, { type: 'PING', seq: 1 });
+        expect(payloads(guestWs, MSG.PONG)).toHaveLength(0);
+    });
+
+    it('server PONG sets the client RTT and the SnapshotBuffer clock', async () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(50000);
+        const { relay, guestWs } = setup();
+
+        const buffer = new SnapshotBuffer();
+        const transport = {
+            joinChannel: vi.fn(async () => {}),
+            leaveChannel: vi.fn(async () => {}),
+            onMessage: vi.fn(),
+            broadcastToChannel: vi.fn(async (channel, msg) => {
+                // 20ms to the server, 20ms back
+                vi.setSystemTime(Date.now() + 20);
+                relay._broadcast(guestWs, { id: 2 }, channel, msg);
+                vi.setSystemTime(Date.now() + 20);
+            })
+        };
+        const sm = new SessionManager({ clientId: 'guest-1', _isDevMode: false });
+        sm.setTransport(transport);
+        sm.state.setAsGuest(ROOM_ID, 1, 'guest-1', 'Guest', 'Host');
+        sm._sessionChannel = CHANNEL;
+        sm.onClockSync = (offsetMs, rttMs) => buffer.setClockSync(offsetMs, rttMs);
+
+        await sm.sendPing();
+        sm.onMessage(payloads(guestWs, MSG.PONG).pop());
+
+        expect(sm.getRTT()).toBe(40);
+        const link = sm.getConnectionStats().find(l => l.peerId === 'server');
+        expect(link.clockOffsetMs).toBe(0); // Same clock in-process
+        expect(buffer.clockSynced).toBe(true);
+        expect(buffer.smoothedOffset).toBe(20);
+    });
+});
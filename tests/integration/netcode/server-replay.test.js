@@ -0,0 +1,338 @@
+/**
+ * Server Replay Integration Tests
+ *
+ * Tests match recording (Room recordReplay → ReplayRecorder: applied
+ * commands, mid-match spawns, explosions, mines, depots and terrain shaping,
+ * tick clock, periodic state hashes), headless re-simulation
+ * (ReplayRunner.resimulate) reproducing the recorded hashes and reporting
+ * the first divergent tick, replay files, GameServer writing replays, and
+ * the resim CLI.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-replay.test.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import {
+    REPLAY_FORMAT,
+    hashRoomState,
+    readReplay,
+    validateReplay,
+    writeReplay
+} from '../../../server/Replay.js';
+import { resimulate } from '../../../server/ReplayRunner.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+const RESIM_CLI = fileURLToPath(new URL('../../../server/resim.js', import.meta.url));
+
+// ========================================
+// Helpers
+// ========================================
+
+const ROOM_OPTIONS = {
+    interestManagement: false,
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+const HASH_INTERVAL = 5;
+
+/** Surface point `deg` degrees along the equator */
+function surfacePoint(room, deg) {
+    const a = deg * Math.PI / 180;
+    const dir = { x: Math.cos(a), y: 0, z: Math.sin(a) };
+    return Vec3.scale(dir, room.terrain.getRadiusAt(dir));
+}
+
+/** Fake server clock: 50 ms per tick with some jitter */
+function jitteryClock() {
+    let ms = 1_000_000;
+    let n = 0;
+    return () => (ms += 50 + ((n++ * 7) % 5));
+}
+
+/**
+ * Record a 60-tick match: WASD driving, path orders and a guest unit
+ * spawned mid-match.
+ */
+async function recordMatch(options = {}) {
+    resetEntityIdCounter();
+    const room = new Room('replayed', {
+        ...ROOM_OPTIONS,
+        recordReplay: { hashInterval: HASH_INTERVAL },
+        clock: jitteryClock(),
+        ...options
+    });
+    room.addPlayer('host', 'Host', null);
+    room.createUnitsFromManifest([
+        { id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 },
+        { id: 2, ownerSlot: 0, modelIndex: 0, px: 0, py: 0, pz: 1 }
+    ]);
+    await room.start({ autoTick: false });
+
+    for (let tick = 1; tick <= 60; tick++) {
+        if (tick <= 20) {
+            room.receiveInput(0, { type: 'MOVE_INPUT', unitId: 1, forward: true, left: tick > 10, seq: tick });
+        }
+        if (tick === 5) {
+            room.receiveInput(0, { type: 'PATH_DATA', unitId: 2, waypoints: [surfacePoint(room, 80), surfacePoint(room, 60)], closed: false });
+        }
+        if (tick === 25) {
+            room.createUnitForPlayer(1, 3, { modelIndex: 1 });
+            room.receiveInput(1, { type: 'PATH_DATA', unitId: 3, waypoints: [surfacePoint(room, 200)], closed: false });
+        }
+        room.advanceTick();
+    }
+    room.stop();
+    return { room, replay: JSON.parse(JSON.stringify(room.replay.toJSON())) };
+}
+
+async function tmpDir() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'asterobia-replays-'));
+}
+
+function runCli(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [RESIM_CLI, ...args], { timeout: 30000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// ========================================
+// Recording
+// ========================================
+
+describe('Replay: recording', () => {
+    it('records applied commands, spawns, tick times and hashes', async () => {
+        const { room, replay } = await recordMatch();
+        expect(replay.format).toBe(REPLAY_FORMAT);
+        expect(replay.roomId).toBe('replayed');
+        expect(replay.startTick).toBe(0);
+        expect(replay.initial.units.map(u => u.id)).toEqual([1, 2]);
+        expect(replay.roomOptions).toMatchObject({ materaOptions: { depositCount: 0 } });
+        expect(replay.roomOptions.clock).toBeUndefined();
+
+        // [tick, slot, payload] with queue bookkeeping stripped
+        expect(replay.entries[0]).toEqual([1, 0, { type: 'MOVE_INPUT', unitId: 1, forward: true, left: false, seq: 1 }]);
+        expect(replay.entries.filter(([, , p]) => p.type === 'MOVE_INPUT')).toHaveLength(20);
+        expect(replay.entries).toContainEqual([25, 1, { type: 'SPAWN_UNIT', unitId: 3, modelIndex: 1 }]);
+
+        expect(replay.times).toHaveLength(60);
+        expect(replay.hashes.map(([tick]) => tick)).toEqual([5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60]);
+        expect(replay.hashes[11][1]).toBe(hashRoomState(room, 60));
+    });
+
+    it('records nothing unless asked', async () => {
+        const room = new Room('quiet', ROOM_OPTIONS);
+        await room.start({ autoTick: false });
+        room.advanceTick();
+        room.stop();
+        expect(room.replay).toBeNull();
+        expect(room.simLoop.tickCount).toBe(1);
+    });
+});
+
+// ========================================
+// Re-simulation
+// ========================================
+
+describe('Replay: re-simulation', () => {
+    it('reproduces every recorded hash', async () => {
+        const { replay } = await recordMatch();
+        const result = await resimulate(replay);
+        expect(result).toEqual({ ticks: 60, lastTick: 60, checked: 12, divergence: null });
+    });
+
+    it('reproduces a match with physics', async () => {
+        const { replay } = await recordMatch({ enablePhysics: true });
+        const result = await resimulate(replay);
+        expect(result.divergence).toBeNull();
+        expect(result.checked).toBe(12);
+    });
+
+    it('reports the first tick whose hash differs', async () => {
+        const { replay } = await recordMatch();
+        // Unit 1 was driving straight on tick 8: steer it instead
+        const entry = replay.entries.find(([tick]) => tick === 8);
+        entry[2].left = true;
+
+        const result = await resimulate(replay);
+        expect(result.divergence.tick).toBe(10);
+        expect(result.divergence.expected).toBe(replay.hashes[1][1]);
+        expect(result.divergence.actual).not.toBe(result.divergence.expected);
+        expect(result.checked).toBe(2);
+    });
+
+    it('can stop early or keep going past a divergence', async () => {
+        const { replay } = await recordMatch();
+        expect(await resimulate(replay, { untilTick: 22 })).toMatchObject({ ticks: 22, checked: 4, divergence: null });
+
+        replay.hashes[2][1] = '0000000000000000';
+        const result = await resimulate(replay, { stopAtDivergence: false });
+        expect(result).toMatchObject({ ticks: 60, checked: 12, divergence: { tick: 15 } });
+    });
+
+    it('reproduces explosions and mines placed outside the command queue', async () => {
+        resetEntityIdCounter();
+        const room = new Room('boom', {
+            ...ROOM_OPTIONS,
+            enablePhysics: true,
+            recordReplay: { hashInterval: HASH_INTERVAL },
+            clock: jitteryClock()
+        });
+        await room.start({ autoTick: false });
+        const u1 = room.createUnitForPlayer(0, 10);
+        const u2 = room.createUnitForPlayer(1, 11);
+        room.receiveInput(0, { type: 'PATH_DATA', unitId: 10, waypoints: [surfacePoint(room, 30)], closed: false });
+        for (let i = 0; i < 10; i++) room.advanceTick();
+        // 3 units above unit 11; a mine in unit 10's path
+        const blast = Vec3.add(u2.position, Vec3.scale(Vec3.normalize(u2.position), 3));
+        expect(room.triggerExplosion(blast, 10, 8).map(r => r.unitId)).toEqual([11]);
+        expect(room.addMine(u1.position, { triggerRadius: 4 })).not.toBeNull();
+        for (let i = 0; i < 20; i++) room.advanceTick();
+        room.stop();
+
+        const replay = JSON.parse(JSON.stringify(room.replay.toJSON()));
+        expect(replay.entries.map(([, , p]) => p.type)).toEqual(expect.arrayContaining(['EXPLOSION', 'MINE']));
+        expect(await resimulate(replay)).toMatchObject({ ticks: 30, checked: 6, divergence: null });
+    });
+
+    it('reproduces depots and terrain shaping applied outside the command queue', async () => {
+        resetEntityIdCounter();
+        const room = new Room('shaped', {
+            ...ROOM_OPTIONS,
+            recordReplay: { hashInterval: HASH_INTERVAL },
+            clock: jitteryClock()
+        });
+        await room.start({ autoTick: false });
+        room.createUnitForPlayer(0, 10);
+        for (let i = 0; i < 5; i++) room.advanceTick();
+        expect(room.addDepot(0, surfacePoint(room, 15))).not.toBeNull();
+        for (let i = 0; i < 5; i++) {
+            expect(room.shapeTerrain(surfacePoint(room, 40), -3, 1).changed).toBeGreaterThan(0);
+            room.advanceTick();
+        }
+        for (let i = 0; i < 10; i++) room.advanceTick();
+        room.stop();
+
+        const replay = JSON.parse(JSON.stringify(room.replay.toJSON()));
+        const types = replay.entries.map(([, , p]) => p.type);
+        expect(types.filter(t => t === 'DEPOT')).toHaveLength(1);
+        expect(types.filter(t => t === 'TERRAIN_STAMP')).toHaveLength(5);
+        expect(await resimulate(replay)).toMatchObject({ ticks: 20, checked: 4, divergence: null });
+
+        // Without them the re-simulation diverges where they happened
+        replay.entries = replay.entries.filter(([, , p]) => p.type !== 'DEPOT' && p.type !== 'TERRAIN_STAMP');
+        expect((await resimulate(replay)).divergence.tick).toBe(10);
+    });
+
+    it('resumes recording from a restored room', async () => {
+        const { room } = await recordMatch();
+        const restored = new Room('replayed', {
+            ...ROOM_OPTIONS,
+            ...room.serialize().config,
+            recordReplay: { hashInterval: HASH_INTERVAL }
+        });
+        restored.restore(JSON.parse(JSON.stringify(room.serialize())));
+        await restored.start({ autoTick: false });
+        restored.receiveInput(0, { type: 'MOVE_INPUT', unitId: 2, forward: true, seq: 100 });
+        for (let i = 0; i < 10; i++) restored.advanceTick();
+        restored.stop();
+
+        const replay = JSON.parse(JSON.stringify(restored.replay.toJSON()));
+        expect(replay.startTick).toBe(60);
+        expect(await resimulate(replay)).toMatchObject({ ticks: 10, lastTick: 70, checked: 2, divergence: null });
+    });
+});
+
+// ========================================
+// Files, GameServer, CLI
+// ========================================
+
+describe('Replay: files and CLI', () => {
+    const dirs = [];
+    let server = null;
+
+    afterEach(async () => {
+        server?.stop();
+        server = null;
+        for (const d of dirs.splice(0)) await fs.rm(d, { recursive: true, force: true });
+    });
+
+    it('writes and reads plain and gzipped replays', async () => {
+        const dir = await tmpDir();
+        dirs.push(dir);
+        const { replay } = await recordMatch();
+
+        await writeReplay(path.join(dir, 'a.replay.json'), replay);
+        await writeReplay(path.join(dir, 'a.replay.json.gz'), replay);
+        expect(await readReplay(path.join(dir, 'a.replay.json'))).toEqual(replay);
+        expect(await readReplay(path.join(dir, 'a.replay.json.gz'))).toEqual(replay);
+
+        const plain = await fs.stat(path.join(dir, 'a.replay.json'));
+        const gz = await fs.stat(path.join(dir, 'a.replay.json.gz'));
+        expect(gz.size).toBeLessThan(plain.size);
+
+        expect(validateReplay({ format: 'asterobia-save' }).valid).toBe(false);
+        expect(validateReplay({ ...replay, version: 99 }).error).toMatch(/newer than supported/);
+    });
+
+    it('GameServer writes the replay of a removed room', async () => {
+        const dir = await tmpDir();
+        dirs.push(dir);
+        server = new GameServer({ replayDir: dir, roomOptions: ROOM_OPTIONS });
+        const room = server.createRoom('gs-replay', ROOM_OPTIONS);
+        room.createUnitsFromManifest([{ id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 }]);
+        await room.start({ autoTick: false });
+        room.receiveInput(0, { type: 'MOVE_INPUT', unitId: 1, forward: true, seq: 1 });
+        for (let i = 0; i < 40; i++) room.advanceTick();
+
+        const file = path.join(dir, 'gs-replay-0.replay.json.gz');
+        expect(await server.saveReplays()).toEqual([file]);
+        expect((await readReplay(file)).times).toHaveLength(40);
+
+        room.advanceTick();
+        server.removeRoom('gs-replay');
+        const replay = await vi.waitFor(async () => {
+            const r = await readReplay(file);
+            expect(r.times).toHaveLength(41);
+            return r;
+        });
+        expect((await resimulate(replay)).divergence).toBeNull();
+    });
+
+    it('rooms do not record without a replay directory', () => {
+        server = new GameServer();
+        expect(server.createRoom('no-replay', ROOM_OPTIONS).replay).toBeNull();
+    });
+
+    it('resim CLI passes a clean replay and reports a divergence', async () => {
+        const dir = await tmpDir();
+        dirs.push(dir);
+        const { replay } = await recordMatch();
+        const clean = path.join(dir, 'clean.replay.json.gz');
+        await writeReplay(clean, replay);
+        replay.hashes[3][1] = 'ffffffffffffffff';
+        const broken = path.join(dir, 'broken.replay.json');
+        await writeReplay(broken, replay);
+
+        const ok = await runCli([clean]);
+        expect(ok.code).toBe(0);
+        expect(ok.stdout).toMatch(/OK: 60 ticks re-simulated .* 12 hashes match/);
+
+        const bad = await runCli([broken]);
+        expect(bad.code).toBe(1);
+        expect(bad.stdout).toMatch(/DIVERGED at tick 20: expected ffffffffffffffff/);
+
+        const missing = await runCli([path.join(dir, 'nope.json')]);
+        expect(missing.code).toBe(2);
+    }, 60000);
+});
@@ -0,0 +1,392 @@
+/**
+ * Resumable Connection Integration Tests
+ *
+ * Tests WsRelay resume tokens: a dropped socket's client is parked for the
+ * grace window (frames to it are buffered), a new socket presenting the
+ * token gets the same client id, subscriptions and join tokens back plus
+ * the buffered frames, and the client is removed when the window ends.
+ * With GameServer wired, the room hears PLAYER_CONNECTION reconnecting /
+ * active / disconnected (plus the full scan and terrain state if its missed
+ * frames were dropped); WebSocketTransport reconnects and resumes by
+ * itself and SessionManager / SessionState follow the real state.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-resume.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'node:http';
+import { WebSocket } from 'ws';
+import { WsRelay } from '../../../server/WsRelay.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { createJoinTokenSecret } from '../../../server/JoinToken.js';
+import { WebSocketTransport } from '../../../src/SimCore/transport/WebSocketTransport.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { PlayerStatus } from '../../../src/SimCore/multiplayer/SessionState.js';
+import { MSG, PLAYER_CONNECTION_STATUS } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import { createPlayerConnection } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// WebSocketTransport expects the browser global
+globalThis.WebSocket = WebSocket;
+
+const ROOM_ID = 'resume-room';
+const SESSION = `asterobia:session:${ROOM_ID}`;
+const GRACE_MS = 400;
+
+const ROOM_OPTIONS = {
+    interestManagement: false,
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+const MANIFEST = {
+    type: 'SPAWN_MANIFEST',
+    units: [{ id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 }]
+};
+
+const settle = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Test server: http + WsRelay (+ GameServer) on an ephemeral port */
+async function startServer(relayOptions, withGameServer) {
+    const joinTokenSecret = withGameServer ? createJoinTokenSecret() : null;
+    const httpServer = http.createServer();
+    const relay = new WsRelay({ joinTokenSecret, ...relayOptions });
+    let gameServer = null;
+    if (withGameServer) {
+        gameServer = new GameServer({ roomOptions: ROOM_OPTIONS, joinTokenSecret });
+        gameServer.wireToRelay(relay);
+        gameServer.start();
+    }
+    relay.startOnServer(httpServer);
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    return { httpServer, relay, gameServer, url: `ws://localhost:${httpServer.address().port}` };
+}
+
+async function stopServer({ httpServer, relay, gameServer }) {
+    gameServer?.stop();
+    await relay.stop();
+    await new Promise(resolve => httpServer.close(resolve));
+}
+
+/** Raw socket collecting parsed frames */
+async function rawSocket(url, sockets) {
+    const ws = new WebSocket(url);
+    sockets.push(ws);
+    ws.frames = [];
+    ws.on('message', d => ws.frames.push(JSON.parse(d.toString())));
+    await new Promise(resolve => ws.once('open', resolve));
+    return ws;
+}
+
+const send = (ws, frame) => ws.send(JSON.stringify(frame));
+
+// ========================================
+// Relay
+// ========================================
+
+describe('WsRelay resume', () => {
+    let server;
+    const sockets = [];
+
+    beforeEach(async () => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        server = await startServer({ resumeGraceMs: GRACE_MS, resumeBacklog: 4 }, false);
+    });
+
+    afterEach(async () => {
+        for (const ws of sockets.splice(0)) ws.terminate();
+        await stopServer(server);
+        vi.restoreAllMocks();
+    });
+
+    /** Socket subscribed to the lobby, with its session frame */
+    async function subscribed() {
+        const ws = await rawSocket(server.url, sockets);
+        await vi.waitFor(() => expect(ws.frames[0]?.type).toBe('session'));
+        send(ws, { type: 'subscribe', channel: 'asterobia:lobby' });
+        await settle();
+        return ws;
+    }
+
+    it('sends each socket a resume token', async () => {
+        const ws = await subscribed();
+        const [session] = ws.frames;
+        expect(session).toMatchObject({ type: 'session', resumeGraceMs: GRACE_MS });
+        expect(session.resumeToken).toMatch(/^[\w-]{32}$/);
+        expect(session.clientId).toBe(server.relay.clients.values().next().value.id);
+    });
+
+    it('parks a dropped client and resumes it with the frames it missed', async () => {
+        const a = await subscribed();
+        const b = await subscribed();
+        const { clientId, resumeToken } = a.frames[0];
+
+        a.terminate();
+        await vi.waitFor(() => expect(server.relay.clientCount).toBe(1));
+        expect(server.relay.clients.size).toBe(2);
+
+        send(b, { type: 'broadcast', channel: 'asterobia:lobby', payload: { type: 'HOST_ANNOUNCE', hostId: 'x1' } });
+        send(b, { type: 'broadcast', channel: 'asterobia:lobby', payload: { type: 'HOST_ANNOUNCE', hostId: 'x2' } });
+        await settle();
+
+        const a2 = await rawSocket(server.url, sockets);
+        send(a2, { type: 'resume', token: resumeToken });
+        await vi.waitFor(() => expect(a2.frames.map(f => f.type)).toContain('resumed'));
+
+        const resumed = a2.frames.find(f => f.type === 'resumed');
+        expect(resumed).toMatchObject({ clientId, missed: 2, complete: true });
+        expect(resumed.resumeToken).not.toBe(resumeToken);
+        await vi.waitFor(() => expect(a2.frames.filter(f => f.type === 'message').map(f => f.payload.hostId)).toEqual(['x1', 'x2']));
+        expect(server.relay.stats.resumes).toBe(1);
+        expect(server.relay.clients.size).toBe(2);
+
+        // Same subscriptions: live traffic reaches the new socket
+        send(b, { type: 'broadcast', channel: 'asterobia:lobby', payload: { type: 'HOST_ANNOUNCE', hostId: 'x3' } });
+        await vi.waitFor(() => expect(a2.frames.at(-1).payload?.hostId).toBe('x3'));
+
+        // Resume tokens are single-use
+        const a3 = await rawSocket(server.url, sockets);
+        send(a3, { type: 'resume', token: resumeToken });
+        await vi.waitFor(() => expect(a3.frames.map(f => f.type)).toContain('resume_failed'));
+    });
+
+    it('removes the client when the grace window ends', async () => {
+        const a = await subscribed();
+        const { resumeToken } = a.frames[0];
+        a.terminate();
+        await vi.waitFor(() => expect(server.relay.clientCount).toBe(0));
+        expect(server.relay.clients.size).toBe(1);
+
+        await vi.waitFor(() => expect(server.relay.clients.size).toBe(0), { timeout: 2000 });
+        expect(server.relay.channels.has('asterobia:lobby')).toBe(false);
+
+        const a2 = await rawSocket(server.url, sockets);
+        send(a2, { type: 'resume', token: resumeToken });
+        await vi.waitFor(() => expect(a2.frames.at(-1)).toMatchObject({ type: 'resume_failed' }));
+        expect(server.relay.stats.resumes).toBe(0);
+    });
+
+    it('does not park normal closes or kicked clients', async () => {
+        const a = await subscribed();
+        a.close(1000);
+        await vi.waitFor(() => expect(server.relay.clients.size).toBe(0));
+
+        const b = await subscribed();
+        const [ws] = [...server.relay.clients.keys()];
+        server.relay.closeClient(ws, 4001, 'Kicked');
+        await vi.waitFor(() => expect(server.relay.clients.size).toBe(0));
+        await vi.waitFor(() => expect(b.readyState).toBe(WebSocket.CLOSED));
+    });
+
+    it('drops an overflowing backlog and says so', async () => {
+        const a = await subscribed();
+        const b = await subscribed();
+        const { resumeToken } = a.frames[0];
+        a.terminate();
+        await vi.waitFor(() => expect(server.relay.clientCount).toBe(1));
+
+        for (let i = 0; i < 6; i++) {
+            send(b, { type: 'broadcast', channel: 'asterobia:lobby', payload: { type: 'HOST_ANNOUNCE', hostId: `x${i}` } });
+        }
+        await settle();
+
+        const a2 = await rawSocket(server.url, sockets);
+        send(a2, { type: 'resume', token: resumeToken });
+        await vi.waitFor(() => expect(a2.frames.map(f => f.type)).toContain('resumed'));
+        expect(a2.frames.find(f => f.type === 'resumed')).toMatchObject({ missed: 0, complete: false });
+    });
+
+    it('only resumes onto a fresh socket', async () => {
+        const a = await subscribed();
+        const b = await subscribed();
+        a.terminate();
+        await vi.waitFor(() => expect(server.relay.clientCount).toBe(1));
+
+        send(b, { type: 'resume', token: a.frames[0].resumeToken });
+        await vi.waitFor(() => expect(b.frames.at(-1)).toMatchObject({ type: 'resume_failed' }));
+        send(b, { type: 'resume', token: 'nope' });
+        await vi.waitFor(() => expect(b.frames.filter(f => f.type === 'resume_failed')).toHaveLength(2));
+    });
+});
+
+// ========================================
+// Relay + GameServer + WebSocketTransport
+// ========================================
+
+describe('Resume with GameServer and join tokens', () => {
+    let server;
+    const transports = [];
+
+    beforeEach(async () => {
+        resetEntityIdCounter();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        server = await startServer({ resumeGraceMs: GRACE_MS }, true);
+    });
+
+    afterEach(async () => {
+        for (const t of transports.splice(0)) t.disconnect();
+        await stopServer(server);
+        vi.restoreAllMocks();
+    });
+
+    /** Transport on the session channel that applies its JOIN_TOKEN like SessionManager */
+    async function join() {
+        const transport = new WebSocketTransport({ url: server.url, connectTimeoutMs: 3000, reconnectDelayMs: 20 });
+        transports.push(transport);
+        const received = [];
+        const statuses = [];
+        transport.onConnectionStatus(status => statuses.push(status));
+        await transport.joinChannel(SESSION, (msg) => {
+            received.push(msg);
+            if (msg.type === MSG.JOIN_TOKEN) transport.setChannelToken(SESSION, msg.token);
+        });
+        return { transport, received, statuses, types: () => received.map(m => m.type) };
+    }
+
+    /** Running room with a host (slot 0) and an admitted guest (slot 1) */
+    async function hostAndGuest() {
+        const host = await join();
+        await host.transport.broadcastToChannel(SESSION, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        await vi.waitFor(() => expect(host.types()).toContain(MSG.JOIN_TOKEN));
+        await host.transport.broadcastToChannel(SESSION, MANIFEST);
+
+        const guest = await join();
+        await guest.transport.broadcastToChannel(SESSION, { type: 'JOIN_REQ', guestId: 'g1', displayName: 'Guest' });
+        await vi.waitFor(() => expect(host.types()).toContain('JOIN_REQ'));
+        await host.transport.broadcastToChannel(SESSION, { type: 'JOIN_ACK', accepted: true, assignedSlot: 1, guestId: 'g1' });
+        await vi.waitFor(() => expect(guest.types()).toContain('SERVER_SNAPSHOT'));
+        return { host, guest };
+    }
+
+    const connections = (m) => m.received.filter(x => x.type === MSG.PLAYER_CONNECTION).map(x => `${x.slot}:${x.status}`);
+    const ticks = (m) => m.received.filter(x => x.type === 'SERVER_SNAPSHOT').map(x => x.tick);
+
+    it('gives a dropped guest its slot, token and missed snapshots back', async () => {
+        const { host, guest } = await hostAndGuest();
+        const guestId = guest.transport._relayClientId;
+
+        guest.transport._ws.terminate();
+        await vi.waitFor(() => expect(guest.statuses).toEqual(['reconnecting', 'resumed']));
+        await vi.waitFor(() => expect(connections(host)).toEqual(['1:reconnecting', '1:active']));
+
+        expect(guest.transport._relayClientId).toBe(guestId);
+        expect(server.gameServer._clientSlots.get(guestId)).toEqual({ roomId: ROOM_ID, slot: 1 });
+        expect(server.relay.stats.resumes).toBe(1);
+
+        // Every snapshot the host saw while the guest was away reached the guest too
+        const hostTicks = ticks(host);
+        await vi.waitFor(() => expect(Math.max(...ticks(guest))).toBeGreaterThan(hostTicks.at(-1)));
+        const guestTicks = new Set(ticks(guest));
+        const from = ticks(guest)[0];
+        expect(hostTicks.filter(t => t >= from && !guestTicks.has(t))).toEqual([]);
+
+        // The old join token still works on the resumed client
+        const drops = server.relay.stats.joinTokenDrops;
+        await guest.transport.broadcastToChannel(SESSION, { type: 'INPUT_CMD', slot: 1, seq: 0, command: {} });
+        await vi.waitFor(() => expect(host.types()).toContain('INPUT_CMD'));
+        expect(server.relay.stats.joinTokenDrops).toBe(drops);
+    });
+
+    it('sends the scan and terrain state when the missed frames were dropped', async () => {
+        const { guest } = await hostAndGuest();
+        const room = server.gameServer.getRoom(ROOM_ID);
+        server.relay._resumeBacklog = 1;
+        guest.transport._reconnectDelayMs = 200;
+
+        guest.transport._ws.terminate();
+        await vi.waitFor(() => expect(server.relay.clientCount).toBe(1));
+        expect(room.shapeTerrain(room.units[0].position, 2, 0.5).changed).toBeGreaterThan(0);
+
+        await vi.waitFor(() => expect(guest.statuses).toEqual(['reconnecting', 'resumed']));
+        await vi.waitFor(() => expect(guest.types()).toContain(MSG.TERRAIN_STATE));
+        expect(guest.received.find(m => m.type === MSG.SCAN_REVEAL)?.full).toBe(true);
+        const state = guest.received.find(m => m.type === MSG.TERRAIN_STATE);
+        expect(state.terrain).toEqual(room.terrain.deltaLayer.serialize());
+    });
+
+    it('tells the room the guest is gone once the window ends', async () => {
+        const { host, guest } = await hostAndGuest();
+        const guestId = guest.transport._relayClientId;
+
+        // Server restart stand-in: the relay can no longer be reached
+        guest.transport._url = 'ws://localhost:1';
+        guest.transport._ws.terminate();
+
+        await vi.waitFor(() => expect(connections(host)).toEqual(['1:reconnecting', '1:disconnected']), { timeout: 2000 });
+        await vi.waitFor(() => expect(guest.statuses).toEqual(['reconnecting', 'resume_failed']), { timeout: 2000 });
+        expect(server.gameServer._clientSlots.has(guestId)).toBe(false);
+        expect(guest.transport._channelTokens.size).toBe(0);
+    });
+
+    it('does not resume after disconnect()', async () => {
+        const { host, guest } = await hostAndGuest();
+        guest.transport.disconnect();
+        await vi.waitFor(() => expect(connections(host)).toEqual(['1:disconnected']));
+        expect(guest.statuses).toEqual([]);
+    });
+});
+
+// ========================================
+// Client
+// ========================================
+
+describe('SessionManager connection status', () => {
+    function guestSession() {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        const game = { clientId: 'c', _isDevMode: false, units: [{ id: 7, selectedBySlot: 2 }] };
+        const sm = new SessionManager(game);
+        let statusHandler = null;
+        sm.setTransport({ onMessage: vi.fn(), onConnectionStatus: cb => { statusHandler = cb; } });
+        sm.state.role = 'GUEST';
+        sm.state.mySlot = 1;
+        sm.state.connected = true;
+        for (const slot of [0, 1, 2]) {
+            sm.state.players.push({ slot, userId: `u${slot}`, displayName: `P${slot}`, status: PlayerStatus.ACTIVE });
+        }
+        sm.onConnectionStateChanged = vi.fn();
+        return { sm, game, status: (s) => statusHandler(s) };
+    }
+
+    afterEach(() => vi.restoreAllMocks());
+
+    it('follows its own transport', () => {
+        const { sm, status } = guestSession();
+
+        status('reconnecting');
+        expect(sm.state.getPlayer(1).status).toBe(PlayerStatus.RECONNECTING);
+        expect(sm.state.connected).toBe(false);
+        expect(sm.onConnectionStateChanged).toHaveBeenLastCalledWith('RECONNECTING');
+
+        status('resumed');
+        expect(sm.state.getPlayer(1).status).toBe(PlayerStatus.ACTIVE);
+        expect(sm.state.connected).toBe(true);
+        expect(sm.onConnectionStateChanged).toHaveBeenLastCalledWith('CONNECTED');
+
+        status('resume_failed');
+        expect(sm.state.getPlayer(1).status).toBe(PlayerStatus.DISCONNECTED);
+        expect(sm.onConnectionStateChanged).toHaveBeenLastCalledWith('DISCONNECTED');
+    });
+
+    it('applies PLAYER_CONNECTION to other slots and keeps seats until disconnected', () => {
+        const { sm, game } = guestSession();
+        const msg = status => createPlayerConnection({ slot: 2, status });
+
+        sm.onMessage(msg(PLAYER_CONNECTION_STATUS.RECONNECTING));
+        expect(sm.state.getPlayer(2).status).toBe(PlayerStatus.RECONNECTING);
+        expect(sm.state.getLowestActiveSlot()).toBe(0);
+        expect(game.units[0].selectedBySlot).toBe(2);
+
+        sm.onMessage(msg(PLAYER_CONNECTION_STATUS.ACTIVE));
+        expect(sm.state.getPlayer(2).status).toBe(PlayerStatus.ACTIVE);
+
+        sm.onMessage(msg(PLAYER_CONNECTION_STATUS.DISCONNECTED));
+        expect(sm.state.getPlayer(2).status).toBe(PlayerStatus.DISCONNECTED);
+        expect(game.units[0].selectedBySlot).toBeNull();
+
+        // Our own slot follows the transport, not the server's view of it
+        sm.onMessage(createPlayerConnection({ slot: 1, status: PLAYER_CONNECTION_STATUS.RECONNECTING }));
+        expect(sm.state.getPlayer(1).status).toBe(PlayerStatus.ACTIVE);
+    });
+});
@@ -0,0 +1,344 @@
+/**
+ * Rock Field Integration Tests
+ *
+ * Tests the isomorphic RockField (seeded placement, footprints, tangential
+ * push-out), Room blocking server-driven units with the same rocks the client
+ * RockSystem renders, fixed rock colliders in the physics world, the rock seed
+ * travelling from HOST_ANNOUNCE into the Room, and guests adopting it.
+ *
+ * All tests run in-process using direct Room calls and a mock relay.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-rock-field.test.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { HeadlessUnit } from '../../../server/HeadlessUnit.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import {
+    DEFAULT_ROCK_FIELD,
+    createRockRng,
+    generateRockField,
+    resolveRockContacts,
+    rockFootprintRadius
+} from '../../../src/SimCore/systems/RockField.js';
+import { getReferenceForward } from '../../../src/SimCore/systems/SurfaceMovement.js';
+import { MovePredictor } from '../../../src/SimCore/net/MovePredictor.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { createHostAnnounce, validateMessage } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+function at(id, ownerSlot, dir) {
+    return { id, ownerSlot, modelIndex: 0, px: dir.x, py: dir.y, pz: dir.z };
+}
+
+function unit(room, id) {
+    return room.units.find(u => u.id === id);
+}
+
+/** Distance from a position to a rock, measured in the surface tangent plane */
+function tangentialDistance(position, rock) {
+    const up = Vec3.normalize(position);
+    const sep = Vec3.sub(position, rock.position);
+    return Vec3.length(Vec3.sub(sep, Vec3.scale(up, Vec3.dot(sep, up))));
+}
+
+/** Direction `dist` world units behind `rock` along the reference forward at the rock */
+function behindRock(rock, dist, planetRadius = 60) {
+    const back = Vec3.scale(getReferenceForward(rock.direction), -dist / planetRadius);
+    return Vec3.normalize(Vec3.add(rock.direction, back));
+}
+
+/** The biggest rock away from the poles (reference forward is stable there): easiest to aim at */
+function biggestRock(room) {
+    return room.rocks
+        .filter(r => Math.abs(r.direction.y) < 0.5)
+        .reduce((a, b) => (b.scale > a.scale ? b : a));
+}
+
+// ========================================
+// RockField
+// ========================================
+
+describe('RockField', () => {
+    it('same seed → same field; different seed → different field', () => {
+        const a = generateRockField({ seed: 7 });
+        const b = generateRockField({ seed: 7 });
+        const c = generateRockField({ seed: 8 });
+
+        expect(a).toEqual(b);
+        expect(a).toHaveLength(DEFAULT_ROCK_FIELD.count);
+        expect(c[0].direction).not.toEqual(a[0].direction);
+        expect(a.map(r => r.id)).toEqual(a.map((_, i) => i + 1));
+    });
+
+    it('draws u, v, scale, material and yaw per rock from the RockSystem generator', () => {
+        const rng = createRockRng(DEFAULT_ROCK_FIELD.seed);
+        const [u, v, s, variantRoll, yawRoll] = [rng(), rng(), rng(), rng(), rng()];
+        const [rock] = generateRockField({ count: 1 });
+
+        const phi = Math.acos(2 * v - 1);
+        expect(rock.direction.x).toBeCloseTo(Math.sin(phi) * Math.cos(2 * Math.PI * u), 12);
+        expect(rock.direction.z).toBeCloseTo(Math.cos(phi), 12);
+        expect(rock.scale).toBeCloseTo(0.5 + s * 2.5, 12);
+        expect(rock.variantRoll).toBe(variantRoll);
+        expect(rock.yaw).toBeCloseTo(yawRoll * Math.PI * 2, 12);
+    });
+
+    it('sinks rocks into the terrain and sizes footprints from scale', () => {
+        const terrain = { getRadiusAt: () => 61 };
+        const [rock] = generateRockField({ count: 1 }, terrain);
+
+        expect(Vec3.length(rock.position)).toBeCloseTo(61 - rock.scale * 0.15, 9);
+        expect(rock.footprintRadius).toBeCloseTo(rock.scale * 1.2 * 1.1, 12);
+        expect(rockFootprintRadius(2, 1)).toBeCloseTo(2.2, 12);
+    });
+
+    it('pushes overlapping positions out tangentially and leaves clear ones alone', () => {
+        const rock = generateRockField({ count: 1 })[0];
+        const reach = rock.footprintRadius + 0.5;
+
+        const inside = Vec3.scale(behindRock(rock, reach * 0.5), 60);
+        const corrected = resolveRockContacts(inside, [rock], 0.5);
+        expect(corrected).not.toBeNull();
+        expect(Vec3.length(corrected)).toBeCloseTo(60, 9);
+        expect(tangentialDistance(corrected, rock)).toBeGreaterThan(reach * 0.95);
+
+        const clear = Vec3.scale(behindRock(rock, reach * 2), 60);
+        expect(resolveRockContacts(clear, [rock], 0.5)).toBeNull();
+        expect(resolveRockContacts(inside, [], 0.5)).toBeNull();
+    });
+});
+
+// ========================================
+// Room
+// ========================================
+
+describe('Rock field: Room', () => {
+    let room;
+
+    afterEach(() => {
+        room?.stop();
+        room = null;
+    });
+
+    it('places the default field from the room rock seed', () => {
+        room = new Room('rocks-default', { materaOptions: { depositCount: 0 } });
+        expect(room.rockSeed).toBe(DEFAULT_ROCK_FIELD.seed);
+        expect(room.rocks).toEqual(generateRockField({ seed: DEFAULT_ROCK_FIELD.seed }, room.terrain));
+        expect(room.getSnapshot().rockSeed).toBe(DEFAULT_ROCK_FIELD.seed);
+
+        const seeded = new Room('rocks-seeded', { materaOptions: { depositCount: 0 }, rockSeed: 99 });
+        expect(seeded.rocks[0].direction).toEqual(generateRockField({ seed: 99 })[0].direction);
+
+        const none = new Room('rocks-none', { materaOptions: { depositCount: 0 }, rockOptions: { count: 0 } });
+        expect(none.rocks).toEqual([]);
+    });
+
+    it('WASD into a rock is blocked; without rocks the unit drives through', () => {
+        room = new Room('rocks-block', { materaOptions: { depositCount: 0 } });
+        const rock = biggestRock(room);
+        const reach = rock.footprintRadius + HeadlessUnit.ROCK_CONTACT_RADIUS;
+        room.createUnitsFromManifest([at(1, 0, behindRock(rock, reach + 3))]);
+        const u = unit(room, 1);
+        u.spawnOnSurface(behindRock(rock, reach + 3), room.terrain);
+
+        let closest = Infinity;
+        for (let i = 0; i < 60; i++) {
+            u.applyInput({ type: 'MOVE_INPUT', forward: true });
+            tickRoom(room, 1);
+            closest = Math.min(closest, tangentialDistance(u.position, rock));
+        }
+        expect(closest).toBeGreaterThan(reach * 0.95);
+
+        // Same drive with the rock gone
+        room.rocks = [];
+        u.spawnOnSurface(behindRock(rock, reach + 3), room.terrain);
+        closest = Infinity;
+        for (let i = 0; i < 60; i++) {
+            u.applyInput({ type: 'MOVE_INPUT', forward: true });
+            tickRoom(room, 1);
+            closest = Math.min(closest, tangentialDistance(u.position, rock));
+        }
+        expect(closest).toBeLessThan(reach * 0.5);
+    });
+
+    it('a unit spawned inside a rock is pushed out on the next tick', () => {
+        room = new Room('rocks-spawn', { materaOptions: { depositCount: 0 } });
+        const rock = biggestRock(room);
+        room.createUnitsFromManifest([at(1, 0, behindRock(rock, 0.5))]);
+        const u = unit(room, 1);
+        u.spawnOnSurface(behindRock(rock, 0.5), room.terrain);
+
+        tickRoom(room, 1);
+        const reach = rock.footprintRadius + HeadlessUnit.ROCK_CONTACT_RADIUS;
+        expect(tangentialDistance(u.position, rock)).toBeGreaterThan(reach * 0.95);
+        expect(Vec3.length(u.position)).toBeCloseTo(room.terrain.getRadiusAt(Vec3.normalize(u.position)), 6);
+    });
+
+    it('carried and airborne units are not pushed by rocks', () => {
+        room = new Room('rocks-skip', { materaOptions: { depositCount: 0 } });
+        const rock = biggestRock(room);
+        room.createUnitsFromManifest([at(1, 0, behindRock(rock, 0.5))]);
+        const u = unit(room, 1);
+        u.spawnOnSurface(behindRock(rock, 0.5), room.terrain);
+
+        u.mode = 'AIRBORNE';
+        expect(u.resolveRockContacts(room.rocks)).toBe(false);
+        u.mode = 'GROUNDED';
+        u.carriedBy = 99;
+        expect(u.resolveRockContacts(room.rocks)).toBe(false);
+        u.carriedBy = null;
+        expect(u.resolveRockContacts(room.rocks)).toBe(true);
+    });
+
+    it('with physics, every rock is a fixed body (cleared on stop)', async () => {
+        room = new Room('rocks-phys', {
+            materaOptions: { depositCount: 0 },
+            rockOptions: { count: 5 },
+            enablePhysics: true
+        });
+        await room.start();
+        expect(room._rockBodies).toHaveLength(5);
+        expect(room._obstacles.size).toBe(0);
+        room.stop();
+        expect(room._rockBodies).toEqual([]);
+    });
+});
+
+// ========================================
+// Client prediction
+// ========================================
+
+describe('Rock field: MovePredictor', () => {
+    it('predicts the same blocked path as the server', () => {
+        const room = new Room('rocks-predict', { materaOptions: { depositCount: 0 }, terrainParams: { noiseAmplitude: 0 } });
+        const rock = biggestRock(room);
+        room.createUnitsFromManifest([at(1, 0, behindRock(rock, 6))]);
+        const u = unit(room, 1);
+        u.spawnOnSurface(behindRock(rock, 6), room.terrain);
+
+        const predictor = new MovePredictor({ terrain: room.terrain, rocks: room.rocks });
+        predictor.attach(1, { px: u.position.x, py: u.position.y, pz: u.position.z, heading: u.heading, speed: u.speed });
+
+        for (let i = 0; i < 40; i++) {
+            predictor.recordInput({ forward: true });
+            u.applyInput({ type: 'MOVE_INPUT', forward: true });
+            tickRoom(room, 1);
+        }
+        expect(Vec3.length(Vec3.sub(predictor.position, u.position))).toBeLessThan(0.05);
+        room.stop();
+    });
+});
+
+// ========================================
+// Room configuration: rockSeed on the wire
+// ========================================
+
+describe('Rock field: rockSeed in HOST_ANNOUNCE', () => {
+    it('HOST_ANNOUNCE carries an optional uint32 rockSeed', () => {
+        const base = { hostId: 'h', sessionName: 'S', mapSeed: 'm', simTick: 0, currentPlayers: 1, maxPlayers: 4 };
+        const msg = createHostAnnounce({ ...base, rockSeed: 4242 });
+        expect(msg.rockSeed).toBe(4242);
+        expect(validateMessage(msg).valid).toBe(true);
+        expect('rockSeed' in createHostAnnounce(base)).toBe(false);
+        expect(validateMessage({ ...msg, rockSeed: -1 }).valid).toBe(false);
+        expect(validateMessage({ ...msg, rockSeed: 1.5 }).valid).toBe(false);
+    });
+
+    describe('GameServer', () => {
+        const ROOM_ID = 'rock-server';
+        const CHANNEL = `asterobia:session:${ROOM_ID}`;
+        let server;
+
+        afterEach(() => {
+            server?.stop();
+            server = null;
+        });
+
+        function announce(payload) {
+            resetEntityIdCounter();
+            server = new GameServer({ roomOptions: { interestManagement: false, materaOptions: { depositCount: 0 } } });
+            const relay = { channels: new Map(), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+            server.wireToRelay(relay);
+            server.start();
+
+            const hostWs = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+            relay.clients.set(hostWs, { id: 1 });
+            relay.channels.set(CHANNEL, new Set([hostWs]));
+            relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host', ...payload });
+            return server.getRoom(ROOM_ID);
+        }
+
+        it('creates the room with the host rock seed', () => {
+            const room = announce({ rockSeed: 777 });
+            expect(room.rockSeed).toBe(777);
+            expect(room.rocks).toEqual(generateRockField({ seed: 777 }, room.terrain));
+        });
+
+        it('falls back to the default seed when missing or invalid', () => {
+            expect(announce({}).rockSeed).toBe(DEFAULT_ROCK_FIELD.seed);
+            server.stop();
+            expect(announce({ rockSeed: 'abc' }).rockSeed).toBe(DEFAULT_ROCK_FIELD.seed);
+        });
+    });
+
+    describe('SessionManager', () => {
+        function session({ asGuestOf }) {
+            const game = {
+                clientId: 'guest-1',
+                _isDevMode: false,
+                rockSystem: { params: { seed: DEFAULT_ROCK_FIELD.seed }, setSeed: vi.fn() }
+            };
+            const sm = new SessionManager(game);
+            sm.state.setAsGuest(asGuestOf, 1, 'guest-1', 'G', 'Host');
+            return { sm, game };
+        }
+
+        const hostAnnounce = (hostId, rockSeed) => createHostAnnounce({
+            hostId, sessionName: 'S', mapSeed: 'm', rockSeed, simTick: 0, currentPlayers: 2, maxPlayers: 4
+        });
+
+        it('guests adopt their own host rock seed', () => {
+            const { sm, game } = session({ asGuestOf: 'host-a' });
+            sm.onMessage(hostAnnounce('host-a', 31337));
+            expect(game.rockSystem.setSeed).toHaveBeenCalledWith(31337);
+        });
+
+        it('ignores rock seeds from other hosts', () => {
+            const { sm, game } = session({ asGuestOf: 'host-a' });
+            sm.onMessage(hostAnnounce('host-b', 31337));
+            expect(game.rockSystem.setSeed).not.toHaveBeenCalled();
+        });
+
+        it('the host announces its RockSystem seed', async () => {
+            const game = { clientId: 'host-1', _isDevMode: false, rockSystem: { params: { seed: 2024 } } };
+            const transport = {
+                joinChannel: vi.fn(async () => {}),
+                broadcastToChannel: vi.fn(async () => {}),
+                leaveChannel: vi.fn(async () => {}),
+                onMessage: vi.fn()
+            };
+            const sm = new SessionManager(game);
+            sm.setTransport(transport);
+            sm.state.setAsHost('host-1', 'S', 'P');
+
+            await sm.sendAnnounce();
+            expect(transport.broadcastToChannel.mock.calls[0][1].rockSeed).toBe(2024);
+        });
+    });
+});
@@ -0,0 +1,481 @@
+/**
+ * Server Room Save / Resume Integration Tests
+ *
+ * Tests room persistence: HeadlessUnit / CollisionService / CommandQueue
+ * state roundtrips, Room.serialize() → JSON → restore() resuming the exact
+ * same simulation, the RoomSave envelope (validation, versioning), and
+ * GameServer checkpointing rooms to a directory and restoring them on a
+ * fresh server (host reclaims slot 0 by re-announcing and gets the terrain
+ * edits back, AIs are re-attached).
+ *
+ * Run: npx vitest run tests/integration/netcode/server-room-save.test.js
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { AIController } from '../../../server/AIController.js';
+import { HeadlessUnit } from '../../../server/HeadlessUnit.js';
+import { CollisionService } from '../../../server/CollisionService.js';
+import { RoomCheckpointStore } from '../../../server/RoomCheckpointStore.js';
+import {
+    ROOM_SAVE_SCHEMA_VERSION,
+    ROOM_SAVE_FORMAT,
+    createRoomSaveEnvelope,
+    validateRoomSaveEnvelope,
+    migrateRoomSaveEnvelope
+} from '../../../server/RoomSave.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { CommandQueue, CommandType } from '../../../src/SimCore/runtime/CommandQueue.js';
+import { peekEntityId, resetEntityIdCounter, setEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+import { validateMessage } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+const ROOM_OPTIONS = {
+    interestManagement: false,
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Surface point `deg` degrees along the equator */
+function surfacePoint(room, deg) {
+    const a = deg * Math.PI / 180;
+    const dir = { x: Math.cos(a), y: 0, z: Math.sin(a) };
+    return Vec3.scale(dir, room.terrain.getRadiusAt(dir));
+}
+
+/** Room with two moving units, one order still queued; ticks driven by hand */
+function buildMatch(options = {}) {
+    const room = new Room('save-me', { ...ROOM_OPTIONS, ...options });
+    room.addPlayer('host', 'Host', null);
+    room.addPlayer('guest', 'Guest', null);
+    room.createUnitsFromManifest([
+        { id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 },
+        { id: 2, ownerSlot: 1, modelIndex: 1, px: 0, py: 0, pz: 1 }
+    ]);
+    room.state = 'RUNNING';
+    room.units[0].setPath([surfacePoint(room, 10), surfacePoint(room, 20)], false);
+    room.units[1].setPath([surfacePoint(room, 80), surfacePoint(room, 70)], true);
+    tickRoom(room, 10);
+    return room;
+}
+
+function restoredCopy(room, options = {}) {
+    const data = JSON.parse(JSON.stringify(room.serialize()));
+    const copy = new Room(data.roomId, { ...ROOM_OPTIONS, ...data.config, ...options });
+    copy.restore(data);
+    return copy;
+}
+
+async function tmpDir() {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'asterobia-rooms-'));
+}
+
+// ========================================
+// State roundtrips
+// ========================================
+
+describe('Room save: component state', () => {
+    it('HeadlessUnit serialize/fromSave roundtrips the unit', () => {
+        const room = buildMatch();
+        const unit = room.units[0];
+        unit.setAttackTarget(2);
+        const copy = HeadlessUnit.fromSave(JSON.parse(JSON.stringify(unit.serialize())), room.terrain, room.statsEngine);
+        expect(copy.serialize()).toEqual(unit.serialize());
+        expect(copy.terrain).toBe(room.terrain);
+    });
+
+    it('a unit saved mid-tumble resumes KINEMATIC on the terrain', () => {
+        const room = buildMatch();
+        const data = room.units[0].serialize();
+        data.physicsMode = 'DYNAMIC';
+        data.position = Vec3.scale(data.position, 1.2);
+        data.velocity = { x: 3, y: 0, z: 0 };
+
+        const unit = HeadlessUnit.fromSave(data, room.terrain, room.statsEngine);
+        expect(unit.physicsMode).toBe('KINEMATIC');
+        expect(unit.velocity).toEqual({ x: 0, y: 0, z: 0 });
+        const dir = Vec3.normalize(unit.position);
+        expect(Vec3.length(unit.position)).toBeCloseTo(room.terrain.getRadiusAt(dir), 3);
+    });
+
+    it('CollisionService restores mines and never reuses a mine ID', () => {
+        const a = new CollisionService();
+        a.addMine({ x: 1, y: 2, z: 3 }, { triggerRadius: 4 });
+        const second = a.addMine({ x: 4, y: 5, z: 6 });
+        a.removeMine(1);
+
+        const b = new CollisionService();
+        b.restore(JSON.parse(JSON.stringify(a.serialize())));
+        expect(b.mineCount).toBe(1);
+        expect(b.getMine(second)).toEqual(a.getMine(second));
+        expect(b.addMine({ x: 0, y: 0, z: 1 })).toBe(second + 1);
+    });
+
+    it('CommandQueue getState/setState keeps the pending backlog and sequence', () => {
+        const a = new CommandQueue();
+        a.enqueue({ type: CommandType.MOVE, unitId: 1, targetTick: 5 });
+        a.enqueue({ type: CommandType.MOVE, unitId: 2, targetTick: 6 });
+
+        const b = new CommandQueue();
+        b.setState(JSON.parse(JSON.stringify(a.getState())));
+        expect(b.getState()).toEqual(a.getState());
+        expect(b.enqueue({ type: CommandType.MOVE, unitId: 3 }).seq)
+            .toBe(a.enqueue({ type: CommandType.MOVE, unitId: 3 }).seq);
+    });
+});
+
+// ========================================
+// Room serialize / restore
+// ========================================
+
+describe('Room save: serialize → restore', () => {
+    it('resumes the exact same simulation', () => {
+        const room = buildMatch();
+        room.receiveInput(0, { type: 'MOVE_INPUT', unitId: 1, forward: 1, turn: 0, seq: 1 });
+        room.shapeTerrain(surfacePoint(room, -30), 2, 0.5);
+
+        const copy = restoredCopy(room);
+        expect(copy.serialize()).toEqual(room.serialize());
+        expect([...copy.players.values()]).toEqual([
+            { id: 'host', name: 'Host', endpoint: null },
+            { id: 'guest', name: 'Guest', endpoint: null }
+        ]);
+
+        copy.state = 'RUNNING';
+        tickRoom(room, 40);
+        tickRoom(copy, 40);
+        expect(copy.serialize()).toEqual(room.serialize());
+        expect(copy.units[0].position).toEqual(room.units[0].position);
+    });
+
+    it('keeps the room config (tick rate, seeds, terrain)', () => {
+        const room = buildMatch({ tickMs: 40, mapSeed: 7, rockSeed: 99 });
+        const data = room.serialize();
+        expect(data.config).toMatchObject({ tickMs: 40, mapSeed: 7, rockSeed: 99, rockOptions: { count: 0 } });
+        expect(data.config.terrainParams).toEqual(room.terrain.params);
+        expect(data.simLoop.tickCount).toBe(10);
+    });
+
+    it('only restores into a WAITING room', () => {
+        const room = buildMatch();
+        expect(() => room.restore(room.serialize())).toThrow(/Cannot restore/);
+    });
+
+    it('restores mines and obstacles once physics starts', async () => {
+        const room = new Room('phys-save', { ...ROOM_OPTIONS, enablePhysics: true });
+        await room.start();
+        const mineId = room.addMine(surfacePoint(room, 5));
+        room.addObstacle(surfacePoint(room, 15), 2.5);
+        const data = JSON.parse(JSON.stringify(room.serialize()));
+        room.stop();
+
+        const copy = new Room(data.roomId, { ...ROOM_OPTIONS, ...data.config });
+        copy.restore(data);
+        expect(copy.serialize().mines).toEqual(data.mines);
+        await copy.start();
+        const resumed = copy.serialize();
+        copy.stop();
+        expect(copy.collisions.getMine(mineId)).toEqual(room.collisions.getMine(mineId));
+        expect(resumed.obstacles).toEqual([{ position: surfacePoint(room, 15), radius: 2.5 }]);
+    });
+});
+
+// ========================================
+// Envelope
+// ========================================
+
+describe('Room save: envelope', () => {
+    it('wraps the room state with format, version and entity counter', () => {
+        const room = buildMatch();
+        const envelope = JSON.parse(JSON.stringify(createRoomSaveEnvelope(room)));
+        expect(envelope.format).toBe(ROOM_SAVE_FORMAT);
+        expect(envelope.schemaVersion).toBe(ROOM_SAVE_SCHEMA_VERSION);
+        expect(envelope.roomId).toBe('save-me');
+        expect(envelope.state.entityIdCounter).toBe(peekEntityId());
+        expect(validateRoomSaveEnvelope(envelope)).toEqual({ valid: true, version: ROOM_SAVE_SCHEMA_VERSION });
+        expect(migrateRoomSaveEnvelope(envelope)).toEqual(envelope);
+        expect(envelope.host).toEqual({ secretHash: null });
+    });
+
+    it('migrates v1 saves to a room without a host secret', () => {
+        const { host, ...v1 } = { ...createRoomSaveEnvelope(buildMatch()), schemaVersion: 1 };
+        expect(validateRoomSaveEnvelope(v1).valid).toBe(true);
+        const migrated = migrateRoomSaveEnvelope(v1);
+        expect(migrated.schemaVersion).toBe(ROOM_SAVE_SCHEMA_VERSION);
+        expect(migrated.host).toEqual({ secretHash: null });
+        expect(validateRoomSaveEnvelope({ ...migrated, host: { secretHash: 7 } }).valid).toBe(false);
+    });
+
+    it('rejects foreign, newer and malformed saves', () => {
+        const envelope = createRoomSaveEnvelope(buildMatch());
+        expect(validateRoomSaveEnvelope(null).valid).toBe(false);
+        expect(validateRoomSaveEnvelope({ ...envelope, format: 'asterobia-save' }).valid).toBe(false);
+        expect(validateRoomSaveEnvelope({ ...envelope, schemaVersion: ROOM_SAVE_SCHEMA_VERSION + 1 }).error)
+            .toMatch(/newer than supported/);
+        expect(validateRoomSaveEnvelope({ ...envelope, roomId: 'other' }).valid).toBe(false);
+        expect(validateRoomSaveEnvelope({ ...envelope, state: { room: { ...envelope.state.room, units: null } } }).valid)
+            .toBe(false);
+    });
+});
+
+// ========================================
+// GameServer checkpoint / restore
+// ========================================
+
+describe('Room save: GameServer checkpoints', () => {
+    const ROOM_ID = 'long-match';
+    const CHANNEL = `asterobia:session:${ROOM_ID}`;
+    const HOST_SECRET = 'host-secret-1';
+    const servers = [];
+    const dirs = [];
+
+    afterEach(async () => {
+        for (const s of servers.splice(0)) s.stop();
+        for (const d of dirs.splice(0)) await fs.rm(d, { recursive: true, force: true });
+        vi.restoreAllMocks();
+    });
+
+    async function newServer(dir) {
+        const server = new GameServer({ checkpointDir: dir, roomOptions: ROOM_OPTIONS });
+        const relay = { channels: new Map(), clients: new Map(), relayed: [], _broadcast(ws, c, ch, p) { this.relayed.push(p); }, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+        servers.push(server);
+
+        const connect = (id) => {
+            const ws = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+            relay.clients.set(ws, { id });
+            if (!relay.channels.has(CHANNEL)) relay.channels.set(CHANNEL, new Set());
+            relay.channels.get(CHANNEL).add(ws);
+            return (payload, channel = CHANNEL) => relay._broadcast(ws, { id }, channel, payload);
+        };
+        return { server, relay, connect };
+    }
+
+    async function runningMatch() {
+        const dir = await tmpDir();
+        dirs.push(dir);
+        resetEntityIdCounter();
+        setEntityIdCounter(50);
+        const { server, connect } = await newServer(dir);
+        const send = connect(1);
+        send({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' }, 'asterobia:lobby');
+        send({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host', hostSecret: HOST_SECRET });
+        send({
+            type: 'SPAWN_MANIFEST',
+            units: [
+                { id: 1, ownerSlot: 0, modelIndex: 0, px: 1, py: 0, pz: 0 },
+                { id: 2, ownerSlot: 1, modelIndex: 0, px: 0, py: 0, pz: 1 }
+            ]
+        });
+        const room = server.getRoom(ROOM_ID);
+        room.stop();
+        room.state = 'RUNNING'; // Ticks driven by hand
+        room.units[0].setPath([surfacePoint(room, 20)], false);
+        tickRoom(room, 15);
+        return { dir, server, room };
+    }
+
+    it('checkpoints running rooms and resumes them on a fresh server', async () => {
+        const { dir, server, room } = await runningMatch();
+        expect(await server.checkpointRooms()).toEqual([ROOM_ID]);
+        const files = await fs.readdir(dir);
+        expect(files).toEqual([`${ROOM_ID}.room.json`]);
+        const saved = room.serialize();
+        server.stop();
+
+        resetEntityIdCounter();
+        const { server: next } = await newServer(dir);
+        expect(await next.restoreRooms()).toEqual([ROOM_ID]);
+        const resumed = next.getRoom(ROOM_ID);
+        expect(resumed.state).toBe('RUNNING');
+        resumed.stop();
+        expect(resumed.serialize()).toEqual(saved);
+        expect(peekEntityId()).toBeGreaterThanOrEqual(50);
+    });
+
+    it('puts the AI back on its slot where it left off when the room is restored', async () => {
+        const { dir, server, room } = await runningMatch();
+        expect(server.addAIPlayer(ROOM_ID, { difficulty: 'hard', seed: 7, tuning: { maxMines: 1, aggression: 0 } })).toBe(10);
+        // Slot 1's unit is in sight: every decision rolls the AI's aggression, then patrols
+        for (let i = 0; i < 20; i++) room.advanceTick();
+        const saved = room.serialize();
+        expect(saved.ai).toEqual([expect.objectContaining({ slot: 10, difficulty: 'hard', seed: 7 })]);
+        expect(saved.ai[0].state.rng.callCount).toBeGreaterThan(0);
+        await server.checkpointRooms();
+
+        // The uninterrupted match goes on
+        const play = (r) => {
+            const orders = [];
+            const receiveInput = r.receiveInput.bind(r);
+            r.receiveInput = (slot, cmd) => {
+                if (slot === 10) orders.push(cmd);
+                receiveInput(slot, cmd);
+            };
+            for (let i = 0; i < 60; i++) r.advanceTick();
+            return orders;
+        };
+        const uninterrupted = play(room);
+        const finalState = room.aiControllers.get(10).getState();
+        server.stop();
+
+        const { server: next } = await newServer(dir);
+        await next.restoreRooms();
+        const resumed = next.getRoom(ROOM_ID);
+        resumed.stop();
+        const ai = resumed.aiControllers.get(10);
+        expect(ai).toMatchObject({ slot: 10, room: resumed, difficulty: 'hard', seed: 7 });
+        expect(ai.tuning.maxMines).toBe(1);
+        expect(resumed.serialize().ai).toEqual(saved.ai);
+        expect(next.addAIPlayer(ROOM_ID, { slot: 10 })).toBeNull();
+
+        // The restored AI makes the same decisions from the same RNG position
+        resumed.state = 'RUNNING';
+        const orders = play(resumed);
+        expect(ai.stats.decisions).toBeGreaterThan(0);
+        expect(finalState.rng.callCount).toBeGreaterThan(saved.ai[0].state.rng.callCount);
+        expect(orders).toEqual(uninterrupted);
+        expect(ai.getState()).toEqual(finalState);
+    });
+
+    it('restores the mines an AI already laid', () => {
+        const ai = new AIController({ seed: 3 });
+        ai._rng.next();
+        ai._mineIds.push(41, 42);
+        ai._units.set(2, { mode: 'FLEE', home: { x: 1, y: 0, z: 0 }, targetId: 1, lastGoal: null });
+
+        const copy = new AIController(ai.getConfig());
+        copy.setState(JSON.parse(JSON.stringify(ai.getState())));
+        expect(copy._mineIds).toEqual([41, 42]);
+        expect(copy._units.get(2)).toEqual(ai._units.get(2));
+        expect(copy._rng.next()).toBe(ai._rng.next());
+    });
+
+    it('lets the reconnecting host reclaim slot 0 with its host secret', async () => {
+        const { dir, server } = await runningMatch();
+        await server.checkpointRooms();
+        server.stop();
+
+        // Only a hash of the secret is saved
+        const saved = await fs.readFile(path.join(dir, `${ROOM_ID}.room.json`), 'utf8');
+        expect(saved).not.toContain(HOST_SECRET);
+        expect(JSON.parse(saved).host.secretHash).toMatch(/^[0-9a-f]{64}$/);
+
+        const { server: next, relay, connect } = await newServer(dir);
+        await next.restoreRooms();
+        const resumed = next.getRoom(ROOM_ID);
+        resumed.stop();
+        resumed.state = 'RUNNING';
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        // No secret, a wrong secret, or the right secret on another channel: refused
+        const imposter = connect(8);
+        imposter({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Imposter' });
+        imposter({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Imposter', hostSecret: 'guess' });
+        imposter({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostSecret: HOST_SECRET }, 'asterobia:lobby');
+        imposter({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostSecret: HOST_SECRET }, 'asterobia:session:other-room');
+        expect(next._clientSlots.has(8)).toBe(false);
+        expect(warn).toHaveBeenCalledTimes(4);
+
+        const host = connect(7);
+        host({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host', hostSecret: HOST_SECRET });
+        expect(next._clientSlots.get(7)).toEqual({ roomId: ROOM_ID, slot: 0 });
+
+        // The secret is never relayed to peers
+        expect(relay.relayed.filter(p => p.type === 'HOST_ANNOUNCE')).toHaveLength(5);
+        expect(relay.relayed.some(p => 'hostSecret' in p)).toBe(false);
+
+        // A second announce for the same room is ignored again
+        connect(9)({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Imposter', hostSecret: HOST_SECRET });
+        expect(next._clientSlots.has(9)).toBe(false);
+    });
+
+    it('sends the reclaiming host the terrain edits of the restored room', async () => {
+        const { dir, server, room } = await runningMatch();
+        expect(room.shapeTerrain(surfacePoint(room, -30), 2, 0.5).changed).toBeGreaterThan(0);
+        tickRoom(room, 1);
+        await server.checkpointRooms();
+        server.stop();
+
+        const { server: next, relay, connect } = await newServer(dir);
+        await next.restoreRooms();
+        const resumed = next.getRoom(ROOM_ID);
+        resumed.stop();
+        resumed.state = 'RUNNING';
+
+        connect(7)({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host', hostSecret: HOST_SECRET });
+        const hostWs = [...relay.clients].find(([, c]) => c.id === 7)[0];
+        const states = hostWs._sent.filter(m => m.payload?.type === 'TERRAIN_STATE').map(m => m.payload);
+        expect(states).toHaveLength(1);
+        expect(validateMessage(states[0]).valid).toBe(true);
+        expect(states[0].terrain.nodes.length).toBeGreaterThan(0);
+        expect(states[0].terrain).toEqual(room.terrain.deltaLayer.serialize());
+    });
+
+    it('refuses to hand a room saved without a host secret to anyone', async () => {
+        const dir = await tmpDir();
+        dirs.push(dir);
+        const { server, connect } = await newServer(dir);
+        connect(1)({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        const room = server.getRoom(ROOM_ID);
+        room.stop();
+        room.state = 'RUNNING';
+        await server.checkpointRooms();
+        server.stop();
+
+        const { server: next, connect: reconnect } = await newServer(dir);
+        await next.restoreRooms();
+        next.getRoom(ROOM_ID).stop();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        reconnect(7)({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host', hostSecret: HOST_SECRET });
+        expect(next._clientSlots.has(7)).toBe(false);
+    });
+
+    it('skips unreadable, foreign and newer checkpoints', async () => {
+        const dir = await tmpDir();
+        dirs.push(dir);
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const store = new RoomCheckpointStore(dir);
+        const envelope = createRoomSaveEnvelope(buildMatch());
+        await store.save({ ...envelope, roomId: 'newer', schemaVersion: ROOM_SAVE_SCHEMA_VERSION + 1 });
+        await store.save({ ...envelope, roomId: 'foreign', format: 'something-else' });
+        await fs.writeFile(path.join(dir, 'broken.room.json'), '{ not json');
+
+        const { server } = await newServer(dir);
+        expect(await server.restoreRooms()).toEqual([]);
+        expect(server.rooms.size).toBe(0);
+        expect(warn).toHaveBeenCalledTimes(3);
+    });
+
+    it('deletes the checkpoint when the room is removed', async () => {
+        const { dir, server } = await runningMatch();
+        await server.checkpointRooms();
+        expect(server.removeRoom(ROOM_ID)).toBe(true);
+        await vi.waitFor(async () => expect(await fs.readdir(dir)).toEqual([]));
+    });
+
+    it('is disabled without a checkpoint directory', async () => {
+        const server = new GameServer();
+        servers.push(server);
+        server.start();
+        expect(server._checkpointTimer).toBeNull();
+        expect(await server.checkpointRooms()).toEqual([]);
+        expect(await server.restoreRooms()).toEqual([]);
+    });
+});
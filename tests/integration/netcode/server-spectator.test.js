@@ -0,0 +1,455 @@
+/**
+ * Server Spectator Integration Tests
+ *
+ * Tests spectating a room on its spectate channel: SpectatorFeed delay,
+ * SPECTATE_REQ / SPECTATE_ACK (requester only; NOT_FOUND, PLAYER_IN_ROOM,
+ * SPECTATORS_FULL), full unfiltered SERVER_SNAPSHOTs released spectatorDelayMs
+ * late to registered spectators only, the Terrain Shaping layer of the delayed
+ * stream in SPECTATE_ACK, client frames on spectate channels never relayed,
+ * cleanup on disconnect, and the SessionManager spectateGame() client API.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-spectator.test.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { GameServer } from '../../../server/GameServer.js';
+import { SpectatorFeed } from '../../../server/SpectatorFeed.js';
+import { ServerTerrain } from '../../../server/ServerTerrain.js';
+import { SessionManager } from '../../../src/SimCore/multiplayer/SessionManager.js';
+import { NetworkRole } from '../../../src/SimCore/multiplayer/NetworkRole.js';
+import { MSG, SPECTATE_REJECT_REASON } from '../../../src/SimCore/multiplayer/MessageTypes.js';
+import { validateMessage, createSpectateReq, createSpectateAck } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+const ROOM_ID = 'room-SPECT';
+const SESSION = `asterobia:session:${ROOM_ID}`;
+const SPECTATE = `asterobia:spectate:${ROOM_ID}`;
+const PLANET_RADIUS = 60;
+
+const ROOM_OPTIONS = {
+    materaOptions: { depositCount: 0 },
+    rockOptions: { count: 0 }
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count) {
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(room.simLoop.fixedDtSec, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Surface point at an arc distance (m) from +X along the equator */
+function atArc(meters) {
+    const a = meters / PLANET_RADIUS;
+    return { x: Math.cos(a) * PLANET_RADIUS, y: 0, z: Math.sin(a) * PLANET_RADIUS };
+}
+
+/**
+ * Server + fake relay with a running room (interest management on):
+ * host (client 1) owns unit 1, and unit 2 of slot 1 is far out of its sight.
+ */
+function setup(options = {}) {
+    resetEntityIdCounter();
+    const server = new GameServer({ roomOptions: ROOM_OPTIONS, spectatorDelayMs: 150, ...options });
+    const relay = { channels: new Map(), clients: new Map(), relayed: [], _broadcast(ws, client, channel, payload) { this.relayed.push(payload); }, _handleDisconnect() {} };
+    server.wireToRelay(relay);
+    server.start();
+
+    const connect = (id, channels) => {
+        const ws = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+        const client = { id, channels: new Set(channels) };
+        relay.clients.set(ws, client);
+        for (const channel of channels) {
+            if (!relay.channels.has(channel)) relay.channels.set(channel, new Set());
+            relay.channels.get(channel).add(ws);
+        }
+        return {
+            ws,
+            client,
+            send: (payload, channel = channels[0]) => relay._broadcast(ws, client, channel, payload),
+            replies: (type) => ws._sent.filter(m => m.payload?.type === type).map(m => m.payload),
+            disconnect: () => relay._handleDisconnect(ws)
+        };
+    };
+
+    const host = connect(1, [SESSION]);
+    host.send({ type: MSG.HOST_ANNOUNCE, hostId: ROOM_ID, hostDisplayName: 'Host' });
+    host.send({
+        type: MSG.SPAWN_MANIFEST,
+        units: [
+            { id: 1, ownerSlot: 0, modelIndex: 0, ...toP(atArc(0)) },
+            { id: 2, ownerSlot: 1, modelIndex: 0, ...toP(atArc(180)) }
+        ],
+        timestamp: Date.now()
+    });
+    const room = server.getRoom(ROOM_ID);
+    // Tick by hand but keep the room RUNNING (stop() would end it)
+    clearInterval(room._tickInterval);
+    room._tickInterval = null;
+    relay.relayed.length = 0;
+    return { server, relay, room, host, connect };
+}
+
+function toP(v) {
+    return { px: v.x, py: v.y, pz: v.z };
+}
+
+// ========================================
+// SpectatorFeed
+// ========================================
+
+describe('SpectatorFeed', () => {
+    it('releases each snapshot delayTicks ticks later, in order', () => {
+        const feed = new SpectatorFeed({ delayMs: 120, tickMs: 50 });
+        expect(feed.delayTicks).toBe(3);
+        expect(feed.delayMs).toBe(150);
+
+        expect(feed.push({ tick: 1 })).toEqual([]);
+        expect(feed.push({ tick: 2 })).toEqual([]);
+        expect(feed.push({ tick: 3 })).toEqual([]);
+        expect(feed.pending).toBe(3);
+        expect(feed.push({ tick: 4 })).toEqual([{ tick: 1 }]);
+        expect(feed.push({ tick: 5 })).toEqual([{ tick: 2 }]);
+        expect(feed.pending).toBe(3);
+    });
+
+    it('passes snapshots straight through with no delay', () => {
+        const feed = new SpectatorFeed({ delayMs: 0, tickMs: 50 });
+        expect(feed.push({ tick: 7 })).toEqual([{ tick: 7 }]);
+        expect(feed.pending).toBe(0);
+    });
+
+    it('keeps the terrain of the last released snapshot', () => {
+        const terrain = new ServerTerrain();
+        const stamp = { center: atArc(0), targetHeight: 3, step: 0.05, radius: 3, smoothing: 0.5 };
+        terrain.deltaLayer.applyStamp(stamp, terrain);
+        const start = terrain.deltaLayer.serialize();
+
+        const feed = new SpectatorFeed({ delayMs: 100, tickMs: 50, terrain });
+        expect(feed.terrainState()).toEqual(start);
+
+        terrain.deltaLayer.applyStamp(stamp, terrain);
+        feed.push({ tick: 1, terrainStamps: [stamp] });
+        feed.push({ tick: 2 });
+        expect(feed.terrainState()).toEqual(start);
+
+        feed.push({ tick: 3 });
+        expect(feed.terrainState()).toEqual(terrain.deltaLayer.serialize());
+        expect(new SpectatorFeed({ delayMs: 100 }).terrainState()).toBeNull();
+    });
+
+    it('does not replay stamps its copy of the layer already holds', () => {
+        const terrain = new ServerTerrain();
+        const first = { center: atArc(0), targetHeight: 3, step: 0.05, radius: 3, smoothing: 0.5 };
+        const second = { ...first, center: atArc(20) };
+        terrain.deltaLayer.applyStamp(first, terrain);
+
+        const feed = new SpectatorFeed({ delayMs: 0, tickMs: 50, terrain, stampsInLayer: 1 });
+        const snapshot = { tick: 1, terrainStamps: [first, second] };
+        terrain.deltaLayer.applyStamp(second, terrain);
+
+        expect(feed.push(snapshot)).toEqual([{ tick: 1, terrainStamps: [second] }]);
+        expect(snapshot.terrainStamps).toHaveLength(2);
+        expect(feed.terrainState()).toEqual(terrain.deltaLayer.serialize());
+        expect(feed.push({ tick: 2, terrainStamps: [first] })[0].terrainStamps).toEqual([first]);
+    });
+});
+
+// ========================================
+// Server
+// ========================================
+
+describe('GameServer spectators', () => {
+    let server, relay, room, host, connect;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        ({ server, relay, room, host, connect } = setup());
+    });
+
+    afterEach(() => {
+        server.stop();
+        vi.restoreAllMocks();
+    });
+
+    it('accepts SPECTATE_REQ without a slot and answers the requester only', () => {
+        const lurker = connect(6, [SPECTATE]);
+        const spectator = connect(5, [SPECTATE]);
+        spectator.send(createSpectateReq({ roomId: ROOM_ID, displayName: 'Caster' }));
+
+        const [ack] = spectator.replies(MSG.SPECTATE_ACK);
+        expect(ack).toMatchObject({ roomId: ROOM_ID, accepted: true, delayMs: 150, rockSeed: room.rockSeed, reason: null });
+        expect(validateMessage(ack).valid).toBe(true);
+        expect(lurker.ws._sent).toHaveLength(0);
+        expect(relay.relayed).toHaveLength(0);
+
+        expect(server._clientSlots.has(5)).toBe(false);
+        expect(room.players.size).toBe(1);
+        expect(server.spectatorCount(ROOM_ID)).toBe(1);
+        expect(server.getRoomSummaries()[0]).toMatchObject({ clients: 1, spectators: 1 });
+    });
+
+    it('sends full snapshots spectatorDelayMs late, to registered spectators only', () => {
+        const lurker = connect(6, [SPECTATE]);
+        const spectator = connect(5, [SPECTATE]);
+        spectator.send(createSpectateReq({ roomId: ROOM_ID }));
+
+        tickRoom(room, 3);
+        expect(spectator.replies(MSG.SERVER_SNAPSHOT)).toHaveLength(0);
+
+        tickRoom(room, 2);
+        const snaps = spectator.replies(MSG.SERVER_SNAPSHOT);
+        expect(snaps.map(s => s.tick)).toEqual([1, 2]);
+        // Every unit, including the one the host cannot see
+        expect(snaps[0].units.map(u => u.id)).toEqual([1, 2]);
+
+        // The host's own snapshots stay fog-filtered and live
+        const hostSnaps = host.replies(MSG.SERVER_SNAPSHOT);
+        expect(hostSnaps.map(s => s.tick)).toEqual([1, 2, 3, 4, 5]);
+        expect(hostSnaps[0].units.map(u => u.id)).toEqual([1]);
+
+        // Subscribed to the channel but never accepted: nothing
+        expect(lurker.replies(MSG.SERVER_SNAPSHOT)).toHaveLength(0);
+    });
+
+    it('sends joining spectators the terrain of the delayed stream', () => {
+        room.shapeTerrain(atArc(0), 3, 0.5);
+        tickRoom(room, 1);
+        const first = connect(5, [SPECTATE]);
+        first.send(createSpectateReq({ roomId: ROOM_ID }));
+        const [ack] = first.replies(MSG.SPECTATE_ACK);
+        expect(ack.terrain.nodes.length).toBeGreaterThan(0);
+        expect(ack.terrain).toEqual(room.terrain.deltaLayer.serialize());
+        expect(validateMessage(ack).valid).toBe(true);
+
+        // Edits the delayed stream has not reached yet stay out of the ACK
+        room.shapeTerrain(atArc(10), -2, 0.5);
+        tickRoom(room, 2);
+        const second = connect(6, [SPECTATE]);
+        second.send(createSpectateReq({ roomId: ROOM_ID }));
+        expect(second.replies(MSG.SPECTATE_ACK)[0].terrain).toEqual(ack.terrain);
+
+        tickRoom(room, 2);
+        expect(second.replies(MSG.SERVER_SNAPSHOT).map(s => s.tick)).toEqual([2]);
+        expect(second.replies(MSG.SERVER_SNAPSHOT)[0].terrainStamps).toHaveLength(1);
+        const third = connect(7, [SPECTATE]);
+        third.send(createSpectateReq({ roomId: ROOM_ID }));
+        expect(third.replies(MSG.SPECTATE_ACK)[0].terrain).toEqual(room.terrain.deltaLayer.serialize());
+    });
+
+    it('does not send a spectator stamps its SPECTATE_ACK terrain already holds', () => {
+        room.shapeTerrain(atArc(0), 3, 0.5);
+        const spectator = connect(5, [SPECTATE]);
+        spectator.send(createSpectateReq({ roomId: ROOM_ID }));
+        expect(spectator.replies(MSG.SPECTATE_ACK)[0].terrain).toEqual(room.terrain.deltaLayer.serialize());
+
+        tickRoom(room, 4);
+        const [snap] = spectator.replies(MSG.SERVER_SNAPSHOT);
+        expect(snap.tick).toBe(1);
+        expect(snap).not.toHaveProperty('terrainStamps');
+        expect(host.replies(MSG.SERVER_SNAPSHOT)[0].terrainStamps).toHaveLength(1);
+    });
+
+    it('keeps nothing for rooms without spectators', () => {
+        tickRoom(room, 4);
+        expect(server._spectatorFeeds.size).toBe(0);
+    });
+
+    it('refuses unknown rooms, players of the room and full rooms', () => {
+        const lost = connect(7, ['asterobia:spectate:room-NOPE']);
+        lost.send(createSpectateReq({ roomId: 'room-NOPE' }));
+        expect(lost.replies(MSG.SPECTATE_ACK)[0]).toMatchObject({ accepted: false, reason: SPECTATE_REJECT_REASON.NOT_FOUND, delayMs: null });
+
+        // The host may not watch its own room with full visibility
+        host.client.channels.add(SPECTATE);
+        host.send(createSpectateReq({ roomId: ROOM_ID }), SPECTATE);
+        expect(host.replies(MSG.SPECTATE_ACK)[0]).toMatchObject({ accepted: false, reason: SPECTATE_REJECT_REASON.PLAYER_IN_ROOM });
+
+        server._maxSpectators = 1;
+        const first = connect(5, [SPECTATE]);
+        const second = connect(6, [SPECTATE]);
+        first.send(createSpectateReq({ roomId: ROOM_ID }));
+        second.send(createSpectateReq({ roomId: ROOM_ID }));
+        expect(first.replies(MSG.SPECTATE_ACK)[0].accepted).toBe(true);
+        expect(second.replies(MSG.SPECTATE_ACK)[0]).toMatchObject({ accepted: false, reason: SPECTATE_REJECT_REASON.SPECTATORS_FULL });
+        // Asking again for the same room is not a second spectator
+        first.send(createSpectateReq({ roomId: ROOM_ID }));
+        expect(first.replies(MSG.SPECTATE_ACK)[1].accepted).toBe(true);
+        expect(server.spectatorCount(ROOM_ID)).toBe(1);
+    });
+
+    it('is disabled with maxSpectators 0', () => {
+        server._maxSpectators = 0;
+        const spectator = connect(5, [SPECTATE]);
+        spectator.send(createSpectateReq({ roomId: ROOM_ID }));
+        expect(spectator.replies(MSG.SPECTATE_ACK)[0]).toMatchObject({ accepted: false, reason: SPECTATE_REJECT_REASON.SPECTATORS_FULL });
+    });
+
+    it('never relays client frames on spectate channels', () => {
+        const spectator = connect(5, [SPECTATE]);
+        const other = connect(6, [SPECTATE]);
+        other.send(createSpectateReq({ roomId: ROOM_ID }));
+
+        spectator.send({ type: MSG.SERVER_SNAPSHOT, version: 1, tick: 99, serverTimeMs: 0, units: [] });
+        spectator.send({ type: MSG.MOVE_INPUT, forward: true, unitId: 1, timestamp: Date.now() });
+        expect(relay.relayed).toHaveLength(0);
+        expect(other.replies(MSG.SERVER_SNAPSHOT)).toHaveLength(0);
+    });
+
+    it('stops sending to a spectator that became a player of the room', () => {
+        const spectator = connect(5, [SPECTATE]);
+        spectator.send(createSpectateReq({ roomId: ROOM_ID }));
+        server._clientSlots.set(5, { roomId: ROOM_ID, slot: 1 });
+
+        tickRoom(room, 5);
+        expect(spectator.replies(MSG.SERVER_SNAPSHOT)).toHaveLength(0);
+    });
+
+    it('drops the spectator and its feed on disconnect and room removal', () => {
+        const spectator = connect(5, [SPECTATE]);
+        spectator.send(createSpectateReq({ roomId: ROOM_ID }));
+        tickRoom(room, 2);
+        expect(server._spectatorFeeds.get(ROOM_ID).pending).toBe(2);
+
+        spectator.disconnect();
+        expect(server.spectatorCount(ROOM_ID)).toBe(0);
+        expect(server._spectatorFeeds.has(ROOM_ID)).toBe(false);
+
+        const again = connect(6, [SPECTATE]);
+        again.send(createSpectateReq({ roomId: ROOM_ID }));
+        server.removeRoom(ROOM_ID);
+        expect(server._spectators.size).toBe(0);
+        expect(server._spectatorFeeds.size).toBe(0);
+    });
+});
+
+// ========================================
+// Client
+// ========================================
+
+describe('SessionManager spectateGame', () => {
+    let server, relay, room;
+
+    beforeEach(() => {
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        ({ server, relay, room } = setup());
+    });
+
+    afterEach(() => {
+        server.stop();
+        vi.restoreAllMocks();
+    });
+
+    /** SessionManager whose transport loops through the wired relay */
+    function client(id) {
+        const game = {
+            clientId: `client-${id}`,
+            _isDevMode: false,
+            rockSystem: { setSeed: vi.fn() },
+            applyServerSnapshot: vi.fn(() => true),
+            applyTerrainState: vi.fn()
+        };
+        const sm = new SessionManager(game);
+        const relayClient = { id, channels: new Set() };
+        const ws = { readyState: 1, send: (d) => sm.onMessage(JSON.parse(d).payload) };
+        relay.clients.set(ws, relayClient);
+        sm.setTransport({
+            joinChannel: vi.fn(async (channel) => {
+                relayClient.channels.add(channel);
+                if (!relay.channels.has(channel)) relay.channels.set(channel, new Set());
+                relay.channels.get(channel).add(ws);
+            }),
+            leaveChannel: vi.fn(async (channel) => {
+                relayClient.channels.delete(channel);
+                relay.channels.get(channel)?.delete(ws);
+            }),
+            broadcastToChannel: vi.fn(async (channel, msg) => relay._broadcast(ws, relayClient, channel, msg)),
+            onMessage: vi.fn()
+        });
+        return { sm, game };
+    }
+
+    it('joins as a seatless spectator and applies the delayed snapshots', async () => {
+        const { sm, game } = client(5);
+        const states = [];
+        sm.onConnectionStateChanged = (s) => states.push(s);
+
+        await expect(sm.spectateGame(ROOM_ID)).resolves.toEqual({ roomId: ROOM_ID, delayMs: 150 });
+        expect(sm.getRole()).toBe(NetworkRole.SPECTATOR);
+        expect(sm.isSpectator()).toBe(true);
+        expect(sm.getMySlot()).toBeNull();
+        expect(sm._sessionChannel).toBeNull();
+        expect(sm._spectateChannel).toBe(SPECTATE);
+        expect(sm.spectatorDelayMs).toBe(150);
+        expect(game.rockSystem.setSeed).toHaveBeenCalledWith(room.rockSeed);
+        expect(game.applyTerrainState).toHaveBeenCalledWith(room.terrain.deltaLayer.serialize());
+        expect(states).toEqual(['SPECTATING']);
+        expect(sm.hasSeatedUnit({ id: 1, selectedBySlot: null })).toBe(false);
+
+        tickRoom(room, 4);
+        expect(game.applyServerSnapshot).toHaveBeenCalledTimes(1);
+        expect(game.applyServerSnapshot.mock.calls[0][0]).toMatchObject({ tick: 1 });
+    });
+
+    it('rejects with the server reason and leaves the spectate channel', async () => {
+        const { sm } = client(5);
+        await expect(sm.spectateGame('room-NOPE')).rejects.toMatchObject({ reason: SPECTATE_REJECT_REASON.NOT_FOUND });
+        expect(sm.isOffline()).toBe(true);
+        expect(sm.transport.leaveChannel).toHaveBeenCalledWith('asterobia:spectate:room-NOPE');
+    });
+
+    it('leaveGame leaves the spectate channel and goes offline', async () => {
+        const { sm } = client(5);
+        await sm.spectateGame(ROOM_ID);
+        sm.leaveGame();
+
+        expect(sm.isOffline()).toBe(true);
+        expect(sm._spectateChannel).toBeNull();
+        expect(sm.spectatorDelayMs).toBe(0);
+        expect(sm.transport.leaveChannel).toHaveBeenCalledWith(SPECTATE);
+    });
+
+    it('times out without a game server', async () => {
+        vi.useFakeTimers();
+        try {
+            const lonely = new SessionManager({ clientId: 'x', _isDevMode: false });
+            lonely.setTransport({
+                joinChannel: vi.fn(async () => {}),
+                leaveChannel: vi.fn(async () => {}),
+                broadcastToChannel: vi.fn(async () => {}),
+                onMessage: vi.fn()
+            });
+            const pending = lonely.spectateGame(ROOM_ID);
+            const assertion = expect(pending).rejects.toThrow(/timed out/);
+            await vi.advanceTimersByTimeAsync(5000);
+            await assertion;
+            expect(lonely._pendingSpectate).toBeNull();
+            expect(lonely.isOffline()).toBe(true);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
+
+// ========================================
+// Messages
+// ========================================
+
+describe('Spectate messages', () => {
+    it('validates SPECTATE_REQ and SPECTATE_ACK', () => {
+        expect(validateMessage(createSpectateReq({ roomId: ROOM_ID })).valid).toBe(true);
+        expect(validateMessage({ ...createSpectateReq({ roomId: ROOM_ID }), roomId: '' }).valid).toBe(false);
+
+        expect(validateMessage(createSpectateAck({ roomId: ROOM_ID, accepted: false, reason: SPECTATE_REJECT_REASON.NOT_FOUND })).valid).toBe(true);
+        expect(validateMessage(createSpectateAck({ roomId: ROOM_ID, accepted: true, delayMs: 10000, rockSeed: 1 })).valid).toBe(true);
+        expect(createSpectateAck({ roomId: ROOM_ID, accepted: true, delayMs: 10000 })).not.toHaveProperty('terrain');
+        expect(createSpectateAck({ roomId: ROOM_ID, accepted: true, delayMs: 0, terrain: { nodes: [] } }).terrain).toEqual({ nodes: [] });
+        expect(validateMessage(createSpectateAck({ roomId: ROOM_ID, accepted: true, delayMs: -1 })).valid).toBe(false);
+    });
+});
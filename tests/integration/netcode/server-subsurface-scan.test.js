@@ -0,0 +1,359 @@
+/**
+ * PERCEPTION_SUBSURFACE_SCAN Integration Tests
+ *
+ * Tests the scan radius curve (StatsEngine.computeScanRadius), per-player
+ * discovery in SubsurfaceScanService (intersection stamps, persistence,
+ * ownership, ON/OFF, caps), the Room's per-slot visibility sets and
+ * SCAN_REVEAL delivery to the owning slot only (never in SERVER_SNAPSHOT),
+ * GameServer per-slot routing, and save/restore of discovery.
+ *
+ * All tests run in-process using direct Room/HeadlessUnit calls and a mock relay.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-subsurface-scan.test.js
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { StatsEngine } from '../../../src/SimCore/rules/StatsEngine.js';
+import { SubsurfaceScanService, SCAN_CHANNEL_MATERA } from '../../../src/SimCore/systems/SubsurfaceScanService.js';
+import { validateMessage } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { serializeState, hashState } from '../../../src/SimCore/runtime/StateSurface.js';
+import { createSaveEnvelope, validateSaveEnvelope } from '../../../src/SimCore/persistence/SaveSchema.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Scout: scan 0.5 + move 0.5 → rating 62.5, ScanScalar 0.625, radius 10 */
+const SCOUT = {
+    id: 'bp-scout',
+    allocations: { scan: 0.5, move: 0.5 }
+};
+
+/** Plain mover: no scan allocation */
+const MOVER = {
+    id: 'bp-mover',
+    allocations: { move: 1.0 }
+};
+
+const ROOM_OPTIONS = { mapSeed: 11, materaOptions: { depositCount: 4 } };
+
+/** Antipode of a direction (far from everything near it) */
+function antipode(p) {
+    return Vec3.scale(Vec3.normalize(p), -1);
+}
+
+/** Room with scanner 1 (slot 0) on deposit 1, enemy scanner 2 (slot 1) far away */
+function scanRoom(id, extra = {}) {
+    const room = new Room(id, { ...ROOM_OPTIONS, ...extra });
+    const deposit = room.matera.getDeposits()[0];
+    const far = antipode(deposit.position);
+    room.createUnitsFromManifest([
+        { id: 1, ownerSlot: 0, modelIndex: 0, px: deposit.position.x, py: deposit.position.y, pz: deposit.position.z, blueprint: SCOUT },
+        { id: 2, ownerSlot: 1, modelIndex: 0, px: far.x, py: far.y, pz: far.z, blueprint: SCOUT }
+    ]);
+    return { room, deposit };
+}
+
+function unit(room, id) {
+    return room.units.find(u => u.id === id);
+}
+
+/** Deposits intersected by a sphere */
+function intersected(room, center, radius) {
+    return room.matera.getDeposits()
+        .filter(d => Vec3.length(Vec3.sub(d.center, center)) < radius + d.radius)
+        .map(d => d.id);
+}
+
+// ========================================
+// Stats
+// ========================================
+
+describe('SUBSURFACE_SCAN: stats', () => {
+    it('scan radius: 50% reference, 2× cap at 100%', () => {
+        const engine = new StatsEngine();
+        expect(engine.computeScanRadius(0)).toBe(0);
+        expect(engine.computeScanRadius(50)).toBeCloseTo(8, 10);
+        expect(engine.computeScanRadius(62.5)).toBeCloseTo(10, 10);
+        expect(engine.computeScanRadius(100)).toBeCloseTo(16, 10);
+        expect(engine.computeScanRadius(150)).toBeCloseTo(16, 10);
+    });
+
+    it('bindBlueprint sets scanRadius only for scan allocations', () => {
+        const room = new Room('scan-stats', ROOM_OPTIONS);
+        room.createUnitsFromManifest([
+            { id: 1, ownerSlot: 0, modelIndex: 0, blueprint: SCOUT },
+            { id: 2, ownerSlot: 0, modelIndex: 0, blueprint: MOVER }
+        ]);
+        expect(unit(room, 1).scanRadius).toBeCloseTo(10, 10);
+        expect(unit(room, 1).scanEnabled).toBe(true);
+        expect(unit(room, 2).scanRadius).toBe(0);
+    });
+});
+
+// ========================================
+// SubsurfaceScanService
+// ========================================
+
+describe('SUBSURFACE_SCAN: discovery', () => {
+    it('collectSources emits owner-tagged ScanSources for live, enabled scanners only', () => {
+        const service = new SubsurfaceScanService();
+        const units = [
+            { id: 3, ownerSlot: 1, position: { x: 0, y: 60, z: 0 }, scanRadius: 5 },
+            { id: 1, ownerSlot: 0, position: { x: 60, y: 0, z: 0 }, scanRadius: 5 },
+            { id: 2, ownerSlot: 0, position: { x: 0, y: 0, z: 60 }, scanRadius: 0 },
+            { id: 4, ownerSlot: 0, position: { x: 0, y: 0, z: 60 }, scanRadius: 5, disabled: true },
+            { id: 5, ownerSlot: 0, position: { x: 0, y: 0, z: 60 }, scanRadius: 5, scanEnabled: false }
+        ];
+        const sources = service.collectSources(units);
+        expect(sources.map(s => s.sourceId)).toEqual([1, 3]);
+        expect(sources[0]).toMatchObject({ ownerSlot: 0, radiusMeters: 5, channel: SCAN_CHANNEL_MATERA });
+    });
+
+    it('reveals only intersected deposits, to the scanning unit\'s owner only', () => {
+        const { room, deposit } = scanRoom('scan-owner');
+        tickRoom(room, 4);
+
+        const scout = unit(room, 1);
+        const expected = intersected(room, scout.position, scout.scanRadius);
+        expect(expected).toContain(deposit.id);
+        expect(room.scan.getRevealedDepositIds(0)).toEqual(expected);
+
+        // Slot 1's scanner sits on the far side: nothing of slot 0's discovery leaks
+        const farIds = intersected(room, unit(room, 2).position, unit(room, 2).scanRadius);
+        expect(room.scan.getRevealedDepositIds(1)).toEqual(farIds);
+        for (const id of expected) {
+            if (!farIds.includes(id)) expect(room.scan.isRevealed(1, id)).toBe(false);
+        }
+
+        const stamp = room.scan.getDiscovered(0).find(d => d.depositId === deposit.id).stamps[0];
+        expect(stamp.r).toBeCloseTo(10, 10);
+        expect(Vec3.length(Vec3.sub(stamp, scout.position))).toBeLessThan(1e-9);
+    });
+
+    it('stamps only every stampIntervalTicks and deduplicates a stationary scanner', () => {
+        const { room, deposit } = scanRoom('scan-interval');
+        tickRoom(room, 3);
+        expect(room.scan.isRevealed(0, deposit.id)).toBe(false);
+
+        tickRoom(room, 1);
+        expect(room.scan.isRevealed(0, deposit.id)).toBe(true);
+
+        tickRoom(room, 40);
+        const stamps = room.scan.getDiscovered(0).find(d => d.depositId === deposit.id).stamps;
+        expect(stamps).toHaveLength(1);
+    });
+
+    it('discovery persists after the scanner leaves and after it is destroyed', () => {
+        const { room, deposit } = scanRoom('scan-persist');
+        tickRoom(room, 4);
+        const before = room.scan.getDiscovered(0);
+
+        const scout = unit(room, 1);
+        scout.spawnOnSurface(antipode(deposit.position), room.terrain);
+        scout.takeDamage(1000);
+        tickRoom(room, 20);
+
+        const after = room.scan.getDiscovered(0).filter(d => before.some(b => b.depositId === d.depositId));
+        expect(after).toEqual(before);
+    });
+
+    it('scan OFF produces no new stamps; disabling keeps existing discovery', () => {
+        const { room, deposit } = scanRoom('scan-toggle');
+        expect(room.setScanEnabled(1, false)).toBe(true);
+        tickRoom(room, 8);
+        expect(room.scan.isRevealed(0, deposit.id)).toBe(false);
+
+        room.setScanEnabled(1, true);
+        tickRoom(room, 4);
+        expect(room.scan.isRevealed(0, deposit.id)).toBe(true);
+
+        room.setScanEnabled(1, false);
+        tickRoom(room, 8);
+        expect(room.scan.isRevealed(0, deposit.id)).toBe(true);
+        expect(room.setScanEnabled(999, true)).toBe(false);
+    });
+
+    it('stamp cap throttles new stamps without deleting discovery', () => {
+        const service = new SubsurfaceScanService({ stampIntervalTicks: 1, maxStampsPerDeposit: 2, minStampSpacing: 0 });
+        const deposits = [{ id: 7, center: { x: 0, y: 58, z: 0 }, radius: 3 }];
+        const scout = { id: 1, ownerSlot: 0, position: { x: 0, y: 60, z: 0 }, scanRadius: 5 };
+
+        for (let t = 1; t <= 5; t++) {
+            scout.position = { x: t * 0.5, y: 60, z: 0 };
+            service.resolveTick([scout], deposits, t);
+        }
+        const stamps = service.getDiscovered(0)[0].stamps;
+        expect(stamps).toHaveLength(2);
+        expect(stamps[0].x).toBeCloseTo(0.5, 10);
+    });
+});
+
+// ========================================
+// Room delivery
+// ========================================
+
+describe('SUBSURFACE_SCAN: per-slot delivery', () => {
+    it('SCAN_REVEAL goes to the discovering slot only; SERVER_SNAPSHOT never carries it', () => {
+        const sent = [];
+        const snapshots = [];
+        const { room, deposit } = scanRoom('scan-send', {
+            sendToSlot: (_id, slot, msg) => (msg.type === 'SCAN_REVEAL' ? sent : snapshots).push({ slot, msg })
+        });
+        tickRoom(room, 4);
+
+        const toSlot0 = sent.filter(s => s.slot === 0).map(s => s.msg);
+        expect(toSlot0).toHaveLength(1);
+        expect(validateMessage(toSlot0[0]).valid).toBe(true);
+        expect(toSlot0[0].deposits.map(d => d.id)).toContain(deposit.id);
+        const geo = toSlot0[0].deposits.find(d => d.id === deposit.id);
+        expect(geo).toMatchObject({ cx: deposit.center.x, cy: deposit.center.y, cz: deposit.center.z, radius: deposit.radius });
+
+        for (const s of sent.filter(s => s.slot !== 0)) {
+            for (const d of s.msg.deposits) expect(room.scan.isRevealed(s.slot, d.id)).toBe(true);
+        }
+        expect(snapshots.length).toBeGreaterThan(0);
+        for (const { msg } of snapshots) {
+            expect(msg.type).toBe('SERVER_SNAPSHOT');
+            expect(msg.deposits).toBeUndefined();
+            expect(msg.stamps).toBeUndefined();
+        }
+        expect([...room.slotVisibility.get(0)]).toEqual(room.scan.getRevealedDepositIds(0));
+    });
+
+    it('deposit geometry is sent once per slot; later reveals carry stamps only', () => {
+        const sent = [];
+        const { room, deposit } = scanRoom('scan-once', {
+            sendToSlot: (_id, slot, msg) => msg.type === 'SCAN_REVEAL' && sent.push({ slot, msg })
+        });
+        tickRoom(room, 4);
+
+        // Move a little so the next stamp is not deduplicated
+        const scout = unit(room, 1);
+        const up = Vec3.normalize(deposit.position);
+        const tangent = Vec3.normalize(Vec3.cross(up, { x: 0, y: 1, z: 0 }));
+        scout.spawnOnSurface(Vec3.add(up, Vec3.scale(tangent, 2 / 60)), room.terrain);
+        tickRoom(room, 4);
+
+        const msgs = sent.filter(s => s.slot === 0).map(s => s.msg);
+        expect(msgs).toHaveLength(2);
+        expect(msgs[1].deposits.some(d => d.id === deposit.id)).toBe(false);
+        expect(msgs[1].stamps.some(s => s.depositId === deposit.id)).toBe(true);
+    });
+
+    it('getScanState resends the full discovery of one slot', () => {
+        const { room, deposit } = scanRoom('scan-full');
+        tickRoom(room, 4);
+
+        const state = room.getScanState(0);
+        expect(state.full).toBe(true);
+        expect(validateMessage(state).valid).toBe(true);
+        expect(state.deposits.map(d => d.id)).toEqual(room.scan.getRevealedDepositIds(0));
+        expect(state.stamps.some(s => s.depositId === deposit.id)).toBe(true);
+
+        const empty = room.getScanState(5);
+        expect(empty.deposits).toEqual([]);
+        expect(empty.stamps).toEqual([]);
+    });
+});
+
+// ========================================
+// GameServer routing
+// ========================================
+
+describe('SUBSURFACE_SCAN: GameServer per-slot routing', () => {
+    let server;
+
+    afterEach(() => {
+        server?.stop();
+    });
+
+    function mockWs() {
+        return {
+            readyState: 1,
+            _sent: [],
+            send(data) {
+                this._sent.push(JSON.parse(data));
+            }
+        };
+    }
+
+    it('SCAN_REVEAL reaches the host socket only, not the guest on the same channel', () => {
+        resetEntityIdCounter();
+        const ROOM_ID = 'scan-host';
+        const CHANNEL = `asterobia:session:${ROOM_ID}`;
+        server = new GameServer({ roomOptions: ROOM_OPTIONS });
+        const relay = { channels: new Map(), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+
+        const hostWs = mockWs();
+        const guestWs = mockWs();
+        relay.clients.set(hostWs, { id: 1 });
+        relay.clients.set(guestWs, { id: 2 });
+        relay.channels.set(CHANNEL, new Set([hostWs, guestWs]));
+
+        const deposit = new Room('probe', ROOM_OPTIONS).matera.getDeposits()[0];
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, { type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        relay._broadcast(hostWs, { id: 1 }, CHANNEL, {
+            type: 'SPAWN_MANIFEST',
+            units: [{ id: 1, ownerSlot: 0, modelIndex: 0, px: deposit.position.x, py: deposit.position.y, pz: deposit.position.z, blueprint: SCOUT }],
+            timestamp: Date.now()
+        });
+        tickRoom(server.getRoom(ROOM_ID), 4);
+
+        const reveals = ws => ws._sent.filter(m => m.payload?.type === 'SCAN_REVEAL');
+        expect(reveals(hostWs)).toHaveLength(1);
+        expect(reveals(hostWs)[0].payload.deposits.map(d => d.id)).toContain(deposit.id);
+        expect(reveals(guestWs)).toHaveLength(0);
+        const hostSnaps = hostWs._sent.filter(m => m.payload?.type === 'SERVER_SNAPSHOT');
+        expect(hostSnaps.length).toBeGreaterThan(0);
+        expect(hostSnaps.every(m => m.payload.deposits === undefined)).toBe(true);
+    });
+});
+
+// ========================================
+// Persistence
+// ========================================
+
+describe('SUBSURFACE_SCAN: persistence', () => {
+    it('serialize → restore round-trips discovery and rebuilds visibility sets', () => {
+        const { room } = scanRoom('scan-save');
+        tickRoom(room, 4);
+        const data = room.scan.serialize();
+
+        const restored = new Room('scan-load', ROOM_OPTIONS);
+        restored.restoreScan(JSON.parse(JSON.stringify(data)));
+        expect(restored.scan.serialize()).toEqual(data);
+        expect([...restored.slotVisibility.get(0)]).toEqual(room.scan.getRevealedDepositIds(0));
+    });
+
+    it('serializeState carries scan discovery, hashState sees it, SaveSchema accepts it', () => {
+        const { room } = scanRoom('scan-state');
+        const cleanHash = hashState(serializeState(room));
+        tickRoom(room, 4);
+
+        const state = serializeState(room);
+        expect(state.scan.slots.length).toBeGreaterThan(0);
+        expect(hashState(state)).not.toBe(hashState({ ...state, scan: undefined }));
+        expect(hashState(state)).not.toBe(cleanHash);
+
+        const envelope = createSaveEnvelope(state, { tickCount: room.simLoop.tickCount }, { seed: 1 }, 0);
+        expect(validateSaveEnvelope(envelope).valid).toBe(true);
+        const bad = validateSaveEnvelope(createSaveEnvelope({ ...state, scan: {} }, { tickCount: 0 }, { seed: 1 }, 0));
+        expect(bad.valid).toBe(false);
+    });
+});
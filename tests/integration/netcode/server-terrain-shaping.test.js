@@ -0,0 +1,366 @@
+/**
+ * TERRAIN_SHAPING Height-Delta Layer Integration Tests
+ *
+ * Tests the TerrainDeltaLayer (convergence, footprint falloff, longitude
+ * wrap, persistence), its use by ServerTerrain.getHeight, replica replay of
+ * SERVER_SNAPSHOT terrainStamps, Room.shapeTerrain (units follow the ground,
+ * snapshot stamps, TERRAIN_STATE), collider rebuild via TerrainColliderManager.invalidateRegion,
+ * and save/load of terrain edits.
+ *
+ * All tests run in-process using direct Room/ServerTerrain calls.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-terrain-shaping.test.js
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { ServerTerrain } from '../../../server/ServerTerrain.js';
+import { PhysicsWorld } from '../../../server/PhysicsWorld.js';
+import { TerrainColliderManager } from '../../../server/TerrainColliderManager.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { TerrainDeltaLayer } from '../../../src/SimCore/systems/TerrainDeltaLayer.js';
+import { serializeState, hashState } from '../../../src/SimCore/runtime/StateSurface.js';
+import { SaveManager } from '../../../src/SimCore/persistence/SaveManager.js';
+import { MemoryStorageAdapter } from '../../../src/SimCore/persistence/StorageAdapter.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Direction `dist` surface meters from `dir` along a fixed tangent */
+function offsetDir(dir, dist, planetRadius = 60) {
+    const up = Vec3.normalize(dir);
+    const tangent = Vec3.normalize(Vec3.cross(up, { x: 0, y: 1, z: 0 }));
+    return Vec3.normalize(Vec3.add(up, Vec3.scale(tangent, dist / planetRadius)));
+}
+
+const SITE = Vec3.normalize({ x: 0.6, y: 0.3, z: 0.7 });
+
+/** @type {PhysicsWorld[]} Track for cleanup */
+const cleanup = [];
+
+afterEach(() => {
+    for (const pw of cleanup) {
+        if (!pw.destroyed) pw.shutdown();
+    }
+    cleanup.length = 0;
+});
+
+// ========================================
+// Layer
+// ========================================
+
+describe('TERRAIN_SHAPING: delta layer', () => {
+    it('empty layer leaves the noise height untouched', () => {
+        const terrain = new ServerTerrain();
+        expect(terrain.deltaLayer.nodeCount).toBe(0);
+        expect(terrain.getHeight(SITE.x, SITE.y, SITE.z))
+            .toBe(terrain.getBaseHeight(SITE.x, SITE.y, SITE.z));
+    });
+
+    it('stamps converge toward the target without teleporting', () => {
+        const terrain = new ServerTerrain();
+        const layer = terrain.deltaLayer;
+        const start = terrain.getHeight(SITE.x, SITE.y, SITE.z);
+        const target = start - 1;
+        const step = layer.stepFor(0.05);
+
+        let prev = start;
+        for (let i = 0; i < 10; i++) {
+            layer.applyStamp({ center: SITE, targetHeight: target, step }, terrain);
+            const h = terrain.getHeight(SITE.x, SITE.y, SITE.z);
+            expect(h).toBeLessThan(prev);
+            expect(prev - h).toBeLessThanOrEqual(step + 1e-9);
+            prev = h;
+        }
+        expect(prev).toBeGreaterThan(target);
+    });
+
+    it('repeated passes reach the target and hold it (no overshoot)', () => {
+        const terrain = new ServerTerrain();
+        const layer = terrain.deltaLayer;
+        const target = terrain.getHeight(SITE.x, SITE.y, SITE.z) + 0.5;
+
+        for (let i = 0; i < 40; i++) {
+            layer.applyStamp({ center: SITE, targetHeight: target, step: 0.05 }, terrain);
+        }
+
+        // Grid nodes under the footprint plateau sit exactly on target
+        const result = layer.applyStamp({ center: SITE, targetHeight: target, step: 0.05, radius: 1 }, terrain);
+        expect(result.changed).toBe(0);
+        expect(terrain.getHeight(SITE.x, SITE.y, SITE.z)).toBeCloseTo(target, 1);
+    });
+
+    it('falloff: center moves more than the rim, outside the footprint untouched', () => {
+        const terrain = new ServerTerrain();
+        const layer = terrain.deltaLayer;
+        const rim = offsetDir(SITE, 2.6);
+        const outside = offsetDir(SITE, 5);
+
+        const before = {
+            center: terrain.getHeight(SITE.x, SITE.y, SITE.z),
+            rim: terrain.getHeight(rim.x, rim.y, rim.z),
+            outside: terrain.getHeight(outside.x, outside.y, outside.z)
+        };
+        layer.applyStamp({ center: SITE, targetHeight: before.center + 10, step: 0.05, radius: 3 }, terrain);
+
+        const dCenter = terrain.getHeight(SITE.x, SITE.y, SITE.z) - before.center;
+        const dRim = terrain.getHeight(rim.x, rim.y, rim.z) - before.rim;
+        expect(dCenter).toBeCloseTo(0.05, 6);
+        expect(dRim).toBeGreaterThan(0);
+        expect(dRim).toBeLessThan(dCenter);
+        expect(terrain.getHeight(outside.x, outside.y, outside.z)).toBe(before.outside);
+    });
+
+    it('0% allocation does nothing (spec §10)', () => {
+        const terrain = new ServerTerrain();
+        const layer = terrain.deltaLayer;
+        expect(layer.stepFor(0.05, 0)).toBe(0);
+
+        const result = layer.applyStamp({ center: SITE, targetHeight: 100, step: layer.stepFor(0.05, 0) }, terrain);
+        expect(result.changed).toBe(0);
+        expect(layer.nodeCount).toBe(0);
+    });
+
+    it('stepFor scales with time and allocation, capped by maxDeltaPerTick', () => {
+        const layer = new TerrainDeltaLayer({ rateAt100: 0.5, maxDeltaPerTick: 0.05 });
+        expect(layer.stepFor(0.05)).toBeCloseTo(0.025, 12);
+        expect(layer.stepFor(0.05, 0.5)).toBeCloseTo(0.0125, 12);
+        expect(layer.stepFor(1)).toBe(0.05);
+    });
+
+    it('is continuous across the ±π longitude wrap', () => {
+        const terrain = new ServerTerrain();
+        const layer = terrain.deltaLayer;
+        const seam = { x: 0, y: 0, z: -1 };
+        layer.applyStamp({ center: seam, targetHeight: 20, step: 0.05 }, terrain);
+
+        const east = Vec3.normalize({ x: 0.005, y: 0, z: -1 });
+        const west = Vec3.normalize({ x: -0.005, y: 0, z: -1 });
+        const dEast = layer.sample(east.x, east.y, east.z);
+        const dWest = layer.sample(west.x, west.y, west.z);
+        expect(dEast).toBeGreaterThan(0.04);
+        expect(Math.abs(dEast - dWest)).toBeLessThan(1e-3);
+    });
+
+    it('serialize/restore round-trips, grid mismatch throws', () => {
+        const terrain = new ServerTerrain();
+        terrain.deltaLayer.applyStamp({ center: SITE, targetHeight: 0, step: 0.05 }, terrain);
+        const data = JSON.parse(JSON.stringify(terrain.deltaLayer.serialize()));
+
+        const copy = new ServerTerrain();
+        copy.deltaLayer.restore(data);
+        expect(copy.deltaLayer.serialize()).toEqual(terrain.deltaLayer.serialize());
+        expect(copy.getHeight(SITE.x, SITE.y, SITE.z)).toBe(terrain.getHeight(SITE.x, SITE.y, SITE.z));
+
+        const other = new TerrainDeltaLayer({ cellSize: 2 });
+        expect(() => other.restore(data)).toThrow(/grid mismatch/);
+    });
+});
+
+// ========================================
+// Replica replay (server → client terrain)
+// ========================================
+
+describe('TERRAIN_SHAPING: replica replay', () => {
+    it('replaying broadcast stamps reproduces the server layer bit-for-bit', () => {
+        const broadcasts = [];
+        const room = new Room('shape-replay', {
+            materaOptions: { depositCount: 0 },
+            broadcast: (_id, msg) => broadcasts.push(JSON.parse(JSON.stringify(msg)))
+        });
+
+        for (let i = 0; i < 12; i++) {
+            room.shapeTerrain(SITE, -2, 0.05);
+            room.shapeTerrain(offsetDir(SITE, 2), 3, 0.05, { rateScale: 0.7, radius: 2 });
+            tickRoom(room, 1);
+        }
+
+        // Replica with different calibration: stamps are self-contained
+        const replica = new ServerTerrain({}, { maxDeltaPerTick: 0.01, smoothing: 0 });
+        for (const msg of broadcasts) {
+            for (const stamp of msg.terrainStamps || []) {
+                replica.deltaLayer.applyStamp(stamp, replica);
+            }
+        }
+
+        expect(replica.deltaLayer.serialize()).toEqual(room.terrain.deltaLayer.serialize());
+        const probe = offsetDir(SITE, 1);
+        expect(replica.getRadiusAt(probe)).toBe(room.terrain.getRadiusAt(probe));
+    });
+});
+
+// ========================================
+// Room
+// ========================================
+
+describe('TERRAIN_SHAPING: Room.shapeTerrain', () => {
+    it('units on the footprint descend with a pit (spec §7.2)', () => {
+        const room = new Room('shape-dig', { materaOptions: { depositCount: 0 } });
+        const [unit] = room.createUnitsFromManifest([
+            { id: 1, ownerSlot: 0, modelIndex: 0, px: SITE.x, py: SITE.y, pz: SITE.z }
+        ]);
+        const startRadius = Vec3.length(unit.position);
+
+        for (let i = 0; i < 20; i++) {
+            room.shapeTerrain(unit.position, -5, 0.05);
+        }
+
+        const endRadius = Vec3.length(unit.position);
+        expect(endRadius).toBeLessThan(startRadius - 0.2);
+        expect(endRadius).toBeCloseTo(room.terrain.getRadiusAt(Vec3.normalize(unit.position)), 9);
+    });
+
+    it('units outside the footprint stay put', () => {
+        const room = new Room('shape-far', { materaOptions: { depositCount: 0 } });
+        const far = offsetDir(SITE, 10);
+        const [unit] = room.createUnitsFromManifest([
+            { id: 1, ownerSlot: 0, modelIndex: 0, px: far.x, py: far.y, pz: far.z }
+        ]);
+        const before = { ...unit.position };
+
+        room.shapeTerrain(SITE, 10, 0.05);
+        expect(unit.position).toEqual(before);
+    });
+
+    it('stamps ride the next SERVER_SNAPSHOT only', () => {
+        const broadcasts = [];
+        const room = new Room('shape-snap', {
+            materaOptions: { depositCount: 0 },
+            broadcast: (_id, msg) => broadcasts.push(msg)
+        });
+
+        room.shapeTerrain(SITE, 5, 0.05);
+        tickRoom(room, 2);
+
+        expect(broadcasts[0].terrainStamps).toHaveLength(1);
+        expect(broadcasts[0].terrainStamps[0]).toMatchObject({ targetHeight: 5, radius: 3 });
+        expect(broadcasts[1].terrainStamps).toBeUndefined();
+    });
+
+    it('no-op stamps (already at target) are not broadcast', () => {
+        const broadcasts = [];
+        const room = new Room('shape-noop', {
+            materaOptions: { depositCount: 0 },
+            broadcast: (_id, msg) => broadcasts.push(msg)
+        });
+
+        const result = room.shapeTerrain(SITE, 5, 0.05, { rateScale: 0 });
+        tickRoom(room, 1);
+        expect(result.changed).toBe(0);
+        expect(broadcasts[0].terrainStamps).toBeUndefined();
+    });
+
+    it('getSnapshot carries the full layer for late joiners', () => {
+        const room = new Room('shape-late', { materaOptions: { depositCount: 0 } });
+        room.shapeTerrain(SITE, 5, 0.05);
+
+        const snap = room.getSnapshot();
+        expect(snap.terrain.nodes.length).toBe(room.terrain.deltaLayer.nodeCount);
+        expect(snap.terrain.nodes.length).toBeGreaterThan(0);
+    });
+
+    it('sendTerrainState waits for the snapshot carrying pending stamps', () => {
+        const sent = [];
+        const room = new Room('shape-state-msg', {
+            materaOptions: { depositCount: 0 },
+            interestManagement: false,
+            broadcast: (_id, msg) => sent.push(msg.type),
+            sendToSlot: (_id, slot, msg) => sent.push(`${msg.type}:${slot}`)
+        });
+
+        room.sendTerrainState(0);
+        expect(sent).toEqual(['TERRAIN_STATE:0']);
+
+        sent.length = 0;
+        room.shapeTerrain(SITE, 5, 0.05);
+        room.sendTerrainState(1);
+        expect(sent).toEqual([]);
+        tickRoom(room, 2);
+        expect(sent).toEqual(['SERVER_SNAPSHOT', 'TERRAIN_STATE:1', 'SERVER_SNAPSHOT']);
+        expect(room.getTerrainState().terrain).toEqual(room.terrain.deltaLayer.serialize());
+    });
+});
+
+// ========================================
+// Colliders
+// ========================================
+
+describe('TERRAIN_SHAPING: collider rebuild', () => {
+    it('invalidateRegion(rebuild) regenerates patches from the edited terrain', async () => {
+        const pw = await PhysicsWorld.create({ subSteps: 1, gravity: 9.81 });
+        cleanup.push(pw);
+        const terrain = new ServerTerrain();
+        const mgr = new TerrainColliderManager(pw, terrain, { patchSize: 10, gridStep: 5 });
+        const pos = Vec3.scale(SITE, terrain.getRadiusAt(SITE));
+
+        mgr.ensurePatchesAround(pos, 10);
+        const before = mgr.patchCount;
+        const created = mgr.totalCreated;
+
+        terrain.deltaLayer.applyStamp({ center: SITE, targetHeight: 10, step: 0.05 }, terrain);
+        const invalidated = mgr.invalidateRegion(pos, 3, { rebuild: true });
+
+        expect(invalidated).toBeGreaterThan(0);
+        expect(mgr.patchCount).toBe(before);
+        expect(mgr.totalCreated).toBe(created + invalidated);
+    });
+
+    it('Room.shapeTerrain rebuilds colliders when physics is enabled', async () => {
+        const room = new Room('shape-phys', { materaOptions: { depositCount: 0 }, enablePhysics: true });
+        room.createUnitsFromManifest([
+            { id: 1, ownerSlot: 0, modelIndex: 0, px: SITE.x, py: SITE.y, pz: SITE.z }
+        ]);
+        await room.start();
+        try {
+            tickRoom(room, 1);
+            const before = room.terrainColliders.patchCount;
+            const created = room.terrainColliders.totalCreated;
+            expect(before).toBeGreaterThan(0);
+
+            room.shapeTerrain(SITE, -5, 0.05);
+            expect(room.terrainColliders.patchCount).toBe(before);
+            expect(room.terrainColliders.totalCreated).toBeGreaterThan(created);
+        } finally {
+            room.stop();
+        }
+    });
+});
+
+// ========================================
+// Persistence
+// ========================================
+
+describe('TERRAIN_SHAPING: persistence', () => {
+    it('serializeState carries terrain edits and hashState sees them', () => {
+        const room = new Room('shape-state', { materaOptions: { depositCount: 0 } });
+        const cleanHash = hashState(serializeState(room));
+
+        room.shapeTerrain(SITE, 5, 0.05);
+        const state = serializeState(room);
+        expect(state.terrain.nodes.length).toBeGreaterThan(0);
+        expect(hashState(state)).not.toBe(cleanHash);
+    });
+
+    it('save/load reproduces the same terrain (spec §8)', () => {
+        const room = new Room('shape-save', { materaOptions: { depositCount: 0 } });
+        for (let i = 0; i < 5; i++) room.shapeTerrain(SITE, 5, 0.05);
+
+        const storage = new MemoryStorageAdapter();
+        new SaveManager(room, storage).save('slot1');
+
+        const fresh = new Room('shape-load', { materaOptions: { depositCount: 0 } });
+        expect(new SaveManager(fresh, storage).load('slot1').success).toBe(true);
+        expect(fresh.terrain.deltaLayer.serialize()).toEqual(room.terrain.deltaLayer.serialize());
+        expect(fresh.terrain.getRadiusAt(SITE)).toBe(room.terrain.getRadiusAt(SITE));
+    });
+});
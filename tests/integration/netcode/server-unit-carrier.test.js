@@ -0,0 +1,341 @@
+/**
+ * UNIT_CARRIER Integration Tests
+ *
+ * Tests the authoritative PICKUP_UNIT / DROP_UNIT commands: pickup rules
+ * (owner, range, seat), carry slowdown (StatsEngine.computeCarrierEfficiency),
+ * carried units following their carrier with movement / fire disabled,
+ * carriedBy in SERVER_SNAPSHOT, drop re-projection onto the terrain, auto-drop
+ * when the carrier is destroyed, and physics detach (no rigid body, skipped by
+ * CollisionService) while carried.
+ *
+ * All tests run in-process using direct Room/HeadlessUnit calls.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-unit-carrier.test.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { CarrierService } from '../../../server/CarrierService.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import { StatsEngine } from '../../../src/SimCore/rules/StatsEngine.js';
+import { validateMessage, createPickupUnit, createDropUnit } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { serializeState } from '../../../src/SimCore/runtime/StateSurface.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Lifter: carrier 0.5 + move 0.5 → rating 62.5, carrierEff 0.625 */
+const LIFTER = {
+    id: 'bp-lifter',
+    allocations: { carrier: 0.5, move: 0.5 }
+};
+
+/** Gunner: shot + move (no carrier allocation) */
+const GUNNER = {
+    id: 'bp-gunner',
+    allocations: { shot: 0.5, move: 0.5 }
+};
+
+const SITE = Vec3.normalize({ x: 0.6, y: 0.3, z: 0.7 });
+
+/** Direction `dist` world units from `dir` along a fixed tangent */
+function offsetDir(dir, dist, planetRadius = 60) {
+    const up = Vec3.normalize(dir);
+    const tangent = Vec3.normalize(Vec3.cross(up, { x: 0, y: 1, z: 0 }));
+    return Vec3.normalize(Vec3.add(up, Vec3.scale(tangent, dist / planetRadius)));
+}
+
+/** Manifest entry at a direction */
+function at(id, ownerSlot, dir, blueprint) {
+    return { id, ownerSlot, modelIndex: 0, px: dir.x, py: dir.y, pz: dir.z, blueprint };
+}
+
+/** Room with lifter 1 (slot 0), friendly gunner 2 nearby, enemy gunner 3 nearby */
+function carrierRoom(id, options = {}) {
+    const room = new Room(id, { materaOptions: { depositCount: 0 }, ...options });
+    room.createUnitsFromManifest([
+        at(1, 0, SITE, LIFTER),
+        at(2, 0, offsetDir(SITE, 2), GUNNER),
+        at(3, 1, offsetDir(SITE, -2), GUNNER)
+    ]);
+    return room;
+}
+
+function unit(room, id) {
+    return room.units.find(u => u.id === id);
+}
+
+function pickup(room, slot, carrierId, targetUnitId) {
+    room.receiveInput(slot, { type: 'PICKUP_UNIT', unitId: carrierId, targetUnitId });
+    tickRoom(room, 1);
+}
+
+// ========================================
+// Stats
+// ========================================
+
+describe('UNIT_CARRIER: stats', () => {
+    it('computeCarrierEfficiency = clamp(rating / 100, 0, 1)', () => {
+        const engine = new StatsEngine();
+        expect(engine.computeCarrierEfficiency(0)).toBe(0);
+        expect(engine.computeCarrierEfficiency(62.5)).toBeCloseTo(0.625, 10);
+        expect(engine.computeCarrierEfficiency(250)).toBe(1);
+    });
+
+    it('bindBlueprint sets carrierEfficiency only for carrier allocations', () => {
+        const room = carrierRoom('carry-stats');
+        expect(unit(room, 1).effectiveStats.carrier).toBeCloseTo(62.5, 10);
+        expect(unit(room, 1).carrierEfficiency).toBeCloseTo(0.625, 10);
+        expect(unit(room, 2).carrierEfficiency).toBe(0);
+    });
+});
+
+// ========================================
+// Pickup rules
+// ========================================
+
+describe('UNIT_CARRIER: pickup', () => {
+    it('picks up a friendly unit in range and carries it above the carrier', () => {
+        const room = carrierRoom('carry-pickup');
+        pickup(room, 0, 1, 2);
+
+        const carrier = unit(room, 1);
+        const carried = unit(room, 2);
+        expect(carrier.carryingUnitId).toBe(2);
+        expect(carried.carriedBy).toBe(1);
+
+        const lift = Vec3.length(carried.position) - Vec3.length(carrier.position);
+        expect(lift).toBeCloseTo(room.carrier.carryOffset, 6);
+        expect(Vec3.length(Vec3.sub(Vec3.normalize(carried.position), Vec3.normalize(carrier.position)))).toBeLessThan(1e-9);
+    });
+
+    it('rejects enemy, out-of-range, non-carrier and non-owner pickups', () => {
+        const room = carrierRoom('carry-reject');
+        room.createUnitsFromManifest([at(4, 0, offsetDir(SITE, 10), GUNNER)]);
+
+        pickup(room, 0, 1, 3);   // enemy
+        pickup(room, 0, 1, 4);   // out of range
+        pickup(room, 0, 2, 1);   // gunner has no carrier allocation
+        pickup(room, 1, 1, 2);   // slot 1 does not own the carrier
+
+        for (const u of room.units) {
+            expect(u.carriedBy).toBeNull();
+            expect(u.carryingUnitId).toBeNull();
+        }
+    });
+
+    it('rejects a unit seated by another slot and keeps seat and owner while carried', () => {
+        const room = carrierRoom('carry-seat');
+        unit(room, 2).selectedBySlot = 1;
+        pickup(room, 0, 1, 2);
+        expect(unit(room, 2).carriedBy).toBeNull();
+
+        unit(room, 2).selectedBySlot = 0;
+        pickup(room, 0, 1, 2);
+        expect(unit(room, 2).carriedBy).toBe(1);
+        expect(unit(room, 2).ownerSlot).toBe(0);
+        expect(unit(room, 2).selectedBySlot).toBe(0);
+    });
+
+    it('carries one unit at a time and cannot carry its own carrier', () => {
+        const room = carrierRoom('carry-one');
+        room.createUnitsFromManifest([at(5, 0, offsetDir(SITE, 1), LIFTER)]);
+        pickup(room, 0, 1, 2);
+        pickup(room, 0, 1, 5);   // already carrying
+        pickup(room, 0, 5, 1);   // target is busy carrying
+        expect(unit(room, 5).carriedBy).toBeNull();
+        expect(unit(room, 1).carriedBy).toBeNull();
+        expect(unit(room, 1).carryingUnitId).toBe(2);
+    });
+});
+
+// ========================================
+// Carrying
+// ========================================
+
+describe('UNIT_CARRIER: carrying', () => {
+    it('slows the carrier to moveSpeed * carrierEff, also mid-WASD', () => {
+        const room = carrierRoom('carry-slow');
+        const carrier = unit(room, 1);
+        room.receiveInput(0, { type: 'MOVE_INPUT', unitId: 1, forward: true, backward: false, left: false, right: false });
+        tickRoom(room, 1);
+        expect(carrier.speed).toBeCloseTo(5, 10);
+
+        room.receiveInput(0, { type: 'PICKUP_UNIT', unitId: 1, targetUnitId: 2 });
+        tickRoom(room, 1);
+        expect(carrier.speed).toBeCloseTo(5 * 0.625, 10);
+        expect(Vec3.length(carrier.velocity)).toBeCloseTo(5 * 0.625, 10);
+    });
+
+    it('carried unit follows the carrier and ignores its own movement and fire orders', () => {
+        const room = carrierRoom('carry-follow');
+        pickup(room, 0, 1, 2);
+        const carried = unit(room, 2);
+
+        room.receiveInput(0, { type: 'MOVE_INPUT', unitId: 2, forward: false, backward: true, left: false, right: false });
+        room.receiveInput(0, { type: 'PATH_DATA', unitId: 2, waypoints: [Vec3.scale(offsetDir(SITE, 8), 60)], closed: false });
+        room.receiveInput(0, { type: 'ATTACK_TARGET', unitId: 2, targetUnitId: 3 });
+        room.receiveInput(0, { type: 'MOVE_INPUT', unitId: 1, forward: true, backward: false, left: false, right: false });
+        tickRoom(room, 20);
+
+        expect(carried.speed).toBe(0);
+        expect(carried.waypoints).toBeNull();
+        expect(carried.attackTargetId).toBeNull();
+        expect(unit(room, 3).hp).toBe(100);
+
+        const carrier = unit(room, 1);
+        const expected = Vec3.add(carrier.position, Vec3.scale(Vec3.normalize(carrier.position), room.carrier.carryOffset));
+        expect(Vec3.length(Vec3.sub(carried.position, expected))).toBeLessThan(1e-9);
+    });
+
+    it('SERVER_SNAPSHOT carries carriedBy / carrying only while a carry is active', () => {
+        const snapshots = [];
+        const room = carrierRoom('carry-snap', { broadcast: (_id, s) => snapshots.push(s) });
+        tickRoom(room, 1);
+        expect(snapshots[0].units.find(u => u.id === 2).carriedBy).toBeUndefined();
+        expect(snapshots[0].units.find(u => u.id === 1).carrying).toBeUndefined();
+
+        pickup(room, 0, 1, 2);
+        const snap = snapshots[snapshots.length - 1];
+        expect(snap.units.find(u => u.id === 2).carriedBy).toBe(1);
+        expect(snap.units.find(u => u.id === 1).carrying).toBe(2);
+        expect(snap.units.find(u => u.id === 3).carriedBy).toBeUndefined();
+    });
+
+    it('carry link is part of the serialized state', () => {
+        const room = carrierRoom('carry-state');
+        pickup(room, 0, 1, 2);
+        const state = serializeState(room);
+        expect(state.units.find(u => u.id === 2).carriedBy).toBe(1);
+        expect(state.units.find(u => u.id === 1).carryingUnitId).toBe(2);
+    });
+});
+
+// ========================================
+// Drop
+// ========================================
+
+describe('UNIT_CARRIER: drop', () => {
+    it('drops ahead of the carrier, re-projected onto the terrain', () => {
+        const room = carrierRoom('carry-drop');
+        pickup(room, 0, 1, 2);
+        room.receiveInput(0, { type: 'DROP_UNIT', unitId: 1 });
+        tickRoom(room, 1);
+
+        const carrier = unit(room, 1);
+        const dropped = unit(room, 2);
+        expect(dropped.carriedBy).toBeNull();
+        expect(carrier.carryingUnitId).toBeNull();
+        expect(Vec3.length(dropped.position)).toBeCloseTo(room.terrain.getRadiusAt(Vec3.normalize(dropped.position)), 9);
+        expect(Vec3.length(Vec3.sub(dropped.position, carrier.position))).toBeGreaterThan(1);
+        expect(Vec3.length(Vec3.sub(dropped.position, carrier.position))).toBeLessThan(room.carrier.dropRadius);
+        expect(carrier.getMoveSpeed()).toBeCloseTo(5, 10);
+    });
+
+    it('drops at a requested point within dropRadius; rejects points beyond it', () => {
+        const room = carrierRoom('carry-drop-point');
+        pickup(room, 0, 1, 2);
+
+        const far = Vec3.scale(offsetDir(SITE, 12), 60);
+        room.receiveInput(0, { type: 'DROP_UNIT', unitId: 1, px: far.x, py: far.y, pz: far.z });
+        tickRoom(room, 1);
+        expect(unit(room, 2).carriedBy).toBe(1);
+
+        const dir = offsetDir(SITE, -3);
+        const near = Vec3.scale(dir, 60);
+        room.receiveInput(0, { type: 'DROP_UNIT', unitId: 1, px: near.x, py: near.y, pz: near.z });
+        tickRoom(room, 1);
+        const dropped = unit(room, 2);
+        expect(dropped.carriedBy).toBeNull();
+        expect(Vec3.length(Vec3.sub(dropped.position, Vec3.scale(dir, room.terrain.getRadiusAt(dir))))).toBeLessThan(1e-9);
+    });
+
+    it('only the carrier owner can drop', () => {
+        const room = carrierRoom('carry-drop-owner');
+        pickup(room, 0, 1, 2);
+        room.receiveInput(1, { type: 'DROP_UNIT', unitId: 1 });
+        tickRoom(room, 1);
+        expect(unit(room, 2).carriedBy).toBe(1);
+    });
+
+    it('auto-drops onto the terrain when the carrier is destroyed', () => {
+        const room = carrierRoom('carry-autodrop');
+        pickup(room, 0, 1, 2);
+        unit(room, 1).takeDamage(1000);
+        tickRoom(room, 1);
+
+        const dropped = unit(room, 2);
+        expect(dropped.carriedBy).toBeNull();
+        expect(unit(room, 1).carryingUnitId).toBeNull();
+        expect(Vec3.length(dropped.position)).toBeCloseTo(room.terrain.getRadiusAt(Vec3.normalize(dropped.position)), 9);
+    });
+});
+
+// ========================================
+// Physics
+// ========================================
+
+describe('UNIT_CARRIER: physics', () => {
+    it('carried unit has no rigid body and is skipped by collisions; drop re-attaches', async () => {
+        const room = new Room('carry-phys', { materaOptions: { depositCount: 0 }, enablePhysics: true });
+        await room.start();
+        try {
+            room.createUnitsFromManifest([at(1, 0, SITE, LIFTER), at(2, 0, offsetDir(SITE, 2), GUNNER)]);
+            tickRoom(room, 1);
+            expect(unit(room, 2).rigidBody).not.toBeNull();
+
+            pickup(room, 0, 1, 2);
+            const carried = unit(room, 2);
+            expect(carried.rigidBody).toBeNull();
+            expect([...room._bodyToUnit.values()]).not.toContain(carried);
+
+            // Carried unit overlaps its carrier (1.2 above) without any knockback
+            const results = room.collisions.checkKinematicCollisions(room.units, room.physics);
+            expect(results).toHaveLength(0);
+            tickRoom(room, 10);
+            expect(unit(room, 1).physicsMode).toBe('KINEMATIC');
+            expect(carried.physicsMode).toBe('KINEMATIC');
+
+            room.receiveInput(0, { type: 'DROP_UNIT', unitId: 1 });
+            tickRoom(room, 1);
+            expect(carried.rigidBody).not.toBeNull();
+            expect(room._bodyToUnit.get(carried.rigidBody.handle)).toBe(carried);
+        } finally {
+            room.stop();
+        }
+    });
+
+    it('CarrierService never lets a DYNAMIC unit be picked up', () => {
+        const room = carrierRoom('carry-dyn');
+        const service = new CarrierService();
+        unit(room, 2).physicsMode = 'DYNAMIC';
+        expect(service.checkPickup(unit(room, 1), unit(room, 2), 0)).toBe('BAD_TARGET');
+        unit(room, 2).physicsMode = 'KINEMATIC';
+        expect(service.checkPickup(unit(room, 1), unit(room, 2), 0)).toBe('OK');
+    });
+});
+
+// ========================================
+// Protocol
+// ========================================
+
+describe('UNIT_CARRIER: messages', () => {
+    it('PICKUP_UNIT / DROP_UNIT messages validate', () => {
+        expect(validateMessage(createPickupUnit({ unitId: 1, targetUnitId: 2 })).valid).toBe(true);
+        expect(validateMessage(createDropUnit({ unitId: 1 })).valid).toBe(true);
+        expect(validateMessage(createDropUnit({ unitId: 1, point: { x: 1, y: 2, z: 3 } })).valid).toBe(true);
+
+        expect(validateMessage({ type: 'PICKUP_UNIT', unitId: 1, targetUnitId: null, timestamp: 0 }).valid).toBe(false);
+        expect(validateMessage({ type: 'DROP_UNIT', unitId: 1, px: 1, timestamp: 0 }).valid).toBe(false);
+    });
+});
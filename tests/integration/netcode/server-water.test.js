@@ -0,0 +1,308 @@
+/**
+ * Server Water Rules Integration Tests
+ *
+ * Tests the isomorphic WaterRules (depth, DRY / WET / SUBMERGED), HeadlessUnit
+ * wading and deep-water blocking for WASD and path-follow, the water state in
+ * SERVER_SNAPSHOT units, GameServer rejecting underwater PATH_DATA waypoints
+ * and MovePredictor agreeing with the server.
+ *
+ * Most tests use a ramp terrain so the shoreline is exact: the ground rises
+ * 3 m from x = 0 to x = 1 along the equator, water level 1.5 m, so
+ *   DRY        x > 0.483   (angle < ~61°)
+ *   WET        0.333 < x ≤ 0.483
+ *   SUBMERGED  x ≤ 0.333   (angle > ~70.5°)
+ * 'left' (A) on the equator drives toward deeper water.
+ *
+ * Run: npx vitest run tests/integration/netcode/server-water.test.js
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { Room } from '../../../server/Room.js';
+import { GameServer } from '../../../server/GameServer.js';
+import { HeadlessUnit } from '../../../server/HeadlessUnit.js';
+import { ServerTerrain } from '../../../server/ServerTerrain.js';
+import { Vec3 } from '../../../server/SphereMath.js';
+import {
+    DEFAULT_WATER_LEVEL,
+    WADE_SPEED_FACTOR,
+    isBlockedByWater,
+    isUnderwater,
+    waterDepthAt,
+    waterStateForDepth
+} from '../../../src/SimCore/systems/WaterRules.js';
+import { MovePredictor } from '../../../src/SimCore/net/MovePredictor.js';
+import { decodeServerSnapshotBinary, encodeServerSnapshotBinary } from '../../../src/SimCore/multiplayer/MessageSerializer.js';
+import { resetEntityIdCounter } from '../../../src/SimCore/runtime/IdGenerator.js';
+
+// ========================================
+// Helpers
+// ========================================
+
+/** Ground rises 3 m along +x; radial normals */
+const RAMP = {
+    params: { radius: 60, waterLevel: DEFAULT_WATER_LEVEL },
+    getRadiusAt: dir => 60 + 3 * dir.x,
+    getNormalAt: p => Vec3.normalize(p)
+};
+
+/** Point on the ramp surface at `deg` degrees along the equator */
+function onRamp(deg) {
+    const dir = equator(deg);
+    return Vec3.scale(dir, RAMP.getRadiusAt(dir));
+}
+
+/** Equator direction at `deg` degrees from +x toward +z */
+function equator(deg) {
+    const a = deg * Math.PI / 180;
+    return { x: Math.cos(a), y: 0, z: Math.sin(a) };
+}
+
+function tickRoom(room, count, dtSec) {
+    const dt = dtSec ?? room.simLoop.fixedDtSec;
+    for (let i = 0; i < count; i++) {
+        const tickNumber = room.simLoop.tickCount + 1;
+        room._onSimTick(dt, tickNumber);
+        room.simLoop.tickCount = tickNumber;
+    }
+}
+
+/** Room on the ramp terrain, one unit per direction */
+function rampRoom(id, dirs) {
+    const room = new Room(id, { interestManagement: false, materaOptions: { depositCount: 0 }, rockOptions: { count: 0 } });
+    room.terrain = RAMP;
+    room.createUnitsFromManifest(dirs.map((dir, i) => ({
+        id: i + 1, ownerSlot: 0, modelIndex: 0, px: dir.x, py: dir.y, pz: dir.z
+    })));
+    return room;
+}
+
+function drive(room, unit, keys, ticks) {
+    const states = [];
+    for (let i = 0; i < ticks; i++) {
+        unit.applyInput({ type: 'MOVE_INPUT', ...keys });
+        tickRoom(room, 1);
+        states.push(unit.waterState);
+    }
+    return states;
+}
+
+// ========================================
+// WaterRules
+// ========================================
+
+describe('WaterRules', () => {
+    it('measures depth against terrain radius + waterLevel', () => {
+        expect(waterDepthAt(equator(0), RAMP)).toBe(0);
+        expect(waterDepthAt(equator(90), RAMP)).toBeCloseTo(1.5, 9);
+        expect(waterDepthAt(Vec3.scale(equator(90), 58), RAMP)).toBeCloseTo(1.5, 9);
+        // Airborne units count their altitude
+        expect(waterDepthAt(equator(90), RAMP, 1)).toBeCloseTo(0.5, 9);
+        expect(waterDepthAt(equator(90), RAMP, 5)).toBe(0);
+        // No terrain (or no water) = dry
+        expect(waterDepthAt(equator(90), null)).toBe(0);
+    });
+
+    it('classifies DRY / WET / SUBMERGED', () => {
+        expect(waterStateForDepth(0)).toBe('DRY');
+        expect(waterStateForDepth(0.05)).toBe('DRY');
+        expect(waterStateForDepth(0.3)).toBe('WET');
+        expect(waterStateForDepth(0.6)).toBe('SUBMERGED');
+        expect(isUnderwater(equator(40), RAMP)).toBe(false);
+        expect(isUnderwater(equator(65), RAMP)).toBe(true);
+    });
+
+    it('blocks only steps that end submerged and deeper', () => {
+        expect(isBlockedByWater(equator(60), equator(65), RAMP)).toBe(false); // into shallow water
+        expect(isBlockedByWater(equator(69), equator(72), RAMP)).toBe(true);  // into deep water
+        expect(isBlockedByWater(equator(80), equator(85), RAMP)).toBe(true);  // deeper still
+        expect(isBlockedByWater(equator(85), equator(80), RAMP)).toBe(false); // back out
+    });
+
+    it('the server terrain uses the client water level', () => {
+        expect(new ServerTerrain().params.waterLevel).toBe(DEFAULT_WATER_LEVEL);
+    });
+});
+
+// ========================================
+// HeadlessUnit + Room
+// ========================================
+
+describe('Water: HeadlessUnit', () => {
+    let room;
+
+    afterEach(() => {
+        room?.stop();
+        room = null;
+    });
+
+    it('WASD wades slowly through shallow water and stops at deep water', () => {
+        room = rampRoom('water-wasd', [equator(58)]);
+        const unit = room.units[0];
+
+        const states = drive(room, unit, { left: true }, 200);
+        expect(states).toContain('WET');
+        expect(states).not.toContain('SUBMERGED');
+        expect(waterDepthAt(unit.position, RAMP)).toBeGreaterThan(0.4);
+
+        // Stopped at the edge: further input does not move it deeper
+        const edge = { ...unit.position };
+        drive(room, unit, { left: true }, 5);
+        expect(Vec3.length(Vec3.sub(unit.position, edge))).toBeLessThan(0.3);
+
+        // Driving back out is always allowed
+        drive(room, unit, { right: true }, 200);
+        expect(unit.waterState).toBe('DRY');
+    });
+
+    it('wading halves the distance covered per tick', () => {
+        room = rampRoom('water-speed', [equator(40), equator(65)]);
+        const [dry, wet] = room.units;
+        const dryStart = { ...dry.position };
+        const wetStart = { ...wet.position };
+
+        for (const u of room.units) u.applyInput({ type: 'MOVE_INPUT', forward: true });
+        tickRoom(room, 1);
+
+        const dryStep = Vec3.length(Vec3.sub(dry.position, dryStart));
+        const wetStep = Vec3.length(Vec3.sub(wet.position, wetStart));
+        expect(wetStep / dryStep).toBeCloseTo(WADE_SPEED_FACTOR, 1);
+    });
+
+    it('a unit already submerged may drive out but not deeper', () => {
+        room = rampRoom('water-escape', [equator(80)]);
+        const unit = room.units[0];
+        const start = { ...unit.position };
+
+        drive(room, unit, { left: true }, 5);
+        expect(unit.position).toEqual(start);
+        expect(unit.waterState).toBe('SUBMERGED');
+
+        drive(room, unit, { right: true }, 5);
+        expect(waterDepthAt(unit.position, RAMP)).toBeLessThan(waterDepthAt(start, RAMP));
+    });
+
+    it('path-follow into deep water stops at the shore and drops the path', () => {
+        room = rampRoom('water-path', [equator(60)]);
+        const unit = room.units[0];
+        unit.setPath([onRamp(66), onRamp(85)]);
+
+        tickRoom(room, 400);
+        expect(unit.waypoints).toBeNull();
+        expect(unit.speed).toBe(0);
+        expect(unit.waterState).not.toBe('SUBMERGED');
+        expect(waterDepthAt(unit.position, RAMP)).toBeGreaterThan(0.4);
+    });
+
+    it('reports the water state in snapshots only while in water', () => {
+        room = rampRoom('water-snap', [equator(40), equator(65), equator(80)]);
+        tickRoom(room, 1);
+
+        const snap = room.units.map(u => u.toSnapshot());
+        expect('water' in snap[0]).toBe(false);
+        expect(snap[1].water).toBe('WET');
+        expect(snap[2].water).toBe('SUBMERGED');
+
+        // Survives the binary snapshot encoding (as an extra field)
+        const decoded = decodeServerSnapshotBinary(encodeServerSnapshotBinary({
+            type: 'SERVER_SNAPSHOT', version: 1, tick: 1, serverTimeMs: 0, units: snap
+        }));
+        expect(decoded.units.map(u => u.water)).toEqual([undefined, 'WET', 'SUBMERGED']);
+    });
+
+    it('airborne units above the water are DRY', () => {
+        const unit = new HeadlessUnit({ id: 1, ownerSlot: 0 });
+        unit.spawnOnSurface(equator(80), RAMP);
+        expect(unit.updateWaterState()).toBe('SUBMERGED');
+
+        unit.mode = 'AIRBORNE';
+        unit.altitude = 3;
+        expect(unit.updateWaterState()).toBe('DRY');
+    });
+});
+
+// ========================================
+// PATH_DATA validation
+// ========================================
+
+describe('Water: PATH_DATA waypoints', () => {
+    const ROOM_ID = 'water-server';
+    const CHANNEL = `asterobia:session:${ROOM_ID}`;
+    let server;
+
+    afterEach(() => {
+        server?.stop();
+        server = null;
+    });
+
+    function setup() {
+        resetEntityIdCounter();
+        server = new GameServer({ roomOptions: { interestManagement: false, materaOptions: { depositCount: 0 }, rockOptions: { count: 0 } } });
+        const relay = { channels: new Map(), clients: new Map(), _broadcast() {}, _handleDisconnect() {} };
+        server.wireToRelay(relay);
+        server.start();
+
+        const hostWs = { readyState: 1, _sent: [], send(d) { this._sent.push(JSON.parse(d)); } };
+        relay.clients.set(hostWs, { id: 1 });
+        relay.channels.set(CHANNEL, new Set([hostWs]));
+        const send = payload => relay._broadcast(hostWs, { id: 1 }, CHANNEL, payload);
+
+        send({ type: 'HOST_ANNOUNCE', hostId: ROOM_ID, hostDisplayName: 'Host' });
+        const room = server.getRoom(ROOM_ID);
+        room.terrain = RAMP;
+        const start = equator(55);
+        send({ type: 'SPAWN_MANIFEST', units: [{ id: 1, ownerSlot: 0, modelIndex: 0, px: start.x, py: start.y, pz: start.z }] });
+        room.stop();
+        room.state = 'RUNNING'; // Ticks driven by hand
+        return { room, send };
+    }
+
+    it('rejects paths with an underwater waypoint', () => {
+        const { room, send } = setup();
+        send({
+            type: 'PATH_DATA',
+            unitId: 1,
+            waypoints: [onRamp(58), onRamp(64)],
+            closed: false
+        });
+        tickRoom(room, 1);
+        expect(room.units[0].waypoints).toBeNull();
+    });
+
+    it('accepts dry paths', () => {
+        const { room, send } = setup();
+        send({
+            type: 'PATH_DATA',
+            unitId: 1,
+            waypoints: [onRamp(50), onRamp(45)],
+            closed: false
+        });
+        tickRoom(room, 1);
+        expect(room.units[0].waypoints).toHaveLength(2);
+        expect(room.isUnderwater(equator(75))).toBe(true);
+    });
+});
+
+// ========================================
+// Client prediction
+// ========================================
+
+describe('Water: MovePredictor', () => {
+    it('predicts wading and deep-water blocking like the server', () => {
+        const room = rampRoom('water-predict', [equator(58)]);
+        const unit = room.units[0];
+        const predictor = new MovePredictor({ terrain: RAMP });
+        predictor.attach(1, {
+            px: unit.position.x, py: unit.position.y, pz: unit.position.z,
+            heading: unit.heading, speed: unit.speed
+        });
+
+        for (let i = 0; i < 120; i++) {
+            predictor.recordInput({ left: true });
+            unit.applyInput({ type: 'MOVE_INPUT', left: true });
+            tickRoom(room, 1);
+            expect(Vec3.length(Vec3.sub(predictor.position, unit.position))).toBeLessThan(1e-6);
+        }
+        expect(unit.waterState).toBe('WET');
+        room.stop();
+    });
+});
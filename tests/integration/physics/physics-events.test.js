@@ -24,7 +24,11 @@ import { Vec3 } from '../../../server/SphereMath.js';
 /** @type {PhysicsWorld[]} Track for cleanup */
 const cleanup = [];
 
+/** @type {Room[]} Started rooms (their tick timers must not outlive the test) */
+const rooms = [];
+
 afterEach(() => {
+    for (const room of rooms.splice(0)) room.stop();
     for (const pw of cleanup) {
         if (!pw.destroyed) pw.shutdown();
     }
@@ -692,6 +696,7 @@ describe('Room integration', () => {
             physicsOptions: { subSteps: 1, gravity: 9.81 }
         });
         await room.start();
+        rooms.push(room);
         cleanup.push(room.physics);
 
         const u1 = room.createUnitForPlayer(1, 100);
@@ -717,6 +722,7 @@ describe('Room integration', () => {
             enablePhysics: false
         });
         await room.start();
+        rooms.push(room);
 
         const u1 = room.createUnitForPlayer(1, 100);
         const results = room.triggerExplosion({ x: 100, y: 0, z: 0 }, 10, 8);
@@ -731,6 +737,7 @@ describe('Room integration', () => {
             physicsOptions: { subSteps: 1, gravity: 9.81 }
         });
         await room.start();
+        rooms.push(room);
         cleanup.push(room.physics);
 
         const unit = room.createUnitForPlayer(1, 100);
@@ -757,6 +764,7 @@ describe('Room integration', () => {
             physicsOptions: { subSteps: 1, gravity: 9.81 }
         });
         await room.start();
+        rooms.push(room);
         cleanup.push(room.physics);
 
         const u1 = room.createUnitForPlayer(1, 100);
@@ -779,6 +787,7 @@ describe('Room integration', () => {
             physicsOptions: { subSteps: 1, gravity: 9.81 }
         });
         await room.start();
+        rooms.push(room);
         cleanup.push(room.physics);
 
         const result = room._devTriggerExplosion(999);
@@ -811,6 +820,7 @@ describe('regression: enablePhysics=false', () => {
     it('room without physics handles triggerExplosion gracefully', async () => {
         const room = new Room('test-no-physics-2', { enablePhysics: false });
         await room.start();
+        rooms.push(room);
 
         const unit = room.createUnitForPlayer(1, 100);
         const results = room.triggerExplosion(unit.position, 10, 10);